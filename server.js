@@ -11,10 +11,14 @@ console.log('🚀 Starting Laundry Management System Backend v1.0.11');
 const isVercel = process.env.VERCEL || process.env.VERCEL_ENV;
 
 // Only import cron jobs if not on Vercel
-let cron, bannerLifecycleJob;
+let cron, bannerLifecycleJob, scheduledReportsJob, settlementBatchJob, pushReceiptsJob, laundryPlanJob;
 if (!isVercel) {
   cron = require('node-cron');
   bannerLifecycleJob = require('./src/jobs/bannerLifecycleJob');
+  scheduledReportsJob = require('./src/jobs/scheduledReportsJob');
+  settlementBatchJob = require('./src/jobs/settlementBatchJob');
+  pushReceiptsJob = require('./src/jobs/pushReceiptsJob');
+  laundryPlanJob = require('./src/jobs/laundryPlanJob');
 }
 
 // Initialize relay service (works on both Vercel and local)
@@ -63,10 +67,34 @@ const setupCronJobs = () => {
     await runJobWithConnectionCheck('sync banners with campaigns', bannerLifecycleJob.syncWithCampaigns);
   });
 
+  // Scheduled financial reports and analytics (every 15 minutes)
+  cron.schedule('*/15 * * * *', async () => {
+    await runJobWithConnectionCheck('scheduled reports', scheduledReportsJob.runScheduledReports);
+  });
+
+  // Settlement generation and payout files (daily at 3 AM)
+  cron.schedule('0 3 * * *', async () => {
+    await runJobWithConnectionCheck('settlement batch', () => settlementBatchJob.runSettlementBatch());
+  });
+
+  // Expo push receipts and invalid token pruning (every 15 minutes)
+  cron.schedule('*/15 * * * *', async () => {
+    await runJobWithConnectionCheck('push receipts', pushReceiptsJob.runPushReceiptCheck);
+  });
+
+  // Resume paused laundry plans that are due (every hour)
+  cron.schedule('30 * * * *', async () => {
+    await runJobWithConnectionCheck('laundry plan resume', laundryPlanJob.resumePausedPlans);
+  });
+
   console.log('⏰ Banner lifecycle cron jobs scheduled:');
   console.log('   - Auto-activate: Every 5 minutes');
   console.log('   - Auto-complete: Every hour');
   console.log('   - Campaign sync: Every 15 minutes');
+  console.log('   - Scheduled reports: Every 15 minutes');
+  console.log('   - Settlement batch: Daily at 3 AM');
+  console.log('   - Push receipts: Every 15 minutes');
+  console.log('   - Laundry plan resume: Every hour');
 };
 
 // For Vercel serverless functions, export the app immediately
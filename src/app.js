@@ -185,6 +185,8 @@ app.use(cookieParser());
 
 // Stripe webhook route (must be before JSON parsing)
 app.use('/api/sales/upgrades/stripe-webhook', express.raw({ type: 'application/json' }));
+app.use('/api/customer/wallet/stripe-webhook', express.raw({ type: 'application/json' }));
+app.use('/api/customer/laundry-plans/stripe-webhook', express.raw({ type: 'application/json' }));
 
 // Rate limiting (relaxed for development)
 const limiter = rateLimit({
@@ -473,6 +475,10 @@ const paymentLinkPublicRoutes = require('./routes/paymentLinkPublicRoutes');
 app.use('/api/superadmin/payment-links', paymentLinkSuperadminRoutes);
 app.use('/api/public/pay', paymentLinkPublicRoutes);
 
+// Revised quote approval links (sent to customers by SMS)
+const quotePublicRoutes = require('./routes/quotePublicRoutes');
+app.use('/api/public/quotes', quotePublicRoutes);
+
 // Direct Stripe checkout routes (for marketing frontend)
 const stripeDirectRoutes = require('./routes/stripeDirectRoutes');
 app.use('/api/public', stripeDirectRoutes);
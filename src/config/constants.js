@@ -29,6 +29,85 @@ const ORDER_STATUS = {
   CANCELLED: 'cancelled'
 };
 
+// Who can move an order between statuses. 'system' covers automation rules and
+// other server-side actors that run on behalf of the tenancy.
+const ORDER_ACTORS = {
+  SUPERADMIN: 'superadmin',
+  ADMIN: 'admin',
+  BRANCH_ADMIN: 'branch_admin',
+  STAFF: 'staff',
+  CUSTOMER: 'customer',
+  SYSTEM: 'system'
+};
+
+const ORDER_MANAGERS = [ORDER_ACTORS.SUPERADMIN, ORDER_ACTORS.ADMIN, ORDER_ACTORS.BRANCH_ADMIN, ORDER_ACTORS.SYSTEM];
+const ORDER_HANDLERS = [...ORDER_MANAGERS, ORDER_ACTORS.STAFF];
+
+// Order state machine: from -> to -> rule.
+//   roles:   actors allowed to make the move
+//   require: fields that must be present, read from the transition context
+//            first and then from the order (e.g. reason, branch)
+//   guards:  order conditions checked by OrderService.checkTransition
+//            (quote_approved: no revised quote awaiting the customer)
+//   effects: side effects run by OrderService after the move is saved
+//            (status notifications are sent for every move)
+const ORDER_TRANSITION_RULES = {
+  [ORDER_STATUS.PLACED]: {
+    [ORDER_STATUS.ASSIGNED_TO_BRANCH]: { roles: ORDER_MANAGERS, require: ['branch'] },
+    [ORDER_STATUS.ASSIGNED_TO_LOGISTICS_PICKUP]: { roles: ORDER_MANAGERS, require: ['logisticsPartner'] },
+    [ORDER_STATUS.PICKED]: { roles: ORDER_HANDLERS },
+    [ORDER_STATUS.IN_PROCESS]: { roles: ORDER_HANDLERS, guards: ['quote_approved'], effects: ['consume_inventory'] },
+    [ORDER_STATUS.CANCELLED]: {
+      roles: [...ORDER_MANAGERS, ORDER_ACTORS.CUSTOMER],
+      require: ['reason'],
+      effects: ['settle_payment', 'reverse_campaign_usage', 'release_slot', 'release_plan_wash']
+    }
+  },
+  [ORDER_STATUS.ASSIGNED_TO_BRANCH]: {
+    [ORDER_STATUS.ASSIGNED_TO_LOGISTICS_PICKUP]: { roles: ORDER_MANAGERS, require: ['logisticsPartner'] },
+    [ORDER_STATUS.PICKED]: { roles: ORDER_HANDLERS },
+    [ORDER_STATUS.IN_PROCESS]: { roles: ORDER_HANDLERS, guards: ['quote_approved'], effects: ['consume_inventory'] },
+    [ORDER_STATUS.CANCELLED]: {
+      roles: [...ORDER_MANAGERS, ORDER_ACTORS.CUSTOMER],
+      require: ['reason'],
+      effects: ['settle_payment', 'reverse_campaign_usage', 'release_slot', 'release_plan_wash']
+    }
+  },
+  [ORDER_STATUS.ASSIGNED_TO_LOGISTICS_PICKUP]: {
+    [ORDER_STATUS.PICKED]: { roles: ORDER_HANDLERS },
+    [ORDER_STATUS.CANCELLED]: {
+      roles: [...ORDER_MANAGERS, ORDER_ACTORS.CUSTOMER],
+      require: ['reason'],
+      effects: ['settle_payment', 'reverse_campaign_usage', 'release_slot', 'release_plan_wash']
+    }
+  },
+  [ORDER_STATUS.PICKED]: {
+    [ORDER_STATUS.IN_PROCESS]: { roles: ORDER_HANDLERS, guards: ['quote_approved'], effects: ['consume_inventory'] }
+  },
+  [ORDER_STATUS.IN_PROCESS]: {
+    [ORDER_STATUS.READY]: { roles: ORDER_HANDLERS, guards: ['quote_approved'] }
+  },
+  [ORDER_STATUS.READY]: {
+    [ORDER_STATUS.ASSIGNED_TO_LOGISTICS_DELIVERY]: { roles: ORDER_MANAGERS, require: ['logisticsPartner'] },
+    [ORDER_STATUS.OUT_FOR_DELIVERY]: { roles: ORDER_HANDLERS },
+    // self pickup
+    [ORDER_STATUS.DELIVERED]: { roles: ORDER_HANDLERS, effects: ['settle_payment', 'award_loyalty', 'check_item_readiness', 'generate_invoice'] }
+  },
+  [ORDER_STATUS.ASSIGNED_TO_LOGISTICS_DELIVERY]: {
+    [ORDER_STATUS.OUT_FOR_DELIVERY]: { roles: ORDER_HANDLERS }
+  },
+  [ORDER_STATUS.OUT_FOR_DELIVERY]: {
+    [ORDER_STATUS.DELIVERED]: { roles: ORDER_HANDLERS, effects: ['settle_payment', 'award_loyalty', 'check_item_readiness', 'generate_invoice'] }
+  },
+  [ORDER_STATUS.DELIVERED]: {},
+  [ORDER_STATUS.CANCELLED]: {}
+};
+
+// Allowed order status moves (from -> to), derived from the rules above
+const ORDER_STATUS_TRANSITIONS = Object.fromEntries(
+  Object.entries(ORDER_TRANSITION_RULES).map(([from, moves]) => [from, Object.keys(moves)])
+);
+
 // Services
 const SERVICES = {
   WASH_FOLD: 'wash_fold',
@@ -237,7 +316,8 @@ const REFUND_TYPES = {
 // Payment Methods
 const PAYMENT_METHODS = {
   ONLINE: 'online',
-  COD: 'cod'
+  COD: 'cod',
+  WALLET: 'wallet'
 };
 
 // Staff Roles
@@ -276,6 +356,9 @@ const NOTIFICATION_TYPES = {
   ORDER_OUT_FOR_DELIVERY: 'order_out_for_delivery',
   ORDER_DELIVERED: 'order_delivered',
   ORDER_CANCELLED: 'order_cancelled',
+  ORDER_REQUOTED: 'order_requoted',
+  ORDER_QUOTE_PENDING: 'order_quote_pending',
+  ORDER_QUOTE_DECIDED: 'order_quote_decided',
 
   // Inventory (Admin + Branch Admin)
   LOW_INVENTORY: 'low_inventory',
@@ -295,6 +378,7 @@ const NOTIFICATION_TYPES = {
   REWARD_POINTS: 'reward_points',
   MILESTONE_ACHIEVED: 'milestone_achieved',
   VIP_UPGRADE: 'vip_upgrade',
+  LAUNDRY_PLAN_UPDATED: 'laundry_plan_updated',
 
   // Leads (SuperAdmin)
   NEW_LEAD: 'new_lead',
@@ -427,17 +511,54 @@ const NOTIFICATION_ROLE_MAP = {
   [NOTIFICATION_TYPES.INVENTORY_REQUEST_SUBMITTED]: [PLATFORM_ROLES.SUPER_ADMIN],
 };
 
-// Consumption Rates (per service)
+// Consumption Rates (per service): default stock used per item, for services
+// without a ConsumptionRecipe of their own
 const CONSUMPTION_RATES = {
+  [SERVICES.WASH_FOLD]: {
+    [INVENTORY_ITEMS.DETERGENT]: { quantity: 50, unit: 'ml' },
+    [INVENTORY_ITEMS.SOFTENER]: { quantity: 20, unit: 'ml' }
+  },
+  [SERVICES.WASH_IRON]: {
+    [INVENTORY_ITEMS.DETERGENT]: { quantity: 50, unit: 'ml' },
+    [INVENTORY_ITEMS.SOFTENER]: { quantity: 20, unit: 'ml' },
+    [INVENTORY_ITEMS.HANGERS]: { quantity: 1, unit: 'pieces' }
+  },
+  [SERVICES.PREMIUM_LAUNDRY]: {
+    [INVENTORY_ITEMS.DETERGENT]: { quantity: 60, unit: 'ml' },
+    [INVENTORY_ITEMS.SOFTENER]: { quantity: 25, unit: 'ml' },
+    [INVENTORY_ITEMS.HANGERS]: { quantity: 1, unit: 'pieces' }
+  },
+  [SERVICES.DRY_CLEAN]: {
+    [INVENTORY_ITEMS.CHEMICALS]: { quantity: 100, unit: 'ml' },
+    [INVENTORY_ITEMS.HANGERS]: { quantity: 1, unit: 'pieces' }
+  },
+  [SERVICES.PREMIUM_DRY_CLEAN]: {
+    [INVENTORY_ITEMS.CHEMICALS]: { quantity: 120, unit: 'ml' },
+    [INVENTORY_ITEMS.HANGERS]: { quantity: 1, unit: 'pieces' }
+  },
+  [SERVICES.STEAM_PRESS]: {
+    [INVENTORY_ITEMS.HANGERS]: { quantity: 1, unit: 'pieces' }
+  },
+  [SERVICES.PREMIUM_STEAM_PRESS]: {
+    [INVENTORY_ITEMS.HANGERS]: { quantity: 1, unit: 'pieces' }
+  },
+  [SERVICES.STARCHING]: {},
   [SERVICES.WASHING]: {
-    [INVENTORY_ITEMS.DETERGENT]: 50 // ml per kg
+    [INVENTORY_ITEMS.DETERGENT]: { quantity: 50, unit: 'ml' }
   },
   [SERVICES.DRY_CLEANING]: {
-    [INVENTORY_ITEMS.CHEMICALS]: 100 // ml per item
+    [INVENTORY_ITEMS.CHEMICALS]: { quantity: 100, unit: 'ml' }
   },
   [SERVICES.IRONING]: {} // No consumption
 };
 
+// Reorder suggestions: consumption is averaged over TRAILING_DAYS and the
+// suggested order covers COVER_DAYS of it on top of the item's minThreshold
+const INVENTORY_REORDER = {
+  TRAILING_DAYS: 30,
+  COVER_DAYS: 14
+};
+
 // Refund Limits (in rupees) - Admin has full refund authority
 const REFUND_LIMITS = {
   [USER_ROLES.ADMIN]: Infinity  // Admin can approve any refund amount
@@ -465,10 +586,125 @@ const DELIVERY_PRICING_DEFAULTS = {
   FALLBACK_FLAT_RATE: 50   // ₹ flat rate when API fails
 };
 
+// Offline distance estimation and route caching (services/distanceService).
+// DISTANCE_MODE env: 'auto' (API when configured, estimate otherwise or on
+// failure), 'api' (API only, flat-rate fallback) or 'estimate' (never call the API)
+const DISTANCE_ESTIMATION = {
+  ROAD_FACTOR: 1.35,        // road distance / straight-line distance in Indian cities
+  AVERAGE_SPEED_KMPH: 20,   // city riding speed for duration estimates
+  CACHE_PRECISION: 3,       // decimals kept in cache keys (~110 m)
+  CACHE_TTL_DAYS: 30,
+  MATRIX_MAX_LOCATIONS: 50  // OpenRouteService matrix limit per request
+};
+
+// Customer wallet top-up limits (overridable per tenancy in settings.walletTopUp)
+const WALLET_TOPUP_DEFAULTS = {
+  MIN_AMOUNT: 100,     // ₹ per top-up
+  MAX_AMOUNT: 10000,   // ₹ per top-up
+  DAILY_LIMIT: 20000,  // ₹ per customer per day, 0 = unlimited
+  MAX_BALANCE: 50000   // ₹ wallet balance cap, 0 = unlimited
+};
+
+// GST defaults, overridable per tenancy in settings.taxConfig
+const TAX_DEFAULTS = {
+  RATE: 18,            // % when neither the service nor the tenancy sets one
+  SAC: '9997',         // Other services (laundry, dry cleaning)
+  DELIVERY_SAC: '9965' // Goods transport services
+};
+
+// GST state codes (first two digits of a GSTIN)
+const GST_STATE_CODES = {
+  '01': 'Jammu and Kashmir',
+  '02': 'Himachal Pradesh',
+  '03': 'Punjab',
+  '04': 'Chandigarh',
+  '05': 'Uttarakhand',
+  '06': 'Haryana',
+  '07': 'Delhi',
+  '08': 'Rajasthan',
+  '09': 'Uttar Pradesh',
+  '10': 'Bihar',
+  '11': 'Sikkim',
+  '12': 'Arunachal Pradesh',
+  '13': 'Nagaland',
+  '14': 'Manipur',
+  '15': 'Mizoram',
+  '16': 'Tripura',
+  '17': 'Meghalaya',
+  '18': 'Assam',
+  '19': 'West Bengal',
+  '20': 'Jharkhand',
+  '21': 'Odisha',
+  '22': 'Chhattisgarh',
+  '23': 'Madhya Pradesh',
+  '24': 'Gujarat',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu',
+  '27': 'Maharashtra',
+  '29': 'Karnataka',
+  '30': 'Goa',
+  '31': 'Lakshadweep',
+  '32': 'Kerala',
+  '33': 'Tamil Nadu',
+  '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands',
+  '36': 'Telangana',
+  '37': 'Andhra Pradesh',
+  '38': 'Ladakh'
+};
+
+// Invoice numbers: PREFIX/YY-YY/00001, sequential per tenancy and financial
+// year (April-March), separately for invoices and credit notes
+const INVOICE_NUMBERING = {
+  INVOICE_PREFIX: 'INV',
+  CREDIT_NOTE_PREFIX: 'CN',
+  SEQUENCE_DIGITS: 5,
+  FINANCIAL_YEAR_START_MONTH: 4 // April
+};
+
+// How a service is charged: per garment, or by the weight of the load
+const PRICING_MODELS = {
+  PER_PIECE: 'per_piece',
+  PER_KG: 'per_kg'
+};
+
+// Revised quotes after pickup (see services/requoteService). An increase up
+// to the larger of the amount (rupees) and the percent of the current total
+// is applied without asking the customer.
+const QUOTE_APPROVAL_DEFAULTS = {
+  AUTO_APPROVE_AMOUNT: 0,
+  AUTO_APPROVE_PERCENT: 0,
+  LINK_EXPIRY_HOURS: 72
+};
+
+// Customer laundry plans: LoyaltyProgram type 'subscription', billed monthly
+// through Stripe (see services/laundryPlanService)
+const LAUNDRY_PLAN_STATUS = {
+  PENDING: 'pending',     // checkout started, not paid yet
+  ACTIVE: 'active',
+  PAST_DUE: 'past_due',   // renewal payment failed, benefits on hold
+  PAUSED: 'paused',
+  CANCELLED: 'cancelled'
+};
+
+const LAUNDRY_PLAN_DEFAULTS = {
+  MAX_PAUSE_DAYS: 90
+};
+
+// Per-kg services without their own weight rules
+const WEIGHT_PRICING_DEFAULTS = {
+  MINIMUM_WEIGHT: 3,        // kg charged at least
+  ROUNDING_INCREMENT: 0.5,  // kg steps the chargeable weight is rounded to
+  ROUNDING_MODE: 'up',      // 'up' or 'nearest'
+  MAX_WEIGHT: 100           // kg accepted for one item, to catch typos
+};
+
 module.exports = {
   USER_ROLES,
   LEGACY_ROLE_MAP,
   ORDER_STATUS,
+  ORDER_STATUS_TRANSITIONS,
+  ORDER_TRANSITION_RULES,
+  ORDER_ACTORS,
   SERVICES,
   CLOTHING_CATEGORIES,
   ITEM_TYPES,
@@ -484,9 +720,20 @@ module.exports = {
   NOTIFICATION_TYPES,
   RECIPIENT_TYPES,
   CONSUMPTION_RATES,
+  INVENTORY_REORDER,
   REFUND_LIMITS,
   OPENROUTE_CONFIG,
   DELIVERY_PRICING_DEFAULTS,
+  DISTANCE_ESTIMATION,
+  WALLET_TOPUP_DEFAULTS,
+  TAX_DEFAULTS,
+  GST_STATE_CODES,
+  INVOICE_NUMBERING,
+  PRICING_MODELS,
+  WEIGHT_PRICING_DEFAULTS,
+  QUOTE_APPROVAL_DEFAULTS,
+  LAUNDRY_PLAN_STATUS,
+  LAUNDRY_PLAN_DEFAULTS,
   PLATFORM_ROLES,
   NOTIFICATION_ROLE_MAP
 };
\ No newline at end of file
@@ -50,6 +50,12 @@ const sendViaBrevo = async (emailOptions) => {
   sendSmtpEmail.to = [{ email: emailOptions.to }];
   sendSmtpEmail.subject = emailOptions.subject;
   sendSmtpEmail.htmlContent = emailOptions.html;
+  if (emailOptions.attachments?.length) {
+    sendSmtpEmail.attachment = emailOptions.attachments.map(file => ({
+      name: file.filename,
+      content: Buffer.from(file.content).toString('base64')
+    }));
+  }
   
   const result = await api.sendTransacEmail(sendSmtpEmail);
   return { success: true, messageId: result.messageId };
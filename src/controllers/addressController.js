@@ -69,6 +69,7 @@ const addAddress = async (req, res) => {
       city,
       state,
       pincode,
+      coordinates,
       addressType,
       isDefault
     } = req.body;
@@ -89,6 +90,7 @@ const addAddress = async (req, res) => {
       city,
       state,
       pincode,
+      coordinates,
       addressType,
       isDefault: existingAddressCount === 0 ? true : isDefault // First address is always default
     });
@@ -137,6 +139,7 @@ const updateAddress = async (req, res) => {
       city,
       state,
       pincode,
+      coordinates,
       addressType,
       isDefault
     } = req.body;
@@ -163,6 +166,7 @@ const updateAddress = async (req, res) => {
     if (city !== undefined) address.city = city;
     if (state !== undefined) address.state = state;
     if (pincode !== undefined) address.pincode = pincode;
+    if (coordinates !== undefined) address.coordinates = coordinates;
     if (addressType !== undefined) address.addressType = addressType;
     if (isDefault !== undefined) address.isDefault = isDefault;
 
@@ -8,6 +8,7 @@ const Address = require('../../models/Address');
 const { LoyaltyProgram } = require('../../models/LoyaltyProgram');
 const { Referral } = require('../../models/Referral');
 const OrderService = require('../../services/orderService');
+const { NotificationPreferenceService } = require('../../services/notifications/NotificationPreferenceService');
 const { addTenancyFilter, addTenancyToDocument } = require('../../middlewares/tenancyMiddleware');
 const {
   sendSuccess,
@@ -16,7 +17,8 @@ const {
   getPagination,
   formatPaginationResponse,
   addBranchFilter,
-  getUserBranchInfo
+  getUserBranchInfo,
+  getOrderActorRole
 } = require('../../utils/helpers');
 const { ORDER_STATUS, USER_ROLES, TICKET_STATUS, REFUND_STATUS, REFUND_LIMITS } = require('../../config/constants');
 
@@ -248,10 +250,6 @@ const assignOrderToBranch = asyncHandler(async (req, res) => {
     return sendError(res, 'ORDER_NOT_FOUND', 'Order not found', 404);
   }
 
-  if (order.status !== ORDER_STATUS.PLACED) {
-    return sendError(res, 'INVALID_STATUS', 'Order cannot be assigned at this stage', 400);
-  }
-
   const branch = await Branch.findOne(addTenancyFilter({ _id: branchId }, tenancyId));
   if (!branch || !branch.isActive) {
     return sendError(res, 'BRANCH_NOT_FOUND', 'Branch not found or inactive', 404);
@@ -264,7 +262,11 @@ const assignOrderToBranch = asyncHandler(async (req, res) => {
 
   // Update order
   order.branch = branchId;
-  await order.updateStatus(ORDER_STATUS.ASSIGNED_TO_BRANCH, req.user._id, `Assigned to branch: ${branch.name}`);
+  await OrderService.transitionOrder(order, ORDER_STATUS.ASSIGNED_TO_BRANCH, {
+    updatedBy: req.user._id,
+    role: getOrderActorRole(req),
+    notes: `Assigned to branch: ${branch.name}`
+  });
 
   const updatedOrder = await Order.findById(orderId)
     .populate('branch', 'name code')
@@ -303,28 +305,19 @@ const assignOrderToLogistics = asyncHandler(async (req, res) => {
     return sendError(res, 'AREA_NOT_COVERED', 'Logistics partner does not cover this area', 400);
   }
 
-  let newStatus;
-  let notes;
-
-  if (type === 'pickup') {
-    // Allow pickup assignment for 'placed' orders (customer already selected branch)
-    // or 'assigned_to_branch' orders
-    if (order.status !== ORDER_STATUS.PLACED && order.status !== ORDER_STATUS.ASSIGNED_TO_BRANCH) {
-      return sendError(res, 'INVALID_STATUS', 'Order must be placed or assigned to branch for pickup assignment', 400);
-    }
-    newStatus = ORDER_STATUS.ASSIGNED_TO_LOGISTICS_PICKUP;
-    notes = `Assigned to ${logisticsPartner.companyName} for pickup`;
-  } else {
-    if (order.status !== ORDER_STATUS.READY) {
-      return sendError(res, 'INVALID_STATUS', 'Order must be ready for delivery assignment', 400);
-    }
-    newStatus = ORDER_STATUS.ASSIGNED_TO_LOGISTICS_DELIVERY;
-    notes = `Assigned to ${logisticsPartner.companyName} for delivery`;
-  }
+  // Pickup can be assigned to placed / assigned_to_branch orders, delivery to
+  // ready orders - the state machine rejects anything else with a 409
+  const newStatus = type === 'pickup'
+    ? ORDER_STATUS.ASSIGNED_TO_LOGISTICS_PICKUP
+    : ORDER_STATUS.ASSIGNED_TO_LOGISTICS_DELIVERY;
 
   // Update order
   order.logisticsPartner = logisticsPartnerId;
-  await order.updateStatus(newStatus, req.user._id, notes);
+  await OrderService.transitionOrder(order, newStatus, {
+    updatedBy: req.user._id,
+    role: getOrderActorRole(req),
+    notes: `Assigned to ${logisticsPartner.companyName} for ${type}`
+  });
 
   const updatedOrder = await Order.findById(orderId)
     .populate('logisticsPartner', 'companyName contactPerson')
@@ -338,16 +331,21 @@ const assignOrderToLogistics = asyncHandler(async (req, res) => {
 // @access  Private (Admin/Center Admin)
 const updateOrderStatus = asyncHandler(async (req, res) => {
   const { orderId } = req.params;
-  const { status, notes } = req.body;
+  const { status, notes, reason } = req.body;
 
-  // Validate status
-  const validStatuses = Object.values(ORDER_STATUS);
-  if (!validStatuses.includes(status)) {
-    return sendError(res, 'INVALID_STATUS', 'Invalid order status', 400);
+  const tenancyId = req.tenancyId || req.user?.tenancy;
+  const order = await Order.findOne(addBranchFilter(addTenancyFilter({ _id: orderId }, tenancyId), req.user));
+  if (!order) {
+    return sendError(res, 'ORDER_NOT_FOUND', 'Order not found', 404);
   }
 
-  // Use OrderService to update status and send notifications
-  const order = await OrderService.updateOrderStatus(orderId, status, req.user._id, notes || 'Status updated by admin');
+  // State machine validates the move and sends notifications
+  await OrderService.transitionOrder(order, status, {
+    updatedBy: req.user._id,
+    role: getOrderActorRole(req),
+    notes: notes || 'Status updated by admin',
+    reason: reason || notes
+  });
 
   const updatedOrder = await Order.findById(orderId)
     .populate('customer', 'name phone')
@@ -599,6 +597,63 @@ const tagVIPCustomer = asyncHandler(async (req, res) => {
   }, `Customer VIP status updated successfully`);
 });
 
+const notificationPreferenceService = new NotificationPreferenceService();
+
+// Customer in the admin's tenancy (has ordered there), or null
+const findTenancyCustomer = async (customerId, tenancyId) => {
+  if (tenancyId) {
+    const hasOrdersInTenancy = await Order.exists({
+      customer: customerId,
+      tenancy: tenancyId
+    });
+    if (!hasOrdersInTenancy) return null;
+  }
+
+  return User.findOne({
+    _id: customerId,
+    role: USER_ROLES.CUSTOMER
+  }).select('name email phone');
+};
+
+// @desc    Get a customer's notification preferences
+// @route   GET /api/admin/customers/:customerId/notification-preferences
+// @access  Private (Admin/Center Admin)
+const getCustomerNotificationPreferences = asyncHandler(async (req, res) => {
+  const customer = await findTenancyCustomer(req.params.customerId, req.tenancyId);
+  if (!customer) {
+    return sendError(res, 'CUSTOMER_NOT_FOUND', 'Customer not found', 404);
+  }
+
+  const preferences = await notificationPreferenceService.getPreferences(customer._id);
+
+  sendSuccess(res, {
+    customer: { _id: customer._id, name: customer.name },
+    preferences: notificationPreferenceService.toResponse(preferences)
+  });
+});
+
+// @desc    Update a customer's notification preferences (e.g. opt-out requested via support)
+// @route   PUT /api/admin/customers/:customerId/notification-preferences
+// @access  Private (Admin/Center Admin)
+const updateCustomerNotificationPreferences = asyncHandler(async (req, res) => {
+  const customer = await findTenancyCustomer(req.params.customerId, req.tenancyId);
+  if (!customer) {
+    return sendError(res, 'CUSTOMER_NOT_FOUND', 'Customer not found', 404);
+  }
+
+  const errors = notificationPreferenceService.validateUpdates(req.body);
+  if (errors.length > 0) {
+    return sendError(res, 'VALIDATION_ERROR', errors.join('; '), 400);
+  }
+
+  const preferences = await notificationPreferenceService.updatePreferences(customer._id, req.body, req.user._id);
+
+  sendSuccess(res, {
+    customer: { _id: customer._id, name: customer.name },
+    preferences: notificationPreferenceService.toResponse(preferences)
+  }, 'Customer notification preferences updated successfully');
+});
+
 // @desc    Get detailed customer information
 // @route   GET /api/admin/customers/:customerId/details
 // @access  Private (Admin/Center Admin)
@@ -689,7 +744,8 @@ const getCustomerDetails = asyncHandler(async (req, res) => {
   ]);
 
   // Get wallet balance
-  const walletBalance = customer.wallet?.balance || 0;
+  const walletService = require('../../services/walletService');
+  const walletBalance = await walletService.getBalance(customer._id);
 
   // Get favorite services (most ordered services)
   const favoriteServices = await Order.aggregate([
@@ -992,12 +1048,16 @@ const getRefundById = asyncHandler(async (req, res) => {
 // @route   POST /api/admin/refunds
 // @access  Private (Admin)
 const createRefundRequest = asyncHandler(async (req, res) => {
-  const { orderId, amount, reason, category, ticketId } = req.body;
+  const { orderId, amount, reason, category, ticketId, paymentMethod } = req.body;
 
   if (!orderId || !amount || !reason || !category) {
     return sendError(res, 'MISSING_DATA', 'Order ID, amount, reason, and category are required', 400);
   }
 
+  if (paymentMethod && !Refund.schema.path('paymentMethod').enumValues.includes(paymentMethod)) {
+    return sendError(res, 'INVALID_PAYMENT_METHOD', 'Invalid refund payment method', 400);
+  }
+
   // Apply tenancy filtering for order lookup
   const tenancyId = req.tenancyId || req.user?.tenancy;
   const orderQuery = addTenancyFilter({ _id: orderId }, tenancyId);
@@ -1020,6 +1080,7 @@ const createRefundRequest = asyncHandler(async (req, res) => {
     reason,
     category,
     type: amount === order.pricing.total ? 'full' : 'partial',
+    paymentMethod,
     requestedBy: req.user._id,
     status: REFUND_STATUS.REQUESTED
   }, tenancyId));
@@ -1169,10 +1230,37 @@ const processRefund = asyncHandler(async (req, res) => {
   }
 
   // Generate transaction ID if not provided
-  const txnId = transactionId || `TXN${Date.now()}`;
+  let txnId = transactionId || `TXN${Date.now()}`;
+
+  // Store credit goes to the customer's wallet ledger; the ledger entry is the transaction
+  if (refund.paymentMethod === 'store_credit') {
+    const walletService = require('../../services/walletService');
+    const credit = await walletService.credit(refund.customer, refund.amount, 'refund', {
+      refundId: refund._id,
+      orderId: refund.order,
+      description: `Store credit for refund ${refund.refundNumber}`,
+      idempotencyKey: `refund:${refund._id}`
+    });
+    txnId = credit.transaction._id.toString();
+
+    try {
+      const NotificationService = require('../../services/notificationService');
+      await NotificationService.notifyWalletCredited(refund.customer, refund.amount, `Store credit for refund ${refund.refundNumber}`, refund.tenancy);
+    } catch (error) {
+      console.log('Failed to send wallet credit notification:', error.message);
+    }
+  }
 
   await refund.process(req.user._id, txnId);
 
+  // Credit note against the order's invoice; the refund stands even if it fails
+  try {
+    const invoiceService = require('../../services/invoiceService');
+    await invoiceService.createCreditNote(refund, { createdBy: req.user._id });
+  } catch (error) {
+    console.error(`Credit note for refund ${refund.refundNumber} failed:`, error);
+  }
+
   const updatedRefund = await Refund.findById(refundId)
     .populate('processedBy', 'name');
 
@@ -2004,7 +2092,7 @@ const updatePaymentStatus = asyncHandler(async (req, res) => {
   const { orderId } = req.params;
   const { paymentStatus, transactionId } = req.body;
 
-  const validStatuses = ['pending', 'paid', 'failed', 'refunded'];
+  const validStatuses = ['pending', 'paid', 'partially_paid', 'failed', 'refunded'];
   if (!validStatuses.includes(paymentStatus)) {
     return sendError(res, 'INVALID_STATUS', 'Invalid payment status', 400);
   }
@@ -2079,6 +2167,8 @@ module.exports = {
   getCustomerDetails,
   toggleCustomerStatus,
   tagVIPCustomer,
+  getCustomerNotificationPreferences,
+  updateCustomerNotificationPreferences,
   getComplaints,
   getComplaintById,
   assignComplaint,
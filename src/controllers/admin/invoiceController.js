@@ -0,0 +1,92 @@
+const Order = require('../../models/Order');
+const Invoice = require('../../models/Invoice');
+const { sendSuccess, sendError, sendFile, asyncHandler } = require('../../utils/helpers');
+const invoiceService = require('../../services/invoiceService');
+
+/**
+ * @desc    List invoices and credit notes
+ * @route   GET /api/admin/invoices?kind=&from=&to=&search=&page=&limit=
+ * @access  Private (Admin)
+ */
+const getInvoices = asyncHandler(async (req, res) => {
+  const { kind, from, to, search, page, limit } = req.query;
+
+  if (kind && !['invoice', 'credit_note'].includes(kind)) {
+    return sendError(res, 'INVALID_KIND', 'kind must be invoice or credit_note', 400);
+  }
+
+  const result = await invoiceService.listInvoices({
+    tenancy: req.tenancyId || req.user?.tenancy,
+    kind,
+    from,
+    to,
+    search,
+    page,
+    limit
+  });
+
+  sendSuccess(res, result, 'Invoices retrieved');
+});
+
+/**
+ * @desc    Download an invoice or credit note as PDF
+ * @route   GET /api/admin/invoices/:invoiceId/download
+ * @access  Private (Admin)
+ */
+const downloadInvoice = asyncHandler(async (req, res) => {
+  const invoice = await Invoice.findOne({
+    _id: req.params.invoiceId,
+    tenancy: req.tenancyId || req.user?.tenancy
+  });
+
+  if (!invoice) {
+    return sendError(res, 'INVOICE_NOT_FOUND', 'Invoice not found', 404);
+  }
+
+  sendFile(res, await invoiceService.renderPDF(invoice));
+});
+
+/**
+ * @desc    Get an order's invoice and credit notes
+ * @route   GET /api/admin/orders/:orderId/invoices
+ * @access  Private (Admin)
+ */
+const getOrderInvoices = asyncHandler(async (req, res) => {
+  const order = await Order.findOne({
+    _id: req.params.orderId,
+    tenancy: req.tenancyId || req.user?.tenancy
+  }).select('_id');
+
+  if (!order) {
+    return sendError(res, 'ORDER_NOT_FOUND', 'Order not found', 404);
+  }
+
+  const invoices = await invoiceService.getOrderDocuments(order._id);
+  sendSuccess(res, { invoices }, 'Order invoices retrieved');
+});
+
+/**
+ * @desc    Issue an order's invoice now (returns the existing one if issued)
+ * @route   POST /api/admin/orders/:orderId/invoice
+ * @access  Private (Admin)
+ */
+const generateOrderInvoice = asyncHandler(async (req, res) => {
+  const order = await Order.findOne({
+    _id: req.params.orderId,
+    tenancy: req.tenancyId || req.user?.tenancy
+  }).select('_id');
+
+  if (!order) {
+    return sendError(res, 'ORDER_NOT_FOUND', 'Order not found', 404);
+  }
+
+  const invoice = await invoiceService.generateForOrder(order._id, { createdBy: req.user._id });
+  sendSuccess(res, { invoice }, `Invoice ${invoice.number} issued`, 201);
+});
+
+module.exports = {
+  getInvoices,
+  downloadInvoice,
+  getOrderInvoices,
+  generateOrderInvoice
+};
@@ -441,9 +441,11 @@ const enrollUser = async (req, res) => {
       }
       
       if (program.welcomeBonus.credit > 0) {
-        if (!user.wallet) user.wallet = { balance: 0 };
-        user.wallet.balance += program.welcomeBonus.credit;
-        await user.save();
+        const walletService = require('../../services/walletService');
+        await walletService.credit(userId, program.welcomeBonus.credit, 'loyalty_bonus', {
+          description: `Welcome bonus for joining ${program.name}`,
+          idempotencyKey: `loyalty_bonus:${member._id}`
+        });
       }
     }
     
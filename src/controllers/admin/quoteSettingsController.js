@@ -0,0 +1,66 @@
+const Tenancy = require('../../models/Tenancy');
+const { sendSuccess, sendError, asyncHandler } = require('../../utils/helpers');
+const { QUOTE_APPROVAL_DEFAULTS } = require('../../config/constants');
+const requoteService = require('../../services/requoteService');
+
+const QUOTE_APPROVAL_FIELDS = ['autoApproveAmount', 'autoApprovePercent', 'linkExpiryHours'];
+
+/**
+ * @desc    Get the tenancy's revised quote approval settings
+ * @route   GET /api/admin/quote-approval
+ * @access  Private (Admin)
+ */
+const getQuoteApprovalSettings = asyncHandler(async (req, res) => {
+  const tenancyId = req.tenancyId || req.user?.tenancy;
+  if (!tenancyId || !(await Tenancy.exists({ _id: tenancyId }))) {
+    return sendError(res, 'TENANCY_NOT_FOUND', 'Tenancy not found', 404);
+  }
+
+  sendSuccess(res, {
+    quoteApproval: await requoteService.getSettings(tenancyId),
+    defaults: QUOTE_APPROVAL_DEFAULTS
+  }, 'Quote approval settings retrieved');
+});
+
+/**
+ * @desc    Update the tenancy's revised quote approval settings. Increases up
+ *          to the larger of autoApproveAmount and autoApprovePercent of the
+ *          order total apply without asking the customer.
+ * @route   PUT /api/admin/quote-approval
+ * @access  Private (Admin)
+ */
+const updateQuoteApprovalSettings = asyncHandler(async (req, res) => {
+  const updates = {};
+  for (const field of QUOTE_APPROVAL_FIELDS) {
+    if (req.body[field] !== undefined) updates[field] = req.body[field];
+  }
+
+  if (Object.keys(updates).length === 0) {
+    return sendError(res, 'NO_CHANGES', 'At least one quote approval setting is required', 400);
+  }
+
+  requoteService.validateSettings(updates);
+
+  const updateData = {};
+  for (const [field, value] of Object.entries(updates)) {
+    updateData[`settings.quoteApproval.${field}`] = value;
+  }
+
+  const tenancyId = req.tenancyId || req.user?.tenancy;
+  const tenancy = await Tenancy.findByIdAndUpdate(
+    tenancyId,
+    { $set: updateData },
+    { new: true, runValidators: true }
+  ).select('settings.quoteApproval');
+
+  if (!tenancy) {
+    return sendError(res, 'TENANCY_NOT_FOUND', 'Tenancy not found', 404);
+  }
+
+  sendSuccess(res, { quoteApproval: tenancy.settings.quoteApproval }, 'Quote approval settings updated');
+});
+
+module.exports = {
+  getQuoteApprovalSettings,
+  updateQuoteApprovalSettings
+};
@@ -1,6 +1,7 @@
 const Service = require('../../models/Service')
 const OrderItem = require('../../models/OrderItem')
 const { sendSuccess, sendError, asyncHandler } = require('../../utils/helpers')
+const weightPricingService = require('../../services/weightPricingService')
 
 // @desc    Get all services
 // @route   GET /api/admin/services
@@ -45,11 +46,15 @@ const createService = asyncHandler(async (req, res) => {
     icon,
     category,
     basePriceMultiplier,
+    pricingModel,
+    weightPricing,
     turnaroundTime,
     isExpressAvailable,
     sortOrder
   } = req.body
 
+  weightPricingService.validateServicePricing({ pricingModel, weightPricing })
+
   // Check if service code already exists
   const existingService = await Service.findOne({ code: code.toLowerCase() })
   if (existingService) {
@@ -64,6 +69,8 @@ const createService = asyncHandler(async (req, res) => {
     icon,
     category,
     basePriceMultiplier,
+    pricingModel,
+    weightPricing,
     turnaroundTime,
     isExpressAvailable,
     sortOrder,
@@ -90,12 +97,21 @@ const updateService = asyncHandler(async (req, res) => {
     icon,
     category,
     basePriceMultiplier,
+    pricingModel,
+    weightPricing,
     turnaroundTime,
     isExpressAvailable,
     isActive,
     sortOrder
   } = req.body
 
+  // New weight rules apply over the saved ones
+  const { pricingModel: currentModel, weightPricing: currentRules } = service.toObject()
+  const mergedWeightPricing = weightPricingService.validateServicePricing(
+    { pricingModel, weightPricing },
+    { pricingModel: currentModel, weightPricing: currentRules }
+  )
+
   // Update fields
   if (name) service.name = name
   if (displayName) service.displayName = displayName
@@ -103,6 +119,8 @@ const updateService = asyncHandler(async (req, res) => {
   if (icon) service.icon = icon
   if (category) service.category = category
   if (basePriceMultiplier !== undefined) service.basePriceMultiplier = basePriceMultiplier
+  if (pricingModel) service.pricingModel = pricingModel
+  if (mergedWeightPricing) service.weightPricing = mergedWeightPricing
   if (turnaroundTime) service.turnaroundTime = turnaroundTime
   if (isExpressAvailable !== undefined) service.isExpressAvailable = isExpressAvailable
   if (isActive !== undefined) service.isActive = isActive
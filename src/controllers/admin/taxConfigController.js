@@ -0,0 +1,132 @@
+const Tenancy = require('../../models/Tenancy');
+const Branch = require('../../models/Branch');
+const { sendSuccess, sendError, asyncHandler } = require('../../utils/helpers');
+const { TAX_DEFAULTS, GST_STATE_CODES } = require('../../config/constants');
+const taxService = require('../../services/taxService');
+
+const TAX_CONFIG_FIELDS = [
+  'enabled', 'gstin', 'registeredState', 'defaultRate', 'sacCode',
+  'pricesIncludeTax', 'deliveryRate', 'deliverySacCode', 'serviceRates'
+];
+
+/**
+ * @desc    Get the tenancy's tax configuration
+ * @route   GET /api/admin/tax-config
+ * @access  Private (Admin)
+ */
+const getTaxConfig = asyncHandler(async (req, res) => {
+  const tenancyId = req.tenancyId || req.user?.tenancy;
+  const tenancy = await Tenancy.findById(tenancyId).select('settings.taxRate settings.taxConfig');
+
+  if (!tenancy) {
+    return sendError(res, 'TENANCY_NOT_FOUND', 'Tenancy not found', 404);
+  }
+
+  sendSuccess(res, {
+    taxConfig: tenancy.settings?.taxConfig,
+    taxRate: tenancy.settings?.taxRate,
+    defaults: TAX_DEFAULTS,
+    states: GST_STATE_CODES
+  }, 'Tax configuration retrieved');
+});
+
+/**
+ * @desc    Update the tenancy's tax configuration. Only the given fields
+ *          change; serviceRates is replaced as a whole.
+ * @route   PUT /api/admin/tax-config
+ * @access  Private (Admin)
+ */
+const updateTaxConfig = asyncHandler(async (req, res) => {
+  const updates = {};
+  for (const field of TAX_CONFIG_FIELDS) {
+    if (req.body[field] !== undefined) updates[field] = req.body[field];
+  }
+
+  if (Object.keys(updates).length === 0) {
+    return sendError(res, 'NO_CHANGES', 'At least one tax setting is required', 400);
+  }
+
+  taxService.validateConfig(updates);
+  if (updates.registeredState) {
+    updates.registeredState = taxService.resolveState(updates.registeredState);
+  }
+
+  const updateData = {};
+  for (const [field, value] of Object.entries(updates)) {
+    updateData[`settings.taxConfig.${field}`] = value;
+  }
+
+  const tenancyId = req.tenancyId || req.user?.tenancy;
+  const tenancy = await Tenancy.findByIdAndUpdate(
+    tenancyId,
+    { $set: updateData },
+    { new: true, runValidators: true }
+  ).select('settings.taxConfig');
+
+  if (!tenancy) {
+    return sendError(res, 'TENANCY_NOT_FOUND', 'Tenancy not found', 404);
+  }
+
+  sendSuccess(res, { taxConfig: tenancy.settings.taxConfig }, 'Tax configuration updated');
+});
+
+/**
+ * @desc    Set a branch's own GST registration (gstin, state, pricesIncludeTax).
+ *          null clears a field so the tenancy setting applies again.
+ * @route   PUT /api/admin/branches/:branchId/tax
+ * @access  Private (Admin)
+ */
+const updateBranchTaxOverride = asyncHandler(async (req, res) => {
+  const { branchId } = req.params;
+  const { gstin, state, pricesIncludeTax } = req.body;
+
+  taxService.validateConfig({ gstin: gstin || undefined, registeredState: state || undefined });
+  if (pricesIncludeTax !== undefined && pricesIncludeTax !== null && typeof pricesIncludeTax !== 'boolean') {
+    return sendError(res, 'INVALID_INPUT', 'pricesIncludeTax must be true, false or null', 400);
+  }
+
+  const toSet = {};
+  const toUnset = {};
+  const fields = { gstin, state: state && taxService.resolveState(state), pricesIncludeTax };
+  for (const [field, value] of Object.entries(fields)) {
+    if (value === undefined) continue;
+    if (value === null || value === '') toUnset[`taxOverride.${field}`] = '';
+    else toSet[`taxOverride.${field}`] = value;
+  }
+
+  if (Object.keys(toSet).length === 0 && Object.keys(toUnset).length === 0) {
+    return sendError(res, 'NO_CHANGES', 'Provide gstin, state or pricesIncludeTax', 400);
+  }
+  const updateData = {};
+  if (Object.keys(toSet).length > 0) updateData.$set = toSet;
+  if (Object.keys(toUnset).length > 0) updateData.$unset = toUnset;
+
+  // Scope by caller's tenancy so an admin can't change another tenant's branch
+  const tenancyId = req.tenancyId || req.user?.tenancy;
+  const branch = await Branch.findOneAndUpdate(
+    { _id: branchId, tenancy: tenancyId },
+    updateData,
+    { new: true }
+  );
+
+  if (!branch) {
+    return sendError(res, 'BRANCH_NOT_FOUND', 'Branch not found', 404);
+  }
+
+  const effective = await taxService.getTaxConfig(tenancyId, branch);
+
+  sendSuccess(res, {
+    branch: {
+      _id: branch._id,
+      name: branch.name,
+      taxOverride: branch.taxOverride
+    },
+    effective: { ...effective, serviceRates: [...effective.serviceRates.values()] }
+  }, 'Branch tax settings updated');
+});
+
+module.exports = {
+  getTaxConfig,
+  updateTaxConfig,
+  updateBranchTaxOverride
+};
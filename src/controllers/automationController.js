@@ -1,5 +1,9 @@
 const automationEngine = require('../services/automationEngine');
 const AutomationRule = require('../models/AutomationRule');
+const AutomationExecution = require('../models/AutomationExecution');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const Task = require('../models/Task');
+const webhookService = require('../services/webhookService');
 const asyncHandler = require('express-async-handler');
 
 // @desc    Get automation engine stats
@@ -67,6 +71,9 @@ const createRule = asyncHandler(async (req, res) => {
   const user = req.user;
   const ruleData = req.body;
 
+  // Secrets are generated server-side only
+  delete ruleData.webhookSecret;
+
   // Generate unique rule ID
   ruleData.ruleId = `rule_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   ruleData.createdBy = user._id;
@@ -139,6 +146,7 @@ const updateRule = asyncHandler(async (req, res) => {
   const { ruleId } = req.params;
   const user = req.user;
   const updates = req.body;
+  delete updates.webhookSecret;
 
   // Find existing rule
   const existingRule = await AutomationRule.findOne({ ruleId });
@@ -405,8 +413,16 @@ const getRuleHistory = asyncHandler(async (req, res) => {
     }
   }
 
-  // For now, return basic execution info
-  // In production, you'd query a separate execution log collection
+  const history = await AutomationExecution.getHistoryForRule(ruleId, {
+    page: parseInt(page),
+    limit: parseInt(limit),
+    status: req.query.status
+  });
+  const total = await AutomationExecution.countDocuments({
+    ruleId,
+    ...(req.query.status && { status: req.query.status })
+  });
+
   res.json({
     success: true,
     data: {
@@ -414,7 +430,13 @@ const getRuleHistory = asyncHandler(async (req, res) => {
       ruleName: existingRule.name,
       executionCount: existingRule.executionCount || 0,
       lastExecuted: existingRule.lastExecuted,
-      history: [] // TODO: Implement detailed execution history
+      history,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
     }
   });
 });
@@ -449,6 +471,292 @@ const triggerEvent = asyncHandler(async (req, res) => {
   }
 });
 
+// @desc    Get webhook delivery log for a rule
+// @route   GET /api/automation/rules/:ruleId/webhooks/deliveries
+// @access  Private (SuperAdmin/Admin)
+const getWebhookDeliveries = asyncHandler(async (req, res) => {
+  const { ruleId } = req.params;
+  const { status, executionId, page = 1, limit = 10 } = req.query;
+  const user = req.user;
+
+  // Find existing rule
+  const existingRule = await AutomationRule.findOne({ ruleId });
+  if (!existingRule) {
+    return res.status(404).json({
+      success: false,
+      message: 'Automation rule not found'
+    });
+  }
+
+  // Check permissions
+  if (user.role !== 'superadmin') {
+    if (existingRule.scope === 'PLATFORM' ||
+      existingRule.tenantId.toString() !== user.tenantId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Permission denied'
+      });
+    }
+  }
+
+  const query = { ruleId };
+  if (status) query.status = status;
+  if (executionId) query.executionId = executionId;
+
+  const skip = (page - 1) * limit;
+
+  const deliveries = await WebhookDelivery.find(query)
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(parseInt(limit));
+
+  const total = await WebhookDelivery.countDocuments(query);
+
+  res.json({
+    success: true,
+    data: {
+      deliveries,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// @desc    Replay a failed webhook delivery
+// @route   POST /api/automation/rules/:ruleId/webhooks/deliveries/:deliveryId/replay
+// @access  Private (SuperAdmin/Admin)
+const replayWebhookDelivery = asyncHandler(async (req, res) => {
+  const { ruleId, deliveryId } = req.params;
+  const user = req.user;
+
+  // Find existing rule
+  const existingRule = await AutomationRule.findOne({ ruleId });
+  if (!existingRule) {
+    return res.status(404).json({
+      success: false,
+      message: 'Automation rule not found'
+    });
+  }
+
+  // Check permissions
+  if (user.role !== 'superadmin') {
+    if (existingRule.scope === 'PLATFORM' ||
+      existingRule.tenantId.toString() !== user.tenantId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Permission denied'
+      });
+    }
+  }
+
+  const delivery = await WebhookDelivery.findOne({ ruleId, deliveryId });
+  if (!delivery) {
+    return res.status(404).json({
+      success: false,
+      message: 'Webhook delivery not found'
+    });
+  }
+
+  if (!delivery.canReplay()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Only failed deliveries can be replayed'
+    });
+  }
+
+  try {
+    const { delivery: replay } = await webhookService.replay(delivery, user._id);
+
+    const messages = {
+      success: 'Webhook delivery replayed successfully',
+      pending: 'Webhook replay failed, retrying'
+    };
+    res.json({
+      success: true,
+      data: replay,
+      message: messages[replay.status] || 'Webhook replay failed'
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @desc    Rotate the webhook signing secret for a rule
+// @route   POST /api/automation/rules/:ruleId/webhooks/secret/rotate
+// @access  Private (SuperAdmin/Admin)
+const rotateWebhookSecret = asyncHandler(async (req, res) => {
+  const { ruleId } = req.params;
+  const user = req.user;
+
+  // Find existing rule
+  const existingRule = await AutomationRule.findOne({ ruleId });
+  if (!existingRule) {
+    return res.status(404).json({
+      success: false,
+      message: 'Automation rule not found'
+    });
+  }
+
+  // Check permissions
+  if (user.role !== 'superadmin') {
+    if (existingRule.scope === 'PLATFORM' ||
+      existingRule.tenantId.toString() !== user.tenantId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Permission denied'
+      });
+    }
+  }
+
+  const webhookSecret = await webhookService.rotateSecret(ruleId);
+
+  res.json({
+    success: true,
+    data: {
+      ruleId,
+      webhookSecret
+    },
+    message: 'Webhook secret rotated successfully'
+  });
+});
+
+// @desc    Get tasks (created by automation or manually)
+// @route   GET /api/automation/tasks
+// @access  Private (SuperAdmin/Admin)
+const getTasks = asyncHandler(async (req, res) => {
+  const { status, assignedTeam, ruleId, mine, tenantId, page = 1, limit = 10 } = req.query;
+  const user = req.user;
+
+  const query = {};
+
+  // SuperAdmin can see all tasks, tenant users only their tenancy
+  if (user.role === 'superadmin') {
+    if (tenantId) query.tenancy = tenantId;
+  } else {
+    query.tenancy = user.tenancy;
+  }
+
+  if (status) query.status = status;
+  if (assignedTeam) query.assignedTeam = assignedTeam;
+  if (ruleId) query['source.ruleId'] = ruleId;
+  if (mine === 'true') query.assignedTo = user._id;
+
+  const skip = (page - 1) * limit;
+
+  const tasks = await Task.find(query)
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(parseInt(limit));
+
+  const total = await Task.countDocuments(query);
+
+  res.json({
+    success: true,
+    data: {
+      tasks,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// @desc    Assign a task to a user or team
+// @route   PATCH /api/automation/tasks/:taskId/assign
+// @access  Private (SuperAdmin/Admin)
+const assignTask = asyncHandler(async (req, res) => {
+  const { taskId } = req.params;
+  const { assignedTo, assignedTeam } = req.body;
+  const user = req.user;
+
+  if (!assignedTo && !assignedTeam) {
+    return res.status(400).json({
+      success: false,
+      message: 'assignedTo or assignedTeam is required'
+    });
+  }
+
+  const task = await Task.findById(taskId);
+  if (!task) {
+    return res.status(404).json({
+      success: false,
+      message: 'Task not found'
+    });
+  }
+
+  // Check permissions
+  if (user.role !== 'superadmin' &&
+    (!task.tenancy || task.tenancy.toString() !== user.tenancy?.toString())) {
+    return res.status(403).json({
+      success: false,
+      message: 'Permission denied'
+    });
+  }
+
+  await task.assign({
+    assignedTo,
+    assignedToModel: user.role === 'superadmin' && assignedTo ? 'SuperAdmin' : 'User',
+    assignedTeam
+  }, user._id);
+
+  res.json({
+    success: true,
+    data: task,
+    message: 'Task assigned successfully'
+  });
+});
+
+// @desc    Update task status
+// @route   PATCH /api/automation/tasks/:taskId/status
+// @access  Private (SuperAdmin/Admin)
+const updateTaskStatus = asyncHandler(async (req, res) => {
+  const { taskId } = req.params;
+  const { status, notes } = req.body;
+  const user = req.user;
+
+  const task = await Task.findById(taskId);
+  if (!task) {
+    return res.status(404).json({
+      success: false,
+      message: 'Task not found'
+    });
+  }
+
+  // Check permissions
+  if (user.role !== 'superadmin' &&
+    (!task.tenancy || task.tenancy.toString() !== user.tenancy?.toString())) {
+    return res.status(403).json({
+      success: false,
+      message: 'Permission denied'
+    });
+  }
+
+  try {
+    await task.updateStatus(status, user._id, notes);
+
+    res.json({
+      success: true,
+      data: task,
+      message: 'Task status updated successfully'
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
 module.exports = {
   getStats,
   getRules,
@@ -458,5 +766,11 @@ module.exports = {
   toggleRule,
   testRule,
   getRuleHistory,
-  triggerEvent
+  triggerEvent,
+  getWebhookDeliveries,
+  replayWebhookDelivery,
+  rotateWebhookSecret,
+  getTasks,
+  assignTask,
+  updateTaskStatus
 };
\ No newline at end of file
@@ -3,9 +3,18 @@
  * Handles barcode scanning, item tag scanning, and label printing
  */
 
+const mongoose = require('mongoose');
 const Order = require('../models/Order');
 const OrderItem = require('../models/OrderItem');
-const { sendSuccess, sendError, asyncHandler } = require('../utils/helpers');
+const Lot = require('../models/Lot');
+const OrderService = require('../services/orderService');
+const itemTrackingService = require('../services/itemTrackingService');
+const lotService = require('../services/lotService');
+const inventoryConsumptionService = require('../services/inventoryConsumptionService');
+const weightPricingService = require('../services/weightPricingService');
+const requoteService = require('../services/requoteService');
+const Branch = require('../models/Branch');
+const { sendSuccess, sendError, asyncHandler, getOrderActorRole } = require('../utils/helpers');
 const { isValidBarcode, isValidItemTag, getBarcodeData, getItemTagData, generatePrintLabels } = require('../utils/barcode');
 
 // @desc    Scan barcode and get order details
@@ -24,6 +33,11 @@ const scanBarcode = asyncHandler(async (req, res) => {
     return scanItemTag(req, res);
   }
 
+  // Bag/lot barcode (starts with LT)
+  if (barcode.toUpperCase().startsWith('LT')) {
+    return getLot(req, res);
+  }
+
   // Get tenancy ID from request or user
   const tenancyId = req.tenancyId || req.user?.tenancy;
 
@@ -163,6 +177,15 @@ const scanItemTag = asyncHandler(async (req, res) => {
     return sendError(res, 'ORDER_NOT_FOUND', 'Order not found for this item or access denied', 404);
   }
 
+  await itemTrackingService.record({
+    item,
+    order,
+    action: 'scan',
+    station: itemTrackingService.getStation(req),
+    staff: req.user._id,
+    toStatus: item.processingStatus
+  });
+
   // Get all items in this order for context
   const allItems = await OrderItem.find({ order: order._id });
 
@@ -341,13 +364,20 @@ const updateItemStatusViaScan = asyncHandler(async (req, res) => {
   }
 
   // Verify tenancy access by checking the order
+  const orderQuery = { _id: item.order };
   if (tenancyId) {
-    const order = await Order.findOne({ _id: item.order, tenancy: tenancyId });
-    if (!order) {
-      return sendError(res, 'ACCESS_DENIED', 'Access denied to this item', 403);
-    }
+    orderQuery.tenancy = tenancyId;
+  }
+  const order = await Order.findOne(orderQuery).select('orderNumber barcode status tenancy branch pendingRequote');
+  if (!order) {
+    return sendError(res, 'ACCESS_DENIED', 'Access denied to this item', 403);
+  }
+  // The customer may still reject the revised items
+  if (order.pendingRequote && processingStatus !== 'pending') {
+    return sendError(res, 'QUOTE_PENDING_APPROVAL', 'The customer has not approved the revised quote yet', 409);
   }
 
+  const previousStatus = item.processingStatus;
   item.processingStatus = processingStatus;
   
   // If quality check, add quality check info
@@ -362,15 +392,33 @@ const updateItemStatusViaScan = asyncHandler(async (req, res) => {
 
   await item.save();
 
-  // Get order to return context
-  const order = await Order.findById(item.order).select('orderNumber barcode status');
+  await itemTrackingService.record({
+    item,
+    order,
+    action: 'status_change',
+    station: itemTrackingService.getStation(req),
+    staff: req.user._id,
+    fromStatus: previousStatus,
+    toStatus: processingStatus,
+    notes
+  });
+
+  // Processing starts: debit the item's consumption recipe (once per item)
+  if (processingStatus === 'in_progress') {
+    try {
+      await inventoryConsumptionService.consumeItems([item], { requestedBy: req.user._id });
+    } catch (error) {
+      console.error('Inventory consumption failed for item scan:', error);
+    }
+  }
 
   sendSuccess(res, { 
     tagCode: item.tagCode,
     itemType: item.itemType,
+    previousStatus,
     newStatus: processingStatus,
-    orderNumber: order?.orderNumber,
-    orderStatus: order?.status
+    orderNumber: order.orderNumber,
+    orderStatus: order.status
   }, 'Item status updated successfully');
 });
 
@@ -402,8 +450,13 @@ const updateStatusViaScan = asyncHandler(async (req, res) => {
     return sendError(res, 'ORDER_NOT_FOUND', 'No order found with this barcode', 404);
   }
 
-  // Update status
-  await order.updateStatus(status, req.user._id, notes || `Status updated via barcode scan`);
+  // Update status through the state machine (409 on illegal moves)
+  await OrderService.transitionOrder(order, status, {
+    updatedBy: req.user._id,
+    role: getOrderActorRole(req),
+    notes: notes || `Status updated via barcode scan`,
+    reason: notes
+  });
 
   sendSuccess(res, { 
     orderNumber: order.orderNumber,
@@ -441,10 +494,18 @@ const bulkScan = asyncHandler(async (req, res) => {
         
         const order = await Order.findOne(orderQuery)
           .populate('customer', 'name phone')
-          .select('orderNumber barcode status isExpress tenancy');
+          .select('orderNumber barcode status isExpress tenancy branch');
         
         // Only include if order exists and belongs to tenancy
         if (order) {
+          await itemTrackingService.record({
+            item,
+            order,
+            action: 'scan',
+            station: itemTrackingService.getStation(req),
+            staff: req.user._id,
+            toStatus: item.processingStatus
+          });
           results.push({
             type: 'item',
             tagCode: item.tagCode,
@@ -463,6 +524,26 @@ const bulkScan = asyncHandler(async (req, res) => {
       } else {
         notFound.push(barcode);
       }
+    } else if (barcode.toUpperCase().startsWith('LT')) {
+      const lotQuery = { barcode: barcode.toUpperCase() };
+      if (tenancyId) {
+        lotQuery.tenancy = tenancyId;
+      }
+
+      const lot = await Lot.findOne(lotQuery).select('barcode name kind status items lastScan');
+      if (lot) {
+        results.push({
+          type: 'lot',
+          barcode: lot.barcode,
+          name: lot.name,
+          kind: lot.kind,
+          status: lot.status,
+          itemCount: lot.items.length,
+          lastScan: lot.lastScan
+        });
+      } else {
+        notFound.push(barcode);
+      }
     } else {
       // Order barcode - build query with tenancy filter
       const orderQuery = {
@@ -528,11 +609,13 @@ const reportItemIssue = asyncHandler(async (req, res) => {
   }
 
   // Verify tenancy access by checking the order
+  const orderQuery = { _id: item.order };
   if (tenancyId) {
-    const order = await Order.findOne({ _id: item.order, tenancy: tenancyId });
-    if (!order) {
-      return sendError(res, 'ACCESS_DENIED', 'Access denied to this item', 403);
-    }
+    orderQuery.tenancy = tenancyId;
+  }
+  const order = await Order.findOne(orderQuery).select('tenancy branch');
+  if (!order) {
+    return sendError(res, 'ACCESS_DENIED', 'Access denied to this item', 403);
   }
 
   item.issues.push({
@@ -545,6 +628,16 @@ const reportItemIssue = asyncHandler(async (req, res) => {
 
   await item.save();
 
+  await itemTrackingService.record({
+    item,
+    order,
+    action: 'issue',
+    station: itemTrackingService.getStation(req),
+    staff: req.user._id,
+    toStatus: item.processingStatus,
+    notes: `${issueType}${description ? `: ${description}` : ''}`
+  });
+
   sendSuccess(res, { 
     tagCode: item.tagCode,
     itemType: item.itemType,
@@ -552,6 +645,366 @@ const reportItemIssue = asyncHandler(async (req, res) => {
   }, 'Issue reported successfully');
 });
 
+// @desc    Scan history of an item, oldest first
+// @route   GET /api/barcode/scan-item/:tagCode/timeline
+// @access  Private (Staff/Admin)
+const getItemTimeline = asyncHandler(async (req, res) => {
+  const { tagCode } = req.params;
+
+  // Get tenancy ID from request or user
+  const tenancyId = req.tenancyId || req.user?.tenancy;
+
+  const item = await OrderItem.findOne({ tagCode: tagCode.toUpperCase() })
+    .select('order tagCode itemType service processingStatus');
+
+  if (!item) {
+    return sendError(res, 'ITEM_NOT_FOUND', 'No item found with this tag code', 404);
+  }
+
+  const orderQuery = { _id: item.order };
+  if (tenancyId) {
+    orderQuery.tenancy = tenancyId;
+  }
+  const order = await Order.findOne(orderQuery).select('orderNumber status');
+  if (!order) {
+    return sendError(res, 'ACCESS_DENIED', 'Access denied to this item', 403);
+  }
+
+  const timeline = await itemTrackingService.getItemTimeline(item._id);
+
+  sendSuccess(res, {
+    tagCode: item.tagCode,
+    itemType: item.itemType,
+    service: item.service,
+    processingStatus: item.processingStatus,
+    orderNumber: order.orderNumber,
+    orderStatus: order.status,
+    timeline
+  }, 'Item timeline retrieved successfully');
+});
+
+// @desc    Items of an order that haven't reached ready, with their last scan
+// @route   GET /api/barcode/order/:orderId/unready-items
+// @access  Private (Staff/Admin)
+const getUnreadyItems = asyncHandler(async (req, res) => {
+  const { orderId } = req.params;
+
+  // Get tenancy ID from request or user
+  const tenancyId = req.tenancyId || req.user?.tenancy;
+
+  const query = { _id: orderId };
+  if (tenancyId) {
+    query.tenancy = tenancyId;
+  }
+
+  const order = await Order.findOne(query).select('orderNumber status');
+  if (!order) {
+    return sendError(res, 'ORDER_NOT_FOUND', 'Order not found', 404);
+  }
+
+  const items = await itemTrackingService.getUnreadyItems(order._id);
+
+  sendSuccess(res, {
+    orderNumber: order.orderNumber,
+    orderStatus: order.status,
+    allReady: items.length === 0,
+    items
+  }, 'Item readiness retrieved successfully');
+});
+
+// @desc    Record the weighed weight of an order's per-kg items. The order is
+//          re-quoted and the customer notified when its total changes.
+// @route   PUT /api/barcode/order/:orderId/weights
+// @access  Private (Staff/Admin)
+const recordOrderWeights = asyncHandler(async (req, res) => {
+  const { orderId } = req.params;
+  const { weights } = req.body;
+
+  if (!mongoose.isValidObjectId(orderId)) {
+    return sendError(res, 'INVALID_ORDER', 'Invalid order ID', 400);
+  }
+  if (!Array.isArray(weights) || weights.length === 0) {
+    return sendError(res, 'INVALID_INPUT', 'Please provide an array of item weights', 400);
+  }
+
+  // Get tenancy ID from request or user
+  const tenancyId = req.tenancyId || req.user?.tenancy;
+
+  const query = { _id: orderId };
+  if (tenancyId) {
+    query.tenancy = tenancyId;
+  }
+
+  const order = await Order.findOne(query);
+  if (!order) {
+    return sendError(res, 'ORDER_NOT_FOUND', 'Order not found', 404);
+  }
+
+  const result = await weightPricingService.recordWeights(order, weights, { staff: req.user._id });
+
+  sendSuccess(res, {
+    orderNumber: order.orderNumber,
+    items: result.items,
+    requoted: Boolean(result.requote),
+    requote: result.requote,
+    pricing: order.pricing
+  }, result.requote ? 'Weights recorded and order re-quoted' : 'Weights recorded');
+});
+
+// @desc    Revise an order's items after pickup. Small increases (per the
+//          tenancy's quote approval settings) apply at once; larger ones are
+//          sent to the customer for approval.
+// @route   PUT /api/barcode/order/:orderId/items
+// @access  Private (Staff/Admin)
+const reviseOrderItems = asyncHandler(async (req, res) => {
+  const { orderId } = req.params;
+  const { items, notes } = req.body;
+
+  if (!mongoose.isValidObjectId(orderId)) {
+    return sendError(res, 'INVALID_ORDER', 'Invalid order ID', 400);
+  }
+  if (!Array.isArray(items) || items.length === 0) {
+    return sendError(res, 'INVALID_INPUT', 'Please provide the revised list of items', 400);
+  }
+
+  // Get tenancy ID from request or user
+  const tenancyId = req.tenancyId || req.user?.tenancy;
+
+  const query = { _id: orderId };
+  if (tenancyId) {
+    query.tenancy = tenancyId;
+  }
+
+  const order = await Order.findOne(query);
+  if (!order) {
+    return sendError(res, 'ORDER_NOT_FOUND', 'Order not found', 404);
+  }
+
+  const { requote } = await requoteService.proposeItemChanges(order, items, {
+    staff: req.user._id,
+    notes: typeof notes === 'string' ? notes.trim() : undefined
+  });
+  const pending = requote.status === 'pending';
+
+  sendSuccess(res, {
+    orderNumber: order.orderNumber,
+    requote: requoteService.toView(order, requote),
+    awaitingApproval: pending,
+    pricing: order.pricing
+  }, pending ? 'Revised quote sent to the customer for approval' : 'Order items revised');
+});
+
+// @desc    Items flagged because their order was delivered before they reached ready
+// @route   GET /api/barcode/flagged-items?branchId=&from=&to=&limit=
+// @access  Private (Admin)
+const getFlaggedItems = asyncHandler(async (req, res) => {
+  const { branchId, from, to, limit } = req.query;
+
+  // Get tenancy ID from request or user
+  const tenancyId = req.tenancyId || req.user?.tenancy;
+
+  if (branchId && !mongoose.isValidObjectId(branchId)) {
+    return sendError(res, 'INVALID_BRANCH', 'Invalid branch ID', 400);
+  }
+
+  const events = await itemTrackingService.getFlaggedItems({
+    tenancy: tenancyId,
+    branch: branchId,
+    from,
+    to,
+    limit
+  });
+
+  sendSuccess(res, { count: events.length, items: events }, 'Flagged items retrieved successfully');
+});
+
+// ==================== BAGS & LOTS ====================
+
+// @desc    Create a bag or wash lot, optionally with items
+// @route   POST /api/barcode/lots
+// @access  Private (Staff/Admin)
+const createLot = asyncHandler(async (req, res) => {
+  const { branchId, kind, name, notes, tagCodes } = req.body;
+
+  // Get tenancy ID from request or user
+  const tenancyId = req.tenancyId || req.user?.tenancy;
+  if (!tenancyId) {
+    return sendError(res, 'TENANCY_REQUIRED', 'Lots belong to a tenancy', 400);
+  }
+
+  const branch = branchId || req.user?.assignedBranch;
+  if (!branch || !mongoose.isValidObjectId(branch)) {
+    return sendError(res, 'BRANCH_REQUIRED', 'A valid branchId is required', 400);
+  }
+  if (!(await Branch.exists({ _id: branch, tenancy: tenancyId }))) {
+    return sendError(res, 'BRANCH_NOT_FOUND', 'Branch not found', 404);
+  }
+  if (kind && !['bag', 'wash_lot'].includes(kind)) {
+    return sendError(res, 'INVALID_KIND', 'kind must be bag or wash_lot', 400);
+  }
+
+  let lot = await lotService.createLot({
+    tenancy: tenancyId,
+    branch,
+    kind,
+    name,
+    notes,
+    createdBy: req.user._id
+  });
+
+  if (Array.isArray(tagCodes) && tagCodes.length > 0) {
+    ({ lot } = await lotService.addItems(lot, tagCodes, {
+      staff: req.user._id,
+      station: itemTrackingService.getStation(req)
+    }));
+  }
+
+  sendSuccess(res, { lot }, 'Lot created successfully', 201);
+});
+
+// @desc    List bags and lots
+// @route   GET /api/barcode/lots?branchId=&status=&limit=
+// @access  Private (Staff/Admin)
+const getLots = asyncHandler(async (req, res) => {
+  const { branchId, status, limit } = req.query;
+
+  // Get tenancy ID from request or user
+  const tenancyId = req.tenancyId || req.user?.tenancy;
+  if (!tenancyId) {
+    return sendError(res, 'TENANCY_REQUIRED', 'Lots belong to a tenancy', 400);
+  }
+  if (branchId && !mongoose.isValidObjectId(branchId)) {
+    return sendError(res, 'INVALID_BRANCH', 'Invalid branch ID', 400);
+  }
+
+  const lots = await lotService.listLots({
+    tenancy: tenancyId,
+    branch: branchId,
+    status: ['open', 'closed'].includes(status) ? status : undefined,
+    limit
+  });
+
+  sendSuccess(res, { count: lots.length, lots }, 'Lots retrieved successfully');
+});
+
+// @desc    Get a bag or lot with its items
+// @route   GET /api/barcode/lots/:barcode
+// @access  Private (Staff/Admin)
+const getLot = asyncHandler(async (req, res) => {
+  const tenancyId = req.tenancyId || req.user?.tenancy;
+
+  const lot = await lotService.findLot(req.params.barcode, tenancyId);
+  await lotService.getLotDetails(lot);
+
+  sendSuccess(res, { scanType: 'lot', lot }, 'Lot found successfully');
+});
+
+// @desc    Add items to a bag or lot
+// @route   POST /api/barcode/lots/:barcode/items
+// @access  Private (Staff/Admin)
+const addLotItems = asyncHandler(async (req, res) => {
+  const tenancyId = req.tenancyId || req.user?.tenancy;
+  const { tagCodes } = req.body;
+
+  if (!Array.isArray(tagCodes) || tagCodes.length === 0) {
+    return sendError(res, 'INVALID_INPUT', 'Please provide an array of item tag codes', 400);
+  }
+
+  const lot = await lotService.findLot(req.params.barcode, tenancyId);
+  const result = await lotService.addItems(lot, tagCodes, {
+    staff: req.user._id,
+    station: itemTrackingService.getStation(req)
+  });
+
+  sendSuccess(res, {
+    barcode: result.lot.barcode,
+    added: result.added,
+    itemCount: result.lot.items.length
+  }, 'Items added to lot');
+});
+
+// @desc    Take items out of a bag or lot
+// @route   POST /api/barcode/lots/:barcode/items/remove
+// @access  Private (Staff/Admin)
+const removeLotItems = asyncHandler(async (req, res) => {
+  const tenancyId = req.tenancyId || req.user?.tenancy;
+  const { tagCodes } = req.body;
+
+  if (!Array.isArray(tagCodes) || tagCodes.length === 0) {
+    return sendError(res, 'INVALID_INPUT', 'Please provide an array of item tag codes', 400);
+  }
+
+  const lot = await lotService.findLot(req.params.barcode, tenancyId);
+  const result = await lotService.removeItems(lot, tagCodes, {
+    staff: req.user._id,
+    station: itemTrackingService.getStation(req)
+  });
+
+  sendSuccess(res, {
+    barcode: result.lot.barcode,
+    removed: result.removed,
+    itemCount: result.lot.items.length
+  }, 'Items removed from lot');
+});
+
+// @desc    Batch scan: move every item in a bag or lot to a processing status
+// @route   PUT /api/barcode/lots/:barcode/status
+// @access  Private (Staff/Admin)
+const scanLot = asyncHandler(async (req, res) => {
+  const tenancyId = req.tenancyId || req.user?.tenancy;
+  const { processingStatus, notes } = req.body;
+
+  const lot = await lotService.findLot(req.params.barcode, tenancyId);
+  const result = await lotService.advanceLot(lot, {
+    processingStatus,
+    station: itemTrackingService.getStation(req),
+    notes,
+    staff: req.user._id
+  });
+
+  sendSuccess(res, {
+    barcode: result.lot.barcode,
+    newStatus: processingStatus,
+    updatedCount: result.updated.length,
+    updated: result.updated,
+    unchanged: result.unchanged
+  }, 'Lot items updated successfully');
+});
+
+// @desc    Close a bag or lot
+// @route   POST /api/barcode/lots/:barcode/close
+// @access  Private (Staff/Admin)
+const closeLot = asyncHandler(async (req, res) => {
+  const tenancyId = req.tenancyId || req.user?.tenancy;
+
+  const lot = await lotService.findLot(req.params.barcode, tenancyId);
+  await lotService.closeLot(lot);
+
+  sendSuccess(res, { barcode: lot.barcode, status: lot.status, closedAt: lot.closedAt }, 'Lot closed successfully');
+});
+
+// @desc    Print labels for the items of a bag or lot
+// @route   GET /api/barcode/lots/:barcode/labels
+// @access  Private (Staff/Admin)
+const getLotLabels = asyncHandler(async (req, res) => {
+  const tenancyId = req.tenancyId || req.user?.tenancy;
+
+  const lot = await lotService.findLot(req.params.barcode, tenancyId);
+  const labels = await lotService.getLotLabels(lot);
+
+  if (labels.length === 0) {
+    return sendError(res, 'NO_ITEMS', 'No items found in this lot', 404);
+  }
+
+  sendSuccess(res, {
+    lotBarcode: lot.barcode,
+    lotName: lot.name || '',
+    barcodeData: getBarcodeData(lot.barcode, lot.name || lot.barcode),
+    totalLabels: labels.length,
+    labels
+  }, 'Labels generated successfully');
+});
+
 module.exports = {
   scanBarcode,
   scanItemTag,
@@ -560,5 +1013,18 @@ module.exports = {
   updateItemStatusViaScan,
   updateStatusViaScan,
   bulkScan,
-  reportItemIssue
+  reportItemIssue,
+  getItemTimeline,
+  getUnreadyItems,
+  recordOrderWeights,
+  reviseOrderItems,
+  getFlaggedItems,
+  createLot,
+  getLots,
+  getLot,
+  addLotItems,
+  removeLotItems,
+  scanLot,
+  closeLot,
+  getLotLabels
 };
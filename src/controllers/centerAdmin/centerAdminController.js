@@ -7,8 +7,10 @@ const {
   sendError, 
   asyncHandler,
   getPagination,
-  formatPaginationResponse
+  formatPaginationResponse,
+  getOrderActorRole
 } = require('../../utils/helpers');
+const { ORDER_STATUS } = require('../../config/constants');
 
 // Helper function to get admin's assigned branch
 // Works with new 'admin' role (uses assignedBranch field)
@@ -192,7 +194,7 @@ const getOrders = asyncHandler(async (req, res) => {
 const updateOrderStatus = asyncHandler(async (req, res) => {
   const user = req.user;
   const { orderId } = req.params;
-  const { status, notes } = req.body;
+  const { status, notes, reason } = req.body;
 
   const branch = await getAdminBranch(user);
   if (!branch) {
@@ -204,22 +206,13 @@ const updateOrderStatus = asyncHandler(async (req, res) => {
     return sendError(res, 'ORDER_NOT_FOUND', 'Order not found in your branch', 404);
   }
 
-  // Valid status transitions for branch
-  const validTransitions = {
-    'placed': ['in_process'],
-    'assigned_to_branch': ['in_process'],
-    'picked': ['in_process'],
-    'in_process': ['ready'],
-    'ready': ['out_for_delivery'],
-    'out_for_delivery': ['delivered']
-  };
-
-  if (!validTransitions[order.status]?.includes(status)) {
-    return sendError(res, 'INVALID_TRANSITION', `Cannot change status from ${order.status} to ${status}`, 400);
-  }
-
-  // Use OrderService to update status and send notifications
-  await OrderService.updateOrderStatus(orderId, status, user._id, notes || 'Status updated by branch manager');
+  // State machine validates the move and sends notifications
+  await OrderService.transitionOrder(order, status, {
+    updatedBy: user._id,
+    role: getOrderActorRole(req),
+    notes: notes || 'Status updated by branch manager',
+    reason: reason || notes
+  });
 
   const updatedOrder = await Order.findById(orderId)
     .populate('customer', 'name phone')
@@ -266,19 +259,22 @@ const assignStaffToOrder = asyncHandler(async (req, res) => {
     order.estimatedDeliveryDate = estimatedDate;
   }
   
-  if (order.status === 'assigned_to_branch' || order.status === 'picked') {
-    order.status = 'in_process';
+  // Assigning staff starts processing for orders waiting at the branch
+  if (order.status === ORDER_STATUS.ASSIGNED_TO_BRANCH || order.status === ORDER_STATUS.PICKED) {
+    await OrderService.transitionOrder(order, ORDER_STATUS.IN_PROCESS, {
+      updatedBy: user._id,
+      role: getOrderActorRole(req),
+      notes: `Assigned to ${staff.name}`
+    });
+  } else {
+    order.statusHistory.push({
+      status: order.status,
+      updatedBy: user._id,
+      updatedAt: new Date(),
+      notes: `Assigned to ${staff.name}`
+    });
+    await order.save();
   }
-  
-  if (!order.statusHistory) order.statusHistory = [];
-  order.statusHistory.push({
-    status: order.status,
-    updatedBy: user._id,
-    updatedAt: new Date(),
-    notes: `Assigned to ${staff.name}`
-  });
-
-  await order.save();
 
   const updatedOrder = await Order.findById(orderId)
     .populate('customer', 'name phone');
@@ -513,6 +509,11 @@ const updateSettings = asyncHandler(async (req, res) => {
   
   await branch.save();
 
+  // Working days or closing time may have moved open orders' delivery dates
+  if (operatingHours) {
+    await businessCalendar.recomputeOpenOrders(branch._id);
+  }
+
   sendSuccess(res, { branch }, 'Settings updated successfully');
 });
 
@@ -1328,3 +1329,321 @@ module.exports.getServiceItems = getServiceItems;
 module.exports.addServiceItem = addServiceItem;
 module.exports.updateServiceItem = updateServiceItem;
 module.exports.deleteServiceItem = deleteServiceItem;
+
+
+// ==================== HOLIDAY CALENDAR ====================
+
+const businessCalendar = require('../../services/businessCalendarService');
+
+const formatHoliday = (holiday) => ({
+  _id: holiday._id,
+  date: holiday.date ? new Date(holiday.date).toISOString().slice(0, 10) : null,
+  reason: holiday.reason,
+  isRecurring: holiday.isRecurring
+});
+
+// @desc    Get branch holidays
+// @route   GET /api/branch/holidays
+// @access  Private (Branch Manager)
+const getHolidays = asyncHandler(async (req, res) => {
+  const branch = await getAdminBranch(req.user);
+  if (!branch) {
+    return sendError(res, 'NO_BRANCH', 'No branch assigned', 404);
+  }
+
+  const holidays = (branch.holidays || [])
+    .map(formatHoliday)
+    .sort((a, b) => (a.date || '').localeCompare(b.date || ''));
+
+  sendSuccess(res, { holidays }, 'Holidays retrieved successfully');
+});
+
+// @desc    Add a branch holiday and push back delivery dates of open orders
+// @route   POST /api/branch/holidays
+// @access  Private (Branch Manager)
+const addHoliday = asyncHandler(async (req, res) => {
+  const { date, reason, isRecurring = false } = req.body;
+
+  if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(new Date(`${date}T00:00:00.000Z`).getTime())) {
+    return sendError(res, 'INVALID_DATE', 'date is required (YYYY-MM-DD)', 400);
+  }
+
+  const branch = await getAdminBranch(req.user);
+  if (!branch) {
+    return sendError(res, 'NO_BRANCH', 'No branch assigned', 404);
+  }
+
+  if (businessCalendar.getHoliday(branch, date)) {
+    return sendError(res, 'HOLIDAY_EXISTS', 'A holiday is already set for this date', 409);
+  }
+
+  branch.holidays.push({
+    date: new Date(`${date}T00:00:00.000Z`),
+    reason,
+    isRecurring: !!isRecurring,
+    createdBy: req.user._id
+  });
+  await branch.save();
+
+  const recomputed = await businessCalendar.recomputeOpenOrders(branch._id);
+
+  sendSuccess(res, {
+    holiday: formatHoliday(branch.holidays[branch.holidays.length - 1]),
+    recomputedOrders: recomputed.updated
+  }, 'Holiday added successfully');
+});
+
+// @desc    Remove a branch holiday
+// @route   DELETE /api/branch/holidays/:holidayId
+// @access  Private (Branch Manager)
+const deleteHoliday = asyncHandler(async (req, res) => {
+  const branch = await getAdminBranch(req.user);
+  if (!branch) {
+    return sendError(res, 'NO_BRANCH', 'No branch assigned', 404);
+  }
+
+  const holiday = branch.holidays.id(req.params.holidayId);
+  if (!holiday) {
+    return sendError(res, 'HOLIDAY_NOT_FOUND', 'Holiday not found', 404);
+  }
+
+  holiday.deleteOne();
+  await branch.save();
+
+  const recomputed = await businessCalendar.recomputeOpenOrders(branch._id);
+
+  sendSuccess(res, { recomputedOrders: recomputed.updated }, 'Holiday removed successfully');
+});
+
+module.exports.getHolidays = getHolidays;
+module.exports.addHoliday = addHoliday;
+module.exports.deleteHoliday = deleteHoliday;
+
+
+// ==================== SERVICE ZONES ====================
+
+const ServiceZone = require('../../models/ServiceZone');
+const serviceZoneService = require('../../services/serviceZoneService');
+
+// @desc    Get branch delivery zones
+// @route   GET /api/branch/zones
+// @access  Private (Branch Manager)
+const getServiceZones = asyncHandler(async (req, res) => {
+  const branch = await getAdminBranch(req.user);
+  if (!branch) {
+    return sendError(res, 'NO_BRANCH', 'No branch assigned', 404);
+  }
+
+  const zones = await serviceZoneService.getBranchZones(branch._id);
+
+  sendSuccess(res, { zones }, 'Service zones retrieved successfully');
+});
+
+// @desc    Add a delivery zone (GeoJSON polygon)
+// @route   POST /api/branch/zones
+// @access  Private (Branch Manager)
+const createServiceZone = asyncHandler(async (req, res) => {
+  const branch = await getAdminBranch(req.user);
+  if (!branch) {
+    return sendError(res, 'NO_BRANCH', 'No branch assigned', 404);
+  }
+
+  const errors = serviceZoneService.validateZone(req.body);
+  if (errors.length > 0) {
+    return sendError(res, 'VALIDATION_ERROR', errors.join('; '), 400);
+  }
+
+  let zone;
+  try {
+    zone = await ServiceZone.create({
+      ...serviceZoneService.pickZoneFields(req.body),
+      tenancy: branch.tenancy,
+      branch: branch._id,
+      createdBy: req.user._id
+    });
+  } catch (error) {
+    if (serviceZoneService.isGeometryError(error)) {
+      return sendError(res, 'INVALID_GEOMETRY', 'Zone polygon is not valid (edges must not cross)', 400);
+    }
+    throw error;
+  }
+
+  const overlaps = await serviceZoneService.findOverlaps(zone);
+
+  sendSuccess(res, { zone, overlaps }, 'Service zone created successfully');
+});
+
+// @desc    Update a delivery zone
+// @route   PUT /api/branch/zones/:zoneId
+// @access  Private (Branch Manager)
+const updateServiceZone = asyncHandler(async (req, res) => {
+  const branch = await getAdminBranch(req.user);
+  if (!branch) {
+    return sendError(res, 'NO_BRANCH', 'No branch assigned', 404);
+  }
+
+  const zone = await ServiceZone.findOne({ _id: req.params.zoneId, branch: branch._id });
+  if (!zone) {
+    return sendError(res, 'ZONE_NOT_FOUND', 'Service zone not found', 404);
+  }
+
+  const errors = serviceZoneService.validateZone(req.body, { partial: true });
+  if (errors.length > 0) {
+    return sendError(res, 'VALIDATION_ERROR', errors.join('; '), 400);
+  }
+
+  zone.set(serviceZoneService.pickZoneFields(req.body));
+  try {
+    await zone.save();
+  } catch (error) {
+    if (serviceZoneService.isGeometryError(error)) {
+      return sendError(res, 'INVALID_GEOMETRY', 'Zone polygon is not valid (edges must not cross)', 400);
+    }
+    throw error;
+  }
+
+  const overlaps = await serviceZoneService.findOverlaps(zone);
+
+  sendSuccess(res, { zone, overlaps }, 'Service zone updated successfully');
+});
+
+// @desc    Delete a delivery zone
+// @route   DELETE /api/branch/zones/:zoneId
+// @access  Private (Branch Manager)
+const deleteServiceZone = asyncHandler(async (req, res) => {
+  const branch = await getAdminBranch(req.user);
+  if (!branch) {
+    return sendError(res, 'NO_BRANCH', 'No branch assigned', 404);
+  }
+
+  const zone = await ServiceZone.findOneAndDelete({ _id: req.params.zoneId, branch: branch._id });
+  if (!zone) {
+    return sendError(res, 'ZONE_NOT_FOUND', 'Service zone not found', 404);
+  }
+
+  sendSuccess(res, null, 'Service zone deleted successfully');
+});
+
+module.exports.getServiceZones = getServiceZones;
+module.exports.createServiceZone = createServiceZone;
+module.exports.updateServiceZone = updateServiceZone;
+module.exports.deleteServiceZone = deleteServiceZone;
+
+// ==================== CONSUMPTION RECIPES & REORDER ====================
+
+const ConsumptionRecipe = require('../../models/ConsumptionRecipe');
+const inventoryConsumptionService = require('../../services/inventoryConsumptionService');
+const { CONSUMPTION_RATES } = require('../../config/constants');
+
+const RECIPE_UNITS = ConsumptionRecipe.schema.path('unit').enumValues;
+
+// @desc    Get consumption recipes used by the branch
+// @route   GET /api/branch/inventory/recipes
+// @access  Private (Branch Manager)
+const getConsumptionRecipes = asyncHandler(async (req, res) => {
+  const branch = await getAdminBranch(req.user);
+  if (!branch) {
+    return sendError(res, 'NO_BRANCH', 'No branch assigned', 404);
+  }
+
+  const recipes = await ConsumptionRecipe.find({ tenancy: branch.tenancy, branch: { $in: [null, branch._id] } })
+    .sort({ service: 1, itemName: 1 })
+    .lean();
+
+  sendSuccess(res, {
+    recipes: recipes.map(r => ({ ...r, scope: r.branch ? 'branch' : 'tenancy' })),
+    defaults: CONSUMPTION_RATES
+  }, 'Consumption recipes retrieved successfully');
+});
+
+// @desc    Add or update a consumption recipe (per item of a service)
+// @route   POST /api/branch/inventory/recipes
+// @access  Private (Branch Manager)
+const saveConsumptionRecipe = asyncHandler(async (req, res) => {
+  const { service, itemName, quantityPerItem, unit, isActive, allBranches } = req.body;
+
+  const branch = await getAdminBranch(req.user);
+  if (!branch) {
+    return sendError(res, 'NO_BRANCH', 'No branch assigned', 404);
+  }
+
+  if (!service || typeof service !== 'string' || !itemName || typeof itemName !== 'string') {
+    return sendError(res, 'VALIDATION_ERROR', 'service and itemName are required', 400);
+  }
+  if (!Number.isFinite(quantityPerItem) || quantityPerItem < 0) {
+    return sendError(res, 'VALIDATION_ERROR', 'quantityPerItem must be a non-negative number', 400);
+  }
+  if (!RECIPE_UNITS.includes(unit)) {
+    return sendError(res, 'VALIDATION_ERROR', `unit must be one of ${RECIPE_UNITS.join(', ')}`, 400);
+  }
+  // Tenancy-wide recipes are for tenancy admins only
+  if (allBranches && req.user.role !== 'admin') {
+    return sendError(res, 'FORBIDDEN', 'Only tenancy admins can set recipes for all branches', 403);
+  }
+
+  const recipe = await ConsumptionRecipe.findOneAndUpdate(
+    {
+      tenancy: branch.tenancy,
+      branch: allBranches ? null : branch._id,
+      service: service.trim().toLowerCase(),
+      itemName: itemName.trim()
+    },
+    {
+      $set: {
+        quantityPerItem,
+        unit,
+        isActive: isActive !== false
+      },
+      $setOnInsert: { createdBy: req.user._id }
+    },
+    { upsert: true, new: true, runValidators: true }
+  );
+
+  sendSuccess(res, { recipe }, 'Consumption recipe saved successfully');
+});
+
+// @desc    Delete a consumption recipe
+// @route   DELETE /api/branch/inventory/recipes/:recipeId
+// @access  Private (Branch Manager)
+const deleteConsumptionRecipe = asyncHandler(async (req, res) => {
+  const branch = await getAdminBranch(req.user);
+  if (!branch) {
+    return sendError(res, 'NO_BRANCH', 'No branch assigned', 404);
+  }
+
+  const scope = req.user.role === 'admin' ? { $in: [null, branch._id] } : branch._id;
+  const recipe = await ConsumptionRecipe.findOneAndDelete({
+    _id: req.params.recipeId,
+    tenancy: branch.tenancy,
+    branch: scope
+  });
+  if (!recipe) {
+    return sendError(res, 'RECIPE_NOT_FOUND', 'Consumption recipe not found', 404);
+  }
+
+  sendSuccess(res, null, 'Consumption recipe deleted successfully');
+});
+
+// @desc    Reorder quantities from the trailing consumption rate
+// @route   GET /api/branch/inventory/reorder-suggestions?all=true
+// @access  Private (Branch Manager)
+const getReorderSuggestions = asyncHandler(async (req, res) => {
+  const branch = await getAdminBranch(req.user);
+  if (!branch) {
+    return sendError(res, 'NO_BRANCH', 'No branch assigned', 404);
+  }
+
+  const suggestions = await inventoryConsumptionService.getReorderSuggestions(branch._id, {
+    all: req.query.all === 'true'
+  });
+
+  sendSuccess(res, {
+    suggestions,
+    branch: { name: branch.name, code: branch.code }
+  }, 'Reorder suggestions retrieved successfully');
+});
+
+module.exports.getConsumptionRecipes = getConsumptionRecipes;
+module.exports.saveConsumptionRecipe = saveConsumptionRecipe;
+module.exports.deleteConsumptionRecipe = deleteConsumptionRecipe;
+module.exports.getReorderSuggestions = getReorderSuggestions;
@@ -0,0 +1,69 @@
+const Order = require('../../models/Order');
+const Invoice = require('../../models/Invoice');
+const { sendSuccess, sendError, sendFile, asyncHandler } = require('../../utils/helpers');
+const invoiceService = require('../../services/invoiceService');
+const { ORDER_STATUS } = require('../../config/constants');
+
+// @desc    Download an order's tax invoice (PDF). Delivered orders without
+//          one yet get it issued now.
+// @route   GET /api/customer/orders/:orderId/invoice
+// @access  Private (Customer)
+const downloadOrderInvoice = asyncHandler(async (req, res) => {
+  const order = await Order.findOne({
+    _id: req.params.orderId,
+    customer: req.user._id
+  }).select('status');
+
+  if (!order) {
+    return sendError(res, 'ORDER_NOT_FOUND', 'Order not found', 404);
+  }
+
+  let invoice = await Invoice.findOne({ order: order._id, kind: 'invoice' });
+  if (!invoice && order.status === ORDER_STATUS.DELIVERED) {
+    invoice = await invoiceService.generateForOrder(order._id);
+  }
+  if (!invoice) {
+    return sendError(res, 'INVOICE_NOT_AVAILABLE', 'The invoice is issued when the order is delivered', 404);
+  }
+
+  sendFile(res, await invoiceService.renderPDF(invoice));
+});
+
+// @desc    Get an order's invoice and credit notes
+// @route   GET /api/customer/orders/:orderId/invoices
+// @access  Private (Customer)
+const getOrderInvoices = asyncHandler(async (req, res) => {
+  const order = await Order.findOne({
+    _id: req.params.orderId,
+    customer: req.user._id
+  }).select('_id');
+
+  if (!order) {
+    return sendError(res, 'ORDER_NOT_FOUND', 'Order not found', 404);
+  }
+
+  const invoices = await invoiceService.getOrderDocuments(order._id);
+  sendSuccess(res, { invoices }, 'Order invoices retrieved successfully');
+});
+
+// @desc    Download an invoice or credit note (PDF)
+// @route   GET /api/customer/invoices/:invoiceId/download
+// @access  Private (Customer)
+const downloadInvoice = asyncHandler(async (req, res) => {
+  const invoice = await Invoice.findOne({
+    _id: req.params.invoiceId,
+    customer: req.user._id
+  });
+
+  if (!invoice) {
+    return sendError(res, 'INVOICE_NOT_FOUND', 'Invoice not found', 404);
+  }
+
+  sendFile(res, await invoiceService.renderPDF(invoice));
+});
+
+module.exports = {
+  downloadOrderInvoice,
+  getOrderInvoices,
+  downloadInvoice
+};
@@ -0,0 +1,144 @@
+const { sendSuccess, sendError, asyncHandler } = require('../../utils/helpers');
+const stripeService = require('../../services/stripeService');
+const laundryPlanService = require('../../services/laundryPlanService');
+
+const getTenancyId = (req) => req.tenancyId || req.user?.tenancy;
+
+// @desc    Get the laundry plans on offer
+// @route   GET /api/customer/laundry-plans
+// @access  Private (Customer)
+const getLaundryPlans = asyncHandler(async (req, res) => {
+  const tenancyId = getTenancyId(req);
+  if (!tenancyId) {
+    return sendError(res, 'TENANCY_REQUIRED', 'Tenancy context is required', 400);
+  }
+
+  const plans = await laundryPlanService.listPlans(tenancyId);
+  sendSuccess(res, { plans }, 'Laundry plans retrieved successfully');
+});
+
+// @desc    Get the customer's laundry plan
+// @route   GET /api/customer/laundry-plans/me
+// @access  Private (Customer)
+const getMyLaundryPlan = asyncHandler(async (req, res) => {
+  const member = await laundryPlanService.getMembership(req.user._id, getTenancyId(req));
+
+  sendSuccess(res, {
+    subscription: member ? laundryPlanService.toView(member) : null
+  }, member ? 'Laundry plan retrieved successfully' : 'You have no laundry plan');
+});
+
+// @desc    Start buying a laundry plan (Stripe Checkout)
+// @route   POST /api/customer/laundry-plans/checkout
+// @access  Private (Customer)
+const startLaundryPlanCheckout = asyncHandler(async (req, res) => {
+  const { programId, successUrl, cancelUrl } = req.body;
+  const tenancyId = getTenancyId(req);
+  if (!tenancyId) {
+    return sendError(res, 'TENANCY_REQUIRED', 'Tenancy context is required', 400);
+  }
+  if (!programId) {
+    return sendError(res, 'INVALID_INPUT', 'programId is required', 400);
+  }
+
+  const checkout = await laundryPlanService.startCheckout(req.user, tenancyId, programId, { successUrl, cancelUrl });
+  sendSuccess(res, checkout, 'Complete the payment to start your laundry plan', 201);
+});
+
+// @desc    Confirm a laundry plan after Stripe Checkout
+// @route   POST /api/customer/laundry-plans/confirm
+// @access  Private (Customer)
+const confirmLaundryPlanCheckout = asyncHandler(async (req, res) => {
+  const member = await laundryPlanService.confirmCheckout(req.user._id, req.body.sessionId);
+
+  sendSuccess(res, {
+    subscription: laundryPlanService.toView(member)
+  }, 'Laundry plan activated');
+});
+
+// @desc    Pause the customer's laundry plan
+// @route   POST /api/customer/laundry-plans/me/pause
+// @access  Private (Customer)
+const pauseLaundryPlan = asyncHandler(async (req, res) => {
+  const member = await laundryPlanService.requireMembership(req.user._id, getTenancyId(req));
+  await laundryPlanService.pause(member, { resumeAt: req.body.resumeAt });
+
+  sendSuccess(res, {
+    subscription: laundryPlanService.toView(member)
+  }, 'Laundry plan paused');
+});
+
+// @desc    Resume the customer's paused laundry plan
+// @route   POST /api/customer/laundry-plans/me/resume
+// @access  Private (Customer)
+const resumeLaundryPlan = asyncHandler(async (req, res) => {
+  const member = await laundryPlanService.requireMembership(req.user._id, getTenancyId(req));
+  await laundryPlanService.resume(member);
+
+  sendSuccess(res, {
+    subscription: laundryPlanService.toView(member)
+  }, 'Laundry plan resumed');
+});
+
+// @desc    Cancel the customer's laundry plan (at period end, or now with a prorated refund)
+// @route   POST /api/customer/laundry-plans/me/cancel
+// @access  Private (Customer)
+const cancelLaundryPlan = asyncHandler(async (req, res) => {
+  const member = await laundryPlanService.requireMembership(req.user._id, getTenancyId(req));
+  const { refundedAmount, refundFailed, refundDue } = await laundryPlanService.cancel(member, {
+    immediately: req.body.immediately === true,
+    reason: typeof req.body.reason === 'string' ? req.body.reason.trim().slice(0, 500) : undefined
+  });
+
+  let message = 'Laundry plan cancelled';
+  if (member.subscription.cancelAtPeriodEnd) {
+    message = 'Laundry plan will end with the current billing period';
+  } else if (refundFailed) {
+    message = `Laundry plan cancelled, but the refund of ₹${refundDue} could not be processed`;
+  }
+
+  sendSuccess(res, {
+    subscription: laundryPlanService.toView(member),
+    refundedAmount,
+    ...(refundFailed && { refundFailed, refundDue })
+  }, message);
+});
+
+// Stripe webhook for laundry plan billing (raw body, verified by signature)
+const handleLaundryPlanWebhook = async (req, res) => {
+  const verification = stripeService.verifyWebhookSignature(
+    req.body,
+    req.headers['stripe-signature'],
+    process.env.STRIPE_LAUNDRY_PLAN_WEBHOOK_SECRET || process.env.STRIPE_WEBHOOK_SECRET
+  );
+
+  if (!verification.success) {
+    return res.status(400).send(`Webhook Error: ${verification.error}`);
+  }
+
+  const event = verification.event;
+
+  try {
+    const handled = await laundryPlanService.handleWebhookEvent(event);
+    if (!handled) {
+      console.log(`ℹ️  Ignoring laundry plan webhook event: ${event.type} - Event ID: ${event.id}`);
+    }
+
+    res.json({ received: true });
+  } catch (error) {
+    console.error('Laundry plan webhook error:', error);
+    // Non-2xx so Stripe retries; applying an event twice is harmless
+    res.status(500).json({ received: false });
+  }
+};
+
+module.exports = {
+  getLaundryPlans,
+  getMyLaundryPlan,
+  startLaundryPlanCheckout,
+  confirmLaundryPlanCheckout,
+  pauseLaundryPlan,
+  resumeLaundryPlan,
+  cancelLaundryPlan,
+  handleLaundryPlanWebhook
+};
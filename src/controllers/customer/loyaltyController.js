@@ -244,21 +244,19 @@ const enrollInLoyalty = async (req, res) => {
       }
       
       if (program.welcomeBonus.credit > 0) {
-        // Add wallet credit (if wallet exists)
-        const User = require('../../models/User');
-        const user = await User.findById(userId);
-        if (user) {
-          if (!user.wallet) user.wallet = { balance: 0 };
-          user.wallet.balance += program.welcomeBonus.credit;
-          await user.save();
+        // Add wallet credit through the wallet ledger
+        const walletService = require('../../services/walletService');
+        await walletService.credit(userId, program.welcomeBonus.credit, 'loyalty_bonus', {
+          description: `Welcome bonus for joining ${program.name}`,
+          idempotencyKey: `loyalty_bonus:${member._id}`
+        });
 
-          // Notify customer about wallet credit
-          try {
-            const NotificationService = require('../../services/notificationService');
-            await NotificationService.notifyWalletCredited(userId, program.welcomeBonus.credit, 'Welcome bonus for joining loyalty program', tenancyId);
-          } catch (err) {
-            console.log('Failed to send wallet credit notification:', err.message);
-          }
+        // Notify customer about wallet credit
+        try {
+          const NotificationService = require('../../services/notificationService');
+          await NotificationService.notifyWalletCredited(userId, program.welcomeBonus.credit, 'Welcome bonus for joining loyalty program', tenancyId);
+        } catch (err) {
+          console.log('Failed to send wallet credit notification:', err.message);
         }
       }
     }
@@ -312,48 +310,32 @@ const redeemPoints = async (req, res) => {
       });
     }
     
+    // Wallet credit is priced from the program's redemption rate, never from the request
+    const isWalletRedemption = redemptionType === 'discount' || redemptionType === 'credit';
+    const redemptionRate = member.program?.pointsConfig?.redemptionRate || 100;
+    const redemptionValue = isWalletRedemption
+      ? Math.floor((points / redemptionRate) * 100) / 100
+      : value;
+
     // Redeem points
     try {
-      await member.redeemPoints(points, redemptionType, value);
+      await member.redeemPoints(points, redemptionType, redemptionValue);
       
       // Add value to wallet for discount/credit redemptions
-      if (redemptionType === 'discount' || redemptionType === 'credit') {
-        const User = require('../../models/User');
-        const user = await User.findById(userId);
-        
-        if (user) {
-          // Initialize wallet if doesn't exist
-          if (!user.wallet) {
-            user.wallet = {
-              balance: 0,
-              transactions: []
-            };
-          }
-          
-          // Add credit to wallet
-          user.wallet.balance += value;
-          
-          // Add transaction record
-          user.wallet.transactions.push({
-            type: 'credit',
-            amount: value,
-            description: `Loyalty points redemption - ${points} points`,
-            date: new Date(),
-            source: 'loyalty_redemption',
-            balanceAfter: user.wallet.balance
-          });
-          
-          await user.save();
+      if (isWalletRedemption && redemptionValue > 0) {
+        const walletService = require('../../services/walletService');
+        await walletService.credit(userId, redemptionValue, 'loyalty_redemption', {
+          description: `Loyalty points redemption - ${points} points`
+        });
 
-          console.log(`✅ Added ₹${value} to wallet for user ${userId} (${points} points redeemed)`);
+        console.log(`✅ Added ₹${redemptionValue} to wallet for user ${userId} (${points} points redeemed)`);
 
-          // Notify customer about wallet credit from redemption
-          try {
-            const NotificationService = require('../../services/notificationService');
-            await NotificationService.notifyWalletCredited(userId, value, `Redeemed ${points} loyalty points`, tenancyId);
-          } catch (err) {
-            console.log('Failed to send wallet credit notification:', err.message);
-          }
+        // Notify customer about wallet credit from redemption
+        try {
+          const NotificationService = require('../../services/notificationService');
+          await NotificationService.notifyWalletCredited(userId, redemptionValue, `Redeemed ${points} loyalty points`, tenancyId);
+        } catch (err) {
+          console.log('Failed to send wallet credit notification:', err.message);
         }
       }
 
@@ -364,8 +346,8 @@ const redeemPoints = async (req, res) => {
           pointsRedeemed: points,
           remainingBalance: member.pointsBalance,
           redemptionType,
-          value,
-          walletCreditAdded: (redemptionType === 'discount' || redemptionType === 'credit') ? value : 0
+          value: redemptionValue,
+          walletCreditAdded: isWalletRedemption ? redemptionValue : 0
         }
       });
     } catch (error) {
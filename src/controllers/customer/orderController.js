@@ -1,3 +1,4 @@
+const mongoose = require('mongoose');
 const Order = require('../../models/Order');
 const OrderItem = require('../../models/OrderItem');
 const User = require('../../models/User');
@@ -5,6 +6,17 @@ const Address = require('../../models/Address');
 const Branch = require('../../models/Branch');
 const Coupon = require('../../models/Coupon');
 const NotificationService = require('../../services/notificationService');
+const walletService = require('../../services/walletService');
+const { WalletError } = require('../../services/walletService');
+const OrderService = require('../../services/orderService');
+const slotService = require('../../services/slotService');
+const CampaignEngine = require('../../services/campaignEngine');
+const { SlotBookingError } = require('../../services/slotService');
+const businessCalendar = require('../../services/businessCalendarService');
+const serviceZoneService = require('../../services/serviceZoneService');
+const taxService = require('../../services/taxService');
+const weightPricingService = require('../../services/weightPricingService');
+const laundryPlanService = require('../../services/laundryPlanService');
 const { sendEmail, sendEmailAsync, emailTemplates } = require('../../config/email');
 const {
   sendSuccess,
@@ -16,7 +28,7 @@ const {
   getPagination,
   formatPaginationResponse
 } = require('../../utils/helpers');
-const { ORDER_STATUS, NOTIFICATION_TYPES } = require('../../config/constants');
+const { ORDER_STATUS, ORDER_ACTORS, NOTIFICATION_TYPES, PAYMENT_METHODS, PRICING_MODELS } = require('../../config/constants');
 
 // @desc    Create new order
 // @route   POST /api/customer/orders
@@ -67,6 +79,8 @@ const createOrder = asyncHandler(async (req, res) => {
   }
 
   let branch;
+  // Polygon zone the address falls in, for branches that define zones
+  let serviceZone = null;
 
   if (branchId) {
     branch = await Branch.findOne({ _id: branchId, isActive: true });
@@ -74,9 +88,17 @@ const createOrder = asyncHandler(async (req, res) => {
       return sendError(res, 'BRANCH_NOT_FOUND', 'Selected branch not found or inactive', 404);
     }
 
-    // If branch has serviceAreas, address pincode must match
+    // Branches with zones serve addresses inside them; others match on serviceAreas pincodes
     const addrToCheck = needsPickupAddress ? pickupAddress : (needsDeliveryAddress ? deliveryAddress : null);
-    if (addrToCheck && branch.serviceAreas && branch.serviceAreas.length > 0) {
+    const coverage = addrToCheck
+      ? await serviceZoneService.checkBranchCoverage(branch._id, addrToCheck)
+      : { zoned: false, zone: null };
+    if (coverage.zoned) {
+      if (!coverage.zone) {
+        return sendError(res, 'AREA_NOT_SERVICEABLE', 'Service not available in your area. This branch does not deliver to your address.', 400);
+      }
+      serviceZone = coverage.zone;
+    } else if (addrToCheck && branch.serviceAreas && branch.serviceAreas.length > 0) {
       const pincode = String(addrToCheck.pincode || '').trim();
       const serviceablePincodes = branch.serviceAreas
         .filter(sa => sa.isActive !== false)
@@ -88,13 +110,25 @@ const createOrder = asyncHandler(async (req, res) => {
     }
   } else if (pickupAddress) {
     const tenancyFilter = tenancyId || req.tenancyId ? { tenancy: tenancyId || req.tenancyId } : {};
-    const baseQuery = { ...tenancyFilter, isActive: true };
 
-    // Prefer branch with this pincode in serviceAreas
-    branch = await Branch.findOne({
-      ...baseQuery,
-      'serviceAreas.pincode': pickupAddress.pincode
-    });
+    // Prefer a branch whose delivery zone contains the address
+    const zoneMatch = await serviceZoneService.findBranchForAddress(pickupAddress, tenancyFilter);
+    if (zoneMatch) {
+      branch = await Branch.findOne({ _id: zoneMatch.branch._id, isActive: true });
+      serviceZone = branch ? zoneMatch.zone : null;
+    }
+
+    // Zoned branches only serve inside their zones, so leave them out of pincode matching
+    const zonedBranchIds = branch ? [] : await serviceZoneService.getZonedBranchIds(tenancyFilter);
+    const baseQuery = { ...tenancyFilter, isActive: true, _id: { $nin: zonedBranchIds } };
+
+    // Next, a branch with this pincode in serviceAreas
+    if (!branch) {
+      branch = await Branch.findOne({
+        ...baseQuery,
+        'serviceAreas.pincode': pickupAddress.pincode
+      });
+    }
 
     // Fallback: branch with no configured serviceAreas (distance-based)
     if (!branch) {
@@ -122,7 +156,31 @@ const createOrder = asyncHandler(async (req, res) => {
   const orderItems = [];
   let totalAmount = 0;
 
+  // Per-kg services are priced on the customer's estimated weight until staff weigh the load
+  const weightRules = await weightPricingService.getRules(items.map(item => item.service), branch._id);
+
   for (const item of items) {
+    const rules = weightRules.get(String(item.service).toLowerCase());
+    if (rules) {
+      if (item.estimatedWeight === undefined || item.estimatedWeight === null) {
+        return sendError(res, 'WEIGHT_REQUIRED', `${rules.displayName} is priced per kg; please provide an estimatedWeight in kg`, 400);
+      }
+      const estimatedWeight = weightPricingService.parseWeight(item.estimatedWeight, 'estimatedWeight');
+      const pricing = weightPricingService.priceItem(estimatedWeight, rules, { isExpress });
+      totalAmount += pricing.totalPrice;
+
+      orderItems.push({
+        itemType: item.itemType,
+        service: item.service,
+        category: item.category,
+        quantity: item.quantity,
+        ...pricing,
+        estimatedWeight,
+        specialInstructions: item.specialInstructions || ''
+      });
+      continue;
+    }
+
     const pricing = calculateItemPrice(item.itemType, item.service, item.category, isExpress);
     const itemTotal = pricing.unitPrice * item.quantity;
     totalAmount += itemTotal;
@@ -142,12 +200,23 @@ const createOrder = asyncHandler(async (req, res) => {
     });
   }
 
-  // Delivery charge: prefer distance-based calculation, fall back to branch serviceArea charge
+  if (serviceZone && totalAmount < serviceZone.minOrderAmount) {
+    return sendError(
+      res,
+      'MIN_ORDER_NOT_MET',
+      `Minimum order for your area is ₹${serviceZone.minOrderAmount}`,
+      400
+    );
+  }
+
+  // Delivery charge: zone charge, else distance-based calculation, else branch serviceArea charge
   let deliveryCharge = 0;
 
   if (needsDeliveryAddress || needsPickupAddress) {
     deliveryCharge = 30; // default delivery charge
-    if (deliveryDetails && typeof deliveryDetails.deliveryCharge === 'number') {
+    if (serviceZone) {
+      deliveryCharge = serviceZone.deliveryCharge;
+    } else if (deliveryDetails && typeof deliveryDetails.deliveryCharge === 'number') {
       deliveryCharge = deliveryDetails.deliveryCharge;
     } else if (pickupAddress && branch.serviceAreas) {
       const serviceArea = branch.serviceAreas.find(area => area.pincode === pickupAddress.pincode);
@@ -276,8 +345,8 @@ const createOrder = asyncHandler(async (req, res) => {
         for (const campaign of activeCampaigns) {
           console.log(`\nEvaluating campaign: ${campaign.name}`);
 
-          // Check if user is eligible
-          const isEligible = campaign.isUserEligible(userWithStats, { total: totalAmount });
+          // Check if user is eligible (includes per-user and daily usage limits)
+          const isEligible = await CampaignEngine.isUserEligibleForCampaign(campaign, userWithStats, { total: totalAmount });
           console.log(`  - Is eligible: ${isEligible}`);
 
           if (isEligible) {
@@ -372,7 +441,82 @@ const createOrder = asyncHandler(async (req, res) => {
     }
   }
 
-  const pricing = calculateOrderTotal(items, deliveryCharge, serviceTypeDiscount + automaticDiscount + campaignDiscount + couponDiscount, 0.18); // 18% tax
+  // Generate shorter order number: ORD + YYMMDD + 3-digit daily counter
+  const today = new Date();
+  const year = today.getFullYear().toString().slice(-2);
+  const month = (today.getMonth() + 1).toString().padStart(2, '0');
+  const day = today.getDate().toString().padStart(2, '0');
+  const dateStr = year + month + day;
+
+  // Get today's order count for this tenancy
+  const todayStart = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+  const todayEnd = new Date(todayStart);
+  todayEnd.setDate(todayEnd.getDate() + 1);
+
+  const todayCount = await Order.countDocuments({
+    tenancy: orderTenancy,
+    createdAt: {
+      $gte: todayStart,
+      $lt: todayEnd
+    }
+  });
+
+  const orderNumber = `ORD${dateStr}${String(todayCount + 1).padStart(3, '0')}`;
+
+  // Delivery date from the branch calendar (working days, holidays, service turnaround)
+  const estimatedDeliveryDate = await businessCalendar.estimateDeliveryDate({
+    branch: branch._id,
+    pickupDate,
+    isExpress,
+    services: items.map(item => item.service)
+  }) || calculateDeliveryDate(pickupDate, isExpress);
+
+  // Laundry plan: a wash from the monthly quota covers what's left of the
+  // subtotal (else the plan's discount applies) and delivery may be waived.
+  // The wash is given back if the order isn't created.
+  const orderId = new mongoose.Types.ObjectId();
+  const otherDiscount = automaticDiscount + campaignDiscount + couponDiscount;
+  const planBenefits = await laundryPlanService.useForOrder(req.user._id, orderTenancy, {
+    subtotal: Math.max(0, totalAmount - otherDiscount),
+    deliveryCharge
+  });
+  const planDiscount = planBenefits?.planDiscount || 0;
+  if (planBenefits) {
+    deliveryCharge = planBenefits.deliveryCharge;
+  }
+  const releasePlanWash = () => (planBenefits ? laundryPlanService.releaseWash(planBenefits.laundryPlan) : null);
+
+  // Tax is added by the tenancy's tax configuration (rates, inclusive pricing, GST split)
+  const pricingItems = items.map((item, index) => (
+    orderItems[index].pricingModel === PRICING_MODELS.PER_KG ? orderItems[index] : item
+  ));
+  const pricing = calculateOrderTotal(pricingItems, deliveryCharge, serviceTypeDiscount + otherDiscount + planDiscount, 0);
+
+  let campaignReservation = null;
+  try {
+    await taxService.applyToPricing(pricing, {
+      tenancy: orderTenancy,
+      branch,
+      lines: orderItems.map(item => ({ service: item.service, amount: item.totalPrice })),
+      placeOfSupply: deliveryAddress?.state || pickupAddress?.state
+    });
+
+    // Take the campaign's per-user/daily redemption atomically - the limits were
+    // only counted above. Given back if the order can't be created.
+    if (appliedCampaign) {
+      const Campaign = require('../../models/Campaign');
+      const campaign = await Campaign.findById(appliedCampaign.campaignId);
+      campaignReservation = campaign && await CampaignEngine.reserveUsage(campaign, req.user._id);
+    }
+  } catch (error) {
+    await releasePlanWash();
+    throw error;
+  }
+
+  if (appliedCampaign && !campaignReservation) {
+    await releasePlanWash();
+    return sendError(res, 'CAMPAIGN_LIMIT_REACHED', `${appliedCampaign.name} is no longer available. Please place the order again.`, 409);
+  }
 
   // Add discount info to pricing
   if (automaticDiscount > 0) {
@@ -392,30 +536,50 @@ const createOrder = asyncHandler(async (req, res) => {
     pricing.couponDiscount = Math.round(couponDiscount);
   }
 
-  // Generate shorter order number: ORD + YYMMDD + 3-digit daily counter
-  const today = new Date();
-  const year = today.getFullYear().toString().slice(-2);
-  const month = (today.getMonth() + 1).toString().padStart(2, '0');
-  const day = today.getDate().toString().padStart(2, '0');
-  const dateStr = year + month + day;
+  if (planDiscount > 0) {
+    pricing.planDiscount = planDiscount;
+  }
 
-  // Get today's order count for this tenancy
-  const todayStart = new Date(today.getFullYear(), today.getMonth(), today.getDate());
-  const todayEnd = new Date(todayStart);
-  todayEnd.setDate(todayEnd.getDate() + 1);
+  const releaseCampaignUsage = () => CampaignEngine.releaseUsage(campaignReservation);
 
-  const todayCount = await Order.countDocuments({
-    tenancy: orderTenancy,
-    createdAt: {
-      $gte: todayStart,
-      $lt: todayEnd
+  // Reserve the pickup slot before taking payment. It is given back if the
+  // order can't be created, and on cancellation (release_slot effect).
+  let reservedSlot;
+  try {
+    reservedSlot = await slotService.reserveSlot({ branch: branch._id, pickupDate, pickupTimeSlot, orderId });
+  } catch (error) {
+    await releasePlanWash();
+    await releaseCampaignUsage();
+    if (error instanceof SlotBookingError) {
+      return sendError(res, error.error, error.message, error.statusCode);
     }
-  });
+    throw error;
+  }
 
-  const orderNumber = `ORD${dateStr}${String(todayCount + 1).padStart(3, '0')}`;
+  // Wallet payment: debit the full total up front so the order is only created when paid
+  let walletPayment = null;
+  if (paymentMethod === PAYMENT_METHODS.WALLET) {
+    try {
+      walletPayment = await walletService.debit(req.user._id, pricing.total, 'order_payment', {
+        orderId,
+        description: `Payment for order ${orderNumber}`,
+        idempotencyKey: `order_payment:${orderId}`
+      });
+    } catch (error) {
+      await slotService.releaseSlot(orderId);
+      await releasePlanWash();
+      await releaseCampaignUsage();
+      if (error instanceof WalletError) {
+        return sendError(res, error.error, error.message, error.statusCode);
+      }
+      throw error;
+    }
+    pricing.walletApplied = pricing.total;
+  }
 
   // Create order
   const order = await Order.create({
+    _id: orderId,
     tenancy: orderTenancy, // Use branch's tenancy if no other tenancy available
     orderNumber,
     customer: req.user._id,
@@ -428,6 +592,7 @@ const createOrder = asyncHandler(async (req, res) => {
       addressLine2: pickupAddress.addressLine2,
       landmark: pickupAddress.landmark,
       city: pickupAddress.city,
+      state: pickupAddress.state,
       pincode: pickupAddress.pincode
     } : null,
     deliveryAddress: deliveryAddress ? {
@@ -437,15 +602,24 @@ const createOrder = asyncHandler(async (req, res) => {
       addressLine2: deliveryAddress.addressLine2,
       landmark: deliveryAddress.landmark,
       city: deliveryAddress.city,
+      state: deliveryAddress.state,
       pincode: deliveryAddress.pincode
     } : null,
     pickupDate: new Date(pickupDate),
-    pickupTimeSlot,
-    estimatedDeliveryDate: calculateDeliveryDate(pickupDate, isExpress),
+    pickupTimeSlot: reservedSlot.slot,
+    estimatedDeliveryDate,
     pricing,
     paymentMethod,
+    ...(walletPayment && {
+      paymentStatus: 'paid',
+      paymentDetails: {
+        transactionId: walletPayment.transaction._id.toString(),
+        paidAt: new Date()
+      }
+    }),
     isExpress,
-    isVIPOrder: customer.isVIP,
+    isVIPOrder: customer.isVIP || !!planBenefits?.priorityBooking,
+    laundryPlan: planBenefits?.laundryPlan,
     specialInstructions,
     // Save distance-based delivery details if provided
     deliveryDetails: deliveryDetails ? {
@@ -460,6 +634,15 @@ const createOrder = asyncHandler(async (req, res) => {
       updatedAt: new Date(),
       notes: 'Order placed by customer'
     }]
+  }).catch(async (error) => {
+    // Give the wallet payment, slot, plan wash and campaign redemption back if the order could not be created
+    if (walletPayment) {
+      await walletService.refundOrderPayment({ _id: orderId, customer: req.user._id, orderNumber }, 'Order creation failed');
+    }
+    await slotService.releaseSlot(orderId);
+    await releasePlanWash();
+    await releaseCampaignUsage();
+    throw error;
   });
 
   // Create order items
@@ -501,16 +684,29 @@ const createOrder = asyncHandler(async (req, res) => {
   if (appliedCampaign) {
     try {
       const Campaign = require('../../models/Campaign');
+      const CampaignUsage = require('../../models/CampaignUsage');
       const campaign = await Campaign.findById(appliedCampaign.campaignId);
       if (campaign) {
+        await CampaignEngine.logCampaignUsage(campaign._id, req.user._id, campaignDiscount, {
+          tenancy: orderTenancy,
+          orderId: order._id,
+          orderTotal: pricing.total
+        }).catch(async (error) => {
+          // Cancelling the order reverses usage from the ledger, so a
+          // redemption with no ledger entry would never be given back
+          await releaseCampaignUsage();
+          throw error;
+        });
+
         // Update campaign usage stats
         campaign.limits.usedCount += 1;
         campaign.budget.spentAmount += campaignDiscount;
         campaign.analytics.conversions += 1;
         campaign.analytics.totalSavings += campaignDiscount;
         campaign.analytics.totalRevenue += pricing.total;
-        campaign.analytics.uniqueUsers = await Order.distinct('customer', {
-          'pricing.appliedCampaign.campaignId': campaign._id
+        campaign.analytics.uniqueUsers = await CampaignUsage.distinct('user', {
+          campaign: campaign._id,
+          status: 'applied'
         }).then(users => users.length);
 
         await campaign.save();
@@ -727,19 +923,13 @@ const cancelOrder = asyncHandler(async (req, res) => {
     return sendError(res, 'ORDER_NOT_FOUND', 'Order not found', 404);
   }
 
-  if (!order.canBeCancelled()) {
-    return sendError(res, 'CANNOT_CANCEL', 'Order cannot be cancelled at this stage', 400);
-  }
-
-  // Update order status
-  await order.updateStatus(ORDER_STATUS.CANCELLED, req.user._id, reason || 'Cancelled by customer');
-
-  order.isCancelled = true;
-  order.cancellationReason = reason || 'Cancelled by customer';
-  order.cancelledBy = req.user._id;
-  order.cancelledAt = new Date();
-
-  await order.save();
+  // The state machine rejects cancellation after pickup with a 409, refunds
+  // wallet payments and releases campaign usage
+  await OrderService.transitionOrder(order, ORDER_STATUS.CANCELLED, {
+    updatedBy: req.user._id,
+    role: ORDER_ACTORS.CUSTOMER,
+    reason: reason || 'Cancelled by customer'
+  });
 
   sendSuccess(res, { order }, 'Order cancelled successfully');
 });
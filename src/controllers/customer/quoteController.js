@@ -0,0 +1,81 @@
+const Order = require('../../models/Order');
+const { sendSuccess, sendError, asyncHandler } = require('../../utils/helpers');
+const requoteService = require('../../services/requoteService');
+
+const findCustomerOrder = (req) => Order.findOne({
+  _id: req.params.orderId,
+  customer: req.user._id
+});
+
+// @desc    Get an order's pending revised quote (else its latest one)
+// @route   GET /api/customer/orders/:orderId/quote
+// @access  Private (Customer)
+const getOrderQuote = asyncHandler(async (req, res) => {
+  const order = await findCustomerOrder(req);
+  if (!order) {
+    return sendError(res, 'ORDER_NOT_FOUND', 'Order not found', 404);
+  }
+
+  const requote = requoteService.latestQuote(order);
+  if (!requote) {
+    return sendError(res, 'QUOTE_NOT_FOUND', 'This order has no revised quote', 404);
+  }
+
+  sendSuccess(res, {
+    quote: requoteService.toView(order, requote),
+    awaitingApproval: requote.status === 'pending'
+  }, 'Quote retrieved successfully');
+});
+
+// @desc    Approve the pending revised quote of an order
+// @route   POST /api/customer/orders/:orderId/quote/approve
+// @access  Private (Customer)
+const approveOrderQuote = asyncHandler(async (req, res) => {
+  const order = await findCustomerOrder(req);
+  if (!order) {
+    return sendError(res, 'ORDER_NOT_FOUND', 'Order not found', 404);
+  }
+  if (!order.pendingRequote) {
+    return sendError(res, 'QUOTE_NOT_PENDING', 'This order has no quote awaiting approval', 409);
+  }
+
+  const { requote } = await requoteService.decide(order, order.pendingRequote, 'approve', {
+    by: req.user._id,
+    channel: 'app'
+  });
+
+  sendSuccess(res, {
+    quote: requoteService.toView(order, requote),
+    pricing: order.pricing
+  }, 'Revised quote approved');
+});
+
+// @desc    Reject the pending revised quote of an order
+// @route   POST /api/customer/orders/:orderId/quote/reject
+// @access  Private (Customer)
+const rejectOrderQuote = asyncHandler(async (req, res) => {
+  const order = await findCustomerOrder(req);
+  if (!order) {
+    return sendError(res, 'ORDER_NOT_FOUND', 'Order not found', 404);
+  }
+  if (!order.pendingRequote) {
+    return sendError(res, 'QUOTE_NOT_PENDING', 'This order has no quote awaiting approval', 409);
+  }
+
+  const { requote } = await requoteService.decide(order, order.pendingRequote, 'reject', {
+    by: req.user._id,
+    channel: 'app',
+    reason: typeof req.body.reason === 'string' ? req.body.reason.trim().slice(0, 500) : undefined
+  });
+
+  sendSuccess(res, {
+    quote: requoteService.toView(order, requote),
+    pricing: order.pricing
+  }, 'Revised quote rejected');
+});
+
+module.exports = {
+  getOrderQuote,
+  approveOrderQuote,
+  rejectOrderQuote
+};
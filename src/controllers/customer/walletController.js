@@ -1,27 +1,82 @@
 const User = require('../../models/User');
+const Tenancy = require('../../models/Tenancy');
+const WalletTransaction = require('../../models/WalletTransaction');
+const stripeService = require('../../services/stripeService');
+const walletService = require('../../services/walletService');
+const NotificationService = require('../../services/notificationService');
+const { WALLET_TOPUP_DEFAULTS } = require('../../config/constants');
+
+// Resolve top-up limits for the customer's tenancy, falling back to platform defaults
+const getTopUpLimits = async (tenancyId) => {
+  const defaults = {
+    enabled: true,
+    minAmount: WALLET_TOPUP_DEFAULTS.MIN_AMOUNT,
+    maxAmount: WALLET_TOPUP_DEFAULTS.MAX_AMOUNT,
+    dailyLimit: WALLET_TOPUP_DEFAULTS.DAILY_LIMIT,
+    maxBalance: WALLET_TOPUP_DEFAULTS.MAX_BALANCE,
+    currency: 'INR'
+  };
+
+  if (!tenancyId) return defaults;
+
+  const tenancy = await Tenancy.findById(tenancyId).select('settings.walletTopUp settings.currency').lean();
+  return {
+    ...defaults,
+    ...(tenancy?.settings?.walletTopUp || {}),
+    currency: tenancy?.settings?.currency || defaults.currency
+  };
+};
+
+// Sum of today's top-ups already credited to the user
+const getTodayTopUpTotal = async (userId) => {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+
+  const [result] = await WalletTransaction.aggregate([
+    { $match: { user: userId, reason: 'wallet_topup', createdAt: { $gte: today } } },
+    { $group: { _id: null, total: { $sum: '$amount' } } }
+  ]);
+  return result?.total || 0;
+};
+
+// Credit a succeeded wallet top-up payment intent. Safe to call more than once
+// for the same intent (webhook + client confirmation) - only the first credits.
+const creditTopUpFromPaymentIntent = async (paymentIntent) => {
+  const userId = paymentIntent.metadata?.userId;
+  const amount = (paymentIntent.amount_received || paymentIntent.amount) / 100;
+
+  const result = await walletService.credit(userId, amount, 'wallet_topup', {
+    description: 'Money added to wallet',
+    idempotencyKey: `stripe:${paymentIntent.id}`
+  });
+
+  if (result.duplicate) {
+    return { credited: false, newBalance: result.balance };
+  }
+
+  console.log(`💰 Wallet top-up credited: User ${userId}, Amount ₹${amount}, Intent ${paymentIntent.id}`);
+
+  try {
+    await NotificationService.notifyWalletCredited(userId, amount, 'Money added to wallet', paymentIntent.metadata?.tenancyId || undefined);
+  } catch (error) {
+    console.log('Failed to send wallet credit notification:', error.message);
+  }
+
+  return { credited: true, newBalance: result.balance, amount };
+};
 
 // Get wallet balance
 const getWalletBalance = async (req, res) => {
   try {
     const userId = req.user._id;
-    
-    const user = await User.findById(userId).select('wallet');
-    
-    if (!user || !user.wallet) {
-      return res.json({
-        success: true,
-        data: {
-          balance: 0,
-          currency: 'INR'
-        }
-      });
-    }
-    
+
+    const wallet = await walletService.getOrCreateWallet(userId);
+
     res.json({
       success: true,
       data: {
-        balance: user.wallet.balance || 0,
-        currency: 'INR'
+        balance: wallet.balance,
+        currency: wallet.currency
       }
     });
   } catch (error) {
@@ -38,39 +93,26 @@ const getWalletTransactions = async (req, res) => {
   try {
     const userId = req.user._id;
     const { page = 1, limit = 20, type } = req.query;
-    
-    const user = await User.findById(userId).select('wallet');
-    
-    if (!user || !user.wallet || !user.wallet.transactions) {
-      return res.json({
-        success: true,
-        data: {
-          transactions: [],
-          pagination: { current: 1, pages: 0, total: 0 }
-        }
-      });
-    }
-    
-    let transactions = user.wallet.transactions || [];
-    
+
+    const query = { user: userId };
+
     // Filter by type if specified
     if (type) {
-      transactions = transactions.filter(t => t.type === type);
+      query.type = type;
     }
-    
-    // Sort by date (newest first)
-    transactions.sort((a, b) => new Date(b.date) - new Date(a.date));
-    
-    // Pagination
-    const total = transactions.length;
-    const startIndex = (page - 1) * limit;
-    const endIndex = startIndex + parseInt(limit);
-    const paginatedTransactions = transactions.slice(startIndex, endIndex);
-    
+
+    const total = await WalletTransaction.countDocuments(query);
+    const transactions = await WalletTransaction.find(query)
+      .sort({ createdAt: -1 })
+      .skip((parseInt(page) - 1) * parseInt(limit))
+      .limit(parseInt(limit))
+      .select('type amount reason description order balanceAfter createdAt')
+      .lean();
+
     res.json({
       success: true,
       data: {
-        transactions: paginatedTransactions,
+        transactions,
         pagination: {
           current: parseInt(page),
           pages: Math.ceil(total / limit),
@@ -87,61 +129,88 @@ const getWalletTransactions = async (req, res) => {
   }
 };
 
-// Add money to wallet (placeholder - integrate with payment gateway)
+// Start a wallet top-up. Creates a Stripe payment intent - the wallet is only
+// credited once the payment is confirmed (webhook or confirmWalletTopUp).
 const addMoneyToWallet = async (req, res) => {
   try {
     const userId = req.user._id;
-    const { amount, paymentMethod, transactionId } = req.body;
-    
+    const amount = Math.round(Number(req.body.amount));
+
     if (!amount || amount <= 0) {
       return res.status(400).json({
         success: false,
         message: 'Invalid amount'
       });
     }
-    
-    // TODO: Integrate with payment gateway
-    // For now, this is a placeholder
-    
-    const user = await User.findById(userId);
-    
+
+    const user = await User.findById(userId).select('name email tenancy');
+
     if (!user) {
       return res.status(404).json({
         success: false,
         message: 'User not found'
       });
     }
-    
-    // Initialize wallet if doesn't exist
-    if (!user.wallet) {
-      user.wallet = {
-        balance: 0,
-        transactions: []
-      };
+
+    const tenancyId = req.tenancyId || user.tenancy;
+    const limits = await getTopUpLimits(tenancyId);
+
+    if (!limits.enabled) {
+      return res.status(403).json({
+        success: false,
+        message: 'Wallet top-ups are not available'
+      });
+    }
+
+    if (amount < limits.minAmount || (limits.maxAmount > 0 && amount > limits.maxAmount)) {
+      return res.status(400).json({
+        success: false,
+        message: `Top-up amount must be between ₹${limits.minAmount} and ₹${limits.maxAmount}`
+      });
+    }
+
+    if (limits.maxBalance > 0) {
+      const balance = await walletService.getBalance(userId);
+      if (balance + amount > limits.maxBalance) {
+        return res.status(400).json({
+          success: false,
+          message: `Wallet balance cannot exceed ₹${limits.maxBalance}`
+        });
+      }
+    }
+
+    if (limits.dailyLimit > 0) {
+      const todayTotal = await getTodayTopUpTotal(userId);
+      if (todayTotal + amount > limits.dailyLimit) {
+        return res.status(400).json({
+          success: false,
+          message: `Daily top-up limit of ₹${limits.dailyLimit} reached`
+        });
+      }
     }
-    
-    // Add money
-    user.wallet.balance += amount;
-    
-    // Add transaction record
-    user.wallet.transactions.push({
-      type: 'credit',
+
+    const result = await stripeService.createWalletTopUpIntent({
+      user,
       amount,
-      description: 'Money added to wallet',
-      date: new Date(),
-      paymentMethod,
-      transactionId,
-      balanceAfter: user.wallet.balance
+      currency: limits.currency,
+      tenancyId
     });
-    
-    await user.save();
-    
+
+    if (!result.success) {
+      return res.status(502).json({
+        success: false,
+        message: 'Failed to initiate payment'
+      });
+    }
+
     res.json({
       success: true,
-      message: 'Money added to wallet successfully',
+      message: 'Complete the payment to add money to your wallet',
       data: {
-        newBalance: user.wallet.balance,
-        amountAdded: amount
+        paymentIntentId: result.paymentIntent.id,
+        clientSecret: result.clientSecret,
+        amount,
+        currency: limits.currency
       }
     });
   } catch (error) {
@@ -153,8 +222,92 @@ const addMoneyToWallet = async (req, res) => {
   }
 };
 
+// Confirm a wallet top-up after client-side payment. The payment intent is
+// re-fetched from Stripe, so only a genuinely succeeded payment is credited.
+const confirmWalletTopUp = async (req, res) => {
+  try {
+    const { paymentIntentId } = req.body;
+
+    if (!paymentIntentId) {
+      return res.status(400).json({
+        success: false,
+        message: 'paymentIntentId is required'
+      });
+    }
+
+    const result = await stripeService.retrievePaymentIntent(paymentIntentId);
+    const paymentIntent = result.paymentIntent;
+
+    if (!result.success ||
+        paymentIntent.metadata?.type !== 'wallet_topup' ||
+        paymentIntent.metadata?.userId !== req.user._id.toString()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Top-up payment not found'
+      });
+    }
+
+    if (paymentIntent.status !== 'succeeded') {
+      return res.status(400).json({
+        success: false,
+        message: 'Payment has not completed',
+        data: { status: paymentIntent.status }
+      });
+    }
+
+    const topUp = await creditTopUpFromPaymentIntent(paymentIntent);
+    const balance = await walletService.getBalance(req.user._id);
+
+    res.json({
+      success: true,
+      message: topUp.credited ? 'Money added to wallet successfully' : 'Top-up already credited',
+      data: {
+        newBalance: balance,
+        amountAdded: paymentIntent.amount_received / 100
+      }
+    });
+  } catch (error) {
+    console.error('Confirm wallet top-up error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to confirm wallet top-up'
+    });
+  }
+};
+
+// Stripe webhook for wallet top-ups (raw body, verified by signature)
+const handleWalletTopUpWebhook = async (req, res) => {
+  const verification = stripeService.verifyWebhookSignature(
+    req.body,
+    req.headers['stripe-signature'],
+    process.env.STRIPE_WALLET_WEBHOOK_SECRET || process.env.STRIPE_WEBHOOK_SECRET
+  );
+
+  if (!verification.success) {
+    return res.status(400).send(`Webhook Error: ${verification.error}`);
+  }
+
+  const event = verification.event;
+
+  try {
+    if (event.type === 'payment_intent.succeeded' && event.data.object.metadata?.type === 'wallet_topup') {
+      await creditTopUpFromPaymentIntent(event.data.object);
+    } else {
+      console.log(`ℹ️  Ignoring wallet webhook event: ${event.type} - Event ID: ${event.id}`);
+    }
+
+    res.json({ received: true });
+  } catch (error) {
+    console.error('Wallet top-up webhook error:', error);
+    // Non-2xx so Stripe retries; the credit is idempotent
+    res.status(500).json({ received: false });
+  }
+};
+
 module.exports = {
   getWalletBalance,
   getWalletTransactions,
-  addMoneyToWallet
+  addMoneyToWallet,
+  confirmWalletTopUp,
+  handleWalletTopUpWebhook
 };
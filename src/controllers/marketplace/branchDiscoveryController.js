@@ -9,6 +9,9 @@ const BranchService = require('../../models/BranchService');
 const Service = require('../../models/Service');
 const ServiceItem = require('../../models/ServiceItem');
 const Review = require('../../models/Review');
+const slotService = require('../../services/slotService');
+const serviceZoneService = require('../../services/serviceZoneService');
+const { SlotBookingError } = require('../../services/slotService');
 
 // Fields safe to expose publicly. Internal metrics (revenue, customer counts,
 // staff lists, financial limits, compliance) are deliberately excluded.
@@ -174,12 +177,26 @@ exports.getNearbyBranches = async (req, res) => {
       }
     ]);
 
+    // Branches with polygon zones are only listed when they deliver to the
+    // origin, and only the branch that wins its tenancy's overlapping zones
+    const zonedIds = new Set((await serviceZoneService.getZonedBranchIds({
+      branches: branches.map(b => b._id)
+    })).map(String));
+    let servingZones = new Map();
+    if (zonedIds.size > 0) {
+      const { matches } = await serviceZoneService.lookup({ lat, lng });
+      servingZones = new Map(matches.map(m => [m.branch._id.toString(), m.zone]));
+    }
+    const listed = branches
+      .filter(b => !zonedIds.has(b._id.toString()) || servingZones.has(b._id.toString()))
+      .map(b => ({ ...b, deliveryZone: servingZones.get(b._id.toString()) || null }));
+
     return res.json({
       success: true,
       origin: { lat, lng },
       radiusKm,
-      count: branches.length,
-      branches
+      count: listed.length,
+      branches: listed
     });
   } catch (err) {
     console.error('[marketplace] getNearbyBranches error:', err);
@@ -187,6 +204,57 @@ exports.getNearbyBranches = async (req, res) => {
   }
 };
 
+// GET /api/marketplace/zones/lookup?lat=&lng=&tenancyId=&branchId=
+// Which branches deliver to a point, from their polygon delivery zones. One
+// branch per tenancy; overlapping zones of a tenancy are resolved by zone
+// priority, then distance, then delivery charge. With branchId, checks that
+// branch only (checkout).
+exports.lookupServiceZone = async (req, res) => {
+  try {
+    const point = serviceZoneService.toPoint(req.query);
+    if (!point) {
+      return res.status(400).json({ success: false, error: 'lat and lng are required numeric query params' });
+    }
+
+    const { tenancyId, branchId } = req.query;
+    for (const [name, value] of [['tenancyId', tenancyId], ['branchId', branchId]]) {
+      if (value && !mongoose.isValidObjectId(value)) {
+        return res.status(400).json({ success: false, error: `Invalid ${name}` });
+      }
+    }
+
+    if (branchId) {
+      const coverage = await serviceZoneService.checkBranchCoverage(branchId, point);
+      return res.json({
+        success: true,
+        origin: point,
+        branchId,
+        zoned: coverage.zoned,
+        // Branches without zones fall back to pincode / radius checks
+        serviceable: coverage.zoned ? !!coverage.zone : null,
+        zone: coverage.zone
+      });
+    }
+
+    const { serviceable, matches } = await serviceZoneService.lookup(point, { tenancy: tenancyId });
+    return res.json({
+      success: true,
+      origin: point,
+      serviceable,
+      matches: matches.map(m => ({
+        tenancy: m.tenancy,
+        branch: { _id: m.branch._id, name: m.branch.name, code: m.branch.code },
+        zone: m.zone,
+        distanceKm: m.distanceKm,
+        alternatives: m.alternatives
+      }))
+    });
+  } catch (err) {
+    console.error('[marketplace] lookupServiceZone error:', err);
+    return res.status(500).json({ success: false, error: 'Failed to look up service zone' });
+  }
+};
+
 // GET /api/marketplace/branches/:id
 // Full public profile of a single branch including review stats and tenant info.
 exports.getBranchById = async (req, res) => {
@@ -226,6 +294,37 @@ exports.getBranchById = async (req, res) => {
   }
 };
 
+// GET /api/marketplace/branches/:id/slots?date=YYYY-MM-DD
+// Pickup slots for a day with remaining capacity. Defaults to today in the
+// tenancy's timezone. Only slots with available: true can be booked.
+exports.getBranchSlots = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid branch id' });
+    }
+
+    const visible = await Branch.exists({
+      _id: id,
+      marketplaceVisible: true,
+      isActive: true,
+      status: 'active'
+    });
+    if (!visible) {
+      return res.status(404).json({ success: false, error: 'Branch not found' });
+    }
+
+    const availability = await slotService.getAvailability(id, req.query.date);
+    return res.json({ success: true, ...availability });
+  } catch (err) {
+    if (err instanceof SlotBookingError) {
+      return res.status(err.statusCode).json({ success: false, error: err.message, code: err.error });
+    }
+    console.error('[marketplace] getBranchSlots error:', err);
+    return res.status(500).json({ success: false, error: 'Failed to fetch branch slots' });
+  }
+};
+
 // GET /api/marketplace/branches/:id/services
 // Services enabled at this branch with effective prices.
 exports.getBranchServices = async (req, res) => {
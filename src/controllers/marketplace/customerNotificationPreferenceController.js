@@ -0,0 +1,41 @@
+// Customer-app notification preferences: per-category and per-channel
+// opt-outs plus quiet hours. Same settings the web app edits through
+// /api/notifications/preferences; P0 and security notifications ignore them.
+
+const { NotificationPreferenceService } = require('../../services/notifications/NotificationPreferenceService');
+
+const preferenceService = new NotificationPreferenceService();
+
+// GET /api/customer-app/notification-preferences
+exports.getPreferences = async (req, res) => {
+  try {
+    const userId = req.user?._id;
+    if (!userId) return res.status(401).json({ success: false, error: 'Not authenticated' });
+
+    const preferences = await preferenceService.getPreferences(userId);
+    return res.json({ success: true, preferences: preferenceService.toResponse(preferences) });
+  } catch (err) {
+    console.error('[marketplace] getPreferences error:', err);
+    return res.status(500).json({ success: false, error: 'Failed to load notification preferences' });
+  }
+};
+
+// PUT /api/customer-app/notification-preferences
+// Body (all optional): { channels, categories, quietHours: { enabled, start, end }, timezone }
+exports.updatePreferences = async (req, res) => {
+  try {
+    const userId = req.user?._id;
+    if (!userId) return res.status(401).json({ success: false, error: 'Not authenticated' });
+
+    const errors = preferenceService.validateUpdates(req.body || {});
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: errors[0], errors });
+    }
+
+    const preferences = await preferenceService.updatePreferences(userId, req.body || {});
+    return res.json({ success: true, preferences: preferenceService.toResponse(preferences) });
+  } catch (err) {
+    console.error('[marketplace] updatePreferences error:', err);
+    return res.status(500).json({ success: false, error: 'Failed to update notification preferences' });
+  }
+};
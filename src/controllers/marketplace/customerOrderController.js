@@ -9,8 +9,24 @@ const OrderItem = require('../../models/OrderItem');
 const Branch = require('../../models/Branch');
 const ServiceItem = require('../../models/ServiceItem');
 const Coupon = require('../../models/Coupon');
-const { getOrCreateWallet, debitWallet } = require('./customerWalletController');
+const Invoice = require('../../models/Invoice');
+const { getOrCreateWallet } = require('./customerWalletController');
+const walletService = require('../../services/walletService');
+const { WalletError } = require('../../services/walletService');
 const OrderService = require('../../services/orderService');
+const { OrderTransitionError } = require('../../services/orderService');
+const slotService = require('../../services/slotService');
+const { SlotBookingError } = require('../../services/slotService');
+const businessCalendar = require('../../services/businessCalendarService');
+const serviceZoneService = require('../../services/serviceZoneService');
+const taxService = require('../../services/taxService');
+const invoiceService = require('../../services/invoiceService');
+const weightPricingService = require('../../services/weightPricingService');
+const { WeightPricingError } = require('../../services/weightPricingService');
+const requoteService = require('../../services/requoteService');
+const { RequoteError } = require('../../services/requoteService');
+const laundryPlanService = require('../../services/laundryPlanService');
+const { ORDER_STATUS, ORDER_ACTORS, WEIGHT_PRICING_DEFAULTS } = require('../../config/constants');
 
 const VALID_PAYMENT_METHODS = ['online', 'cod'];
 const MAX_ITEMS_PER_ORDER = 50;
@@ -32,6 +48,7 @@ function sanitizeAddress(addr) {
     addressLine2: addr.addressLine2?.trim() || undefined,
     landmark: addr.landmark?.trim() || undefined,
     city: addr.city.trim(),
+    state: typeof addr.state === 'string' ? addr.state.trim() || undefined : undefined,
     pincode: addr.pincode.trim()
   };
 }
@@ -41,9 +58,9 @@ function sanitizeAddress(addr) {
 //   {
 //     branchId,
 //     items: [{ serviceItemId, quantity }],
-//     pickupAddress: { name, phone, addressLine1, addressLine2?, landmark?, city, pincode },
-//     pickupDate: ISO string,
-//     pickupTimeSlot: "09:00 - 11:00",
+//     pickupAddress: { name, phone, addressLine1, addressLine2?, landmark?, city, state?, pincode, coordinates?: { lat, lng } },
+//     pickupDate: ISO string or YYYY-MM-DD,
+//     pickupTimeSlot: "09:00 - 11:00",   (one of GET /api/marketplace/branches/:id/slots)
 //     paymentMethod: 'cod' | 'online',
 //     specialInstructions?: string
 //   }
@@ -111,7 +128,16 @@ exports.createOrder = async (req, res) => {
           error: 'Each item quantity must be an integer between 1 and 100'
         });
       }
-      cleanItems.push({ serviceItemId: item.serviceItemId, quantity: qty });
+      const estimatedWeight = item.estimatedWeight === undefined || item.estimatedWeight === null
+        ? undefined
+        : Number(item.estimatedWeight);
+      if (estimatedWeight !== undefined && !(estimatedWeight > 0 && estimatedWeight <= WEIGHT_PRICING_DEFAULTS.MAX_WEIGHT)) {
+        return res.status(400).json({
+          success: false,
+          error: `Each item estimatedWeight must be between 0 and ${WEIGHT_PRICING_DEFAULTS.MAX_WEIGHT} kg`
+        });
+      }
+      cleanItems.push({ serviceItemId: item.serviceItemId, quantity: qty, estimatedWeight });
     }
 
     // --- Resolve branch + tenancy ---
@@ -120,12 +146,22 @@ exports.createOrder = async (req, res) => {
       marketplaceVisible: true,
       isActive: true,
       status: 'active'
-    }).select('_id tenancy name').lean();
+    }).select('_id tenancy name address.state taxOverride').lean();
 
     if (!branch) {
       return res.status(404).json({ success: false, error: 'Branch not found or not accepting orders' });
     }
 
+    // --- Delivery zone (branches that define polygon zones only serve inside them) ---
+    const coverage = await serviceZoneService.checkBranchCoverage(branch._id, { ...cleanAddress, coordinates: pickupAddress.coordinates });
+    if (coverage.zoned && !coverage.zone) {
+      return res.status(400).json({
+        success: false,
+        error: 'This branch does not deliver to your address',
+        code: 'AREA_NOT_SERVICEABLE'
+      });
+    }
+
     // --- Resolve ServiceItems + verify they belong to branch's tenancy ---
     const serviceItemIds = [...new Set(cleanItems.map(i => i.serviceItemId))];
     const serviceItems = await ServiceItem.find({
@@ -142,10 +178,36 @@ exports.createOrder = async (req, res) => {
     }
     const itemMap = new Map(serviceItems.map(si => [si._id.toString(), si]));
 
+    // --- Per-kg services are priced on the estimated weight until weighed ---
+    const weightRules = await weightPricingService.getRules(serviceItems.map(si => si.service), branch._id);
+    const unweighed = cleanItems.find(ci => (
+      weightRules.has(String(itemMap.get(ci.serviceItemId).service).toLowerCase()) && ci.estimatedWeight === undefined
+    ));
+    if (unweighed) {
+      return res.status(400).json({
+        success: false,
+        error: `${itemMap.get(unweighed.serviceItemId).name} is priced per kg; estimatedWeight (kg) is required`,
+        code: 'WEIGHT_REQUIRED'
+      });
+    }
+
     // --- Build OrderItem payloads + compute pricing ---
     let subtotal = 0;
     const orderItemPayloads = cleanItems.map(ci => {
       const si = itemMap.get(ci.serviceItemId);
+      const rules = weightRules.get(String(si.service).toLowerCase());
+      if (rules) {
+        const pricing = weightPricingService.priceItem(ci.estimatedWeight, rules);
+        subtotal += pricing.totalPrice;
+        return {
+          itemType: si.name,
+          service: si.service,
+          category: 'normal',
+          quantity: ci.quantity,
+          ...pricing,
+          estimatedWeight: ci.estimatedWeight
+        };
+      }
       const unitPrice = Number(si.basePrice) || 0;
       const totalPrice = unitPrice * ci.quantity;
       subtotal += totalPrice;
@@ -179,24 +241,93 @@ exports.createOrder = async (req, res) => {
       appliedCoupon = coupon;
     }
 
+    if (coverage.zone && subtotal < coverage.zone.minOrderAmount) {
+      return res.status(400).json({
+        success: false,
+        error: `Minimum order for your area is ₹${coverage.zone.minOrderAmount}`,
+        code: 'MIN_ORDER_NOT_MET'
+      });
+    }
+
+    // --- Delivery date from the branch calendar (working days, holidays, turnaround) ---
+    const estimatedDeliveryDate = await businessCalendar.estimateDeliveryDate({
+      branch: branch._id,
+      pickupDate,
+      services: orderItemPayloads.map(item => item.service)
+    });
+
+    // --- Laundry plan (takes a wash from the quota; given back if creation fails) ---
+    const orderId = new mongoose.Types.ObjectId();
+    const planBenefits = await laundryPlanService.useForOrder(userId, branch.tenancy, {
+      subtotal: Math.max(0, subtotal - couponDiscount),
+      deliveryCharge: coverage.zone?.deliveryCharge || 0
+    });
+    const planDiscount = planBenefits?.planDiscount || 0;
+    const releasePlanWash = () => (planBenefits ? laundryPlanService.releaseWash(planBenefits.laundryPlan) : null);
+
+    const deliveryCharge = planBenefits ? planBenefits.deliveryCharge : coverage.zone?.deliveryCharge || 0;
     const pricing = {
       subtotal,
       expressCharge: 0,
-      deliveryCharge: 0,
-      discount: 0,
+      deliveryCharge,
+      discount: Math.min(couponDiscount + planDiscount, subtotal),
       couponDiscount,
-      tax: 0,
-      total: Math.max(0, subtotal - couponDiscount)
+      planDiscount
     };
+    // --- Tax per the tenancy's configuration (sets tax, total, taxBreakdown) ---
+    try {
+      await taxService.applyToPricing(pricing, {
+        tenancy: branch.tenancy,
+        branch,
+        lines: orderItemPayloads.map(p => ({ service: p.service, amount: p.totalPrice })),
+        placeOfSupply: cleanAddress.state
+      });
+    } catch (error) {
+      await releasePlanWash();
+      throw error;
+    }
+
+    // --- Reserve the pickup slot (released on cancellation or if creation fails) ---
+    let reservedSlot;
+    try {
+      reservedSlot = await slotService.reserveSlot({ branch: branch._id, pickupDate, pickupTimeSlot, orderId });
+    } catch (error) {
+      await releasePlanWash();
+      if (error instanceof SlotBookingError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.message,
+          code: error.error,
+          details: error.details
+        });
+      }
+      throw error;
+    }
 
     // --- Optional wallet redemption (platform-level customer wallet) ---
-    let walletApplied = 0;
+    // Debited before the order is created and credited back if creation fails.
+    let walletRedeemed = false;
     if (useWallet) {
-      const wallet = await getOrCreateWallet(req.user._id);
-      walletApplied = Math.min(Math.round(wallet.balance), pricing.total);
-      if (walletApplied > 0) {
-        pricing.walletApplied = walletApplied;
-        pricing.total = Math.max(0, pricing.total - walletApplied);
+      try {
+        const wallet = await getOrCreateWallet(userId);
+        const redeemable = Math.min(Math.round(wallet.balance), pricing.total);
+        if (redeemable > 0) {
+          const { transaction } = await walletService.debit(userId, redeemable, 'order_redeem', {
+            orderId,
+            description: 'Redeemed on customer app order',
+            idempotencyKey: `order_redeem:${orderId}`
+          });
+          walletRedeemed = true;
+          pricing.walletApplied = transaction.amount;
+          pricing.total = Math.max(0, pricing.total - transaction.amount);
+        }
+      } catch (error) {
+        await slotService.releaseSlot(orderId);
+        await releasePlanWash();
+        if (error instanceof WalletError) {
+          return res.status(error.statusCode).json({ success: false, error: error.message, code: error.error });
+        }
+        throw error;
       }
     }
 
@@ -208,19 +339,23 @@ exports.createOrder = async (req, res) => {
         const [order] = await Order.create(
           [
             {
+              _id: orderId,
               tenancy: branch.tenancy,
               customer: userId,
               branch: branch._id,
               serviceType: 'home_pickup_self_pickup',
               pickupAddress: cleanAddress,
               pickupDate: pickupDateObj,
-              pickupTimeSlot: pickupTimeSlot.trim(),
+              pickupTimeSlot: reservedSlot.slot,
+              estimatedDeliveryDate,
               deliveryAddress: cleanAddress, // default deliver back to pickup; can be changed later
               items: [],
               pricing,
               paymentMethod,
               paymentStatus: paymentMethod === 'cod' ? 'pending' : 'pending',
               status: 'placed',
+              isVIPOrder: !!planBenefits?.priorityBooking,
+              laundryPlan: planBenefits?.laundryPlan,
               statusHistory: [{ status: 'placed', updatedBy: userId, updatedAt: new Date(), notes: 'Order placed from customer app' }],
               specialInstructions: typeof specialInstructions === 'string' ? specialInstructions.trim() : undefined
             }
@@ -234,6 +369,13 @@ exports.createOrder = async (req, res) => {
         await order.save({ session });
         createdOrder = order;
       });
+    } catch (error) {
+      if (walletRedeemed) {
+        await walletService.refundOrderPayment({ _id: orderId, customer: userId }, 'Order creation failed');
+      }
+      await slotService.releaseSlot(orderId);
+      await releasePlanWash();
+      throw error;
     } finally {
       await session.endSession();
     }
@@ -247,18 +389,6 @@ exports.createOrder = async (req, res) => {
       }
     }
 
-    // Debit the wallet for the redeemed amount (best-effort, ledgered).
-    if (walletApplied > 0) {
-      try {
-        await debitWallet(req.user._id, walletApplied, 'order_redeem', {
-          orderId: createdOrder._id,
-          description: `Redeemed on order ${createdOrder.orderNumber}`,
-        });
-      } catch (e) {
-        console.error('[marketplace] wallet debit failed:', e?.message);
-      }
-    }
-
     return res.status(201).json({
       success: true,
       order: {
@@ -270,10 +400,14 @@ exports.createOrder = async (req, res) => {
         pricing: createdOrder.pricing,
         pickupDate: createdOrder.pickupDate,
         pickupTimeSlot: createdOrder.pickupTimeSlot,
+        estimatedDeliveryDate: createdOrder.estimatedDeliveryDate,
         createdAt: createdOrder.createdAt
       }
     });
   } catch (err) {
+    if (err instanceof WeightPricingError) {
+      return res.status(err.statusCode).json({ success: false, error: err.message, code: err.error });
+    }
     console.error('[marketplace] createOrder error:', err);
     return res.status(500).json({ success: false, error: 'Failed to create order' });
   }
@@ -355,8 +489,8 @@ exports.listMyOrders = async (req, res) => {
 
 // POST /api/customer-app/orders/:id/cancel
 // Body (optional): { reason }
-// Honors Order.canBeCancelled() — only placed / assigned_to_branch /
-// assigned_to_logistics_pickup are cancellable.
+// Goes through the order state machine — only placed / assigned_to_branch /
+// assigned_to_logistics_pickup are cancellable, anything else is a 409.
 exports.cancelOrder = async (req, res) => {
   try {
     const userId = req.user?._id;
@@ -368,29 +502,29 @@ exports.cancelOrder = async (req, res) => {
     const order = await Order.findOne({ _id: req.params.id, customer: userId });
     if (!order) return res.status(404).json({ success: false, error: 'Order not found' });
 
-    if (!order.canBeCancelled()) {
-      return res.status(409).json({
-        success: false,
-        error: `Order cannot be cancelled in status '${order.status}'`
-      });
-    }
-
     const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim().slice(0, 200) : '';
 
-    // OrderService.updateOrderStatus also fires the socket emit to the
+    // OrderService.transitionOrder also fires the socket emit to the
     // customer + tenant admins, so we don't need to do it manually.
-    await OrderService.updateOrderStatus(
-      order._id,
-      'cancelled',
-      userId,
-      reason ? `Cancelled by customer: ${reason}` : 'Cancelled by customer'
-    );
-
-    order.isCancelled = true;
-    order.cancellationReason = reason || 'Cancelled by customer';
-    order.cancelledBy = userId;
-    order.cancelledAt = new Date();
-    await order.save();
+    try {
+      await OrderService.transitionOrder(order, ORDER_STATUS.CANCELLED, {
+        updatedBy: userId,
+        role: ORDER_ACTORS.CUSTOMER,
+        notes: reason ? `Cancelled by customer: ${reason}` : 'Cancelled by customer',
+        reason: reason || 'Cancelled by customer'
+      });
+    } catch (error) {
+      if (error instanceof OrderTransitionError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.error === 'INVALID_TRANSITION'
+            ? `Order cannot be cancelled in status '${order.status}'`
+            : error.message,
+          code: error.error
+        });
+      }
+      throw error;
+    }
 
     return res.json({
       success: true,
@@ -432,3 +566,109 @@ exports.getMyOrder = async (req, res) => {
     return res.status(500).json({ success: false, error: 'Failed to fetch order' });
   }
 };
+
+// GET /api/customer-app/orders/:id/invoice
+// Tax invoice PDF. Issued on delivery; a delivered order without one gets it now.
+exports.downloadInvoice = async (req, res) => {
+  try {
+    const userId = req.user?._id;
+    if (!userId) return res.status(401).json({ success: false, error: 'Not authenticated' });
+    if (!isObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, error: 'Invalid order id' });
+    }
+
+    const order = await Order.findOne({ _id: req.params.id, customer: userId }).select('status');
+    if (!order) return res.status(404).json({ success: false, error: 'Order not found' });
+
+    let invoice = await Invoice.findOne({ order: order._id, kind: 'invoice' });
+    if (!invoice && order.status === ORDER_STATUS.DELIVERED) {
+      invoice = await invoiceService.generateForOrder(order._id);
+    }
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        error: 'The invoice is issued when the order is delivered',
+        code: 'INVOICE_NOT_AVAILABLE'
+      });
+    }
+
+    const file = await invoiceService.renderPDF(invoice);
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${file.fileName}"`);
+    res.setHeader('Content-Length', file.buffer.length);
+    return res.send(file.buffer);
+  } catch (err) {
+    console.error('[marketplace] downloadInvoice error:', err);
+    return res.status(500).json({ success: false, error: 'Failed to fetch invoice' });
+  }
+};
+
+// GET /api/customer-app/orders/:id/quote
+// The order's revised quote awaiting approval, else its latest one.
+exports.getQuote = async (req, res) => {
+  try {
+    const userId = req.user?._id;
+    if (!userId) return res.status(401).json({ success: false, error: 'Not authenticated' });
+    if (!isObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, error: 'Invalid order id' });
+    }
+
+    const order = await Order.findOne({ _id: req.params.id, customer: userId });
+    if (!order) return res.status(404).json({ success: false, error: 'Order not found' });
+
+    const requote = requoteService.latestQuote(order);
+    if (!requote) {
+      return res.status(404).json({ success: false, error: 'This order has no revised quote', code: 'QUOTE_NOT_FOUND' });
+    }
+
+    return res.json({
+      success: true,
+      quote: requoteService.toView(order, requote),
+      awaitingApproval: requote.status === 'pending'
+    });
+  } catch (err) {
+    console.error('[marketplace] getQuote error:', err);
+    return res.status(500).json({ success: false, error: 'Failed to fetch quote' });
+  }
+};
+
+const decideQuote = (decision) => async (req, res) => {
+  try {
+    const userId = req.user?._id;
+    if (!userId) return res.status(401).json({ success: false, error: 'Not authenticated' });
+    if (!isObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, error: 'Invalid order id' });
+    }
+
+    const order = await Order.findOne({ _id: req.params.id, customer: userId });
+    if (!order) return res.status(404).json({ success: false, error: 'Order not found' });
+    if (!order.pendingRequote) {
+      return res.status(409).json({ success: false, error: 'This order has no quote awaiting approval', code: 'QUOTE_NOT_PENDING' });
+    }
+
+    const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim().slice(0, 500) : undefined;
+    const { requote } = await requoteService.decide(order, order.pendingRequote, decision, {
+      by: userId,
+      channel: 'app',
+      reason
+    });
+
+    return res.json({
+      success: true,
+      quote: requoteService.toView(order, requote),
+      pricing: order.pricing
+    });
+  } catch (err) {
+    if (err instanceof RequoteError) {
+      return res.status(err.statusCode).json({ success: false, error: err.message, code: err.error });
+    }
+    console.error(`[marketplace] ${decision} quote error:`, err);
+    return res.status(500).json({ success: false, error: 'Failed to update quote' });
+  }
+};
+
+// POST /api/customer-app/orders/:id/quote/approve
+exports.approveQuote = decideQuote('approve');
+
+// POST /api/customer-app/orders/:id/quote/reject   body: { reason? }
+exports.rejectQuote = decideQuote('reject');
@@ -1,53 +1,20 @@
-// Customer wallet: balance + ledger. Exposes helpers (creditWallet/debitWallet)
+// Customer wallet: balance + ledger. Exposes helpers (getOrCreateWallet/creditWallet)
 // reused by the referral + order-redeem flows.
 
-const CustomerWallet = require('../../models/CustomerWallet');
 const WalletTransaction = require('../../models/WalletTransaction');
+const walletService = require('../../services/walletService');
 
-async function getOrCreateWallet(userId) {
-  let wallet = await CustomerWallet.findOne({ user: userId });
-  if (!wallet) wallet = await CustomerWallet.create({ user: userId, balance: 0 });
-  return wallet;
+function getOrCreateWallet(userId) {
+  return walletService.getOrCreateWallet(userId);
 }
 
-// Credit the wallet and write a ledger entry. Returns the new balance.
+// Credit the wallet through the ledger. Returns the new balance, or null when
+// nothing was credited (zero amount, or opts.idempotencyKey already used).
 async function creditWallet(userId, amount, reason, opts = {}) {
   const amt = Math.round(Number(amount) || 0);
   if (amt <= 0) return null;
-  const wallet = await getOrCreateWallet(userId);
-  wallet.balance += amt;
-  await wallet.save();
-  await WalletTransaction.create({
-    user: userId,
-    type: 'credit',
-    amount: amt,
-    reason,
-    description: opts.description,
-    order: opts.orderId,
-    balanceAfter: wallet.balance,
-  });
-  return wallet.balance;
-}
-
-// Debit up to the available balance. Returns the amount actually debited.
-async function debitWallet(userId, amount, reason, opts = {}) {
-  const requested = Math.round(Number(amount) || 0);
-  if (requested <= 0) return 0;
-  const wallet = await getOrCreateWallet(userId);
-  const debit = Math.min(requested, wallet.balance);
-  if (debit <= 0) return 0;
-  wallet.balance -= debit;
-  await wallet.save();
-  await WalletTransaction.create({
-    user: userId,
-    type: 'debit',
-    amount: debit,
-    reason,
-    description: opts.description,
-    order: opts.orderId,
-    balanceAfter: wallet.balance,
-  });
-  return debit;
+  const result = await walletService.credit(userId, amt, reason, opts);
+  return result.duplicate ? null : result.balance;
 }
 
 // GET /api/customer-app/wallet
@@ -76,4 +43,3 @@ exports.getWallet = async (req, res) => {
 
 exports.getOrCreateWallet = getOrCreateWallet;
 exports.creditWallet = creditWallet;
-exports.debitWallet = debitWallet;
@@ -8,9 +8,10 @@ const { Expo } = require('expo-server-sdk');
 const User = require('../../models/User');
 
 const VALID_PLATFORMS = ['ios', 'android', 'web'];
+const VALID_PROVIDERS = ['expo', 'fcm'];
 
 // POST /api/customer-app/push/register
-// Body: { token, platform }
+// Body: { token, platform, provider? } — provider 'fcm' for native FCM tokens
 exports.registerToken = async (req, res) => {
   try {
     const userId = req.user?._id;
@@ -18,13 +19,23 @@ exports.registerToken = async (req, res) => {
 
     const token = req.body?.token;
     const platform = req.body?.platform;
+    const provider = req.body?.provider || 'expo';
 
     if (!token || typeof token !== 'string') {
       return res.status(400).json({ success: false, error: 'token required' });
     }
-    if (!Expo.isExpoPushToken(token)) {
+    if (!VALID_PROVIDERS.includes(provider)) {
+      return res.status(400).json({
+        success: false,
+        error: `provider must be one of: ${VALID_PROVIDERS.join(', ')}`
+      });
+    }
+    if (provider === 'expo' && !Expo.isExpoPushToken(token)) {
       return res.status(400).json({ success: false, error: 'Not a valid Expo push token' });
     }
+    if (provider === 'fcm' && /\s/.test(token)) {
+      return res.status(400).json({ success: false, error: 'Not a valid FCM registration token' });
+    }
     if (platform && !VALID_PLATFORMS.includes(platform)) {
       return res.status(400).json({
         success: false,
@@ -39,7 +50,13 @@ exports.registerToken = async (req, res) => {
     if (existing) {
       await User.updateOne(
         { _id: userId, 'pushTokens.token': token },
-        { $set: { 'pushTokens.$.lastUsedAt': new Date(), 'pushTokens.$.platform': platform || undefined } }
+        {
+          $set: {
+            'pushTokens.$.lastUsedAt': new Date(),
+            'pushTokens.$.platform': platform || undefined,
+            'pushTokens.$.provider': provider
+          }
+        }
       );
     } else {
       // Defensive: same token might be tied to a previous account — strip it
@@ -56,6 +73,7 @@ exports.registerToken = async (req, res) => {
             pushTokens: {
               token,
               platform: platform || undefined,
+              provider,
               registeredAt: new Date(),
               lastUsedAt: new Date()
             }
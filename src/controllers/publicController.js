@@ -2,6 +2,7 @@ const asyncHandler = require('express-async-handler');
 const Order = require('../models/Order');
 const { sendSuccess, sendError } = require('../utils/helpers');
 const { ORDER_STATUS } = require('../config/constants');
+const businessCalendar = require('../services/businessCalendarService');
 
 // @desc    Track order by order number (public - no auth required)
 // @route   GET /api/public/track/:orderNumber
@@ -61,7 +62,7 @@ const trackOrder = asyncHandler(async (req, res) => {
 
     // Dates
     pickupDate: order.pickupDate,
-    estimatedDeliveryDate: order.estimatedDeliveryDate,
+    estimatedDeliveryDate: await businessCalendar.getOrderDeliveryEstimate(order),
     actualDeliveryDate: order.actualDeliveryDate,
     createdAt: order.createdAt,
 
@@ -0,0 +1,46 @@
+const { sendSuccess, asyncHandler } = require('../utils/helpers');
+const requoteService = require('../services/requoteService');
+
+/**
+ * Get a revised quote by its approval link token
+ * GET /api/public/quotes/:token
+ */
+const getQuoteByToken = asyncHandler(async (req, res) => {
+  const { order, requote } = await requoteService.findByToken(req.params.token);
+
+  sendSuccess(res, {
+    quote: requoteService.toView(order, requote),
+    awaitingApproval: requote.status === 'pending' && requote.tokenExpiresAt > new Date()
+  }, 'Quote retrieved successfully');
+});
+
+/**
+ * Approve a revised quote through its approval link
+ * POST /api/public/quotes/:token/approve
+ */
+const approveQuoteByToken = asyncHandler(async (req, res) => {
+  const { order, requote } = await requoteService.findByToken(req.params.token);
+  await requoteService.decide(order, requote._id, 'approve', { channel: 'link' });
+
+  sendSuccess(res, { quote: requoteService.toView(order, requote) }, 'Revised quote approved');
+});
+
+/**
+ * Reject a revised quote through its approval link
+ * POST /api/public/quotes/:token/reject
+ */
+const rejectQuoteByToken = asyncHandler(async (req, res) => {
+  const { order, requote } = await requoteService.findByToken(req.params.token);
+  await requoteService.decide(order, requote._id, 'reject', {
+    channel: 'link',
+    reason: req.body.reason
+  });
+
+  sendSuccess(res, { quote: requoteService.toView(order, requote) }, 'Revised quote rejected');
+});
+
+module.exports = {
+  getQuoteByToken,
+  approveQuoteByToken,
+  rejectQuoteByToken
+};
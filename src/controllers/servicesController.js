@@ -1,3 +1,4 @@
+const mongoose = require('mongoose');
 const Branch = require('../models/Branch');
 const Service = require('../models/Service');
 const { 
@@ -10,12 +11,17 @@ const {
   isValidTimeSlot
 } = require('../utils/helpers');
 const { SERVICES, CLOTHING_CATEGORIES, ITEM_TYPES } = require('../config/constants');
+const slotService = require('../services/slotService');
+const { SlotBookingError } = require('../services/slotService');
+const serviceZoneService = require('../services/serviceZoneService');
+const taxService = require('../services/taxService');
+const weightPricingService = require('../services/weightPricingService');
 
 // @desc    Calculate pricing for items
 // @route   POST /api/services/calculate
 // @access  Public
 const calculatePricing = asyncHandler(async (req, res) => {
-  const { items, isExpress = false } = req.body;
+  const { items, isExpress = false, branchId, state } = req.body;
 
   if (!items || !Array.isArray(items) || items.length === 0) {
     return sendError(res, 'INVALID_ITEMS', 'Items array is required', 400);
@@ -23,6 +29,8 @@ const calculatePricing = asyncHandler(async (req, res) => {
 
   const calculatedItems = [];
   let subtotal = 0;
+  const hasBranch = branchId && mongoose.isValidObjectId(branchId);
+  const weightRules = await weightPricingService.getRules(items.map(item => item?.service), hasBranch ? branchId : null);
 
   for (const item of items) {
     const { itemType, service, category, quantity } = item;
@@ -31,6 +39,23 @@ const calculatePricing = asyncHandler(async (req, res) => {
       return sendError(res, 'INVALID_ITEM', 'Each item must have itemType, service, category, and quantity', 400);
     }
 
+    // Per-kg services are quoted on the estimated weight
+    const rules = weightRules.get(String(service).toLowerCase());
+    if (rules) {
+      if (item.estimatedWeight === undefined || item.estimatedWeight === null) {
+        return sendError(res, 'WEIGHT_REQUIRED', `${rules.displayName} is priced per kg; please provide an estimatedWeight in kg`, 400);
+      }
+      const pricing = weightPricingService.priceItem(weightPricingService.parseWeight(item.estimatedWeight, 'estimatedWeight'), rules, { isExpress });
+      subtotal += pricing.totalPrice;
+
+      calculatedItems.push({
+        ...item,
+        pricing,
+        totalPrice: pricing.totalPrice
+      });
+      continue;
+    }
+
     const pricing = calculateItemPrice(itemType, service, category, isExpress);
     const itemTotal = pricing.unitPrice * quantity;
     subtotal += itemTotal;
@@ -43,10 +68,25 @@ const calculatePricing = asyncHandler(async (req, res) => {
   }
 
   // Calculate order total with default values
-  const orderTotal = calculateOrderTotal(items.map(item => ({
+  const expressItems = calculatedItems.map(item => ({
     ...item,
-    isExpress
-  })));
+    isExpress,
+    pricingModel: item.pricing.pricingModel
+  }));
+  let orderTotal = calculateOrderTotal(expressItems);
+
+  // With a branch, tax as that branch's orders would be (state = customer's state)
+  if (hasBranch) {
+    const branch = await Branch.findById(branchId).select('tenancy address.state taxOverride').lean();
+    if (branch) {
+      orderTotal = await taxService.applyToPricing(calculateOrderTotal(expressItems, 0, 0, 0), {
+        tenancy: branch.tenancy,
+        branch,
+        lines: calculatedItems.map(item => ({ service: item.service, amount: item.totalPrice })),
+        placeOfSupply: state
+      });
+    }
+  }
 
   sendSuccess(res, {
     items: calculatedItems,
@@ -56,13 +96,33 @@ const calculatePricing = asyncHandler(async (req, res) => {
   }, 'Pricing calculated successfully');
 });
 
-// @desc    Get available time slots
-// @route   GET /api/services/time-slots
+// @desc    Get available time slots (per branch and date when branchId is given)
+// @route   GET /api/services/time-slots?branchId=&date=YYYY-MM-DD
 // @access  Public
 const getAvailableTimeSlots = asyncHandler(async (req, res) => {
-  const timeSlots = getTimeSlots();
-  
-  sendSuccess(res, { timeSlots }, 'Time slots retrieved successfully');
+  const { branchId, date } = req.query;
+
+  if (!branchId) {
+    const timeSlots = getTimeSlots();
+    return sendSuccess(res, { timeSlots }, 'Time slots retrieved successfully');
+  }
+
+  if (!mongoose.isValidObjectId(branchId)) {
+    return sendError(res, 'INVALID_BRANCH', 'Invalid branch id', 400);
+  }
+
+  try {
+    const availability = await slotService.getAvailability(branchId, date);
+    sendSuccess(res, {
+      ...availability,
+      timeSlots: availability.slots.filter(s => s.available).map(s => s.slot)
+    }, 'Time slots retrieved successfully');
+  } catch (error) {
+    if (error instanceof SlotBookingError) {
+      return sendError(res, error.error, error.message, error.statusCode);
+    }
+    throw error;
+  }
 });
 
 // @desc    Check service availability by pincode
@@ -75,13 +135,28 @@ const checkServiceAvailability = asyncHandler(async (req, res) => {
     return sendError(res, 'PINCODE_REQUIRED', 'Pincode is required', 400);
   }
 
-  // Find branches serving this pincode
+  // With a map pin, branches whose delivery zone contains it come first
+  const point = serviceZoneService.toPoint(req.query);
+  const zoneMatches = point ? (await serviceZoneService.lookup(point)).matches : [];
+  const zoneDetails = zoneMatches.map(match => ({
+    branchId: match.branch._id,
+    branchName: match.branch.name,
+    branchCode: match.branch.code,
+    deliveryCharge: match.zone.deliveryCharge,
+    minOrderAmount: match.zone.minOrderAmount,
+    estimatedPickupTime: `${match.zone.maxDeliveryTime} minutes`,
+    zone: match.zone
+  }));
+
+  // Find branches serving this pincode. Branches with zones only serve inside them.
+  const zonedBranchIds = await serviceZoneService.getZonedBranchIds();
   const branches = await Branch.find({
     'serviceAreas.pincode': pincode,
-    isActive: true
+    isActive: true,
+    _id: { $nin: zonedBranchIds }
   }).select('name code address serviceAreas');
 
-  if (branches.length === 0) {
+  if (branches.length === 0 && zoneDetails.length === 0) {
     return sendSuccess(res, {
       available: false,
       message: 'Service not available in your area',
@@ -104,7 +179,7 @@ const checkServiceAvailability = asyncHandler(async (req, res) => {
   sendSuccess(res, {
     available: true,
     message: 'Service available in your area',
-    branches: serviceDetails
+    branches: [...zoneDetails, ...serviceDetails]
   }, 'Service availability checked');
 });
 
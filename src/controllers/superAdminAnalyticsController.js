@@ -4,6 +4,7 @@ const Order = require('../models/Order')
 const Transaction = require('../models/Transaction')
 const Branch = require('../models/Branch')
 const AuditLog = require('../models/AuditLog')
+const scheduledReportService = require('../services/scheduledReportService')
 const { validationResult } = require('express-validator')
 
 // Helper functions (outside class to avoid 'this' context issues)
@@ -546,6 +547,73 @@ class CenterAdminAnalyticsController {
     }
   }
 
+  // Schedule a analysis to be regenerated and emailed on a recurring basis
+  async updateAnalyticsSchedule(req, res) {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        })
+      }
+
+      const analytics = await Analytics.findById(req.params.analyticsId)
+
+      if (!analytics) {
+        return res.status(404).json({
+          success: false,
+          message: 'Analytics not found'
+        })
+      }
+
+      if (!Analytics.GENERATED_TYPES.includes(analytics.type)) {
+        return res.status(400).json({
+          success: false,
+          message: `${analytics.type} analysis cannot be scheduled`
+        })
+      }
+
+      const { frequency, dayOfWeek, dayOfMonth, time, timezone, recipients, isActive } = req.body
+      await scheduledReportService.applySchedule(analytics, {
+        frequency, dayOfWeek, dayOfMonth, time, timezone, recipients, isActive
+      })
+
+      await AuditLog.logAction({
+        userId: req.admin._id,
+        userType: 'center_admin',
+        userEmail: req.admin.email,
+        action: 'schedule_analytics',
+        category: 'analytics',
+        description: `${analytics.isScheduled ? 'Scheduled' : 'Unscheduled'} ${analytics.type} analysis`,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        sessionId: req.sessionId,
+        resourceType: 'analytics',
+        resourceId: analytics._id.toString(),
+        status: 'success',
+        riskLevel: 'low',
+        metadata: { scheduleConfig: analytics.scheduleConfig }
+      })
+
+      return res.json({
+        success: true,
+        message: analytics.isScheduled ? 'Analytics scheduled' : 'Analytics schedule disabled',
+        data: {
+          isScheduled: analytics.isScheduled,
+          scheduleConfig: analytics.scheduleConfig
+        }
+      })
+    } catch (error) {
+      console.error('Update analysis schedule error:', error)
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to update schedule'
+      })
+    }
+  }
+
   // Helper methods
   async getCustomerMetrics(startDate, endDate) {
     const [totalCustomers, newCustomers, activeCustomers] = await Promise.all([
@@ -1,8 +1,12 @@
 const Transaction = require('../models/Transaction')
 const Settlement = require('../models/Settlement')
 const FinancialReport = require('../models/FinancialReport')
+const PayoutBatch = require('../models/PayoutBatch')
 const Order = require('../models/Order')
 const AuditLog = require('../models/AuditLog')
+const reportExportService = require('../services/reportExportService')
+const scheduledReportService = require('../services/scheduledReportService')
+const settlementService = require('../services/settlementService')
 const { validationResult } = require('express-validator')
 
 class CenterAdminFinancialController {
@@ -818,6 +822,275 @@ class CenterAdminFinancialController {
     }
   }
 
+  // Generate settlements from delivered orders for a period
+  async generateSettlements(req, res) {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        })
+      }
+
+      const { periodStart, periodEnd, types } = req.body
+      const end = new Date(periodEnd)
+      end.setHours(23, 59, 59, 999)
+
+      const result = await settlementService.generateSettlements({
+        periodStart: new Date(periodStart),
+        periodEnd: end,
+        types,
+        createdBy: req.admin._id
+      })
+
+      await AuditLog.logAction({
+        userId: req.admin._id,
+        userType: 'center_admin',
+        userEmail: req.admin.email,
+        action: 'generate_settlements',
+        category: 'financial',
+        description: `Generated ${result.created.length} settlement(s) for ${periodStart} - ${periodEnd}`,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        sessionId: req.sessionId,
+        resourceType: 'settlement',
+        resourceId: result.batchId,
+        status: 'success',
+        riskLevel: 'medium',
+        metadata: {
+          batchId: result.batchId,
+          created: result.created.length,
+          skipped: result.skipped.length,
+          totalAmount: result.created.reduce((sum, s) => sum + s.netAmount, 0)
+        }
+      })
+
+      return res.status(201).json({
+        success: true,
+        message: `${result.created.length} settlement(s) generated`,
+        data: result
+      })
+    } catch (error) {
+      console.error('Generate settlements error:', error)
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to generate settlements'
+      })
+    }
+  }
+
+  // List payout batches
+  async getPayoutBatches(req, res) {
+    try {
+      const { page = 1, limit = 20, status } = req.query
+
+      const query = {}
+      if (status) query.status = status
+
+      const skip = (parseInt(page) - 1) * parseInt(limit)
+      const [batches, total] = await Promise.all([
+        PayoutBatch.find(query)
+          .select('-content')
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(parseInt(limit))
+          .lean(),
+        PayoutBatch.countDocuments(query)
+      ])
+
+      return res.json({
+        success: true,
+        data: {
+          batches,
+          pagination: {
+            current: parseInt(page),
+            pages: Math.ceil(total / parseInt(limit)),
+            total,
+            limit: parseInt(limit)
+          }
+        }
+      })
+    } catch (error) {
+      console.error('Get payout batches error:', error)
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch payout batches'
+      })
+    }
+  }
+
+  // Create a bank payout file from approved settlements
+  async createPayoutBatch(req, res) {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        })
+      }
+
+      const { format = 'csv', settlementIds } = req.body
+
+      const { batch, skipped } = await settlementService.createPayoutBatch({
+        format,
+        settlementIds,
+        createdBy: req.admin._id
+      })
+
+      if (!batch) {
+        return res.status(409).json({
+          success: false,
+          message: 'No approved settlements are ready for payout',
+          data: { skipped }
+        })
+      }
+
+      await AuditLog.logAction({
+        userId: req.admin._id,
+        userType: 'center_admin',
+        userEmail: req.admin.email,
+        action: 'create_payout_batch',
+        category: 'financial',
+        description: `Created payout batch ${batch.batchId} for ${batch.settlementCount} settlement(s), ₹${batch.totalAmount}`,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        sessionId: req.sessionId,
+        resourceType: 'payout_batch',
+        resourceId: batch._id.toString(),
+        status: 'success',
+        riskLevel: 'high',
+        metadata: {
+          batchId: batch.batchId,
+          format,
+          settlementCount: batch.settlementCount,
+          totalAmount: batch.totalAmount
+        }
+      })
+
+      const data = batch.toObject()
+      delete data.content
+
+      return res.status(201).json({
+        success: true,
+        message: 'Payout batch created successfully',
+        data: { batch: data, skipped }
+      })
+    } catch (error) {
+      console.error('Create payout batch error:', error)
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to create payout batch'
+      })
+    }
+  }
+
+  // Download the bank file for a payout batch
+  async downloadPayoutFile(req, res) {
+    try {
+      const batch = await PayoutBatch.findOne({ batchId: req.params.batchId })
+
+      if (!batch) {
+        return res.status(404).json({
+          success: false,
+          message: 'Payout batch not found'
+        })
+      }
+
+      await AuditLog.logAction({
+        userId: req.admin._id,
+        userType: 'center_admin',
+        userEmail: req.admin.email,
+        action: 'download_payout_file',
+        category: 'financial',
+        description: `Downloaded payout file ${batch.fileName}`,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        sessionId: req.sessionId,
+        resourceType: 'payout_batch',
+        resourceId: batch._id.toString(),
+        status: 'success',
+        riskLevel: 'high',
+        metadata: { batchId: batch.batchId }
+      })
+
+      res.setHeader('Content-Type', batch.format === 'csv' ? 'text/csv' : 'text/plain')
+      res.setHeader('Content-Disposition', `attachment; filename="${batch.fileName}"`)
+      return res.send(batch.content)
+    } catch (error) {
+      console.error('Download payout file error:', error)
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to download payout file'
+      })
+    }
+  }
+
+  // Record the bank's completed/failed result for each settlement in a batch
+  async applyPayoutResults(req, res) {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        })
+      }
+
+      const result = await settlementService.applyPayoutResults(req.params.batchId, req.body.results, req.admin._id)
+
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          message: 'Payout batch not found'
+        })
+      }
+
+      const { batch, applied, notFound } = result
+
+      await AuditLog.logAction({
+        userId: req.admin._id,
+        userType: 'center_admin',
+        userEmail: req.admin.email,
+        action: 'apply_payout_results',
+        category: 'financial',
+        description: `Applied ${applied.length} payout result(s) to batch ${batch.batchId}`,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        sessionId: req.sessionId,
+        resourceType: 'payout_batch',
+        resourceId: batch._id.toString(),
+        status: 'success',
+        riskLevel: 'high',
+        metadata: {
+          batchId: batch.batchId,
+          completed: applied.filter(a => a.status === 'completed').length,
+          failed: applied.filter(a => a.status === 'failed').length,
+          notFound
+        }
+      })
+
+      const data = batch.toObject()
+      delete data.content
+
+      return res.json({
+        success: true,
+        message: 'Payout results applied',
+        data: { batch: data, applied, notFound }
+      })
+    } catch (error) {
+      console.error('Apply payout results error:', error)
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to apply payout results'
+      })
+    }
+  }
+
   // Generate financial report
   async generateReport(req, res) {
     try {
@@ -832,32 +1105,21 @@ class CenterAdminFinancialController {
 
       const { type, startDate, endDate, filters = {} } = req.body
 
-      let report
-
-      switch (type) {
-        case 'revenue_report':
-          report = await FinancialReport.generateRevenueReport(
-            new Date(startDate),
-            new Date(endDate),
-            filters,
-            req.admin._id
-          )
-          break
-        case 'profit_loss':
-          report = await FinancialReport.generateProfitLossReport(
-            new Date(startDate),
-            new Date(endDate),
-            filters,
-            req.admin._id
-          )
-          break
-        default:
-          return res.status(400).json({
-            success: false,
-            message: 'Invalid report type'
-          })
+      if (!FinancialReport.GENERATED_TYPES.includes(type)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid report type'
+        })
       }
 
+      const report = await FinancialReport.generateReport(
+        type,
+        new Date(startDate),
+        new Date(endDate),
+        filters,
+        req.admin._id
+      )
+
       // Log report generation
       await AuditLog.logAction({
         userId: req.admin._id,
@@ -990,6 +1252,157 @@ class CenterAdminFinancialController {
       })
     }
   }
+
+  // Download a report as CSV, Excel (xlsx) or PDF
+  async exportReport(req, res) {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        })
+      }
+
+      const { reportId } = req.params
+      const { format = 'pdf', tenancyId } = req.query
+
+      const report = await FinancialReport.findById(reportId)
+
+      if (!report) {
+        return res.status(404).json({
+          success: false,
+          message: 'Report not found'
+        })
+      }
+
+      if (report.status !== 'completed') {
+        return res.status(409).json({
+          success: false,
+          message: 'Report has not finished generating'
+        })
+      }
+
+      const file = await reportExportService.export(report, format, { tenancyId })
+
+      report.fileName = file.fileName
+      report.fileSize = file.buffer.length
+      report.config.format = format
+      await report.updateAccess(req.admin._id)
+
+      res.setHeader('Content-Type', file.contentType)
+      res.setHeader('Content-Disposition', `attachment; filename="${file.fileName}"`)
+      res.setHeader('Content-Length', file.buffer.length)
+      return res.send(file.buffer)
+    } catch (error) {
+      console.error('Export report error:', error)
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to export report'
+      })
+    }
+  }
+
+  // Schedule a report to be regenerated and emailed on a recurring basis
+  async updateReportSchedule(req, res) {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        })
+      }
+
+      const report = await FinancialReport.findById(req.params.reportId)
+
+      if (!report) {
+        return res.status(404).json({
+          success: false,
+          message: 'Report not found'
+        })
+      }
+
+      if (!FinancialReport.GENERATED_TYPES.includes(report.type)) {
+        return res.status(400).json({
+          success: false,
+          message: `${report.type} report cannot be scheduled`
+        })
+      }
+
+      const { frequency, dayOfWeek, dayOfMonth, time, timezone, recipients, isActive } = req.body
+      await scheduledReportService.applySchedule(report, {
+        frequency, dayOfWeek, dayOfMonth, time, timezone, recipients, isActive
+      })
+
+      await AuditLog.logAction({
+        userId: req.admin._id,
+        userType: 'center_admin',
+        userEmail: req.admin.email,
+        action: 'schedule_financial_report',
+        category: 'financial',
+        description: `${report.isScheduled ? 'Scheduled' : 'Unscheduled'} ${report.type} report`,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        sessionId: req.sessionId,
+        resourceType: 'financial_report',
+        resourceId: report._id.toString(),
+        status: 'success',
+        riskLevel: 'low',
+        metadata: { scheduleConfig: report.scheduleConfig }
+      })
+
+      return res.json({
+        success: true,
+        message: report.isScheduled ? 'Report scheduled' : 'Report schedule disabled',
+        data: {
+          isScheduled: report.isScheduled,
+          scheduleConfig: report.scheduleConfig
+        }
+      })
+    } catch (error) {
+      console.error('Update report schedule error:', error)
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to update schedule'
+      })
+    }
+  }
+
+  // Customer wallet reconciliation: stored balances vs ledger-derived balances
+  async getWalletReconciliation(req, res) {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        })
+      }
+
+      const walletService = require('../services/walletService')
+      const { userId, fix } = req.query
+
+      const report = await walletService.reconcile({
+        userId,
+        fix: fix === 'true'
+      })
+
+      return res.json({
+        success: true,
+        data: { report }
+      })
+    } catch (error) {
+      console.error('Wallet reconciliation error:', error)
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to reconcile wallets'
+      })
+    }
+  }
 }
 
 module.exports = new CenterAdminFinancialController()
\ No newline at end of file
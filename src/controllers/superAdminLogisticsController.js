@@ -1,6 +1,9 @@
 const LogisticsPartner = require('../models/LogisticsPartner');
 const Order = require('../models/Order');
 const AuditLog = require('../models/AuditLog');
+const OrderService = require('../services/orderService');
+const { OrderTransitionError } = require('../services/orderService');
+const { ORDER_STATUS, ORDER_ACTORS } = require('../config/constants');
 
 // Get all logistics partners
 exports.getAllPartners = async (req, res) => {
@@ -251,27 +254,30 @@ exports.assignOrder = async (req, res) => {
     order.logisticsPartner = partnerId;
     
     // Update status based on assignment type
-    if (assignmentType === 'pickup') {
-      order.status = 'assigned_to_logistics_pickup';
-    } else if (assignmentType === 'delivery') {
-      order.status = 'assigned_to_logistics_delivery';
-    }
+    const newStatus = assignmentType === 'pickup'
+      ? ORDER_STATUS.ASSIGNED_TO_LOGISTICS_PICKUP
+      : ORDER_STATUS.ASSIGNED_TO_LOGISTICS_DELIVERY;
     
-    order.statusHistory.push({
-      status: order.status,
+    await OrderService.transitionOrder(order, newStatus, {
       updatedBy: req.admin._id,
-      updatedAt: new Date(),
+      role: ORDER_ACTORS.SUPERADMIN,
       notes: `Assigned to ${partner.companyName} for ${assignmentType}`
     });
     
-    await order.save();
-    
     // Update partner metrics
     partner.performance.totalOrders += 1;
     await partner.save();
     
     res.json({ success: true, data: order });
   } catch (error) {
+    if (error instanceof OrderTransitionError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.error,
+        message: error.message,
+        details: error.details
+      });
+    }
     console.error('Assign order error:', error);
     res.status(500).json({ success: false, message: 'Failed to assign order' });
   }
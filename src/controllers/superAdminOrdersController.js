@@ -9,7 +9,8 @@ const {
   getPagination,
   formatPaginationResponse
 } = require('../utils/helpers');
-const { ORDER_STATUS } = require('../config/constants');
+const OrderService = require('../services/orderService');
+const { ORDER_STATUS, ORDER_ACTORS } = require('../config/constants');
 
 // @desc    Get all orders
 // @route   GET /api/center-admin/orders
@@ -84,16 +85,12 @@ const assignOrderToBranch = asyncHandler(async (req, res) => {
   }
 
   order.branch = branchId;
-  order.status = ORDER_STATUS.ASSIGNED_TO_BRANCH;
-  order.statusHistory.push({
-    status: ORDER_STATUS.ASSIGNED_TO_BRANCH,
+  await OrderService.transitionOrder(order, ORDER_STATUS.ASSIGNED_TO_BRANCH, {
     updatedBy: req.admin?._id || null,
-    updatedAt: new Date(),
+    role: ORDER_ACTORS.SUPERADMIN,
     notes: `Assigned to branch: ${branch.name}`
   });
 
-  await order.save();
-
   const populatedOrder = await Order.findById(order._id)
     .populate('customer', 'name email phone')
     .populate('branch', 'name code')
@@ -126,21 +123,17 @@ const assignLogisticsPartner = asyncHandler(async (req, res) => {
   order.logisticsPartner = logisticsPartnerId;
   
   // Determine if this is for pickup or delivery
-  const isForPickup = ['assigned_to_branch'].includes(order.status);
+  const isForPickup = [ORDER_STATUS.PLACED, ORDER_STATUS.ASSIGNED_TO_BRANCH].includes(order.status);
   const newStatus = isForPickup 
     ? ORDER_STATUS.ASSIGNED_TO_LOGISTICS_PICKUP 
     : ORDER_STATUS.ASSIGNED_TO_LOGISTICS_DELIVERY;
 
-  order.status = newStatus;
-  order.statusHistory.push({
-    status: newStatus,
+  await OrderService.transitionOrder(order, newStatus, {
     updatedBy: req.admin?._id || null,
-    updatedAt: new Date(),
+    role: ORDER_ACTORS.SUPERADMIN,
     notes: `Logistics partner assigned: ${logisticsPartner.companyName} for ${isForPickup ? 'pickup' : 'delivery'}`
   });
 
-  await order.save();
-
   const populatedOrder = await Order.findById(order._id)
     .populate('customer', 'name email phone')
     .populate('branch', 'name code')
@@ -155,34 +148,22 @@ const assignLogisticsPartner = asyncHandler(async (req, res) => {
 // @access  Private (Center Admin)
 const updateOrderStatus = asyncHandler(async (req, res) => {
   const { orderId } = req.params;
-  const { status, notes } = req.body;
+  const { status, notes, reason } = req.body;
 
   const order = await Order.findById(orderId);
   if (!order) {
     return sendError(res, 'ORDER_NOT_FOUND', 'Order not found', 404);
   }
 
-  // Validate status transition
-  const validStatuses = Object.values(ORDER_STATUS);
-  if (!validStatuses.includes(status)) {
-    return sendError(res, 'INVALID_STATUS', 'Invalid order status', 400);
-  }
-
-  order.status = status;
-  order.statusHistory.push({
-    status,
+  // State machine validates the move, sets actualDeliveryDate / cancellation
+  // details and runs the side effects
+  await OrderService.transitionOrder(order, status, {
     updatedBy: req.admin?._id || null,
-    updatedAt: new Date(),
-    notes: notes || `Status updated to ${status}`
+    role: ORDER_ACTORS.SUPERADMIN,
+    notes: notes || `Status updated to ${status}`,
+    reason: reason || notes
   });
 
-  // Set delivery date if delivered
-  if (status === ORDER_STATUS.DELIVERED) {
-    order.actualDeliveryDate = new Date();
-  }
-
-  await order.save();
-
   const populatedOrder = await Order.findById(order._id)
     .populate('customer', 'name email phone')
     .populate('branch', 'name code')
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+const laundryPlanService = require('../services/laundryPlanService');
+
+/**
+ * Check if database is connected before running jobs
+ */
+function isDatabaseConnected() {
+  return mongoose.connection.readyState === 1;
+}
+
+/**
+ * Resume paused laundry plans whose pause has run its course
+ * Runs every hour
+ */
+async function resumePausedPlans() {
+  try {
+    // Check database connection first
+    if (!isDatabaseConnected()) {
+      console.log('⚠️ Skipping laundry plan resume job - database not connected');
+      return { success: false, error: 'Database not connected' };
+    }
+
+    const result = await laundryPlanService.resumeDuePlans();
+
+    if (result.resumed > 0 || result.failed > 0) {
+      console.log(`✅ Laundry plans: ${result.resumed} resumed, ${result.failed} failed`);
+    }
+
+    return { success: true, ...result };
+  } catch (error) {
+    console.error('❌ Error in laundry plan resume job:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+module.exports = {
+  resumePausedPlans
+};
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+/**
+ * Check if database is connected before running jobs
+ */
+function isDatabaseConnected() {
+  return mongoose.connection.readyState === 1;
+}
+
+/**
+ * Resolve Expo push receipts for notifications sent in the last 24 hours,
+ * pruning tokens of devices that are no longer registered
+ * Runs every 15 minutes
+ */
+async function runPushReceiptCheck() {
+  try {
+    // Check database connection first
+    if (!isDatabaseConnected()) {
+      console.log('⚠️ Skipping push receipts job - database not connected');
+      return { success: false, error: 'Database not connected' };
+    }
+
+    const socketIOServer = require('../services/socketIOServer');
+    let engine;
+    if (socketIOServer.isInitialized) {
+      engine = socketIOServer.getEngine();
+    } else {
+      const { SocketIONotificationEngine } = require('../services/notifications/SocketIONotificationEngine');
+      engine = new SocketIONotificationEngine();
+    }
+
+    const result = await engine.reconcilePushReceipts();
+
+    if (result.checked > 0) {
+      console.log(`✅ Push receipts: ${result.checked} checked, ${result.updated} notification(s) updated, ${result.removed} token(s) removed`);
+    }
+
+    return { success: true, ...result };
+  } catch (error) {
+    console.error('❌ Error in push receipts job:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+module.exports = {
+  runPushReceiptCheck
+};
@@ -0,0 +1,39 @@
+const scheduledReportService = require('../services/scheduledReportService');
+const mongoose = require('mongoose');
+
+/**
+ * Check if database is connected before running jobs
+ */
+function isDatabaseConnected() {
+  return mongoose.connection.readyState === 1;
+}
+
+/**
+ * Generate and deliver due scheduled financial reports and analytics
+ * Runs every 15 minutes
+ */
+async function runScheduledReports() {
+  try {
+    // Check database connection first
+    if (!isDatabaseConnected()) {
+      console.log('⚠️ Skipping scheduled reports job - database not connected');
+      return { success: false, error: 'Database not connected' };
+    }
+
+    console.log('🔄 Running scheduled reports job...');
+    const result = await scheduledReportService.runDueSchedules();
+
+    if (result.ran > 0 || result.failed > 0) {
+      console.log(`✅ Scheduled reports: ${result.ran} generated, ${result.failed} failed, ${result.skipped} skipped`);
+    }
+
+    return result;
+  } catch (error) {
+    console.error('❌ Error in scheduled reports job:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+module.exports = {
+  runScheduledReports
+};
@@ -0,0 +1,42 @@
+const settlementService = require('../services/settlementService');
+const mongoose = require('mongoose');
+
+/**
+ * Check if database is connected before running jobs
+ */
+function isDatabaseConnected() {
+  return mongoose.connection.readyState === 1;
+}
+
+/**
+ * Generate settlements for the last period and write a payout file
+ * Runs daily; weekly settlement periods are only generated once (already
+ * settled orders are skipped), later runs pick up newly approved settlements
+ */
+async function runSettlementBatch(period = process.env.SETTLEMENT_PERIOD || 'weekly') {
+  try {
+    // Check database connection first
+    if (!isDatabaseConnected()) {
+      console.log('⚠️ Skipping settlement batch job - database not connected');
+      return { success: false, error: 'Database not connected' };
+    }
+
+    console.log(`🔄 Running settlement batch job (${period})...`);
+    const result = await settlementService.runSettlementCycle({ period });
+
+    if (result.success) {
+      console.log(`✅ Settlement batch: ${result.settlementsCreated} settlement(s) created, ${result.requeued} requeued, payout batch ${result.payoutBatch?.batchId || 'not needed'}`);
+    } else if (result.skipped) {
+      console.log(`⏭️ Settlement batch skipped: ${result.error}`);
+    }
+
+    return result;
+  } catch (error) {
+    console.error('❌ Error in settlement batch job:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+module.exports = {
+  runSettlementBatch
+};
@@ -62,6 +62,7 @@ const errorHandler = (err, req, res, next) => {
     success: false,
     error: error.error || 'SERVER_ERROR',
     message: error.message || 'Internal server error',
+    ...(error.details && { details: error.details }),
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
   });
 };
@@ -50,6 +50,11 @@ const addressSchema = new mongoose.Schema({
     required: [true, 'Pincode is required'],
     match: [/^[1-9][0-9]{5}$/, 'Please enter a valid 6-digit pincode']
   },
+  // Map pin picked in the app; used to match polygon service zones
+  coordinates: {
+    lat: { type: Number, min: -90, max: 90 },
+    lng: { type: Number, min: -180, max: 180 }
+  },
   addressType: {
     type: String,
     enum: ['home', 'office', 'other'],
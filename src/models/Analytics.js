@@ -317,7 +317,15 @@ const analyticsSchema = new mongoose.Schema({
     time: String,
     timezone: String,
     recipients: [String],
-    isActive: { type: Boolean, default: true }
+    isActive: { type: Boolean, default: true },
+    // Runner state (see services/scheduledReportService)
+    nextRunAt: Date,
+    lastRunAt: Date,
+    lastRunStatus: { type: String, enum: ['success', 'failed'] },
+    lastError: String,
+    failureCount: { type: Number, default: 0 },
+    lastGeneratedId: { type: mongoose.Schema.Types.ObjectId, ref: 'Analytics' },
+    lockedUntil: Date // held while a run is in progress
   },
   
   // Access Control
@@ -353,6 +361,7 @@ analyticsSchema.index({ type: 1, status: 1 })
 analyticsSchema.index({ startDate: 1, endDate: 1 })
 analyticsSchema.index({ createdBy: 1, createdAt: -1 })
 analyticsSchema.index({ isScheduled: 1, 'scheduleConfig.isActive': 1 })
+analyticsSchema.index({ 'scheduleConfig.nextRunAt': 1 })
 analyticsSchema.index({ 'filters.branchIds': 1 })
 analyticsSchema.index({ 'branchPerformance.branchId': 1, 'branchPerformance.period': 1 })
 
@@ -586,4 +595,20 @@ analyticsSchema.statics.generateBranchPerformanceAnalysis = async function(start
   return await analytics.save()
 }
 
+// Analysis types that can be generated from a date range alone (and so scheduled)
+const ANALYTICS_GENERATORS = {
+  customer_retention: 'generateCustomerRetentionAnalysis',
+  branch_performance: 'generateBranchPerformanceAnalysis'
+}
+
+analyticsSchema.statics.GENERATED_TYPES = Object.keys(ANALYTICS_GENERATORS)
+
+analyticsSchema.statics.generateAnalysis = async function(type, startDate, endDate, filters = {}, createdBy) {
+  const generator = ANALYTICS_GENERATORS[type]
+  if (!generator) {
+    throw new Error(`Unsupported analytics type: ${type}`)
+  }
+  return await this[generator](startDate, endDate, filters, createdBy)
+}
+
 module.exports = mongoose.model('Analytics', analyticsSchema)
\ No newline at end of file
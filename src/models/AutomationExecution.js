@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// Execution history for automation rules (one document per rule run)
+const automationExecutionSchema = new mongoose.Schema({
+  executionId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  ruleId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  ruleName: String,
+  scope: {
+    type: String,
+    enum: ['PLATFORM', 'TENANT']
+  },
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenancy',
+    index: true
+  },
+  eventType: String,
+  // PENDING while webhook deliveries of the run are still being retried
+  status: {
+    type: String,
+    enum: ['SUCCESS', 'FAILED', 'PENDING'],
+    required: true
+  },
+  eventData: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  context: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  error: String,
+  isTest: {
+    type: Boolean,
+    default: false
+  },
+  executedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Retention
+  expiresAt: {
+    type: Date,
+    default: function() {
+      // Default 90 days retention
+      return new Date(Date.now() + 90 * 24 * 60 * 60 * 1000);
+    },
+    index: { expireAfterSeconds: 0 }
+  }
+}, {
+  timestamps: true
+});
+
+automationExecutionSchema.index({ ruleId: 1, executedAt: -1 });
+automationExecutionSchema.index({ tenantId: 1, status: 1, executedAt: -1 });
+
+// Static method to get paginated history for a rule
+automationExecutionSchema.statics.getHistoryForRule = function(ruleId, { page = 1, limit = 10, status } = {}) {
+  const query = { ruleId };
+  if (status) query.status = status;
+
+  return this.find(query)
+    .sort({ executedAt: -1 })
+    .skip((page - 1) * limit)
+    .limit(limit);
+};
+
+module.exports = mongoose.model('AutomationExecution', automationExecutionSchema);
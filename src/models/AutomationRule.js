@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
 
 const automationRuleSchema = new mongoose.Schema({
   ruleId: {
@@ -64,6 +65,12 @@ const automationRuleSchema = new mongoose.Schema({
   lastExecuted: {
     type: Date
   },
+  // HMAC secret used to sign outgoing webhook payloads
+  webhookSecret: {
+    type: String,
+    select: false,
+    default: () => crypto.randomBytes(32).toString('hex')
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
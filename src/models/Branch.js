@@ -15,6 +15,15 @@ const staffSchema = new mongoose.Schema({
     settings: { type: Boolean, default: false }
   },
   salary: { type: Number },
+  // Drivers: paid per delivered order through settlements
+  perDeliveryRate: { type: Number, default: 0 },
+  bankDetails: {
+    accountNumber: String,
+    ifscCode: String,
+    accountHolderName: String,
+    bankName: String,
+    upiId: String
+  },
   joinDate: { type: Date, default: Date.now },
   isActive: { type: Boolean, default: true }
 })
@@ -100,6 +109,13 @@ const branchSchema = new mongoose.Schema({
     perKmRate: { type: Number },
     maxDistance: { type: Number }
   },
+  // Branch-specific GST registration, e.g. a branch in another state.
+  // Unset fields fall back to the tenancy's settings.taxConfig.
+  taxOverride: {
+    gstin: { type: String, trim: true, uppercase: true },
+    state: { type: String, trim: true },
+    pricesIncludeTax: { type: Boolean }
+  },
   address: {
     addressLine1: { type: String, required: true },
     addressLine2: String,
@@ -168,6 +184,34 @@ const branchSchema = new mongoose.Schema({
       end: { type: String, default: '14:00' }
     }
   },
+
+  // Pickup/delivery slot booking (see services/slotService)
+  slotSettings: {
+    durationMinutes: {
+      type: Number,
+      default: 120,
+      min: 30,
+      max: 480
+    },
+    // Bookings allowed per slot; unset spreads capacity.maxOrdersPerDay evenly
+    maxOrdersPerSlot: {
+      type: Number,
+      min: 1
+    },
+    // Stop taking bookings for a slot this many minutes before it starts
+    cutoffMinutes: {
+      type: Number,
+      default: 60,
+      min: 0
+    },
+    // How many days ahead customers can book
+    advanceDays: {
+      type: Number,
+      default: 7,
+      min: 1,
+      max: 60
+    }
+  },
   
   // Service Areas & Territory
   serviceAreas: [{
@@ -216,6 +260,15 @@ const branchSchema = new mongoose.Schema({
     commissionRate: {
       type: Number,
       default: 10 // Percentage of revenue as commission
+    },
+    // Account the branch's settlements are paid into
+    bankDetails: {
+      accountNumber: String,
+      ifscCode: String,
+      accountHolderName: String,
+      bankName: String,
+      branchName: String,
+      upiId: String
     }
   },
   
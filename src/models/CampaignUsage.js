@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+// One record per campaign redemption. Per-user and daily campaign limits are
+// counted from the "applied" records; cancelling an order reverses them.
+const campaignUsageSchema = new mongoose.Schema({
+  campaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    required: true
+  },
+  tenancy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenancy',
+    index: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Set when the order is created (checkout may apply the campaign first)
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  discount: {
+    type: Number,
+    default: 0
+  },
+  orderTotal: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['applied', 'reversed'],
+    default: 'applied'
+  },
+  reversedAt: Date,
+  reversalReason: String
+}, {
+  timestamps: true
+});
+
+campaignUsageSchema.index({ campaign: 1, user: 1, status: 1 });
+campaignUsageSchema.index({ campaign: 1, status: 1, createdAt: -1 });
+campaignUsageSchema.index({ order: 1 });
+
+// Number of times a user has redeemed a campaign
+campaignUsageSchema.statics.countUserUsage = function(campaignId, userId) {
+  return this.countDocuments({
+    campaign: campaignId,
+    user: userId,
+    status: 'applied'
+  });
+};
+
+// Number of redemptions of a campaign since the given time (defaults to start of today)
+campaignUsageSchema.statics.countDailyUsage = function(campaignId, since) {
+  if (!since) {
+    since = new Date();
+    since.setHours(0, 0, 0, 0);
+  }
+
+  return this.countDocuments({
+    campaign: campaignId,
+    status: 'applied',
+    createdAt: { $gte: since }
+  });
+};
+
+// Mark all applied usage for an order as reversed and return the affected records
+campaignUsageSchema.statics.reverseForOrder = async function(orderId, reason = 'Order cancelled') {
+  const candidates = await this.find({ order: orderId, status: 'applied' }).select('_id');
+  const reversed = [];
+
+  // Conditional update so a concurrent cancellation can't reverse the same usage twice
+  for (const { _id } of candidates) {
+    const usage = await this.findOneAndUpdate(
+      { _id, status: 'applied' },
+      { status: 'reversed', reversedAt: new Date(), reversalReason: reason },
+      { new: true }
+    );
+    if (usage) reversed.push(usage);
+  }
+
+  return reversed;
+};
+
+module.exports = mongoose.model('CampaignUsage', campaignUsageSchema);
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Redemptions held against one campaign limit: a user's redemptions
+// (scope 'user', key = user id) or a day's (scope 'day', key = YYYY-MM-DD).
+// Counters are only changed through atomic conditional updates, so
+// concurrent checkouts can't exceed the limit (see services/campaignEngine).
+const campaignUsageCounterSchema = new mongoose.Schema({
+  campaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    required: true
+  },
+  scope: {
+    type: String,
+    enum: ['user', 'day'],
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+campaignUsageCounterSchema.index({ campaign: 1, scope: 1, key: 1 }, { unique: true });
+
+module.exports = mongoose.model('CampaignUsageCounter', campaignUsageCounterSchema);
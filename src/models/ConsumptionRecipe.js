@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// How much of an inventory item one unit of a service uses, e.g. dry_clean
+// uses 100 ml of solvent per item. Recipes without a branch apply to every
+// branch of the tenancy; a branch recipe for the same service and item wins.
+// Services with no recipe at all fall back to CONSUMPTION_RATES.
+// See services/inventoryConsumptionService.
+const consumptionRecipeSchema = new mongoose.Schema({
+  tenancy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenancy',
+    required: true
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    default: null
+  },
+  // Service code, as stored on OrderItem.service
+  service: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  // Inventory.itemName the recipe debits
+  itemName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  quantityPerItem: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Converted to the inventory item's unit when debiting (ml <-> liters, g <-> kg)
+  unit: {
+    type: String,
+    enum: ['ml', 'liters', 'g', 'kg', 'pieces', 'units'],
+    required: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+consumptionRecipeSchema.index({ tenancy: 1, branch: 1, service: 1, itemName: 1 }, { unique: true });
+
+module.exports = mongoose.model('ConsumptionRecipe', consumptionRecipeSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Road distances returned by the routing API, keyed by the two end points
+// rounded to DISTANCE_ESTIMATION.CACHE_PRECISION decimals (either direction) so
+// nearby addresses share an entry. Entries expire through the TTL index.
+const distanceCacheSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  origin: {
+    lat: Number,
+    lng: Number
+  },
+  destination: {
+    lat: Number,
+    lng: Number
+  },
+  distance: {
+    type: Number,
+    required: true
+  }, // km
+  duration: Number, // minutes
+  source: {
+    type: String,
+    enum: ['api'],
+    default: 'api'
+  },
+  hits: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+distanceCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('DistanceCache', distanceCacheSchema);
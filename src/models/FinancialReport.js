@@ -154,7 +154,15 @@ const financialReportSchema = new mongoose.Schema({
     time: String, // HH:MM format
     timezone: String,
     recipients: [String], // Email addresses
-    isActive: { type: Boolean, default: true }
+    isActive: { type: Boolean, default: true },
+    // Runner state (see services/scheduledReportService)
+    nextRunAt: Date,
+    lastRunAt: Date,
+    lastRunStatus: { type: String, enum: ['success', 'failed'] },
+    lastError: String,
+    failureCount: { type: Number, default: 0 },
+    lastGeneratedId: { type: mongoose.Schema.Types.ObjectId, ref: 'FinancialReport' },
+    lockedUntil: Date // held while a run is in progress
   },
   
   // Generation Details
@@ -203,15 +211,74 @@ const financialReportSchema = new mongoose.Schema({
   timestamps: true
 })
 
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100
+const percentage = (part, whole) => whole > 0 ? round2((part / whole) * 100) : 0
+
+// Orders created in the period, narrowed by the report's branch filter
+const buildOrderMatch = (startDate, endDate, filters = {}) => {
+  const match = { createdAt: { $gte: startDate, $lte: endDate } }
+  if (filters.branchIds?.length) {
+    match.branch = { $in: filters.branchIds.map(id => new mongoose.Types.ObjectId(id)) }
+  }
+  if (filters.paymentMethods?.length) {
+    match.paymentMethod = { $in: filters.paymentMethods }
+  }
+  return match
+}
+
+// Orders that count as revenue: not cancelled and either paid or delivered
+const REVENUE_ORDER_MATCH = {
+  status: { $ne: 'cancelled' },
+  $or: [{ paymentStatus: 'paid' }, { status: 'delivered' }]
+}
+
+// An order's GST components from its stored taxBreakdown. Orders placed
+// before breakdowns were stored count as intrastate with the tax split evenly
+// into CGST and SGST, as on their invoices (see invoiceService).
+const TAX_COMPONENTS_STAGE = {
+  $addFields: {
+    taxComponents: {
+      $let: {
+        vars: {
+          breakdown: '$pricing.taxBreakdown',
+          hasBreakdown: { $gt: [{ $size: { $ifNull: ['$pricing.taxBreakdown.lines', []] } }, 0] },
+          tax: { $ifNull: ['$pricing.tax', 0] }
+        },
+        in: {
+          $cond: [
+            '$$hasBreakdown',
+            {
+              cgst: { $ifNull: ['$$breakdown.cgst', 0] },
+              sgst: { $ifNull: ['$$breakdown.sgst', 0] },
+              igst: { $ifNull: ['$$breakdown.igst', 0] },
+              taxableAmount: { $ifNull: ['$$breakdown.taxableAmount', 0] }
+            },
+            {
+              cgst: { $divide: ['$$tax', 2] },
+              sgst: { $divide: ['$$tax', 2] },
+              igst: 0,
+              taxableAmount: { $subtract: [{ $ifNull: ['$pricing.total', 0] }, '$$tax'] }
+            }
+          ]
+        }
+      }
+    }
+  }
+}
+
+const reportTitle = (label, startDate, endDate) =>
+  `${label} - ${startDate.toDateString()} to ${endDate.toDateString()}`
+
 // Indexes
 financialReportSchema.index({ type: 1, status: 1 })
 financialReportSchema.index({ startDate: 1, endDate: 1 })
 financialReportSchema.index({ createdBy: 1, createdAt: -1 })
 financialReportSchema.index({ isScheduled: 1, 'scheduleConfig.isActive': 1 })
+financialReportSchema.index({ 'scheduleConfig.nextRunAt': 1 })
 financialReportSchema.index({ 'filters.branchIds': 1 })
 
-// Generate unique report ID
-financialReportSchema.pre('save', async function(next) {
+// Generate unique report ID (pre-validate so the required check sees it)
+financialReportSchema.pre('validate', async function(next) {
   if (!this.reportId) {
     const prefix = this.type.toUpperCase().substring(0, 3)
     const timestamp = Date.now().toString().slice(-8)
@@ -264,11 +331,21 @@ financialReportSchema.methods.addKPI = function(name, value, previousValue = nul
   }
 }
 
-financialReportSchema.methods.addChartData = function(label, value, date = new Date(), category = 'default') {
+financialReportSchema.methods.addChartData = function(label, value, date = new Date(), category = 'default', metadata) {
   this.chartData.push({
     label,
     value,
     date,
+    category,
+    metadata
+  })
+}
+
+financialReportSchema.methods.addMetric = function(metric, value, unit = 'INR', category = 'summary') {
+  this.data.push({
+    metric,
+    value: round2(value),
+    unit,
     category
   })
 }
@@ -420,4 +497,669 @@ financialReportSchema.statics.generateProfitLossReport = async function(startDat
   return await report.save()
 }
 
+financialReportSchema.statics.generateTaxReport = async function(startDate, endDate, filters = {}, createdBy) {
+  const Order = mongoose.model('Order')
+  const Refund = mongoose.model('Refund')
+
+  const orderMatch = { ...buildOrderMatch(startDate, endDate, filters), ...REVENUE_ORDER_MATCH }
+
+  const [totalsData, branchData, monthlyData, refundData] = await Promise.all([
+    Order.aggregate([
+      { $match: orderMatch },
+      TAX_COMPONENTS_STAGE,
+      {
+        $group: {
+          _id: null,
+          totalOrders: { $sum: 1 },
+          grossRevenue: { $sum: '$pricing.total' },
+          taxCollected: { $sum: { $ifNull: ['$pricing.tax', 0] } },
+          taxableValue: { $sum: '$taxComponents.taxableAmount' },
+          cgst: { $sum: '$taxComponents.cgst' },
+          sgst: { $sum: '$taxComponents.sgst' },
+          igst: { $sum: '$taxComponents.igst' }
+        }
+      }
+    ]),
+    Order.aggregate([
+      { $match: orderMatch },
+      {
+        $group: {
+          _id: '$branch',
+          revenue: { $sum: '$pricing.total' },
+          tax: { $sum: { $ifNull: ['$pricing.tax', 0] } },
+          orders: { $sum: 1 }
+        }
+      },
+      { $lookup: { from: 'branches', localField: '_id', foreignField: '_id', as: 'branch' } },
+      { $sort: { tax: -1 } }
+    ]),
+    Order.aggregate([
+      { $match: orderMatch },
+      {
+        $group: {
+          _id: { year: { $year: '$createdAt' }, month: { $month: '$createdAt' } },
+          tax: { $sum: { $ifNull: ['$pricing.tax', 0] } }
+        }
+      },
+      { $sort: { '_id.year': 1, '_id.month': 1 } }
+    ]),
+    // Tax reversed on refunds, proportional to the refunded share of the order
+    Refund.aggregate([
+      {
+        $match: {
+          status: { $in: ['processed', 'completed'] },
+          processedAt: { $gte: startDate, $lte: endDate }
+        }
+      },
+      { $lookup: { from: 'orders', localField: 'order', foreignField: '_id', as: 'order' } },
+      { $unwind: '$order' },
+      ...(filters.branchIds?.length
+        ? [{ $match: { 'order.branch': { $in: filters.branchIds.map(id => new mongoose.Types.ObjectId(id)) } } }]
+        : []),
+      {
+        $group: {
+          _id: null,
+          refundedAmount: { $sum: '$amount' },
+          taxReversed: {
+            $sum: {
+              $cond: [
+                { $gt: ['$order.pricing.total', 0] },
+                { $multiply: [{ $ifNull: ['$order.pricing.tax', 0] }, { $min: [1, { $divide: ['$amount', '$order.pricing.total'] }] }] },
+                0
+              ]
+            }
+          }
+        }
+      }
+    ])
+  ])
+
+  const totals = totalsData[0] || { totalOrders: 0, grossRevenue: 0, taxCollected: 0, taxableValue: 0, cgst: 0, sgst: 0, igst: 0 }
+  const refunds = refundData[0] || { refundedAmount: 0, taxReversed: 0 }
+  const taxableValue = totals.taxableValue
+  const netTaxLiability = totals.taxCollected - refunds.taxReversed
+
+  const report = new this({
+    title: reportTitle('Tax Report', startDate, endDate),
+    type: 'tax_report',
+    periodType: 'custom',
+    startDate,
+    endDate,
+    summary: {
+      totalRevenue: round2(totals.grossRevenue),
+      totalOrders: totals.totalOrders,
+      totalRefunds: round2(refunds.refundedAmount)
+    },
+    revenueBreakdown: {
+      byBranch: branchData.map(b => ({
+        branchId: b._id,
+        branchName: b.branch[0]?.name || 'Unassigned',
+        amount: round2(b.revenue),
+        percentage: percentage(b.revenue, totals.grossRevenue)
+      }))
+    },
+    filters,
+    createdBy,
+    status: 'completed',
+    generatedAt: new Date()
+  })
+
+  report.addMetric('taxableValue', taxableValue, 'INR', 'tax')
+  report.addMetric('taxCollected', totals.taxCollected, 'INR', 'tax')
+  report.addMetric('cgst', totals.cgst, 'INR', 'tax')
+  report.addMetric('sgst', totals.sgst, 'INR', 'tax')
+  report.addMetric('igst', totals.igst, 'INR', 'tax')
+  report.addMetric('taxReversedOnRefunds', refunds.taxReversed, 'INR', 'tax')
+  report.addMetric('netTaxLiability', netTaxLiability, 'INR', 'tax')
+  report.addMetric('effectiveTaxRate', percentage(totals.taxCollected, taxableValue), '%', 'tax')
+
+  branchData.forEach(b => {
+    report.addChartData(b.branch[0]?.name || 'Unassigned', round2(b.tax), endDate, 'branch_tax', {
+      branchId: b._id,
+      orders: b.orders,
+      taxableValue: round2(b.revenue - b.tax)
+    })
+  })
+
+  monthlyData.forEach(m => {
+    report.addChartData(`${m._id.year}-${String(m._id.month).padStart(2, '0')}`, round2(m.tax), new Date(m._id.year, m._id.month - 1, 1), 'tax')
+  })
+
+  return await report.save()
+}
+
+financialReportSchema.statics.generateCommissionReport = async function(startDate, endDate, filters = {}, createdBy) {
+  const Order = mongoose.model('Order')
+  const Transaction = mongoose.model('Transaction')
+
+  const orderMatch = { ...buildOrderMatch(startDate, endDate, filters), ...REVENUE_ORDER_MATCH }
+
+  const transactionMatch = {
+    createdAt: { $gte: startDate, $lte: endDate },
+    status: 'completed',
+    type: 'commission'
+  }
+  if (filters.branchIds?.length) {
+    transactionMatch.branchId = { $in: filters.branchIds.map(id => new mongoose.Types.ObjectId(id)) }
+  }
+
+  const [branchRevenue, recordedCommission] = await Promise.all([
+    Order.aggregate([
+      { $match: orderMatch },
+      {
+        $group: {
+          _id: '$branch',
+          revenue: { $sum: '$pricing.total' },
+          orders: { $sum: 1 }
+        }
+      },
+      { $lookup: { from: 'branches', localField: '_id', foreignField: '_id', as: 'branch' } }
+    ]),
+    Transaction.aggregate([
+      { $match: transactionMatch },
+      { $group: { _id: '$branchId', amount: { $sum: '$amount' } } }
+    ])
+  ])
+
+  const recordedByBranch = new Map(recordedCommission.map(c => [String(c._id), c.amount]))
+
+  let totalRevenue = 0
+  let totalExpected = 0
+  let totalRecorded = 0
+  const branches = branchRevenue.map(b => {
+    // Branch.financials.commissionRate is a percentage (defaults to 10)
+    const rate = b.branch[0]?.financials?.commissionRate ?? 10
+    const expected = round2(b.revenue * rate / 100)
+    const recorded = round2(recordedByBranch.get(String(b._id)) || 0)
+
+    totalRevenue += b.revenue
+    totalExpected += expected
+    totalRecorded += recorded
+
+    return {
+      branchId: b._id,
+      branchName: b.branch[0]?.name || 'Unassigned',
+      revenue: round2(b.revenue),
+      orders: b.orders,
+      rate,
+      expected,
+      recorded
+    }
+  })
+
+  const report = new this({
+    title: reportTitle('Commission Report', startDate, endDate),
+    type: 'commission_report',
+    periodType: 'custom',
+    startDate,
+    endDate,
+    summary: {
+      totalRevenue: round2(totalRevenue),
+      totalOrders: branches.reduce((sum, b) => sum + b.orders, 0)
+    },
+    revenueBreakdown: {
+      byBranch: branches.map(b => ({
+        branchId: b.branchId,
+        branchName: b.branchName,
+        amount: b.revenue,
+        percentage: percentage(b.revenue, totalRevenue)
+      }))
+    },
+    filters,
+    createdBy,
+    status: 'completed',
+    generatedAt: new Date()
+  })
+
+  report.addMetric('expectedCommission', totalExpected, 'INR', 'commission')
+  report.addMetric('recordedCommission', totalRecorded, 'INR', 'commission')
+  report.addMetric('commissionVariance', totalExpected - totalRecorded, 'INR', 'commission')
+  report.addMetric('effectiveCommissionRate', percentage(totalExpected, totalRevenue), '%', 'commission')
+
+  branches.forEach(b => {
+    report.addChartData(b.branchName, b.expected, endDate, 'commission', {
+      branchId: b.branchId,
+      rate: b.rate,
+      revenue: b.revenue,
+      recorded: b.recorded,
+      variance: round2(b.expected - b.recorded)
+    })
+  })
+
+  return await report.save()
+}
+
+financialReportSchema.statics.generateSettlementReport = async function(startDate, endDate, filters = {}, createdBy) {
+  const Settlement = mongoose.model('Settlement')
+
+  const match = { periodEnd: { $gte: startDate, $lte: endDate } }
+  if (filters.branchIds?.length) {
+    match.recipientId = { $in: filters.branchIds.map(id => new mongoose.Types.ObjectId(id)) }
+  }
+
+  const [byStatus, byType] = await Promise.all([
+    Settlement.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$status',
+          count: { $sum: 1 },
+          grossAmount: { $sum: '$grossAmount' },
+          netAmount: { $sum: '$netAmount' },
+          commission: { $sum: '$totalCommission' },
+          reconciled: { $sum: { $cond: ['$isReconciled', 1, 0] } }
+        }
+      }
+    ]),
+    Settlement.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$type',
+          count: { $sum: 1 },
+          netAmount: { $sum: '$netAmount' }
+        }
+      },
+      { $sort: { netAmount: -1 } }
+    ])
+  ])
+
+  const sumOf = (field) => byStatus.reduce((sum, s) => sum + s[field], 0)
+  const completed = byStatus.find(s => s._id === 'completed') || { count: 0, netAmount: 0, reconciled: 0 }
+  const pending = byStatus
+    .filter(s => ['draft', 'pending_approval', 'approved', 'processing'].includes(s._id))
+    .reduce((sum, s) => sum + s.netAmount, 0)
+  const failed = byStatus.find(s => s._id === 'failed') || { count: 0, netAmount: 0 }
+
+  const report = new this({
+    title: reportTitle('Settlement Report', startDate, endDate),
+    type: 'settlement_report',
+    periodType: 'custom',
+    startDate,
+    endDate,
+    summary: {
+      totalSettlements: sumOf('count'),
+      totalExpenses: round2(completed.netAmount)
+    },
+    kpis: {
+      settlementAccuracy: percentage(completed.reconciled, completed.count)
+    },
+    filters,
+    createdBy,
+    status: 'completed',
+    generatedAt: new Date()
+  })
+
+  report.addMetric('grossAmount', sumOf('grossAmount'), 'INR', 'settlement')
+  report.addMetric('commissionDeducted', sumOf('commission'), 'INR', 'settlement')
+  report.addMetric('settledAmount', completed.netAmount, 'INR', 'settlement')
+  report.addMetric('pendingAmount', pending, 'INR', 'settlement')
+  report.addMetric('failedAmount', failed.netAmount, 'INR', 'settlement')
+  report.addMetric('failedSettlements', failed.count, 'count', 'settlement')
+
+  byStatus.forEach(s => {
+    report.addChartData(s._id, round2(s.netAmount), endDate, 'status', { count: s.count })
+  })
+  byType.forEach(t => {
+    report.addChartData(t._id, round2(t.netAmount), endDate, 'recipient_type', { count: t.count })
+  })
+
+  return await report.save()
+}
+
+financialReportSchema.statics.generateCashFlowReport = async function(startDate, endDate, filters = {}, createdBy) {
+  const Transaction = mongoose.model('Transaction')
+
+  const INFLOW_TYPES = ['payment', 'deposit', 'penalty', 'commission']
+  const OUTFLOW_TYPES = ['refund', 'settlement', 'bonus', 'withdrawal']
+
+  const match = {
+    createdAt: { $gte: startDate, $lte: endDate },
+    status: 'completed',
+    type: { $in: [...INFLOW_TYPES, ...OUTFLOW_TYPES] }
+  }
+  if (filters.branchIds?.length) {
+    match.branchId = { $in: filters.branchIds.map(id => new mongoose.Types.ObjectId(id)) }
+  }
+  if (filters.paymentMethods?.length) {
+    match.paymentMethod = { $in: filters.paymentMethods }
+  }
+
+  const [byType, daily] = await Promise.all([
+    Transaction.aggregate([
+      { $match: match },
+      { $group: { _id: '$type', amount: { $sum: '$amount' }, count: { $sum: 1 } } }
+    ]),
+    Transaction.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+          inflow: { $sum: { $cond: [{ $in: ['$type', INFLOW_TYPES] }, '$amount', 0] } },
+          outflow: { $sum: { $cond: [{ $in: ['$type', OUTFLOW_TYPES] }, '$amount', 0] } }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ])
+  ])
+
+  const totalFor = (types) => byType.filter(t => types.includes(t._id)).reduce((sum, t) => sum + t.amount, 0)
+  const inflow = totalFor(INFLOW_TYPES)
+  const outflow = totalFor(OUTFLOW_TYPES)
+
+  const report = new this({
+    title: reportTitle('Cash Flow Report', startDate, endDate),
+    type: 'cash_flow',
+    periodType: 'custom',
+    startDate,
+    endDate,
+    summary: {
+      totalRevenue: round2(inflow),
+      totalExpenses: round2(outflow),
+      netProfit: round2(inflow - outflow),
+      totalTransactions: byType.reduce((sum, t) => sum + t.count, 0),
+      totalRefunds: round2(totalFor(['refund'])),
+      totalSettlements: round2(totalFor(['settlement']))
+    },
+    filters,
+    createdBy,
+    status: 'completed',
+    generatedAt: new Date()
+  })
+
+  byType.forEach(t => {
+    report.addMetric(t._id, t.amount, 'INR', INFLOW_TYPES.includes(t._id) ? 'inflow' : 'outflow')
+  })
+  report.addMetric('netCashFlow', inflow - outflow, 'INR', 'summary')
+
+  let runningBalance = 0
+  daily.forEach(d => {
+    runningBalance += d.inflow - d.outflow
+    const date = new Date(d._id)
+    report.addChartData(d._id, round2(d.inflow), date, 'inflow')
+    report.addChartData(d._id, round2(d.outflow), date, 'outflow')
+    report.addChartData(d._id, round2(runningBalance), date, 'cumulative')
+  })
+
+  return await report.save()
+}
+
+financialReportSchema.statics.generateReconciliationReport = async function(startDate, endDate, filters = {}, createdBy) {
+  const Order = mongoose.model('Order')
+  const Refund = mongoose.model('Refund')
+  const Settlement = mongoose.model('Settlement')
+
+  const MAX_EXCEPTIONS = 100
+  const orderMatch = { ...buildOrderMatch(startDate, endDate, filters), paymentStatus: 'paid' }
+
+  const [orderChecks, refundChecks, unreconciledSettlements] = await Promise.all([
+    // Paid orders against their completed payment transactions
+    Order.aggregate([
+      { $match: orderMatch },
+      {
+        $lookup: {
+          from: 'transactions',
+          let: { orderId: '$_id' },
+          pipeline: [
+            { $match: { $expr: { $eq: ['$orderId', '$$orderId'] }, type: 'payment', status: 'completed' } },
+            { $group: { _id: null, amount: { $sum: '$amount' } } }
+          ],
+          as: 'payments'
+        }
+      },
+      {
+        $project: {
+          orderNumber: 1,
+          total: '$pricing.total',
+          paid: { $ifNull: [{ $arrayElemAt: ['$payments.amount', 0] }, null] }
+        }
+      }
+    ]),
+    // Processed refunds against their refund transactions
+    Refund.aggregate([
+      {
+        $match: {
+          status: { $in: ['processed', 'completed'] },
+          processedAt: { $gte: startDate, $lte: endDate }
+        }
+      },
+      {
+        $lookup: {
+          from: 'transactions',
+          let: { orderId: '$order' },
+          pipeline: [
+            { $match: { $expr: { $eq: ['$orderId', '$$orderId'] }, type: 'refund', status: 'completed' } },
+            { $group: { _id: null, amount: { $sum: '$amount' } } }
+          ],
+          as: 'transactions'
+        }
+      },
+      {
+        $project: {
+          refundNumber: 1,
+          order: 1,
+          amount: 1,
+          paymentMethod: 1,
+          recorded: { $ifNull: [{ $arrayElemAt: ['$transactions.amount', 0] }, 0] }
+        }
+      }
+    ]),
+    Settlement.find({
+      status: 'completed',
+      isReconciled: false,
+      periodEnd: { $gte: startDate, $lte: endDate }
+    }).select('settlementId recipientName netAmount completedAt').lean()
+  ])
+
+  const exceptions = []
+  let matchedOrders = 0
+  let missingPayments = 0
+  let amountMismatches = 0
+
+  orderChecks.forEach(o => {
+    if (o.paid === null) {
+      missingPayments += 1
+      exceptions.push({ label: o.orderNumber, value: round2(o.total), metadata: { issue: 'missing_payment_transaction', orderId: o._id, expected: o.total } })
+    } else if (round2(o.paid) !== round2(o.total)) {
+      amountMismatches += 1
+      exceptions.push({ label: o.orderNumber, value: round2(o.total - o.paid), metadata: { issue: 'amount_mismatch', orderId: o._id, expected: o.total, recorded: o.paid } })
+    } else {
+      matchedOrders += 1
+    }
+  })
+
+  // Store credit refunds go to the customer wallet ledger, not a gateway transaction
+  const unrecordedRefunds = refundChecks.filter(r => r.paymentMethod !== 'store_credit' && r.recorded < r.amount)
+  unrecordedRefunds.forEach(r => {
+    exceptions.push({ label: r.refundNumber || String(r._id), value: round2(r.amount - r.recorded), metadata: { issue: 'missing_refund_transaction', refundId: r._id, orderId: r.order, expected: r.amount, recorded: r.recorded } })
+  })
+
+  unreconciledSettlements.forEach(s => {
+    exceptions.push({ label: s.settlementId || String(s._id), value: round2(s.netAmount), metadata: { issue: 'unreconciled_settlement', settlementId: s._id, recipient: s.recipientName } })
+  })
+
+  const report = new this({
+    title: reportTitle('Reconciliation Report', startDate, endDate),
+    type: 'reconciliation_report',
+    periodType: 'custom',
+    startDate,
+    endDate,
+    summary: {
+      totalOrders: orderChecks.length,
+      totalRefunds: refundChecks.length,
+      totalSettlements: unreconciledSettlements.length
+    },
+    kpis: {
+      settlementAccuracy: percentage(matchedOrders, orderChecks.length)
+    },
+    filters,
+    createdBy,
+    status: 'completed',
+    generatedAt: new Date()
+  })
+
+  report.addMetric('matchedOrders', matchedOrders, 'count', 'reconciliation')
+  report.addMetric('missingPaymentTransactions', missingPayments, 'count', 'reconciliation')
+  report.addMetric('amountMismatches', amountMismatches, 'count', 'reconciliation')
+  report.addMetric('unrecordedRefunds', unrecordedRefunds.length, 'count', 'reconciliation')
+  report.addMetric('unreconciledSettlements', unreconciledSettlements.length, 'count', 'reconciliation')
+  report.addMetric('totalExceptions', exceptions.length, 'count', 'reconciliation')
+
+  exceptions
+    .sort((a, b) => Math.abs(b.value) - Math.abs(a.value))
+    .slice(0, MAX_EXCEPTIONS)
+    .forEach(e => report.addChartData(e.label, e.value, endDate, 'exception', e.metadata))
+
+  return await report.save()
+}
+
+financialReportSchema.statics.generateBranchPerformanceReport = async function(startDate, endDate, filters = {}, createdBy) {
+  const Order = mongoose.model('Order')
+  const Refund = mongoose.model('Refund')
+
+  // Equal-length period immediately before this one, for growth figures
+  const previousEnd = new Date(startDate.getTime() - 1)
+  const previousStart = new Date(startDate.getTime() - (endDate.getTime() - startDate.getTime()))
+
+  const branchStats = (match) => Order.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$branch',
+        orders: { $sum: 1 },
+        delivered: { $sum: { $cond: [{ $eq: ['$status', 'delivered'] }, 1, 0] } },
+        cancelled: { $sum: { $cond: [{ $eq: ['$status', 'cancelled'] }, 1, 0] } },
+        revenue: {
+          $sum: {
+            $cond: [
+              { $and: [{ $ne: ['$status', 'cancelled'] }, { $or: [{ $eq: ['$paymentStatus', 'paid'] }, { $eq: ['$status', 'delivered'] }] }] },
+              '$pricing.total',
+              0
+            ]
+          }
+        },
+        customers: { $addToSet: '$customer' }
+      }
+    }
+  ])
+
+  const [current, previous, refunds] = await Promise.all([
+    branchStats(buildOrderMatch(startDate, endDate, filters)),
+    branchStats(buildOrderMatch(previousStart, previousEnd, filters)),
+    Refund.aggregate([
+      {
+        $match: {
+          status: { $in: ['processed', 'completed'] },
+          processedAt: { $gte: startDate, $lte: endDate }
+        }
+      },
+      { $lookup: { from: 'orders', localField: 'order', foreignField: '_id', as: 'order' } },
+      { $unwind: '$order' },
+      { $group: { _id: '$order.branch', amount: { $sum: '$amount' }, count: { $sum: 1 } } }
+    ])
+  ])
+
+  const Branch = mongoose.model('Branch')
+  const branchDocs = await Branch.find({ _id: { $in: current.map(b => b._id).filter(Boolean) } }).select('name code').lean()
+  const branchNames = new Map(branchDocs.map(b => [String(b._id), b.name]))
+  const previousByBranch = new Map(previous.map(b => [String(b._id), b]))
+  const refundsByBranch = new Map(refunds.map(r => [String(r._id), r]))
+
+  const totals = { orders: 0, delivered: 0, revenue: 0, previousRevenue: 0, refunds: 0, refundCount: 0 }
+  const customers = new Set()
+
+  const branches = current.map(b => {
+    const key = String(b._id)
+    const previousRevenue = previousByBranch.get(key)?.revenue || 0
+    const refund = refundsByBranch.get(key) || { amount: 0, count: 0 }
+
+    totals.orders += b.orders
+    totals.delivered += b.delivered
+    totals.revenue += b.revenue
+    totals.previousRevenue += previousRevenue
+    totals.refunds += refund.amount
+    totals.refundCount += refund.count
+    b.customers.forEach(c => customers.add(String(c)))
+
+    const revenueOrders = b.orders - b.cancelled
+    return {
+      branchId: b._id,
+      branchName: branchNames.get(key) || 'Unassigned',
+      orders: b.orders,
+      delivered: b.delivered,
+      cancelled: b.cancelled,
+      revenue: round2(b.revenue),
+      averageOrderValue: revenueOrders > 0 ? round2(b.revenue / revenueOrders) : 0,
+      fulfillmentRate: percentage(b.delivered, b.orders),
+      refunds: round2(refund.amount),
+      refundRate: percentage(refund.amount, b.revenue),
+      revenueGrowth: percentage(b.revenue - previousRevenue, previousRevenue),
+      customers: b.customers.length
+    }
+  }).sort((a, b) => b.revenue - a.revenue)
+
+  const cancelledTotal = branches.reduce((sum, b) => sum + b.cancelled, 0)
+  const averageOrderValue = totals.orders - cancelledTotal > 0 ? round2(totals.revenue / (totals.orders - cancelledTotal)) : 0
+
+  const report = new this({
+    title: reportTitle('Branch Performance Report', startDate, endDate),
+    type: 'branch_performance',
+    periodType: 'custom',
+    startDate,
+    endDate,
+    summary: {
+      totalRevenue: round2(totals.revenue),
+      totalOrders: totals.orders,
+      averageOrderValue,
+      totalCustomers: customers.size,
+      totalRefunds: round2(totals.refunds)
+    },
+    revenueBreakdown: {
+      byBranch: branches.map(b => ({
+        branchId: b.branchId,
+        branchName: b.branchName,
+        amount: b.revenue,
+        percentage: percentage(b.revenue, totals.revenue)
+      }))
+    },
+    filters,
+    createdBy,
+    status: 'completed',
+    generatedAt: new Date()
+  })
+
+  report.addKPI('revenueGrowth', percentage(totals.revenue - totals.previousRevenue, totals.previousRevenue))
+  report.addKPI('orderFulfillmentRate', percentage(totals.delivered, totals.orders))
+  report.addKPI('refundRate', percentage(totals.refunds, totals.revenue))
+  report.addKPI('averageOrderValue', averageOrderValue)
+
+  branches.forEach(b => {
+    report.addChartData(b.branchName, b.revenue, endDate, 'branch', b)
+  })
+
+  return await report.save()
+}
+
+// Report types that can be generated on demand, mapped to their generator
+const REPORT_GENERATORS = {
+  revenue_report: 'generateRevenueReport',
+  profit_loss: 'generateProfitLossReport',
+  tax_report: 'generateTaxReport',
+  commission_report: 'generateCommissionReport',
+  settlement_report: 'generateSettlementReport',
+  cash_flow: 'generateCashFlowReport',
+  reconciliation_report: 'generateReconciliationReport',
+  branch_performance: 'generateBranchPerformanceReport'
+}
+
+financialReportSchema.statics.GENERATED_TYPES = Object.keys(REPORT_GENERATORS)
+
+financialReportSchema.statics.generateReport = async function(type, startDate, endDate, filters = {}, createdBy) {
+  const generator = REPORT_GENERATORS[type]
+  if (!generator) {
+    throw new Error(`Unsupported report type: ${type}`)
+  }
+  return await this[generator](startDate, endDate, filters, createdBy)
+}
+
 module.exports = mongoose.model('FinancialReport', financialReportSchema)
\ No newline at end of file
@@ -75,6 +75,23 @@ const inventoryRequestSchema = new mongoose.Schema({
   },
   expectedDelivery: {
     type: Date
+  },
+  // Raised automatically when branch stock fell to its minimum
+  autoGenerated: {
+    type: Boolean,
+    default: false
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch'
+  },
+  inventoryItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Inventory'
+  },
+  // Reorder quantity from the trailing consumption rate, in `unit`
+  suggestedQuantity: {
+    type: Number
   }
 }, {
   timestamps: true
@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+
+// A tax invoice for an order, or a credit note against one for a processed
+// refund. Seller, buyer, lines and amounts are copied from the order when the
+// document is issued, so later edits to the order or tenancy don't change it.
+// Issued documents are never modified; the PDF is rendered from this record.
+// See services/invoiceService.
+const invoiceSchema = new mongoose.Schema({
+  tenancy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenancy',
+    required: true
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch'
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  kind: {
+    type: String,
+    enum: ['invoice', 'credit_note'],
+    required: true
+  },
+  // e.g. INV/26-27/00042
+  number: {
+    type: String,
+    required: true
+  },
+  sequence: {
+    type: Number,
+    required: true
+  },
+  financialYear: {
+    type: String,
+    required: true
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  orderNumber: String,
+  // Credit notes: the invoice they reduce and the refund behind them
+  originalInvoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+  originalInvoiceNumber: String,
+  refund: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Refund'
+  },
+  reason: String,
+  seller: {
+    name: String,
+    gstin: String,
+    address: String,
+    state: String,
+    phone: String,
+    email: String
+  },
+  buyer: {
+    name: String,
+    phone: String,
+    email: String,
+    address: String,
+    state: String
+  },
+  lines: [{
+    _id: false,
+    description: String,
+    service: String,
+    hsnSac: String,
+    quantity: Number,
+    unitPrice: Number,
+    amount: Number
+  }],
+  // Rupees; credit note amounts are positive
+  amounts: {
+    subtotal: { type: Number, default: 0 },
+    expressCharge: { type: Number, default: 0 },
+    deliveryCharge: { type: Number, default: 0 },
+    discount: { type: Number, default: 0 },
+    taxableAmount: { type: Number, default: 0 },
+    cgst: { type: Number, default: 0 },
+    sgst: { type: Number, default: 0 },
+    igst: { type: Number, default: 0 },
+    tax: { type: Number, default: 0 },
+    total: { type: Number, required: true }
+  },
+  // Order.pricing.taxBreakdown at the time of issue
+  taxBreakdown: mongoose.Schema.Types.Mixed,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+invoiceSchema.index({ tenancy: 1, number: 1 }, { unique: true });
+invoiceSchema.index({ tenancy: 1, kind: 1, issuedAt: -1 });
+// One tax invoice per order, one credit note per refund
+invoiceSchema.index({ order: 1 }, { unique: true, partialFilterExpression: { kind: 'invoice' } });
+invoiceSchema.index({ refund: 1 }, { unique: true, partialFilterExpression: { kind: 'credit_note' } });
+
+// Issued invoices are never rewritten
+invoiceSchema.pre('findOneAndUpdate', function () {
+  throw new Error('Invoices cannot be modified once issued');
+});
+
+invoiceSchema.pre('updateOne', function () {
+  throw new Error('Invoices cannot be modified once issued');
+});
+
+invoiceSchema.pre('updateMany', function () {
+  throw new Error('Invoices cannot be modified once issued');
+});
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
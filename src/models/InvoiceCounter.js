@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// Last invoice / credit note sequence number issued by a tenancy in a
+// financial year. Incremented in the same transaction that creates the
+// Invoice, so numbers have no gaps. See services/invoiceService.
+const invoiceCounterSchema = new mongoose.Schema({
+  tenancy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenancy',
+    required: true
+  },
+  // e.g. "2026-27"
+  financialYear: {
+    type: String,
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ['invoice', 'credit_note'],
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+invoiceCounterSchema.index({ tenancy: 1, financialYear: 1, kind: 1 }, { unique: true });
+
+module.exports = mongoose.model('InvoiceCounter', invoiceCounterSchema);
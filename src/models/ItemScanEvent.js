@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+// One entry per scan of an OrderItem tag: who scanned it, at which station and
+// branch, and the status change it made. Entries are append-only; an item's
+// timeline is its events in scannedAt order. See services/itemTrackingService.
+const itemScanEventSchema = new mongoose.Schema({
+  tenancy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenancy',
+    index: true
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch'
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OrderItem',
+    required: true
+  },
+  tagCode: {
+    type: String,
+    required: true
+  },
+  // Set when the item was scanned as part of a bag/lot
+  lot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lot'
+  },
+  // scan: tag looked up, status_change: processingStatus updated,
+  // issue: problem reported, flagged_not_ready: order delivered while the
+  // item never reached ready
+  action: {
+    type: String,
+    enum: ['scan', 'status_change', 'issue', 'flagged_not_ready'],
+    required: true
+  },
+  // Free-form station name, e.g. washing, ironing, packing
+  station: {
+    type: String,
+    trim: true,
+    maxlength: 50
+  },
+  fromStatus: String,
+  toStatus: String,
+  staff: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  notes: {
+    type: String,
+    maxlength: 500
+  },
+  scannedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+itemScanEventSchema.index({ item: 1, scannedAt: 1 });
+itemScanEventSchema.index({ order: 1, scannedAt: 1 });
+itemScanEventSchema.index({ tenancy: 1, action: 1, scannedAt: -1 });
+
+// Scan history is never rewritten
+itemScanEventSchema.pre('findOneAndUpdate', function () {
+  throw new Error('Item scan events are append-only and cannot be modified');
+});
+
+itemScanEventSchema.pre('updateOne', function () {
+  throw new Error('Item scan events are append-only and cannot be modified');
+});
+
+itemScanEventSchema.pre('updateMany', function () {
+  throw new Error('Item scan events are append-only and cannot be modified');
+});
+
+module.exports = mongoose.model('ItemScanEvent', itemScanEventSchema);
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Named lease used to keep a background job from running twice at once
+// (e.g. overlapping cron invocations on serverless deployments).
+const jobLockSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  lockedUntil: Date,
+  owner: String
+}, {
+  timestamps: true
+});
+
+// Take the lock for ttlMs. Returns the owner token, or null if it is held.
+jobLockSchema.statics.acquire = async function(name, ttlMs) {
+  const now = new Date();
+  const owner = `${process.pid}-${now.getTime()}-${Math.random().toString(36).substring(2, 8)}`;
+
+  try {
+    const lock = await this.findOneAndUpdate(
+      { name, $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+      { $set: { lockedUntil: new Date(now.getTime() + ttlMs), owner } },
+      { upsert: true, new: true }
+    );
+    return lock.owner === owner ? owner : null;
+  } catch (error) {
+    // Upsert raced with a live lock holder
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+jobLockSchema.statics.release = function(name, owner) {
+  return this.updateOne({ name, owner }, { $set: { lockedUntil: null } });
+};
+
+module.exports = mongoose.model('JobLock', jobLockSchema);
@@ -57,6 +57,14 @@ const logisticsPartnerSchema = new mongoose.Schema({
       default: 50
     }
   },
+  // Account settlements are paid into
+  bankDetails: {
+    accountNumber: String,
+    ifscCode: String,
+    accountHolderName: String,
+    bankName: String,
+    upiId: String
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// A physical laundry bag or wash lot. It holds tagged OrderItems, possibly from
+// many orders of one branch, and has its own barcode (LT + 10 digits). Scanning
+// the lot moves every item in it at once. An item is in at most one open lot.
+// See services/lotService.
+const lotSchema = new mongoose.Schema({
+  tenancy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenancy',
+    required: true,
+    index: true
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    required: true
+  },
+  barcode: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  kind: {
+    type: String,
+    enum: ['bag', 'wash_lot'],
+    default: 'bag'
+  },
+  // Optional human label, e.g. "Whites - Machine 2"
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  items: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OrderItem'
+  }],
+  // open: items can be added, removed and scanned; closed: emptied for reuse
+  // or done, kept for history
+  status: {
+    type: String,
+    enum: ['open', 'closed'],
+    default: 'open'
+  },
+  // Last batch scan
+  lastScan: {
+    processingStatus: String,
+    station: String,
+    scannedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    scannedAt: Date
+  },
+  notes: {
+    type: String,
+    maxlength: 500
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  closedAt: Date
+}, {
+  timestamps: true
+});
+
+lotSchema.index({ tenancy: 1, branch: 1, status: 1 });
+lotSchema.index({ items: 1, status: 1 });
+
+module.exports = mongoose.model('Lot', lotSchema);
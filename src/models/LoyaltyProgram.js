@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { LAUNDRY_PLAN_STATUS } = require('../config/constants');
 
 const loyaltyTierSchema = new mongoose.Schema({
   name: {
@@ -276,12 +277,28 @@ const loyaltyMemberSchema = new mongoose.Schema({
   // Subscription Status (for subscription programs)
   subscription: {
     isActive: { type: Boolean, default: false },
+    status: { type: String, enum: Object.values(LAUNDRY_PLAN_STATUS) },
     startDate: { type: Date },
     endDate: { type: Date },
     autoRenew: { type: Boolean, default: true },
-    washesUsedThisMonth: { type: Number, default: 0 },
+    monthlyFee: { type: Number }, // Fee at purchase
+    washesUsedThisMonth: { type: Number, default: 0 }, // Reset every billing period
+    currentPeriodStart: { type: Date },
     lastBillingDate: { type: Date },
-    nextBillingDate: { type: Date }
+    nextBillingDate: { type: Date }, // End of the current billing period
+    // Pause: the paid time left is given back on resume
+    pausedAt: { type: Date },
+    resumesAt: { type: Date },
+    pausedSecondsRemaining: { type: Number },
+    // Cancellation
+    cancelAtPeriodEnd: { type: Boolean, default: false },
+    cancelledAt: { type: Date },
+    cancellationReason: { type: String },
+    refundedAmount: { type: Number, default: 0 },
+    // Stripe billing
+    stripeCustomerId: { type: String },
+    stripeSubscriptionId: { type: String },
+    stripeCheckoutSessionId: { type: String }
   },
   
   // Activity Tracking
@@ -397,6 +414,8 @@ loyaltyMemberSchema.index({ tenancy: 1, user: 1 });
 loyaltyMemberSchema.index({ program: 1, user: 1 }, { unique: true });
 loyaltyMemberSchema.index({ 'currentTier.level': -1 });
 loyaltyMemberSchema.index({ pointsBalance: -1 });
+loyaltyMemberSchema.index({ 'subscription.stripeSubscriptionId': 1 }, { sparse: true });
+loyaltyMemberSchema.index({ 'subscription.status': 1, 'subscription.resumesAt': 1 });
 
 loyaltyTransactionSchema.index({ tenancy: 1, member: 1 });
 loyaltyTransactionSchema.index({ type: 1, createdAt: -1 });
@@ -132,7 +132,11 @@ const notificationSchema = new mongoose.Schema({
       deliveredAt: Date,
       attempts: { type: Number, default: 0 },
       lastAttempt: Date,
-      error: String
+      error: String,
+      // Provider message and its latest delivery receipt
+      provider: String,
+      providerMessageId: String,
+      deliveryStatus: { type: String, enum: ['sent', 'delivered', 'read', 'failed'] }
     },
     whatsapp: {
       selected: { type: Boolean, default: false },
@@ -141,7 +145,11 @@ const notificationSchema = new mongoose.Schema({
       deliveredAt: Date,
       attempts: { type: Number, default: 0 },
       lastAttempt: Date,
-      error: String
+      error: String,
+      // Provider message and its latest delivery receipt
+      provider: String,
+      providerMessageId: String,
+      deliveryStatus: { type: String, enum: ['sent', 'delivered', 'read', 'failed'] }
     },
     push: {
       selected: { type: Boolean, default: false },
@@ -150,7 +158,20 @@ const notificationSchema = new mongoose.Schema({
       deliveredAt: Date,
       attempts: { type: Number, default: 0 },
       lastAttempt: Date,
-      error: String
+      error: String,
+      // Per-device outcome of the last attempt
+      devices: [{
+        _id: false,
+        token: String,
+        provider: { type: String, enum: ['expo', 'fcm'] },
+        platform: String,
+        status: { type: String, enum: ['sent', 'delivered', 'failed', 'invalid'] },
+        ticketId: String, // Expo push ticket, resolved to a receipt later
+        messageId: String,
+        error: String,
+        sentAt: Date,
+        receiptCheckedAt: Date
+      }]
     }
   },
 
@@ -229,6 +250,9 @@ notificationSchema.index({ userId: 1, createdAt: -1 });
 notificationSchema.index({ tenantId: 1, createdAt: -1 });
 notificationSchema.index({ eventType: 1 });
 notificationSchema.index({ status: 1 });
+notificationSchema.index({ 'channels.sms.providerMessageId': 1 }, { sparse: true });
+notificationSchema.index({ 'channels.whatsapp.providerMessageId': 1 }, { sparse: true });
+notificationSchema.index({ 'channels.push.devices.status': 1, 'channels.push.lastAttempt': 1 }, { sparse: true });
 notificationSchema.index({ 'reminderEngine.enabled': 1, 'reminders.scheduledAt': 1 });
 notificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // TTL index
 
@@ -253,12 +277,16 @@ notificationSchema.statics.createNotification = async function (data) {
   return notification;
 };
 
+// Records whose in-app channel the recipient muted are kept but never listed
+const IN_APP_VISIBLE = { 'channels.inApp.selected': { $ne: false } };
+
 // Static: Get unread count
 notificationSchema.statics.getUnreadCount = function (recipientId, recipientType) {
   const query = {
     recipient: recipientId,
     isRead: false,
-    expiresAt: { $gt: new Date() }
+    expiresAt: { $gt: new Date() },
+    ...IN_APP_VISIBLE
   };
   if (recipientType) query.recipientType = recipientType;
   return this.countDocuments(query);
@@ -271,7 +299,8 @@ notificationSchema.statics.getForUser = async function (recipientId, options = {
 
   const query = {
     recipient: recipientId,
-    expiresAt: { $gt: new Date() }
+    expiresAt: { $gt: new Date() },
+    ...IN_APP_VISIBLE
   };
   if (unreadOnly) query.isRead = false;
   if (priority) query.priority = priority;
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+const NOTIFICATION_CHANNELS = ['in_app', 'email', 'sms', 'whatsapp', 'push'];
+
+// Categories a user can opt out of. 'security' is deliberately missing:
+// security notifications always go out on every selected channel.
+const PREFERENCE_CATEGORIES = [
+  'orders',
+  'payments',
+  'marketing',
+  'rewards',
+  'support',
+  'inventory',
+  'admin',
+  'permissions',
+  'system',
+  'general'
+];
+
+// Channels muted during quiet hours (in-app and email are never intrusive)
+const QUIET_HOURS_CHANNELS = ['sms', 'whatsapp', 'push'];
+
+// Category overrides leave a channel unset to inherit the global setting
+const categoryChannelsSchema = new mongoose.Schema(
+  Object.fromEntries(NOTIFICATION_CHANNELS.map(channel => [channel, { type: Boolean }])),
+  { _id: false }
+);
+
+const notificationPreferenceSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+
+  // Global per-channel switches
+  channels: Object.fromEntries(
+    NOTIFICATION_CHANNELS.map(channel => [channel, { type: Boolean, default: true }])
+  ),
+
+  // Per-category overrides, e.g. categories.marketing.sms = false
+  categories: Object.fromEntries(
+    PREFERENCE_CATEGORIES.map(category => [category, categoryChannelsSchema])
+  ),
+
+  quietHours: {
+    enabled: { type: Boolean, default: false },
+    start: { type: String, default: '22:00', match: /^([01]\d|2[0-3]):[0-5]\d$/ }, // HH:mm local time
+    end: { type: String, default: '07:00', match: /^([01]\d|2[0-3]):[0-5]\d$/ }
+  },
+
+  timezone: {
+    type: String,
+    default: 'Asia/Kolkata'
+  },
+
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Saved preferences for a user, or the defaults when none were saved
+notificationPreferenceSchema.statics.getForUser = async function(userId) {
+  const saved = await this.findOne({ user: userId }).lean();
+  if (saved) return saved;
+  return new this({ user: userId }).toObject();
+};
+
+const NotificationPreference = mongoose.model('NotificationPreference', notificationPreferenceSchema);
+
+module.exports = NotificationPreference;
+module.exports.NOTIFICATION_CHANNELS = NOTIFICATION_CHANNELS;
+module.exports.PREFERENCE_CATEGORIES = PREFERENCE_CATEGORIES;
+module.exports.QUIET_HOURS_CHANNELS = QUIET_HOURS_CHANNELS;
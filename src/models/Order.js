@@ -1,5 +1,5 @@
 const mongoose = require('mongoose');
-const { ORDER_STATUS, PAYMENT_METHODS } = require('../config/constants');
+const { ORDER_STATUS, ORDER_STATUS_TRANSITIONS, PAYMENT_METHODS } = require('../config/constants');
 
 const orderSchema = new mongoose.Schema({
   // Tenancy Reference (Multi-tenant support)
@@ -45,6 +45,7 @@ const orderSchema = new mongoose.Schema({
     addressLine2: String,
     landmark: String,
     city: String,
+    state: String,
     pincode: String
   },
   pickupDate: {
@@ -63,6 +64,7 @@ const orderSchema = new mongoose.Schema({
     addressLine2: String,
     landmark: String,
     city: String,
+    state: String,
     pincode: String
   },
   estimatedDeliveryDate: Date,
@@ -97,10 +99,44 @@ const orderSchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
+    // Part of the discount covered by the customer's laundry plan
+    planDiscount: {
+      type: Number,
+      default: 0
+    },
     tax: {
       type: Number,
       default: 0
     },
+    // How tax was computed (see services/taxService). Amounts in rupees,
+    // rounded to paise; cgst + sgst + igst = tax.
+    taxBreakdown: {
+      pricesIncludeTax: Boolean,
+      isInterstate: Boolean,
+      gstin: String,
+      supplierState: String,
+      placeOfSupply: String,
+      taxableAmount: Number,
+      cgst: Number,
+      sgst: Number,
+      igst: Number,
+      lines: [{
+        _id: false,
+        service: String,
+        hsnSac: String,
+        rate: Number,
+        taxableValue: Number,
+        cgst: Number,
+        sgst: Number,
+        igst: Number,
+        tax: Number
+      }]
+    },
+    // Amount paid from the customer wallet (full wallet payment or partial redemption)
+    walletApplied: {
+      type: Number,
+      default: 0
+    },
     total: {
       type: Number,
       required: true
@@ -138,7 +174,7 @@ const orderSchema = new mongoose.Schema({
   },
   paymentStatus: {
     type: String,
-    enum: ['pending', 'paid', 'failed', 'refunded'],
+    enum: ['pending', 'paid', 'partially_paid', 'failed', 'refunded'],
     default: 'pending'
   },
   paymentDetails: {
@@ -163,6 +199,108 @@ const orderSchema = new mongoose.Schema({
     },
     notes: String
   }],
+  // Price changes after booking. Amounts in rupees.
+  //   weigh_in:    weighed per-kg items differ from the estimate (applied at once)
+  //   item_change: staff revised the items; applied when the customer approves,
+  //                or straight away under the auto-approve threshold
+  // See services/weightPricingService and services/requoteService.
+  requotes: [{
+    reason: {
+      type: String,
+      enum: ['weigh_in', 'item_change'],
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['applied', 'pending', 'approved', 'auto_approved', 'rejected', 'superseded'],
+      default: 'applied'
+    },
+    previousTotal: Number,
+    newTotal: Number,
+    difference: Number,
+    notes: String,
+    // item_change: added / changed / removed items. before and after hold the
+    // item fields (after is what gets saved on approval).
+    changes: [{
+      _id: false,
+      action: {
+        type: String,
+        enum: ['added', 'changed', 'removed']
+      },
+      item: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'OrderItem'
+      },
+      before: mongoose.Schema.Types.Mixed,
+      after: mongoose.Schema.Types.Mixed
+    }],
+    // Order.pricing once the change is applied
+    proposedPricing: mongoose.Schema.Types.Mixed,
+    // Customer approval link: sha256 of the token sent to the customer
+    tokenHash: String,
+    tokenExpiresAt: Date,
+    decidedAt: Date,
+    decidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    decisionChannel: {
+      type: String,
+      enum: ['app', 'link', 'auto']
+    },
+    rejectionReason: String,
+    items: [{
+      _id: false,
+      item: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'OrderItem'
+      },
+      itemType: String,
+      service: String,
+      estimatedWeight: Number,
+      actualWeight: Number,
+      chargeableWeight: Number,
+      previousPrice: Number,
+      newPrice: Number
+    }],
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // The item_change requote awaiting the customer. Processing is blocked
+  // while set (quote_approved transition guard).
+  pendingRequote: mongoose.Schema.Types.ObjectId,
+  // Laundry plan benefits the order used (see services/laundryPlanService)
+  laundryPlan: {
+    member: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'LoyaltyMember'
+    },
+    program: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'LoyaltyProgram'
+    },
+    // Took a wash from the plan's monthly quota
+    washCovered: {
+      type: Boolean,
+      default: false
+    },
+    discountPercentage: {
+      type: Number,
+      default: 0
+    },
+    // Delivery charge waived, in rupees
+    deliveryWaived: {
+      type: Number,
+      default: 0
+    },
+    washReleasedAt: Date
+  },
   // Logistics
   logisticsPartner: {
     type: mongoose.Schema.Types.ObjectId,
@@ -225,6 +363,7 @@ orderSchema.index({ customer: 1, createdAt: -1 });
 orderSchema.index({ branch: 1, status: 1 });
 orderSchema.index({ status: 1, createdAt: -1 });
 orderSchema.index({ pickupDate: 1 });
+orderSchema.index({ 'requotes.tokenHash': 1 }, { sparse: true });
 
 // Generate order number and barcode
 orderSchema.pre('save', async function(next) {
@@ -264,26 +403,14 @@ orderSchema.pre('save', async function(next) {
   next();
 });
 
-// Update status with history
-orderSchema.methods.updateStatus = function(newStatus, updatedBy, notes = '') {
-  this.status = newStatus;
-  this.statusHistory.push({
-    status: newStatus,
-    updatedBy,
-    updatedAt: new Date(),
-    notes
-  });
-  return this.save();
+// Check if the status machine allows moving to newStatus
+orderSchema.methods.canTransitionTo = function(newStatus) {
+  return (ORDER_STATUS_TRANSITIONS[this.status] || []).includes(newStatus);
 };
 
 // Check if order can be cancelled
 orderSchema.methods.canBeCancelled = function() {
-  const cancellableStatuses = [
-    ORDER_STATUS.PLACED,
-    ORDER_STATUS.ASSIGNED_TO_BRANCH,
-    ORDER_STATUS.ASSIGNED_TO_LOGISTICS_PICKUP
-  ];
-  return cancellableStatuses.includes(this.status);
+  return this.canTransitionTo(ORDER_STATUS.CANCELLED);
 };
 
 module.exports = mongoose.model('Order', orderSchema);
\ No newline at end of file
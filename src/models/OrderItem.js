@@ -1,5 +1,5 @@
 const mongoose = require('mongoose');
-const { SERVICES, CLOTHING_CATEGORIES, ITEM_TYPES } = require('../config/constants');
+const { SERVICES, CLOTHING_CATEGORIES, ITEM_TYPES, PRICING_MODELS } = require('../config/constants');
 
 const orderItemSchema = new mongoose.Schema({
   order: {
@@ -67,6 +67,21 @@ const orderItemSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  // Per-kg items: unitPrice is the rate per kg and totalPrice is charged on
+  // chargeableWeight (the estimate until staff weigh the load)
+  pricingModel: {
+    type: String,
+    enum: Object.values(PRICING_MODELS),
+    default: PRICING_MODELS.PER_PIECE
+  },
+  estimatedWeight: Number,
+  actualWeight: Number,
+  chargeableWeight: Number,
+  weighedAt: Date,
+  weighedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   // Special instructions for this item
   specialInstructions: String,
   // Processing status
@@ -75,6 +90,8 @@ const orderItemSchema = new mongoose.Schema({
     enum: ['pending', 'in_progress', 'completed', 'quality_check', 'ready'],
     default: 'pending'
   },
+  // Set once the item's service recipe has been debited from branch stock
+  inventoryConsumedAt: Date,
   // Quality check
   qualityCheck: {
     passed: Boolean,
@@ -114,9 +131,16 @@ orderItemSchema.index({ order: 1 });
 orderItemSchema.index({ processingStatus: 1 });
 orderItemSchema.index({ tagCode: 1 });
 
+// Per-kg items charge their chargeable weight, others their quantity
+orderItemSchema.methods.calculateTotalPrice = function() {
+  return this.pricingModel === PRICING_MODELS.PER_KG
+    ? Math.round(this.unitPrice * this.chargeableWeight)
+    : this.unitPrice * this.quantity;
+};
+
 // Generate tag code and calculate total price
 orderItemSchema.pre('save', async function(next) {
-  this.totalPrice = this.unitPrice * this.quantity;
+  this.totalPrice = this.calculateTotalPrice();
   
   // Generate unique tag code if not exists
   if (!this.tagCode) {
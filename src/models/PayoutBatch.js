@@ -0,0 +1,67 @@
+const mongoose = require('mongoose')
+
+// A bank payout file covering a set of approved settlements. The file is
+// kept so it can be re-downloaded; bank results are applied per settlement.
+const payoutBatchSchema = new mongoose.Schema({
+  batchId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  format: {
+    type: String,
+    required: true,
+    enum: ['csv', 'nacha']
+  },
+  fileName: { type: String, required: true },
+  content: { type: String, required: true },
+  
+  settlements: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Settlement' }],
+  settlementCount: { type: Number, default: 0 },
+  totalAmount: { type: Number, default: 0 },
+  currency: { type: String, default: 'INR' },
+  
+  status: {
+    type: String,
+    enum: ['generated', 'completed', 'partially_failed', 'failed'],
+    default: 'generated'
+  },
+  completedCount: { type: Number, default: 0 },
+  failedCount: { type: Number, default: 0 },
+  
+  source: {
+    type: String,
+    enum: ['manual', 'batch_runner'],
+    default: 'manual'
+  },
+  createdBy: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'User'
+  },
+  resultsAppliedAt: Date,
+  resultsAppliedBy: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+})
+
+payoutBatchSchema.index({ status: 1, createdAt: -1 })
+
+// Settlements are claimed under the batch ID before the batch is saved
+payoutBatchSchema.statics.generateBatchId = function() {
+  const date = new Date().toISOString().slice(0, 10).replace(/-/g, '')
+  const random = Math.random().toString(36).substring(2, 8).toUpperCase()
+  return `PAY${date}${random}`
+}
+
+payoutBatchSchema.pre('validate', function(next) {
+  if (!this.batchId) {
+    this.batchId = this.constructor.generateBatchId()
+  }
+  next()
+})
+
+module.exports = mongoose.model('PayoutBatch', payoutBatchSchema)
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose')
+const { PRICING_MODELS } = require('../config/constants')
 
 const serviceSchema = new mongoose.Schema({
   // Tenancy Reference (Multi-tenant support)
@@ -43,6 +44,20 @@ const serviceSchema = new mongoose.Schema({
     type: Number,
     default: 1.0
   },
+  // Per piece (garment prices) or per kg (weightPricing)
+  pricingModel: {
+    type: String,
+    enum: Object.values(PRICING_MODELS),
+    default: PRICING_MODELS.PER_PIECE
+  },
+  // Per-kg services: rate and how the weighed load is rounded before charging.
+  // Unset rules fall back to WEIGHT_PRICING_DEFAULTS.
+  weightPricing: {
+    pricePerKg: { type: Number, min: 0 },
+    minimumWeight: { type: Number, min: 0 },
+    roundingIncrement: { type: Number, min: 0 },
+    roundingMode: { type: String, enum: ['up', 'nearest'] }
+  },
   // Turnaround time in hours
   turnaroundTime: {
     standard: { type: Number, default: 48 },
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// A branch's delivery zone: a GeoJSON polygon with its own delivery terms.
+// Branches with at least one active zone are serviceable only inside their
+// zones; branches without zones keep using serviceAreas pincodes and
+// serviceableRadius. See services/serviceZoneService for lookups.
+const serviceZoneSchema = new mongoose.Schema({
+  tenancy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenancy',
+    required: true,
+    index: true
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Zone name is required'],
+    trim: true,
+    maxlength: 100
+  },
+  // GeoJSON Polygon or MultiPolygon, positions are [longitude, latitude]
+  geometry: {
+    type: {
+      type: String,
+      enum: ['Polygon', 'MultiPolygon'],
+      required: true
+    },
+    coordinates: {
+      type: Array,
+      required: true
+    }
+  },
+  deliveryCharge: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  minOrderAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Minutes
+  maxDeliveryTime: {
+    type: Number,
+    default: 60,
+    min: 1
+  },
+  // When zones of one tenancy overlap, the highest priority wins
+  priority: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+serviceZoneSchema.index({ geometry: '2dsphere' });
+serviceZoneSchema.index({ branch: 1, isActive: 1 });
+
+module.exports = mongoose.model('ServiceZone', serviceZoneSchema);
@@ -1,10 +1,10 @@
 const mongoose = require('mongoose')
 
 const settlementItemSchema = new mongoose.Schema({
+  // Either the transaction or the order being settled
   transactionId: { 
     type: mongoose.Schema.Types.ObjectId, 
-    ref: 'Transaction',
-    required: true
+    ref: 'Transaction'
   },
   orderId: { 
     type: mongoose.Schema.Types.ObjectId, 
@@ -27,6 +27,12 @@ const settlementSchema = new mongoose.Schema({
     index: true
   },
   batchId: String, // For grouping multiple settlements
+  payoutBatchId: String, // PayoutBatch the settlement was paid out in
+  source: {
+    type: String,
+    enum: ['manual', 'batch_runner'],
+    default: 'manual'
+  },
   
   // Settlement Details
   type: {
@@ -44,7 +50,7 @@ const settlementSchema = new mongoose.Schema({
   recipientModel: {
     type: String,
     required: true,
-    enum: ['User', 'Branch', 'Vendor']
+    enum: ['User', 'Branch', 'Vendor', 'LogisticsPartner']
   },
   recipientName: { type: String, required: true },
   recipientEmail: String,
@@ -148,7 +154,7 @@ const settlementSchema = new mongoose.Schema({
   createdBy: { 
     type: mongoose.Schema.Types.ObjectId, 
     ref: 'User',
-    required: true
+    required: function() { return this.source !== 'batch_runner' }
   },
   lastModifiedBy: { 
     type: mongoose.Schema.Types.ObjectId, 
@@ -172,9 +178,11 @@ settlementSchema.index({ recipientId: 1, createdAt: -1 })
 settlementSchema.index({ periodStart: 1, periodEnd: 1 })
 settlementSchema.index({ scheduledDate: 1 })
 settlementSchema.index({ requiresApproval: 1, status: 1 })
+settlementSchema.index({ type: 1, recipientId: 1, 'items.orderId': 1 })
+settlementSchema.index({ payoutBatchId: 1 })
 
-// Generate unique settlement ID
-settlementSchema.pre('save', async function(next) {
+// Generate unique settlement ID (pre-validate so the required checks see it)
+settlementSchema.pre('validate', async function(next) {
   if (!this.settlementId) {
     const prefix = this.type.toUpperCase().substring(0, 3)
     const timestamp = Date.now().toString().slice(-8)
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Booked count for one branch pickup slot on one date. A document with
+// slot: null holds the branch's total for the day, so maxOrdersPerDay is
+// enforced across slots. Counters are only changed through atomic
+// conditional updates (see services/slotService).
+const slotBookingSchema = new mongoose.Schema({
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    required: true
+  },
+  // Local date in the tenancy's timezone, YYYY-MM-DD
+  date: {
+    type: String,
+    required: true
+  },
+  // 'HH:mm-HH:mm', or null for the day total
+  slot: {
+    type: String,
+    default: null
+  },
+  booked: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Capacity in force at the last booking
+  capacity: Number,
+  // Orders holding this slot, so releases are idempotent
+  orders: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  }]
+}, {
+  timestamps: true
+});
+
+slotBookingSchema.index({ branch: 1, date: 1, slot: 1 }, { unique: true });
+slotBookingSchema.index({ orders: 1 });
+
+module.exports = mongoose.model('SlotBooking', slotBookingSchema);
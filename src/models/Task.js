@@ -0,0 +1,166 @@
+const mongoose = require('mongoose');
+
+// Assignable work item. Created by automation "CREATE_TASK" actions or manually.
+const taskSchema = new mongoose.Schema({
+  taskNumber: {
+    type: String,
+    unique: true
+  },
+  // Null for platform-level tasks (e.g. sales follow-ups)
+  tenancy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenancy',
+    index: true
+  },
+  title: {
+    type: String,
+    required: [true, 'Task title is required'],
+    maxlength: 200
+  },
+  description: String,
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'critical'],
+    default: 'medium'
+  },
+  status: {
+    type: String,
+    enum: ['open', 'in_progress', 'completed', 'cancelled'],
+    default: 'open'
+  },
+
+  // Assignment - either a specific person or a team/role queue
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'assignedToModel'
+  },
+  assignedToModel: {
+    type: String,
+    enum: ['User', 'SuperAdmin']
+  },
+  assignedTeam: String, // e.g. 'sales_team', 'customer_service', 'staff'
+  assignedAt: Date,
+  dueAt: Date,
+
+  // What the task is about
+  relatedEntity: {
+    entityType: {
+      type: String,
+      enum: ['order', 'tenant_ticket', 'complaint', 'customer', 'tenancy']
+    },
+    entityId: mongoose.Schema.Types.ObjectId
+  },
+
+  // Where the task came from
+  source: {
+    type: {
+      type: String,
+      enum: ['automation', 'manual'],
+      default: 'manual'
+    },
+    ruleId: String,
+    executionId: String
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  completedAt: Date,
+  completedBy: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+
+  // Audit Trail
+  history: [{
+    action: {
+      type: String,
+      enum: ['created', 'assigned', 'status_change']
+    },
+    from: String,
+    to: String,
+    changedBy: mongoose.Schema.Types.ObjectId,
+    changedAt: {
+      type: Date,
+      default: Date.now
+    },
+    notes: String
+  }]
+}, {
+  timestamps: true
+});
+
+taskSchema.index({ tenancy: 1, status: 1, createdAt: -1 });
+taskSchema.index({ assignedTo: 1, status: 1 });
+taskSchema.index({ assignedTeam: 1, status: 1 });
+taskSchema.index({ 'source.ruleId': 1 });
+
+// Generate task number: TSK-YYYYMMDD-XXXXXX
+taskSchema.pre('save', function(next) {
+  if (!this.taskNumber) {
+    const dateStr = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    const random = Math.random().toString(36).substring(2, 8).toUpperCase();
+    this.taskNumber = `TSK-${dateStr}-${random}`;
+  }
+
+  if (this.isNew && this.history.length === 0) {
+    this.history.push({
+      action: 'created',
+      to: this.status,
+      changedBy: this.createdBy,
+      notes: this.source?.type === 'automation' ? `Created by automation rule ${this.source.ruleId}` : undefined
+    });
+  }
+  next();
+});
+
+// Assign task to a person or team
+taskSchema.methods.assign = function({ assignedTo, assignedToModel = 'User', assignedTeam }, changedBy) {
+  const previous = this.assignedTo?.toString() || this.assignedTeam;
+
+  this.assignedTo = assignedTo || undefined;
+  this.assignedToModel = assignedTo ? assignedToModel : undefined;
+  this.assignedTeam = assignedTeam || this.assignedTeam;
+  this.assignedAt = new Date();
+
+  this.history.push({
+    action: 'assigned',
+    from: previous,
+    to: assignedTo?.toString() || assignedTeam,
+    changedBy
+  });
+
+  return this.save();
+};
+
+// Move task to a new status
+taskSchema.methods.updateStatus = function(newStatus, changedBy, notes = '') {
+  const validTransitions = {
+    open: ['in_progress', 'completed', 'cancelled'],
+    in_progress: ['open', 'completed', 'cancelled'],
+    completed: ['open'],
+    cancelled: ['open']
+  };
+
+  if (!validTransitions[this.status]?.includes(newStatus)) {
+    throw new Error(`Invalid task status transition from ${this.status} to ${newStatus}`);
+  }
+
+  this.history.push({
+    action: 'status_change',
+    from: this.status,
+    to: newStatus,
+    changedBy,
+    notes
+  });
+  this.status = newStatus;
+
+  if (newStatus === 'completed') {
+    this.completedAt = new Date();
+    this.completedBy = changedBy;
+  }
+
+  return this.save();
+};
+
+module.exports = mongoose.model('Task', taskSchema);
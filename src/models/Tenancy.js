@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { WALLET_TOPUP_DEFAULTS, QUOTE_APPROVAL_DEFAULTS } = require('../config/constants');
 
 const brandingSchema = new mongoose.Schema({
   // Business Identity
@@ -227,7 +228,39 @@ const tenancySchema = new mongoose.Schema({
     autoAssignOrders: { type: Boolean, default: true },
     allowCOD: { type: Boolean, default: true },
     allowOnlinePayment: { type: Boolean, default: true },
-    requireEmailVerification: { type: Boolean, default: true }
+    requireEmailVerification: { type: Boolean, default: true },
+    // Customer wallet top-ups (amounts in settings.currency)
+    walletTopUp: {
+      enabled: { type: Boolean, default: true },
+      minAmount: { type: Number, default: WALLET_TOPUP_DEFAULTS.MIN_AMOUNT },
+      maxAmount: { type: Number, default: WALLET_TOPUP_DEFAULTS.MAX_AMOUNT },
+      dailyLimit: { type: Number, default: WALLET_TOPUP_DEFAULTS.DAILY_LIMIT },
+      maxBalance: { type: Number, default: WALLET_TOPUP_DEFAULTS.MAX_BALANCE }
+    },
+    // Revised quotes after pickup (see services/requoteService)
+    quoteApproval: {
+      autoApproveAmount: { type: Number, min: 0, default: QUOTE_APPROVAL_DEFAULTS.AUTO_APPROVE_AMOUNT },
+      autoApprovePercent: { type: Number, min: 0, max: 100, default: QUOTE_APPROVAL_DEFAULTS.AUTO_APPROVE_PERCENT },
+      linkExpiryHours: { type: Number, min: 1, max: 720, default: QUOTE_APPROVAL_DEFAULTS.LINK_EXPIRY_HOURS }
+    },
+    // GST on customer orders (see services/taxService). defaultRate falls
+    // back to taxRate; branches can override gstin/state/pricesIncludeTax.
+    taxConfig: {
+      enabled: { type: Boolean, default: true },
+      gstin: { type: String, trim: true, uppercase: true },
+      registeredState: { type: String, trim: true },     // state name or GST state code
+      defaultRate: { type: Number, min: 0, max: 100 },
+      sacCode: { type: String, trim: true },             // HSN/SAC for services without their own
+      pricesIncludeTax: { type: Boolean, default: false },
+      deliveryRate: { type: Number, min: 0, max: 100 },  // defaults to defaultRate
+      deliverySacCode: { type: String, trim: true },
+      serviceRates: [{
+        _id: false,
+        service: { type: String, required: true, lowercase: true, trim: true },
+        hsnSac: { type: String, trim: true },
+        rate: { type: Number, required: true, min: 0, max: 100 }
+      }]
+    }
   },
 
   // Stats (cached for performance)
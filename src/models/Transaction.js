@@ -36,6 +36,7 @@ const transactionSchema = new mongoose.Schema({
       'driver_settlement',
       'branch_settlement',
       'staff_settlement',
+      'partner_settlement',
       'platform_commission',
       'late_penalty',
       'performance_bonus',
@@ -185,8 +186,8 @@ transactionSchema.index({ customerId: 1, createdAt: -1 })
 transactionSchema.index({ settlementDate: 1 })
 transactionSchema.index({ requiresApproval: 1, approvalStatus: 1 })
 
-// Generate unique transaction ID
-transactionSchema.pre('save', async function(next) {
+// Generate unique transaction ID (pre-validate so the required checks see it)
+transactionSchema.pre('validate', async function(next) {
   if (!this.transactionId) {
     const prefix = this.type.toUpperCase().substring(0, 3)
     const timestamp = Date.now().toString().slice(-8)
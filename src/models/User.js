@@ -326,6 +326,8 @@ const userSchema = new mongoose.Schema({
   pushTokens: [{
     token: { type: String, required: true },
     platform: { type: String, enum: ['ios', 'android', 'web'] },
+    // 'expo' tokens go through Expo's push service, 'fcm' are native FCM registration tokens
+    provider: { type: String, enum: ['expo', 'fcm'], default: 'expo' },
     registeredAt: { type: Date, default: Date.now },
     lastUsedAt: { type: Date, default: Date.now }
   }]
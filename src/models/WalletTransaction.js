@@ -1,20 +1,39 @@
 // Ledger entries for a CustomerWallet. Append-only history of credits/debits.
+// Each entry is one side of a double-entry posting: the customer's wallet is
+// credited/debited and `counterAccount` names the platform account on the
+// other side, so wallet balances always net against a known source.
 
 const mongoose = require('mongoose');
 
+const COUNTER_ACCOUNTS = [
+  'payment_gateway', // top-ups paid through Stripe
+  'promotions',      // referral / signup bonuses
+  'loyalty',         // loyalty point redemptions and welcome credits
+  'refunds',         // store credit refunds
+  'order_payments',  // order payments and their reversals
+  'legacy_wallet',   // balances migrated from the old embedded user.wallet
+  'adjustments'      // manual corrections
+];
+
 const walletTransactionSchema = new mongoose.Schema(
   {
     user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
     type: { type: String, enum: ['credit', 'debit'], required: true },
     amount: { type: Number, required: true, min: 0 },
-    reason: { type: String, required: true }, // 'referral', 'signup_bonus', 'order_redeem', 'refund'
+    reason: { type: String, required: true }, // 'referral', 'signup_bonus', 'order_redeem', 'order_payment', 'order_refund', 'refund', 'wallet_topup', 'loyalty_redemption', 'loyalty_bonus', 'legacy_migration'
+    counterAccount: { type: String, enum: COUNTER_ACCOUNTS },
     description: { type: String },
     order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+    refund: { type: mongoose.Schema.Types.ObjectId, ref: 'Refund' },
     balanceAfter: { type: Number, required: true },
+    // External reference (e.g. Stripe payment intent) that must only ever be credited once
+    idempotencyKey: { type: String },
   },
   { timestamps: true }
 );
 
 walletTransactionSchema.index({ user: 1, createdAt: -1 });
+walletTransactionSchema.index({ idempotencyKey: 1 }, { unique: true, sparse: true });
+walletTransactionSchema.index({ order: 1 });
 
 module.exports = mongoose.model('WalletTransaction', walletTransactionSchema);
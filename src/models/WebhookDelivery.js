@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+// Delivery log for automation "TRIGGER_WEBHOOK" actions.
+// Each document is one logical delivery; retries are recorded in `attempts`.
+const webhookDeliverySchema = new mongoose.Schema({
+  deliveryId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  ruleId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenancy',
+    index: true
+  },
+  // Links the delivery to the AutomationExecution that produced it
+  executionId: {
+    type: String,
+    index: true
+  },
+  eventType: String,
+  url: {
+    type: String,
+    required: true
+  },
+  headers: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'success', 'failed'],
+    default: 'pending'
+  },
+  attempts: [{
+    attemptNumber: Number,
+    statusCode: Number,
+    responseBody: String,
+    error: String,
+    durationMs: Number,
+    attemptedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  attemptCount: {
+    type: Number,
+    default: 0
+  },
+  lastStatusCode: Number,
+  lastError: String,
+  deliveredAt: Date,
+
+  // Replays create a new delivery pointing back at the original
+  replayOf: {
+    type: String,
+    index: true
+  },
+  replayedBy: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+
+  // Retention
+  expiresAt: {
+    type: Date,
+    default: function() {
+      // Default 90 days retention
+      return new Date(Date.now() + 90 * 24 * 60 * 60 * 1000);
+    },
+    index: { expireAfterSeconds: 0 }
+  }
+}, {
+  timestamps: true
+});
+
+webhookDeliverySchema.index({ ruleId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ ruleId: 1, status: 1, createdAt: -1 });
+
+// Record the outcome of a single HTTP attempt
+webhookDeliverySchema.methods.recordAttempt = function(attempt) {
+  this.attemptCount += 1;
+  this.attempts.push({
+    attemptNumber: this.attemptCount,
+    ...attempt
+  });
+  this.lastStatusCode = attempt.statusCode;
+  this.lastError = attempt.error;
+  return this;
+};
+
+// Only failed deliveries can be replayed
+webhookDeliverySchema.methods.canReplay = function() {
+  return this.status === 'failed';
+};
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -16,6 +16,8 @@ const {
   getCustomerDetails,
   toggleCustomerStatus,
   tagVIPCustomer,
+  getCustomerNotificationPreferences,
+  updateCustomerNotificationPreferences,
   getComplaints,
   getComplaintById,
   assignComplaint,
@@ -52,7 +54,11 @@ const {
   getInventory,
   addInventoryItem,
   updateInventoryStock,
-  deleteInventoryItem
+  deleteInventoryItem,
+  getConsumptionRecipes,
+  saveConsumptionRecipe,
+  deleteConsumptionRecipe,
+  getReorderSuggestions
 } = require('../../controllers/centerAdmin/centerAdminController');
 
 const {
@@ -84,6 +90,24 @@ const {
   updateBranchDeliveryPricing
 } = require('../../controllers/admin/deliveryPricingController');
 
+const {
+  getTaxConfig,
+  updateTaxConfig,
+  updateBranchTaxOverride
+} = require('../../controllers/admin/taxConfigController');
+
+const {
+  getQuoteApprovalSettings,
+  updateQuoteApprovalSettings
+} = require('../../controllers/admin/quoteSettingsController');
+
+const {
+  getInvoices,
+  downloadInvoice,
+  getOrderInvoices,
+  generateOrderInvoice
+} = require('../../controllers/admin/invoiceController');
+
 // Branding routes for multi-tenant support
 const brandingRoutes = require('./brandingRoutes');
 const couponRoutes = require('./couponRoutes');
@@ -157,12 +181,20 @@ router.put('/orders/:orderId/status', updateOrderStatus);
 router.put('/orders/:orderId/payment-status', updatePaymentStatus);
 router.post('/fix-delivered-payments', fixDeliveredPayments);
 
+// Invoice routes
+router.get('/invoices', getInvoices);
+router.get('/invoices/:invoiceId/download', downloadInvoice);
+router.get('/orders/:orderId/invoices', getOrderInvoices);
+router.post('/orders/:orderId/invoice', generateOrderInvoice);
+
 // Customer management routes
 router.post('/customers', requirePermission('customers', 'create'), createCustomer);
 router.get('/customers', getCustomers);
 router.get('/customers/:customerId/details', getCustomerDetails);
 router.put('/customers/:customerId/toggle-status', toggleCustomerStatus);
 router.put('/customers/:customerId/vip', tagVIPCustomer);
+router.get('/customers/:customerId/notification-preferences', getCustomerNotificationPreferences);
+router.put('/customers/:customerId/notification-preferences', updateCustomerNotificationPreferences);
 
 // Complaint management routes
 router.get('/complaints', getComplaints);
@@ -217,11 +249,20 @@ router.get('/branches/coordinates-status', getBranchesCoordinatesStatus);
 router.get('/branches/:branchId/coordinates', getBranchCoordinates);
 router.put('/branches/:branchId/coordinates', updateBranchCoordinates);
 router.put('/branches/:branchId/delivery-pricing', updateBranchDeliveryPricing);
+router.put('/branches/:branchId/tax', updateBranchTaxOverride);
 
 // Delivery pricing routes
 router.get('/delivery-pricing', getDeliveryPricing);
 router.put('/delivery-pricing', updateDeliveryPricing);
 
+// Tax configuration routes
+router.get('/tax-config', getTaxConfig);
+router.put('/tax-config', updateTaxConfig);
+
+// Revised quote approval settings
+router.get('/quote-approval', getQuoteApprovalSettings);
+router.put('/quote-approval', updateQuoteApprovalSettings);
+
 // Support Ticket routes (RBAC controlled - requires support permission)
 router.get('/support/dashboard', getSupportDashboard);
 router.get('/support/tickets', getTickets);
@@ -234,6 +275,10 @@ router.put('/support/tickets/:ticketId/resolve', resolveTicket);
 
 // Inventory routes
 router.get('/inventory', getInventory);
+router.get('/inventory/recipes', getConsumptionRecipes);
+router.post('/inventory/recipes', saveConsumptionRecipe);
+router.delete('/inventory/recipes/:recipeId', deleteConsumptionRecipe);
+router.get('/inventory/reorder-suggestions', getReorderSuggestions);
 router.post('/inventory', addInventoryItem);
 router.put('/inventory/:itemId/stock', updateInventoryStock);
 router.delete('/inventory/:itemId', deleteInventoryItem);
@@ -9,7 +9,13 @@ const {
   toggleRule,
   testRule,
   getRuleHistory,
-  triggerEvent
+  triggerEvent,
+  getWebhookDeliveries,
+  replayWebhookDelivery,
+  rotateWebhookSecret,
+  getTasks,
+  assignTask,
+  updateTaskStatus
 } = require('../controllers/automationController');
 
 // Middleware
@@ -56,6 +62,36 @@ router.post('/rules/:ruleId/test', protectAny, testRule);
 // @access  Private (SuperAdmin/Admin)
 router.get('/rules/:ruleId/history', protectAny, getRuleHistory);
 
+// @desc    Get webhook delivery log for a rule
+// @route   GET /api/automation/rules/:ruleId/webhooks/deliveries
+// @access  Private (SuperAdmin/Admin)
+router.get('/rules/:ruleId/webhooks/deliveries', protectAny, getWebhookDeliveries);
+
+// @desc    Replay a failed webhook delivery
+// @route   POST /api/automation/rules/:ruleId/webhooks/deliveries/:deliveryId/replay
+// @access  Private (SuperAdmin/Admin)
+router.post('/rules/:ruleId/webhooks/deliveries/:deliveryId/replay', protectAny, replayWebhookDelivery);
+
+// @desc    Rotate webhook signing secret
+// @route   POST /api/automation/rules/:ruleId/webhooks/secret/rotate
+// @access  Private (SuperAdmin/Admin)
+router.post('/rules/:ruleId/webhooks/secret/rotate', protectAny, rotateWebhookSecret);
+
+// @desc    Get tasks
+// @route   GET /api/automation/tasks
+// @access  Private (SuperAdmin/Admin)
+router.get('/tasks', protectAny, getTasks);
+
+// @desc    Assign task to a user or team
+// @route   PATCH /api/automation/tasks/:taskId/assign
+// @access  Private (SuperAdmin/Admin)
+router.patch('/tasks/:taskId/assign', protectAny, assignTask);
+
+// @desc    Update task status
+// @route   PATCH /api/automation/tasks/:taskId/status
+// @access  Private (SuperAdmin/Admin)
+router.patch('/tasks/:taskId/status', protectAny, updateTaskStatus);
+
 // @desc    Manually trigger automation event (SuperAdmin only)
 // @route   POST /api/automation/trigger
 // @access  Private (SuperAdmin only)
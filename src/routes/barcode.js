@@ -9,7 +9,20 @@ const {
   updateItemStatusViaScan,
   updateStatusViaScan,
   bulkScan,
-  reportItemIssue
+  reportItemIssue,
+  getItemTimeline,
+  getUnreadyItems,
+  recordOrderWeights,
+  reviseOrderItems,
+  getFlaggedItems,
+  createLot,
+  getLots,
+  getLot,
+  addLotItems,
+  removeLotItems,
+  scanLot,
+  closeLot,
+  getLotLabels
 } = require('../controllers/barcodeController');
 
 // All routes require authentication
@@ -36,6 +49,31 @@ router.put('/scan-item/:tagCode/status', restrictTo('admin', 'superadmin', 'staf
 // Report issue on item via tag scan - staff and admin only
 router.post('/scan-item/:tagCode/issue', restrictTo('admin', 'superadmin', 'staff'), reportItemIssue);
 
+// Scan history of an item - staff and admin only
+router.get('/scan-item/:tagCode/timeline', restrictTo('admin', 'superadmin', 'staff'), getItemTimeline);
+
+// Items of an order not yet ready - staff and admin only
+router.get('/order/:orderId/unready-items', restrictTo('admin', 'superadmin', 'staff'), getUnreadyItems);
+
+// Weigh per-kg items at pickup or intake - staff and admin only
+router.put('/order/:orderId/weights', restrictTo('admin', 'superadmin', 'staff'), recordOrderWeights);
+
+// Revise items after pickup (re-quote) - staff and admin only
+router.put('/order/:orderId/items', restrictTo('admin', 'superadmin', 'staff'), reviseOrderItems);
+
+// Items flagged at delivery - admin only
+router.get('/flagged-items', restrictTo('admin', 'superadmin'), getFlaggedItems);
+
+// Bags and wash lots - staff and admin only
+router.post('/lots', restrictTo('admin', 'superadmin', 'staff'), createLot);
+router.get('/lots', restrictTo('admin', 'superadmin', 'staff'), getLots);
+router.get('/lots/:barcode', restrictTo('admin', 'superadmin', 'staff'), getLot);
+router.post('/lots/:barcode/items', restrictTo('admin', 'superadmin', 'staff'), addLotItems);
+router.post('/lots/:barcode/items/remove', restrictTo('admin', 'superadmin', 'staff'), removeLotItems);
+router.put('/lots/:barcode/status', restrictTo('admin', 'superadmin', 'staff'), scanLot);
+router.post('/lots/:barcode/close', restrictTo('admin', 'superadmin', 'staff'), closeLot);
+router.get('/lots/:barcode/labels', restrictTo('admin', 'superadmin', 'staff'), getLotLabels);
+
 // Bulk scan - staff and admin only
 router.post('/bulk-scan', restrictTo('admin', 'superadmin', 'staff'), bulkScan);
 
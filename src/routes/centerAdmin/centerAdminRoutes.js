@@ -10,10 +10,21 @@ const {
   getAnalytics,
   getSettings,
   updateSettings,
+  getHolidays,
+  addHoliday,
+  deleteHoliday,
+  getServiceZones,
+  createServiceZone,
+  updateServiceZone,
+  deleteServiceZone,
   getInventory,
   addInventoryItem,
   updateInventoryStock,
   deleteInventoryItem,
+  getConsumptionRecipes,
+  saveConsumptionRecipe,
+  deleteConsumptionRecipe,
+  getReorderSuggestions,
   addWorker,
   updateWorker,
   deleteWorker,
@@ -73,6 +84,10 @@ router.delete('/staff-types/:id', deleteStaffType);
 
 // Inventory
 router.get('/inventory', getInventory);
+router.get('/inventory/recipes', getConsumptionRecipes);
+router.post('/inventory/recipes', saveConsumptionRecipe);
+router.delete('/inventory/recipes/:recipeId', deleteConsumptionRecipe);
+router.get('/inventory/reorder-suggestions', getReorderSuggestions);
 router.post('/inventory', addInventoryItem);
 router.put('/inventory/:itemId/stock', updateInventoryStock);
 router.delete('/inventory/:itemId', deleteInventoryItem);
@@ -103,4 +118,15 @@ router.put('/notifications/mark-all-read', markAllNotificationsAsRead);
 router.get('/settings', getSettings);
 router.put('/settings', updateSettings);
 
+// Holiday calendar
+router.get('/holidays', getHolidays);
+router.post('/holidays', addHoliday);
+router.delete('/holidays/:holidayId', deleteHoliday);
+
+// Delivery zones
+router.get('/zones', getServiceZones);
+router.post('/zones', createServiceZone);
+router.put('/zones/:zoneId', updateServiceZone);
+router.delete('/zones/:zoneId', deleteServiceZone);
+
 module.exports = router;
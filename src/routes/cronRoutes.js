@@ -8,6 +8,10 @@
 const express = require('express');
 const router = express.Router();
 const bannerLifecycleJob = require('../jobs/bannerLifecycleJob');
+const scheduledReportsJob = require('../jobs/scheduledReportsJob');
+const settlementBatchJob = require('../jobs/settlementBatchJob');
+const pushReceiptsJob = require('../jobs/pushReceiptsJob');
+const laundryPlanJob = require('../jobs/laundryPlanJob');
 
 // Middleware to verify requests from Firebase Functions
 const verifyFirebaseFunctionRequest = (req, res, next) => {
@@ -132,6 +136,58 @@ router.post('/notifications/cleanup', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/cron/notifications/push-receipts
+ * Resolve Expo push receipts and prune unregistered device tokens
+ */
+router.post('/notifications/push-receipts', async (req, res) => {
+  try {
+    console.log('🔄 Cron API: Checking push receipts...');
+
+    const result = await pushReceiptsJob.runPushReceiptCheck();
+
+    res.status(result.success ? 200 : 503).json({
+      success: result.success,
+      message: 'Push receipt check completed',
+      result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Cron API: Push receipt check failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /api/cron/laundry-plans/resume-paused
+ * Resume paused laundry plans whose resume date has passed
+ */
+router.post('/laundry-plans/resume-paused', async (req, res) => {
+  try {
+    console.log('🔄 Cron API: Resuming paused laundry plans...');
+
+    const result = await laundryPlanJob.resumePausedPlans();
+
+    res.status(result.success ? 200 : 503).json({
+      success: result.success,
+      message: 'Laundry plan resume completed',
+      result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Cron API: Laundry plan resume failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 /**
  * POST /api/cron/subscriptions/send-reminders
  * Send subscription expiry reminders
@@ -275,6 +331,59 @@ router.post('/coupons/expiry-reminders', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/cron/reports/run-scheduled
+ * Generate and email due scheduled financial reports and analytics
+ */
+router.post('/reports/run-scheduled', async (req, res) => {
+  try {
+    console.log('🔄 Cron API: Running scheduled reports...');
+
+    const result = await scheduledReportsJob.runScheduledReports();
+
+    res.status(result.success ? 200 : 503).json({
+      success: result.success,
+      message: 'Scheduled reports completed',
+      result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Cron API: Scheduled reports failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /api/cron/settlements/run?period=weekly|daily
+ * Generate settlements for the last period and create a payout file
+ */
+router.post('/settlements/run', async (req, res) => {
+  try {
+    console.log('🔄 Cron API: Running settlement batch...');
+
+    const period = ['weekly', 'daily'].includes(req.query.period) ? req.query.period : undefined;
+    const result = await settlementBatchJob.runSettlementBatch(period);
+
+    res.status(result.success || result.skipped ? 200 : 503).json({
+      success: result.success,
+      message: 'Settlement batch completed',
+      result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Cron API: Settlement batch failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 /**
  * GET /api/cron/status
  * Get cron jobs status
@@ -288,7 +397,11 @@ router.get('/status', (req, res) => {
       { name: 'auto-complete-banners', schedule: 'every 1 hour', status: 'active' },
       { name: 'sync-banners-campaigns', schedule: 'every 15 minutes', status: 'active' },
       { name: 'cleanup-notifications', schedule: 'daily at 2 AM', status: 'active' },
-      { name: 'subscription-reminders', schedule: 'daily at 9 AM', status: 'active' }
+      { name: 'push-receipts', schedule: 'every 15 minutes', status: 'active' },
+      { name: 'laundry-plans-resume-paused', schedule: 'every 1 hour', status: 'active' },
+      { name: 'subscription-reminders', schedule: 'daily at 9 AM', status: 'active' },
+      { name: 'scheduled-reports', schedule: 'every 15 minutes', status: 'active' },
+      { name: 'settlement-batch', schedule: 'daily at 3 AM', status: 'active' }
     ],
     timestamp: new Date().toISOString()
   });
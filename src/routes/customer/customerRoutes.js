@@ -19,6 +19,16 @@ const {
   rateOrder,
   reorder
 } = require('../../controllers/customer/orderController');
+const {
+  downloadOrderInvoice,
+  getOrderInvoices,
+  downloadInvoice
+} = require('../../controllers/customer/invoiceController');
+const {
+  getOrderQuote,
+  approveOrderQuote,
+  rejectOrderQuote
+} = require('../../controllers/customer/quoteController');
 
 const {
   createTicket,
@@ -41,6 +51,16 @@ const {
   getAvailableRewards,
   getTierInfo
 } = require('../../controllers/customer/loyaltyController');
+const {
+  getLaundryPlans,
+  getMyLaundryPlan,
+  startLaundryPlanCheckout,
+  confirmLaundryPlanCheckout,
+  pauseLaundryPlan,
+  resumeLaundryPlan,
+  cancelLaundryPlan,
+  handleLaundryPlanWebhook
+} = require('../../controllers/customer/laundryPlanController');
 const {
   getReferralCode,
   trackReferralShare,
@@ -50,7 +70,9 @@ const {
 const {
   getWalletBalance,
   getWalletTransactions,
-  addMoneyToWallet
+  addMoneyToWallet,
+  confirmWalletTopUp,
+  handleWalletTopUpWebhook
 } = require('../../controllers/customer/walletController');
 const {
   getApplicableDiscounts,
@@ -68,6 +90,11 @@ const reviewRoutes = require('./reviews');
 
 const router = express.Router();
 
+// Stripe webhook for wallet top-ups (no auth, verified by signature; raw body set up in app.js)
+router.post('/wallet/stripe-webhook', handleWalletTopUpWebhook);
+// Stripe webhook for laundry plan billing (no auth, verified by signature; raw body set up in app.js)
+router.post('/laundry-plans/stripe-webhook', handleLaundryPlanWebhook);
+
 // Apply authentication and tenancy injection to all routes
 router.use(protect);
 router.use(injectTenancyFromUser);
@@ -94,6 +121,12 @@ router.get('/orders/:orderId/tracking', getOrderTracking);
 router.put('/orders/:orderId/cancel', cancelOrder);
 router.put('/orders/:orderId/rate', rateOrder);
 router.post('/orders/:orderId/reorder', checkOrderLimit, reorder);
+router.get('/orders/:orderId/invoice', downloadOrderInvoice);
+router.get('/orders/:orderId/invoices', getOrderInvoices);
+router.get('/orders/:orderId/quote', getOrderQuote);
+router.post('/orders/:orderId/quote/approve', approveOrderQuote);
+router.post('/orders/:orderId/quote/reject', rejectOrderQuote);
+router.get('/invoices/:invoiceId/download', downloadInvoice);
 
 // Ticket/Support routes
 router.get('/tickets/categories', getCategories);
@@ -117,6 +150,15 @@ router.post('/loyalty/redeem', redeemPoints);
 router.get('/loyalty/rewards', getAvailableRewards);
 router.get('/loyalty/tier', getTierInfo);
 
+// Laundry plan (monthly subscription) routes
+router.get('/laundry-plans', getLaundryPlans);
+router.get('/laundry-plans/me', getMyLaundryPlan);
+router.post('/laundry-plans/checkout', startLaundryPlanCheckout);
+router.post('/laundry-plans/confirm', confirmLaundryPlanCheckout);
+router.post('/laundry-plans/me/pause', pauseLaundryPlan);
+router.post('/laundry-plans/me/resume', resumeLaundryPlan);
+router.post('/laundry-plans/me/cancel', cancelLaundryPlan);
+
 // Referral routes
 router.get('/referrals/code', getReferralCode);
 router.post('/referrals/share', trackReferralShare);
@@ -127,6 +169,7 @@ router.post('/referrals/apply', applyReferralCode);
 router.get('/wallet/balance', getWalletBalance);
 router.get('/wallet/transactions', getWalletTransactions);
 router.post('/wallet/add', addMoneyToWallet);
+router.post('/wallet/add/confirm', confirmWalletTopUp);
 
 // Discount routes
 router.post('/discounts/applicable', getApplicableDiscounts);
@@ -8,6 +8,8 @@ const {
   reorder,
   getOrderTracking
 } = require('../../controllers/customer/orderController');
+const { downloadOrderInvoice, getOrderInvoices } = require('../../controllers/customer/invoiceController');
+const { getOrderQuote, approveOrderQuote, rejectOrderQuote } = require('../../controllers/customer/quoteController');
 const { validate, orderValidation } = require('../../utils/validators');
 const { checkOrderLimit } = require('../../middlewares/planLimits');
 
@@ -21,5 +23,10 @@ router.get('/:orderId/tracking', getOrderTracking);
 router.put('/:orderId/cancel', cancelOrder);
 router.put('/:orderId/rate', validate(orderValidation.rateOrder), rateOrder);
 router.post('/:orderId/reorder', checkOrderLimit, reorder);
+router.get('/:orderId/invoice', downloadOrderInvoice);
+router.get('/:orderId/invoices', getOrderInvoices);
+router.get('/:orderId/quote', getOrderQuote);
+router.post('/:orderId/quote/approve', approveOrderQuote);
+router.post('/:orderId/quote/reject', rejectOrderQuote);
 
 module.exports = router;
\ No newline at end of file
@@ -1,6 +1,6 @@
 // Authenticated engagement endpoints for the customer app:
-// notifications feed, loyalty summary, wallet, referral. All require the
-// customer's JWT and are platform-level (not tenancy-scoped).
+// notifications feed and preferences, loyalty summary, wallet, referral.
+// All require the customer's JWT and are platform-level (not tenancy-scoped).
 
 const express = require('express');
 const router = express.Router();
@@ -9,8 +9,14 @@ const { protect } = require('../middlewares/auth');
 const { getNotifications, getLoyalty } = require('../controllers/marketplace/customerEngagementController');
 const { getWallet } = require('../controllers/marketplace/customerWalletController');
 const { getReferral } = require('../controllers/marketplace/customerReferralController');
+const {
+  getPreferences,
+  updatePreferences
+} = require('../controllers/marketplace/customerNotificationPreferenceController');
 
 router.get('/notifications', protect, getNotifications);
+router.get('/notification-preferences', protect, getPreferences);
+router.put('/notification-preferences', protect, updatePreferences);
 router.get('/loyalty', protect, getLoyalty);
 router.get('/wallet', protect, getWallet);
 router.get('/referral', protect, getReferral);
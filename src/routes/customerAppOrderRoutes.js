@@ -9,7 +9,11 @@ const {
   listMyOrders,
   getMyOrder,
   cancelOrder,
-  validateOrderCoupon
+  downloadInvoice,
+  validateOrderCoupon,
+  getQuote,
+  approveQuote,
+  rejectQuote
 } = require('../controllers/marketplace/customerOrderController');
 const {
   createCheckoutSession,
@@ -21,6 +25,12 @@ router.post('/validate-coupon', protect, validateOrderCoupon);
 router.get('/', protect, listMyOrders);
 router.get('/:id', protect, getMyOrder);
 router.post('/:id/cancel', protect, cancelOrder);
+router.get('/:id/invoice', protect, downloadInvoice);
+
+// Revised quote after pickup
+router.get('/:id/quote', protect, getQuote);
+router.post('/:id/quote/approve', protect, approveQuote);
+router.post('/:id/quote/reject', protect, rejectQuote);
 
 // Payment (online via Stripe Checkout)
 router.post('/:id/checkout-session', protect, createCheckoutSession);
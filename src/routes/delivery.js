@@ -1,10 +1,15 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const distanceService = require('../services/distanceService');
 const deliveryPricingService = require('../services/deliveryPricingService');
+const serviceZoneService = require('../services/serviceZoneService');
 const Branch = require('../models/Branch');
 const Settings = require('../models/Settings');
 
+// Candidate branches priced by one quote-branches request
+const MAX_QUOTE_BRANCHES = 20;
+
 /**
  * @route   POST /api/delivery/geocode
  * @desc    Geocode an address to coordinates
@@ -82,6 +87,27 @@ router.post('/calculate-distance', async (req, res) => {
       });
     }
 
+    // Branches with polygon zones quote the charge of the zone the address is in
+    const coverage = await serviceZoneService.checkBranchCoverage(branch._id, pickupAddress);
+    if (coverage.zoned) {
+      const zone = coverage.zone;
+      const charge = zone ? zone.deliveryCharge : 0;
+      return res.json({
+        success: true,
+        data: {
+          distance: null,
+          deliveryCharge: isExpress ? Math.round(charge * 1.5) : charge,
+          isServiceable: !!zone,
+          isFallback: false,
+          zone,
+          message: zone
+            ? `Delivery charge for ${zone.name}`
+            : 'Service not available in your area. This branch does not deliver to your address.',
+          branch: { id: branch._id, name: branch.name, code: branch.code }
+        }
+      });
+    }
+
     // Pincode-based serviceability: if branch has serviceAreas, customer pincode must match
     const pincodeStr = typeof pickupAddress === 'object' && pickupAddress?.pincode
       ? String(pickupAddress.pincode).trim()
@@ -143,24 +169,34 @@ router.post('/calculate-distance', async (req, res) => {
     // Get pricing config from settings
     const pricingConfig = await Settings.getDeliveryPricing();
 
-    // Build full address string for geocoding
-    let addressString = pickupAddress;
-    if (typeof pickupAddress === 'object') {
-      addressString = [
-        pickupAddress.addressLine1,
-        pickupAddress.addressLine2,
-        pickupAddress.landmark,
-        pickupAddress.city,
-        pickupAddress.pincode,
-        'India'
-      ].filter(Boolean).join(', ');
-    }
+    // Saved addresses carry coordinates; geocode the rest
+    const customerPoint = typeof pickupAddress === 'object' ? serviceZoneService.toPoint(pickupAddress) : null;
+    let distanceResult;
+    if (customerPoint) {
+      distanceResult = await distanceService.calculateDistance(
+        customerPoint,
+        { lat: branch.coordinates.latitude, lng: branch.coordinates.longitude }
+      );
+    } else {
+      // Build full address string for geocoding
+      let addressString = pickupAddress;
+      if (typeof pickupAddress === 'object') {
+        addressString = [
+          pickupAddress.addressLine1,
+          pickupAddress.addressLine2,
+          pickupAddress.landmark,
+          pickupAddress.city,
+          pickupAddress.pincode,
+          'India'
+        ].filter(Boolean).join(', ');
+      }
 
-    // Calculate distance
-    const distanceResult = await distanceService.calculateDistanceFromAddresses(
-      addressString,
-      `${branch.address.addressLine1}, ${branch.address.city}, ${branch.address.pincode}, India`
-    );
+      // Calculate distance
+      distanceResult = await distanceService.calculateDistanceFromAddresses(
+        addressString,
+        `${branch.address.addressLine1}, ${branch.address.city}, ${branch.address.pincode}, India`
+      );
+    }
 
     // If API failed, use fallback pricing
     if (distanceResult.status !== 'OK' || distanceResult.useFallbackPricing) {
@@ -197,6 +233,7 @@ router.post('/calculate-distance', async (req, res) => {
         deliveryCharge: chargeResult.charge,
         isServiceable: chargeResult.isServiceable,
         isFallback: false,
+        distanceSource: distanceResult.source,
         breakdown: chargeResult.breakdown,
         branch: {
           id: branch._id,
@@ -328,6 +365,7 @@ router.post('/calculate-by-coordinates', async (req, res) => {
         duration: distanceResult.duration,
         deliveryCharge: chargeResult.charge,
         isServiceable: chargeResult.isServiceable,
+        distanceSource: distanceResult.source,
         breakdown: chargeResult.breakdown
       }
     });
@@ -341,4 +379,102 @@ router.post('/calculate-by-coordinates', async (req, res) => {
   }
 });
 
+/**
+ * @route   POST /api/delivery/quote-branches
+ * @desc    Delivery charge from a customer location to several candidate branches
+ *          (given branchIds, or the active branches of a tenancy) in one matrix call
+ * @access  Public
+ */
+router.post('/quote-branches', async (req, res) => {
+  try {
+    const { customerLat, customerLng, branchIds, tenancyId, isExpress = false } = req.body;
+    const customer = { lat: customerLat, lng: customerLng };
+
+    if (!distanceService.validateCoordinates(customer)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid customer coordinates'
+      });
+    }
+
+    const ids = Array.isArray(branchIds) ? branchIds.filter(id => mongoose.isValidObjectId(id)) : [];
+    if (ids.length === 0 && !mongoose.isValidObjectId(tenancyId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'branchIds or tenancyId is required'
+      });
+    }
+    if (ids.length > MAX_QUOTE_BRANCHES) {
+      return res.status(400).json({
+        success: false,
+        message: `At most ${MAX_QUOTE_BRANCHES} branches can be quoted at once`
+      });
+    }
+
+    const filter = ids.length > 0 ? { _id: { $in: ids } } : { tenancy: tenancyId };
+    const branches = await Branch.find({ ...filter, isActive: true })
+      .select('name code coordinates')
+      .limit(MAX_QUOTE_BRANCHES)
+      .lean();
+    const located = branches.filter(b => b.coordinates?.latitude && b.coordinates?.longitude);
+
+    const pricingConfig = await Settings.getDeliveryPricing();
+    const distances = await distanceService.calculateDistanceMatrix(
+      customer,
+      located.map(b => ({ lat: b.coordinates.latitude, lng: b.coordinates.longitude }))
+    );
+
+    const quotes = located.map((branch, i) => {
+      const distanceResult = distances[i];
+      const summary = { id: branch._id, name: branch.name, code: branch.code };
+
+      if (distanceResult.status !== 'OK') {
+        const fallback = deliveryPricingService.getFallbackCharge(isExpress);
+        return {
+          branch: summary,
+          distance: null,
+          deliveryCharge: fallback.charge,
+          isServiceable: true,
+          isFallback: true
+        };
+      }
+
+      const chargeResult = deliveryPricingService.calculateDeliveryCharge(
+        distanceResult.distance,
+        pricingConfig,
+        isExpress
+      );
+      return {
+        branch: summary,
+        distance: distanceResult.distance,
+        duration: distanceResult.duration,
+        deliveryCharge: chargeResult.charge,
+        isServiceable: chargeResult.isServiceable,
+        isFallback: false,
+        distanceSource: distanceResult.source
+      };
+    });
+
+    // Serviceable and nearest first
+    quotes.sort((a, b) =>
+      (b.isServiceable - a.isServiceable) || ((a.distance ?? Infinity) - (b.distance ?? Infinity))
+    );
+
+    res.json({
+      success: true,
+      data: {
+        quotes,
+        skipped: branches.filter(b => !located.includes(b)).map(b => b._id)
+      }
+    });
+
+  } catch (error) {
+    console.error('Branch quote error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to quote branches'
+    });
+  }
+});
+
 module.exports = router;
@@ -8,9 +8,11 @@ const {
   getNearbyBranches,
   getBranchById,
   getBranchServices,
+  getBranchSlots,
   getBranchItems,
   getBranchReviews,
-  getTenantBySlug
+  getTenantBySlug,
+  lookupServiceZone
 } = require('../../controllers/marketplace/branchDiscoveryController');
 const { getMarketplaceBanners } = require('../../controllers/marketplace/marketplaceContentController');
 
@@ -21,9 +23,13 @@ router.get('/banners', getMarketplaceBanners);
 router.get('/branches/nearby', getNearbyBranches);
 router.get('/branches/:id', getBranchById);
 router.get('/branches/:id/services', getBranchServices);
+router.get('/branches/:id/slots', getBranchSlots);
 router.get('/branches/:id/items', getBranchItems);
 router.get('/branches/:id/reviews', getBranchReviews);
 
+// Delivery zones (point-in-zone lookup for discovery and checkout)
+router.get('/zones/lookup', lookupServiceZone);
+
 // Tenant profile
 router.get('/tenants/:slug', getTenantBySlug);
 
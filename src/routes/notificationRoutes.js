@@ -4,6 +4,9 @@ const Notification = require('../models/Notification');
 const NotificationService = require('../services/notificationService');
 const sseService = require('../services/sseService');
 const { protect } = require('../middlewares/auth');
+const { NotificationPreferenceService } = require('../services/notifications/NotificationPreferenceService');
+
+const preferenceService = new NotificationPreferenceService();
 
 /**
  * @route GET /api/notifications/stream
@@ -75,6 +78,45 @@ router.get('/unread-count', protect, async (req, res) => {
   }
 });
 
+/**
+ * @route GET /api/notifications/preferences
+ * @desc Get the user's notification preferences and quiet hours
+ * @access Private
+ */
+router.get('/preferences', protect, async (req, res) => {
+  try {
+    const preferences = await preferenceService.getPreferences(req.user._id);
+    res.json({ success: true, data: preferenceService.toResponse(preferences) });
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({ success: false, message: 'Failed to get notification preferences' });
+  }
+});
+
+/**
+ * @route PUT /api/notifications/preferences
+ * @desc Update notification preferences (partial: channels, categories, quietHours, timezone)
+ * @access Private
+ */
+router.put('/preferences', protect, async (req, res) => {
+  try {
+    const errors = preferenceService.validateUpdates(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: 'Invalid notification preferences', errors });
+    }
+
+    const preferences = await preferenceService.updatePreferences(req.user._id, req.body);
+    res.json({
+      success: true,
+      message: 'Notification preferences updated',
+      data: preferenceService.toResponse(preferences)
+    });
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({ success: false, message: 'Failed to update notification preferences' });
+  }
+});
+
 /**
  * @route GET /api/notifications/poll
  * @desc Poll for new notifications (serverless-friendly)
@@ -86,7 +128,7 @@ router.get('/poll', protect, async (req, res) => {
     const userId = req.user._id;
 
     // Get notifications since timestamp
-    const query = { recipient: userId };
+    const query = { recipient: userId, 'channels.inApp.selected': { $ne: false } };
     if (since) {
       query.createdAt = { $gt: new Date(since) };
     }
@@ -98,7 +140,8 @@ router.get('/poll', protect, async (req, res) => {
 
     const unreadCount = await Notification.countDocuments({
       recipient: userId,
-      isRead: false
+      isRead: false,
+      'channels.inApp.selected': { $ne: false }
     });
 
     res.json({
@@ -164,6 +207,51 @@ router.delete('/all', protect, async (req, res) => {
   }
 });
 
+// Engine used to apply receipts when the Socket.IO server isn't running
+// (e.g. serverless deployments)
+let receiptEngine = null;
+const getReceiptEngine = () => {
+  const socketIOServer = require('../services/socketIOServer');
+  if (socketIOServer.isInitialized) {
+    return socketIOServer.getEngine();
+  }
+  if (!receiptEngine) {
+    const { SocketIONotificationEngine } = require('../services/notifications/SocketIONotificationEngine');
+    receiptEngine = new SocketIONotificationEngine();
+  }
+  return receiptEngine;
+};
+
+/**
+ * @route POST /api/notifications/receipts/:provider
+ * @desc SMS/WhatsApp delivery receipts (provider status callbacks)
+ * @access Public (verified by the provider's signature)
+ */
+router.post('/receipts/:provider', async (req, res) => {
+  try {
+    const engine = getReceiptEngine();
+    const provider = engine.messagingProviders.providers.get(req.params.provider);
+
+    if (!provider || typeof provider.parseReceipts !== 'function') {
+      return res.status(404).json({ success: false, message: 'Unknown receipt provider' });
+    }
+
+    let receipts;
+    try {
+      receipts = provider.parseReceipts(req);
+    } catch (error) {
+      console.warn(`Rejected ${req.params.provider} delivery receipt:`, error.message);
+      return res.status(403).json({ success: false, message: 'Invalid receipt' });
+    }
+
+    const result = await engine.applyDeliveryReceipts(provider.name, receipts);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error('Delivery receipt error:', error);
+    res.status(500).json({ success: false, message: 'Failed to process delivery receipt' });
+  }
+});
+
 /**
  * @route DELETE /api/notifications/:id
  * @desc Delete a notification
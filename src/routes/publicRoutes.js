@@ -8,6 +8,7 @@ const router = express.Router();
 const Order = require('../models/Order');
 const OrderItem = require('../models/OrderItem');
 const { sendSuccess, sendError, asyncHandler } = require('../utils/helpers');
+const businessCalendar = require('../services/businessCalendarService');
 
 // @desc    Track order by order number (public - for QR code scanning)
 // @route   GET /api/orders/track/:orderNumber
@@ -61,7 +62,7 @@ const trackOrder = asyncHandler(async (req, res) => {
       total: order.pricing?.total || 0
     },
     pickupDate: order.pickupDate,
-    estimatedDeliveryDate: order.estimatedDeliveryDate,
+    estimatedDeliveryDate: await businessCalendar.getOrderDeliveryEstimate(order),
     pickupAddress: order.pickupAddress ? {
       addressLine1: order.pickupAddress.addressLine1,
       city: order.pickupAddress.city,
@@ -0,0 +1,52 @@
+const express = require('express');
+const router = express.Router();
+const { param, body, validationResult } = require('express-validator');
+const {
+  getQuoteByToken,
+  approveQuoteByToken,
+  rejectQuoteByToken
+} = require('../controllers/quoteLinkController');
+
+// Validation middleware
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array().map(err => ({
+        field: err.path,
+        message: err.msg
+      }))
+    });
+  }
+  next();
+};
+
+// Validation rules
+const validateToken = [
+  param('token')
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Invalid quote link')
+];
+
+const validateReject = [
+  ...validateToken,
+  body('reason')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+];
+
+// GET /api/public/quotes/:token - Get revised quote details
+router.get('/:token', validateToken, handleValidation, getQuoteByToken);
+
+// POST /api/public/quotes/:token/approve - Approve the revised quote
+router.post('/:token/approve', validateToken, handleValidation, approveQuoteByToken);
+
+// POST /api/public/quotes/:token/reject - Reject the revised quote
+router.post('/:token/reject', validateReject, handleValidation, rejectQuoteByToken);
+
+module.exports = router;
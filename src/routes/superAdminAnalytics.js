@@ -160,6 +160,43 @@ const getAnalyticsValidation = [
     .withMessage('Sort order must be asc or desc')
 ]
 
+const scheduleValidation = [
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean'),
+  body('frequency')
+    .if(body('isActive').not().equals('false'))
+    .isIn(['daily', 'weekly', 'monthly', 'quarterly'])
+    .withMessage('Frequency must be daily, weekly, monthly or quarterly'),
+  body('dayOfWeek')
+    .optional()
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Day of week must be 0-6'),
+  body('dayOfMonth')
+    .optional()
+    .isInt({ min: 1, max: 31 })
+    .withMessage('Day of month must be 1-31'),
+  body('time')
+    .optional()
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage('Time must be in HH:MM format'),
+  body('timezone')
+    .optional()
+    .custom(value => {
+      new Intl.DateTimeFormat('en-US', { timeZone: value })
+      return true
+    })
+    .withMessage('Invalid timezone'),
+  body('recipients')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Recipients must be an array of up to 20 emails'),
+  body('recipients.*')
+    .isEmail()
+    .withMessage('Each recipient must be a valid email')
+]
+
 // Routes
 
 // GET /api/superadmin/analytics/overview - Get analytics dashboard overview
@@ -209,4 +246,13 @@ router.get('/:analyticsId',
   superAdminAnalyticsController.getAnalyticsById
 )
 
+// PUT /api/superadmin/analytics/:analyticsId/schedule - Schedule recurring analysis
+router.put('/:analyticsId/schedule',
+  param('analyticsId')
+    .isMongoId()
+    .withMessage('Invalid analytics ID'),
+  scheduleValidation,
+  superAdminAnalyticsController.updateAnalyticsSchedule
+)
+
 module.exports = router
\ No newline at end of file
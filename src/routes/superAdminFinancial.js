@@ -46,9 +46,82 @@ const validateSettlementCreation = [
     .withMessage('Valid payment method is required')
 ]
 
+const validateSettlementGeneration = [
+  body('periodStart')
+    .isISO8601()
+    .withMessage('Valid period start date is required'),
+  body('periodEnd')
+    .isISO8601()
+    .withMessage('Valid period end date is required'),
+  body('types')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Types must be a non-empty array'),
+  body('types.*')
+    .isIn(['branch', 'partner', 'driver'])
+    .withMessage('Settlement types must be branch, partner or driver')
+]
+
+const validatePayoutResults = [
+  body('results')
+    .isArray({ min: 1 })
+    .withMessage('Results are required'),
+  body('results.*.settlementId')
+    .notEmpty()
+    .withMessage('Settlement ID is required for each result'),
+  body('results.*.status')
+    .isIn(['completed', 'failed'])
+    .withMessage('Result status must be completed or failed'),
+  body('results.*.paymentReference')
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage('Payment reference must not exceed 100 characters'),
+  body('results.*.failureReason')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Failure reason must not exceed 500 characters')
+]
+
+const validateSchedule = [
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean'),
+  body('frequency')
+    .if(body('isActive').not().equals('false'))
+    .isIn(['daily', 'weekly', 'monthly', 'quarterly'])
+    .withMessage('Frequency must be daily, weekly, monthly or quarterly'),
+  body('dayOfWeek')
+    .optional()
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Day of week must be 0-6'),
+  body('dayOfMonth')
+    .optional()
+    .isInt({ min: 1, max: 31 })
+    .withMessage('Day of month must be 1-31'),
+  body('time')
+    .optional()
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage('Time must be in HH:MM format'),
+  body('timezone')
+    .optional()
+    .custom(value => {
+      new Intl.DateTimeFormat('en-US', { timeZone: value })
+      return true
+    })
+    .withMessage('Invalid timezone'),
+  body('recipients')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Recipients must be an array of up to 20 emails'),
+  body('recipients.*')
+    .isEmail()
+    .withMessage('Each recipient must be a valid email')
+]
+
 const validateReportGeneration = [
   body('type')
-    .isIn(['revenue_report', 'expense_report', 'profit_loss', 'cash_flow', 'settlement_report'])
+    .isIn(['revenue_report', 'expense_report', 'profit_loss', 'cash_flow', 'settlement_report', 'tax_report', 'commission_report', 'reconciliation_report', 'branch_performance'])
     .withMessage('Valid report type is required'),
   body('startDate')
     .isISO8601()
@@ -155,6 +228,57 @@ router.post('/settlements',
   superAdminFinancialController.createSettlement
 )
 
+router.post('/settlements/generate',
+  validateSettlementGeneration,
+  logAdminAction('generate_settlements', 'financial'),
+  superAdminFinancialController.generateSettlements
+)
+
+// Payout batches (bank files) - must be before /settlements/:settlementId
+router.get('/settlements/payout-batches',
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('status')
+    .optional()
+    .isIn(['generated', 'completed', 'partially_failed', 'failed'])
+    .withMessage('Invalid payout batch status'),
+  logAdminAction('view_payout_batches', 'financial'),
+  superAdminFinancialController.getPayoutBatches
+)
+
+router.post('/settlements/payout-batches',
+  body('format')
+    .optional()
+    .isIn(['csv', 'nacha'])
+    .withMessage('Format must be csv or nacha'),
+  body('settlementIds')
+    .optional()
+    .isArray()
+    .withMessage('settlementIds must be an array'),
+  body('settlementIds.*')
+    .isMongoId()
+    .withMessage('Invalid settlement ID'),
+  logAdminAction('create_payout_batch', 'financial'),
+  superAdminFinancialController.createPayoutBatch
+)
+
+router.get('/settlements/payout-batches/:batchId/file',
+  logAdminAction('download_payout_file', 'financial'),
+  superAdminFinancialController.downloadPayoutFile
+)
+
+router.post('/settlements/payout-batches/:batchId/results',
+  validatePayoutResults,
+  logAdminAction('apply_payout_results', 'financial'),
+  superAdminFinancialController.applyPayoutResults
+)
+
 router.post('/settlements/:settlementId/approve',
   param('settlementId').isMongoId().withMessage('Valid settlement ID is required'),
   body('comments')
@@ -185,7 +309,7 @@ router.get('/reports',
     .withMessage('Limit must be between 1 and 100'),
   query('type')
     .optional()
-    .isIn(['revenue_report', 'expense_report', 'profit_loss', 'cash_flow', 'settlement_report'])
+    .isIn(['revenue_report', 'expense_report', 'profit_loss', 'cash_flow', 'settlement_report', 'tax_report', 'commission_report', 'reconciliation_report', 'branch_performance'])
     .withMessage('Invalid report type'),
   query('status')
     .optional()
@@ -207,4 +331,27 @@ router.get('/reports/:reportId',
   superAdminFinancialController.getReport
 )
 
+router.get('/reports/:reportId/export',
+  param('reportId').isMongoId().withMessage('Valid report ID is required'),
+  query('format').optional().isIn(['csv', 'excel', 'pdf']).withMessage('Format must be csv, excel or pdf'),
+  query('tenancyId').optional().isMongoId().withMessage('Invalid tenancy ID'),
+  logAdminAction('export_financial_report', 'financial'),
+  superAdminFinancialController.exportReport
+)
+
+router.put('/reports/:reportId/schedule',
+  param('reportId').isMongoId().withMessage('Valid report ID is required'),
+  validateSchedule,
+  logAdminAction('schedule_financial_report', 'financial'),
+  superAdminFinancialController.updateReportSchedule
+)
+
+// Customer wallet ledger reconciliation (fix=true resets drifted balances to the ledger)
+router.get('/wallets/reconciliation',
+  query('userId').optional().isMongoId().withMessage('Invalid user ID'),
+  query('fix').optional().isIn(['true', 'false']).withMessage('fix must be true or false'),
+  logAdminAction('reconcile_customer_wallets', 'financial'),
+  superAdminFinancialController.getWalletReconciliation
+)
+
 module.exports = router
@@ -1,5 +1,30 @@
 const AutomationRule = require('../models/AutomationRule');
+const AutomationExecution = require('../models/AutomationExecution');
+const webhookService = require('./webhookService');
 const EventEmitter = require('events');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { ORDER_ACTORS } = require('../config/constants');
+
+// Status moves automation may make on support entities (from -> to)
+const TENANT_TICKET_TRANSITIONS = {
+  new: ['acknowledged', 'in_progress', 'escalated', 'closed'],
+  acknowledged: ['in_progress', 'waiting_for_tenant', 'escalated', 'resolved'],
+  in_progress: ['waiting_for_tenant', 'escalated', 'resolved'],
+  waiting_for_tenant: ['in_progress', 'escalated', 'resolved', 'closed'],
+  escalated: ['in_progress', 'resolved'],
+  resolved: ['closed', 'in_progress'],
+  closed: []
+};
+
+const COMPLAINT_TRANSITIONS = {
+  open: ['in_progress', 'escalated', 'resolved', 'closed'],
+  in_progress: ['escalated', 'resolved'],
+  escalated: ['in_progress', 'resolved'],
+  resolved: ['closed', 'reopened'],
+  closed: ['reopened'],
+  reopened: ['in_progress', 'escalated', 'resolved']
+};
 
 class AutomationEngine extends EventEmitter {
   constructor() {
@@ -184,7 +209,7 @@ class AutomationEngine extends EventEmitter {
 
   // Execute a single automation rule
   async executeRule(rule, eventData, context) {
-    const executionId = `${rule.ruleId}-${Date.now()}`;
+    const executionId = `exec_${crypto.randomUUID()}`;
 
     try {
       console.log(`🚀 Executing automation rule: ${rule.name} (${executionId})`);
@@ -194,9 +219,19 @@ class AutomationEngine extends EventEmitter {
       rule.lastExecuted = new Date();
       await rule.save();
 
-      // Execute each action in the rule
+      // Execute each action in the rule. Webhooks still retrying in the
+      // background are not waited for.
+      const retryingDeliveries = [];
       for (const action of rule.actions) {
-        await this.executeAction(action, eventData, context, rule);
+        const retrying = await this.executeAction(action, eventData, context, rule, executionId);
+        if (retrying) retryingDeliveries.push(retrying);
+      }
+
+      if (retryingDeliveries.length > 0) {
+        await this.logExecution(rule, eventData, context, 'PENDING', executionId);
+        this.settleExecution(rule, executionId, retryingDeliveries);
+        console.log(`⏳ Rule executed, webhook retries pending: ${rule.name}`);
+        return;
       }
 
       // Log successful execution
@@ -210,8 +245,29 @@ class AutomationEngine extends EventEmitter {
     }
   }
 
-  // Execute a single action
-  async executeAction(action, eventData, context, rule) {
+  // Finish a PENDING execution once its webhook retries are done: FAILED if
+  // any delivery failed, else SUCCESS
+  async settleExecution(rule, executionId, retryingDeliveries) {
+    try {
+      const deliveries = await Promise.all(retryingDeliveries);
+      const failed = deliveries.filter(delivery => delivery.status !== 'success');
+      const update = failed.length > 0
+        ? {
+          status: 'FAILED',
+          error: failed.map(delivery => `Webhook delivery ${delivery.deliveryId} failed: ${delivery.lastError}`).join('; ')
+        }
+        : { status: 'SUCCESS' };
+
+      await AutomationExecution.updateOne({ executionId, status: 'PENDING' }, { $set: update });
+      console.log(`📊 Execution settled: ${rule.name} - ${update.status}`);
+    } catch (error) {
+      console.error(`❌ Failed to settle automation execution ${executionId}:`, error.message);
+    }
+  }
+
+  // Execute a single action. Returns a promise for a webhook delivery that is
+  // still retrying, if any.
+  async executeAction(action, eventData, context, rule, executionId) {
     const { type, config, delay = 0 } = action;
 
     // Apply delay if specified
@@ -219,7 +275,7 @@ class AutomationEngine extends EventEmitter {
       await new Promise(resolve => setTimeout(resolve, delay));
     }
 
-    switch (type) {
+    switch (String(type).toUpperCase()) {
       case 'SEND_NOTIFICATION':
         await this.sendNotification(config, eventData, context, rule);
         break;
@@ -229,11 +285,11 @@ class AutomationEngine extends EventEmitter {
         break;
 
       case 'TRIGGER_WEBHOOK':
-        await this.triggerWebhook(config, eventData, context, rule);
-        break;
+      case 'WEBHOOK':
+        return this.triggerWebhook(config, eventData, context, rule, executionId);
 
       case 'CREATE_TASK':
-        await this.createTask(config, eventData, context, rule);
+        await this.createTask(config, eventData, context, rule, executionId);
         break;
 
       case 'SEND_EMAIL':
@@ -335,19 +391,162 @@ class AutomationEngine extends EventEmitter {
     }
   }
 
+  // Transition an Order, TenantTicket or Complaint. Illegal transitions throw,
+  // so the execution is logged as FAILED.
   async updateStatus(config, eventData, context, rule) {
-    // Implementation for status updates
-    console.log(`🔄 Status update: ${config.entity} -> ${config.status}`);
+    const entity = (config.entity || 'order').toLowerCase();
+    const status = this.interpolateString(config.status, eventData, context);
+    const notes = this.interpolateString(config.notes, eventData, context) ||
+      `Status updated by automation rule: ${rule.name}`;
+
+    if (!status) {
+      throw new Error('UPDATE_STATUS action requires a status');
+    }
+
+    const entityId = this.resolveEntityId(entity, config, eventData, context);
+    if (!entityId || !mongoose.Types.ObjectId.isValid(entityId)) {
+      throw new Error(`UPDATE_STATUS could not resolve a valid ${entity} id`);
+    }
+
+    switch (entity) {
+      case 'order': {
+        const Order = require('../models/Order');
+        const OrderService = require('./orderService');
+
+        const order = await Order.findById(entityId);
+        if (!order) throw new Error(`Order not found: ${entityId}`);
+        this.assertTenantScope(rule, order.tenancy);
+
+        // The state machine rejects illegal moves and runs the side effects
+        // (notifications, refunds, loyalty) for the new status
+        await OrderService.transitionOrder(order, status, {
+          updatedBy: rule.createdBy,
+          role: ORDER_ACTORS.SYSTEM,
+          notes,
+          reason: notes
+        });
+        break;
+      }
+
+      case 'ticket':
+      case 'tenant_ticket': {
+        const TenantTicket = require('../models/TenantTicket');
+
+        const ticket = await TenantTicket.findById(entityId);
+        if (!ticket) throw new Error(`Ticket not found: ${entityId}`);
+        this.assertTenantScope(rule, ticket.tenantId);
+
+        if (!(TENANT_TICKET_TRANSITIONS[ticket.status] || []).includes(status)) {
+          throw new Error(`Cannot change ticket status from ${ticket.status} to ${status}`);
+        }
+
+        ticket.status = status;
+        ticket.statusHistory.push({
+          status,
+          changedBy: rule.createdBy,
+          changedByModel: 'User',
+          changedAt: new Date(),
+          reason: notes
+        });
+        await ticket.save();
+        break;
+      }
+
+      case 'complaint': {
+        const Complaint = require('../models/Complaint');
+        const Branch = require('../models/Branch');
+
+        const complaint = await Complaint.findById(entityId);
+        if (!complaint) throw new Error(`Complaint not found: ${entityId}`);
+        if (rule.scope === 'TENANT') {
+          const branch = complaint.branchId ? await Branch.findById(complaint.branchId).select('tenancy') : null;
+          this.assertTenantScope(rule, branch?.tenancy);
+        }
+
+        if (!(COMPLAINT_TRANSITIONS[complaint.status] || []).includes(status)) {
+          throw new Error(`Cannot change complaint status from ${complaint.status} to ${status}`);
+        }
+
+        const previousStatus = complaint.status;
+        complaint.status = status;
+        await complaint.addAction({
+          actionType: 'status_change',
+          performedBy: rule.createdBy,
+          performedByModel: 'User',
+          description: notes,
+          previousValue: previousStatus,
+          newValue: status,
+          isInternal: true
+        });
+        break;
+      }
+
+      default:
+        throw new Error(`Unsupported UPDATE_STATUS entity: ${config.entity}`);
+    }
+
+    console.log(`🔄 Status update: ${entity} ${entityId} -> ${status}`);
   }
 
-  async triggerWebhook(config, eventData, context, rule) {
-    // Implementation for webhook triggers
-    console.log(`🔗 Webhook triggered: ${config.url}`);
+  // A failed delivery fails the execution. One that is retrying is returned
+  // (as the promise of its outcome) for executeRule to settle later.
+  async triggerWebhook(config, eventData, context, rule, executionId) {
+    const { delivery, settled } = await webhookService.deliver({
+      rule,
+      config: {
+        ...config,
+        url: this.interpolateString(config.url, eventData, context)
+      },
+      data: eventData,
+      context,
+      executionId
+    });
+
+    console.log(`🔗 Webhook ${delivery.status}: ${delivery.url} (${delivery.deliveryId})`);
+    if (delivery.status === 'failed') {
+      throw new Error(`Webhook delivery ${delivery.deliveryId} failed: ${delivery.lastError}`);
+    }
+    return delivery.status === 'pending' ? settled : null;
   }
 
-  async createTask(config, eventData, context, rule) {
-    // Implementation for task creation
-    console.log(`📝 Task created: ${config.title}`);
+  async createTask(config, eventData, context, rule, executionId) {
+    const Task = require('../models/Task');
+
+    const title = this.interpolateString(config.title, eventData, context);
+    if (!title) {
+      throw new Error('CREATE_TASK action requires a title');
+    }
+
+    // assignee is either a user id or a team/role queue name
+    const assignee = this.interpolateString(config.assignee, eventData, context);
+    const assignToUser = assignee && mongoose.Types.ObjectId.isValid(assignee);
+
+    const entity = config.entity ? config.entity.toLowerCase() : null;
+    const entityId = entity ? this.resolveEntityId(entity, config, eventData, context) : null;
+
+    const task = await Task.create({
+      tenancy: rule.tenantId || context.tenantId || eventData.tenantId,
+      title,
+      description: this.interpolateString(config.description, eventData, context),
+      priority: ['low', 'medium', 'high', 'critical'].includes(config.priority) ? config.priority : 'medium',
+      assignedTo: assignToUser ? assignee : undefined,
+      assignedToModel: assignToUser ? (config.assigneeModel || 'User') : undefined,
+      assignedTeam: assignToUser ? undefined : assignee || undefined,
+      assignedAt: assignee ? new Date() : undefined,
+      dueAt: config.dueInHours ? new Date(Date.now() + config.dueInHours * 60 * 60 * 1000) : undefined,
+      relatedEntity: entityId && mongoose.Types.ObjectId.isValid(entityId)
+        ? { entityType: entity === 'ticket' ? 'tenant_ticket' : entity, entityId }
+        : undefined,
+      source: {
+        type: 'automation',
+        ruleId: rule.ruleId,
+        executionId
+      },
+      createdBy: rule.createdBy
+    });
+
+    console.log(`📝 Task created: ${task.title} (${task.taskNumber})`);
+    return task;
   }
 
   async sendEmail(config, eventData, context, rule) {
@@ -393,6 +592,38 @@ class AutomationEngine extends EventEmitter {
     }
   }
 
+  // Find the target document id for UPDATE_STATUS / CREATE_TASK actions
+  resolveEntityId(entity, config, eventData, context) {
+    if (config.entityId) {
+      return this.interpolateString(config.entityId, eventData, context);
+    }
+
+    const idKeys = {
+      order: ['orderId', 'order._id'],
+      ticket: ['ticketId', 'ticket._id'],
+      tenant_ticket: ['ticketId', 'ticket._id'],
+      complaint: ['complaintId', 'complaint._id'],
+      customer: ['customerId', 'userId'],
+      tenancy: ['tenantId', 'tenancyId']
+    }[entity] || [];
+
+    for (const key of idKeys) {
+      const value = this.getNestedValue(eventData, key) || this.getNestedValue(context, key);
+      if (value) return value.toString();
+    }
+
+    return eventData._id ? eventData._id.toString() : null;
+  }
+
+  // Tenant rules may only touch documents of their own tenancy
+  assertTenantScope(rule, documentTenancy) {
+    if (rule.scope !== 'TENANT') return;
+
+    if (!documentTenancy || documentTenancy.toString() !== rule.tenantId.toString()) {
+      throw new Error('Automation rule cannot modify documents outside its tenancy');
+    }
+  }
+
   getNestedValue(obj, path) {
     return path.split('.').reduce((current, key) => current && current[key], obj);
   }
@@ -423,19 +654,26 @@ class AutomationEngine extends EventEmitter {
   }
 
   async logExecution(rule, eventData, context, status, executionId, error = null) {
-    // Log to database or monitoring system
-    const logEntry = {
-      ruleId: rule.ruleId,
-      ruleName: rule.name,
-      executionId,
-      status,
-      eventData: JSON.stringify(eventData),
-      context: JSON.stringify(context),
-      error,
-      executedAt: new Date()
-    };
-
-    console.log(`📊 Execution logged: ${rule.name} - ${status}`);
+    try {
+      await AutomationExecution.create({
+        executionId,
+        ruleId: rule.ruleId,
+        ruleName: rule.name,
+        scope: rule.scope,
+        tenantId: rule.tenantId || context.tenantId,
+        eventType: rule.trigger.eventType,
+        status,
+        eventData,
+        context,
+        error,
+        isTest: !!context.isTest,
+        executedAt: new Date()
+      });
+
+      console.log(`📊 Execution logged: ${rule.name} - ${status}`);
+    } catch (logError) {
+      console.error('❌ Failed to log automation execution:', logError.message);
+    }
   }
 
   updateStats(success, executionTime) {
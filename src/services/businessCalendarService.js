@@ -0,0 +1,303 @@
+const mongoose = require('mongoose');
+const Branch = require('../models/Branch');
+const Tenancy = require('../models/Tenancy');
+const Order = require('../models/Order');
+const OrderItem = require('../models/OrderItem');
+const Service = require('../models/Service');
+const BranchService = require('../models/BranchService');
+const { ORDER_STATUS } = require('../config/constants');
+
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+// Used when an order's services have no turnaroundTime configured
+const DEFAULT_TURNAROUND_HOURS = { standard: 48, express: 24 };
+// Stop looking for a working day after this many closed days in a row
+const MAX_CLOSED_DAYS = 60;
+const BRANCH_CALENDAR_FIELDS = 'tenancy operatingHours holidays';
+const OPEN_ORDER_EXCLUDED = [ORDER_STATUS.DELIVERED, ORDER_STATUS.CANCELLED];
+
+const isValidTimezone = (timeZone) => {
+  if (!timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Branch business calendar. Working days come from the branch's
+ * operatingHours.workingDays, or the tenancy's businessHours when the branch
+ * has none set. Branch holidays (one-off or recurring every year) close the
+ * branch for the day. Dates are YYYY-MM-DD keys in the tenancy's timezone.
+ */
+class BusinessCalendarService {
+  /**
+   * Local YYYY-MM-DD for a date. Plain date strings are taken as-is.
+   */
+  toDateKey(date, timeZone = DEFAULT_TIMEZONE) {
+    if (typeof date === 'string' && DATE_KEY_PATTERN.test(date)) return date;
+    const parsed = new Date(date);
+    if (Number.isNaN(parsed.getTime())) return null;
+    return new Intl.DateTimeFormat('en-CA', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit'
+    }).format(parsed);
+  }
+
+  addDays(dateKey, days) {
+    const date = new Date(`${dateKey}T00:00:00.000Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+  }
+
+  getWeekday(dateKey) {
+    return DAY_NAMES[new Date(`${dateKey}T00:00:00.000Z`).getUTCDay()];
+  }
+
+  /**
+   * The instant a local date and HH:mm time in a timezone stand for
+   */
+  toZonedDate(dateKey, time, timeZone = DEFAULT_TIMEZONE) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const [hours, minutes] = (TIME_PATTERN.test(time) ? time : '18:00').split(':').map(Number);
+    const asUtc = Date.UTC(year, month - 1, day, hours, minutes);
+
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(new Date(asUtc));
+    const get = (type) => Number(parts.find(p => p.type === type).value);
+    const offset = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute')) - asUtc;
+
+    return new Date(asUtc - offset);
+  }
+
+  /**
+   * Timezone and business hours of a tenancy
+   */
+  async getTenancyCalendar(tenancyId) {
+    const tenancy = tenancyId
+      ? await Tenancy.findById(tenancyId).select('settings.timezone businessHours').lean()
+      : null;
+    const timeZone = tenancy?.settings?.timezone;
+    return {
+      timezone: isValidTimezone(timeZone) ? timeZone : DEFAULT_TIMEZONE,
+      businessHours: tenancy?.businessHours || null
+    };
+  }
+
+  /**
+   * Everything needed to walk a branch's calendar
+   */
+  async getCalendar(branchOrId) {
+    const branch = branchOrId?.operatingHours
+      ? branchOrId
+      : (mongoose.isValidObjectId(branchOrId?._id || branchOrId)
+        ? await Branch.findById(branchOrId?._id || branchOrId).select(BRANCH_CALENDAR_FIELDS).lean()
+        : null);
+    if (!branch) return null;
+
+    const { timezone, businessHours } = await this.getTenancyCalendar(branch.tenancy);
+    return { branch, timezone, businessHours };
+  }
+
+  /**
+   * The holiday that falls on a date, if any
+   */
+  getHoliday(branch, dateKey) {
+    return (branch?.holidays || []).find(h => {
+      if (!h.date) return false;
+      const holidayKey = new Date(h.date).toISOString().slice(0, 10);
+      return h.isRecurring ? holidayKey.slice(5) === dateKey.slice(5) : holidayKey === dateKey;
+    }) || null;
+  }
+
+  /**
+   * Why a branch doesn't work on a date, or null on working days
+   */
+  getNonWorkingReason(branch, dateKey, businessHours = null) {
+    const weekday = this.getWeekday(dateKey);
+    const workingDays = branch?.operatingHours?.workingDays;
+    if (workingDays?.length) {
+      if (!workingDays.includes(weekday)) return 'Branch is closed on this day';
+    } else if (businessHours?.[weekday]) {
+      if (businessHours[weekday].isOpen === false) return 'Branch is closed on this day';
+    } else if (weekday === 'sunday') {
+      return 'Branch is closed on this day';
+    }
+
+    const holiday = this.getHoliday(branch, dateKey);
+    if (holiday) {
+      return holiday.reason ? `Holiday: ${holiday.reason}` : 'Branch holiday';
+    }
+
+    return null;
+  }
+
+  isWorkingDay(calendar, dateKey) {
+    return !this.getNonWorkingReason(calendar.branch, dateKey, calendar.businessHours);
+  }
+
+  /**
+   * The working day `days` working days after dateKey (0 = dateKey itself
+   * when it is a working day, else the next one)
+   */
+  addWorkingDays(calendar, dateKey, days) {
+    let current = dateKey;
+    let remaining = days;
+    let closedInARow = 0;
+
+    if (remaining === 0 && this.isWorkingDay(calendar, current)) return current;
+
+    while (closedInARow < MAX_CLOSED_DAYS) {
+      current = this.addDays(current, 1);
+      if (!this.isWorkingDay(calendar, current)) {
+        closedInARow++;
+        continue;
+      }
+      closedInARow = 0;
+      if (remaining <= 1) return current;
+      remaining--;
+    }
+
+    // A calendar with no working days at all: fall back to plain calendar days
+    return this.addDays(dateKey, Math.max(days, 1));
+  }
+
+  /**
+   * Longest turnaround (in hours) among an order's services at a branch.
+   * BranchService.turnaroundTimeOverride replaces the standard time and caps
+   * the express time.
+   */
+  async getTurnaroundHours(branchId, serviceCodes = [], isExpress = false) {
+    const codes = [...new Set(serviceCodes.filter(Boolean).map(code => String(code).toLowerCase()))];
+    const fallback = isExpress ? DEFAULT_TURNAROUND_HOURS.express : DEFAULT_TURNAROUND_HOURS.standard;
+    if (codes.length === 0) return fallback;
+
+    const services = await Service.find({ code: { $in: codes } }).select('code turnaroundTime').lean();
+    if (services.length === 0) return fallback;
+
+    const overrides = branchId
+      ? await BranchService.find({
+        branch: branchId,
+        service: { $in: services.map(s => s._id) },
+        'turnaroundTimeOverride.hours': { $exists: true }
+      }).select('service turnaroundTimeOverride').lean()
+      : [];
+    const overrideByService = new Map(overrides.map(o => [
+      o.service.toString(),
+      o.turnaroundTimeOverride.hours + (o.turnaroundTimeOverride.minutes || 0) / 60
+    ]));
+
+    return Math.max(...services.map(service => {
+      const standard = service.turnaroundTime?.standard || DEFAULT_TURNAROUND_HOURS.standard;
+      const express = service.turnaroundTime?.express || DEFAULT_TURNAROUND_HOURS.express;
+      const override = overrideByService.get(service._id.toString());
+      if (isExpress) return override ? Math.min(override, express) : express;
+      return override || standard;
+    }));
+  }
+
+  /**
+   * Estimated delivery date for an order: the turnaround counted in working
+   * days from the pickup date (24h = 1 working day, rounded up), at the
+   * branch's closing time.
+   * @param {{ branch: object|string, pickupDate: Date|string, isExpress?: boolean, services?: string[], calendar?: object }} options
+   * @returns {Promise<Date|null>}
+   */
+  async estimateDeliveryDate({ branch, pickupDate, isExpress = false, services = [], calendar = null }) {
+    const cal = calendar || await this.getCalendar(branch);
+    if (!cal) return null;
+
+    const pickupKey = this.toDateKey(pickupDate, cal.timezone);
+    if (!pickupKey) return null;
+
+    const hours = await this.getTurnaroundHours(cal.branch._id, services, isExpress);
+    const workingDays = Math.max(1, Math.ceil(hours / 24));
+    const deliveryKey = this.addWorkingDays(cal, pickupKey, workingDays);
+
+    return this.toZonedDate(deliveryKey, cal.branch.operatingHours?.closeTime || '18:00', cal.timezone);
+  }
+
+  /**
+   * Delivery date to show for an order. Orders saved without one get an
+   * estimate from the calendar.
+   */
+  async getOrderDeliveryEstimate(order) {
+    if (order.estimatedDeliveryDate || order.actualDeliveryDate) return order.estimatedDeliveryDate || null;
+    if (!order.branch || !order.pickupDate || OPEN_ORDER_EXCLUDED.includes(order.status)) return null;
+
+    const services = await OrderItem.find({ order: order._id }).distinct('service');
+    return this.estimateDeliveryDate({
+      branch: order.branch._id || order.branch,
+      pickupDate: order.pickupDate,
+      isExpress: order.isExpress,
+      services
+    });
+  }
+
+  /**
+   * Recompute estimatedDeliveryDate for a branch's open orders, e.g. after a
+   * holiday or the working days changed.
+   * @returns {Promise<{ checked: number, updated: Array<{ orderId, orderNumber, previous, estimatedDeliveryDate }> }>}
+   */
+  async recomputeOpenOrders(branchId) {
+    const calendar = await this.getCalendar(branchId);
+    if (!calendar) return { checked: 0, updated: [] };
+
+    const orders = await Order.find({
+      branch: calendar.branch._id,
+      status: { $nin: OPEN_ORDER_EXCLUDED },
+      actualDeliveryDate: { $exists: false },
+      pickupDate: { $exists: true }
+    }).select('orderNumber pickupDate isExpress estimatedDeliveryDate').lean();
+    if (orders.length === 0) return { checked: 0, updated: [] };
+
+    const items = await OrderItem.find({ order: { $in: orders.map(o => o._id) } })
+      .select('order service')
+      .lean();
+    const servicesByOrder = new Map();
+    for (const item of items) {
+      const key = item.order.toString();
+      if (!servicesByOrder.has(key)) servicesByOrder.set(key, []);
+      servicesByOrder.get(key).push(item.service);
+    }
+
+    const updated = [];
+    for (const order of orders) {
+      const estimatedDeliveryDate = await this.estimateDeliveryDate({
+        calendar,
+        pickupDate: order.pickupDate,
+        isExpress: order.isExpress,
+        services: servicesByOrder.get(order._id.toString()) || []
+      });
+      if (!estimatedDeliveryDate) continue;
+      if (order.estimatedDeliveryDate && order.estimatedDeliveryDate.getTime() === estimatedDeliveryDate.getTime()) {
+        continue;
+      }
+
+      await Order.updateOne({ _id: order._id }, { $set: { estimatedDeliveryDate } });
+      updated.push({
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        previous: order.estimatedDeliveryDate || null,
+        estimatedDeliveryDate
+      });
+    }
+
+    return { checked: orders.length, updated };
+  }
+}
+
+module.exports = new BusinessCalendarService();
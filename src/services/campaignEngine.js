@@ -1,6 +1,8 @@
 const Campaign = require('../models/Campaign');
 const User = require('../models/User');
 const Order = require('../models/Order');
+const CampaignUsage = require('../models/CampaignUsage');
+const CampaignUsageCounter = require('../models/CampaignUsageCounter');
 
 class CampaignEngine {
   /**
@@ -81,11 +83,18 @@ class CampaignEngine {
       return false;
     }
     
+    return !(await this.hasReachedUsageLimit(campaign, user._id));
+  }
+  
+  /**
+   * Check per-user and daily usage limits against the CampaignUsage ledger
+   */
+  static async hasReachedUsageLimit(campaign, userId) {
     // Check per-user usage limits
     if (campaign.limits.perUserLimit > 0) {
-      const userUsageCount = await this.getUserCampaignUsage(campaign._id, user._id);
+      const userUsageCount = await this.getUserCampaignUsage(campaign._id, userId);
       if (userUsageCount >= campaign.limits.perUserLimit) {
-        return false;
+        return true;
       }
     }
     
@@ -93,11 +102,92 @@ class CampaignEngine {
     if (campaign.limits.dailyLimit > 0) {
       const todayUsage = await this.getCampaignDailyUsage(campaign._id);
       if (todayUsage >= campaign.limits.dailyLimit) {
-        return false;
+        return true;
+      }
+    }
+    
+    return false;
+  }
+  
+  /**
+   * Take one redemption from the campaign's per-user and daily limits. The
+   * counters are updated atomically, so concurrent checkouts can't exceed
+   * the limits. Give it back with releaseUsage if the order isn't created.
+   * @returns {Promise<Object|null>} The reservation, or null when a limit is reached
+   */
+  static async reserveUsage(campaign, userId) {
+    const counters = [];
+    if (campaign.limits.perUserLimit > 0) {
+      counters.push({
+        scope: 'user',
+        key: userId.toString(),
+        limit: campaign.limits.perUserLimit,
+        seed: () => this.getUserCampaignUsage(campaign._id, userId)
+      });
+    }
+    if (campaign.limits.dailyLimit > 0) {
+      counters.push({
+        scope: 'day',
+        key: this.dayKey(),
+        limit: campaign.limits.dailyLimit,
+        seed: () => this.getCampaignDailyUsage(campaign._id)
+      });
+    }
+    
+    const reservation = { campaign: campaign._id, counters: [] };
+    for (const counter of counters) {
+      if (!(await this.incrementCounter(campaign._id, counter))) {
+        await this.releaseUsage(reservation);
+        return null;
       }
+      reservation.counters.push({ scope: counter.scope, key: counter.key });
+    }
+    return reservation;
+  }
+  
+  /**
+   * Give back a reservation from reserveUsage
+   */
+  static async releaseUsage(reservation) {
+    if (!reservation) return;
+    
+    for (const { scope, key } of reservation.counters) {
+      await CampaignUsageCounter.updateOne(
+        { campaign: reservation.campaign, scope, key, count: { $gt: 0 } },
+        { $inc: { count: -1 } }
+      );
     }
+  }
+  
+  static async incrementCounter(campaignId, { scope, key, limit, seed }) {
+    const filter = { campaign: campaignId, scope, key };
+    const take = () => CampaignUsageCounter.findOneAndUpdate(
+      { ...filter, count: { $lt: limit } },
+      { $inc: { count: 1 } },
+      { new: true }
+    );
+    
+    if (await take()) return true;
+    if (await CampaignUsageCounter.exists(filter)) return false;
     
-    return true;
+    // First redemption under this counter: start it from the usage ledger
+    try {
+      await CampaignUsageCounter.create({ ...filter, count: await seed() });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      // Another checkout created it first
+    }
+    return !!(await take());
+  }
+  
+  /**
+   * Key of the daily limit counter: the server-local date, the same day
+   * getCampaignDailyUsage counts
+   */
+  static dayKey(date = new Date()) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
   }
   
   /**
@@ -142,6 +232,15 @@ class CampaignEngine {
         };
       }
       
+      // Take the redemption now - another checkout may have used the campaign since evaluation
+      const reservation = await this.reserveUsage(campaign, userId);
+      if (!reservation) {
+        return {
+          success: false,
+          message: 'Campaign usage limit reached'
+        };
+      }
+      
       let totalDiscount = 0;
       const appliedPromotions = [];
       
@@ -159,14 +258,22 @@ class CampaignEngine {
         }
       }
       
+      // Log campaign usage for user
+      const usage = await this.logCampaignUsage(campaignId, userId, totalDiscount, {
+        tenancy: orderData.tenancy || campaign.tenancy,
+        orderId: orderData.orderId,
+        orderTotal: orderData.total
+      }).catch(async (error) => {
+        await this.releaseUsage(reservation);
+        throw error;
+      });
+      
       // Update campaign analytics and budget
       await this.updateCampaignUsage(campaign, totalDiscount, orderData.total);
       
-      // Log campaign usage for user
-      await this.logCampaignUsage(campaignId, userId, totalDiscount);
-      
       return {
         success: true,
+        usageId: usage._id,
         totalDiscount,
         appliedPromotions,
         campaignName: campaign.name,
@@ -315,21 +422,63 @@ class CampaignEngine {
   }
   
   /**
-   * Log campaign usage for a specific user
+   * Record campaign usage for a specific user in the CampaignUsage ledger
    */
-  static async logCampaignUsage(campaignId, userId, discountAmount) {
-    // This would typically be stored in a separate CampaignUsage collection
-    // For now, we'll just log it
+  static async logCampaignUsage(campaignId, userId, discountAmount, details = {}) {
+    const usage = await CampaignUsage.create({
+      campaign: campaignId,
+      user: userId,
+      tenancy: details.tenancy,
+      order: details.orderId,
+      discount: discountAmount,
+      orderTotal: details.orderTotal || 0
+    });
+    
     console.log(`Campaign Usage: Campaign ${campaignId}, User ${userId}, Discount $${discountAmount}`);
+    return usage;
+  }
+  
+  /**
+   * Attach the created order to a usage recorded during checkout
+   */
+  static async linkUsageToOrder(usageId, orderId) {
+    return CampaignUsage.findByIdAndUpdate(usageId, { order: orderId }, { new: true });
+  }
+  
+  /**
+   * Reverse campaign usage for a cancelled order so limits and budget are freed up
+   */
+  static async reverseOrderUsage(orderId, reason = 'Order cancelled') {
+    const reversed = await CampaignUsage.reverseForOrder(orderId, reason);
+    
+    for (const usage of reversed) {
+      await this.releaseUsage({
+        campaign: usage.campaign,
+        counters: [
+          { scope: 'user', key: usage.user.toString() },
+          { scope: 'day', key: this.dayKey(usage.createdAt) }
+        ]
+      });
+      await Campaign.updateOne({ _id: usage.campaign }, {
+        $inc: {
+          'limits.usedCount': -1,
+          'budget.spentAmount': -usage.discount,
+          'analytics.conversions': -1,
+          'analytics.totalSavings': -usage.discount,
+          'analytics.totalRevenue': -usage.orderTotal
+        }
+      });
+      console.log(`↩️ Reversed campaign usage: Campaign ${usage.campaign}, Order ${orderId}`);
+    }
+    
+    return reversed.length;
   }
   
   /**
    * Get user's usage count for a specific campaign
    */
   static async getUserCampaignUsage(campaignId, userId) {
-    // This would query a CampaignUsage collection
-    // For now, return 0 (implement based on your usage tracking needs)
-    return 0;
+    return CampaignUsage.countUserUsage(campaignId, userId);
   }
   
   /**
@@ -339,9 +488,7 @@ class CampaignEngine {
     const today = new Date();
     today.setHours(0, 0, 0, 0);
     
-    // This would query usage records for today
-    // For now, return 0 (implement based on your usage tracking needs)
-    return 0;
+    return CampaignUsage.countDailyUsage(campaignId, today);
   }
   
   /**
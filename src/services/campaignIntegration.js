@@ -66,6 +66,7 @@ class CampaignIntegration {
         message: applicationResult.message,
         appliedCampaigns: [{
           campaignId: evaluationResult.selectedCampaign._id,
+          usageId: applicationResult.usageId,
           campaignName: applicationResult.campaignName,
           campaignScope: applicationResult.campaignScope,
           appliedPromotions: applicationResult.appliedPromotions,
@@ -138,7 +139,9 @@ class CampaignIntegration {
    * Log campaign order completion for analytics
    */
   static async logCampaignOrderCompletion(orderId, campaignApplication) {
-    // TODO: persist to CampaignUsage collection (currently log-only)
+    if (campaignApplication.usageId) {
+      await CampaignEngine.linkUsageToOrder(campaignApplication.usageId, orderId);
+    }
     console.log(`📈 Campaign Analytics: Order ${orderId}, Campaign ${campaignApplication.campaignId}, Discount $${campaignApplication.discount}`);
   }
   
@@ -1,9 +1,18 @@
 const axios = require('axios');
+const DistanceCache = require('../models/DistanceCache');
+const { DISTANCE_ESTIMATION } = require('../config/constants');
+
+const DISTANCE_MODES = ['auto', 'api', 'estimate'];
 
 /**
  * Distance Service - Uses OpenRouteService API for distance calculations
  * Free tier: 2000 requests/day
  * API Docs: https://openrouteservice.org/dev/#/api-docs
+ *
+ * Without an API key (dev, CI) or when the API fails, distances are
+ * estimated offline from the straight-line distance times a road factor
+ * (DISTANCE_MODE=auto, the default). API results are cached in MongoDB by
+ * rounded coordinates.
  */
 class DistanceService {
   constructor() {
@@ -11,20 +20,16 @@ class DistanceService {
     this.baseUrl = 'https://api.openrouteservice.org';
     this.maxRetries = 3;
     this.retryDelays = [1000, 2000, 4000]; // Exponential backoff
+    this.mode = DISTANCE_MODES.includes(process.env.DISTANCE_MODE) ? process.env.DISTANCE_MODE : 'auto';
   }
 
   /**
    * Calculate distance between two coordinate points
    * @param {Object} origin - { lat: number, lng: number }
    * @param {Object} destination - { lat: number, lng: number }
-   * @returns {Promise<{ distance: number, duration: number, status: string }>}
+   * @returns {Promise<{ distance: number, duration: number, status: string, source?: 'api' | 'estimate', cached?: boolean }>}
    */
   async calculateDistance(origin, destination) {
-    if (!this.apiKey) {
-      console.error('OpenRouteService API key not configured');
-      return this.getFallbackResponse('API key not configured');
-    }
-
     // Validate coordinates
     if (!this.validateCoordinates(origin) || !this.validateCoordinates(destination)) {
       return {
@@ -35,6 +40,111 @@ class DistanceService {
       };
     }
 
+    if (this.mode === 'estimate') {
+      return this.estimateDistance(origin, destination);
+    }
+
+    if (!this.apiKey) {
+      if (this.mode === 'api') {
+        console.error('OpenRouteService API key not configured');
+        return this.getFallbackResponse('API key not configured');
+      }
+      return this.estimateDistance(origin, destination);
+    }
+
+    const cached = await this.getCachedDistances(origin, [destination]);
+    if (cached[0]) return cached[0];
+
+    const result = await this.requestRoute(origin, destination);
+    if (result.status === 'OK') {
+      await this.cacheDistances(origin, [{ destination, ...result }]);
+      return { ...result, source: 'api' };
+    }
+
+    return this.mode === 'api' ? result : this.estimateDistance(origin, destination, result.fallbackReason);
+  }
+
+  /**
+   * Distances from one point to several, e.g. a customer to every candidate
+   * branch at checkout. Cached pairs are reused and the rest are fetched with
+   * a single matrix request per MATRIX_MAX_LOCATIONS.
+   * @param {Object} origin - { lat: number, lng: number }
+   * @param {Object[]} destinations - [{ lat: number, lng: number }]
+   * @returns {Promise<Array<{ distance: number, duration: number, status: string, source?: 'api' | 'estimate', cached?: boolean }>>} in destination order
+   */
+  async calculateDistanceMatrix(origin, destinations = []) {
+    const invalid = {
+      distance: 0,
+      duration: 0,
+      status: 'INVALID_COORDINATES',
+      error: 'Invalid coordinates provided'
+    };
+    if (!this.validateCoordinates(origin)) return destinations.map(() => ({ ...invalid }));
+
+    const results = destinations.map(d => (this.validateCoordinates(d) ? null : { ...invalid }));
+    const pending = () => destinations.map((d, i) => i).filter(i => !results[i]);
+
+    if (this.mode === 'estimate' || !this.apiKey) {
+      for (const i of pending()) {
+        results[i] = this.mode === 'api'
+          ? this.getFallbackResponse('API key not configured')
+          : this.estimateDistance(origin, destinations[i]);
+      }
+      return results;
+    }
+
+    const cached = await this.getCachedDistances(origin, pending().map(i => destinations[i]));
+    pending().forEach((i, idx) => {
+      if (cached[idx]) results[i] = cached[idx];
+    });
+
+    const misses = pending();
+    const chunkSize = DISTANCE_ESTIMATION.MATRIX_MAX_LOCATIONS - 1; // one slot is the origin
+    for (let start = 0; start < misses.length; start += chunkSize) {
+      const chunk = misses.slice(start, start + chunkSize);
+      const routes = await this.requestMatrix(origin, chunk.map(i => destinations[i]));
+
+      const fetched = [];
+      chunk.forEach((i, idx) => {
+        const route = routes[idx];
+        if (route?.status === 'OK') {
+          results[i] = { ...route, source: 'api' };
+          fetched.push({ destination: destinations[i], ...route });
+        } else {
+          const reason = route?.fallbackReason || 'No route found';
+          results[i] = this.mode === 'api'
+            ? this.getFallbackResponse(reason)
+            : this.estimateDistance(origin, destinations[i], reason);
+        }
+      });
+      await this.cacheDistances(origin, fetched);
+    }
+
+    return results;
+  }
+
+  /**
+   * Offline estimate: haversine distance times the road factor, duration at
+   * the average city speed
+   * @returns {{ distance: number, duration: number, status: 'OK', source: 'estimate', isEstimate: true }}
+   */
+  estimateDistance(origin, destination, fallbackReason) {
+    const straightLine = this.calculateHaversineDistance(origin, destination);
+    const distance = Math.round(straightLine * DISTANCE_ESTIMATION.ROAD_FACTOR * 100) / 100;
+    return {
+      distance,
+      duration: Math.round((distance / DISTANCE_ESTIMATION.AVERAGE_SPEED_KMPH) * 60),
+      status: 'OK',
+      source: 'estimate',
+      isEstimate: true,
+      ...(fallbackReason && { fallbackReason })
+    };
+  }
+
+  /**
+   * Directions request for one pair, with retries
+   */
+  async requestRoute(origin, destination) {
     let lastError = null;
 
     for (let attempt = 0; attempt < this.maxRetries; attempt++) {
@@ -93,6 +203,127 @@ class DistanceService {
     return this.getFallbackResponse('API unavailable after retries');
   }
 
+  /**
+   * Matrix request from one origin to several destinations, with retries
+   * @returns {Promise<Object[]>} one route result per destination
+   */
+  async requestMatrix(origin, destinations) {
+    let lastError = null;
+
+    for (let attempt = 0; attempt < this.maxRetries; attempt++) {
+      try {
+        const response = await axios.post(
+          `${this.baseUrl}/v2/matrix/driving-car`,
+          {
+            locations: [origin, ...destinations].map(p => [p.lng, p.lat]),
+            sources: [0],
+            destinations: destinations.map((d, i) => i + 1),
+            metrics: ['distance', 'duration']
+          },
+          {
+            headers: {
+              'Authorization': this.apiKey,
+              'Content-Type': 'application/json'
+            },
+            timeout: 15000
+          }
+        );
+
+        const distances = response.data?.distances?.[0] || [];
+        const durations = response.data?.durations?.[0] || [];
+        return destinations.map((d, i) => (
+          typeof distances[i] === 'number'
+            ? {
+              distance: Math.round((distances[i] / 1000) * 100) / 100,
+              duration: Math.round((durations[i] || 0) / 60),
+              status: 'OK'
+            }
+            : this.getFallbackResponse('No route found')
+        ));
+
+      } catch (error) {
+        lastError = error;
+        console.error(`Distance matrix attempt ${attempt + 1} failed:`, error.message);
+
+        if (error.response?.status === 401 || error.response?.status === 403) {
+          const reason = error.response.status === 401 ? 'Invalid API key' : 'API quota exceeded';
+          return destinations.map(() => this.getFallbackResponse(reason));
+        }
+
+        if (attempt < this.maxRetries - 1) {
+          await this.sleep(this.retryDelays[attempt]);
+        }
+      }
+    }
+
+    console.error('All distance matrix retries failed:', lastError?.message);
+    return destinations.map(() => this.getFallbackResponse('API unavailable after retries'));
+  }
+
+  /**
+   * Cache key for a pair of points. Points are rounded and ordered so both
+   * directions share an entry.
+   */
+  getCacheKey(a, b) {
+    const round = (p) => `${p.lat.toFixed(DISTANCE_ESTIMATION.CACHE_PRECISION)},${p.lng.toFixed(DISTANCE_ESTIMATION.CACHE_PRECISION)}`;
+    return [round(a), round(b)].sort().join('|');
+  }
+
+  /**
+   * Cached API distances from origin, in destination order (null on a miss)
+   */
+  async getCachedDistances(origin, destinations) {
+    if (destinations.length === 0) return [];
+    try {
+      const keys = destinations.map(d => this.getCacheKey(origin, d));
+      const entries = await DistanceCache.find({ key: { $in: keys }, expiresAt: { $gt: new Date() } })
+        .select('key distance duration')
+        .lean();
+      if (entries.length === 0) return keys.map(() => null);
+
+      await DistanceCache.updateMany({ _id: { $in: entries.map(e => e._id) } }, { $inc: { hits: 1 } });
+      const byKey = new Map(entries.map(e => [e.key, e]));
+      return keys.map(key => {
+        const entry = byKey.get(key);
+        return entry
+          ? { distance: entry.distance, duration: entry.duration, status: 'OK', source: 'api', cached: true }
+          : null;
+      });
+    } catch (error) {
+      console.error('Distance cache read failed:', error.message);
+      return destinations.map(() => null);
+    }
+  }
+
+  /**
+   * Store API distances from origin. Cache failures never fail a quote.
+   * @param {Array<{ destination, distance, duration }>} routes
+   */
+  async cacheDistances(origin, routes) {
+    if (routes.length === 0) return;
+    const expiresAt = new Date(Date.now() + DISTANCE_ESTIMATION.CACHE_TTL_DAYS * 24 * 60 * 60 * 1000);
+    try {
+      await DistanceCache.bulkWrite(routes.map(route => ({
+        updateOne: {
+          filter: { key: this.getCacheKey(origin, route.destination) },
+          update: {
+            $set: {
+              origin: { lat: origin.lat, lng: origin.lng },
+              destination: { lat: route.destination.lat, lng: route.destination.lng },
+              distance: route.distance,
+              duration: route.duration,
+              source: 'api',
+              expiresAt
+            }
+          },
+          upsert: true
+        }
+      })), { ordered: false });
+    } catch (error) {
+      console.error('Distance cache write failed:', error.message);
+    }
+  }
+
   /**
    * Geocode an address to coordinates
    * @param {string} address - Full address string
@@ -3,33 +3,72 @@
 // (Android) — no Firebase/APNs setup required for development.
 //
 // Tokens look like "ExponentPushToken[xxxxxxxx]" and are stored on
-// User.pushTokens[]. Invalid/expired tokens are auto-pruned when Expo
-// returns a DeviceNotRegistered error.
+// User.pushTokens[]. Apps that register a native FCM token instead
+// (provider: 'fcm') are sent to through Firebase Admin. Invalid/expired
+// tokens are auto-pruned when Expo returns a DeviceNotRegistered error,
+// either inline on the ticket or later on the push receipt.
 
 const { Expo } = require('expo-server-sdk');
 const User = require('../models/User');
+const firebaseAdmin = require('./firebaseAdminService');
 
 const expo = new Expo({ useFcmV1: true });
 
+// Per-device outcome recorded on Notification.channels.push.devices
+const PUSH_DEVICE_STATUS = {
+  SENT: 'sent',           // accepted by Expo, waiting for the receipt
+  DELIVERED: 'delivered', // handed to APNs/FCM
+  FAILED: 'failed',
+  INVALID: 'invalid'      // token unregistered/malformed, pruned from the user
+};
+
 /**
- * Send a push notification to all of a user's registered devices.
+ * Remove push tokens from a user (devices that uninstalled the app, etc.)
+ * @returns {Promise<number>} number of tokens removed
+ */
+async function removePushTokens(userId, tokens) {
+  if (!userId || !tokens?.length) return 0;
+  await User.updateOne(
+    { _id: userId },
+    { $pull: { pushTokens: { token: { $in: tokens } } } }
+  );
+  return tokens.length;
+}
+
+/**
+ * Send a push notification to each of a user's registered devices.
  * @param {string|ObjectId} userId
  * @param {{ title: string, body: string, data?: object, sound?: 'default' | null, badge?: number }} payload
- * @returns {Promise<{ sent: number, removed: number }>}
+ * @returns {Promise<{ devices: Array<{ token, provider, platform, status, ticketId?, messageId?, error?, sentAt }>, removed: number }>}
  */
-async function sendPushToUser(userId, { title, body, data, sound = 'default', badge }) {
-  if (!userId || !title || !body) return { sent: 0, removed: 0 };
+async function sendPushToDevices(userId, { title, body, data, sound = 'default', badge }) {
+  if (!userId || !title || !body) return { devices: [], removed: 0 };
 
   const user = await User.findById(userId).select('pushTokens').lean();
-  const tokens = (user?.pushTokens ?? []).map(t => t.token).filter(Boolean);
-  if (tokens.length === 0) return { sent: 0, removed: 0 };
+  const entries = (user?.pushTokens ?? []).filter(t => t.token);
+  if (entries.length === 0) return { devices: [], removed: 0 };
+
+  const sentAt = new Date();
+  const device = (entry, provider, status, extra = {}) => ({
+    token: entry.token,
+    provider,
+    platform: entry.platform,
+    status,
+    sentAt,
+    ...extra
+  });
+
+  const fcmEntries = entries.filter(t => t.provider === 'fcm');
+  const expoEntries = entries.filter(t => t.provider !== 'fcm');
 
   // Filter out malformed tokens before sending
-  const valid = tokens.filter(t => Expo.isExpoPushToken(t));
-  const invalid = tokens.filter(t => !Expo.isExpoPushToken(t));
+  const valid = expoEntries.filter(t => Expo.isExpoPushToken(t.token));
+  const devices = expoEntries
+    .filter(t => !Expo.isExpoPushToken(t.token))
+    .map(t => device(t, 'expo', PUSH_DEVICE_STATUS.INVALID, { error: 'MalformedToken' }));
 
-  const messages = valid.map(to => ({
-    to,
+  const messages = valid.map(t => ({
+    to: t.token,
     title,
     body,
     data: data || {},
@@ -39,34 +78,108 @@ async function sendPushToUser(userId, { title, body, data, sound = 'default', ba
     channelId: 'default' // Android: maps to our setup channel
   }));
 
-  const chunks = expo.chunkPushNotifications(messages);
-  const tickets = [];
-  for (const chunk of chunks) {
+  // Tickets come back in the same order as the messages of their chunk
+  let offset = 0;
+  for (const chunk of expo.chunkPushNotifications(messages)) {
+    const chunkEntries = valid.slice(offset, offset + chunk.length);
+    offset += chunk.length;
     try {
-      const ticketChunk = await expo.sendPushNotificationsAsync(chunk);
-      tickets.push(...ticketChunk);
+      const tickets = await expo.sendPushNotificationsAsync(chunk);
+      tickets.forEach((ticket, idx) => {
+        if (ticket.status === 'ok') {
+          devices.push(device(chunkEntries[idx], 'expo', PUSH_DEVICE_STATUS.SENT, { ticketId: ticket.id }));
+        } else {
+          const error = ticket.details?.error || ticket.message;
+          devices.push(device(
+            chunkEntries[idx],
+            'expo',
+            error === 'DeviceNotRegistered' ? PUSH_DEVICE_STATUS.INVALID : PUSH_DEVICE_STATUS.FAILED,
+            { error }
+          ));
+        }
+      });
     } catch (err) {
       console.error('[expoPush] chunk send failed:', err.message);
+      chunkEntries.forEach(t => devices.push(device(t, 'expo', PUSH_DEVICE_STATUS.FAILED, { error: err.message })));
     }
   }
 
-  // Find tokens that the device unregistered (uninstalled, etc.) so we can
-  // prune them. Expo returns these inline in the ticket response.
-  const tokensToRemove = new Set(invalid);
-  tickets.forEach((ticket, idx) => {
-    if (ticket.status === 'error' && ticket.details?.error === 'DeviceNotRegistered') {
-      tokensToRemove.add(messages[idx].to);
+  if (fcmEntries.length > 0) {
+    if (!firebaseAdmin.isMessagingConfigured()) {
+      fcmEntries.forEach(t => devices.push(device(t, 'fcm', PUSH_DEVICE_STATUS.FAILED, { error: 'FCM not configured' })));
+    } else {
+      try {
+        const results = await firebaseAdmin.sendToDevices(fcmEntries.map(t => t.token), { title, body, data });
+        results.forEach((r, idx) => {
+          const status = r.ok
+            ? PUSH_DEVICE_STATUS.DELIVERED
+            : (r.invalid ? PUSH_DEVICE_STATUS.INVALID : PUSH_DEVICE_STATUS.FAILED);
+          devices.push(device(fcmEntries[idx], 'fcm', status, { messageId: r.messageId, error: r.error }));
+        });
+      } catch (err) {
+        console.error('[fcmPush] send failed:', err.message);
+        fcmEntries.forEach(t => devices.push(device(t, 'fcm', PUSH_DEVICE_STATUS.FAILED, { error: err.message })));
+      }
     }
-  });
+  }
+
+  const removed = await removePushTokens(
+    userId,
+    devices.filter(d => d.status === PUSH_DEVICE_STATUS.INVALID).map(d => d.token)
+  );
+
+  return { devices, removed };
+}
 
-  if (tokensToRemove.size > 0) {
-    await User.updateOne(
-      { _id: userId },
-      { $pull: { pushTokens: { token: { $in: [...tokensToRemove] } } } }
-    );
+/**
+ * Send a push notification to all of a user's registered devices.
+ * @param {string|ObjectId} userId
+ * @param {{ title: string, body: string, data?: object, sound?: 'default' | null, badge?: number }} payload
+ * @returns {Promise<{ sent: number, removed: number }>}
+ */
+async function sendPushToUser(userId, payload) {
+  const { devices, removed } = await sendPushToDevices(userId, payload);
+  const sent = devices.filter(d =>
+    [PUSH_DEVICE_STATUS.SENT, PUSH_DEVICE_STATUS.DELIVERED].includes(d.status)
+  ).length;
+  return { sent, removed };
+}
+
+/**
+ * Look up Expo push receipts for previously accepted tickets. Receipts are
+ * available for ~24h; tickets without a receipt yet are left out.
+ * @param {string[]} ticketIds
+ * @returns {Promise<Map<string, { status: string, error?: string }>>}
+ */
+async function getPushReceipts(ticketIds) {
+  const receipts = new Map();
+
+  for (const chunk of expo.chunkPushNotificationReceiptIds(ticketIds)) {
+    try {
+      const result = await expo.getPushNotificationReceiptsAsync(chunk);
+      for (const [ticketId, receipt] of Object.entries(result)) {
+        if (receipt.status === 'ok') {
+          receipts.set(ticketId, { status: PUSH_DEVICE_STATUS.DELIVERED });
+        } else {
+          const error = receipt.details?.error || receipt.message;
+          receipts.set(ticketId, {
+            status: error === 'DeviceNotRegistered' ? PUSH_DEVICE_STATUS.INVALID : PUSH_DEVICE_STATUS.FAILED,
+            error
+          });
+        }
+      }
+    } catch (err) {
+      console.error('[expoPush] receipt fetch failed:', err.message);
+    }
   }
 
-  return { sent: tickets.length, removed: tokensToRemove.size };
+  return receipts;
 }
 
-module.exports = { sendPushToUser };
+module.exports = {
+  sendPushToUser,
+  sendPushToDevices,
+  getPushReceipts,
+  removePushTokens,
+  PUSH_DEVICE_STATUS
+};
@@ -54,7 +54,7 @@ class FallbackNotificationService {
    */
   static async getRecentNotifications(userId, since = null) {
     try {
-      const query = { recipient: userId };
+      const query = { recipient: userId, 'channels.inApp.selected': { $ne: false } };
       
       if (since) {
         query.createdAt = { $gt: new Date(since) };
@@ -79,6 +79,7 @@ class FallbackNotificationService {
     try {
       const count = await Notification.countDocuments({
         recipient: userId,
+        'channels.inApp.selected': { $ne: false },
         createdAt: { $gt: new Date(lastCheck) }
       });
       
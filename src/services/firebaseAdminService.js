@@ -1,6 +1,7 @@
-// Firebase Admin SDK wrapper — used only by the customer-app auth flow to
-// verify phone-OTP-derived Firebase ID tokens. Lazy-initialized so existing
-// deployments without Firebase service-account env vars don't crash on boot.
+// Firebase Admin SDK wrapper — used by the customer-app auth flow to verify
+// phone-OTP-derived Firebase ID tokens, and to send push notifications to
+// native FCM registration tokens. Lazy-initialized so existing deployments
+// without Firebase service-account env vars don't crash on boot.
 
 const admin = require('firebase-admin');
 
@@ -49,4 +50,60 @@ async function verifyIdToken(idToken) {
   return admin.auth().verifyIdToken(idToken);
 }
 
-module.exports = { verifyIdToken };
+// FCM error codes meaning the registration token will never work again
+const INVALID_TOKEN_CODES = [
+  'messaging/registration-token-not-registered',
+  'messaging/invalid-registration-token'
+];
+
+// sendEachForMulticast accepts at most 500 tokens per call
+const MULTICAST_LIMIT = 500;
+
+function isMessagingConfigured() {
+  return !!(
+    process.env.FIREBASE_SERVICE_ACCOUNT_JSON ||
+    (process.env.FIREBASE_PROJECT_ID && process.env.FIREBASE_CLIENT_EMAIL && process.env.FIREBASE_PRIVATE_KEY)
+  );
+}
+
+// Send a push notification to native FCM registration tokens.
+// Returns one result per token, in order: { token, ok, messageId?, error?, invalid }
+async function sendToDevices(tokens, { title, body, data }) {
+  initFirebase();
+  if (initError) throw initError;
+  if (!initialized) throw new Error('Firebase Admin not initialized');
+
+  // FCM data payloads only accept string values
+  const stringData = {};
+  for (const [key, value] of Object.entries(data || {})) {
+    if (value !== undefined && value !== null) {
+      stringData[key] = typeof value === 'string' ? value : JSON.stringify(value);
+    }
+  }
+
+  const results = [];
+  for (let i = 0; i < tokens.length; i += MULTICAST_LIMIT) {
+    const batch = tokens.slice(i, i + MULTICAST_LIMIT);
+    const response = await admin.messaging().sendEachForMulticast({
+      tokens: batch,
+      notification: { title, body },
+      data: stringData,
+      android: { priority: 'high', notification: { channelId: 'default', sound: 'default' } },
+      apns: { payload: { aps: { sound: 'default' } } }
+    });
+
+    response.responses.forEach((r, idx) => {
+      results.push({
+        token: batch[idx],
+        ok: r.success,
+        messageId: r.messageId,
+        error: r.error?.code,
+        invalid: INVALID_TOKEN_CODES.includes(r.error?.code)
+      });
+    });
+  }
+
+  return results;
+}
+
+module.exports = { verifyIdToken, isMessagingConfigured, sendToDevices };
@@ -0,0 +1,341 @@
+const Inventory = require('../models/Inventory');
+const InventoryRequest = require('../models/InventoryRequest');
+const ConsumptionRecipe = require('../models/ConsumptionRecipe');
+const Order = require('../models/Order');
+const OrderItem = require('../models/OrderItem');
+const Branch = require('../models/Branch');
+const User = require('../models/User');
+const NotificationService = require('./notificationService');
+const { CONSUMPTION_RATES, INVENTORY_ITEMS, INVENTORY_REORDER } = require('../config/constants');
+
+// unit -> [dimension, factor to the dimension's base unit]
+const UNITS = {
+  ml: ['volume', 0.001],
+  liters: ['volume', 1],
+  g: ['mass', 0.001],
+  kg: ['mass', 1],
+  pieces: ['count', 1],
+  units: ['count', 1]
+};
+// InventoryRequest has no ml/g units
+const REQUEST_UNITS = { ml: 'liters', g: 'kg' };
+const REQUEST_CATEGORIES = {
+  [INVENTORY_ITEMS.DETERGENT]: 'Cleaning Chemicals',
+  [INVENTORY_ITEMS.SOFTENER]: 'Cleaning Chemicals',
+  [INVENTORY_ITEMS.CHEMICALS]: 'Dry Cleaning Chemicals',
+  [INVENTORY_ITEMS.HANGERS]: 'Packaging Materials',
+  [INVENTORY_ITEMS.PACKAGING]: 'Packaging Materials'
+};
+const USAGE_REASONS = ['order_processing', 'wastage'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value, unit) => (
+  UNITS[unit]?.[0] === 'count' ? Math.ceil(value) : Math.round(value * 100) / 100
+);
+
+/**
+ * Automatic inventory consumption. Each OrderItem debits its service's
+ * recipe (ConsumptionRecipe, else CONSUMPTION_RATES) from its branch's stock
+ * once, when the order goes in_process or the item is scanned in_progress,
+ * whichever comes first. Items that fall to their minThreshold raise an
+ * InventoryRequest to the super admins with a reorder quantity based on the
+ * trailing consumption rate.
+ */
+class InventoryConsumptionService {
+  /**
+   * Quantity in another unit of the same kind, or null when they don't mix
+   */
+  convertQuantity(quantity, from, to) {
+    if (from === to) return quantity;
+    const [fromDimension, fromFactor] = UNITS[from] || [];
+    const [toDimension, toFactor] = UNITS[to] || [];
+    if (!fromDimension || fromDimension !== toDimension) return null;
+    return (quantity * fromFactor) / toFactor;
+  }
+
+  /**
+   * Recipes of a branch by service: Map<service, Map<itemName, { quantity, unit }>>.
+   * Branch recipes override tenancy-wide ones; services with neither use
+   * CONSUMPTION_RATES.
+   */
+  async getRecipes(tenancy, branch, services) {
+    const codes = [...new Set(services.filter(Boolean).map(s => String(s).toLowerCase()))];
+    const recipes = tenancy
+      ? await ConsumptionRecipe.find({
+        tenancy,
+        branch: { $in: [null, branch] },
+        service: { $in: codes },
+        isActive: true
+      }).lean()
+      : [];
+
+    // Tenancy-wide first so branch recipes overwrite them
+    recipes.sort((a, b) => (a.branch ? 1 : 0) - (b.branch ? 1 : 0));
+
+    const byService = new Map();
+    for (const recipe of recipes) {
+      if (!byService.has(recipe.service)) byService.set(recipe.service, new Map());
+      byService.get(recipe.service).set(recipe.itemName, { quantity: recipe.quantityPerItem, unit: recipe.unit });
+    }
+    for (const code of codes) {
+      if (!byService.has(code)) byService.set(code, new Map(Object.entries(CONSUMPTION_RATES[code] || {})));
+    }
+    return byService;
+  }
+
+  /**
+   * Debit the items of an order that haven't been debited yet
+   */
+  async consumeForOrder(order, { requestedBy } = {}) {
+    const items = await OrderItem.find({ order: order._id, inventoryConsumedAt: { $exists: false } })
+      .select('order service quantity')
+      .lean();
+    return this.consumeItems(items, { requestedBy });
+  }
+
+  /**
+   * Debit stock for items, each at most once. Items may belong to several
+   * orders (e.g. a wash lot).
+   * @returns {Promise<{ consumed: Array<{ branch, itemName, quantity, unit }>, lowStock: Array, requests: Array }>}
+   */
+  async consumeItems(items, { requestedBy } = {}) {
+    const result = { consumed: [], lowStock: [], requests: [] };
+    if (items.length === 0) return result;
+
+    // Claim the items first so a concurrent scan can't debit them again
+    const now = new Date();
+    const claimed = [];
+    for (const item of items) {
+      const claim = await OrderItem.updateOne(
+        { _id: item._id, inventoryConsumedAt: { $exists: false } },
+        { $set: { inventoryConsumedAt: now } }
+      );
+      if (claim.modifiedCount === 1) claimed.push(item);
+    }
+    if (claimed.length === 0) return result;
+
+    const orders = await Order.find({ _id: { $in: [...new Set(claimed.map(i => i.order.toString()))] } })
+      .select('orderNumber tenancy branch')
+      .lean();
+
+    const lowStock = new Map();
+    for (const order of orders) {
+      const branchId = order.branch?._id || order.branch;
+      if (!branchId) continue;
+
+      const orderItems = claimed.filter(i => i.order.toString() === order._id.toString());
+      const recipes = await this.getRecipes(order.tenancy, branchId, orderItems.map(i => i.service));
+
+      // Usage per inventory item, still in recipe units
+      const usage = new Map();
+      for (const item of orderItems) {
+        for (const [itemName, recipe] of recipes.get(String(item.service).toLowerCase()) || []) {
+          const entry = usage.get(itemName) || [];
+          entry.push({ quantity: recipe.quantity * (item.quantity || 1), unit: recipe.unit });
+          usage.set(itemName, entry);
+        }
+      }
+      if (usage.size === 0) continue;
+
+      const inventories = await Inventory.find({ branch: branchId, itemName: { $in: [...usage.keys()] } })
+        .select('tenancy branch itemName unit');
+      for (const inventory of inventories) {
+        let quantity = 0;
+        for (const part of usage.get(inventory.itemName)) {
+          const converted = this.convertQuantity(part.quantity, part.unit, inventory.unit);
+          if (converted === null) {
+            console.warn(`⚠️ Recipe unit ${part.unit} doesn't match ${inventory.itemName} stock in ${inventory.unit}`);
+            continue;
+          }
+          quantity += converted;
+        }
+        quantity = Math.round(quantity * 1000) / 1000;
+        if (quantity <= 0) continue;
+
+        const { inventory: updated, taken } = await this.debit(inventory._id, quantity, order);
+        if (!updated) continue;
+        if (taken > 0) {
+          result.consumed.push({ branch: branchId, itemName: inventory.itemName, quantity: taken, unit: inventory.unit });
+        }
+        if (updated.currentStock <= updated.minThreshold) lowStock.set(updated._id.toString(), updated);
+      }
+    }
+
+    for (const inventory of lowStock.values()) {
+      result.lowStock.push(inventory);
+      try {
+        const request = await this.raiseLowStockRequest(inventory, { requestedBy });
+        if (request) result.requests.push(request);
+      } catch (error) {
+        console.error(`Failed to raise inventory request for ${inventory.itemName}:`, error.message);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Take quantity off the stock atomically. When there is less left, what is
+   * left is taken - the stock can't go negative, the shortfall is logged.
+   * @returns {Promise<{ inventory: Document|null, taken: number }>} the inventory after the debit
+   */
+  async debit(inventoryId, quantity, order) {
+    const entry = (amount) => ({
+      $push: { consumptionHistory: { date: new Date(), quantity: -amount, orderId: order._id, reason: 'order_processing' } }
+    });
+
+    let taken = quantity;
+    let updated = await Inventory.findOneAndUpdate(
+      { _id: inventoryId, currentStock: { $gte: quantity } },
+      { $inc: { currentStock: -quantity }, ...entry(quantity) },
+      { new: true }
+    );
+
+    if (!updated) {
+      const current = await Inventory.findById(inventoryId).select('itemName branch currentStock');
+      if (!current) return { inventory: null, taken: 0 };
+      console.warn(`⚠️ Not enough ${current.itemName} at branch ${current.branch} for order ${order.orderNumber}: needed ${quantity}, had ${current.currentStock}`);
+      if (current.currentStock <= 0) return { inventory: await Inventory.findById(inventoryId), taken: 0 };
+
+      taken = current.currentStock;
+      updated = await Inventory.findOneAndUpdate(
+        { _id: inventoryId, currentStock: current.currentStock },
+        { $set: { currentStock: 0 }, ...entry(current.currentStock) },
+        { new: true }
+      );
+      if (!updated) return { inventory: await Inventory.findById(inventoryId), taken: 0 };
+    }
+
+    if (updated.currentStock <= updated.minThreshold && !updated.isLowStock) {
+      await Inventory.updateOne({ _id: updated._id }, { $set: { isLowStock: true } });
+      updated.isLowStock = true;
+    }
+    return { inventory: updated, taken };
+  }
+
+  /**
+   * Average daily usage over the trailing window. Items younger than the
+   * window are averaged over their own age.
+   */
+  getDailyUsage(inventory, now = new Date()) {
+    const windowStart = new Date(now.getTime() - INVENTORY_REORDER.TRAILING_DAYS * DAY_MS);
+    const since = inventory.createdAt && inventory.createdAt > windowStart ? inventory.createdAt : windowStart;
+    const days = Math.max(1, (now - since) / DAY_MS);
+
+    const used = (inventory.consumptionHistory || [])
+      .filter(e => e.quantity < 0 && USAGE_REASONS.includes(e.reason) && new Date(e.date) >= since)
+      .reduce((sum, e) => sum - e.quantity, 0);
+
+    return used / days;
+  }
+
+  /**
+   * Reorder suggestion for one inventory item: enough for COVER_DAYS of
+   * trailing usage on top of the minimum, capped at maxCapacity
+   */
+  suggestReorder(inventory, now = new Date()) {
+    const dailyUsage = this.getDailyUsage(inventory, now);
+    const target = dailyUsage * INVENTORY_REORDER.COVER_DAYS + inventory.minThreshold;
+    let quantity = Math.max(0, target - inventory.currentStock);
+    // Low without recent usage (e.g. a new item): fill up to capacity
+    if (quantity === 0 && inventory.currentStock <= inventory.minThreshold) {
+      quantity = Math.max(0, (inventory.maxCapacity || 0) - inventory.currentStock);
+    }
+    if (inventory.maxCapacity > 0) {
+      quantity = Math.min(quantity, Math.max(0, inventory.maxCapacity - inventory.currentStock));
+    }
+
+    return {
+      dailyUsage: Math.round(dailyUsage * 100) / 100,
+      daysOfStockLeft: dailyUsage > 0 ? Math.floor(inventory.currentStock / dailyUsage) : null,
+      suggestedQuantity: round(quantity, inventory.unit),
+      unit: inventory.unit
+    };
+  }
+
+  /**
+   * Reorder suggestions for a branch, the items running out soonest first
+   */
+  async getReorderSuggestions(branchId, { all = false } = {}) {
+    const inventory = await Inventory.find({ branch: branchId }).lean();
+    const now = new Date();
+
+    return inventory
+      .map(item => ({
+        itemId: item._id,
+        itemName: item.itemName,
+        currentStock: item.currentStock,
+        minThreshold: item.minThreshold,
+        maxCapacity: item.maxCapacity,
+        isLowStock: item.currentStock <= item.minThreshold,
+        ...this.suggestReorder(item, now)
+      }))
+      .filter(s => all || s.suggestedQuantity > 0)
+      .sort((a, b) =>
+        (b.isLowStock - a.isLowStock) ||
+        ((a.daysOfStockLeft ?? Infinity) - (b.daysOfStockLeft ?? Infinity))
+      );
+  }
+
+  /**
+   * Pending InventoryRequest to the super admins for a low item. Skipped
+   * while one for the same branch and item is still pending or approved.
+   */
+  async raiseLowStockRequest(inventory, { requestedBy } = {}) {
+    if (!inventory.tenancy) return null;
+
+    const open = await InventoryRequest.exists({
+      tenancyId: inventory.tenancy,
+      branch: inventory.branch,
+      itemName: inventory.itemName,
+      status: { $in: ['pending', 'approved'] }
+    });
+    if (open) return null;
+
+    const branch = await Branch.findById(inventory.branch).select('name manager').lean();
+    const requester = requestedBy || branch?.manager ||
+      (await User.findOne({ tenancy: inventory.tenancy, role: 'admin', isActive: true }).select('_id').lean())?._id;
+    if (!requester) {
+      console.warn(`⚠️ No one to raise the ${inventory.itemName} inventory request for branch ${inventory.branch}`);
+      return null;
+    }
+
+    const suggestion = this.suggestReorder(inventory);
+    const requestUnit = REQUEST_UNITS[inventory.unit] || inventory.unit;
+    const requestQuantity = round(this.convertQuantity(suggestion.suggestedQuantity, inventory.unit, requestUnit), requestUnit);
+
+    const request = await InventoryRequest.create({
+      tenancyId: inventory.tenancy,
+      requestedBy: requester,
+      branch: inventory.branch,
+      inventoryItem: inventory._id,
+      autoGenerated: true,
+      itemName: inventory.itemName,
+      category: REQUEST_CATEGORIES[inventory.itemName] || 'Other',
+      description: `${inventory.itemName} at ${branch?.name || 'branch'} is low: ${round(inventory.currentStock, inventory.unit)} ${inventory.unit} left (minimum ${inventory.minThreshold})`,
+      estimatedQuantity: `${requestQuantity} ${requestUnit}`,
+      suggestedQuantity: requestQuantity,
+      unit: requestUnit,
+      urgency: inventory.currentStock <= 0 ? 'high' : 'normal',
+      justification: `Used about ${suggestion.dailyUsage} ${inventory.unit}/day over the last ${INVENTORY_REORDER.TRAILING_DAYS} days`,
+      status: 'pending',
+      requestDate: new Date()
+    });
+
+    try {
+      const SuperAdmin = require('../models/SuperAdmin');
+      const Tenancy = require('../models/Tenancy');
+      const tenancy = await Tenancy.findById(inventory.tenancy).select('businessName subdomain');
+      const superAdmins = await SuperAdmin.find({ isActive: true }).select('_id');
+      await Promise.all(
+        superAdmins.map(sa => NotificationService.notifyInventoryRequestSubmitted(sa._id, request, tenancy))
+      );
+    } catch (error) {
+      console.error('Failed to send inventory request notifications:', error);
+    }
+
+    return request;
+  }
+}
+
+module.exports = new InventoryConsumptionService();
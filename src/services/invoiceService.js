@@ -0,0 +1,521 @@
+const mongoose = require('mongoose');
+const PDFDocument = require('pdfkit');
+const Invoice = require('../models/Invoice');
+const InvoiceCounter = require('../models/InvoiceCounter');
+const Order = require('../models/Order');
+const Tenancy = require('../models/Tenancy');
+const reportExportService = require('./reportExportService');
+const { INVOICE_NUMBERING, ORDER_STATUS, TAX_DEFAULTS } = require('../config/constants');
+
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+const KIND_PREFIXES = {
+  invoice: INVOICE_NUMBERING.INVOICE_PREFIX,
+  credit_note: INVOICE_NUMBERING.CREDIT_NOTE_PREFIX
+};
+const KIND_TITLES = { invoice: 'TAX INVOICE', credit_note: 'CREDIT NOTE' };
+
+const toPaise = (amount) => Math.round((Number(amount) || 0) * 100);
+const toRupees = (paise) => paise / 100;
+// Helvetica has no rupee glyph
+const formatMoney = (amount) => `Rs. ${(Number(amount) || 0).toFixed(2)}`;
+const toLabel = (value) => String(value || '').replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+
+const formatAddress = (address) => {
+  if (!address) return '';
+  return [
+    address.addressLine1 || address.line1,
+    address.addressLine2 || address.line2,
+    address.landmark,
+    address.city,
+    address.state,
+    address.pincode
+  ].filter(Boolean).join(', ');
+};
+
+// Raised when an invoice can't be issued. Carries the statusCode/error code
+// the errorHandler middleware responds with.
+class InvoiceError extends Error {
+  constructor(error, message, statusCode = 409, details = undefined) {
+    super(message);
+    this.name = 'InvoiceError';
+    this.error = error;
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/**
+ * Tax invoices and credit notes for orders. Invoices are issued when an
+ * order is delivered (generate_invoice effect) or on demand, credit notes
+ * when a refund of an invoiced order is processed. Numbers run without gaps
+ * per tenancy, financial year and kind: the counter is incremented in the
+ * transaction that creates the document.
+ */
+class InvoiceService {
+  /**
+   * Indian financial year (April to March) of a date in a timezone, e.g. "2026-27"
+   */
+  financialYearOf(date, timeZone = DEFAULT_TIMEZONE) {
+    const parts = new Intl.DateTimeFormat('en-US', { timeZone, year: 'numeric', month: 'numeric' })
+      .formatToParts(date);
+    const year = Number(parts.find(p => p.type === 'year').value);
+    const month = Number(parts.find(p => p.type === 'month').value);
+    const startYear = month >= INVOICE_NUMBERING.FINANCIAL_YEAR_START_MONTH ? year : year - 1;
+    return `${startYear}-${String(startYear + 1).slice(-2)}`;
+  }
+
+  formatNumber(kind, financialYear, sequence) {
+    const years = `${financialYear.slice(2, 4)}-${financialYear.slice(-2)}`;
+    return `${KIND_PREFIXES[kind]}/${years}/${String(sequence).padStart(INVOICE_NUMBERING.SEQUENCE_DIGITS, '0')}`;
+  }
+
+  /**
+   * Create an invoice or credit note with the next number of its series
+   */
+  async issue(kind, data, { timeZone } = {}) {
+    const issuedAt = new Date();
+    const financialYear = this.financialYearOf(issuedAt, timeZone);
+    const counterFilter = { tenancy: data.tenancy, financialYear, kind };
+
+    // Make sure the counter exists outside the transaction (upsert inside a
+    // transaction can conflict with a concurrent first invoice of the year)
+    await InvoiceCounter.findOneAndUpdate(
+      counterFilter,
+      { $setOnInsert: { seq: 0 } },
+      { upsert: true }
+    );
+
+    const session = await mongoose.startSession();
+    let invoice;
+    try {
+      await session.withTransaction(async () => {
+        const counter = await InvoiceCounter.findOneAndUpdate(
+          counterFilter,
+          { $inc: { seq: 1 } },
+          { new: true, session }
+        );
+        [invoice] = await Invoice.create([{
+          ...data,
+          kind,
+          financialYear,
+          sequence: counter.seq,
+          number: this.formatNumber(kind, financialYear, counter.seq),
+          issuedAt
+        }], { session });
+      });
+    } finally {
+      await session.endSession();
+    }
+    return invoice;
+  }
+
+  async getTenancy(tenancyId) {
+    return Tenancy.findById(tenancyId)
+      .select('name branding.businessName contact settings.timezone settings.taxConfig')
+      .lean();
+  }
+
+  /**
+   * The order's tax invoice, issuing it if there is none yet
+   * @param {Object|ObjectId|string} orderOrId
+   * @returns {Promise<Invoice>}
+   */
+  async generateForOrder(orderOrId, { createdBy } = {}) {
+    const orderId = orderOrId?._id || orderOrId;
+    const existing = await Invoice.findOne({ order: orderId, kind: 'invoice' });
+    if (existing) return existing;
+
+    const order = await Order.findById(orderId)
+      .populate('items')
+      .populate('customer', 'name phone email')
+      .populate('branch', 'name address contact taxOverride');
+    if (!order) {
+      throw new InvoiceError('ORDER_NOT_FOUND', 'Order not found', 404);
+    }
+    if (order.status === ORDER_STATUS.CANCELLED) {
+      throw new InvoiceError('ORDER_CANCELLED', 'Cancelled orders are not invoiced', 409);
+    }
+
+    const tenancy = await this.getTenancy(order.tenancy);
+    if (!tenancy) {
+      throw new InvoiceError('TENANCY_NOT_FOUND', 'Tenancy not found', 404);
+    }
+
+    const pricing = order.toObject().pricing || {};
+    const breakdown = pricing.taxBreakdown?.lines?.length ? pricing.taxBreakdown : null;
+    const tax = toPaise(pricing.tax);
+    // Orders placed before tax breakdowns were stored: intrastate, tax on top
+    const components = breakdown
+      ? { cgst: breakdown.cgst, sgst: breakdown.sgst, igst: breakdown.igst, taxableAmount: breakdown.taxableAmount }
+      : {
+        cgst: toRupees(Math.round(tax / 2)),
+        sgst: toRupees(tax - Math.round(tax / 2)),
+        igst: 0,
+        taxableAmount: toRupees(toPaise(pricing.total) - tax)
+      };
+    const hsnByService = new Map((breakdown?.lines || []).map(line => [line.service, line.hsnSac]));
+    const defaultSac = tenancy.settings?.taxConfig?.sacCode || TAX_DEFAULTS.SAC;
+    const branch = order.branch;
+
+    const data = {
+      tenancy: order.tenancy,
+      branch: branch?._id,
+      order: order._id,
+      customer: order.customer?._id,
+      orderNumber: order.orderNumber,
+      seller: {
+        name: tenancy.branding?.businessName || tenancy.name,
+        gstin: breakdown?.gstin || branch?.taxOverride?.gstin || tenancy.settings?.taxConfig?.gstin,
+        address: formatAddress(branch?.address) || formatAddress(tenancy.contact?.address),
+        state: breakdown?.supplierState || branch?.address?.state || tenancy.contact?.address?.state,
+        phone: branch?.contact?.phone || tenancy.contact?.phone,
+        email: branch?.contact?.email || tenancy.contact?.email
+      },
+      buyer: {
+        name: order.customer?.name,
+        phone: order.customer?.phone,
+        email: order.customer?.email,
+        address: formatAddress(order.deliveryAddress?.addressLine1 ? order.deliveryAddress : order.pickupAddress),
+        state: breakdown?.placeOfSupply
+      },
+      lines: order.items.map(item => ({
+        description: `${item.itemType} - ${toLabel(item.service)}`,
+        service: item.service,
+        hsnSac: hsnByService.get(item.service) || defaultSac,
+        quantity: item.quantity,
+        unitPrice: item.unitPrice,
+        amount: item.totalPrice
+      })),
+      amounts: {
+        subtotal: pricing.subtotal,
+        expressCharge: pricing.expressCharge,
+        deliveryCharge: pricing.deliveryCharge,
+        discount: pricing.discount,
+        ...components,
+        tax: pricing.tax,
+        total: pricing.total
+      },
+      taxBreakdown: breakdown || undefined,
+      createdBy
+    };
+
+    let invoice;
+    try {
+      invoice = await this.issue('invoice', data, { timeZone: tenancy.settings?.timezone });
+    } catch (error) {
+      // Issued concurrently (e.g. delivered while an admin generated it)
+      if (error.code === 11000) {
+        const concurrent = await Invoice.findOne({ order: order._id, kind: 'invoice' });
+        if (concurrent) return concurrent;
+      }
+      throw error;
+    }
+
+    await Order.updateOne(
+      { _id: order._id },
+      { $set: { invoiceGenerated: true, invoiceUrl: `/api/customer/orders/${order._id}/invoice` } }
+    );
+
+    return invoice;
+  }
+
+  /**
+   * Credit note for a processed refund, reducing the order's invoice by the
+   * refunded amount (tax included). Returns null when the order was never
+   * invoiced or the invoice is already fully credited.
+   */
+  async createCreditNote(refund, { createdBy } = {}) {
+    const existing = await Invoice.findOne({ refund: refund._id, kind: 'credit_note' });
+    if (existing) return existing;
+
+    const invoice = await Invoice.findOne({ order: refund.order, kind: 'invoice' });
+    if (!invoice) return null;
+
+    const credited = await Invoice.aggregate([
+      { $match: { originalInvoice: invoice._id, kind: 'credit_note' } },
+      { $group: { _id: null, total: { $sum: '$amounts.total' } } }
+    ]);
+    const remaining = toPaise(invoice.amounts.total) - toPaise(credited[0]?.total);
+    const total = Math.min(toPaise(refund.amount), remaining);
+    if (total <= 0) return null;
+
+    // Same tax share as the invoice
+    const invoiceTotal = toPaise(invoice.amounts.total);
+    const tax = invoiceTotal > 0 ? Math.round(toPaise(invoice.amounts.tax) * total / invoiceTotal) : 0;
+    const isInterstate = toPaise(invoice.amounts.igst) > 0;
+    const cgst = isInterstate ? 0 : Math.round(tax / 2);
+    const taxableAmount = toRupees(total - tax);
+
+    const tenancy = await this.getTenancy(invoice.tenancy);
+    const reference = refund.refundNumber ? `Refund ${refund.refundNumber}` : 'Refund';
+
+    const data = {
+      tenancy: invoice.tenancy,
+      branch: invoice.branch,
+      order: invoice.order,
+      customer: invoice.customer,
+      orderNumber: invoice.orderNumber,
+      originalInvoice: invoice._id,
+      originalInvoiceNumber: invoice.number,
+      refund: refund._id,
+      reason: refund.reason,
+      seller: invoice.seller,
+      buyer: invoice.buyer,
+      lines: [{
+        description: `${reference} against ${invoice.number}${refund.reason ? `: ${refund.reason}` : ''}`,
+        hsnSac: invoice.lines[0]?.hsnSac,
+        quantity: 1,
+        unitPrice: taxableAmount,
+        amount: taxableAmount
+      }],
+      amounts: {
+        subtotal: taxableAmount,
+        taxableAmount,
+        cgst: toRupees(cgst),
+        sgst: toRupees(isInterstate ? 0 : tax - cgst),
+        igst: toRupees(isInterstate ? tax : 0),
+        tax: toRupees(tax),
+        total: toRupees(total)
+      },
+      createdBy
+    };
+
+    try {
+      return await this.issue('credit_note', data, { timeZone: tenancy?.settings?.timezone });
+    } catch (error) {
+      if (error.code === 11000) {
+        const concurrent = await Invoice.findOne({ refund: refund._id, kind: 'credit_note' });
+        if (concurrent) return concurrent;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Invoice and credit notes of an order, oldest first
+   */
+  async getOrderDocuments(orderId) {
+    return Invoice.find({ order: orderId }).sort({ issuedAt: 1 }).lean();
+  }
+
+  async listInvoices({ tenancy, kind, from, to, search, page = 1, limit = 20 }) {
+    const filter = { tenancy };
+    if (kind) filter.kind = kind;
+    if (from || to) {
+      filter.issuedAt = {};
+      if (from) filter.issuedAt.$gte = new Date(from);
+      if (to) filter.issuedAt.$lte = new Date(to);
+    }
+    if (search) {
+      const pattern = new RegExp(String(search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      filter.$or = [{ number: pattern }, { orderNumber: pattern }, { 'buyer.name': pattern }];
+    }
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(parseInt(limit) || 20, 100);
+    const [invoices, total] = await Promise.all([
+      Invoice.find(filter)
+        .sort({ issuedAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .select('kind number financialYear issuedAt orderNumber order buyer.name amounts originalInvoiceNumber')
+        .lean(),
+      Invoice.countDocuments(filter)
+    ]);
+
+    return {
+      invoices,
+      pagination: { current: pageNum, pages: Math.ceil(total / limitNum), total, limit: limitNum }
+    };
+  }
+
+  /**
+   * Render an invoice or credit note. Returns { buffer, contentType, fileName }.
+   */
+  async renderPDF(invoice) {
+    const branding = await reportExportService.resolveBranding({}, invoice.tenancy);
+    const logo = await reportExportService.fetchLogo(branding.logoUrl);
+    const tenancy = await this.getTenancy(invoice.tenancy);
+    const timeZone = tenancy?.settings?.timezone || DEFAULT_TIMEZONE;
+    const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+      timeZone, day: '2-digit', month: 'short', year: 'numeric'
+    });
+
+    const doc = new PDFDocument({ size: 'A4', margin: 40, bufferPages: true });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    const done = new Promise((resolve, reject) => {
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+    });
+
+    const left = doc.page.margins.left;
+    const pageWidth = doc.page.width - left - doc.page.margins.right;
+    const amounts = invoice.amounts || {};
+
+    // Header band
+    doc.rect(0, 0, doc.page.width, 80).fill(branding.primaryColor);
+    let textX = left;
+    if (logo) {
+      try {
+        doc.image(logo, textX, 15, { fit: [50, 50] });
+        textX += 60;
+      } catch (error) {
+        // Unsupported image format (PDFKit renders PNG/JPEG only)
+      }
+    }
+    doc.fillColor('#FFFFFF').font('Helvetica-Bold').fontSize(18).text(invoice.seller?.name || branding.businessName, textX, 22);
+    doc.font('Helvetica').fontSize(14).text(KIND_TITLES[invoice.kind], left, 30, { width: pageWidth, align: 'right' });
+
+    // Document details
+    doc.fillColor(branding.textColor).fontSize(9);
+    const details = [
+      [invoice.kind === 'credit_note' ? 'Credit Note No' : 'Invoice No', invoice.number],
+      ['Date', formatDate(invoice.issuedAt)],
+      ['Order', invoice.orderNumber],
+      invoice.originalInvoiceNumber && ['Against Invoice', invoice.originalInvoiceNumber],
+      invoice.buyer?.state && ['Place of Supply', invoice.buyer.state]
+    ].filter(Boolean);
+    let y = 95;
+    details.forEach(([label, value]) => {
+      doc.font('Helvetica-Bold').text(`${label}:`, left, y, { continued: true }).font('Helvetica').text(` ${value || ''}`);
+      y = doc.y + 2;
+    });
+
+    // Seller and buyer
+    const blockTop = y + 8;
+    const half = pageWidth / 2;
+    const party = (title, lines, x) => {
+      doc.font('Helvetica-Bold').fontSize(10).fillColor(branding.primaryColor).text(title, x, blockTop, { width: half - 10 });
+      doc.font('Helvetica').fontSize(9).fillColor(branding.textColor);
+      lines.filter(Boolean).forEach(line => doc.text(line, x, doc.y, { width: half - 10 }));
+      return doc.y;
+    };
+    const sellerBottom = party('From', [
+      invoice.seller?.name,
+      invoice.seller?.address,
+      invoice.seller?.gstin && `GSTIN: ${invoice.seller.gstin}`,
+      invoice.seller?.phone,
+      invoice.seller?.email
+    ], left);
+    const buyerBottom = party('Bill To', [
+      invoice.buyer?.name,
+      invoice.buyer?.address,
+      invoice.buyer?.phone,
+      invoice.buyer?.email
+    ], left + half);
+    doc.y = Math.max(sellerBottom, buyerBottom) + 15;
+
+    // Line items
+    const columns = [
+      { title: '#', width: 0.06 },
+      { title: 'Description', width: 0.40 },
+      { title: 'HSN/SAC', width: 0.12 },
+      { title: 'Qty', width: 0.08, align: 'right' },
+      { title: 'Rate', width: 0.16, align: 'right' },
+      { title: 'Amount', width: 0.18, align: 'right' }
+    ];
+    const drawRow = (cells, { bold = false, fill } = {}) => {
+      if (doc.y > doc.page.height - 80) doc.addPage();
+      const rowY = doc.y;
+      if (fill) doc.rect(left, rowY - 3, pageWidth, 16).fill(fill);
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8).fillColor(fill ? '#FFFFFF' : branding.textColor);
+      let x = left;
+      let height = 0;
+      cells.forEach((cell, i) => {
+        const width = pageWidth * columns[i].width;
+        const text = String(cell ?? '');
+        doc.text(text, x + 3, rowY, { width: width - 6, align: columns[i].align || 'left' });
+        height = Math.max(height, doc.heightOfString(text, { width: width - 6 }));
+        x += width;
+      });
+      doc.y = rowY + height + 6;
+    };
+
+    drawRow(columns.map(c => c.title), { bold: true, fill: branding.primaryColor });
+    invoice.lines.forEach((line, index) => drawRow([
+      index + 1,
+      line.description,
+      line.hsnSac || '',
+      line.quantity,
+      formatMoney(line.unitPrice),
+      formatMoney(line.amount)
+    ]));
+
+    // Totals
+    const isInterstate = (amounts.igst || 0) > 0;
+    const totals = [
+      ['Subtotal', amounts.subtotal],
+      amounts.expressCharge > 0 && ['Express Charge', amounts.expressCharge],
+      amounts.deliveryCharge > 0 && ['Delivery Charge', amounts.deliveryCharge],
+      amounts.discount > 0 && ['Discount', -amounts.discount],
+      ['Taxable Value', amounts.taxableAmount],
+      ...(isInterstate
+        ? [['IGST', amounts.igst]]
+        : [['CGST', amounts.cgst], ['SGST', amounts.sgst]])
+    ].filter(Boolean);
+    doc.moveDown(0.5);
+    const labelX = left + pageWidth * 0.55;
+    const labelWidth = pageWidth * 0.25;
+    const valueWidth = pageWidth * 0.2;
+    const totalRow = (label, value, bold = false) => {
+      const rowY = doc.y;
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(bold ? 10 : 9).fillColor(branding.textColor);
+      doc.text(label, labelX, rowY, { width: labelWidth });
+      doc.text(formatMoney(value), labelX + labelWidth, rowY, { width: valueWidth - 3, align: 'right' });
+      doc.y = rowY + (bold ? 16 : 13);
+    };
+    totals.forEach(([label, value]) => totalRow(label, value));
+    totalRow(invoice.kind === 'credit_note' ? 'Total Credit' : 'Total', amounts.total, true);
+    if (invoice.taxBreakdown?.pricesIncludeTax) {
+      doc.font('Helvetica').fontSize(8).fillColor('#6B7280').text('Prices include GST.', labelX, doc.y, { width: labelWidth + valueWidth });
+    }
+
+    // Tax summary by service
+    const taxLines = invoice.taxBreakdown?.lines || [];
+    if (taxLines.length) {
+      doc.moveDown(1);
+      if (doc.y > doc.page.height - 120) doc.addPage();
+      doc.font('Helvetica-Bold').fontSize(10).fillColor(branding.primaryColor).text('Tax Summary', left, doc.y);
+      doc.moveDown(0.3);
+      taxLines.forEach(line => {
+        const components = isInterstate
+          ? `IGST ${formatMoney(line.igst)}`
+          : `CGST ${formatMoney(line.cgst)}, SGST ${formatMoney(line.sgst)}`;
+        doc.font('Helvetica').fontSize(8).fillColor(branding.textColor).text(
+          `${toLabel(line.service)} (${line.hsnSac || '-'}) @ ${line.rate}%: taxable ${formatMoney(line.taxableValue)}, ${components}`,
+          left, doc.y, { width: pageWidth }
+        );
+      });
+    }
+
+    if (invoice.reason && invoice.kind === 'credit_note') {
+      doc.moveDown(1);
+      doc.font('Helvetica').fontSize(9).fillColor(branding.textColor).text(`Reason: ${invoice.reason}`, left, doc.y, { width: pageWidth });
+    }
+
+    // Footer
+    const range = doc.bufferedPageRange();
+    for (let i = range.start; i < range.start + range.count; i++) {
+      doc.switchToPage(i);
+      // Footer sits inside the bottom margin; lift it so PDFKit doesn't add a page
+      doc.page.margins.bottom = 0;
+      doc.font('Helvetica').fontSize(8).fillColor('#9CA3AF').text(
+        `This is a computer generated document. ${invoice.number} - Page ${i + 1} of ${range.count}`,
+        left,
+        doc.page.height - 30,
+        { width: pageWidth, align: 'center', lineBreak: false }
+      );
+    }
+
+    doc.end();
+    return {
+      buffer: await done,
+      contentType: 'application/pdf',
+      fileName: `${invoice.number.replace(/\//g, '-')}.pdf`
+    };
+  }
+}
+
+module.exports = new InvoiceService();
+module.exports.InvoiceError = InvoiceError;
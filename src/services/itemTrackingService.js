@@ -0,0 +1,177 @@
+const ItemScanEvent = require('../models/ItemScanEvent');
+const OrderItem = require('../models/OrderItem');
+const NotificationService = require('./notificationService');
+const { NOTIFICATION_TYPES, RECIPIENT_TYPES } = require('../config/constants');
+
+const EVENT_STAFF_FIELDS = 'name role workerType';
+
+/**
+ * Item-level lifecycle tracking. Every tag scan, status change and issue is
+ * written to the ItemScanEvent log, so an item's path through the stations
+ * can be replayed. When an order is delivered, items that never reached
+ * ready are flagged for the branch.
+ */
+class ItemTrackingService {
+  /**
+   * Append one event for an item
+   * @param {{ item, order, action: string, station?: string, staff?: string, fromStatus?: string, toStatus?: string, notes?: string, lot?: string }} event
+   */
+  async record({ item, order, action, station, staff, fromStatus, toStatus, notes, lot }) {
+    return ItemScanEvent.create({
+      tenancy: order.tenancy,
+      branch: order.branch?._id || order.branch,
+      order: order._id,
+      item: item._id,
+      tagCode: item.tagCode,
+      lot,
+      action,
+      station: station ? String(station).trim().slice(0, 50) : undefined,
+      staff,
+      fromStatus,
+      toStatus,
+      notes: notes ? String(notes).slice(0, 500) : undefined,
+      scannedAt: new Date()
+    });
+  }
+
+  /**
+   * Station a scan happened at: the one the scanner sent, else the staff
+   * member's worker type
+   */
+  getStation(req) {
+    return req.body?.station || req.query?.station || req.user?.workerType;
+  }
+
+  /**
+   * Events of an item, oldest first, with the time spent since the
+   * previous event
+   */
+  async getItemTimeline(itemId) {
+    const events = await ItemScanEvent.find({ item: itemId })
+      .sort({ scannedAt: 1 })
+      .populate('staff', EVENT_STAFF_FIELDS)
+      .populate('branch', 'name code')
+      .populate('lot', 'barcode name kind')
+      .lean();
+
+    return events.map((event, i) => ({
+      _id: event._id,
+      action: event.action,
+      station: event.station,
+      fromStatus: event.fromStatus,
+      toStatus: event.toStatus,
+      staff: event.staff,
+      branch: event.branch,
+      notes: event.notes,
+      lot: event.lot,
+      scannedAt: event.scannedAt,
+      minutesSincePrevious: i === 0
+        ? null
+        : Math.round((new Date(event.scannedAt) - new Date(events[i - 1].scannedAt)) / 60000)
+    }));
+  }
+
+  /**
+   * Items of an order that haven't reached ready, each with its last scan
+   */
+  async getUnreadyItems(orderId) {
+    const items = await OrderItem.find({ order: orderId, processingStatus: { $ne: 'ready' } })
+      .select('tagCode itemType service processingStatus')
+      .lean();
+    if (items.length === 0) return [];
+
+    const lastScans = await ItemScanEvent.aggregate([
+      { $match: { item: { $in: items.map(i => i._id) }, action: { $ne: 'flagged_not_ready' } } },
+      { $sort: { scannedAt: -1 } },
+      {
+        $group: {
+          _id: '$item',
+          station: { $first: '$station' },
+          staff: { $first: '$staff' },
+          scannedAt: { $first: '$scannedAt' }
+        }
+      }
+    ]);
+    const lastScanByItem = new Map(lastScans.map(s => [s._id.toString(), s]));
+
+    return items.map(item => {
+      const lastScan = lastScanByItem.get(item._id.toString());
+      return {
+        itemId: item._id,
+        tagCode: item.tagCode,
+        itemType: item.itemType,
+        service: item.service,
+        processingStatus: item.processingStatus,
+        lastScan: lastScan
+          ? { station: lastScan.station, staff: lastScan.staff, scannedAt: lastScan.scannedAt }
+          : null
+      };
+    });
+  }
+
+  /**
+   * Flag the items of a delivered order that never reached ready and alert
+   * the branch manager. Runs once per order.
+   * @returns {Promise<Array>} the flagged items
+   */
+  async flagUnreadyItems(order, staff) {
+    if (await ItemScanEvent.exists({ order: order._id, action: 'flagged_not_ready' })) return [];
+
+    const unready = await this.getUnreadyItems(order._id);
+    if (unready.length === 0) return [];
+
+    for (const item of unready) {
+      await this.record({
+        item: { _id: item.itemId, tagCode: item.tagCode || 'UNTAGGED' },
+        order,
+        action: 'flagged_not_ready',
+        staff,
+        fromStatus: item.processingStatus,
+        notes: item.lastScan?.station ? `Last seen at ${item.lastScan.station}` : 'Never scanned'
+      });
+    }
+
+    const managerId = order.branch?.manager;
+    if (managerId) {
+      await NotificationService.createNotification({
+        recipientId: managerId,
+        recipientType: RECIPIENT_TYPES.BRANCH_ADMIN,
+        tenancy: order.tenancy,
+        type: NOTIFICATION_TYPES.SYSTEM_ALERT,
+        title: 'Items not ready at delivery',
+        message: `Order ${order.orderNumber} was delivered with ${unready.length} item(s) that never reached ready.`,
+        severity: 'warning',
+        data: {
+          orderId: order._id,
+          branchId: order.branch._id,
+          additionalData: { tagCodes: unready.map(i => i.tagCode) }
+        }
+      });
+    }
+
+    return unready;
+  }
+
+  /**
+   * Flagged items of a tenancy, newest first
+   */
+  async getFlaggedItems({ tenancy, branch, from, to, limit = 50 }) {
+    const filter = { action: 'flagged_not_ready' };
+    if (tenancy) filter.tenancy = tenancy;
+    if (branch) filter.branch = branch;
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+    if (fromDate && !Number.isNaN(fromDate.getTime())) filter.scannedAt = { $gte: fromDate };
+    if (toDate && !Number.isNaN(toDate.getTime())) filter.scannedAt = { ...filter.scannedAt, $lte: toDate };
+
+    return ItemScanEvent.find(filter)
+      .sort({ scannedAt: -1 })
+      .limit(Math.min(parseInt(limit) || 50, 200))
+      .populate('order', 'orderNumber status actualDeliveryDate')
+      .populate('item', 'itemType service processingStatus')
+      .populate('branch', 'name code')
+      .lean();
+  }
+}
+
+module.exports = new ItemTrackingService();
@@ -0,0 +1,722 @@
+const mongoose = require('mongoose');
+const { LoyaltyProgram, LoyaltyMember } = require('../models/LoyaltyProgram');
+const stripeService = require('./stripeService');
+const NotificationService = require('./notificationService');
+const { LAUNDRY_PLAN_STATUS, LAUNDRY_PLAN_DEFAULTS } = require('../config/constants');
+
+// Plans that still hold the customer's subscription
+const LIVE_STATUSES = [LAUNDRY_PLAN_STATUS.ACTIVE, LAUNDRY_PLAN_STATUS.PAUSED, LAUNDRY_PLAN_STATUS.PAST_DUE];
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Paid time shorter than this isn't worth a trial period on resume
+const MIN_CARRY_OVER_SECONDS = 60;
+
+const toDate = (seconds) => (seconds ? new Date(seconds * 1000) : undefined);
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Raised when a laundry plan can't be bought or changed. Carries the
+// statusCode/error code the errorHandler middleware responds with.
+class LaundryPlanError extends Error {
+  constructor(error, message, statusCode = 409, details = undefined) {
+    super(message);
+    this.name = 'LaundryPlanError';
+    this.error = error;
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/**
+ * Customer laundry plans: LoyaltyProgram type 'subscription', sold as a
+ * monthly Stripe subscription. The customer's plan lives on their
+ * LoyaltyMember (subscription.*) and follows the Stripe subscription, which
+ * is synced on checkout confirmation and from webhooks.
+ *
+ * Each billing period gives maxWashesPerMonth washes (or unlimited); an order
+ * takes one and its laundry subtotal is covered. Orders past the quota get
+ * the plan's discountPercentage, and freeDelivery waives the delivery
+ * charge. A cancelled order gives its wash back while the period lasts.
+ *
+ * Pausing stops billing and keeps the paid time left, which runs first on
+ * resume. Cancelling ends the plan at the end of the period, or at once
+ * with a refund for the unused part.
+ */
+class LaundryPlanService {
+  get stripe() {
+    return stripeService.stripe;
+  }
+
+  planQuery(tenancyId) {
+    const now = new Date();
+    return {
+      tenancy: tenancyId,
+      type: 'subscription',
+      isActive: true,
+      startDate: { $lte: now },
+      $or: [{ endDate: null }, { endDate: { $gte: now } }]
+    };
+  }
+
+  toPlanView(program) {
+    if (!program) return null;
+    const { monthlyFee, benefits = {} } = program.subscriptionConfig || {};
+    return {
+      _id: program._id,
+      name: program.name,
+      description: program.description,
+      monthlyFee,
+      benefits: {
+        unlimitedWashes: !!benefits.unlimitedWashes,
+        maxWashesPerMonth: benefits.maxWashesPerMonth || 0,
+        discountPercentage: benefits.discountPercentage || 0,
+        freeDelivery: !!benefits.freeDelivery,
+        priorityBooking: !!benefits.priorityBooking
+      }
+    };
+  }
+
+  /**
+   * Washes left this billing period, null for unlimited plans
+   */
+  washesRemaining(member) {
+    const benefits = member.program?.subscriptionConfig?.benefits || {};
+    if (benefits.unlimitedWashes) return null;
+    return Math.max(0, (benefits.maxWashesPerMonth || 0) - (member.subscription.washesUsedThisMonth || 0));
+  }
+
+  toView(member) {
+    const s = member.subscription;
+    return {
+      _id: member._id,
+      plan: this.toPlanView(member.program),
+      status: s.status,
+      monthlyFee: s.monthlyFee,
+      startDate: s.startDate,
+      currentPeriodStart: s.currentPeriodStart,
+      nextBillingDate: s.nextBillingDate,
+      washesUsed: s.washesUsedThisMonth || 0,
+      washesRemaining: this.washesRemaining(member),
+      autoRenew: s.autoRenew,
+      cancelAtPeriodEnd: !!s.cancelAtPeriodEnd,
+      pausedAt: s.pausedAt,
+      resumesAt: s.resumesAt,
+      cancelledAt: s.cancelledAt,
+      refundedAmount: s.refundedAmount || 0
+    };
+  }
+
+  async listPlans(tenancyId) {
+    const programs = await LoyaltyProgram.find(this.planQuery(tenancyId))
+      .select('name description subscriptionConfig')
+      .sort({ 'subscriptionConfig.monthlyFee': 1 })
+      .lean();
+    return programs.map(program => this.toPlanView(program));
+  }
+
+  async getPlan(tenancyId, programId) {
+    const program = mongoose.isValidObjectId(programId)
+      ? await LoyaltyProgram.findOne({ ...this.planQuery(tenancyId), _id: programId })
+      : null;
+    if (!program) {
+      throw new LaundryPlanError('PLAN_NOT_FOUND', 'Laundry plan not found', 404);
+    }
+    return program;
+  }
+
+  /**
+   * The customer's current plan in a tenancy (else their latest one)
+   * @returns {Promise<Document|null>} LoyaltyMember with program populated
+   */
+  async getMembership(userId, tenancyId) {
+    const members = await LoyaltyMember.find({
+      user: userId,
+      tenancy: tenancyId,
+      'subscription.status': { $exists: true }
+    })
+      .sort({ updatedAt: -1 })
+      .populate('program', 'name description type subscriptionConfig');
+
+    return members.find(m => LIVE_STATUSES.includes(m.subscription.status)) || members[0] || null;
+  }
+
+  /**
+   * @throws {LaundryPlanError} 404 when the customer has no plan
+   */
+  async requireMembership(userId, tenancyId) {
+    const member = await this.getMembership(userId, tenancyId);
+    if (!member || member.subscription.status === LAUNDRY_PLAN_STATUS.PENDING) {
+      throw new LaundryPlanError('PLAN_NOT_FOUND', 'You have no laundry plan', 404);
+    }
+    return member;
+  }
+
+  async getStripeCustomer(user, member) {
+    if (member.subscription?.stripeCustomerId) return member.subscription.stripeCustomerId;
+
+    const other = await LoyaltyMember.findOne({
+      user: user._id,
+      'subscription.stripeCustomerId': { $exists: true }
+    }).select('subscription.stripeCustomerId').lean();
+    if (other) return other.subscription.stripeCustomerId;
+
+    const customer = await this.stripe.customers.create({
+      email: user.email,
+      name: user.name,
+      phone: user.phone,
+      metadata: { userId: user._id.toString() }
+    });
+    return customer.id;
+  }
+
+  /**
+   * Start buying a plan: a Stripe Checkout session for a monthly
+   * subscription. The plan becomes active once it is paid (confirmCheckout
+   * or the checkout.session.completed webhook).
+   * @returns {Promise<{ url: string, sessionId: string }>}
+   */
+  async startCheckout(user, tenancyId, programId, { successUrl, cancelUrl } = {}) {
+    const program = await this.getPlan(tenancyId, programId);
+    const monthlyFee = program.subscriptionConfig?.monthlyFee;
+    if (!(monthlyFee > 0)) {
+      throw new LaundryPlanError('PLAN_NOT_AVAILABLE', 'This plan has no monthly fee set', 400);
+    }
+
+    const live = await LoyaltyMember.exists({
+      user: user._id,
+      tenancy: tenancyId,
+      'subscription.status': { $in: LIVE_STATUSES }
+    });
+    if (live) {
+      throw new LaundryPlanError('PLAN_ALREADY_ACTIVE', 'You already have a laundry plan. Cancel it before buying another.', 409);
+    }
+
+    const member = await LoyaltyMember.findOneAndUpdate(
+      { program: program._id, user: user._id },
+      { $setOnInsert: { tenancy: tenancyId, enrollmentSource: 'manual' } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+    const stripeCustomerId = await this.getStripeCustomer(user, member);
+
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3002';
+    const metadata = {
+      type: 'laundry_plan',
+      memberId: member._id.toString(),
+      programId: program._id.toString(),
+      tenancyId: tenancyId.toString(),
+      customerId: user._id.toString()
+    };
+    const session = await this.stripe.checkout.sessions.create({
+      mode: 'subscription',
+      customer: stripeCustomerId,
+      line_items: [{
+        price_data: {
+          currency: 'inr',
+          product_data: {
+            name: program.name,
+            description: program.description || 'Monthly laundry plan'
+          },
+          unit_amount: Math.round(monthlyFee * 100), // INR → paise
+          recurring: { interval: 'month' }
+        },
+        quantity: 1
+      }],
+      metadata,
+      subscription_data: { metadata },
+      success_url: successUrl || `${frontendUrl}/laundry-plans?session={CHECKOUT_SESSION_ID}`,
+      cancel_url: cancelUrl || `${frontendUrl}/laundry-plans?cancelled=true`
+    });
+
+    member.set('subscription', {
+      status: LAUNDRY_PLAN_STATUS.PENDING,
+      isActive: false,
+      monthlyFee,
+      autoRenew: true,
+      washesUsedThisMonth: 0,
+      refundedAmount: 0,
+      stripeCustomerId,
+      stripeCheckoutSessionId: session.id
+    });
+    await member.save();
+
+    return { url: session.url, sessionId: session.id };
+  }
+
+  /**
+   * Activate a plan after the customer returns from Checkout. The session is
+   * re-fetched from Stripe, so only a paid checkout activates a plan.
+   */
+  async confirmCheckout(userId, sessionId) {
+    if (!sessionId || typeof sessionId !== 'string') {
+      throw new LaundryPlanError('INVALID_INPUT', 'sessionId is required', 400);
+    }
+
+    let session;
+    try {
+      session = await this.stripe.checkout.sessions.retrieve(sessionId, { expand: ['subscription'] });
+    } catch (error) {
+      throw new LaundryPlanError('CHECKOUT_NOT_FOUND', 'Checkout session not found', 404);
+    }
+    if (session.metadata?.type !== 'laundry_plan' || session.metadata.customerId !== userId.toString()) {
+      throw new LaundryPlanError('CHECKOUT_NOT_FOUND', 'Checkout session not found', 404);
+    }
+    if (session.status !== 'complete') {
+      throw new LaundryPlanError('PAYMENT_INCOMPLETE', 'The plan has not been paid yet', 402, { status: session.status });
+    }
+
+    return this.activateFromCheckout(session);
+  }
+
+  /**
+   * Safe to call more than once for the same session (webhook + client
+   * confirmation) - only the first activates and notifies.
+   */
+  async activateFromCheckout(session) {
+    const member = mongoose.isValidObjectId(session.metadata?.memberId)
+      ? await LoyaltyMember.findById(session.metadata.memberId).populate('program', 'name description type subscriptionConfig')
+      : null;
+    if (!member) {
+      throw new LaundryPlanError('PLAN_NOT_FOUND', 'Laundry plan not found', 404);
+    }
+
+    const subscription = typeof session.subscription === 'string'
+      ? await this.stripe.subscriptions.retrieve(session.subscription)
+      : session.subscription;
+    const alreadyActive = member.subscription.stripeSubscriptionId === subscription.id &&
+      member.subscription.status !== LAUNDRY_PLAN_STATUS.PENDING;
+
+    this.applyStripeSubscription(member, subscription);
+    if (!alreadyActive) {
+      member.subscription.startDate = new Date();
+      member.subscription.endDate = undefined;
+    }
+    member.lastActivity = new Date();
+    await member.save();
+
+    if (!alreadyActive) {
+      await LoyaltyProgram.updateOne({ _id: member.program._id }, { $inc: { totalMembers: 1, activeMembers: 1 } });
+      await this.notify(member, 'activated');
+    }
+    return member;
+  }
+
+  /**
+   * Copy a Stripe subscription's state onto the member (not saved). A new
+   * billing period starts the monthly quota over unless keepQuota is set.
+   */
+  applyStripeSubscription(member, subscription, { keepQuota = false } = {}) {
+    const s = member.subscription;
+    s.stripeSubscriptionId = subscription.id;
+    if (subscription.customer) {
+      s.stripeCustomerId = typeof subscription.customer === 'string' ? subscription.customer : subscription.customer.id;
+    }
+    s.cancelAtPeriodEnd = !!subscription.cancel_at_period_end;
+    s.autoRenew = !subscription.cancel_at_period_end;
+
+    if (['canceled', 'incomplete_expired'].includes(subscription.status)) {
+      s.status = LAUNDRY_PLAN_STATUS.CANCELLED;
+      s.isActive = false;
+      s.cancelledAt = s.cancelledAt || toDate(subscription.canceled_at) || new Date();
+      s.endDate = s.cancelledAt;
+      return;
+    }
+    // Collection paused: the period is frozen until resume
+    if (subscription.pause_collection) {
+      s.status = LAUNDRY_PLAN_STATUS.PAUSED;
+      s.isActive = false;
+      return;
+    }
+    if (['past_due', 'unpaid', 'incomplete'].includes(subscription.status)) {
+      s.status = LAUNDRY_PLAN_STATUS.PAST_DUE;
+      s.isActive = false;
+      return;
+    }
+
+    const periodStart = toDate(subscription.current_period_start);
+    if (!keepQuota && periodStart && (!s.currentPeriodStart || periodStart > s.currentPeriodStart)) {
+      s.washesUsedThisMonth = 0;
+      s.currentPeriodStart = periodStart;
+      s.lastBillingDate = periodStart;
+    }
+    s.nextBillingDate = toDate(subscription.current_period_end) || s.nextBillingDate;
+    s.status = LAUNDRY_PLAN_STATUS.ACTIVE;
+    s.isActive = true;
+    s.pausedAt = undefined;
+    s.resumesAt = undefined;
+    s.pausedSecondsRemaining = undefined;
+  }
+
+  findByStripeSubscription(subscriptionId) {
+    return LoyaltyMember.findOne({ 'subscription.stripeSubscriptionId': subscriptionId })
+      .populate('program', 'name description type subscriptionConfig');
+  }
+
+  /**
+   * Apply a verified Stripe webhook event
+   * @returns {Promise<boolean>} false when the event isn't about a laundry plan
+   */
+  async handleWebhookEvent(event) {
+    const object = event.data.object;
+
+    switch (event.type) {
+      case 'checkout.session.completed':
+        if (object.mode !== 'subscription' || object.metadata?.type !== 'laundry_plan') return false;
+        await this.activateFromCheckout(object);
+        return true;
+
+      // Renewals and failed renewal payments
+      case 'invoice.paid':
+      case 'invoice.payment_failed': {
+        const member = object.subscription ? await this.findByStripeSubscription(object.subscription) : null;
+        if (!member) return false;
+
+        const previous = { status: member.subscription.status, periodStart: member.subscription.currentPeriodStart };
+        const subscription = await this.stripe.subscriptions.retrieve(object.subscription);
+        this.applyStripeSubscription(member, subscription);
+        await member.save();
+
+        const s = member.subscription;
+        if (event.type === 'invoice.payment_failed' && s.status === LAUNDRY_PLAN_STATUS.PAST_DUE &&
+            previous.status !== LAUNDRY_PLAN_STATUS.PAST_DUE) {
+          await this.notify(member, 'payment_failed');
+        } else if (event.type === 'invoice.paid' && object.billing_reason === 'subscription_cycle' &&
+            previous.periodStart && s.currentPeriodStart > previous.periodStart) {
+          await this.notify(member, 'renewed');
+        }
+        return true;
+      }
+
+      case 'customer.subscription.updated':
+      case 'customer.subscription.deleted': {
+        const member = await this.findByStripeSubscription(object.id);
+        if (!member) return false;
+
+        const wasCancelled = member.subscription.status === LAUNDRY_PLAN_STATUS.CANCELLED;
+        this.applyStripeSubscription(member, object);
+        await member.save();
+
+        if (!wasCancelled && member.subscription.status === LAUNDRY_PLAN_STATUS.CANCELLED) {
+          await LoyaltyProgram.updateOne({ _id: member.program._id }, { $inc: { activeMembers: -1 } });
+          await this.notify(member, 'cancelled');
+        }
+        return true;
+      }
+
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Pause billing and benefits. The paid time left is kept for resume. Paused
+   * plans resume by themselves at resumeAt (at most MAX_PAUSE_DAYS ahead).
+   */
+  async pause(member, { resumeAt } = {}) {
+    const s = member.subscription;
+    if (s.status !== LAUNDRY_PLAN_STATUS.ACTIVE) {
+      throw new LaundryPlanError('PLAN_NOT_ACTIVE', 'Only an active plan can be paused', 409, { status: s.status });
+    }
+    if (s.cancelAtPeriodEnd) {
+      throw new LaundryPlanError('PLAN_ENDING', 'This plan is set to end and can\'t be paused', 409);
+    }
+
+    const now = new Date();
+    const latest = new Date(now.getTime() + LAUNDRY_PLAN_DEFAULTS.MAX_PAUSE_DAYS * DAY_MS);
+    const resumesAt = resumeAt ? new Date(resumeAt) : latest;
+    if (isNaN(resumesAt.getTime()) || resumesAt <= now || resumesAt > latest) {
+      throw new LaundryPlanError('INVALID_RESUME_DATE', `resumeAt must be within the next ${LAUNDRY_PLAN_DEFAULTS.MAX_PAUSE_DAYS} days`, 400);
+    }
+
+    await this.stripe.subscriptions.update(s.stripeSubscriptionId, {
+      pause_collection: { behavior: 'void' }
+    });
+
+    s.status = LAUNDRY_PLAN_STATUS.PAUSED;
+    s.isActive = false;
+    s.pausedAt = now;
+    s.resumesAt = resumesAt;
+    s.pausedSecondsRemaining = Math.max(0, Math.floor((s.nextBillingDate - now) / 1000));
+    await member.save();
+
+    await this.notify(member, 'paused');
+    return member;
+  }
+
+  /**
+   * Resume a paused plan. The paid time left at pause runs first (as a
+   * Stripe trial) and billing restarts after it; with none left the next
+   * month is charged now. Washes used before the pause still count.
+   */
+  async resume(member) {
+    const s = member.subscription;
+    if (s.status !== LAUNDRY_PLAN_STATUS.PAUSED) {
+      throw new LaundryPlanError('PLAN_NOT_PAUSED', 'This plan is not paused', 409, { status: s.status });
+    }
+
+    const carryOver = s.pausedSecondsRemaining || 0;
+    const update = { pause_collection: '', proration_behavior: 'none' };
+    if (carryOver >= MIN_CARRY_OVER_SECONDS) {
+      update.trial_end = Math.floor(Date.now() / 1000) + carryOver;
+    } else {
+      update.billing_cycle_anchor = 'now';
+    }
+
+    const subscription = await this.stripe.subscriptions.update(s.stripeSubscriptionId, update);
+    this.applyStripeSubscription(member, subscription, { keepQuota: Boolean(update.trial_end) });
+    await member.save();
+
+    await this.notify(member, 'resumed');
+    return member;
+  }
+
+  /**
+   * Cancel a plan. By default an active plan ends with its billing period;
+   * `immediately` (and any paused or past-due plan) ends it now and refunds
+   * the unused part of the period (see proratedRefund). The plan is left as
+   * it was if Stripe won't cancel it; a failed refund is reported as
+   * refundFailed with the refundDue amount.
+   * @returns {Promise<{ member, refundedAmount: number, refundFailed?: boolean, refundDue?: number }>}
+   */
+  async cancel(member, { immediately = false, reason } = {}) {
+    const s = member.subscription;
+    if (!LIVE_STATUSES.includes(s.status)) {
+      throw new LaundryPlanError('PLAN_NOT_ACTIVE', 'This plan is not active', 409, { status: s.status });
+    }
+
+    if (!immediately && s.status === LAUNDRY_PLAN_STATUS.ACTIVE) {
+      const subscription = await this.stripe.subscriptions.update(s.stripeSubscriptionId, { cancel_at_period_end: true });
+      this.applyStripeSubscription(member, subscription);
+      s.cancellationReason = reason;
+      await member.save();
+
+      await this.notify(member, 'cancel_scheduled');
+      return { member, refundedAmount: 0 };
+    }
+
+    const refundAmount = this.proratedRefund(member);
+    // Set first so the customer.subscription.deleted webhook doesn't count it
+    // again; put back if Stripe doesn't cancel the subscription
+    const previous = {
+      status: s.status,
+      isActive: s.isActive,
+      cancelledAt: s.cancelledAt,
+      endDate: s.endDate,
+      cancellationReason: s.cancellationReason
+    };
+    s.status = LAUNDRY_PLAN_STATUS.CANCELLED;
+    s.isActive = false;
+    s.cancelledAt = new Date();
+    s.endDate = s.cancelledAt;
+    s.cancellationReason = reason;
+    await member.save();
+
+    let subscription;
+    try {
+      subscription = await this.stripe.subscriptions.cancel(s.stripeSubscriptionId);
+    } catch (error) {
+      Object.assign(s, previous);
+      await member.save();
+      throw error;
+    }
+    this.applyStripeSubscription(member, subscription);
+
+    let refundedAmount = 0;
+    let refundFailed = false;
+    if (refundAmount > 0) {
+      try {
+        refundedAmount = await this.refundLatestPayment(s.stripeSubscriptionId, refundAmount);
+      } catch (error) {
+        console.error(`Laundry plan refund of ₹${refundAmount} failed for member ${member._id}:`, error.message);
+        refundFailed = true;
+      }
+    }
+    s.refundedAmount = roundMoney((s.refundedAmount || 0) + refundedAmount);
+    await member.save();
+
+    await LoyaltyProgram.updateOne({ _id: member.program._id }, { $inc: { activeMembers: -1 } });
+    await this.notify(member, 'cancelled', { refundedAmount });
+    return { member, refundedAmount, ...(refundFailed && { refundFailed, refundDue: refundAmount }) };
+  }
+
+  /**
+   * Refund for ending a plan now: the monthly fee times the unused share of
+   * the period, or of the washes for plans with a quota, whichever is less.
+   * Nothing is refunded for a period that wasn't paid (past due).
+   */
+  proratedRefund(member) {
+    const s = member.subscription;
+    if (s.status === LAUNDRY_PLAN_STATUS.PAST_DUE) return 0;
+
+    const periodMs = s.nextBillingDate - s.currentPeriodStart;
+    if (!(periodMs > 0)) return 0;
+
+    const remainingMs = s.status === LAUNDRY_PLAN_STATUS.PAUSED
+      ? (s.pausedSecondsRemaining || 0) * 1000
+      : Math.max(0, s.nextBillingDate - Date.now());
+    let unused = Math.min(1, remainingMs / periodMs);
+
+    const benefits = member.program?.subscriptionConfig?.benefits || {};
+    if (!benefits.unlimitedWashes && benefits.maxWashesPerMonth > 0) {
+      unused = Math.min(unused, this.washesRemaining(member) / benefits.maxWashesPerMonth);
+    }
+    return roundMoney((s.monthlyFee || 0) * unused);
+  }
+
+  /**
+   * Refund part of the subscription's latest paid invoice
+   * @returns {Promise<number>} Rupees refunded
+   */
+  async refundLatestPayment(subscriptionId, amount) {
+    const { data: [invoice] } = await this.stripe.invoices.list({ subscription: subscriptionId, status: 'paid', limit: 1 });
+    if (!invoice?.payment_intent || !(invoice.amount_paid > 0)) return 0;
+
+    const paise = Math.min(Math.round(amount * 100), invoice.amount_paid);
+    await this.stripe.refunds.create({
+      payment_intent: invoice.payment_intent,
+      amount: paise,
+      reason: 'requested_by_customer',
+      metadata: { type: 'laundry_plan_proration', subscriptionId }
+    });
+    return paise / 100;
+  }
+
+  /**
+   * Resume paused plans whose resumeAt has come (scheduled job)
+   */
+  async resumeDuePlans() {
+    const members = await LoyaltyMember.find({
+      'subscription.status': LAUNDRY_PLAN_STATUS.PAUSED,
+      'subscription.resumesAt': { $lte: new Date() }
+    })
+      .limit(100)
+      .populate('program', 'name description type subscriptionConfig');
+
+    let resumed = 0;
+    let failed = 0;
+    for (const member of members) {
+      try {
+        await this.resume(member);
+        resumed++;
+      } catch (error) {
+        failed++;
+        console.error(`Failed to resume laundry plan of member ${member._id}:`, error.message);
+      }
+    }
+    return { resumed, failed };
+  }
+
+  /**
+   * Apply the customer's active plan to a new order: take a wash from the
+   * quota, work out the plan discount and waive the delivery charge. Call
+   * releaseWash if the order isn't created after all.
+   * @param {ObjectId} customerId
+   * @param {ObjectId} tenancyId
+   * @param {Object} amounts - { subtotal, deliveryCharge }
+   * @returns {Promise<{ laundryPlan, planDiscount, deliveryCharge, priorityBooking }|null>}
+   *   null when the customer has no active plan or it gives nothing
+   */
+  async useForOrder(customerId, tenancyId, { subtotal, deliveryCharge = 0 }) {
+    const member = await LoyaltyMember.findOne({
+      user: customerId,
+      tenancy: tenancyId,
+      'subscription.status': LAUNDRY_PLAN_STATUS.ACTIVE
+    }).populate('program', 'type subscriptionConfig');
+    if (!member || member.program?.type !== 'subscription') return null;
+
+    const benefits = member.program.subscriptionConfig?.benefits || {};
+    const washCovered = await this.reserveWash(member, benefits);
+    const laundryPlan = {
+      member: member._id,
+      program: member.program._id,
+      washCovered,
+      discountPercentage: washCovered ? 0 : (benefits.discountPercentage || 0),
+      deliveryWaived: benefits.freeDelivery ? deliveryCharge : 0
+    };
+
+    if (!washCovered && !laundryPlan.discountPercentage && !laundryPlan.deliveryWaived && !benefits.priorityBooking) {
+      return null;
+    }
+    return {
+      laundryPlan,
+      planDiscount: this.planDiscount(subtotal, laundryPlan),
+      deliveryCharge: deliveryCharge - laundryPlan.deliveryWaived,
+      priorityBooking: !!benefits.priorityBooking
+    };
+  }
+
+  /**
+   * Take one wash from the member's quota for this period
+   */
+  async reserveWash(member, benefits) {
+    const filter = { _id: member._id, 'subscription.status': LAUNDRY_PLAN_STATUS.ACTIVE };
+    if (!benefits.unlimitedWashes) {
+      if (!(benefits.maxWashesPerMonth > 0)) return false;
+      filter['subscription.washesUsedThisMonth'] = { $lt: benefits.maxWashesPerMonth };
+    }
+
+    const updated = await LoyaltyMember.findOneAndUpdate(
+      filter,
+      { $inc: { 'subscription.washesUsedThisMonth': 1 } },
+      { new: true }
+    );
+    return !!updated;
+  }
+
+  /**
+   * The discount a plan gives on an order's laundry subtotal: all of it for
+   * a covered wash, else the plan's percentage
+   */
+  planDiscount(subtotal, laundryPlan) {
+    if (!laundryPlan) return 0;
+    if (laundryPlan.washCovered) return Math.max(0, subtotal);
+    return Math.round(Math.max(0, subtotal) * (laundryPlan.discountPercentage || 0) / 100);
+  }
+
+  /**
+   * Give a wash back to the quota. Washes of an earlier billing period
+   * (before the quota was reset) are not given back.
+   * @param {Object} laundryPlan - Order's laundryPlan
+   * @param {Date} [takenAt] - When the wash was taken
+   */
+  async releaseWash(laundryPlan, takenAt = new Date()) {
+    if (!laundryPlan?.washCovered) return false;
+
+    const result = await LoyaltyMember.updateOne(
+      {
+        _id: laundryPlan.member,
+        'subscription.currentPeriodStart': { $lte: takenAt },
+        'subscription.washesUsedThisMonth': { $gt: 0 }
+      },
+      { $inc: { 'subscription.washesUsedThisMonth': -1 } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Give a cancelled order's wash back (release_plan_wash effect). Safe to
+   * call more than once.
+   */
+  async releaseForOrder(order) {
+    if (!order.laundryPlan?.washCovered || order.laundryPlan.washReleasedAt) return;
+
+    await this.releaseWash(order.laundryPlan, order.createdAt);
+    order.laundryPlan.washReleasedAt = new Date();
+    await order.save();
+  }
+
+  async notify(member, event, extra = {}) {
+    try {
+      await NotificationService.notifyLaundryPlanUpdated(member.user, event, {
+        memberId: member._id,
+        planName: member.program?.name || 'laundry',
+        status: member.subscription.status,
+        nextBillingDate: member.subscription.nextBillingDate,
+        resumesAt: member.subscription.resumesAt,
+        ...extra
+      }, member.tenancy);
+    } catch (error) {
+      console.error(`Failed to send laundry plan ${event} notification:`, error.message);
+    }
+  }
+}
+
+module.exports = new LaundryPlanService();
+module.exports.LaundryPlanError = LaundryPlanError;
@@ -0,0 +1,307 @@
+const Lot = require('../models/Lot');
+const Order = require('../models/Order');
+const OrderItem = require('../models/OrderItem');
+const itemTrackingService = require('./itemTrackingService');
+const inventoryConsumptionService = require('./inventoryConsumptionService');
+const { generateLotBarcode, generateLotLabels } = require('../utils/barcode');
+const { ORDER_STATUS } = require('../config/constants');
+
+const PROCESSING_STATUSES = OrderItem.schema.path('processingStatus').enumValues;
+const CLOSED_ORDER_STATUSES = [ORDER_STATUS.DELIVERED, ORDER_STATUS.CANCELLED];
+const LOT_ITEM_FIELDS = 'order tagCode itemType service category quantity processingStatus specialInstructions createdAt';
+// Attempts at a barcode that isn't taken yet
+const BARCODE_ATTEMPTS = 3;
+
+// Raised when a lot operation isn't possible. Carries the statusCode/error
+// code the errorHandler middleware responds with.
+class LotError extends Error {
+  constructor(error, message, statusCode = 409, details = undefined) {
+    super(message);
+    this.name = 'LotError';
+    this.error = error;
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/**
+ * Bags and wash lots. Items of several orders of one branch are grouped in a
+ * lot; scanning the lot moves all its items to a processing status at once,
+ * logging each move in the item scan history.
+ */
+class LotService {
+  async createLot({ tenancy, branch, kind, name, notes, createdBy }) {
+    for (let attempt = 0; attempt < BARCODE_ATTEMPTS; attempt++) {
+      try {
+        return await Lot.create({
+          tenancy,
+          branch,
+          kind,
+          name,
+          notes,
+          createdBy,
+          barcode: generateLotBarcode()
+        });
+      } catch (error) {
+        if (error.code !== 11000 || attempt === BARCODE_ATTEMPTS - 1) throw error;
+      }
+    }
+  }
+
+  /**
+   * A lot of the tenancy by barcode or id
+   */
+  async findLot(barcodeOrId, tenancy) {
+    const value = String(barcodeOrId || '');
+    const query = /^[a-f\d]{24}$/i.test(value) ? { _id: value } : { barcode: value.toUpperCase() };
+    if (tenancy) query.tenancy = tenancy;
+
+    const lot = await Lot.findOne(query);
+    if (!lot) {
+      throw new LotError('LOT_NOT_FOUND', 'No bag or lot found with this barcode', 404);
+    }
+    return lot;
+  }
+
+  assertOpen(lot) {
+    if (lot.status !== 'open') {
+      throw new LotError('LOT_CLOSED', `${lot.barcode} is closed`, 409);
+    }
+  }
+
+  /**
+   * Items for tag codes, checked to belong to open orders of the lot's branch
+   */
+  async resolveItems(lot, tagCodes = []) {
+    const codes = [...new Set(tagCodes.filter(Boolean).map(code => String(code).trim().toUpperCase()))];
+    if (codes.length === 0) {
+      throw new LotError('INVALID_INPUT', 'Please provide an array of item tag codes', 400);
+    }
+
+    const items = await OrderItem.find({ tagCode: { $in: codes } }).select(LOT_ITEM_FIELDS);
+    const orders = await Order.find({ _id: { $in: items.map(i => i.order) }, tenancy: lot.tenancy })
+      .select('orderNumber status branch tenancy');
+    const ordersById = new Map(orders.map(o => [o._id.toString(), o]));
+
+    const found = items.filter(i => ordersById.has(i.order.toString()));
+    const missing = codes.filter(code => !found.some(i => i.tagCode === code));
+    if (missing.length > 0) {
+      throw new LotError('ITEM_NOT_FOUND', 'Some tag codes were not found', 404, { tagCodes: missing });
+    }
+
+    const wrongBranch = found.filter(i => !ordersById.get(i.order.toString()).branch?.equals(lot.branch));
+    if (wrongBranch.length > 0) {
+      throw new LotError('ITEM_WRONG_BRANCH', 'Items must belong to orders of the lot\'s branch', 409, {
+        tagCodes: wrongBranch.map(i => i.tagCode)
+      });
+    }
+
+    return { items: found, ordersById };
+  }
+
+  /**
+   * Put items into an open lot. An item already in another open lot has to
+   * be removed from it first.
+   */
+  async addItems(lot, tagCodes, { staff, station } = {}) {
+    this.assertOpen(lot);
+    const { items, ordersById } = await this.resolveItems(lot, tagCodes);
+
+    const closedOrders = items.filter(i => CLOSED_ORDER_STATUSES.includes(ordersById.get(i.order.toString()).status));
+    if (closedOrders.length > 0) {
+      throw new LotError('ORDER_CLOSED', 'Items of delivered or cancelled orders can\'t be added', 409, {
+        tagCodes: closedOrders.map(i => i.tagCode)
+      });
+    }
+
+    const elsewhere = await Lot.find({
+      _id: { $ne: lot._id },
+      status: 'open',
+      items: { $in: items.map(i => i._id) }
+    }).select('barcode items').lean();
+    if (elsewhere.length > 0) {
+      const conflicts = items
+        .map(item => ({ item, other: elsewhere.find(l => l.items.some(id => id.equals(item._id))) }))
+        .filter(c => c.other)
+        .map(c => ({ tagCode: c.item.tagCode, lotBarcode: c.other.barcode }));
+      throw new LotError('ITEM_IN_OTHER_LOT', 'Some items are already in another open bag or lot', 409, conflicts);
+    }
+
+    const newItems = items.filter(i => !lot.items.some(id => id.equals(i._id)));
+    const updated = await Lot.findOneAndUpdate(
+      { _id: lot._id, status: 'open' },
+      { $addToSet: { items: { $each: newItems.map(i => i._id) } } },
+      { new: true }
+    );
+    if (!updated) this.assertOpen({ status: 'closed', barcode: lot.barcode });
+
+    for (const item of newItems) {
+      await itemTrackingService.record({
+        item,
+        order: ordersById.get(item.order.toString()),
+        action: 'scan',
+        station,
+        staff,
+        toStatus: item.processingStatus,
+        notes: `Added to ${lot.barcode}`,
+        lot: lot._id
+      });
+    }
+
+    return { lot: updated, added: newItems.map(i => i.tagCode) };
+  }
+
+  async removeItems(lot, tagCodes, { staff, station } = {}) {
+    this.assertOpen(lot);
+    const { items, ordersById } = await this.resolveItems(lot, tagCodes);
+
+    const contained = items.filter(i => lot.items.some(id => id.equals(i._id)));
+    const updated = await Lot.findOneAndUpdate(
+      { _id: lot._id, status: 'open' },
+      { $pull: { items: { $in: contained.map(i => i._id) } } },
+      { new: true }
+    );
+    if (!updated) this.assertOpen({ status: 'closed', barcode: lot.barcode });
+
+    for (const item of contained) {
+      await itemTrackingService.record({
+        item,
+        order: ordersById.get(item.order.toString()),
+        action: 'scan',
+        station,
+        staff,
+        toStatus: item.processingStatus,
+        notes: `Removed from ${lot.barcode}`,
+        lot: lot._id
+      });
+    }
+
+    return { lot: updated, removed: contained.map(i => i.tagCode) };
+  }
+
+  /**
+   * Batch scan: move every item in the lot to a processing status, e.g. when
+   * the lot goes into a machine cycle
+   * @returns {Promise<{ lot, updated: Array<{ tagCode, fromStatus, toStatus }>, unchanged: string[] }>}
+   */
+  async advanceLot(lot, { processingStatus, station, notes, staff }) {
+    if (!PROCESSING_STATUSES.includes(processingStatus)) {
+      throw new LotError('INVALID_STATUS', 'Invalid processing status', 400, { allowed: PROCESSING_STATUSES });
+    }
+    this.assertOpen(lot);
+    if (lot.items.length === 0) {
+      throw new LotError('LOT_EMPTY', `${lot.barcode} has no items`, 409);
+    }
+
+    const items = await OrderItem.find({ _id: { $in: lot.items } }).select(LOT_ITEM_FIELDS);
+    const orders = await Order.find({ _id: { $in: items.map(i => i.order) } }).select('tenancy branch pendingRequote');
+    const ordersById = new Map(orders.map(o => [o._id.toString(), o]));
+
+    // Items of orders whose revised quote the customer hasn't answered stay put
+    const awaitingQuote = processingStatus === 'pending'
+      ? []
+      : items.filter(i => ordersById.get(i.order.toString())?.pendingRequote);
+    if (awaitingQuote.length > 0) {
+      throw new LotError('QUOTE_PENDING_APPROVAL', 'Some orders in this lot are awaiting the customer\'s approval of a revised quote', 409, {
+        tagCodes: awaitingQuote.map(i => i.tagCode)
+      });
+    }
+
+    const toMove = items.filter(i => i.processingStatus !== processingStatus);
+    const update = { processingStatus };
+    // Same quality check bookkeeping as a single item scan
+    if (processingStatus === 'quality_check' || processingStatus === 'ready') {
+      update.qualityCheck = {
+        passed: processingStatus === 'ready',
+        notes: notes || '',
+        checkedBy: staff,
+        checkedAt: new Date()
+      };
+    }
+    if (toMove.length > 0) {
+      await OrderItem.updateMany({ _id: { $in: toMove.map(i => i._id) } }, { $set: update });
+    }
+
+    const updated = [];
+    for (const item of toMove) {
+      await itemTrackingService.record({
+        item,
+        order: ordersById.get(item.order.toString()) || { _id: item.order },
+        action: 'status_change',
+        station,
+        staff,
+        fromStatus: item.processingStatus,
+        toStatus: processingStatus,
+        notes: notes || `Scanned with ${lot.barcode}`,
+        lot: lot._id
+      });
+      updated.push({ tagCode: item.tagCode, fromStatus: item.processingStatus, toStatus: processingStatus });
+    }
+
+    // Processing starts: debit each item's consumption recipe (once per item)
+    if (processingStatus === 'in_progress' && toMove.length > 0) {
+      try {
+        await inventoryConsumptionService.consumeItems(toMove, { requestedBy: staff });
+      } catch (error) {
+        console.error(`Inventory consumption failed for ${lot.barcode}:`, error);
+      }
+    }
+
+    lot.lastScan = { processingStatus, station, scannedBy: staff, scannedAt: new Date() };
+    await lot.save();
+
+    return {
+      lot,
+      updated,
+      unchanged: items.filter(i => i.processingStatus === processingStatus).map(i => i.tagCode)
+    };
+  }
+
+  async closeLot(lot) {
+    this.assertOpen(lot);
+    lot.status = 'closed';
+    lot.closedAt = new Date();
+    await lot.save();
+    return lot;
+  }
+
+  /**
+   * Lot with its items and their order numbers
+   */
+  async getLotDetails(lot) {
+    await lot.populate({
+      path: 'items',
+      select: 'order tagCode itemType service category processingStatus',
+      populate: { path: 'order', select: 'orderNumber status' }
+    });
+    return lot;
+  }
+
+  async listLots({ tenancy, branch, status, limit = 50 }) {
+    const filter = { tenancy };
+    if (branch) filter.branch = branch;
+    if (status) filter.status = status;
+
+    return Lot.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(limit) || 50, 200))
+      .populate('branch', 'name code')
+      .lean();
+  }
+
+  /**
+   * Print labels for the items of a lot, in the getOrderLabels label format
+   */
+  async getLotLabels(lot) {
+    const items = await OrderItem.find({ _id: { $in: lot.items } });
+    const orders = await Order.find({ _id: { $in: items.map(i => i.order) } })
+      .select('orderNumber barcode customer')
+      .populate('customer', 'name phone email');
+    const ordersById = new Map(orders.map(o => [o._id.toString(), o]));
+
+    return generateLotLabels(items.filter(i => ordersById.has(i.order.toString())), lot, ordersById);
+  }
+}
+
+module.exports = new LotService();
+module.exports.LotError = LotError;
@@ -3,6 +3,9 @@ const { NOTIFICATION_TYPES, RECIPIENT_TYPES, PLATFORM_ROLES, NOTIFICATION_ROLE_M
 
 // Use new Socket.IO notification system instead of legacy event bus
 const notificationServiceIntegration = require('./notificationServiceIntegration');
+const { NotificationPreferenceService } = require('./notifications/NotificationPreferenceService');
+
+const notificationPreferenceService = new NotificationPreferenceService();
 
 class NotificationService {
   /**
@@ -35,6 +38,30 @@ class NotificationService {
         }
       }
 
+      // Respect the recipient's preferences and quiet hours (P0 and security
+      // notifications bypass them). A muted in-app channel still leaves a
+      // record, marked unselected so it stays out of the notification list.
+      let inAppAllowed = normalizedChannels.inApp?.selected !== false;
+      if (recipientModel === 'User') {
+        const preferences = await notificationPreferenceService.getPreferences(recipientId);
+        const requested = Object.entries(normalizedChannels)
+          .filter(([, value]) => value?.selected !== false)
+          .map(([key]) => (key === 'inApp' ? 'in_app' : key));
+        const { channels: allowed, suppressed } = notificationPreferenceService.filterChannels(
+          requested,
+          { priority, category: notificationServiceIntegration.getCategoryFromType(type) },
+          preferences
+        );
+
+        for (const { channel } of suppressed) {
+          normalizedChannels[channel === 'in_app' ? 'inApp' : channel] = { selected: false };
+        }
+        inAppAllowed = allowed.includes('in_app');
+        if (!inAppAllowed) {
+          console.log(`🔕 In-app muted by preferences: ${title} for user ${recipientId}`);
+        }
+      }
+
       const notification = await Notification.createNotification({
         recipient: recipientId,
         recipientModel,
@@ -52,6 +79,10 @@ class NotificationService {
         channels: normalizedChannels
       });
 
+      if (!inAppAllowed) {
+        return notification;
+      }
+
       // Send real-time notification via Socket.IO Notification Engine
       try {
         await notificationServiceIntegration.createNotification({
@@ -211,6 +242,34 @@ class NotificationService {
     });
   }
 
+  static async notifyLaundryPlanUpdated(customerId, event, details, tenancy) {
+    const { planName, nextBillingDate, resumesAt, refundedAmount } = details;
+    const date = (value) => new Date(value).toLocaleDateString('en-IN');
+    const messages = {
+      activated: ['Laundry Plan Active', `Your ${planName} plan is active. Enjoy your benefits!`, 'success'],
+      renewed: ['Laundry Plan Renewed', `Your ${planName} plan has renewed and your washes for this month are reset.`, 'success'],
+      payment_failed: ['Laundry Plan Payment Failed', `We couldn't renew your ${planName} plan. Please update your payment method to keep your benefits.`, 'error'],
+      paused: ['Laundry Plan Paused', `Your ${planName} plan is paused${resumesAt ? ` until ${date(resumesAt)}` : ''}. Unused days are kept for when you resume.`, 'info'],
+      resumed: ['Laundry Plan Resumed', `Your ${planName} plan is active again${nextBillingDate ? ` and next renews on ${date(nextBillingDate)}` : ''}.`, 'success'],
+      cancel_scheduled: ['Laundry Plan Ending', `Your ${planName} plan will end on ${nextBillingDate ? date(nextBillingDate) : 'the end of this billing period'} and won't renew.`, 'info'],
+      cancelled: ['Laundry Plan Cancelled', `Your ${planName} plan is cancelled.${refundedAmount > 0 ? ` ₹${refundedAmount} for the unused part will be refunded to your card.` : ''}`, 'info']
+    };
+    const [title, message, severity] = messages[event] || messages.activated;
+
+    return this.createNotification({
+      recipientId: customerId,
+      recipientType: RECIPIENT_TYPES.CUSTOMER,
+      tenancy,
+      type: NOTIFICATION_TYPES.LAUNDRY_PLAN_UPDATED,
+      title,
+      message,
+      icon: 'repeat',
+      severity,
+      priority: event === 'payment_failed' ? 'P1' : undefined,
+      data: { event, ...details, link: '/customer/laundry-plans' }
+    });
+  }
+
   static async notifyCouponExpiring(customerId, coupon, tenancy) {
     return this.createNotification({
       recipientId: customerId,
@@ -1066,6 +1125,83 @@ class NotificationService {
     });
   }
 
+  static async notifyOrderRequoted(customerId, order, requote, tenancy) {
+    const change = requote.difference > 0
+      ? `increased by ₹${requote.difference}`
+      : `reduced by ₹${Math.abs(requote.difference)}`;
+
+    return this.createNotification({
+      recipientId: customerId,
+      recipientType: RECIPIENT_TYPES.CUSTOMER,
+      tenancy,
+      type: NOTIFICATION_TYPES.ORDER_REQUOTED,
+      title: 'Order Price Updated',
+      message: requote.reason === 'weigh_in'
+        ? `Your order ${order.orderNumber} was weighed and its total ${change} to ₹${requote.newTotal}.`
+        : `The items of your order ${order.orderNumber} were updated and its total ${change} to ₹${requote.newTotal}.`,
+      icon: 'scale',
+      severity: requote.difference > 0 ? 'warning' : 'info',
+      data: {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        previousTotal: requote.previousTotal,
+        newTotal: requote.newTotal,
+        difference: requote.difference,
+        reason: requote.reason,
+        items: requote.items,
+        link: `/customer/orders/${order._id}`
+      }
+    });
+  }
+
+  static async notifyOrderQuotePending(customerId, order, requote, approvalUrl, tenancy) {
+    return this.createNotification({
+      recipientId: customerId,
+      recipientType: RECIPIENT_TYPES.CUSTOMER,
+      tenancy,
+      type: NOTIFICATION_TYPES.ORDER_QUOTE_PENDING,
+      title: 'Approve Your Revised Quote',
+      message: `We updated the items of your order ${order.orderNumber}. The new total is ₹${requote.newTotal} (was ₹${requote.previousTotal}). Approve or reject it: ${approvalUrl}`,
+      icon: 'file-text',
+      severity: 'warning',
+      priority: 'P1',
+      data: {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        requoteId: requote._id,
+        previousTotal: requote.previousTotal,
+        newTotal: requote.newTotal,
+        difference: requote.difference,
+        changes: requote.changes,
+        approvalUrl,
+        link: `/customer/orders/${order._id}`
+      },
+      channels: { inApp: true, sms: true }
+    });
+  }
+
+  static async notifyAdminQuoteDecision(order, requote, tenancyId) {
+    const approved = requote.status === 'approved';
+    return this.notifyTenancyAdmins(tenancyId, {
+      type: NOTIFICATION_TYPES.ORDER_QUOTE_DECIDED,
+      title: approved ? 'Revised Quote Approved' : 'Revised Quote Rejected',
+      message: approved
+        ? `The customer approved the revised quote of ₹${requote.newTotal} for order ${order.orderNumber}. It can be processed now.`
+        : `The customer rejected the revised quote for order ${order.orderNumber}${requote.rejectionReason ? `: ${requote.rejectionReason}` : ''}.`,
+      icon: approved ? 'check-circle' : 'x-circle',
+      severity: approved ? 'success' : 'warning',
+      data: {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        requoteId: requote._id,
+        status: requote.status,
+        newTotal: requote.newTotal,
+        reason: requote.rejectionReason,
+        link: `/admin/orders?id=${order._id}`
+      }
+    });
+  }
+
   static async notifyAdminOrderCancelled(adminId, order, tenancy) {
     return this.createNotification({
       recipientId: adminId,
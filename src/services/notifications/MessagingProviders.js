@@ -0,0 +1,366 @@
+/**
+ * MessagingProviders - SMS and WhatsApp delivery providers
+ * Part of the Socket.IO Notification Engine Implementation
+ *
+ * Providers:
+ *   - 'twilio'   SMS + WhatsApp (TWILIO_ACCOUNT_SID / TWILIO_AUTH_TOKEN)
+ *   - 'fast2sms' SMS only (FAST2SMS_API_KEY), DLT templates
+ *   - 'console'  dev fallback - logs the message, nothing is sent
+ *   - 'mock'     in-memory provider for tests, receipts are posted by hand
+ *
+ * Selection per channel (same rules as smsService):
+ *   - SMS_PROVIDER / WHATSAPP_PROVIDER if set
+ *   - else the first provider with credentials for the channel
+ *   - else console; in production console counts as "no provider" and the
+ *     channel is skipped instead of pretending to deliver
+ *
+ * Every provider implements:
+ *   send({ channel, to, from, text, template }) -> { messageId, status }
+ *   parseReceipts(req) -> [{ messageId, status, error, errorCode }] (optional)
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+
+const FAST2SMS_URL = 'https://www.fast2sms.com/dev/bulkV2';
+const TWILIO_API_URL = 'https://api.twilio.com/2010-04-01';
+
+// Normalised delivery states stored in channels.<channel>.deliveryStatus
+const DELIVERY_STATUS = {
+  SENT: 'sent',
+  DELIVERED: 'delivered',
+  READ: 'read',
+  FAILED: 'failed'
+};
+
+/**
+ * 10-digit Indian mobile numbers (User.phone) -> E.164
+ */
+function toE164(phone) {
+  const digits = String(phone || '').replace(/[^\d+]/g, '');
+  if (digits.startsWith('+')) return digits;
+  if (digits.length === 10) return `+${process.env.DEFAULT_COUNTRY_CODE || '91'}${digits}`;
+  return `+${digits}`;
+}
+
+function toLocalNumber(phone) {
+  return String(phone || '').replace(/\D/g, '').slice(-10);
+}
+
+/**
+ * URL providers call back with delivery receipts
+ */
+function receiptUrl(providerName) {
+  const base = process.env.API_URL;
+  return base ? `${base.replace(/\/$/, '')}/api/notifications/receipts/${providerName}` : null;
+}
+
+class ConsoleMessagingProvider {
+  constructor() {
+    this.name = 'console';
+    this.channels = ['sms', 'whatsapp'];
+  }
+
+  isConfigured() {
+    return process.env.NODE_ENV !== 'production';
+  }
+
+  async send({ channel, to, from, text, template }) {
+    const body = template ? `[template ${template.id}] ${template.params.join(' | ')}` : text;
+    console.log(`${channel === 'whatsapp' ? '💬' : '📱'} [DEV ${channel.toUpperCase()}] ${from || 'default'} -> ${to}: ${body}`);
+    return { messageId: `console_${Date.now()}`, status: DELIVERY_STATUS.SENT };
+  }
+}
+
+class MockMessagingProvider {
+  constructor() {
+    this.name = 'mock';
+    this.channels = ['sms', 'whatsapp'];
+    this.sent = [];
+    this.failures = [];
+    this.counter = 0;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Make the next send() throw with the given message
+   */
+  failNext(message = 'Mock delivery failure') {
+    this.failures.push(message);
+  }
+
+  reset() {
+    this.sent = [];
+    this.failures = [];
+  }
+
+  async send(message) {
+    if (this.failures.length) {
+      throw new Error(this.failures.shift());
+    }
+    this.counter += 1;
+    const messageId = `mock_${this.counter}_${Date.now()}`;
+    this.sent.push({ ...message, messageId, sentAt: new Date() });
+    return { messageId, status: DELIVERY_STATUS.SENT };
+  }
+
+  /**
+   * Body: { messageId, status, error } or { receipts: [...] }
+   */
+  parseReceipts(req) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('Mock receipts are disabled in production');
+    }
+    const receipts = Array.isArray(req.body?.receipts) ? req.body.receipts : [req.body || {}];
+    return receipts
+      .filter(r => r.messageId && Object.values(DELIVERY_STATUS).includes(r.status))
+      .map(r => ({ messageId: r.messageId, status: r.status, error: r.error, errorCode: r.errorCode }));
+  }
+}
+
+class TwilioMessagingProvider {
+  constructor() {
+    this.name = 'twilio';
+    this.channels = ['sms', 'whatsapp'];
+  }
+
+  isConfigured(channel) {
+    if (!process.env.TWILIO_ACCOUNT_SID || !process.env.TWILIO_AUTH_TOKEN) return false;
+    // WhatsApp senders can come from the tenancy, SMS needs a platform number
+    return channel === 'whatsapp' || !!process.env.TWILIO_SMS_FROM;
+  }
+
+  async send({ channel, to, from, text, template }) {
+    const isWhatsApp = channel === 'whatsapp';
+    const sender = from || (isWhatsApp ? process.env.WHATSAPP_FROM : process.env.TWILIO_SMS_FROM);
+    if (!sender) {
+      throw new Error(`No ${channel} sender configured`);
+    }
+
+    const params = new URLSearchParams({
+      To: isWhatsApp ? `whatsapp:${toE164(to)}` : toE164(to),
+      From: isWhatsApp ? `whatsapp:${toE164(sender)}` : sender
+    });
+
+    if (template) {
+      // Approved Content API template; variables are numbered {{1}}, {{2}}, ...
+      params.set('ContentSid', template.id);
+      params.set('ContentVariables', JSON.stringify(
+        Object.fromEntries(template.params.map((value, index) => [String(index + 1), String(value)]))
+      ));
+    } else {
+      params.set('Body', text);
+    }
+
+    const callback = receiptUrl(this.name);
+    if (callback) params.set('StatusCallback', callback);
+
+    try {
+      const res = await axios.post(
+        `${TWILIO_API_URL}/Accounts/${process.env.TWILIO_ACCOUNT_SID}/Messages.json`,
+        params.toString(),
+        {
+          auth: { username: process.env.TWILIO_ACCOUNT_SID, password: process.env.TWILIO_AUTH_TOKEN },
+          headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+          timeout: 8000
+        }
+      );
+      return { messageId: res.data.sid, status: this.normaliseStatus(res.data.status) };
+    } catch (err) {
+      const detail = err.response?.data?.message || err.message;
+      throw new Error(`Twilio ${channel} error: ${detail}`);
+    }
+  }
+
+  normaliseStatus(status) {
+    switch (status) {
+      case 'delivered':
+        return DELIVERY_STATUS.DELIVERED;
+      case 'read':
+        return DELIVERY_STATUS.READ;
+      case 'failed':
+      case 'undelivered':
+        return DELIVERY_STATUS.FAILED;
+      default:
+        // queued, accepted, sending, sent
+        return DELIVERY_STATUS.SENT;
+    }
+  }
+
+  /**
+   * Status callback (form encoded). Verified with X-Twilio-Signature:
+   * base64 HMAC-SHA1 of the callback URL followed by the sorted params.
+   */
+  parseReceipts(req) {
+    const url = receiptUrl(this.name);
+    const signature = req.get('X-Twilio-Signature') || '';
+    const payload = Object.keys(req.body || {})
+      .sort()
+      .reduce((acc, key) => acc + key + req.body[key], url || '');
+    const expected = crypto
+      .createHmac('sha1', process.env.TWILIO_AUTH_TOKEN || '')
+      .update(payload)
+      .digest('base64');
+
+    if (!url || signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+      throw new Error('Invalid Twilio signature');
+    }
+
+    const { MessageSid, MessageStatus, ErrorCode, ErrorMessage } = req.body;
+    if (!MessageSid) return [];
+
+    const status = this.normaliseStatus(MessageStatus);
+    return [{
+      messageId: MessageSid,
+      status,
+      errorCode: ErrorCode,
+      error: status === DELIVERY_STATUS.FAILED ? (ErrorMessage || `Twilio error ${ErrorCode || MessageStatus}`) : undefined
+    }];
+  }
+}
+
+class Fast2SmsMessagingProvider {
+  constructor() {
+    this.name = 'fast2sms';
+    this.channels = ['sms'];
+  }
+
+  isConfigured() {
+    return !!process.env.FAST2SMS_API_KEY;
+  }
+
+  async send({ to, from, text, template }) {
+    // DLT route needs a registered sender ID and template; quick route takes plain text
+    const body = template
+      ? {
+        route: 'dlt',
+        sender_id: from || process.env.SMS_SENDER_ID,
+        message: template.id,
+        variables_values: template.params.join('|'),
+        numbers: toLocalNumber(to)
+      }
+      : { route: 'q', message: text, numbers: toLocalNumber(to) };
+
+    try {
+      const res = await axios.post(FAST2SMS_URL, body, {
+        headers: {
+          authorization: process.env.FAST2SMS_API_KEY,
+          'Content-Type': 'application/json'
+        },
+        timeout: 8000
+      });
+
+      if (res.data?.return !== true) {
+        throw new Error(res.data?.message || 'fast2sms returned non-success');
+      }
+      // Fast2SMS has no delivery callbacks - the message stays 'sent'
+      return { messageId: res.data.request_id, status: DELIVERY_STATUS.SENT };
+    } catch (err) {
+      const detail = err.response?.data?.message || err.message;
+      throw new Error(`fast2sms error: ${detail}`);
+    }
+  }
+}
+
+class MessagingProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+    [
+      new TwilioMessagingProvider(),
+      new Fast2SmsMessagingProvider(),
+      new ConsoleMessagingProvider(),
+      new MockMessagingProvider()
+    ].forEach(provider => this.register(provider));
+
+    // Auto-detection order when no provider is configured explicitly
+    this.preferred = {
+      sms: ['twilio', 'fast2sms'],
+      whatsapp: ['twilio']
+    };
+  }
+
+  /**
+   * Add or replace a provider (e.g. a custom gateway)
+   */
+  register(provider) {
+    this.providers.set(provider.name, provider);
+  }
+
+  /**
+   * Provider to use for a channel, or null if none is usable
+   */
+  getProvider(channel) {
+    const configured = process.env[channel === 'whatsapp' ? 'WHATSAPP_PROVIDER' : 'SMS_PROVIDER'];
+
+    let name = configured?.toLowerCase();
+    if (!name) {
+      name = (this.preferred[channel] || []).find(n => this.providers.get(n)?.isConfigured(channel)) || 'console';
+    }
+
+    const provider = this.providers.get(name);
+    if (!provider || !provider.channels.includes(channel) || !provider.isConfigured(channel)) {
+      return null;
+    }
+    return provider;
+  }
+
+  /**
+   * Sender for a tenancy: WhatsApp messages go out from the tenancy's
+   * contact.whatsapp number when it has one, SMS use the platform sender ID.
+   */
+  async resolveSender(channel, tenantId) {
+    if (channel === 'whatsapp') {
+      if (tenantId) {
+        const Tenancy = require('../../models/Tenancy');
+        const tenancy = await Tenancy.findById(tenantId).select('contact.whatsapp').lean();
+        if (tenancy?.contact?.whatsapp) return tenancy.contact.whatsapp;
+      }
+      return process.env.WHATSAPP_FROM || null;
+    }
+    return process.env.SMS_SENDER_ID || null;
+  }
+
+  /**
+   * Approved template for a notification, if any. Templates come from
+   * notification.metadata.template (string id or { sms, whatsapp }) or from
+   * SMS_TEMPLATE_<EVENT_TYPE> / WHATSAPP_TEMPLATE_<EVENT_TYPE> env vars.
+   * Params default to the notification title and plain-text message.
+   */
+  resolveTemplate(channel, notification) {
+    const explicit = notification.metadata?.template;
+    const eventKey = String(notification.eventType || notification.type || '').toUpperCase().replace(/[^A-Z0-9]/g, '_');
+    const id = (typeof explicit === 'string' ? explicit : explicit?.[channel]) ||
+      process.env[`${channel === 'whatsapp' ? 'WHATSAPP' : 'SMS'}_TEMPLATE_${eventKey}`];
+
+    if (!id) return null;
+
+    const params = Array.isArray(notification.metadata?.templateParams)
+      ? notification.metadata.templateParams
+      : [notification.title, this.toPlainText(notification.message)];
+
+    return { id, params };
+  }
+
+  toPlainText(message) {
+    return String(message || '')
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<[^>]+>/g, '')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/\s+\n/g, '\n')
+      .trim();
+  }
+
+  formatText(notification) {
+    return `${notification.title}\n${this.toPlainText(notification.message)}`.trim();
+  }
+}
+
+module.exports = {
+  MessagingProviderRegistry,
+  MockMessagingProvider,
+  DELIVERY_STATUS
+};
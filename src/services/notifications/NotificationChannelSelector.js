@@ -3,8 +3,12 @@
  * Part of the Socket.IO Notification Engine Implementation
  */
 
+const { NotificationPreferenceService } = require('./NotificationPreferenceService');
+
 class NotificationChannelSelector {
   constructor() {
+    this.preferenceService = new NotificationPreferenceService();
+
     // Channel escalation matrix based on priority
     this.escalationMatrix = {
       P0: ['in_app', 'email', 'sms', 'whatsapp', 'push'],
@@ -42,15 +46,6 @@ class NotificationChannelSelector {
       'campaign_notification': ['in_app']
     };
 
-    // User preference defaults (would be loaded from database)
-    this.defaultUserPreferences = {
-      in_app: true,
-      email: true,
-      sms: false,
-      whatsapp: false,
-      push: true
-    };
-
     // Business hours for channel restrictions
     this.businessHours = {
       start: 9, // 9 AM
@@ -72,9 +67,13 @@ class NotificationChannelSelector {
         selectedChannels = this.eventChannelOverrides[notification.eventType];
       }
 
-      // 3. Apply user preferences (if available)
-      if (context.userPreferences) {
-        selectedChannels = this.applyUserPreferences(selectedChannels, context.userPreferences);
+      // 3. Apply user preferences and quiet hours (P0 bypasses them)
+      let suppressedByPreferences = false;
+      const userPreferences = context.userPreferences ||
+        (notification.userId ? await this.preferenceService.getPreferences(notification.userId) : null);
+      if (userPreferences) {
+        selectedChannels = this.applyUserPreferences(selectedChannels, userPreferences, notification);
+        suppressedByPreferences = selectedChannels.length === 0;
       }
 
       // 4. Apply business hours restrictions
@@ -90,8 +89,9 @@ class NotificationChannelSelector {
         selectedChannels = this.applyEmergencyOverrides(selectedChannels, notification);
       }
 
-      // 7. Ensure at least one channel is selected (fallback to in_app)
-      if (selectedChannels.length === 0 && notification.priority !== 'P4') {
+      // 7. Ensure at least one channel is selected (fallback to in_app),
+      // unless the user opted out of every channel for this notification
+      if (selectedChannels.length === 0 && notification.priority !== 'P4' && !suppressedByPreferences) {
         selectedChannels = ['in_app'];
       }
 
@@ -107,14 +107,8 @@ class NotificationChannelSelector {
   /**
    * Apply user preferences to channel selection
    */
-  applyUserPreferences(channels, userPreferences) {
-    return channels.filter(channel => {
-      // Always allow in_app for critical notifications
-      if (channel === 'in_app') return true;
-      
-      // Check user preference
-      return userPreferences[channel] !== false;
-    });
+  applyUserPreferences(channels, userPreferences, notification = {}) {
+    return this.preferenceService.filterChannels(channels, notification, userPreferences).channels;
   }
 
   /**
@@ -0,0 +1,236 @@
+/**
+ * NotificationPreferenceService - Per-user channel opt-outs and quiet hours
+ * Part of the Socket.IO Notification Engine Implementation
+ */
+
+const NotificationPreference = require('../../models/NotificationPreference');
+const {
+  NOTIFICATION_CHANNELS,
+  PREFERENCE_CATEGORIES,
+  QUIET_HOURS_CHANNELS
+} = require('../../models/NotificationPreference');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+class NotificationPreferenceService {
+  /**
+   * Preferences for a user (defaults when none were saved)
+   */
+  async getPreferences(userId) {
+    if (!userId) return null;
+    try {
+      return await NotificationPreference.getForUser(userId);
+    } catch (error) {
+      console.error('❌ Error loading notification preferences:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Validate an update payload. Returns a list of error messages.
+   */
+  validateUpdates(updates = {}) {
+    const errors = [];
+    const checkChannels = (channels, path) => {
+      if (typeof channels !== 'object' || channels === null || Array.isArray(channels)) {
+        errors.push(`${path} must be an object of channel switches`);
+        return;
+      }
+      for (const [channel, value] of Object.entries(channels)) {
+        if (!NOTIFICATION_CHANNELS.includes(channel)) {
+          errors.push(`${path}.${channel} is not a channel (${NOTIFICATION_CHANNELS.join(', ')})`);
+        } else if (typeof value !== 'boolean' && !(path !== 'channels' && value === null)) {
+          errors.push(`${path}.${channel} must be true or false`);
+        }
+      }
+    };
+
+    if (updates.channels !== undefined) {
+      checkChannels(updates.channels, 'channels');
+    }
+
+    if (updates.categories !== undefined) {
+      if (typeof updates.categories !== 'object' || updates.categories === null) {
+        errors.push('categories must be an object');
+      } else {
+        for (const [category, channels] of Object.entries(updates.categories)) {
+          if (!PREFERENCE_CATEGORIES.includes(category)) {
+            errors.push(`categories.${category} is not a configurable category (${PREFERENCE_CATEGORIES.join(', ')})`);
+          } else {
+            checkChannels(channels, `categories.${category}`);
+          }
+        }
+      }
+    }
+
+    if (updates.quietHours !== undefined) {
+      const { enabled, start, end } = updates.quietHours || {};
+      if (enabled !== undefined && typeof enabled !== 'boolean') {
+        errors.push('quietHours.enabled must be true or false');
+      }
+      if (start !== undefined && !TIME_PATTERN.test(start)) {
+        errors.push('quietHours.start must be HH:mm');
+      }
+      if (end !== undefined && !TIME_PATTERN.test(end)) {
+        errors.push('quietHours.end must be HH:mm');
+      }
+    }
+
+    if (updates.timezone !== undefined && !this.isValidTimezone(updates.timezone)) {
+      errors.push('timezone must be a valid IANA timezone');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Merge updates into a user's preferences. Category overrides set to null
+   * go back to inheriting the global channel setting.
+   */
+  async updatePreferences(userId, updates, updatedBy = null) {
+    const $set = { updatedBy: updatedBy || userId };
+    const $unset = {};
+
+    for (const [channel, value] of Object.entries(updates.channels || {})) {
+      $set[`channels.${channel}`] = value;
+    }
+    for (const [category, channels] of Object.entries(updates.categories || {})) {
+      for (const [channel, value] of Object.entries(channels)) {
+        if (value === null) {
+          $unset[`categories.${category}.${channel}`] = '';
+        } else {
+          $set[`categories.${category}.${channel}`] = value;
+        }
+      }
+    }
+    for (const key of ['enabled', 'start', 'end']) {
+      if (updates.quietHours?.[key] !== undefined) {
+        $set[`quietHours.${key}`] = updates.quietHours[key];
+      }
+    }
+    if (updates.timezone !== undefined) {
+      $set.timezone = updates.timezone;
+    }
+
+    const update = { $set };
+    if (Object.keys($unset).length > 0) update.$unset = $unset;
+
+    await NotificationPreference.updateOne(
+      { user: userId },
+      update,
+      { upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    return NotificationPreference.getForUser(userId);
+  }
+
+  /**
+   * API shape: stored settings plus the options a client can offer
+   */
+  toResponse(preferences) {
+    return {
+      channels: preferences.channels,
+      categories: Object.fromEntries(
+        PREFERENCE_CATEGORIES.map(category => [category, preferences.categories?.[category] || {}])
+      ),
+      quietHours: preferences.quietHours,
+      timezone: preferences.timezone,
+      updatedAt: preferences.updatedAt,
+      available: {
+        channels: NOTIFICATION_CHANNELS,
+        categories: PREFERENCE_CATEGORIES,
+        quietHoursChannels: QUIET_HOURS_CHANNELS
+      }
+    };
+  }
+
+  /**
+   * Whether preferences apply at all. P0 notifications and security
+   * notifications always go out on every selected channel.
+   */
+  isBypassed(notification = {}) {
+    return notification.priority === 'P0' || notification.category === 'security';
+  }
+
+  /**
+   * Whether a channel is switched on for a category
+   */
+  isChannelEnabled(preferences, category, channel) {
+    const override = preferences?.categories?.[category]?.[channel];
+    if (typeof override === 'boolean') return override;
+    return preferences?.channels?.[channel] !== false;
+  }
+
+  /**
+   * Whether `date` falls inside the user's quiet hours, in their timezone
+   */
+  isQuietHours(preferences, date = new Date()) {
+    const quietHours = preferences?.quietHours;
+    if (!quietHours?.enabled || !quietHours.start || !quietHours.end) return false;
+
+    const toMinutes = (time) => {
+      const [hours, minutes] = time.split(':').map(Number);
+      return hours * 60 + minutes;
+    };
+    const start = toMinutes(quietHours.start);
+    const end = toMinutes(quietHours.end);
+    if (start === end) return false;
+
+    const timeZone = this.isValidTimezone(preferences.timezone) ? preferences.timezone : 'Asia/Kolkata';
+    const parts = new Intl.DateTimeFormat('en-GB', {
+      timeZone,
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(date);
+    const hour = Number(parts.find(p => p.type === 'hour').value);
+    const minute = Number(parts.find(p => p.type === 'minute').value);
+    const now = hour * 60 + minute;
+
+    // Windows such as 22:00-07:00 wrap past midnight
+    return start < end ? (now >= start && now < end) : (now >= start || now < end);
+  }
+
+  /**
+   * Drop channels the user opted out of, and intrusive channels during quiet
+   * hours. Accepts legacy flat preferences ({ sms: false, ... }) too.
+   * @returns {{ channels: string[], suppressed: Array<{ channel, reason }> }}
+   */
+  filterChannels(channels, notification, preferences, date = new Date()) {
+    if (!preferences || this.isBypassed(notification)) {
+      return { channels: [...channels], suppressed: [] };
+    }
+
+    const normalized = preferences.channels || preferences.categories || preferences.quietHours
+      ? preferences
+      : { channels: preferences };
+    const category = notification.category || 'general';
+    const quiet = this.isQuietHours(normalized, date);
+
+    const allowed = [];
+    const suppressed = [];
+    for (const channel of channels) {
+      if (!this.isChannelEnabled(normalized, category, channel)) {
+        suppressed.push({ channel, reason: 'opted_out' });
+      } else if (quiet && QUIET_HOURS_CHANNELS.includes(channel)) {
+        suppressed.push({ channel, reason: 'quiet_hours' });
+      } else {
+        allowed.push(channel);
+      }
+    }
+
+    return { channels: allowed, suppressed };
+  }
+
+  isValidTimezone(timeZone) {
+    if (!timeZone || typeof timeZone !== 'string') return false;
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+module.exports = { NotificationPreferenceService };
@@ -11,7 +11,14 @@ const { NotificationAuditLogger } = require('./NotificationAuditLogger');
 const { NotificationSecurityGuard } = require('./NotificationSecurityGuard');
 const { SocketIOConnectionManager } = require('./SocketIOConnectionManager');
 const { NotificationRateLimiter } = require('./NotificationRateLimiter');
+const { MessagingProviderRegistry, DELIVERY_STATUS } = require('./MessagingProviders');
 const Notification = require('../../models/Notification');
+const {
+  sendPushToDevices,
+  getPushReceipts,
+  removePushTokens,
+  PUSH_DEVICE_STATUS
+} = require('../expoPushService');
 const { sendEmail } = require('../../config/email');
 
 class SocketIONotificationEngine {
@@ -24,6 +31,7 @@ class SocketIONotificationEngine {
     this.auditLogger = new NotificationAuditLogger();
     this.securityGuard = new NotificationSecurityGuard();
     this.rateLimiter = new NotificationRateLimiter();
+    this.messagingProviders = new MessagingProviderRegistry();
 
     // Connection manager (only if httpServer provided)
     this.connectionManager = httpServer ? new SocketIOConnectionManager(httpServer) : null;
@@ -164,6 +172,20 @@ class SocketIONotificationEngine {
       // 5. Channel selection
       const selectedChannels = await this.channelSelector.selectChannels(notification, context);
 
+      // Nothing left after the recipient's preferences - don't store or send it
+      if (selectedChannels.length === 0 && notification.priority !== 'P4') {
+        await this.auditLogger.log({
+          action: 'notification_suppressed',
+          notificationId: notification._id,
+          userId: notification.userId,
+          tenantId: notification.tenantId,
+          priority: notification.priority,
+          metadata: { reason: 'user_preferences', category: notification.category }
+        });
+
+        return { success: true, suppressed: true, notificationId: notification._id };
+      }
+
       // 6. Rate limiting check
       const rateLimitCheck = await this.rateLimiter.checkRateLimit(notification, selectedChannels);
       if (rateLimitCheck.rateLimited) {
@@ -362,13 +384,31 @@ class SocketIONotificationEngine {
           ...result
         };
 
-        // Update notification in database
-        await this.updateNotificationChannelStatus(notification._id, channel, {
-          sent: true,
-          deliveredAt: new Date(),
+        // Update notification in database. Provider messages are only
+        // delivered once their receipt arrives (applyDeliveryReceipts).
+        const channelStatus = {
+          sent: !result?.skipped,
           attempts: (notification.channels[channel]?.attempts || 0) + 1,
           lastAttempt: new Date()
-        });
+        };
+        if (result?.skipped) {
+          channelStatus.error = result.reason;
+        } else if (result?.providerMessageId) {
+          channelStatus.provider = result.provider;
+          channelStatus.providerMessageId = result.providerMessageId;
+          channelStatus.deliveryStatus = result.deliveryStatus;
+        } else if (result?.devices) {
+          // Expo devices are delivered once their receipt is reconciled
+          channelStatus.devices = result.devices;
+          channelStatus.error = null;
+          if (result.devices.some(d => d.status === PUSH_DEVICE_STATUS.DELIVERED)) {
+            channelStatus.delivered = true;
+            channelStatus.deliveredAt = new Date();
+          }
+        } else {
+          channelStatus.deliveredAt = new Date();
+        }
+        await this.updateNotificationChannelStatus(notification._id, channel, channelStatus);
 
         // Update metrics
         this.metrics.channelMetrics[channel].sent++;
@@ -395,7 +435,8 @@ class SocketIONotificationEngine {
           sent: false,
           error: error.message,
           attempts: (notification.channels[channel]?.attempts || 0) + 1,
-          lastAttempt: new Date()
+          lastAttempt: new Date(),
+          ...(error.devices && { devices: error.devices })
         });
 
         // Update metrics
@@ -544,46 +585,228 @@ class SocketIONotificationEngine {
    * Deliver SMS notification
    */
   async deliverSMS(notification, context) {
-    // SMS integration skipped - no free provider available
-    console.log(`📱 SMS delivery skipped for ${notification._id} (No free provider configured)`);
-
-    return {
-      provider: 'none',
-      skipped: true,
-      reason: 'non-free'
-    };
+    return await this.deliverMessage('sms', notification, context);
   }
 
   /**
    * Deliver WhatsApp notification
    */
   async deliverWhatsApp(notification, context) {
-    // WhatsApp integration skipped - no free provider available
-    console.log(`💬 WhatsApp delivery skipped for ${notification._id} (No free provider configured)`);
+    return await this.deliverMessage('whatsapp', notification, context);
+  }
+
+  /**
+   * Send an SMS/WhatsApp message through the configured provider
+   */
+  async deliverMessage(channel, notification, context) {
+    const provider = this.messagingProviders.getProvider(channel);
+    if (!provider) {
+      console.log(`📵 ${channel} delivery skipped for ${notification._id} (no provider configured)`);
+      return {
+        provider: 'none',
+        skipped: true,
+        reason: 'no_provider'
+      };
+    }
+
+    let to = notification.metadata?.phone || context.phone;
+    if (!to && notification.userId) {
+      const User = require('../../models/User');
+      const user = await User.findById(notification.userId).select('phone');
+      to = user?.phone;
+    }
+
+    if (!to) {
+      throw new Error('Recipient phone not found');
+    }
+
+    const from = await this.messagingProviders.resolveSender(channel, notification.tenantId || notification.tenancy);
+    const template = this.messagingProviders.resolveTemplate(channel, notification);
+
+    const result = await provider.send({
+      channel,
+      to,
+      from,
+      template,
+      text: this.messagingProviders.formatText(notification)
+    });
 
     return {
-      provider: 'none',
-      skipped: true,
-      reason: 'non-free'
+      provider: provider.name,
+      providerMessageId: result.messageId,
+      deliveryStatus: result.status,
+      template: template?.id
     };
   }
 
   /**
-   * Deliver push notification
+   * Apply provider delivery receipts to the sms/whatsapp channel they belong to
+   * @param {Array<{ messageId, status, error, errorCode }>} receipts
+   */
+  async applyDeliveryReceipts(providerName, receipts) {
+    let applied = 0;
+
+    for (const receipt of receipts) {
+      for (const channel of ['sms', 'whatsapp']) {
+        const notification = await Notification.findOne({
+          [`channels.${channel}.provider`]: providerName,
+          [`channels.${channel}.providerMessageId`]: receipt.messageId
+        }).select('_id userId tenantId priority channels');
+
+        if (!notification) continue;
+
+        const current = notification.channels?.[channel]?.deliveryStatus;
+        // Receipts can arrive out of order - never go back from delivered/read
+        if (receipt.status === DELIVERY_STATUS.SENT && [DELIVERY_STATUS.DELIVERED, DELIVERY_STATUS.READ].includes(current)) {
+          applied++;
+          break;
+        }
+
+        const status = { deliveryStatus: receipt.status };
+        if ([DELIVERY_STATUS.DELIVERED, DELIVERY_STATUS.READ].includes(receipt.status)) {
+          status.delivered = true;
+          status.deliveredAt = notification.channels[channel].deliveredAt || new Date();
+          status.error = null;
+        } else if (receipt.status === DELIVERY_STATUS.FAILED) {
+          status.delivered = false;
+          status.error = receipt.error || 'Delivery failed';
+          this.metrics.channelMetrics[channel].failed++;
+        }
+
+        await this.updateNotificationChannelStatus(notification._id, channel, status);
+
+        await this.auditLogger.logChannelDelivery(
+          channel,
+          notification,
+          receipt.status === DELIVERY_STATUS.FAILED ? 'failed' : (status.delivered ? 'success' : 'pending'),
+          status.error || null
+        );
+
+        applied++;
+        break;
+      }
+    }
+
+    return { received: receipts.length, applied };
+  }
+
+  /**
+   * Deliver push notification to every device the recipient has registered
+   * (Expo tokens via Expo's push service, native FCM tokens via Firebase Admin)
    */
   async deliverPush(notification, context) {
-    // This would integrate with FCM, APNS, etc.
-    console.log(`🔔 Push delivery for notification ${notification._id} - ${notification.title}`);
+    const userId = notification.userId ||
+      (notification.recipientModel !== 'SuperAdmin' ? notification.recipient : null);
+
+    if (!userId) {
+      return { provider: 'none', skipped: true, reason: 'no_recipient' };
+    }
+
+    const data = { notificationId: String(notification._id) };
+    const orderId = notification.data?.orderId || notification.metadata?.orderId;
+    const link = notification.data?.link || notification.metadata?.link;
+    if (notification.eventType) data.eventType = notification.eventType;
+    if (notification.priority) data.priority = notification.priority;
+    if (orderId) data.orderId = String(orderId);
+    if (link) data.link = link;
+
+    const { devices, removed } = await sendPushToDevices(userId, {
+      title: notification.title,
+      body: this.messagingProviders.toPlainText(notification.message),
+      data
+    });
+
+    if (devices.length === 0) {
+      return { provider: 'none', skipped: true, reason: 'no_devices' };
+    }
 
-    // Simulate push delivery
-    await new Promise(resolve => setTimeout(resolve, 80));
+    const accepted = devices.filter(d =>
+      [PUSH_DEVICE_STATUS.SENT, PUSH_DEVICE_STATUS.DELIVERED].includes(d.status)
+    );
+
+    if (accepted.length === 0) {
+      const error = new Error(`Push delivery failed on all ${devices.length} device(s)`);
+      error.devices = devices;
+      throw error;
+    }
 
     return {
-      provider: 'push_service',
-      messageId: `push_${notification._id}_${Date.now()}`
+      provider: [...new Set(accepted.map(d => d.provider))].join(','),
+      devices,
+      devicesSent: accepted.length,
+      devicesFailed: devices.length - accepted.length,
+      tokensRemoved: removed
     };
   }
 
+  /**
+   * Resolve Expo push receipts for devices still waiting on one. Updates the
+   * per-device status and prunes tokens Expo reports as unregistered.
+   * Receipts are only kept by Expo for ~24h and usually ready within minutes.
+   */
+  async reconcilePushReceipts({ minAgeMinutes = 15, limit = 500 } = {}) {
+    const now = Date.now();
+    const notifications = await Notification.find({
+      'channels.push.devices.status': PUSH_DEVICE_STATUS.SENT,
+      'channels.push.lastAttempt': {
+        $lte: new Date(now - minAgeMinutes * 60 * 1000),
+        $gte: new Date(now - 24 * 60 * 60 * 1000)
+      }
+    })
+      .select('_id userId recipient recipientModel tenantId priority channels.push')
+      .limit(limit);
+
+    const ticketIds = notifications.flatMap(n =>
+      (n.channels.push.devices || [])
+        .filter(d => d.status === PUSH_DEVICE_STATUS.SENT && d.ticketId)
+        .map(d => d.ticketId)
+    );
+
+    if (ticketIds.length === 0) {
+      return { checked: 0, updated: 0, removed: 0 };
+    }
+
+    const receipts = await getPushReceipts(ticketIds);
+    let updated = 0;
+    let removed = 0;
+
+    for (const notification of notifications) {
+      const checkedAt = new Date();
+      let changed = false;
+
+      const devices = notification.channels.push.devices.map(d => {
+        const device = d.toObject();
+        const receipt = device.status === PUSH_DEVICE_STATUS.SENT && receipts.get(device.ticketId);
+        if (!receipt) return device;
+        changed = true;
+        return { ...device, status: receipt.status, error: receipt.error, receiptCheckedAt: checkedAt };
+      });
+
+      if (!changed) continue;
+
+      const invalidTokens = devices
+        .filter(d => d.status === PUSH_DEVICE_STATUS.INVALID && d.receiptCheckedAt === checkedAt)
+        .map(d => d.token);
+      removed += await removePushTokens(notification.userId || notification.recipient, invalidTokens);
+
+      const status = { devices };
+      if (devices.some(d => d.status === PUSH_DEVICE_STATUS.DELIVERED)) {
+        status.delivered = true;
+        status.deliveredAt = notification.channels.push.deliveredAt || checkedAt;
+      } else if (!devices.some(d => d.status === PUSH_DEVICE_STATUS.SENT)) {
+        status.delivered = false;
+        status.error = 'Push delivery failed on all devices';
+        this.metrics.channelMetrics.push.failed++;
+        await this.auditLogger.logChannelDelivery('push', notification, 'failed', status.error);
+      }
+
+      await this.updateNotificationChannelStatus(notification._id, 'push', status);
+      updated++;
+    }
+
+    return { checked: ticketIds.length, updated, removed };
+  }
+
   /**
    * Update notification channel status in database
    */
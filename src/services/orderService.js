@@ -4,7 +4,12 @@ const Branch = require('../models/Branch');
 const NotificationService = require('./notificationService');
 const relayService = require('./relayService');
 const { sendPushToUser } = require('./expoPushService');
-const { ORDER_STATUS, NOTIFICATION_TYPES } = require('../config/constants');
+const slotService = require('./slotService');
+const laundryPlanService = require('./laundryPlanService');
+const itemTrackingService = require('./itemTrackingService');
+const inventoryConsumptionService = require('./inventoryConsumptionService');
+const invoiceService = require('./invoiceService');
+const { ORDER_STATUS, ORDER_TRANSITION_RULES, NOTIFICATION_TYPES, PAYMENT_METHODS } = require('../config/constants');
 
 // Customer-facing status labels. Mirrors mobile's utils/orderStatus.ts so
 // push notification copy reads naturally to end users.
@@ -21,39 +26,201 @@ const CUSTOMER_STATUS_LABELS = {
   cancelled: 'cancelled'
 };
 
+// Raised when a status move breaks the order state machine. Carries the
+// statusCode/error code the errorHandler middleware responds with.
+class OrderTransitionError extends Error {
+  constructor(error, message, statusCode = 409, details = undefined) {
+    super(message);
+    this.name = 'OrderTransitionError';
+    this.error = error;
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
 class OrderService {
-  // Update order status with notifications
-  static async updateOrderStatus(orderId, newStatus, updatedBy, notes = '') {
+  // Update order status with notifications. Goes through the state machine,
+  // so options.role must be allowed to make the move (see transitionOrder).
+  static async updateOrderStatus(orderId, newStatus, updatedBy, notes = '', options = {}) {
     try {
-      const order = await Order.findById(orderId)
-        .populate('customer', '_id name')
-        .populate('branch', 'manager');
+      const order = await Order.findById(orderId);
 
       if (!order) {
-        throw new Error('Order not found');
+        throw new OrderTransitionError('ORDER_NOT_FOUND', 'Order not found', 404);
       }
 
-      const oldStatus = order.status;
+      return await this.transitionOrder(order, newStatus, { updatedBy, notes, ...options });
+    } catch (error) {
+      if (!(error instanceof OrderTransitionError)) {
+        console.error('Error updating order status:', error);
+      }
+      throw error;
+    }
+  }
+
+  // Check a move against ORDER_TRANSITION_RULES without changing the order
+  static checkTransition(order, newStatus, { role, ...context } = {}) {
+    if (!Object.values(ORDER_STATUS).includes(newStatus)) {
+      throw new OrderTransitionError('INVALID_STATUS', 'Invalid order status', 400);
+    }
 
-      // Update order status
-      await order.updateStatus(newStatus, updatedBy, notes);
+    const moves = ORDER_TRANSITION_RULES[order.status] || {};
+    const rule = moves[newStatus];
+    if (!rule) {
+      throw new OrderTransitionError(
+        'INVALID_TRANSITION',
+        `Cannot change order status from ${order.status} to ${newStatus}`,
+        409,
+        { from: order.status, to: newStatus, allowed: Object.keys(moves) }
+      );
+    }
 
-      // Handle payment status updates based on order status
-      await this.handlePaymentStatusUpdate(order, newStatus);
+    if (!rule.roles.includes(role)) {
+      throw new OrderTransitionError(
+        'TRANSITION_NOT_ALLOWED',
+        `Your role cannot change order status from ${order.status} to ${newStatus}`,
+        403,
+        { from: order.status, to: newStatus, role }
+      );
+    }
 
-      // Send notifications based on status
-      await this.sendStatusNotifications(order, newStatus);
+    if ((rule.guards || []).includes('quote_approved') && order.pendingRequote) {
+      throw new OrderTransitionError(
+        'QUOTE_PENDING_APPROVAL',
+        'The customer has not approved the revised quote yet',
+        409,
+        { from: order.status, to: newStatus, requote: order.pendingRequote }
+      );
+    }
 
-      // Send real-time WebSocket notifications
-      await this.sendRealtimeNotifications(order, oldStatus, newStatus);
+    const missing = (rule.require || []).filter(field => !context[field] && !order[field]);
+    if (missing.length) {
+      throw new OrderTransitionError(
+        'MISSING_TRANSITION_FIELDS',
+        `${missing.join(', ')} required to change order status to ${newStatus}`,
+        400,
+        { from: order.status, to: newStatus, missing }
+      );
+    }
 
-      return order;
+    return rule;
+  }
+
+  /**
+   * Move an order to newStatus through the state machine.
+   * Fields the move depends on (branch, logisticsPartner) may be set on the
+   * order document before calling; they are saved together with the status.
+   * The save only succeeds if the status hasn't changed underneath us, so two
+   * concurrent moves from the same status can't both win.
+   *
+   * @param {Document} order
+   * @param {string} newStatus
+   * @param {Object} context - { updatedBy, role, notes, reason }
+   */
+  static async transitionOrder(order, newStatus, context = {}) {
+    const { updatedBy, notes = '', reason } = context;
+    const rule = this.checkTransition(order, newStatus, context);
+    const oldStatus = order.status;
+    const now = new Date();
+
+    if (newStatus === ORDER_STATUS.DELIVERED) {
+      order.actualDeliveryDate = now;
+    }
+    if (newStatus === ORDER_STATUS.CANCELLED) {
+      order.isCancelled = true;
+      order.cancellationReason = reason;
+      order.cancelledBy = updatedBy;
+      order.cancelledAt = now;
+    }
+
+    order.status = newStatus;
+    order.statusHistory.push({
+      status: newStatus,
+      updatedBy,
+      updatedAt: now,
+      notes: notes || reason || ''
+    });
+
+    order.$where = { status: oldStatus };
+    try {
+      await order.save();
     } catch (error) {
-      console.error('Error updating order status:', error);
+      if (error.name === 'DocumentNotFoundError') {
+        throw new OrderTransitionError(
+          'STATUS_CONFLICT',
+          `Order status changed from ${oldStatus} while this update was in progress`,
+          409,
+          { from: oldStatus, to: newStatus }
+        );
+      }
       throw error;
+    } finally {
+      order.$where = undefined;
+    }
+
+    await order.populate([
+      { path: 'customer', select: '_id name' },
+      { path: 'branch', select: 'manager' }
+    ]);
+
+    for (const effect of rule.effects || []) {
+      await this.runTransitionEffect(effect, order, newStatus, context);
+    }
+
+    // Send notifications based on status
+    await this.sendStatusNotifications(order, newStatus);
+
+    // Send real-time WebSocket notifications
+    await this.sendRealtimeNotifications(order, oldStatus, newStatus);
+
+    return order;
+  }
+
+  // Side effects named in ORDER_TRANSITION_RULES. Failures are logged, never
+  // thrown - the status move has already been saved.
+  static async runTransitionEffect(effect, order, newStatus, context) {
+    try {
+      switch (effect) {
+        case 'settle_payment':
+          await this.handlePaymentStatusUpdate(order, newStatus);
+          break;
+        case 'reverse_campaign_usage':
+          await this.reverseCampaignUsage(order, context.reason);
+          break;
+        case 'award_loyalty':
+          await this.updateCustomerStats(order.customer._id, order);
+          break;
+        case 'consume_inventory':
+          await this.consumeInventory(order, context);
+          break;
+        case 'release_slot':
+          await slotService.releaseSlot(order._id);
+          break;
+        case 'release_plan_wash':
+          await laundryPlanService.releaseForOrder(order);
+          break;
+        case 'check_item_readiness':
+          await itemTrackingService.flagUnreadyItems(order, context.updatedBy);
+          break;
+        case 'generate_invoice':
+          await invoiceService.generateForOrder(order, { createdBy: context.updatedBy });
+          break;
+        default:
+          console.warn(`Unknown order transition effect: ${effect}`);
+      }
+    } catch (error) {
+      console.error(`Error running order transition effect ${effect}:`, error);
     }
   }
 
+  // Debit branch inventory for an order going into processing, using each
+  // service's consumption recipe. Items already debited (e.g. scanned
+  // in_progress earlier) are skipped; low stock never blocks the order.
+  static async consumeInventory(order, context = {}) {
+    if (!order.branch) return;
+    await inventoryConsumptionService.consumeForOrder(order, { requestedBy: context.updatedBy });
+  }
+
   // Send real-time WebSocket notifications for order status updates
   static async sendRealtimeNotifications(order, oldStatus, newStatus) {
     try {
@@ -120,7 +287,14 @@ class OrderService {
 
       // When order is cancelled, handle refund if already paid
       if (newStatus === ORDER_STATUS.CANCELLED) {
-        if (order.paymentStatus === 'paid' && order.paymentMethod !== 'cod') {
+        // Wallet money (full payment or partial redemption) goes straight back to the wallet
+        const walletService = require('./walletService');
+        const walletRefund = await walletService.refundOrderPayment(order, 'Order cancelled');
+
+        if (order.paymentMethod === PAYMENT_METHODS.WALLET && walletRefund) {
+          order.paymentStatus = 'refunded';
+          await order.save();
+        } else if (order.paymentStatus === 'paid' && order.paymentMethod !== 'cod') {
           // Mark for refund processing (actual refund handled separately)
           order.paymentStatus = 'refunded';
           await order.save();
@@ -136,6 +310,17 @@ class OrderService {
     }
   }
 
+  // Release campaign usage held by a cancelled order
+  static async reverseCampaignUsage(order, reason) {
+    try {
+      const CampaignEngine = require('./campaignEngine');
+      await CampaignEngine.reverseOrderUsage(order._id, reason || 'Order cancelled');
+    } catch (error) {
+      console.error('Error reversing campaign usage:', error);
+      // Don't throw - campaign bookkeeping shouldn't block cancellation
+    }
+  }
+
   // Send notifications based on order status
   static async sendStatusNotifications(order, status) {
     try {
@@ -185,9 +370,6 @@ class OrderService {
 
         case ORDER_STATUS.DELIVERED:
           await NotificationService.notifyOrderDelivered(customerId, order);
-
-          // Update customer stats
-          await this.updateCustomerStats(customerId, order);
           break;
 
         case ORDER_STATUS.CANCELLED:
@@ -453,4 +635,5 @@ class OrderService {
   }
 }
 
-module.exports = OrderService;
\ No newline at end of file
+module.exports = OrderService;
+module.exports.OrderTransitionError = OrderTransitionError;
\ No newline at end of file
@@ -0,0 +1,341 @@
+const axios = require('axios');
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const Branch = require('../models/Branch');
+const Tenancy = require('../models/Tenancy');
+
+const PLATFORM_BRANDING = {
+  businessName: 'LaundryLobby',
+  tagline: 'Financial Reports',
+  logoUrl: null,
+  primaryColor: '#3B82F6',
+  textColor: '#1F2937'
+};
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  excel: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  pdf: { contentType: 'application/pdf', extension: 'pdf' }
+};
+
+const SUMMARY_LABELS = {
+  totalRevenue: 'Total Revenue',
+  totalExpenses: 'Total Expenses',
+  netProfit: 'Net Profit',
+  totalTransactions: 'Total Transactions',
+  totalOrders: 'Total Orders',
+  averageOrderValue: 'Average Order Value',
+  totalCustomers: 'Total Customers',
+  totalRefunds: 'Total Refunds',
+  totalSettlements: 'Total Settlements'
+};
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '');
+
+// Humanise a camelCase / snake_case key for column and row labels
+const toLabel = (key) => String(key)
+  .replace(/_/g, ' ')
+  .replace(/([a-z])([A-Z])/g, '$1 $2')
+  .replace(/^./, c => c.toUpperCase());
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') return JSON.stringify(value);
+  return value;
+};
+
+// Quoted CSV cell. Text starting with =, +, -, @, tab or CR gets a leading '
+// so spreadsheet tools show it instead of running it as a formula.
+const csvCell = (value) => {
+  let text = String(formatValue(value));
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return `"${text.replace(/"/g, '""')}"`;
+};
+
+/**
+ * Renders stored FinancialReports as downloadable CSV, XLSX and PDF files.
+ * Every format is built from the same tabular sections (summary, KPIs,
+ * metrics, breakdowns and chart data) so the numbers match across formats.
+ */
+class ReportExportService {
+  get formats() {
+    return Object.keys(EXPORT_FORMATS);
+  }
+
+  /**
+   * Branding for the export header. Uses the given tenancy, or the tenancy
+   * that owns every branch the report is filtered to, else platform branding.
+   */
+  async resolveBranding(report, tenancyId) {
+    if (!tenancyId && report.filters?.branchIds?.length) {
+      const tenancies = await Branch.distinct('tenancy', { _id: { $in: report.filters.branchIds } });
+      if (tenancies.length === 1) tenancyId = tenancies[0];
+    }
+    if (!tenancyId) return PLATFORM_BRANDING;
+
+    const tenancy = await Tenancy.findById(tenancyId).select('name branding').lean();
+    if (!tenancy) return PLATFORM_BRANDING;
+
+    const theme = tenancy.branding?.theme || {};
+    return {
+      businessName: tenancy.branding?.businessName || tenancy.name,
+      tagline: tenancy.branding?.tagline || PLATFORM_BRANDING.tagline,
+      logoUrl: tenancy.branding?.logo?.url || null,
+      primaryColor: HEX_COLOR.test(theme.primaryColor) ? theme.primaryColor : PLATFORM_BRANDING.primaryColor,
+      textColor: HEX_COLOR.test(theme.textColor) ? theme.textColor : PLATFORM_BRANDING.textColor
+    };
+  }
+
+  /**
+   * Flatten a report into titled tables: [{ title, columns, rows }]
+   */
+  buildSections(doc) {
+    const report = doc.toObject ? doc.toObject() : doc;
+    const sections = [];
+
+    const summary = report.summary || {};
+    sections.push({
+      title: 'Summary',
+      columns: ['Metric', 'Value'],
+      rows: Object.keys(SUMMARY_LABELS)
+        .filter(key => summary[key] !== undefined && summary[key] !== null)
+        .map(key => [SUMMARY_LABELS[key], summary[key]])
+    });
+
+    const kpis = report.kpis || {};
+    const kpiRows = Object.keys(kpis)
+      .filter(key => kpis[key] !== undefined && kpis[key] !== null)
+      .map(key => [toLabel(key), kpis[key]]);
+    if (kpiRows.length) {
+      sections.push({ title: 'Key Performance Indicators', columns: ['KPI', 'Value'], rows: kpiRows });
+    }
+
+    if (report.data?.length) {
+      sections.push({
+        title: 'Metrics',
+        columns: ['Metric', 'Value', 'Unit', 'Previous', 'Change %', 'Category'],
+        rows: report.data.map(d => [toLabel(d.metric), d.value, d.unit, d.previousValue, d.changePercentage, d.category])
+      });
+    }
+
+    const breakdowns = [
+      ['Revenue by Branch', report.revenueBreakdown?.byBranch, b => b.branchName],
+      ['Revenue by Service', report.revenueBreakdown?.byService, b => b.service],
+      ['Revenue by Payment Method', report.revenueBreakdown?.byPaymentMethod, b => b.method],
+      ['Expenses by Category', report.expenseBreakdown?.byCategory, b => b.category],
+      ['Expenses by Branch', report.expenseBreakdown?.byBranch, b => b.branchName]
+    ];
+    breakdowns.forEach(([title, items, labelOf]) => {
+      if (!items?.length) return;
+      sections.push({
+        title,
+        columns: ['Name', 'Amount', 'Share %'],
+        rows: items.map(item => [labelOf(item), item.amount, item.percentage])
+      });
+    });
+
+    if (report.chartData?.length) {
+      // Chart metadata varies by report type; spread its keys into columns
+      const metadataKeys = [];
+      report.chartData.forEach(point => {
+        Object.keys(point.metadata || {}).forEach(key => {
+          if (!metadataKeys.includes(key)) metadataKeys.push(key);
+        });
+      });
+
+      sections.push({
+        title: 'Line Items',
+        columns: ['Label', 'Value', 'Date', 'Category', ...metadataKeys.map(toLabel)],
+        rows: report.chartData.map(point => [
+          point.label,
+          point.value,
+          formatDate(point.date),
+          point.category,
+          ...metadataKeys.map(key => formatValue(point.metadata?.[key]))
+        ])
+      });
+    }
+
+    return sections;
+  }
+
+  toCSV(report, branding) {
+    const lines = [
+      [branding.businessName],
+      [report.title],
+      ['Report ID', report.reportId],
+      ['Period', `${formatDate(report.startDate)} to ${formatDate(report.endDate)}`],
+      ['Generated', formatValue(report.generatedAt)],
+      []
+    ];
+
+    this.buildSections(report).forEach(section => {
+      lines.push([section.title], section.columns, ...section.rows, []);
+    });
+
+    // BOM so spreadsheet tools detect UTF-8 (currency symbols, names)
+    return '\uFEFF' + lines
+      .map(row => row.map(csvCell).join(','))
+      .join('\r\n');
+  }
+
+  async toXLSX(report, branding) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = branding.businessName;
+    workbook.created = new Date();
+
+    const headerFill = {
+      type: 'pattern',
+      pattern: 'solid',
+      fgColor: { argb: `FF${branding.primaryColor.slice(1).toUpperCase()}` }
+    };
+
+    this.buildSections(report).forEach((section, index) => {
+      // Excel sheet names: max 31 chars, unique
+      const sheet = workbook.addWorksheet(`${index + 1}. ${section.title}`.slice(0, 31));
+
+      sheet.addRow([branding.businessName]).font = { bold: true, size: 14 };
+      sheet.addRow([report.title]).font = { bold: true };
+      sheet.addRow([`Period: ${formatDate(report.startDate)} to ${formatDate(report.endDate)}`]);
+      sheet.addRow([]);
+
+      const header = sheet.addRow(section.columns);
+      header.eachCell(cell => {
+        cell.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+        cell.fill = headerFill;
+      });
+      section.rows.forEach(row => sheet.addRow(row.map(formatValue)));
+
+      sheet.columns.forEach((column, columnIndex) => {
+        const widest = Math.max(
+          String(section.columns[columnIndex] || '').length,
+          ...section.rows.map(row => String(formatValue(row[columnIndex])).length)
+        );
+        column.width = Math.min(Math.max(widest + 2, 12), 50);
+      });
+      sheet.views = [{ state: 'frozen', ySplit: 5 }];
+    });
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+  }
+
+  async fetchLogo(url) {
+    if (!url) return null;
+    try {
+      const response = await axios.get(url, { responseType: 'arraybuffer', timeout: 5000 });
+      return Buffer.from(response.data);
+    } catch (error) {
+      console.log(`⚠️ Could not load report logo: ${error.message}`);
+      return null;
+    }
+  }
+
+  async toPDF(report, branding) {
+    const logo = await this.fetchLogo(branding.logoUrl);
+    const doc = new PDFDocument({ size: 'A4', margin: 40, bufferPages: true });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    const done = new Promise((resolve, reject) => {
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+    });
+
+    const pageWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+    // Header band
+    doc.rect(0, 0, doc.page.width, 80).fill(branding.primaryColor);
+    let textX = doc.page.margins.left;
+    if (logo) {
+      try {
+        doc.image(logo, textX, 15, { fit: [50, 50] });
+        textX += 60;
+      } catch (error) {
+        // Unsupported image format (PDFKit renders PNG/JPEG only)
+      }
+    }
+    doc.fillColor('#FFFFFF').fontSize(18).text(branding.businessName, textX, 22);
+    doc.fontSize(10).text(branding.tagline, textX, 46);
+
+    doc.fillColor(branding.textColor).fontSize(16).text(report.title, doc.page.margins.left, 100, { width: pageWidth });
+    doc.fontSize(9).fillColor('#6B7280')
+      .text(`Report ID: ${report.reportId}   Period: ${formatDate(report.startDate)} to ${formatDate(report.endDate)}   Generated: ${formatDate(report.generatedAt)}`);
+    doc.moveDown();
+
+    this.buildSections(report).forEach(section => {
+      // Wide tables are cut to the columns that fit the page
+      const columns = section.columns.slice(0, 6);
+      const columnWidth = pageWidth / columns.length;
+
+      if (doc.y > doc.page.height - 120) doc.addPage();
+      doc.moveDown(0.5).fontSize(12).fillColor(branding.primaryColor).text(section.title, doc.page.margins.left);
+      doc.moveDown(0.3);
+
+      const drawRow = (cells, { bold = false } = {}) => {
+        if (doc.y > doc.page.height - 60) doc.addPage();
+        const y = doc.y;
+        let height = 0;
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8).fillColor(branding.textColor);
+        cells.forEach((cell, i) => {
+          const text = String(formatValue(cell));
+          doc.text(text, doc.page.margins.left + i * columnWidth, y, { width: columnWidth - 6, height: 30, ellipsis: true });
+          height = Math.max(height, doc.heightOfString(text, { width: columnWidth - 6 }));
+        });
+        doc.y = y + Math.min(height, 30) + 4;
+      };
+
+      drawRow(columns, { bold: true });
+      section.rows.forEach(row => drawRow(row.slice(0, columns.length)));
+    });
+
+    // Footer with page numbers
+    const range = doc.bufferedPageRange();
+    for (let i = range.start; i < range.start + range.count; i++) {
+      doc.switchToPage(i);
+      // Footer sits inside the bottom margin; lift it so PDFKit doesn't add a page
+      doc.page.margins.bottom = 0;
+      doc.font('Helvetica').fontSize(8).fillColor('#9CA3AF').text(
+        `${branding.businessName} - Page ${i + 1} of ${range.count}`,
+        doc.page.margins.left,
+        doc.page.height - 30,
+        { width: pageWidth, align: 'center', lineBreak: false }
+      );
+    }
+
+    doc.end();
+    return done;
+  }
+
+  /**
+   * Render a report. Returns { buffer, contentType, fileName }.
+   */
+  async export(report, format, { tenancyId } = {}) {
+    const spec = EXPORT_FORMATS[format];
+    if (!spec) {
+      throw new Error(`Unsupported export format: ${format}`);
+    }
+
+    const branding = await this.resolveBranding(report, tenancyId);
+
+    let buffer;
+    if (format === 'csv') {
+      buffer = Buffer.from(this.toCSV(report, branding), 'utf8');
+    } else if (format === 'excel') {
+      buffer = await this.toXLSX(report, branding);
+    } else {
+      buffer = await this.toPDF(report, branding);
+    }
+
+    return {
+      buffer,
+      contentType: spec.contentType,
+      fileName: `${report.reportId}-${report.type}.${spec.extension}`
+    };
+  }
+}
+
+module.exports = new ReportExportService();
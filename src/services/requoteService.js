@@ -0,0 +1,639 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const OrderItem = require('../models/OrderItem');
+const Tenancy = require('../models/Tenancy');
+const taxService = require('./taxService');
+const weightPricingService = require('./weightPricingService');
+const laundryPlanService = require('./laundryPlanService');
+const walletService = require('./walletService');
+const { WalletError } = require('./walletService');
+const NotificationService = require('./notificationService');
+const { calculateItemPrice } = require('../utils/helpers');
+const {
+  ORDER_STATUS,
+  CLOTHING_CATEGORIES,
+  PRICING_MODELS,
+  PAYMENT_METHODS,
+  QUOTE_APPROVAL_DEFAULTS
+} = require('../config/constants');
+
+// Items can be revised until the order is ready
+const EDITABLE_STATUSES = [
+  ORDER_STATUS.PLACED,
+  ORDER_STATUS.ASSIGNED_TO_BRANCH,
+  ORDER_STATUS.ASSIGNED_TO_LOGISTICS_PICKUP,
+  ORDER_STATUS.PICKED,
+  ORDER_STATUS.IN_PROCESS
+];
+// Fields staff can revise, and the pricing fields derived from them
+const ITEM_FIELDS = ['itemType', 'service', 'category', 'quantity', 'estimatedWeight', 'specialInstructions'];
+const PRICE_FIELDS = [
+  'pricingModel', 'basePrice', 'serviceMultiplier', 'categoryMultiplier', 'expressMultiplier',
+  'unitPrice', 'actualWeight', 'chargeableWeight', 'totalPrice'
+];
+const MAX_ITEM_QUANTITY = 100;
+const HOUR_MS = 60 * 60 * 1000;
+
+const roundAmount = (amount) => Math.round((Number(amount) || 0) * 100) / 100;
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+const blankToNull = (value) => (value === undefined || value === '' ? null : value);
+const sameValue = (a, b) => blankToNull(a) === blankToNull(b);
+
+// Raised when a revised quote can't be created or decided. Carries the
+// statusCode/error code the errorHandler middleware responds with.
+class RequoteError extends Error {
+  constructor(error, message, statusCode = 409, details = undefined) {
+    super(message);
+    this.name = 'RequoteError';
+    this.error = error;
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/**
+ * Revised quotes after pickup. Staff send the order's corrected item list;
+ * the difference to the current items is priced and recorded as an
+ * item_change requote on the order.
+ *
+ * A change that raises the total by no more than the tenancy's auto-approve
+ * threshold (settings.quoteApproval) is applied at once. Otherwise it waits
+ * for the customer, who approves or rejects it in the app or through a link
+ * with a single-use token; until then the order can't move into or through
+ * processing. Only approval changes the items and pricing. Decisions are
+ * recorded in statusHistory.
+ */
+class RequoteService {
+  async getSettings(tenancyId) {
+    const tenancy = tenancyId
+      ? await Tenancy.findById(tenancyId).select('settings.quoteApproval').lean()
+      : null;
+    const settings = tenancy?.settings?.quoteApproval || {};
+
+    return {
+      autoApproveAmount: settings.autoApproveAmount ?? QUOTE_APPROVAL_DEFAULTS.AUTO_APPROVE_AMOUNT,
+      autoApprovePercent: settings.autoApprovePercent ?? QUOTE_APPROVAL_DEFAULTS.AUTO_APPROVE_PERCENT,
+      linkExpiryHours: settings.linkExpiryHours ?? QUOTE_APPROVAL_DEFAULTS.LINK_EXPIRY_HOURS
+    };
+  }
+
+  /**
+   * Check a settings.quoteApproval update before it is saved
+   * @throws {RequoteError}
+   */
+  validateSettings({ autoApproveAmount, autoApprovePercent, linkExpiryHours }) {
+    const check = (field, value, min, max) => {
+      if (value !== undefined && !(typeof value === 'number' && value >= min && value <= max)) {
+        throw new RequoteError('INVALID_SETTINGS', `${field} must be a number between ${min} and ${max}`, 400);
+      }
+    };
+    check('autoApproveAmount', autoApproveAmount, 0, Number.MAX_SAFE_INTEGER);
+    check('autoApprovePercent', autoApprovePercent, 0, 100);
+    check('linkExpiryHours', linkExpiryHours, 1, 720);
+  }
+
+  /**
+   * Whether a change of total can skip the customer: reductions always can,
+   * increases up to the larger of the amount and percent thresholds
+   */
+  autoApproves(previousTotal, newTotal, settings) {
+    const increase = newTotal - previousTotal;
+    if (increase <= 0) return true;
+    const limit = Math.max(settings.autoApproveAmount, previousTotal * settings.autoApprovePercent / 100);
+    return increase <= limit;
+  }
+
+  approvalUrl(token) {
+    return `${process.env.FRONTEND_URL || 'http://localhost:3002'}/quote/${token}`;
+  }
+
+  pendingRequoteOf(order) {
+    return order.pendingRequote ? order.requotes.id(order.pendingRequote) : null;
+  }
+
+  /**
+   * @throws {RequoteError} while a revised quote awaits the customer
+   */
+  assertNoPendingQuote(order) {
+    if (order.pendingRequote) {
+      throw new RequoteError('QUOTE_PENDING_APPROVAL', 'The customer has not approved the revised quote yet', 409, {
+        requote: order.pendingRequote
+      });
+    }
+  }
+
+  /**
+   * Order pricing for the given item lines: the subtotal is their sum,
+   * discount and delivery stay, tax is recalculated
+   * @param {Document} order
+   * @param {Array<{ service: string, amount: number }>} lines
+   * @returns {Promise<Object>} Plain pricing object
+   */
+  async priceOrder(order, lines) {
+    const { pricing: current } = order.toObject();
+    const pricing = {
+      ...current,
+      subtotal: Math.max(0, lines.reduce((sum, line) => sum + (Number(line.amount) || 0), 0))
+    };
+    // A laundry plan's discount follows the subtotal (a covered wash stays free)
+    if (order.laundryPlan?.member) {
+      const otherDiscount = Math.max(0, (current.discount || 0) - (current.planDiscount || 0));
+      pricing.planDiscount = laundryPlanService.planDiscount(Math.max(0, pricing.subtotal - otherDiscount), order.laundryPlan);
+      pricing.discount = otherDiscount + pricing.planDiscount;
+    }
+
+    await taxService.applyToPricing(pricing, {
+      tenancy: order.tenancy,
+      branch: order.branch,
+      lines,
+      placeOfSupply: current.taxBreakdown?.placeOfSupply || order.deliveryAddress?.state || order.pickupAddress?.state
+    });
+    // A wallet redemption (as opposed to paying in full from the wallet) is
+    // taken off the total, and can't be more than it
+    if (order.paymentMethod !== PAYMENT_METHODS.WALLET && pricing.walletApplied > 0) {
+      pricing.walletApplied = Math.min(pricing.walletApplied, pricing.total);
+      pricing.total = roundAmount(pricing.total - pricing.walletApplied);
+    }
+    return pricing;
+  }
+
+  /**
+   * Move wallet money for an order's new pricing (order and pricing not
+   * saved). An order paid from the wallet is charged or refunded the
+   * difference to what it has paid, and its paymentStatus follows. A wallet
+   * redemption cut down by priceOrder gives the excess back. Postings are
+   * keyed on `key`, so a retry doesn't move money twice.
+   * @param {Document} order
+   * @param {Object} pricing - New pricing from priceOrder; walletApplied is updated
+   * @param {Object} options
+   * @param {string} options.key - Idempotency key of the change
+   * @param {boolean} [options.allowPartial] - Take what the wallet holds towards
+   *   an increase and leave the rest due (partially_paid)
+   * @throws {WalletError} INSUFFICIENT_WALLET_BALANCE when the wallet can't cover an increase
+   */
+  async settleWalletPayment(order, pricing, { key, allowPartial = false }) {
+    const applied = order.pricing.walletApplied || 0;
+    const description = `Revised total for order ${order.orderNumber}`;
+
+    if (order.paymentMethod === PAYMENT_METHODS.WALLET && ['paid', 'partially_paid'].includes(order.paymentStatus)) {
+      const paid = applied || order.pricing.total;
+      const difference = roundAmount(pricing.total - paid);
+      pricing.walletApplied = paid;
+
+      if (difference > 0) {
+        const { transaction } = await walletService.debit(order.customer, difference, 'order_payment', {
+          orderId: order._id,
+          description,
+          idempotencyKey: key,
+          allowPartial
+        });
+        pricing.walletApplied = roundAmount(paid + (transaction?.amount || 0));
+      } else if (difference < 0) {
+        await walletService.credit(order.customer, -difference, 'order_refund', {
+          orderId: order._id,
+          description,
+          idempotencyKey: key
+        });
+        pricing.walletApplied = pricing.total;
+      }
+      order.paymentStatus = pricing.walletApplied >= pricing.total ? 'paid' : 'partially_paid';
+      return;
+    }
+
+    const excess = roundAmount(applied - (pricing.walletApplied || 0));
+    if (excess > 0) {
+      await walletService.credit(order.customer, excess, 'order_refund', {
+        orderId: order._id,
+        description,
+        idempotencyKey: key
+      });
+    }
+  }
+
+  snapshot(item) {
+    const snapshot = {};
+    for (const field of [...ITEM_FIELDS, ...PRICE_FIELDS]) {
+      snapshot[field] = item[field] ?? null;
+    }
+    return snapshot;
+  }
+
+  /**
+   * A revised item's fields from request input, over the current item's
+   * @throws {RequoteError}
+   */
+  parseItem(entry, current) {
+    const fields = {};
+    for (const field of ITEM_FIELDS) {
+      fields[field] = entry[field] !== undefined ? entry[field] : current?.[field];
+    }
+
+    if (!fields.itemType || typeof fields.itemType !== 'string' || !fields.service || typeof fields.service !== 'string') {
+      throw new RequoteError('INVALID_ITEM', 'Each item needs an itemType and a service', 400, entry);
+    }
+    if (!Object.values(CLOTHING_CATEGORIES).includes(fields.category)) {
+      throw new RequoteError('INVALID_ITEM', `category must be one of: ${Object.values(CLOTHING_CATEGORIES).join(', ')}`, 400, entry);
+    }
+    if (!Number.isInteger(fields.quantity) || fields.quantity < 1 || fields.quantity > MAX_ITEM_QUANTITY) {
+      throw new RequoteError('INVALID_ITEM', `quantity must be an integer between 1 and ${MAX_ITEM_QUANTITY}`, 400, entry);
+    }
+    if (fields.estimatedWeight !== undefined && fields.estimatedWeight !== null) {
+      fields.estimatedWeight = weightPricingService.parseWeight(fields.estimatedWeight, 'estimatedWeight');
+    }
+    fields.service = fields.service.toLowerCase();
+    fields.specialInstructions = fields.specialInstructions || '';
+    return fields;
+  }
+
+  /**
+   * Price a revised item. Items keep their booked rate unless their
+   * itemType, service or category changed; new and re-typed items are priced
+   * like a new booking.
+   */
+  priceItem(fields, current, rules, isExpress) {
+    const retyped = !current || ['itemType', 'service', 'category'].some(f => fields[f] !== current[f]);
+    const kgRules = rules.get(fields.service);
+    const priced = { ...fields };
+
+    if (!retyped && current.pricingModel === PRICING_MODELS.PER_KG) {
+      const weight = current.actualWeight ?? fields.estimatedWeight;
+      const chargeableWeight = weightPricingService.chargeableWeight(weight, kgRules || weightPricingService.buildRules({ code: fields.service }));
+      return {
+        ...priced,
+        ...this.pick(current, PRICE_FIELDS),
+        chargeableWeight,
+        totalPrice: Math.round(current.unitPrice * chargeableWeight)
+      };
+    }
+
+    if (!retyped) {
+      return { ...priced, ...this.pick(current, PRICE_FIELDS), totalPrice: current.unitPrice * fields.quantity };
+    }
+
+    if (kgRules) {
+      const weight = current?.actualWeight ?? fields.estimatedWeight;
+      if (weight === undefined || weight === null) {
+        throw new RequoteError('WEIGHT_REQUIRED', `${kgRules.displayName} is priced per kg; please provide an estimatedWeight in kg`, 400);
+      }
+      return {
+        ...priced,
+        ...weightPricingService.priceItem(weight, kgRules, { isExpress }),
+        actualWeight: current?.actualWeight ?? null
+      };
+    }
+
+    const pricing = calculateItemPrice(fields.itemType, fields.service, fields.category, isExpress);
+    return {
+      ...priced,
+      pricingModel: PRICING_MODELS.PER_PIECE,
+      ...pricing,
+      estimatedWeight: null,
+      actualWeight: null,
+      chargeableWeight: null,
+      totalPrice: pricing.unitPrice * fields.quantity
+    };
+  }
+
+  pick(source, fields) {
+    return Object.fromEntries(fields.map(field => [field, source[field] ?? null]));
+  }
+
+  assertEditable(order) {
+    if (!EDITABLE_STATUSES.includes(order.status) || order.invoiceGenerated) {
+      throw new RequoteError('ORDER_NOT_EDITABLE', `Items can't be changed once the order is ${order.status}`, 409);
+    }
+  }
+
+  /**
+   * Propose a revised item list for an order. Entries with an itemId revise
+   * that item (omitted fields stay), entries without one are new items, and
+   * current items left out are removed.
+   * @param {Document} order
+   * @param {Object[]} revisedItems - { itemId?, itemType, service, category, quantity, estimatedWeight?, specialInstructions? }
+   * @param {Object} options - { staff, notes }
+   * @returns {Promise<{ order, requote }>} requote.status is auto_approved or pending
+   */
+  async proposeItemChanges(order, revisedItems, { staff, notes } = {}) {
+    this.assertEditable(order);
+    if (!Array.isArray(revisedItems) || revisedItems.length === 0) {
+      throw new RequoteError('INVALID_INPUT', 'Please provide the revised list of items', 400);
+    }
+
+    const currentItems = await OrderItem.find({ order: order._id });
+    const byId = new Map(currentItems.map(item => [item._id.toString(), item]));
+    const seen = new Set();
+
+    const parsed = revisedItems.map(entry => {
+      const itemId = entry?.itemId ? String(entry.itemId) : null;
+      const current = itemId ? byId.get(itemId) : null;
+      if (itemId && !current) {
+        throw new RequoteError('ITEM_NOT_FOUND', 'Some items are not part of this order', 404, { itemId });
+      }
+      if (itemId && seen.has(itemId)) {
+        throw new RequoteError('INVALID_INPUT', 'An item can only be listed once', 400, { itemId });
+      }
+      if (itemId) seen.add(itemId);
+      return { current, fields: this.parseItem(entry || {}, current) };
+    });
+
+    const rules = await weightPricingService.getRules(parsed.map(p => p.fields.service), order.branch);
+    const changes = [];
+    const lines = [];
+
+    for (const { current, fields } of parsed) {
+      const after = this.priceItem(fields, current, rules, order.isExpress);
+      lines.push({ service: after.service, amount: after.totalPrice });
+
+      if (!current) {
+        changes.push({ action: 'added', after });
+        continue;
+      }
+      const before = this.snapshot(current);
+      if ([...ITEM_FIELDS, 'totalPrice'].some(field => !sameValue(before[field], after[field]))) {
+        changes.push({ action: 'changed', item: current._id, before, after });
+      }
+    }
+    for (const item of currentItems) {
+      if (!seen.has(item._id.toString())) {
+        changes.push({ action: 'removed', item: item._id, before: this.snapshot(item) });
+      }
+    }
+
+    if (changes.length === 0) {
+      throw new RequoteError('NO_CHANGES', 'The items are the same as the current ones', 400);
+    }
+
+    const proposedPricing = await this.priceOrder(order, lines);
+    const previousTotal = order.pricing.total;
+    const settings = await this.getSettings(order.tenancy);
+    const now = new Date();
+
+    // A newer revision replaces one the customer hasn't answered yet
+    const superseded = this.pendingRequoteOf(order);
+    if (superseded) {
+      superseded.status = 'superseded';
+      order.pendingRequote = undefined;
+    }
+
+    order.requotes.push({
+      reason: 'item_change',
+      status: 'pending',
+      previousTotal,
+      newTotal: proposedPricing.total,
+      difference: Math.round((proposedPricing.total - previousTotal) * 100) / 100,
+      notes,
+      changes,
+      proposedPricing,
+      createdBy: staff
+    });
+    const requote = order.requotes[order.requotes.length - 1];
+
+    // An increase the customer's wallet can't pay goes to them for approval instead
+    let autoApproved = this.autoApproves(previousTotal, requote.newTotal, settings);
+    if (autoApproved) {
+      try {
+        await this.applyChanges(order, requote);
+      } catch (error) {
+        if (!(error instanceof WalletError)) throw error;
+        autoApproved = false;
+      }
+    }
+
+    if (autoApproved) {
+      requote.status = 'auto_approved';
+      requote.decisionChannel = 'auto';
+      requote.decidedAt = now;
+      order.statusHistory.push({
+        status: order.status,
+        updatedBy: staff,
+        updatedAt: now,
+        notes: `Items revised, total ₹${previousTotal} → ₹${requote.newTotal} (within the auto-approve limit)`
+      });
+      await order.save();
+
+      try {
+        await NotificationService.notifyOrderRequoted(order.customer, order, requote, order.tenancy);
+      } catch (error) {
+        console.error(`Failed to notify customer of revised items for order ${order.orderNumber}:`, error.message);
+      }
+      return { order, requote };
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    requote.tokenHash = hashToken(token);
+    requote.tokenExpiresAt = new Date(now.getTime() + settings.linkExpiryHours * HOUR_MS);
+    order.pendingRequote = requote._id;
+    order.statusHistory.push({
+      status: order.status,
+      updatedBy: staff,
+      updatedAt: now,
+      notes: `Revised quote sent for customer approval: ₹${previousTotal} → ₹${requote.newTotal}`
+    });
+    await order.save();
+
+    try {
+      await NotificationService.notifyOrderQuotePending(order.customer, order, requote, this.approvalUrl(token), order.tenancy);
+    } catch (error) {
+      console.error(`Failed to send revised quote for order ${order.orderNumber}:`, error.message);
+    }
+    return { order, requote };
+  }
+
+  /**
+   * Save a requote's item changes and pricing on the order (not saved).
+   * Wallet money moves first (see settleWalletPayment), so a wallet that
+   * can't pay the increase leaves the order as it was.
+   * @throws {WalletError} INSUFFICIENT_WALLET_BALANCE
+   */
+  async applyChanges(order, requote) {
+    const pricing = { ...requote.proposedPricing };
+    await this.settleWalletPayment(order, pricing, { key: `requote:${requote._id}` });
+
+    const removed = [];
+
+    for (const change of requote.changes) {
+      if (change.action === 'removed') {
+        removed.push(change.item);
+      } else if (change.action === 'changed') {
+        const item = await OrderItem.findOne({ _id: change.item, order: order._id });
+        if (!item) continue;
+        item.set(change.after);
+        await item.save();
+      } else if (change.action === 'added') {
+        const item = await OrderItem.create({ order: order._id, ...change.after });
+        change.item = item._id;
+        order.items.push(item._id);
+      }
+    }
+
+    if (removed.length > 0) {
+      await OrderItem.deleteMany({ _id: { $in: removed }, order: order._id });
+      order.items = order.items.filter(id => !removed.some(removedId => removedId.equals(id)));
+    }
+
+    requote.proposedPricing = pricing;
+    order.pricing = pricing;
+  }
+
+  /**
+   * Approve or reject the order's pending revised quote
+   * @param {Document} order
+   * @param {ObjectId|string} requoteId
+   * @param {'approve'|'reject'} decision
+   * @param {Object} options - { by, channel: 'app'|'link', reason }
+   */
+  async decide(order, requoteId, decision, { by, channel, reason } = {}) {
+    const requote = mongoose.isValidObjectId(requoteId) ? order.requotes.id(requoteId) : null;
+    if (!requote || requote.reason !== 'item_change') {
+      throw new RequoteError('QUOTE_NOT_FOUND', 'Revised quote not found', 404);
+    }
+    if (requote.status !== 'pending' || !order.pendingRequote?.equals(requote._id)) {
+      throw new RequoteError('QUOTE_ALREADY_DECIDED', `This quote is ${requote.status}`, 409, { status: requote.status });
+    }
+    if (channel === 'link' && requote.tokenExpiresAt && requote.tokenExpiresAt < new Date()) {
+      throw new RequoteError('QUOTE_LINK_EXPIRED', 'This quote link has expired; please approve it in the app', 410);
+    }
+    if (!EDITABLE_STATUSES.includes(order.status)) {
+      throw new RequoteError('ORDER_NOT_EDITABLE', `The order is ${order.status}`, 409);
+    }
+
+    // Only one decision wins when the app and the link are used at once
+    const claimed = await Order.updateOne(
+      { _id: order._id, pendingRequote: requote._id },
+      { $unset: { pendingRequote: 1 } }
+    );
+    if (claimed.modifiedCount === 0) {
+      throw new RequoteError('QUOTE_ALREADY_DECIDED', 'This quote has already been decided', 409);
+    }
+    order.pendingRequote = undefined;
+
+    const now = new Date();
+    const via = channel === 'link' ? 'via link' : 'in the app';
+    try {
+      if (decision === 'approve') {
+        try {
+          await this.applyChanges(order, requote);
+        } catch (error) {
+          if (!(error instanceof WalletError)) throw error;
+          // Nothing was changed: the customer can top up and approve again
+          throw new RequoteError(
+            'INSUFFICIENT_WALLET_BALANCE',
+            'Your wallet balance does not cover the revised total. Please add money to your wallet and approve again.',
+            402,
+            { difference: requote.difference }
+          );
+        }
+        requote.status = 'approved';
+      } else {
+        requote.status = 'rejected';
+        requote.rejectionReason = reason;
+      }
+      requote.decidedAt = now;
+      requote.decidedBy = by || order.customer;
+      requote.decisionChannel = channel;
+
+      order.statusHistory.push({
+        status: order.status,
+        updatedBy: by || order.customer,
+        updatedAt: now,
+        notes: decision === 'approve'
+          ? `Revised quote approved by customer ${via}: ₹${requote.previousTotal} → ₹${requote.newTotal}`
+          : `Revised quote rejected by customer ${via}${reason ? `: ${reason}` : ''}`
+      });
+      await order.save();
+    } catch (error) {
+      // The decision wasn't saved: hand the claim back so the quote can still
+      // be decided and keeps blocking processing
+      await Order.updateOne(
+        { _id: order._id, pendingRequote: { $exists: false } },
+        { $set: { pendingRequote: requote._id } }
+      );
+      order.pendingRequote = requote._id;
+      throw error;
+    }
+
+    try {
+      await NotificationService.notifyAdminQuoteDecision(order, requote, order.tenancy);
+    } catch (error) {
+      console.error(`Failed to notify admins of quote decision for order ${order.orderNumber}:`, error.message);
+    }
+    return { order, requote };
+  }
+
+  /**
+   * The order and requote of an approval link token
+   * @throws {RequoteError} 404 for unknown tokens
+   */
+  async findByToken(token) {
+    if (!/^[a-f\d]{64}$/i.test(String(token || ''))) {
+      throw new RequoteError('QUOTE_NOT_FOUND', 'This quote link is not valid', 404);
+    }
+
+    const tokenHash = hashToken(String(token).toLowerCase());
+    const order = await Order.findOne({ 'requotes.tokenHash': tokenHash });
+    const requote = order?.requotes.find(r => r.tokenHash === tokenHash);
+    if (!requote) {
+      throw new RequoteError('QUOTE_NOT_FOUND', 'This quote link is not valid', 404);
+    }
+    return { order, requote };
+  }
+
+  /**
+   * What the customer sees of a revised quote
+   */
+  toView(order, requote) {
+    const itemView = (item) => item && {
+      itemType: item.itemType,
+      service: item.service,
+      category: item.category,
+      quantity: item.quantity,
+      estimatedWeight: item.estimatedWeight ?? undefined,
+      chargeableWeight: item.chargeableWeight ?? undefined,
+      unitPrice: item.unitPrice,
+      totalPrice: item.totalPrice
+    };
+    const pricing = requote.proposedPricing || {};
+
+    return {
+      _id: requote._id,
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      status: requote.status,
+      previousTotal: requote.previousTotal,
+      newTotal: requote.newTotal,
+      difference: requote.difference,
+      notes: requote.notes,
+      changes: requote.changes.map(change => ({
+        action: change.action,
+        item: change.item,
+        before: itemView(change.before),
+        after: itemView(change.after)
+      })),
+      pricing: {
+        subtotal: pricing.subtotal,
+        expressCharge: pricing.expressCharge,
+        deliveryCharge: pricing.deliveryCharge,
+        discount: pricing.discount,
+        tax: pricing.tax,
+        total: pricing.total
+      },
+      createdAt: requote.createdAt,
+      expiresAt: requote.tokenExpiresAt,
+      decidedAt: requote.decidedAt,
+      rejectionReason: requote.rejectionReason
+    };
+  }
+
+  /**
+   * The order's pending revised quote, else its latest item change
+   */
+  latestQuote(order) {
+    return this.pendingRequoteOf(order) ||
+      [...order.requotes].reverse().find(r => r.reason === 'item_change') ||
+      null;
+  }
+}
+
+module.exports = new RequoteService();
+module.exports.RequoteError = RequoteError;
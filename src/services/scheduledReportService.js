@@ -0,0 +1,361 @@
+const FinancialReport = require('../models/FinancialReport');
+const Analytics = require('../models/Analytics');
+const reportExportService = require('./reportExportService');
+const { sendEmail } = require('../config/email');
+
+const DEFAULT_TIME = '06:00';
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+const LOCK_MS = 15 * 60 * 1000;
+const RETRY_DELAY_MS = 60 * 60 * 1000;
+const MAX_RETRIES = 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Offset of a timezone from UTC (ms) at the given instant
+const getTimezoneOffset = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+  const v = Object.fromEntries(parts.map(p => [p.type, Number(p.value)]));
+  const wallClock = Date.UTC(v.year, v.month - 1, v.day, v.hour, v.minute, v.second);
+  return Math.round((wallClock - date.getTime()) / 60000) * 60000;
+};
+
+const isValidTimezone = (timeZone) => {
+  if (!timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+// Keep only filters that narrow the report (documents carry empty arrays)
+const compactFilters = (filters = {}) => Object.fromEntries(
+  Object.entries(filters).filter(([, value]) =>
+    value !== undefined && value !== null && !(Array.isArray(value) && value.length === 0)
+  )
+);
+
+/**
+ * Runs scheduled FinancialReports and Analytics. A scheduled document is a
+ * template: each run generates a new document of the same type and filters
+ * for the period that just ended, emails it to scheduleConfig.recipients and
+ * records the next run time. Runs are claimed with a lease on
+ * scheduleConfig.lockedUntil so overlapping cron invocations can't both
+ * execute the same schedule.
+ */
+class ScheduledReportService {
+  /**
+   * Next run after `from` for a schedule, in the schedule's timezone
+   */
+  computeNextRun(scheduleConfig = {}, from = new Date()) {
+    const timeZone = isValidTimezone(scheduleConfig.timezone) ? scheduleConfig.timezone : DEFAULT_TIMEZONE;
+    const [hours, minutes] = (scheduleConfig.time || DEFAULT_TIME).split(':').map(Number);
+
+    // Work in the schedule's wall-clock time using UTC getters
+    const offset = getTimezoneOffset(from, timeZone);
+    const local = new Date(from.getTime() + offset);
+    const year = local.getUTCFullYear();
+    const month = local.getUTCMonth();
+    const at = (y, m, d) => Date.UTC(y, m, d, hours, minutes);
+    const monthDay = (y, m) => Math.min(scheduleConfig.dayOfMonth || 1, daysInMonth(y, m));
+
+    let candidate;
+    switch (scheduleConfig.frequency) {
+      case 'weekly': {
+        const dayOfWeek = scheduleConfig.dayOfWeek ?? 1;
+        const ahead = (dayOfWeek - local.getUTCDay() + 7) % 7;
+        candidate = at(year, month, local.getUTCDate() + ahead);
+        if (candidate <= local.getTime()) candidate += 7 * DAY_MS;
+        break;
+      }
+      case 'monthly': {
+        candidate = at(year, month, monthDay(year, month));
+        if (candidate <= local.getTime()) {
+          candidate = at(year, month + 1, monthDay(year, month + 1));
+        }
+        break;
+      }
+      case 'quarterly': {
+        // Quarters start in January, April, July and October
+        let m = month - (month % 3);
+        candidate = at(year, m, monthDay(year, m));
+        while (candidate <= local.getTime()) {
+          m += 3;
+          candidate = at(year, m, monthDay(year + Math.floor(m / 12), m % 12));
+        }
+        break;
+      }
+      case 'daily':
+      default: {
+        candidate = at(year, month, local.getUTCDate());
+        if (candidate <= local.getTime()) candidate += DAY_MS;
+      }
+    }
+
+    return new Date(candidate - getTimezoneOffset(new Date(candidate - offset), timeZone));
+  }
+
+  /**
+   * The period a run at `runAt` reports on: the day, week, month or quarter
+   * that has just ended, with boundaries in the schedule's timezone
+   */
+  getReportPeriod(frequency, runAt = new Date(), timezone) {
+    const timeZone = isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE;
+    const local = new Date(runAt.getTime() + getTimezoneOffset(runAt, timeZone));
+    const year = local.getUTCFullYear();
+    const month = local.getUTCMonth();
+    const today = Date.UTC(year, month, local.getUTCDate());
+
+    let start;
+    let end = today;
+    switch (frequency) {
+      case 'weekly':
+        start = today - 7 * DAY_MS;
+        break;
+      case 'monthly':
+        start = Date.UTC(year, month - 1, 1);
+        end = Date.UTC(year, month, 1);
+        break;
+      case 'quarterly': {
+        const quarterStart = month - (month % 3);
+        start = Date.UTC(year, quarterStart - 3, 1);
+        end = Date.UTC(year, quarterStart, 1);
+        break;
+      }
+      case 'daily':
+      default:
+        start = today - DAY_MS;
+    }
+
+    // Wall-clock boundaries back to real instants; the end is inclusive
+    const toInstant = (wall) => new Date(wall - getTimezoneOffset(new Date(wall), timeZone));
+    return {
+      startDate: toInstant(start),
+      endDate: new Date(toInstant(end).getTime() - 1)
+    };
+  }
+
+  /**
+   * Create, update or disable the schedule on a report / analytics document
+   */
+  async applySchedule(doc, schedule = {}) {
+    const current = doc.scheduleConfig?.toObject ? doc.scheduleConfig.toObject() : (doc.scheduleConfig || {});
+    const config = {
+      ...current,
+      frequency: schedule.frequency ?? current.frequency,
+      dayOfWeek: schedule.dayOfWeek ?? current.dayOfWeek,
+      dayOfMonth: schedule.dayOfMonth ?? current.dayOfMonth,
+      time: schedule.time ?? current.time ?? DEFAULT_TIME,
+      timezone: schedule.timezone ?? current.timezone ?? DEFAULT_TIMEZONE,
+      recipients: schedule.recipients ?? current.recipients ?? [],
+      isActive: schedule.isActive ?? true
+    };
+
+    if (config.isActive && !config.frequency) {
+      throw new Error('Schedule frequency is required');
+    }
+    if (!isValidTimezone(config.timezone)) {
+      throw new Error(`Invalid timezone: ${config.timezone}`);
+    }
+
+    config.nextRunAt = config.isActive ? this.computeNextRun(config) : null;
+    config.failureCount = 0;
+    config.lockedUntil = null;
+
+    doc.isScheduled = config.isActive;
+    doc.scheduleConfig = config;
+    return await doc.save();
+  }
+
+  /**
+   * Run every schedule that is due. Called from the cron route.
+   */
+  async runDueSchedules(now = new Date()) {
+    const [reports, analytics] = await Promise.all([
+      FinancialReport.getScheduledReports(),
+      Analytics.getScheduledAnalytics()
+    ]);
+
+    const results = { financialReports: [], analytics: [] };
+
+    for (const [Model, schedules, bucket] of [
+      [FinancialReport, reports, results.financialReports],
+      [Analytics, analytics, results.analytics]
+    ]) {
+      for (const schedule of schedules) {
+        // Schedules created directly in the database get a first run time
+        if (!schedule.scheduleConfig?.nextRunAt) {
+          await Model.updateOne(
+            { _id: schedule._id, 'scheduleConfig.nextRunAt': null },
+            { $set: { 'scheduleConfig.nextRunAt': this.computeNextRun(schedule.scheduleConfig, now) } }
+          );
+          continue;
+        }
+        if (schedule.scheduleConfig.nextRunAt > now) continue;
+
+        bucket.push(await this.runSchedule(Model, schedule._id, now));
+      }
+    }
+
+    const ran = [...results.financialReports, ...results.analytics];
+    return {
+      success: true,
+      ran: ran.filter(r => r.status === 'success').length,
+      failed: ran.filter(r => r.status === 'failed').length,
+      skipped: ran.filter(r => r.status === 'skipped').length,
+      results
+    };
+  }
+
+  /**
+   * Claim a due schedule, generate its report and deliver it
+   */
+  async runSchedule(Model, scheduleId, now = new Date()) {
+    const schedule = await Model.findOneAndUpdate(
+      {
+        _id: scheduleId,
+        isScheduled: true,
+        'scheduleConfig.isActive': true,
+        'scheduleConfig.nextRunAt': { $lte: now },
+        $or: [
+          { 'scheduleConfig.lockedUntil': null },
+          { 'scheduleConfig.lockedUntil': { $lte: now } }
+        ]
+      },
+      { $set: { 'scheduleConfig.lockedUntil': new Date(now.getTime() + LOCK_MS) } },
+      { new: true }
+    ).populate('createdBy', 'name email');
+
+    if (!schedule) {
+      return { scheduleId, status: 'skipped', reason: 'Already running or no longer due' };
+    }
+
+    const config = schedule.scheduleConfig;
+    const { startDate, endDate } = this.getReportPeriod(config.frequency, now, config.timezone);
+
+    try {
+      const filters = compactFilters(schedule.filters?.toObject ? schedule.filters.toObject() : schedule.filters);
+      const createdBy = schedule.createdBy?._id || schedule.createdBy;
+
+      let generated;
+      if (Model === FinancialReport) {
+        generated = await FinancialReport.generateReport(schedule.type, startDate, endDate, filters, createdBy);
+      } else {
+        generated = await Analytics.generateAnalysis(schedule.type, startDate, endDate, filters, createdBy);
+      }
+      await Model.updateOne({ _id: generated._id }, { $set: { periodType: config.frequency } });
+
+      const deliveries = await this.deliver(Model, schedule, generated);
+
+      await Model.updateOne({ _id: schedule._id }, {
+        $set: {
+          'scheduleConfig.lastRunAt': now,
+          'scheduleConfig.lastRunStatus': 'success',
+          'scheduleConfig.lastGeneratedId': generated._id,
+          'scheduleConfig.failureCount': 0,
+          'scheduleConfig.nextRunAt': this.computeNextRun(config, now),
+          'scheduleConfig.lockedUntil': null
+        },
+        $unset: { 'scheduleConfig.lastError': 1 }
+      });
+
+      console.log(`📊 Scheduled ${schedule.type} generated (${generated._id}), sent to ${deliveries.filter(d => d.success).length}/${deliveries.length} recipient(s)`);
+      return { scheduleId, status: 'success', generatedId: generated._id, startDate, endDate, deliveries };
+    } catch (error) {
+      console.error(`❌ Scheduled ${schedule.type} (${scheduleId}) failed:`, error.message);
+
+      // Retry a few times before giving up on this period
+      const failureCount = (config.failureCount || 0) + 1;
+      const nextRunAt = failureCount < MAX_RETRIES
+        ? new Date(now.getTime() + RETRY_DELAY_MS)
+        : this.computeNextRun(config, now);
+
+      await Model.updateOne({ _id: schedule._id }, {
+        $set: {
+          'scheduleConfig.lastRunAt': now,
+          'scheduleConfig.lastRunStatus': 'failed',
+          'scheduleConfig.lastError': error.message,
+          'scheduleConfig.failureCount': failureCount < MAX_RETRIES ? failureCount : 0,
+          'scheduleConfig.nextRunAt': nextRunAt,
+          'scheduleConfig.lockedUntil': null
+        }
+      });
+
+      return { scheduleId, status: 'failed', error: error.message, nextRunAt };
+    }
+  }
+
+  /**
+   * Email the generated report to the schedule's recipients (falls back to
+   * the schedule's creator). Financial reports are attached in the
+   * configured export format; analytics are summarised in the body.
+   */
+  async deliver(Model, schedule, generated) {
+    const recipients = schedule.scheduleConfig.recipients?.length
+      ? schedule.scheduleConfig.recipients
+      : [schedule.createdBy?.email].filter(Boolean);
+    if (!recipients.length) return [];
+
+    const period = `${generated.startDate.toDateString()} to ${generated.endDate.toDateString()}`;
+    let subject;
+    let html;
+    let attachments;
+
+    if (Model === FinancialReport) {
+      const format = reportExportService.formats.includes(schedule.config?.format) ? schedule.config.format : 'pdf';
+      const file = await reportExportService.export(generated, format);
+      subject = `📊 ${generated.title}`;
+      attachments = [{ filename: file.fileName, content: file.buffer, contentType: file.contentType }];
+      html = this.renderSummaryEmail(generated.title, period, Object.entries(generated.summary?.toObject?.() || generated.summary || {}));
+
+      await FinancialReport.updateOne(
+        { _id: generated._id },
+        { $set: { fileName: file.fileName, fileSize: file.buffer.length } }
+      );
+    } else {
+      const title = `${generated.type.replace(/_/g, ' ')} analysis`;
+      subject = `📈 Scheduled ${title}`;
+      html = this.renderSummaryEmail(title, period, Object.entries(generated.keyMetrics?.toObject?.() || generated.keyMetrics || {}));
+    }
+
+    const deliveries = [];
+    for (const to of recipients) {
+      try {
+        const result = await sendEmail({ to, subject, html, attachments });
+        deliveries.push({ to, success: !!result?.success, error: result?.error });
+      } catch (error) {
+        deliveries.push({ to, success: false, error: error.message });
+      }
+    }
+    return deliveries;
+  }
+
+  renderSummaryEmail(title, period, metrics) {
+    const rows = metrics
+      .filter(([, value]) => typeof value === 'number')
+      .map(([key, value]) => `<tr><td style="padding:6px 12px;border-bottom:1px solid #eee;">${key.replace(/([a-z])([A-Z])/g, '$1 $2')}</td><td style="padding:6px 12px;border-bottom:1px solid #eee;text-align:right;">${Math.round(value * 100) / 100}</td></tr>`)
+      .join('');
+
+    return `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #3B82F6; text-transform: capitalize;">${title}</h2>
+        <p style="color: #6B7280;">${period}</p>
+        ${rows ? `<table style="width:100%;border-collapse:collapse;">${rows}</table>` : ''}
+        <p style="color: #9CA3AF; font-size: 12px; margin-top: 24px;">This report was generated automatically by LaundryLobby.</p>
+      </div>
+    `;
+  }
+}
+
+module.exports = new ScheduledReportService();
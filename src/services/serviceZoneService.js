@@ -0,0 +1,272 @@
+const ServiceZone = require('../models/ServiceZone');
+const distanceService = require('./distanceService');
+
+const ZONE_FIELDS = ['name', 'geometry', 'deliveryCharge', 'minOrderAmount', 'maxDeliveryTime', 'priority', 'isActive'];
+const ZONE_BRANCH_FIELDS = 'name code tenancy location coordinates isActive status marketplaceVisible';
+
+const isPosition = (position) => (
+  Array.isArray(position) &&
+  position.length >= 2 &&
+  Number.isFinite(position[0]) && position[0] >= -180 && position[0] <= 180 &&
+  Number.isFinite(position[1]) && position[1] >= -90 && position[1] <= 90
+);
+
+const isClosedRing = (ring) => (
+  Array.isArray(ring) &&
+  ring.length >= 4 &&
+  ring.every(isPosition) &&
+  ring[0][0] === ring[ring.length - 1][0] &&
+  ring[0][1] === ring[ring.length - 1][1]
+);
+
+const isPolygon = (rings) => Array.isArray(rings) && rings.length > 0 && rings.every(isClosedRing);
+
+/**
+ * Polygon delivery zones. A branch with active zones serves only points
+ * inside them; a branch without zones falls back to its pincode serviceAreas.
+ * When zones of several branches of one tenancy cover the same point, the
+ * zone with the highest priority wins, then the nearest branch, then the
+ * cheapest delivery.
+ */
+class ServiceZoneService {
+  /**
+   * Validate a zone payload. Returns a list of error messages.
+   */
+  validateZone(data = {}, { partial = false } = {}) {
+    const errors = [];
+
+    if (!partial || data.name !== undefined) {
+      if (!data.name || typeof data.name !== 'string' || !data.name.trim()) {
+        errors.push('name is required');
+      }
+    }
+
+    if (!partial || data.geometry !== undefined) {
+      const { type, coordinates } = data.geometry || {};
+      if (type === 'Polygon') {
+        if (!isPolygon(coordinates)) {
+          errors.push('geometry.coordinates must be closed rings of at least 4 [lng, lat] positions');
+        }
+      } else if (type === 'MultiPolygon') {
+        if (!Array.isArray(coordinates) || coordinates.length === 0 || !coordinates.every(isPolygon)) {
+          errors.push('geometry.coordinates must be a list of polygons made of closed [lng, lat] rings');
+        }
+      } else {
+        errors.push('geometry must be a GeoJSON Polygon or MultiPolygon');
+      }
+    }
+
+    for (const field of ['deliveryCharge', 'minOrderAmount']) {
+      if (data[field] !== undefined && (!Number.isFinite(data[field]) || data[field] < 0)) {
+        errors.push(`${field} must be a non-negative number`);
+      }
+    }
+    if (data.maxDeliveryTime !== undefined && (!Number.isFinite(data.maxDeliveryTime) || data.maxDeliveryTime < 1)) {
+      errors.push('maxDeliveryTime must be a number of minutes');
+    }
+    if (data.priority !== undefined && !Number.isFinite(data.priority)) {
+      errors.push('priority must be a number');
+    }
+    if (data.isActive !== undefined && typeof data.isActive !== 'boolean') {
+      errors.push('isActive must be true or false');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Only the fields a zone payload may set
+   */
+  pickZoneFields(data = {}) {
+    return Object.fromEntries(ZONE_FIELDS.filter(f => data[f] !== undefined).map(f => [f, data[f]]));
+  }
+
+  /**
+   * { lat, lng } from an object with lat/lng, latitude/longitude or coordinates.*
+   */
+  toPoint(source) {
+    if (!source) return null;
+    const coords = source.coordinates && !Array.isArray(source.coordinates) ? source.coordinates : source;
+    const lat = parseFloat(coords.lat ?? coords.latitude);
+    const lng = parseFloat(coords.lng ?? coords.longitude);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+    if (lat < -90 || lat > 90 || lng < -180 || lng > 180) return null;
+    return { lat, lng };
+  }
+
+  /**
+   * Coordinates of an address: the ones it carries, else geocoded
+   */
+  async resolveAddressPoint(address) {
+    if (!address) return null;
+    const point = typeof address === 'string' ? null : this.toPoint(address);
+    if (point) return point;
+
+    const text = typeof address === 'string'
+      ? address
+      : [address.addressLine1, address.addressLine2, address.landmark, address.city, address.pincode, 'India']
+        .filter(Boolean)
+        .join(', ');
+    const geocoded = await distanceService.geocodeAddress(text);
+    return geocoded.status === 'OK' ? { lat: geocoded.lat, lng: geocoded.lng } : null;
+  }
+
+  async getBranchZones(branchId, { activeOnly = false } = {}) {
+    const filter = { branch: branchId };
+    if (activeOnly) filter.isActive = true;
+    return ServiceZone.find(filter).sort({ priority: -1, name: 1 }).lean();
+  }
+
+  async branchHasZones(branchId) {
+    return !!(await ServiceZone.exists({ branch: branchId, isActive: true }));
+  }
+
+  /**
+   * Active zones containing a point, with their (active) branch populated
+   */
+  async findZonesAt(point, { tenancy, branch } = {}) {
+    const filter = {
+      isActive: true,
+      geometry: {
+        $geoIntersects: { $geometry: { type: 'Point', coordinates: [point.lng, point.lat] } }
+      }
+    };
+    if (tenancy) filter.tenancy = tenancy;
+    if (branch) filter.branch = branch;
+
+    const zones = await ServiceZone.find(filter).populate('branch', ZONE_BRANCH_FIELDS).lean();
+    return zones.filter(z => z.branch?.isActive && (!z.branch.status || z.branch.status === 'active'));
+  }
+
+  distanceToBranch(branch, point) {
+    const lng = branch?.location?.coordinates?.[0] ?? branch?.coordinates?.longitude;
+    const lat = branch?.location?.coordinates?.[1] ?? branch?.coordinates?.latitude;
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+    return distanceService.calculateHaversineDistance({ lat, lng }, point);
+  }
+
+  /**
+   * Pick one zone per tenancy among zones covering the same point
+   * @returns {Array<{ tenancy, branch, zone, distanceKm, alternatives }>}
+   */
+  resolveOverlaps(zones, point) {
+    const byTenancy = new Map();
+    for (const zone of zones) {
+      const key = zone.tenancy.toString();
+      if (!byTenancy.has(key)) byTenancy.set(key, []);
+      byTenancy.get(key).push({ zone, distanceKm: this.distanceToBranch(zone.branch, point) });
+    }
+
+    return [...byTenancy.values()].map(candidates => {
+      candidates.sort((a, b) =>
+        (b.zone.priority || 0) - (a.zone.priority || 0) ||
+        (a.distanceKm ?? Infinity) - (b.distanceKm ?? Infinity) ||
+        (a.zone.deliveryCharge || 0) - (b.zone.deliveryCharge || 0)
+      );
+      const [winner, ...others] = candidates;
+      return {
+        tenancy: winner.zone.tenancy,
+        branch: winner.zone.branch,
+        zone: this.toPublicZone(winner.zone),
+        distanceKm: winner.distanceKm,
+        alternatives: [...new Set(others.map(o => o.zone.branch._id.toString()))]
+          .filter(id => id !== winner.zone.branch._id.toString())
+      };
+    });
+  }
+
+  /**
+   * Which branches deliver to a point, one per tenancy
+   */
+  async lookup(point, { tenancy } = {}) {
+    const zones = await this.findZonesAt(point, { tenancy });
+    const matches = this.resolveOverlaps(zones, point)
+      .sort((a, b) => (a.distanceKm ?? Infinity) - (b.distanceKm ?? Infinity));
+    return { serviceable: matches.length > 0, matches };
+  }
+
+  /**
+   * Whether a branch delivers to an address or point. The address is only
+   * geocoded when the branch has zones.
+   * @returns {Promise<{ zoned: boolean, zone: object|null }>} zoned is false
+   *   for branches without zones (legacy pincode / radius rules apply)
+   */
+  async checkBranchCoverage(branchId, location) {
+    if (!(await this.branchHasZones(branchId))) return { zoned: false, zone: null };
+
+    const point = await this.resolveAddressPoint(location);
+    if (!point) return { zoned: true, zone: null };
+
+    const zones = await this.findZonesAt(point, { branch: branchId });
+    if (zones.length === 0) return { zoned: true, zone: null };
+
+    const [best] = zones.sort((a, b) =>
+      (b.priority || 0) - (a.priority || 0) || (a.deliveryCharge || 0) - (b.deliveryCharge || 0)
+    );
+    return { zoned: true, zone: this.toPublicZone(best) };
+  }
+
+  /**
+   * Branch delivering to an address among a tenancy's zoned branches
+   * (overlaps resolved). Null when no zone covers it or zones aren't used.
+   */
+  async findBranchForAddress(address, { tenancy } = {}) {
+    const filter = { isActive: true };
+    if (tenancy) filter.tenancy = tenancy;
+    if (!(await ServiceZone.exists(filter))) return null;
+
+    const point = await this.resolveAddressPoint(address);
+    if (!point) return null;
+
+    const { matches } = await this.lookup(point, { tenancy });
+    return matches[0] || null;
+  }
+
+  async getZonedBranchIds({ tenancy, branches } = {}) {
+    const filter = { isActive: true };
+    if (tenancy) filter.tenancy = tenancy;
+    if (branches) filter.branch = { $in: branches };
+    return ServiceZone.distinct('branch', filter);
+  }
+
+  /**
+   * Active zones of other branches in the same tenancy that intersect a zone
+   */
+  async findOverlaps(zone) {
+    const overlaps = await ServiceZone.find({
+      _id: { $ne: zone._id },
+      tenancy: zone.tenancy,
+      branch: { $ne: zone.branch },
+      isActive: true,
+      geometry: { $geoIntersects: { $geometry: zone.geometry } }
+    }).populate('branch', 'name code').lean();
+
+    return overlaps.map(o => ({
+      zoneId: o._id,
+      name: o.name,
+      branch: o.branch,
+      priority: o.priority
+    }));
+  }
+
+  /**
+   * Mongo rejects self-intersecting or otherwise invalid polygons when indexing
+   */
+  isGeometryError(error) {
+    return error?.code === 16755 || /geo keys|Loop is not valid|Edges \d+ and \d+ cross/i.test(error?.message || '');
+  }
+
+  toPublicZone(zone) {
+    return {
+      _id: zone._id,
+      name: zone.name,
+      branch: zone.branch?._id || zone.branch,
+      deliveryCharge: zone.deliveryCharge,
+      minOrderAmount: zone.minOrderAmount,
+      maxDeliveryTime: zone.maxDeliveryTime,
+      priority: zone.priority
+    };
+  }
+}
+
+module.exports = new ServiceZoneService();
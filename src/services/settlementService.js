@@ -0,0 +1,723 @@
+const mongoose = require('mongoose');
+const Settlement = require('../models/Settlement');
+const PayoutBatch = require('../models/PayoutBatch');
+const Transaction = require('../models/Transaction');
+const Order = require('../models/Order');
+const Branch = require('../models/Branch');
+const LogisticsPartner = require('../models/LogisticsPartner');
+const User = require('../models/User');
+const JobLock = require('../models/JobLock');
+const { ORDER_STATUS, PAYMENT_METHODS } = require('../config/constants');
+
+const RUN_LOCK = 'settlement_batch_runner';
+const RUN_LOCK_MS = 30 * 60 * 1000;
+// Settlements at or above this need finance team sign-off instead of an admin
+const FINANCE_APPROVAL_THRESHOLD = 50000;
+const PAYABLE_METHODS = ['bank_transfer', 'upi'];
+// Settlements a receivable (negative net) can still be carried forward from
+const OPEN_STATUSES = ['pending_approval', 'approved'];
+const NACHA_RECORD_LENGTH = 94;
+
+const roundAmount = (amount) => Math.round((Number(amount) || 0) * 100) / 100;
+
+// Quoted CSV cell. Text starting with =, +, -, @, tab or CR (other than a
+// plain number) gets a leading ' so spreadsheet tools don't run it as a formula.
+const csvCell = (value) => {
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text) && !/^-?\d+(\.\d+)?$/.test(text)) {
+    text = `'${text}`;
+  }
+  return `"${text.replace(/"/g, '""')}"`;
+};
+
+// Delivered orders in a period. actualDeliveryDate isn't set by every status
+// path, so fall back to the last update of a delivered order.
+const deliveredOrdersStages = (periodStart, periodEnd, extraMatch = {}) => [
+  { $match: { status: ORDER_STATUS.DELIVERED, ...extraMatch } },
+  { $addFields: { deliveredAt: { $ifNull: ['$actualDeliveryDate', '$updatedAt'] } } },
+  { $match: { deliveredAt: { $gte: periodStart, $lte: periodEnd } } }
+];
+
+const hasPayoutDetails = (settlement) => (
+  settlement.paymentMethod === 'upi'
+    ? !!settlement.bankDetails?.upiId
+    : !!(settlement.bankDetails?.accountNumber && settlement.bankDetails?.ifscCode)
+);
+
+// Fixed-width field helpers for the NACHA-style file
+const alpha = (value, length) => String(value ?? '').toUpperCase().replace(/[^A-Z0-9 .\-]/g, ' ').padEnd(length).slice(0, length);
+const numeric = (value, length) => String(value ?? 0).replace(/\D/g, '').padStart(length, '0').slice(-length);
+
+/**
+ * Settlement batch runner.
+ *
+ * 1. generateSettlements() works out what each branch, logistics partner and
+ *    driver is owed for delivered orders and creates settlements awaiting
+ *    approval. Orders already covered by a live settlement are skipped.
+ *    A branch whose cash-on-delivery commission is more than its prepaid
+ *    takings owes the platform: its settlement is a receivable (negative
+ *    net) that is carried into, and deducted from, its next settlement.
+ * 2. Approved settlements are claimed into a PayoutBatch (bank file, CSV or
+ *    NACHA-style fixed width) and move to processing.
+ * 3. applyPayoutResults() records the bank's outcome per settlement: completed
+ *    (with a settlement Transaction) or failed. Failed settlements go back to
+ *    approved for the next batch until Settlement.maxRetries is reached.
+ */
+class SettlementService {
+  /**
+   * Default period for a scheduled run: yesterday, or the last full Monday-Sunday week
+   */
+  getPeriod(period = 'weekly', now = new Date()) {
+    const periodEnd = new Date(now);
+    periodEnd.setHours(0, 0, 0, 0);
+
+    if (period === 'weekly') {
+      // Back to the most recent Monday 00:00
+      periodEnd.setDate(periodEnd.getDate() - ((periodEnd.getDay() + 6) % 7));
+    }
+    const periodStart = new Date(periodEnd);
+    periodStart.setDate(periodStart.getDate() - (period === 'weekly' ? 7 : 1));
+    periodEnd.setMilliseconds(-1);
+
+    return { periodStart, periodEnd };
+  }
+
+  async getSettledOrderIds(type, orderIds) {
+    const settled = await Settlement.distinct('items.orderId', {
+      type,
+      status: { $ne: 'cancelled' },
+      'items.orderId': { $in: orderIds }
+    });
+    return new Set(settled.map(id => id.toString()));
+  }
+
+  /**
+   * Branches are owed what the platform collected for their orders, less the
+   * platform commission (Branch.financials.commissionRate) on every order.
+   * For cash-on-delivery orders the branch already holds the money, so only
+   * the commission is deducted.
+   */
+  async computeBranchDues(periodStart, periodEnd) {
+    const rows = await Order.aggregate([
+      ...deliveredOrdersStages(periodStart, periodEnd, { branch: { $ne: null } }),
+      {
+        $group: {
+          _id: '$branch',
+          orders: {
+            $push: {
+              orderId: '$_id',
+              orderNumber: '$orderNumber',
+              total: '$pricing.total',
+              paymentMethod: '$paymentMethod'
+            }
+          }
+        }
+      }
+    ]);
+    if (!rows.length) return [];
+
+    const settled = await this.getSettledOrderIds('branch', rows.flatMap(r => r.orders.map(o => o.orderId)));
+    const branches = await Branch.find({ _id: { $in: rows.map(r => r._id) } })
+      .select('name contact financials')
+      .lean();
+    const branchById = new Map(branches.map(b => [b._id.toString(), b]));
+
+    return rows.map(row => {
+      const branch = branchById.get(row._id.toString());
+      if (!branch) return null;
+
+      const rate = branch.financials?.commissionRate ?? 10;
+      const items = row.orders
+        .filter(o => !settled.has(o.orderId.toString()))
+        .map(o => {
+          const collected = o.paymentMethod !== PAYMENT_METHODS.COD;
+          const amount = collected ? roundAmount(o.total) : 0;
+          const commission = roundAmount(o.total * rate / 100);
+          return {
+            orderId: o.orderId,
+            amount,
+            commission,
+            netAmount: roundAmount(amount - commission),
+            description: collected
+              ? `Order ${o.orderNumber}`
+              : `Order ${o.orderNumber} (cash collected by branch)`
+          };
+        });
+
+      return {
+        type: 'branch',
+        recipientId: branch._id,
+        recipientModel: 'Branch',
+        recipientName: branch.name,
+        recipientEmail: branch.contact?.email,
+        recipientPhone: branch.contact?.phone,
+        bankDetails: branch.financials?.bankDetails,
+        items
+      };
+    }).filter(Boolean);
+  }
+
+  /**
+   * Logistics partners are paid per delivered order from their rate card:
+   * perOrder + perKm x delivery distance, or flatRate when neither is set.
+   */
+  async computePartnerDues(periodStart, periodEnd) {
+    const rows = await Order.aggregate([
+      ...deliveredOrdersStages(periodStart, periodEnd, { logisticsPartner: { $ne: null } }),
+      {
+        $group: {
+          _id: '$logisticsPartner',
+          orders: {
+            $push: {
+              orderId: '$_id',
+              orderNumber: '$orderNumber',
+              distance: '$deliveryDetails.distance'
+            }
+          }
+        }
+      }
+    ]);
+    if (!rows.length) return [];
+
+    const settled = await this.getSettledOrderIds('partner', rows.flatMap(r => r.orders.map(o => o.orderId)));
+    const partners = await LogisticsPartner.find({ _id: { $in: rows.map(r => r._id) } })
+      .select('companyName contactPerson rateCard bankDetails')
+      .lean();
+    const partnerById = new Map(partners.map(p => [p._id.toString(), p]));
+
+    return rows.map(row => {
+      const partner = partnerById.get(row._id.toString());
+      if (!partner) return null;
+
+      const { perOrder = 0, perKm = 0, flatRate = 0 } = partner.rateCard || {};
+      const items = row.orders
+        .filter(o => !settled.has(o.orderId.toString()))
+        .map(o => {
+          const distance = o.distance || 0;
+          const amount = roundAmount(perOrder || perKm ? perOrder + perKm * distance : flatRate);
+          return {
+            orderId: o.orderId,
+            amount,
+            netAmount: amount,
+            description: `Order ${o.orderNumber}${distance ? ` (${distance} km)` : ''}`
+          };
+        });
+
+      return {
+        type: 'partner',
+        recipientId: partner._id,
+        recipientModel: 'LogisticsPartner',
+        recipientName: partner.companyName,
+        recipientEmail: partner.contactPerson?.email,
+        recipientPhone: partner.contactPerson?.phone,
+        bankDetails: partner.bankDetails,
+        items
+      };
+    }).filter(Boolean);
+  }
+
+  /**
+   * Drivers are paid their branch staff perDeliveryRate for each order they
+   * marked delivered. Drivers without a rate are not settled.
+   */
+  async computeDriverDues(periodStart, periodEnd) {
+    const rows = await Order.aggregate([
+      ...deliveredOrdersStages(periodStart, periodEnd, { branch: { $ne: null } }),
+      { $unwind: '$statusHistory' },
+      { $match: { 'statusHistory.status': ORDER_STATUS.DELIVERED, 'statusHistory.updatedBy': { $ne: null } } },
+      {
+        $group: {
+          _id: { branch: '$branch', driver: '$statusHistory.updatedBy' },
+          orders: { $addToSet: { orderId: '$_id', orderNumber: '$orderNumber' } }
+        }
+      }
+    ]);
+    if (!rows.length) return [];
+
+    const branches = await Branch.find({ _id: { $in: [...new Set(rows.map(r => r._id.branch.toString()))] } })
+      .select('name staff')
+      .lean();
+    const driverStaff = new Map();
+    branches.forEach(branch => {
+      (branch.staff || [])
+        .filter(s => s.role === 'driver' && s.isActive && s.perDeliveryRate > 0)
+        .forEach(s => driverStaff.set(`${branch._id}:${s.userId}`, { ...s, branchName: branch.name }));
+    });
+
+    const driverRows = rows.filter(r => driverStaff.has(`${r._id.branch}:${r._id.driver}`));
+    if (!driverRows.length) return [];
+
+    const settled = await this.getSettledOrderIds('driver', driverRows.flatMap(r => r.orders.map(o => o.orderId)));
+    const users = await User.find({ _id: { $in: driverRows.map(r => r._id.driver) } })
+      .select('name email phone')
+      .lean();
+    const userById = new Map(users.map(u => [u._id.toString(), u]));
+
+    return driverRows.map(row => {
+      const staff = driverStaff.get(`${row._id.branch}:${row._id.driver}`);
+      const user = userById.get(row._id.driver.toString());
+      const items = row.orders
+        .filter(o => !settled.has(o.orderId.toString()))
+        .map(o => ({
+          orderId: o.orderId,
+          amount: staff.perDeliveryRate,
+          netAmount: staff.perDeliveryRate,
+          description: `Delivery of order ${o.orderNumber} (${staff.branchName})`
+        }));
+
+      return {
+        type: 'driver',
+        recipientId: row._id.driver,
+        recipientModel: 'User',
+        recipientName: user?.name || 'Driver',
+        recipientEmail: user?.email,
+        recipientPhone: user?.phone,
+        bankDetails: staff.bankDetails,
+        items
+      };
+    });
+  }
+
+  /**
+   * Create settlements awaiting approval for everything owed in the period
+   */
+  async generateSettlements({ periodStart, periodEnd, types = ['branch', 'partner', 'driver'], createdBy } = {}) {
+    const calculators = {
+      branch: () => this.computeBranchDues(periodStart, periodEnd),
+      partner: () => this.computePartnerDues(periodStart, periodEnd),
+      driver: () => this.computeDriverDues(periodStart, periodEnd)
+    };
+
+    const batchId = `BATCH_${Date.now()}_${Math.random().toString(36).substring(2, 6).toUpperCase()}`;
+    const created = [];
+    const skipped = [];
+
+    for (const type of types) {
+      const dues = await calculators[type]();
+
+      for (const due of dues) {
+        if (!due.items.length) continue;
+
+        const carried = await this.claimOpenReceivables(type, due.recipientId);
+        const items = [
+          ...due.items,
+          ...carried.map(receivable => ({
+            amount: receivable.netAmount,
+            netAmount: receivable.netAmount,
+            description: `Balance owed from settlement ${receivable.settlementId}`
+          }))
+        ];
+        const grossAmount = roundAmount(items.reduce((sum, i) => sum + i.amount, 0));
+        const totalCommission = roundAmount(items.reduce((sum, i) => sum + (i.commission || 0), 0));
+        const netAmount = roundAmount(grossAmount - totalCommission);
+
+        if (netAmount === 0 && !carried.length) {
+          skipped.push({
+            type,
+            recipientId: due.recipientId,
+            recipientName: due.recipientName,
+            netAmount,
+            reason: 'Nothing owed for the period'
+          });
+          continue;
+        }
+
+        const receivable = netAmount < 0;
+        const bankDetails = due.bankDetails || {};
+        let settlement;
+        try {
+          settlement = await Settlement.create({
+            batchId,
+            source: createdBy ? 'manual' : 'batch_runner',
+            type,
+            recipientId: due.recipientId,
+            recipientModel: due.recipientModel,
+            recipientName: due.recipientName,
+            recipientEmail: due.recipientEmail,
+            recipientPhone: due.recipientPhone,
+            grossAmount,
+            totalCommission,
+            netAmount,
+            items,
+            periodStart,
+            periodEnd,
+            status: 'pending_approval',
+            requiresApproval: true,
+            approvalLevel: Math.abs(netAmount) >= FINANCE_APPROVAL_THRESHOLD ? 'finance_team' : 'admin',
+            paymentMethod: bankDetails.upiId && !bankDetails.accountNumber ? 'upi' : 'bank_transfer',
+            bankDetails,
+            description: receivable
+              ? `Owed by ${due.recipientName} for ${due.items.length} order(s) delivered ${periodStart.toDateString()} - ${periodEnd.toDateString()}`
+              : `${due.items.length} order(s) delivered ${periodStart.toDateString()} - ${periodEnd.toDateString()}`,
+            createdBy
+          });
+        } catch (error) {
+          await this.reopenReceivables(carried);
+          throw error;
+        }
+        await this.offsetReceivables(carried, `settlement ${settlement.settlementId}`);
+
+        created.push({
+          settlementId: settlement.settlementId,
+          type,
+          recipientName: settlement.recipientName,
+          netAmount,
+          receivable,
+          orders: due.items.length,
+          hasPayoutDetails: hasPayoutDetails(settlement)
+        });
+      }
+    }
+
+    console.log(`🧾 Settlement batch ${batchId}: ${created.length} created, ${skipped.length} skipped`);
+    return { batchId, periodStart, periodEnd, created, skipped };
+  }
+
+  /**
+   * Take a recipient's open receivables so they can be carried into a new
+   * settlement. Each is claimed atomically (moved to processing), so two
+   * runs can't carry the same balance.
+   */
+  async claimOpenReceivables(type, recipientId) {
+    const open = await Settlement.find({
+      type,
+      recipientId,
+      netAmount: { $lt: 0 },
+      status: { $in: OPEN_STATUSES }
+    }).select('_id status');
+
+    const claimed = [];
+    for (const { _id, status } of open) {
+      const receivable = await Settlement.findOneAndUpdate(
+        { _id, status },
+        { $set: { status: 'processing', processedAt: new Date() } },
+        { new: true }
+      );
+      if (receivable) {
+        claimed.push({
+          _id,
+          settlementId: receivable.settlementId,
+          netAmount: receivable.netAmount,
+          previousStatus: status
+        });
+      }
+    }
+    return claimed;
+  }
+
+  // Carried receivables are settled by the settlement that deducts them
+  async offsetReceivables(receivables, offsetBy) {
+    if (!receivables.length) return;
+    await Settlement.updateMany(
+      { _id: { $in: receivables.map(r => r._id) }, status: 'processing' },
+      {
+        $set: { status: 'completed', completedAt: new Date(), notes: `Carried into ${offsetBy}` },
+        $unset: { processedAt: 1 }
+      }
+    );
+  }
+
+  async reopenReceivables(receivables) {
+    for (const receivable of receivables) {
+      await Settlement.updateOne(
+        { _id: receivable._id, status: 'processing' },
+        { $set: { status: receivable.previousStatus }, $unset: { processedAt: 1 } }
+      );
+    }
+  }
+
+  /**
+   * Put failed settlements that still have retries left back in the payout queue
+   */
+  async requeueFailedSettlements() {
+    const failed = await Settlement.find({ status: 'failed' });
+    let requeued = 0;
+    let exhausted = 0;
+
+    for (const settlement of failed) {
+      if (!settlement.canRetry()) {
+        exhausted += 1;
+        continue;
+      }
+      const result = await Settlement.updateOne(
+        { _id: settlement._id, status: 'failed' },
+        { $set: { status: 'approved' }, $unset: { payoutBatchId: 1 } }
+      );
+      requeued += result.modifiedCount;
+    }
+
+    return { requeued, exhausted };
+  }
+
+  /**
+   * Claim approved settlements into a bank payout file
+   */
+  async createPayoutBatch({ format = 'csv', settlementIds, createdBy, source = 'manual' } = {}) {
+    const now = new Date();
+    const query = {
+      status: 'approved',
+      // Receivables are owed to the platform, not paid out
+      netAmount: { $gt: 0 },
+      paymentMethod: { $in: PAYABLE_METHODS },
+      $or: [{ scheduledDate: null }, { scheduledDate: { $lte: now } }]
+    };
+    if (settlementIds?.length) {
+      query._id = { $in: settlementIds };
+    }
+
+    const candidates = await Settlement.find(query).select('settlementId paymentMethod bankDetails');
+    const skipped = [];
+    const eligible = candidates.filter(settlement => {
+      if (!hasPayoutDetails(settlement)) {
+        skipped.push({ settlementId: settlement.settlementId, reason: 'Missing bank/UPI details' });
+        return false;
+      }
+      if (format === 'nacha' && settlement.paymentMethod === 'upi') {
+        skipped.push({ settlementId: settlement.settlementId, reason: 'UPI payouts need the CSV format' });
+        return false;
+      }
+      return true;
+    });
+
+    const batchId = PayoutBatch.generateBatchId();
+
+    // Claim one by one so a concurrent batch can't pay the same settlement
+    const claimed = [];
+    for (const { _id } of eligible) {
+      const settlement = await Settlement.findOneAndUpdate(
+        { _id, status: 'approved' },
+        { $set: { status: 'processing', processedAt: now, payoutBatchId: batchId } },
+        { new: true }
+      );
+      if (settlement) claimed.push(settlement);
+    }
+
+    if (!claimed.length) {
+      return { batch: null, skipped };
+    }
+
+    try {
+      const content = format === 'nacha'
+        ? this.buildNachaFile(claimed, batchId, now)
+        : this.buildCsvFile(claimed, batchId);
+
+      const batch = await PayoutBatch.create({
+        batchId,
+        format,
+        fileName: `${batchId}.${format === 'nacha' ? 'ach' : 'csv'}`,
+        content,
+        settlements: claimed.map(s => s._id),
+        settlementCount: claimed.length,
+        totalAmount: roundAmount(claimed.reduce((sum, s) => sum + s.netAmount, 0)),
+        source,
+        createdBy
+      });
+
+      console.log(`🏦 Payout batch ${batchId}: ${claimed.length} settlement(s), ₹${batch.totalAmount}`);
+      return { batch, skipped };
+    } catch (error) {
+      // Release the claimed settlements so they go into the next batch
+      await Settlement.updateMany(
+        { payoutBatchId: batchId, status: 'processing' },
+        { $set: { status: 'approved' }, $unset: { payoutBatchId: 1, processedAt: 1 } }
+      );
+      throw error;
+    }
+  }
+
+  buildCsvFile(settlements, batchId) {
+    const headers = [
+      'Batch ID', 'Settlement ID', 'Beneficiary Name', 'Account Number', 'IFSC', 'UPI ID',
+      'Bank Name', 'Payment Mode', 'Amount', 'Currency', 'Narration', 'Email', 'Phone'
+    ];
+
+    const rows = settlements.map(s => [
+      batchId,
+      s.settlementId,
+      s.bankDetails?.accountHolderName || s.recipientName,
+      s.bankDetails?.accountNumber || '',
+      s.bankDetails?.ifscCode || '',
+      s.bankDetails?.upiId || '',
+      s.bankDetails?.bankName || '',
+      s.paymentMethod === 'upi' ? 'UPI' : 'NEFT',
+      s.netAmount.toFixed(2),
+      s.currency,
+      `Settlement ${s.settlementId}`,
+      s.recipientEmail || '',
+      s.recipientPhone || ''
+    ]);
+
+    return [headers, ...rows]
+      .map(row => row.map(csvCell).join(','))
+      .join('\n');
+  }
+
+  /**
+   * NACHA-style fixed-width credit file (94-character records, blocked to
+   * multiples of 10). IFSC codes take the place of US routing numbers.
+   */
+  buildNachaFile(settlements, batchId, now = new Date()) {
+    const companyName = process.env.PAYOUT_COMPANY_NAME || 'LaundryLobby';
+    const companyId = process.env.PAYOUT_COMPANY_ID || '0000000000';
+    const originIfsc = process.env.PAYOUT_BANK_IFSC || '';
+    const yymmdd = now.toISOString().slice(2, 10).replace(/-/g, '');
+    const hhmm = now.toISOString().slice(11, 16).replace(':', '');
+
+    const records = [];
+    records.push(
+      '1' + '01' + alpha(originIfsc, 10) + alpha(companyId, 10) + yymmdd + hhmm + 'A' + '094' + '10' + '1' +
+      alpha(process.env.PAYOUT_BANK_NAME || '', 23) + alpha(companyName, 23) + alpha(batchId.slice(-8), 8)
+    );
+    records.push(
+      '5' + '220' + alpha(companyName, 16) + alpha(batchId, 20) + alpha(companyId, 10) + 'PPD' +
+      alpha('SETTLEMENT', 10) + yymmdd + yymmdd + '   ' + '1' + alpha(originIfsc, 8) + numeric(1, 7)
+    );
+
+    let entryHash = 0;
+    let totalPaise = 0;
+    settlements.forEach((s, index) => {
+      const paise = Math.round(s.netAmount * 100);
+      totalPaise += paise;
+      entryHash = (entryHash + Number(String(s.bankDetails.accountNumber).replace(/\D/g, '').slice(-10) || 0)) % 1e10;
+      records.push(
+        '6' + '22' + alpha(s.bankDetails.ifscCode, 11) + alpha(s.bankDetails.accountNumber, 17) +
+        numeric(paise, 10) + alpha(s.settlementId, 15) +
+        alpha(s.bankDetails.accountHolderName || s.recipientName, 22) + '  ' + '0' + numeric(index + 1, 13)
+      );
+    });
+
+    records.push(
+      '8' + '220' + numeric(settlements.length, 6) + numeric(entryHash, 10) + numeric(0, 12) +
+      numeric(totalPaise, 12) + alpha(companyId, 10) + ' '.repeat(19) + ' '.repeat(6) +
+      alpha(originIfsc, 8) + numeric(1, 7)
+    );
+
+    const blockCount = Math.ceil((records.length + 1) / 10);
+    records.push(
+      '9' + numeric(1, 6) + numeric(blockCount, 6) + numeric(settlements.length, 8) + numeric(entryHash, 10) +
+      numeric(0, 12) + numeric(totalPaise, 12) + ' '.repeat(39)
+    );
+    while (records.length % 10 !== 0) {
+      records.push('9'.repeat(NACHA_RECORD_LENGTH));
+    }
+
+    return records.join('\n');
+  }
+
+  /**
+   * Apply the bank's results for a payout batch.
+   * results: [{ settlementId, status: 'completed' | 'failed', paymentReference, failureReason, failureCode }]
+   */
+  async applyPayoutResults(batchId, results = [], adminId) {
+    const batch = await PayoutBatch.findOne({ batchId });
+    if (!batch) return null;
+
+    const applied = [];
+    const notFound = [];
+
+    for (const result of results) {
+      const match = [{ settlementId: result.settlementId }];
+      if (mongoose.Types.ObjectId.isValid(result.settlementId)) {
+        match.push({ _id: result.settlementId });
+      }
+      const settlement = await Settlement.findOne({ payoutBatchId: batchId, status: 'processing', $or: match });
+      if (!settlement) {
+        notFound.push(result.settlementId);
+        continue;
+      }
+
+      if (result.status === 'completed') {
+        settlement.lastModifiedBy = adminId;
+        await settlement.markCompleted(result.paymentReference);
+        await this.recordSettlementTransaction(settlement, adminId);
+      } else {
+        settlement.lastModifiedBy = adminId;
+        await settlement.markFailed(result.failureReason || 'Payout failed', result.failureCode);
+      }
+      applied.push({ settlementId: settlement.settlementId, status: settlement.status, retryCount: settlement.retryCount });
+    }
+
+    const [completedCount, failedCount, pendingCount] = await Promise.all([
+      Settlement.countDocuments({ payoutBatchId: batchId, status: 'completed' }),
+      Settlement.countDocuments({ payoutBatchId: batchId, status: 'failed' }),
+      Settlement.countDocuments({ payoutBatchId: batchId, status: 'processing' })
+    ]);
+
+    batch.completedCount = completedCount;
+    batch.failedCount = failedCount;
+    if (pendingCount === 0) {
+      batch.status = failedCount === 0 ? 'completed' : (completedCount === 0 ? 'failed' : 'partially_failed');
+    }
+    batch.resultsAppliedAt = new Date();
+    batch.resultsAppliedBy = adminId;
+    await batch.save();
+
+    return { batch, applied, notFound };
+  }
+
+  // Ledger entry for a paid settlement (feeds cash flow and reconciliation reports)
+  async recordSettlementTransaction(settlement, adminId) {
+    try {
+      const subTypes = {
+        driver: 'driver_settlement',
+        branch: 'branch_settlement',
+        staff: 'staff_settlement',
+        partner: 'partner_settlement'
+      };
+      await Transaction.create({
+        type: 'settlement',
+        subType: subTypes[settlement.type],
+        amount: settlement.netAmount,
+        netAmount: settlement.netAmount,
+        currency: settlement.currency,
+        status: 'completed',
+        paymentMethod: settlement.paymentMethod,
+        paymentGateway: 'manual',
+        externalTransactionId: settlement.paymentReference,
+        branchId: settlement.type === 'branch' ? settlement.recipientId : undefined,
+        driverId: settlement.type === 'driver' ? settlement.recipientId : undefined,
+        bankDetails: settlement.bankDetails,
+        description: `Settlement ${settlement.settlementId} - ${settlement.recipientName}`,
+        createdBy: adminId,
+        completedAt: new Date()
+      });
+    } catch (error) {
+      console.error(`❌ Failed to record transaction for settlement ${settlement.settlementId}:`, error.message);
+    }
+  }
+
+  /**
+   * Scheduled run: settle the last period, requeue retryable failures and
+   * write a payout file for everything approved. Guarded by a job lock.
+   */
+  async runSettlementCycle({ period = 'weekly', format = process.env.PAYOUT_FILE_FORMAT || 'csv', now = new Date() } = {}) {
+    const owner = await JobLock.acquire(RUN_LOCK, RUN_LOCK_MS);
+    if (!owner) {
+      return { success: false, skipped: true, error: 'Settlement run already in progress' };
+    }
+
+    try {
+      const { periodStart, periodEnd } = this.getPeriod(period, now);
+      const generated = await this.generateSettlements({ periodStart, periodEnd });
+      const retries = await this.requeueFailedSettlements();
+      const payout = await this.createPayoutBatch({ format, source: 'batch_runner' });
+
+      return {
+        success: true,
+        period: { periodStart, periodEnd },
+        settlementsCreated: generated.created.length,
+        settlementsSkipped: generated.skipped.length,
+        requeued: retries.requeued,
+        retriesExhausted: retries.exhausted,
+        payoutBatch: payout.batch
+          ? { batchId: payout.batch.batchId, settlements: payout.batch.settlementCount, totalAmount: payout.batch.totalAmount }
+          : null,
+        payoutSkipped: payout.skipped
+      };
+    } finally {
+      await JobLock.release(RUN_LOCK, owner);
+    }
+  }
+}
+
+module.exports = new SettlementService();
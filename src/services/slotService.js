@@ -0,0 +1,272 @@
+const mongoose = require('mongoose');
+const Branch = require('../models/Branch');
+const SlotBooking = require('../models/SlotBooking');
+const businessCalendar = require('./businessCalendarService');
+
+// Shortest slot worth offering when the last one of a window is cut off
+const MIN_SLOT_MINUTES = 30;
+const SLOT_PATTERN = /^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/;
+const BRANCH_SLOT_FIELDS = 'tenancy isActive status capacity operatingHours slotSettings holidays';
+
+// Raised when a slot can't be booked. Carries the statusCode/error code the
+// errorHandler middleware responds with.
+class SlotBookingError extends Error {
+  constructor(error, message, statusCode = 409, details = undefined) {
+    super(message);
+    this.name = 'SlotBookingError';
+    this.error = error;
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const toTime = (minutes) => (
+  `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`
+);
+
+/**
+ * Pickup slot booking per branch. Slots are generated from the branch's
+ * operating hours (skipping the lunch break) in the tenancy's timezone, and
+ * each slot and each day has a booking limit. Bookings are counted in
+ * SlotBooking documents with conditional $inc updates, so two customers can
+ * never both take the last place in a slot.
+ */
+class SlotService {
+  /**
+   * Local date key and minutes past midnight for an instant
+   */
+  getLocalNow(timeZone, now = new Date()) {
+    const parts = new Intl.DateTimeFormat('en-GB', {
+      timeZone,
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(now);
+    const value = (type) => Number(parts.find(p => p.type === type).value);
+    return {
+      dateKey: businessCalendar.toDateKey(now, timeZone),
+      minutes: value('hour') * 60 + value('minute')
+    };
+  }
+
+  /**
+   * Canonical 'HH:mm-HH:mm' label for '09:00-11:00' / '9:00 - 11:00', or null
+   */
+  normalizeSlot(label) {
+    const match = SLOT_PATTERN.exec(String(label || '').trim());
+    if (!match) return null;
+    const start = Number(match[1]) * 60 + Number(match[2]);
+    const end = Number(match[3]) * 60 + Number(match[4]);
+    if (start >= end || end > 24 * 60) return null;
+    return `${toTime(start)}-${toTime(end)}`;
+  }
+
+  async getBranch(branchOrId) {
+    const branchId = branchOrId?._id || branchOrId;
+    if (!mongoose.isValidObjectId(branchId)) return null;
+    return Branch.findById(branchId).select(BRANCH_SLOT_FIELDS).lean();
+  }
+
+  /**
+   * Slots of a working day: operatingHours split into durationMinutes
+   * windows, with the lunch break left out
+   */
+  generateSlots(branch) {
+    const hours = branch.operatingHours || {};
+    const duration = branch.slotSettings?.durationMinutes || 120;
+    const open = toMinutes(hours.openTime || '09:00');
+    const close = toMinutes(hours.closeTime || '18:00');
+
+    let windows = [[open, close]];
+    const lunchStart = hours.lunchBreak?.start && toMinutes(hours.lunchBreak.start);
+    const lunchEnd = hours.lunchBreak?.end && toMinutes(hours.lunchBreak.end);
+    if (lunchStart && lunchEnd && lunchStart < lunchEnd && lunchStart < close && lunchEnd > open) {
+      windows = [[open, lunchStart], [lunchEnd, close]];
+    }
+
+    const slots = [];
+    for (const [windowStart, windowEnd] of windows) {
+      for (let start = windowStart; windowEnd - start >= MIN_SLOT_MINUTES; start += duration) {
+        const end = Math.min(start + duration, windowEnd);
+        slots.push({ slot: `${toTime(start)}-${toTime(end)}`, start: toTime(start), end: toTime(end) });
+      }
+    }
+    return slots;
+  }
+
+  /**
+   * Why the branch takes no bookings on a date, or null when it is open
+   */
+  getClosure(branch, dateKey, businessHours = null) {
+    if (!branch.isActive || (branch.status && branch.status !== 'active')) {
+      return 'Branch is not accepting orders';
+    }
+    return businessCalendar.getNonWorkingReason(branch, dateKey, businessHours);
+  }
+
+  getDayCapacity(branch) {
+    return branch.capacity?.maxOrdersPerDay || 100;
+  }
+
+  getSlotCapacity(branch, slotCount) {
+    return branch.slotSettings?.maxOrdersPerSlot ||
+      Math.max(1, Math.ceil(this.getDayCapacity(branch) / Math.max(slotCount, 1)));
+  }
+
+  /**
+   * Slots for a branch and date with their remaining capacity
+   */
+  async getAvailability(branchOrId, date, { now = new Date() } = {}) {
+    const branch = branchOrId?.operatingHours ? branchOrId : await this.getBranch(branchOrId);
+    if (!branch) {
+      throw new SlotBookingError('BRANCH_NOT_FOUND', 'Branch not found', 404);
+    }
+
+    const { timezone, businessHours } = await businessCalendar.getTenancyCalendar(branch.tenancy);
+    const local = this.getLocalNow(timezone, now);
+    const dateKey = date ? businessCalendar.toDateKey(date, timezone) : local.dateKey;
+    if (!dateKey) {
+      throw new SlotBookingError('INVALID_DATE', 'date must be a valid date (YYYY-MM-DD)', 400);
+    }
+
+    const slots = this.generateSlots(branch);
+    const dayCapacity = this.getDayCapacity(branch);
+    const slotCapacity = this.getSlotCapacity(branch, slots.length);
+    const lastBookableDate = businessCalendar.addDays(local.dateKey, (branch.slotSettings?.advanceDays || 7) - 1);
+
+    let reason = this.getClosure(branch, dateKey, businessHours);
+    if (!reason && dateKey < local.dateKey) reason = 'Date is in the past';
+    if (!reason && dateKey > lastBookableDate) reason = 'Date is too far ahead to book';
+
+    const bookings = reason ? [] : await SlotBooking.find({ branch: branch._id, date: dateKey })
+      .select('slot booked')
+      .lean();
+    const booked = new Map(bookings.map(b => [b.slot, b.booked]));
+    const dayBooked = booked.get(null) || 0;
+    const dayRemaining = Math.max(0, dayCapacity - dayBooked);
+    const cutoff = branch.slotSettings?.cutoffMinutes ?? 60;
+
+    return {
+      branchId: branch._id,
+      date: dateKey,
+      timezone,
+      closed: !!reason,
+      reason,
+      dayCapacity,
+      dayBooked,
+      dayRemaining,
+      slots: reason ? [] : slots.map(s => {
+        const slotBooked = booked.get(s.slot) || 0;
+        const remaining = Math.min(Math.max(0, slotCapacity - slotBooked), dayRemaining);
+        const pastCutoff = dateKey === local.dateKey && toMinutes(s.start) - cutoff <= local.minutes;
+        return {
+          ...s,
+          capacity: slotCapacity,
+          booked: slotBooked,
+          remaining: pastCutoff ? 0 : remaining,
+          available: !pastCutoff && remaining > 0
+        };
+      })
+    };
+  }
+
+  /**
+   * Take one place in a counter document if it is below capacity
+   */
+  async increment(branchId, date, slot, capacity, orderId) {
+    const filter = { branch: branchId, date, slot, booked: { $lt: capacity }, orders: { $ne: orderId } };
+    const update = { $inc: { booked: 1 }, $push: { orders: orderId }, $set: { capacity } };
+
+    try {
+      return !!(await SlotBooking.findOneAndUpdate(filter, update, { upsert: true, new: true }));
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      // The document exists and is full, or another booking created it first
+      return !!(await SlotBooking.findOneAndUpdate(filter, update, { new: true }));
+    }
+  }
+
+  async decrement(branchId, date, slot, orderId) {
+    await SlotBooking.updateOne(
+      { branch: branchId, date, slot, orders: orderId },
+      { $inc: { booked: -1 }, $pull: { orders: orderId } }
+    );
+  }
+
+  /**
+   * Reserve a pickup slot for an order. Throws SlotBookingError when the
+   * branch is closed, the slot doesn't exist or has no capacity left.
+   * @returns {Promise<{ date: string, slot: string, timezone: string }>}
+   */
+  async reserveSlot({ branch: branchOrId, pickupDate, pickupTimeSlot, orderId, now = new Date() }) {
+    const branch = await this.getBranch(branchOrId);
+    if (!branch) {
+      throw new SlotBookingError('BRANCH_NOT_FOUND', 'Branch not found', 404);
+    }
+
+    const slot = this.normalizeSlot(pickupTimeSlot);
+    if (!slot) {
+      throw new SlotBookingError('INVALID_SLOT', 'pickupTimeSlot must look like HH:mm-HH:mm', 400);
+    }
+
+    const availability = await this.getAvailability(branch, pickupDate, { now });
+    if (availability.closed) {
+      throw new SlotBookingError('BRANCH_CLOSED', availability.reason, 409, { date: availability.date });
+    }
+
+    const offered = availability.slots.find(s => s.slot === slot);
+    if (!offered) {
+      throw new SlotBookingError('INVALID_SLOT', `${slot} is not a pickup slot at this branch`, 400, {
+        date: availability.date,
+        slots: availability.slots.map(s => s.slot)
+      });
+    }
+    if (!offered.available) {
+      throw new SlotBookingError('SLOT_UNAVAILABLE', `The ${slot} slot is full or closed for booking`, 409, {
+        date: availability.date,
+        available: availability.slots.filter(s => s.available).map(s => s.slot)
+      });
+    }
+
+    // Day total first, then the slot; undo the day place if the slot filled up meanwhile
+    const dayReserved = await this.increment(branch._id, availability.date, null, availability.dayCapacity, orderId);
+    if (!dayReserved) {
+      throw new SlotBookingError('SLOT_UNAVAILABLE', 'The branch is fully booked on this date', 409, {
+        date: availability.date
+      });
+    }
+
+    const slotReserved = await this.increment(branch._id, availability.date, slot, offered.capacity, orderId);
+    if (!slotReserved) {
+      await this.decrement(branch._id, availability.date, null, orderId);
+      throw new SlotBookingError('SLOT_UNAVAILABLE', `The ${slot} slot is full`, 409, {
+        date: availability.date
+      });
+    }
+
+    return { date: availability.date, slot, timezone: availability.timezone };
+  }
+
+  /**
+   * Give back every slot place an order holds (cancellation, failed checkout).
+   * Safe to call more than once.
+   */
+  async releaseSlot(orderId) {
+    const bookings = await SlotBooking.find({ orders: orderId }).select('_id').lean();
+    for (const booking of bookings) {
+      await SlotBooking.updateOne(
+        { _id: booking._id, orders: orderId },
+        { $inc: { booked: -1 }, $pull: { orders: orderId } }
+      );
+    }
+    return bookings.length;
+  }
+}
+
+module.exports = new SlotService();
+module.exports.SlotBookingError = SlotBookingError;
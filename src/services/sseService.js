@@ -280,6 +280,7 @@ class SSEService {
       const notifications = await Notification.find({
         recipient: userId,
         isRead: false,
+        'channels.inApp.selected': { $ne: false },
         createdAt: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) } // Last 24 hours
       })
       .sort({ createdAt: -1 })
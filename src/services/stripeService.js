@@ -46,6 +46,40 @@ class StripeService {
     }
   }
 
+  /**
+   * Create payment intent for a customer wallet top-up
+   */
+  async createWalletTopUpIntent({ user, amount, currency = 'INR', tenancyId }) {
+    try {
+      const paymentIntent = await this.stripe.paymentIntents.create({
+        amount: Math.round(amount * 100), // Convert to paise/cents
+        currency: currency.toLowerCase(),
+        metadata: {
+          userId: user._id.toString(),
+          tenancyId: tenancyId ? tenancyId.toString() : '',
+          type: 'wallet_topup'
+        },
+        description: `Wallet top-up for ${user.name || user.email || user._id}`,
+        receipt_email: user.email,
+        automatic_payment_methods: {
+          enabled: true,
+        },
+      });
+
+      return {
+        success: true,
+        paymentIntent,
+        clientSecret: paymentIntent.client_secret
+      };
+    } catch (error) {
+      console.error('Stripe wallet top-up intent creation failed:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
   /**
    * Create Stripe Checkout Session for a Payment Link (New Lead)
    */
@@ -149,14 +183,14 @@ class StripeService {
   }
 
   /**
-   * Verify webhook signature
+   * Verify webhook signature with the endpoint's signing secret
    */
-  verifyWebhookSignature(payload, signature) {
+  verifyWebhookSignature(payload, signature, secret = process.env.STRIPE_WEBHOOK_SECRET) {
     try {
       const event = this.stripe.webhooks.constructEvent(
         payload,
         signature,
-        process.env.STRIPE_WEBHOOK_SECRET
+        secret
       );
       return { success: true, event };
     } catch (error) {
@@ -0,0 +1,267 @@
+const Tenancy = require('../models/Tenancy');
+const Branch = require('../models/Branch');
+const { TAX_DEFAULTS, GST_STATE_CODES } = require('../config/constants');
+
+const DELIVERY_LINE = 'delivery';
+
+const normalizeStateName = (name) => String(name).toLowerCase().replace(/&/g, 'and').replace(/[^a-z]/g, '');
+const STATES_BY_NAME = new Map(Object.values(GST_STATE_CODES).map(name => [normalizeStateName(name), name]));
+
+const toPaise = (amount) => Math.round((Number(amount) || 0) * 100);
+const toRupees = (paise) => paise / 100;
+
+// Raised for an invalid tax configuration. Carries the statusCode/error code
+// the errorHandler middleware responds with.
+class TaxConfigError extends Error {
+  constructor(error, message, statusCode = 400, details = undefined) {
+    super(message);
+    this.name = 'TaxConfigError';
+    this.error = error;
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/**
+ * GST on customer orders. Each tenancy configures its registration, a
+ * default rate and per-service HSN/SAC rates in settings.taxConfig; a branch
+ * registered elsewhere overrides the GSTIN and state in taxOverride.
+ *
+ * Tax is CGST + SGST (half each) when the customer's state is the supplier's
+ * state, IGST otherwise. An order without a customer state is taxed at the
+ * supplier's location, i.e. intrastate. With pricesIncludeTax the item
+ * prices already contain the tax and it is backed out of them.
+ */
+class TaxService {
+  /**
+   * Canonical state name for a state name or two-digit GST state code, the
+   * trimmed input when it is neither, or null when empty
+   */
+  resolveState(value) {
+    if (value === undefined || value === null || String(value).trim() === '') return null;
+    const text = String(value).trim();
+    if (/^\d{1,2}$/.test(text)) return GST_STATE_CODES[text.padStart(2, '0')] || null;
+    return STATES_BY_NAME.get(normalizeStateName(text)) || text;
+  }
+
+  stateFromGstin(gstin) {
+    return gstin ? GST_STATE_CODES[String(gstin).slice(0, 2)] || null : null;
+  }
+
+  /**
+   * Effective tax configuration for a branch of a tenancy
+   * @param {ObjectId|string} tenancyId
+   * @param {Object|ObjectId|string} [branch] - Branch id, or document with address.state and taxOverride
+   */
+  async getTaxConfig(tenancyId, branch) {
+    const tenancy = tenancyId
+      ? await Tenancy.findById(tenancyId).select('settings.taxRate settings.taxConfig contact.address.state').lean()
+      : null;
+
+    let branchDoc = branch;
+    if (branch && !branch.address) {
+      branchDoc = await Branch.findById(branch._id || branch).select('address.state taxOverride').lean();
+    }
+
+    return this.buildConfig(tenancy, branchDoc);
+  }
+
+  buildConfig(tenancy, branch) {
+    const settings = tenancy?.settings || {};
+    const taxConfig = settings.taxConfig || {};
+    const override = branch?.taxOverride || {};
+    const defaultRate = taxConfig.defaultRate ?? settings.taxRate ?? TAX_DEFAULTS.RATE;
+    const gstin = override.gstin || taxConfig.gstin || null;
+
+    return {
+      enabled: taxConfig.enabled !== false,
+      gstin,
+      supplierState: this.resolveState(
+        override.state ||
+        (override.gstin && this.stateFromGstin(override.gstin)) ||
+        branch?.address?.state ||
+        taxConfig.registeredState ||
+        this.stateFromGstin(gstin) ||
+        tenancy?.contact?.address?.state
+      ),
+      pricesIncludeTax: override.pricesIncludeTax ?? taxConfig.pricesIncludeTax ?? false,
+      defaultRate,
+      sacCode: taxConfig.sacCode || TAX_DEFAULTS.SAC,
+      deliveryRate: taxConfig.deliveryRate ?? defaultRate,
+      deliverySacCode: taxConfig.deliverySacCode || TAX_DEFAULTS.DELIVERY_SAC,
+      serviceRates: new Map((taxConfig.serviceRates || []).map(r => [r.service, r]))
+    };
+  }
+
+  /**
+   * Rate and HSN/SAC code for a service, or for the delivery charge
+   */
+  rateFor(config, service) {
+    if (!config.enabled) return { rate: 0, hsnSac: null };
+    if (service === DELIVERY_LINE) {
+      return { rate: config.deliveryRate, hsnSac: config.deliverySacCode };
+    }
+    const serviceRate = config.serviceRates.get(service);
+    return {
+      rate: serviceRate?.rate ?? config.defaultRate,
+      hsnSac: serviceRate?.hsnSac || config.sacCode
+    };
+  }
+
+  isInterstate(supplierState, placeOfSupply) {
+    return Boolean(supplierState && placeOfSupply && supplierState !== placeOfSupply);
+  }
+
+  /**
+   * Tax for an order's charges. The discount is spread over the services and
+   * the delivery charge in proportion to their amounts.
+   * @param {Object} params
+   * @param {Array<{ service: string, amount: number }>} params.lines - Item amounts, rupees
+   * @param {number} [params.deliveryCharge]
+   * @param {number} [params.discount]
+   * @param {Object} params.config - From getTaxConfig
+   * @param {string} [params.placeOfSupply] - Customer's state
+   * @returns {{ pricesIncludeTax, isInterstate, gstin, supplierState, placeOfSupply,
+   *   taxableAmount, cgst, sgst, igst, tax, total, lines }}
+   */
+  calculate({ lines = [], deliveryCharge = 0, discount = 0, config, placeOfSupply }) {
+    const amounts = new Map();
+    for (const line of lines) {
+      const key = line.service || 'other';
+      amounts.set(key, (amounts.get(key) || 0) + toPaise(line.amount));
+    }
+    if (toPaise(deliveryCharge) > 0) amounts.set(DELIVERY_LINE, toPaise(deliveryCharge));
+
+    const entries = [...amounts.entries()].filter(([, amount]) => amount > 0);
+    const gross = entries.reduce((sum, [, amount]) => sum + amount, 0);
+    const discountPaise = Math.min(Math.max(0, toPaise(discount)), gross);
+
+    const supplierState = config.supplierState || null;
+    const destination = this.resolveState(placeOfSupply) || supplierState;
+    const isInterstate = this.isInterstate(supplierState, destination);
+
+    const totals = { taxable: 0, cgst: 0, sgst: 0, igst: 0 };
+    let discountLeft = discountPaise;
+    const taxLines = entries.map(([service, amount], index) => {
+      // Last line takes the remainder so the shares add up to the discount
+      const share = index === entries.length - 1
+        ? discountLeft
+        : Math.min(discountLeft, Math.round(discountPaise * amount / gross));
+      discountLeft -= share;
+
+      const net = amount - share;
+      const { rate, hsnSac } = this.rateFor(config, service);
+      const taxableValue = config.pricesIncludeTax ? Math.round(net * 100 / (100 + rate)) : net;
+      const tax = config.pricesIncludeTax ? net - taxableValue : Math.round(net * rate / 100);
+      const cgst = isInterstate ? 0 : Math.round(tax / 2);
+      const sgst = isInterstate ? 0 : tax - cgst;
+      const igst = isInterstate ? tax : 0;
+
+      totals.taxable += taxableValue;
+      totals.cgst += cgst;
+      totals.sgst += sgst;
+      totals.igst += igst;
+
+      return {
+        service,
+        hsnSac,
+        rate,
+        taxableValue: toRupees(taxableValue),
+        cgst: toRupees(cgst),
+        sgst: toRupees(sgst),
+        igst: toRupees(igst),
+        tax: toRupees(tax)
+      };
+    });
+
+    const tax = totals.cgst + totals.sgst + totals.igst;
+    return {
+      pricesIncludeTax: config.pricesIncludeTax,
+      isInterstate,
+      gstin: config.gstin,
+      supplierState,
+      placeOfSupply: destination,
+      taxableAmount: toRupees(totals.taxable),
+      cgst: toRupees(totals.cgst),
+      sgst: toRupees(totals.sgst),
+      igst: toRupees(totals.igst),
+      tax: toRupees(tax),
+      total: toRupees(totals.taxable + tax),
+      lines: taxLines
+    };
+  }
+
+  /**
+   * Tax an order pricing object ({ subtotal, expressCharge, deliveryCharge,
+   * discount, ... }) in place: sets tax, total and taxBreakdown. The lines
+   * give the split of subtotal + expressCharge across services.
+   * @returns {Promise<Object>} The pricing object
+   */
+  async applyToPricing(pricing, { tenancy, branch, lines = [], placeOfSupply }) {
+    const config = await this.getTaxConfig(tenancy, branch);
+
+    const itemsAmount = (pricing.subtotal || 0) + (pricing.expressCharge || 0);
+    const linesAmount = lines.reduce((sum, line) => sum + (Number(line.amount) || 0), 0);
+    const scaledLines = linesAmount > 0
+      ? lines.map(line => ({ service: line.service, amount: (Number(line.amount) || 0) * itemsAmount / linesAmount }))
+      : [{ service: null, amount: itemsAmount }];
+
+    const { total, tax, ...taxBreakdown } = this.calculate({
+      lines: scaledLines,
+      deliveryCharge: pricing.deliveryCharge,
+      discount: pricing.discount,
+      config,
+      placeOfSupply
+    });
+
+    pricing.tax = tax;
+    pricing.total = total;
+    pricing.taxBreakdown = taxBreakdown;
+    return pricing;
+  }
+
+  /**
+   * Check a settings.taxConfig update before it is saved
+   * @throws {TaxConfigError}
+   */
+  validateConfig(taxConfig) {
+    if (!taxConfig || typeof taxConfig !== 'object' || Array.isArray(taxConfig)) {
+      throw new TaxConfigError('INVALID_TAX_CONFIG', 'taxConfig must be an object');
+    }
+
+    const isRate = (value) => typeof value === 'number' && value >= 0 && value <= 100;
+    for (const field of ['defaultRate', 'deliveryRate']) {
+      if (taxConfig[field] !== undefined && taxConfig[field] !== null && !isRate(taxConfig[field])) {
+        throw new TaxConfigError('INVALID_TAX_RATE', `${field} must be a percentage between 0 and 100`);
+      }
+    }
+
+    if (taxConfig.gstin && !/^\d{2}[A-Z0-9]{13}$/i.test(taxConfig.gstin)) {
+      throw new TaxConfigError('INVALID_GSTIN', 'GSTIN must be 15 characters starting with the state code');
+    }
+    if (taxConfig.gstin && !this.stateFromGstin(taxConfig.gstin)) {
+      throw new TaxConfigError('INVALID_GSTIN', 'GSTIN has an unknown state code');
+    }
+    if (taxConfig.registeredState && !Object.values(GST_STATE_CODES).includes(this.resolveState(taxConfig.registeredState))) {
+      throw new TaxConfigError('INVALID_STATE', `Unknown state: ${taxConfig.registeredState}`);
+    }
+
+    if (taxConfig.serviceRates !== undefined) {
+      if (!Array.isArray(taxConfig.serviceRates)) {
+        throw new TaxConfigError('INVALID_TAX_CONFIG', 'serviceRates must be an array');
+      }
+      const invalid = taxConfig.serviceRates.filter(r => !r || !r.service || !isRate(r.rate));
+      if (invalid.length > 0) {
+        throw new TaxConfigError('INVALID_TAX_RATE', 'Each service rate needs a service and a rate between 0 and 100', 400, invalid);
+      }
+      const services = taxConfig.serviceRates.map(r => String(r.service).toLowerCase().trim());
+      const duplicates = services.filter((service, index) => services.indexOf(service) !== index);
+      if (duplicates.length > 0) {
+        throw new TaxConfigError('DUPLICATE_SERVICE_RATE', 'A service can only have one rate', 400, [...new Set(duplicates)]);
+      }
+    }
+  }
+}
+
+module.exports = new TaxService();
+module.exports.TaxConfigError = TaxConfigError;
@@ -0,0 +1,338 @@
+const mongoose = require('mongoose');
+const CustomerWallet = require('../models/CustomerWallet');
+const WalletTransaction = require('../models/WalletTransaction');
+const User = require('../models/User');
+
+// Platform account on the other side of each wallet posting
+const REASON_ACCOUNTS = {
+  wallet_topup: 'payment_gateway',
+  referral: 'promotions',
+  signup_bonus: 'promotions',
+  loyalty_redemption: 'loyalty',
+  loyalty_bonus: 'loyalty',
+  refund: 'refunds',
+  order_payment: 'order_payments',
+  order_redeem: 'order_payments',
+  order_refund: 'order_payments',
+  legacy_migration: 'legacy_wallet'
+};
+
+const roundAmount = (amount) => Math.round((Number(amount) || 0) * 100) / 100;
+
+class WalletError extends Error {
+  constructor(error, message, statusCode = 400, details = undefined) {
+    super(message);
+    this.name = 'WalletError';
+    this.error = error;
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/**
+ * Customer wallet ledger.
+ * CustomerWallet.balance is a running total maintained in the same transaction
+ * as each WalletTransaction entry; the ledger is the source of truth and
+ * reconcile() checks (and optionally repairs) the two against each other.
+ */
+class WalletService {
+  /**
+   * Get a user's wallet, creating it (and migrating any legacy user.wallet
+   * balance into the ledger) on first access
+   */
+  async getOrCreateWallet(userId) {
+    let wallet = await CustomerWallet.findOne({ user: userId });
+    if (!wallet) {
+      wallet = await CustomerWallet.findOneAndUpdate(
+        { user: userId },
+        { $setOnInsert: { user: userId, balance: 0 } },
+        { upsert: true, new: true }
+      );
+    }
+
+    if (await this.migrateLegacyBalance(userId)) {
+      wallet = await CustomerWallet.findOne({ user: userId });
+    }
+    return wallet;
+  }
+
+  async getBalance(userId) {
+    const wallet = await this.getOrCreateWallet(userId);
+    return wallet.balance;
+  }
+
+  /**
+   * Move a balance left on the old embedded user.wallet into the ledger.
+   * The legacy balance is zeroed atomically so it is only migrated once.
+   */
+  async migrateLegacyBalance(userId) {
+    const user = await User.findOneAndUpdate(
+      { _id: userId, 'wallet.balance': { $gt: 0 } },
+      { $set: { 'wallet.balance': 0, 'wallet.lastUpdated': new Date() } }
+    ).select('wallet');
+
+    const legacyBalance = roundAmount(user?.wallet?.balance);
+    if (legacyBalance <= 0) return false;
+
+    try {
+      await this.credit(userId, legacyBalance, 'legacy_migration', {
+        description: 'Balance migrated from previous wallet'
+      });
+    } catch (error) {
+      // Put the legacy balance back so the migration is retried next time
+      await User.updateOne({ _id: userId }, { $inc: { 'wallet.balance': legacyBalance } });
+      throw error;
+    }
+    console.log(`💼 Migrated legacy wallet balance ₹${legacyBalance} for user ${userId}`);
+    return true;
+  }
+
+  /**
+   * Credit a wallet. Returns { transaction, balance, duplicate }.
+   */
+  credit(userId, amount, reason, opts = {}) {
+    return this.post(userId, 'credit', amount, reason, opts);
+  }
+
+  /**
+   * Debit a wallet. Throws WalletError INSUFFICIENT_WALLET_BALANCE if the balance is insufficient, unless
+   * opts.allowPartial is set, in which case up to the available balance is debited.
+   */
+  debit(userId, amount, reason, opts = {}) {
+    return this.post(userId, 'debit', amount, reason, opts);
+  }
+
+  /**
+   * Write one ledger entry and move the wallet balance atomically
+   */
+  async post(userId, type, amount, reason, opts = {}) {
+    let amt = roundAmount(amount);
+    if (amt <= 0) {
+      throw new Error('Wallet amount must be greater than zero');
+    }
+
+    if (opts.idempotencyKey) {
+      const existing = await WalletTransaction.findOne({ idempotencyKey: opts.idempotencyKey });
+      if (existing) {
+        return { transaction: existing, balance: existing.balanceAfter, duplicate: true };
+      }
+    }
+
+    // Make sure the wallet exists outside the transaction (upsert inside
+    // a transaction can conflict with concurrent first-time access)
+    await CustomerWallet.findOneAndUpdate(
+      { user: userId },
+      { $setOnInsert: { user: userId, balance: 0 } },
+      { upsert: true }
+    );
+
+    const session = await mongoose.startSession();
+    let result;
+    try {
+      await session.withTransaction(async () => {
+        const filter = { user: userId };
+        if (type === 'debit') {
+          if (opts.allowPartial) {
+            const current = await CustomerWallet.findOne(filter).session(session);
+            amt = Math.min(amt, roundAmount(current?.balance));
+            if (amt <= 0) {
+              result = { transaction: null, balance: roundAmount(current?.balance), duplicate: false };
+              return;
+            }
+          }
+          filter.balance = { $gte: amt };
+        }
+
+        const wallet = await CustomerWallet.findOneAndUpdate(
+          filter,
+          { $inc: { balance: type === 'credit' ? amt : -amt } },
+          { new: true, session }
+        );
+        if (!wallet) {
+          throw new WalletError('INSUFFICIENT_WALLET_BALANCE', 'Insufficient wallet balance');
+        }
+
+        const [transaction] = await WalletTransaction.create([{
+          user: userId,
+          type,
+          amount: amt,
+          reason,
+          counterAccount: opts.counterAccount || REASON_ACCOUNTS[reason] || 'adjustments',
+          description: opts.description,
+          order: opts.orderId,
+          refund: opts.refundId,
+          balanceAfter: roundAmount(wallet.balance),
+          idempotencyKey: opts.idempotencyKey
+        }], { session });
+
+        result = { transaction, balance: roundAmount(wallet.balance), duplicate: false };
+      });
+    } catch (error) {
+      // Lost a race with another request using the same idempotency key
+      if (error.code === 11000 && opts.idempotencyKey) {
+        const existing = await WalletTransaction.findOne({ idempotencyKey: opts.idempotencyKey });
+        return { transaction: existing, balance: existing.balanceAfter, duplicate: true };
+      }
+      throw error;
+    } finally {
+      await session.endSession();
+    }
+
+    return result;
+  }
+
+  /**
+   * Return wallet money spent on an order (order payment / partial redemption)
+   * back to the customer. The refundable amount is taken from the ledger, so it
+   * is safe to call from every cancellation path.
+   */
+  async refundOrderPayment(order, reason = 'Order cancelled') {
+    const [totals] = await WalletTransaction.aggregate([
+      { $match: { order: new mongoose.Types.ObjectId(String(order._id)), reason: { $in: ['order_payment', 'order_redeem', 'order_refund'] } } },
+      {
+        $group: {
+          _id: null,
+          debited: { $sum: { $cond: [{ $eq: ['$type', 'debit'] }, '$amount', 0] } },
+          credited: { $sum: { $cond: [{ $eq: ['$type', 'credit'] }, '$amount', 0] } }
+        }
+      }
+    ]);
+
+    const refundable = roundAmount((totals?.debited || 0) - (totals?.credited || 0));
+    if (refundable <= 0) return null;
+
+    const customerId = order.customer?._id || order.customer;
+    return this.credit(customerId, refundable, 'order_refund', {
+      orderId: order._id,
+      description: `${reason} - order ${order.orderNumber || order._id}`,
+      idempotencyKey: `order_refund:${order._id}`
+    });
+  }
+
+  /**
+   * Balance derived purely from ledger entries
+   */
+  async getLedgerBalance(userId) {
+    const [totals] = await WalletTransaction.aggregate([
+      { $match: { user: new mongoose.Types.ObjectId(String(userId)) } },
+      {
+        $group: {
+          _id: null,
+          balance: { $sum: { $cond: [{ $eq: ['$type', 'credit'] }, '$amount', { $multiply: ['$amount', -1] }] } }
+        }
+      }
+    ]);
+    return roundAmount(totals?.balance);
+  }
+
+  /**
+   * Reconciliation report: compares every wallet's stored balance with its
+   * ledger-derived balance, lists legacy balances still awaiting migration and
+   * totals postings per counter account. With fix=true mismatched wallets are
+   * reset to the ledger balance.
+   */
+  async reconcile({ userId, fix = false } = {}) {
+    const match = userId ? { user: new mongoose.Types.ObjectId(String(userId)) } : {};
+
+    const ledger = await WalletTransaction.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$user',
+          ledgerBalance: { $sum: { $cond: [{ $eq: ['$type', 'credit'] }, '$amount', { $multiply: ['$amount', -1] }] } },
+          entries: { $sum: 1 }
+        }
+      }
+    ]);
+    const ledgerByUser = new Map(ledger.map(l => [l._id.toString(), l]));
+
+    const wallets = await CustomerWallet.find(match).select('user balance').lean();
+    const walletUsers = new Set(wallets.map(w => w.user.toString()));
+
+    const mismatches = [];
+    for (const wallet of wallets) {
+      const ledgerBalance = roundAmount(ledgerByUser.get(wallet.user.toString())?.ledgerBalance);
+      if (roundAmount(wallet.balance) !== ledgerBalance) {
+        mismatches.push({
+          user: wallet.user,
+          walletBalance: wallet.balance,
+          ledgerBalance,
+          difference: roundAmount(wallet.balance - ledgerBalance)
+        });
+      }
+    }
+    // Ledger entries without a wallet document
+    for (const [user, entry] of ledgerByUser) {
+      if (!walletUsers.has(user)) {
+        mismatches.push({
+          user: entry._id,
+          walletBalance: null,
+          ledgerBalance: roundAmount(entry.ledgerBalance),
+          difference: roundAmount(-entry.ledgerBalance)
+        });
+      }
+    }
+
+    const byAccount = await WalletTransaction.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { $ifNull: ['$counterAccount', '$reason'] },
+          credits: { $sum: { $cond: [{ $eq: ['$type', 'credit'] }, '$amount', 0] } },
+          debits: { $sum: { $cond: [{ $eq: ['$type', 'debit'] }, '$amount', 0] } },
+          entries: { $sum: 1 }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]);
+
+    const legacyQuery = { 'wallet.balance': { $gt: 0 } };
+    if (userId) legacyQuery._id = userId;
+    const legacyBalances = await User.find(legacyQuery).select('name email wallet.balance').lean();
+
+    let fixed = 0;
+    if (fix) {
+      for (const mismatch of mismatches) {
+        await CustomerWallet.findOneAndUpdate(
+          { user: mismatch.user },
+          { $set: { balance: mismatch.ledgerBalance } },
+          { upsert: true }
+        );
+        fixed += 1;
+      }
+    }
+
+    const totalWalletBalance = roundAmount(wallets.reduce((sum, w) => sum + (w.balance || 0), 0));
+    const totalLedgerBalance = roundAmount(ledger.reduce((sum, l) => sum + l.ledgerBalance, 0));
+
+    return {
+      generatedAt: new Date(),
+      summary: {
+        wallets: wallets.length,
+        totalWalletBalance,
+        totalLedgerBalance,
+        difference: roundAmount(totalWalletBalance - totalLedgerBalance),
+        mismatchedWallets: mismatches.length,
+        pendingLegacyBalances: legacyBalances.length,
+        fixed
+      },
+      mismatches,
+      counterAccounts: byAccount.map(a => ({
+        account: a._id,
+        credits: roundAmount(a.credits),
+        debits: roundAmount(a.debits),
+        net: roundAmount(a.credits - a.debits),
+        entries: a.entries
+      })),
+      legacyBalances: legacyBalances.map(u => ({
+        user: u._id,
+        name: u.name,
+        email: u.email,
+        balance: u.wallet.balance
+      }))
+    };
+  }
+}
+
+module.exports = new WalletService();
+module.exports.WalletError = WalletError;
@@ -0,0 +1,327 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const net = require('net');
+const AutomationRule = require('../models/AutomationRule');
+const WebhookDelivery = require('../models/WebhookDelivery');
+
+// Addresses webhooks may not be sent to: loopback, private, link-local
+// (cloud metadata), shared, multicast, documentation and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+  ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24],
+  ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64],
+  ['2001:db8::', 32], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Webhook Service - Delivers automation events to external URLs
+ *
+ * Every request is signed with the rule's webhookSecret:
+ *   X-Webhook-Signature: sha256=HMAC_SHA256(secret, `${timestamp}.${rawBody}`)
+ * Receivers should recompute the HMAC over the X-Webhook-Timestamp header and
+ * the raw request body, and reject stale timestamps.
+ *
+ * URLs are tenant-supplied, so each attempt resolves the host and refuses
+ * internal addresses (BLOCKED_ADDRESSES); the request then connects to the
+ * address that was checked.
+ */
+class WebhookService {
+  constructor() {
+    this.timeout = 10000;
+    this.maxRetries = 3;
+    this.retryDelays = [1000, 5000, 15000]; // Exponential backoff
+    this.maxResponseBodyLength = 2000;
+  }
+
+  /**
+   * Compute the signature for a payload
+   * @param {string} secret - Rule webhook secret
+   * @param {number} timestamp - Unix timestamp (seconds)
+   * @param {string} body - Raw JSON body
+   * @returns {string}
+   */
+  sign(secret, timestamp, body) {
+    const hmac = crypto
+      .createHmac('sha256', secret)
+      .update(`${timestamp}.${body}`)
+      .digest('hex');
+    return `sha256=${hmac}`;
+  }
+
+  /**
+   * Get the signing secret for a rule, generating one for rules created
+   * before secrets existed
+   * @param {string} ruleId
+   * @returns {Promise<string>}
+   */
+  async getSigningSecret(ruleId) {
+    const rule = await AutomationRule.findOne({ ruleId }).select('+webhookSecret').lean();
+    if (!rule) {
+      throw new Error(`Automation rule not found: ${ruleId}`);
+    }
+
+    if (rule.webhookSecret) {
+      return rule.webhookSecret;
+    }
+
+    return this.rotateSecret(ruleId);
+  }
+
+  /**
+   * Replace a rule's webhook secret
+   * @param {string} ruleId
+   * @returns {Promise<string>} The new secret
+   */
+  async rotateSecret(ruleId) {
+    const secret = crypto.randomBytes(32).toString('hex');
+    await AutomationRule.updateOne({ ruleId }, { $set: { webhookSecret: secret } });
+    return secret;
+  }
+
+  /**
+   * Create and deliver a webhook for an automation rule
+   * @param {Object} options
+   * @param {Object} options.rule - AutomationRule document
+   * @param {Object} options.config - Action config ({ url, headers, maxRetries, timeout })
+   * @param {Object} options.data - Event data to send
+   * @param {Object} options.context - Execution context
+   * @param {string} options.executionId - Execution that produced this delivery
+   * @returns {Promise<{ delivery: Object, settled: Promise<Object> }>} See send
+   */
+  async deliver({ rule, config, data, context = {}, executionId }) {
+    if (!config.url) {
+      throw new Error('Webhook URL is required');
+    }
+
+    const deliveryId = `whd_${crypto.randomUUID()}`;
+    const payload = {
+      id: deliveryId,
+      event: rule.trigger.eventType,
+      ruleId: rule.ruleId,
+      tenantId: rule.tenantId || context.tenantId || null,
+      occurredAt: new Date().toISOString(),
+      isTest: !!context.isTest,
+      data
+    };
+
+    const delivery = await WebhookDelivery.create({
+      deliveryId,
+      ruleId: rule.ruleId,
+      tenantId: rule.tenantId || context.tenantId,
+      executionId,
+      eventType: rule.trigger.eventType,
+      url: config.url,
+      headers: config.headers || {},
+      payload
+    });
+
+    return this.send(delivery, {
+      maxRetries: config.maxRetries,
+      timeout: config.timeout
+    });
+  }
+
+  /**
+   * Re-send a failed delivery as a new delivery with the same payload
+   * @param {Object} original - WebhookDelivery document
+   * @param {string} replayedBy - User who requested the replay
+   * @returns {Promise<{ delivery: Object, settled: Promise<Object> }>} See send
+   */
+  async replay(original, replayedBy) {
+    if (!original.canReplay()) {
+      throw new Error('Only failed deliveries can be replayed');
+    }
+
+    const deliveryId = `whd_${crypto.randomUUID()}`;
+    const delivery = await WebhookDelivery.create({
+      deliveryId,
+      ruleId: original.ruleId,
+      tenantId: original.tenantId,
+      executionId: original.executionId,
+      eventType: original.eventType,
+      url: original.url,
+      headers: original.headers,
+      payload: { ...original.payload, id: deliveryId },
+      replayOf: original.deliveryId,
+      replayedBy
+    });
+
+    return this.send(delivery);
+  }
+
+  /**
+   * POST the delivery payload. Network errors, 5xx and 429 responses are
+   * retried with backoff in the background, so the caller isn't held up:
+   * the returned delivery is then still pending, and `settled` resolves with
+   * it once it has succeeded or failed.
+   * @param {Object} delivery - WebhookDelivery document
+   * @param {Object} options - { maxRetries, timeout }
+   * @returns {Promise<{ delivery: Object, settled: Promise<Object> }>}
+   */
+  async send(delivery, options = {}) {
+    const maxRetries = Number.isInteger(options.maxRetries) ? options.maxRetries : this.maxRetries;
+    const request = {
+      timeout: options.timeout || this.timeout,
+      secret: await this.getSigningSecret(delivery.ruleId),
+      body: JSON.stringify(delivery.payload)
+    };
+
+    const retryable = await this.attempt(delivery, request);
+    if (delivery.status === 'success') {
+      return { delivery, settled: Promise.resolve(delivery) };
+    }
+    if (!retryable || maxRetries < 1) {
+      await this.markFailed(delivery);
+      return { delivery, settled: Promise.resolve(delivery) };
+    }
+
+    const settled = this.retry(delivery, request, maxRetries).catch((error) => {
+      console.error(`Webhook retries stopped for ${delivery.deliveryId}:`, error.message);
+      return delivery;
+    });
+    return { delivery, settled };
+  }
+
+  async retry(delivery, request, maxRetries) {
+    for (let retry = 0; retry < maxRetries; retry++) {
+      await this.sleep(this.retryDelays[Math.min(retry, this.retryDelays.length - 1)]);
+
+      const retryable = await this.attempt(delivery, request);
+      if (delivery.status === 'success') return delivery;
+      if (!retryable) break;
+    }
+    return this.markFailed(delivery);
+  }
+
+  /**
+   * Make one HTTP attempt and record it on the delivery
+   * @returns {Promise<boolean>} Whether a failed attempt is worth retrying
+   */
+  async attempt(delivery, { secret, body, timeout }) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startTime = Date.now();
+    let retryable = true;
+
+    try {
+      const destination = await this.resolveDestination(delivery.url);
+      const response = await axios.post(delivery.url, body, {
+        headers: {
+          ...delivery.headers,
+          'Content-Type': 'application/json',
+          'User-Agent': 'LaundryLobby-Webhooks/1.0',
+          'X-Webhook-Id': delivery.deliveryId,
+          'X-Webhook-Event': delivery.eventType,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': this.sign(secret, timestamp, body)
+        },
+        // Connect to the checked address, not a fresh DNS answer
+        lookup: (hostname, opts, callback) => callback(null, destination.address, destination.family),
+        timeout,
+        maxRedirects: 0,
+        validateStatus: () => true
+      });
+
+      const succeeded = response.status >= 200 && response.status < 300;
+      delivery.recordAttempt({
+        statusCode: response.status,
+        responseBody: this.truncate(response.data),
+        error: succeeded ? undefined : `HTTP ${response.status}`,
+        durationMs: Date.now() - startTime
+      });
+
+      if (succeeded) {
+        delivery.status = 'success';
+        delivery.deliveredAt = new Date();
+        await delivery.save();
+        console.log(`🔗 Webhook delivered: ${delivery.url} (${delivery.deliveryId})`);
+        return false;
+      }
+
+      retryable = response.status >= 500 || response.status === 429;
+    } catch (error) {
+      delivery.recordAttempt({
+        error: error.message,
+        durationMs: Date.now() - startTime
+      });
+      retryable = error.code !== 'WEBHOOK_DESTINATION_BLOCKED';
+    }
+
+    await delivery.save();
+    console.error(`Webhook attempt ${delivery.attemptCount} failed for ${delivery.url}:`, delivery.lastError);
+    return retryable;
+  }
+
+  async markFailed(delivery) {
+    delivery.status = 'failed';
+    await delivery.save();
+    console.error(`❌ Webhook delivery failed: ${delivery.url} (${delivery.deliveryId})`);
+    return delivery;
+  }
+
+  /**
+   * Resolve a webhook URL's host to an address it may be sent to
+   * @param {string} url
+   * @returns {Promise<{ address: string, family: number }>}
+   * @throws {Error} code WEBHOOK_DESTINATION_BLOCKED for bad URLs and internal addresses
+   */
+  async resolveDestination(url) {
+    const blocked = (message) => Object.assign(new Error(message), { code: 'WEBHOOK_DESTINATION_BLOCKED' });
+
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      throw blocked('Invalid webhook URL');
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw blocked('Webhook URL must use http or https');
+    }
+
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+    const addresses = net.isIP(hostname)
+      ? [{ address: hostname, family: net.isIP(hostname) }]
+      : await dns.lookup(hostname, { all: true });
+
+    if (addresses.length === 0 || addresses.some(({ address }) => this.isBlockedAddress(address))) {
+      throw blocked(`Webhook destination not allowed: ${parsed.hostname}`);
+    }
+    return addresses[0];
+  }
+
+  isBlockedAddress(address) {
+    const family = net.isIP(address);
+    if (!family) return true;
+    if (family === 4) return BLOCKED_ADDRESSES.check(address, 'ipv4');
+
+    // IPv4-mapped (::ffff:a.b.c.d, or ::ffff:xxxx:xxxx once normalised) goes by the IPv4 rules
+    const mapped = address.toLowerCase().match(/^(?:0*:)*:?ffff:(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/);
+    if (mapped) {
+      const ipv4 = mapped[1] || [mapped[2], mapped[3]]
+        .map(part => parseInt(part, 16))
+        .flatMap(word => [word >> 8, word & 255])
+        .join('.');
+      return BLOCKED_ADDRESSES.check(ipv4, 'ipv4');
+    }
+    return BLOCKED_ADDRESSES.check(address, 'ipv6');
+  }
+
+  truncate(data) {
+    if (data === undefined || data === null) return undefined;
+    const text = typeof data === 'string' ? data : JSON.stringify(data);
+    return text.length > this.maxResponseBodyLength
+      ? `${text.slice(0, this.maxResponseBodyLength)}…`
+      : text;
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = new WebhookService();
@@ -0,0 +1,364 @@
+const mongoose = require('mongoose');
+const Service = require('../models/Service');
+const BranchService = require('../models/BranchService');
+const OrderItem = require('../models/OrderItem');
+const WalletTransaction = require('../models/WalletTransaction');
+const NotificationService = require('./notificationService');
+const walletService = require('./walletService');
+const { ORDER_STATUS, PRICING_MODELS, WEIGHT_PRICING_DEFAULTS } = require('../config/constants');
+
+// Same surcharge calculateItemPrice applies to per-piece express items
+const EXPRESS_MULTIPLIER = 1.5;
+// Loads can be weighed (and re-weighed) until the order is ready
+const WEIGHABLE_STATUSES = [
+  ORDER_STATUS.PLACED,
+  ORDER_STATUS.ASSIGNED_TO_BRANCH,
+  ORDER_STATUS.ASSIGNED_TO_LOGISTICS_PICKUP,
+  ORDER_STATUS.PICKED,
+  ORDER_STATUS.IN_PROCESS
+];
+
+const roundWeight = (kg) => Math.round(kg * 1000) / 1000;
+
+// Raised when a weight can't be priced or recorded. Carries the
+// statusCode/error code the errorHandler middleware responds with.
+class WeightPricingError extends Error {
+  constructor(error, message, statusCode = 409, details = undefined) {
+    super(message);
+    this.name = 'WeightPricingError';
+    this.error = error;
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/**
+ * Per-kg pricing. A service with pricingModel per_kg charges its
+ * weightPricing.pricePerKg (times the branch's BranchService priceMultiplier)
+ * on the chargeable weight: the weight rounded to the service's increment,
+ * and at least its minimum weight.
+ *
+ * Customers book per-kg items with an estimated weight. When staff weigh the
+ * load at pickup or intake the items are re-priced at the booked rate, and
+ * if the order total changes it is re-quoted (Order.requotes) and the
+ * customer notified.
+ */
+class WeightPricingService {
+  /**
+   * Weight rules of the per-kg services among the codes, keyed by code
+   * @param {string[]} serviceCodes
+   * @param {ObjectId|string} [branchId] - Branch whose price multiplier applies
+   * @returns {Promise<Map<string, Object>>}
+   */
+  async getRules(serviceCodes, branchId) {
+    const codes = [...new Set(serviceCodes.filter(Boolean).map(code => String(code).toLowerCase()))];
+    if (codes.length === 0) return new Map();
+
+    const services = await Service.find({ code: { $in: codes }, pricingModel: PRICING_MODELS.PER_KG })
+      .select('code displayName weightPricing')
+      .lean();
+    if (services.length === 0) return new Map();
+
+    const overrides = branchId
+      ? await BranchService.find({ branch: branchId, service: { $in: services.map(s => s._id) } })
+        .select('service priceMultiplier')
+        .lean()
+      : [];
+    const multipliers = new Map(overrides.map(o => [o.service.toString(), o.priceMultiplier]));
+
+    return new Map(services.map(service => [
+      service.code,
+      this.buildRules(service, multipliers.get(service._id.toString()))
+    ]));
+  }
+
+  buildRules(service, branchMultiplier = 1) {
+    const rules = service.weightPricing || {};
+    return {
+      service: service.code,
+      displayName: service.displayName,
+      pricePerKg: rules.pricePerKg || 0,
+      branchMultiplier: branchMultiplier ?? 1,
+      minimumWeight: rules.minimumWeight ?? WEIGHT_PRICING_DEFAULTS.MINIMUM_WEIGHT,
+      roundingIncrement: rules.roundingIncrement ?? WEIGHT_PRICING_DEFAULTS.ROUNDING_INCREMENT,
+      roundingMode: rules.roundingMode || WEIGHT_PRICING_DEFAULTS.ROUNDING_MODE
+    };
+  }
+
+  /**
+   * A weight in kg from user input
+   * @throws {WeightPricingError} when it isn't a positive number within MAX_WEIGHT
+   */
+  parseWeight(value, label = 'weight') {
+    const weight = Number(value);
+    if (value === null || value === '' || !Number.isFinite(weight) || weight <= 0) {
+      throw new WeightPricingError('INVALID_WEIGHT', `${label} must be a positive number of kg`, 400);
+    }
+    if (weight > WEIGHT_PRICING_DEFAULTS.MAX_WEIGHT) {
+      throw new WeightPricingError('INVALID_WEIGHT', `${label} can't exceed ${WEIGHT_PRICING_DEFAULTS.MAX_WEIGHT} kg`, 400);
+    }
+    return roundWeight(weight);
+  }
+
+  /**
+   * The weight charged for a load: rounded to the increment (up, or to the
+   * nearest step), then raised to the minimum weight
+   */
+  chargeableWeight(weight, rules) {
+    const { roundingIncrement: step, roundingMode, minimumWeight } = rules;
+    let chargeable = Number(weight) || 0;
+
+    if (step > 0) {
+      // Tolerate float noise so 2.5 kg in 0.5 kg steps stays 5 steps
+      const steps = roundWeight(chargeable / step);
+      chargeable = (roundingMode === 'nearest' ? Math.round(steps) : Math.ceil(steps)) * step;
+    }
+
+    return roundWeight(Math.max(chargeable, minimumWeight || 0));
+  }
+
+  /**
+   * OrderItem pricing fields for a per-kg item of the given weight
+   */
+  priceItem(weight, rules, { isExpress = false } = {}) {
+    if (!(rules.pricePerKg > 0)) {
+      throw new WeightPricingError('PRICE_PER_KG_NOT_SET', `${rules.displayName || rules.service} has no price per kg`, 409);
+    }
+
+    const expressMultiplier = isExpress ? EXPRESS_MULTIPLIER : 1;
+    const unitPrice = Math.round(rules.pricePerKg * rules.branchMultiplier * expressMultiplier * 100) / 100;
+    const chargeableWeight = this.chargeableWeight(weight, rules);
+
+    return {
+      pricingModel: PRICING_MODELS.PER_KG,
+      basePrice: rules.pricePerKg,
+      serviceMultiplier: rules.branchMultiplier,
+      categoryMultiplier: 1,
+      expressMultiplier,
+      unitPrice,
+      chargeableWeight,
+      totalPrice: Math.round(unitPrice * chargeableWeight)
+    };
+  }
+
+  /**
+   * Check a service's pricingModel / weightPricing before it is saved
+   * @param {Object} update - pricingModel and/or weightPricing from the request
+   * @param {Object} [current] - The service's saved pricingModel and weightPricing
+   * @returns {Object|undefined} weightPricing to save: the update over the saved rules
+   * @throws {WeightPricingError}
+   */
+  validateServicePricing({ pricingModel, weightPricing } = {}, current = {}) {
+    if (pricingModel !== undefined && !Object.values(PRICING_MODELS).includes(pricingModel)) {
+      throw new WeightPricingError('INVALID_PRICING_MODEL', `pricingModel must be one of: ${Object.values(PRICING_MODELS).join(', ')}`, 400);
+    }
+    if (weightPricing !== undefined && (!weightPricing || typeof weightPricing !== 'object' || Array.isArray(weightPricing))) {
+      throw new WeightPricingError('INVALID_WEIGHT_PRICING', 'weightPricing must be an object', 400);
+    }
+
+    const rules = weightPricing ? { ...current.weightPricing, ...weightPricing } : current.weightPricing;
+    const { pricePerKg, minimumWeight, roundingIncrement, roundingMode } = rules || {};
+
+    for (const [field, value] of Object.entries({ pricePerKg, minimumWeight, roundingIncrement })) {
+      if (value !== undefined && value !== null && !(typeof value === 'number' && value >= 0)) {
+        throw new WeightPricingError('INVALID_WEIGHT_PRICING', `weightPricing.${field} must be a number of 0 or more`, 400);
+      }
+    }
+    if (roundingMode !== undefined && roundingMode !== null && !['up', 'nearest'].includes(roundingMode)) {
+      throw new WeightPricingError('INVALID_WEIGHT_PRICING', 'weightPricing.roundingMode must be up or nearest', 400);
+    }
+    if ((pricingModel ?? current.pricingModel) === PRICING_MODELS.PER_KG && !(pricePerKg > 0)) {
+      throw new WeightPricingError('PRICE_PER_KG_REQUIRED', 'Per-kg services need a weightPricing.pricePerKg above 0', 400);
+    }
+
+    return weightPricing ? rules : undefined;
+  }
+
+  /**
+   * Record the weighed weight of an order's per-kg items and re-quote the
+   * order when its total changes. Items keep the per-kg rate they were
+   * booked at; the service's current minimum and rounding apply.
+   * @param {Document} order
+   * @param {Array<{ itemId?: string, tagCode?: string, weight: number }>} weights
+   * @param {Object} [options]
+   * @param {ObjectId} [options.staff] - User who weighed the items
+   * @returns {Promise<{ order, items: Object[], requote: Object|null }>}
+   */
+  async recordWeights(order, weights, { staff } = {}) {
+    if (!WEIGHABLE_STATUSES.includes(order.status) || order.invoiceGenerated) {
+      throw new WeightPricingError('ORDER_NOT_WEIGHABLE', `Items can't be weighed once the order is ${order.status}`, 409);
+    }
+    // Weights of items a pending revised quote may still change wait for the customer
+    require('./requoteService').assertNoPendingQuote(order);
+    if (!Array.isArray(weights) || weights.length === 0) {
+      throw new WeightPricingError('INVALID_INPUT', 'Please provide the weights of the per-kg items', 400);
+    }
+
+    const items = await OrderItem.find({ order: order._id, pricingModel: PRICING_MODELS.PER_KG });
+    if (items.length === 0) {
+      throw new WeightPricingError('NO_PER_KG_ITEMS', 'This order has no items priced per kg', 400);
+    }
+
+    const findItem = (entry) => items.find(item => (
+      (entry.itemId && mongoose.isValidObjectId(entry.itemId) && item._id.equals(entry.itemId)) ||
+      (entry.tagCode && item.tagCode === String(entry.tagCode).trim().toUpperCase())
+    ));
+    const entries = weights.map(entry => ({ item: findItem(entry || {}), entry: entry || {} }));
+    const unknown = entries.filter(e => !e.item).map(e => e.entry.itemId || e.entry.tagCode || null);
+    if (unknown.length > 0) {
+      throw new WeightPricingError('ITEM_NOT_FOUND', 'Some items are not per-kg items of this order', 404, { items: unknown });
+    }
+    const parsed = entries.map(({ item, entry }) => ({ item, weight: this.parseWeight(entry.weight, `Weight of ${item.tagCode || item._id}`) }));
+
+    const rules = await this.getRules(items.map(item => item.service), order.branch);
+    const weighedAt = new Date();
+    const weighed = new Map();
+    const changes = [];
+
+    // Price every weight first; nothing is saved until the order is re-quoted
+    for (const { item, weight } of parsed) {
+      // A service since switched to per piece keeps the default rounding
+      const itemRules = rules.get(item.service) || this.buildRules({ code: item.service });
+      const previousPrice = item.totalPrice;
+
+      if (!weighed.has(item)) {
+        weighed.set(item, {
+          actualWeight: item.actualWeight,
+          chargeableWeight: item.chargeableWeight,
+          weighedAt: item.weighedAt,
+          weighedBy: item.weighedBy
+        });
+      }
+      item.actualWeight = weight;
+      item.chargeableWeight = this.chargeableWeight(weight, itemRules);
+      item.weighedAt = weighedAt;
+      item.weighedBy = staff;
+      item.totalPrice = item.calculateTotalPrice();
+
+      changes.push({
+        item: item._id,
+        itemType: item.itemType,
+        service: item.service,
+        estimatedWeight: item.estimatedWeight,
+        actualWeight: item.actualWeight,
+        chargeableWeight: item.chargeableWeight,
+        previousPrice,
+        newPrice: item.totalPrice
+      });
+    }
+
+    const difference = changes.reduce((sum, change) => sum + change.newPrice - change.previousPrice, 0);
+    if (difference === 0) {
+      await this.saveWeighedItems(weighed);
+      return { order, items: changes, requote: null };
+    }
+
+    const requote = await this.requote(order, { items: changes, staff, weighed });
+    return { order, items: changes, requote };
+  }
+
+  /**
+   * Re-price an order after its item totals changed: the subtotal follows
+   * the items, discount and delivery stay, tax is recalculated. Wallet
+   * payments follow the new total; if the wallet can't cover an increase it
+   * pays what it can and the rest is due (partially_paid).
+   *
+   * The weighed items are saved together with the order. If either save
+   * fails the items get their previous weights back and the wallet movement
+   * is reversed, so items, order and wallet keep agreeing.
+   */
+  async requote(order, { items, staff, weighed }) {
+    const requoteService = require('./requoteService');
+    const previousTotal = order.pricing.total;
+    const orderItems = await OrderItem.find({ order: order._id }).select('service totalPrice').lean();
+    const weighedItems = [...weighed.keys()];
+
+    const pricing = await requoteService.priceOrder(
+      order,
+      orderItems.map(item => ({
+        service: item.service,
+        amount: (weighedItems.find(weighedItem => weighedItem._id.equals(item._id)) || item).totalPrice
+      }))
+    );
+
+    order.requotes.push({
+      reason: 'weigh_in',
+      previousTotal,
+      newTotal: pricing.total,
+      difference: Math.round((pricing.total - previousTotal) * 100) / 100,
+      items,
+      createdBy: staff
+    });
+    const requote = order.requotes[order.requotes.length - 1];
+    const key = `requote:${requote._id}`;
+
+    await requoteService.settleWalletPayment(order, pricing, { key, allowPartial: true });
+    order.pricing = pricing;
+
+    try {
+      await this.saveWeighedItems(weighed, () => order.save());
+    } catch (error) {
+      await this.reverseWalletSettlement(order, key);
+      throw error;
+    }
+
+    try {
+      await NotificationService.notifyOrderRequoted(order.customer, order, requote, order.tenancy);
+    } catch (error) {
+      console.error(`Failed to notify customer of re-quote for order ${order.orderNumber}:`, error.message);
+    }
+
+    return requote;
+  }
+
+  /**
+   * Save weighed items, then run `next` (the order's save). If anything
+   * fails, the items already saved get their previous weights back.
+   * @param {Map<Document, Object>} weighed - Item => its fields before weighing
+   * @param {Function} [next]
+   */
+  async saveWeighedItems(weighed, next = async () => {}) {
+    const saved = [];
+    try {
+      for (const item of weighed.keys()) {
+        await item.save();
+        saved.push(item);
+      }
+      await next();
+    } catch (error) {
+      for (const item of saved) {
+        item.set(weighed.get(item));
+        await item.save().catch(restoreError => {
+          console.error(`Failed to restore the weight of item ${item.tagCode || item._id}:`, restoreError.message);
+        });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Undo the wallet charge or refund a failed re-quote made
+   */
+  async reverseWalletSettlement(order, key) {
+    const transaction = await WalletTransaction.findOne({ idempotencyKey: key });
+    if (!transaction) return;
+
+    const options = {
+      orderId: order._id,
+      description: `Revised total for order ${order.orderNumber} not applied`,
+      idempotencyKey: `${key}:reversal`
+    };
+    try {
+      if (transaction.type === 'debit') {
+        await walletService.credit(order.customer, transaction.amount, 'order_refund', options);
+      } else {
+        await walletService.debit(order.customer, transaction.amount, 'order_payment', { ...options, allowPartial: true });
+      }
+    } catch (error) {
+      console.error(`Failed to reverse wallet settlement ${key} for order ${order.orderNumber}:`, error.message);
+    }
+  }
+}
+
+module.exports = new WeightPricingService();
+module.exports.WeightPricingError = WeightPricingError;
@@ -19,6 +19,14 @@ const generateItemTag = () => {
   return `IT${timestamp}${random}`;
 };
 
+// Generate a unique barcode for a bag/lot
+const generateLotBarcode = () => {
+  // Format: LT + timestamp(6 digits) + random(4 digits) = 12 character barcode
+  const timestamp = Date.now().toString().slice(-6);
+  const random = Math.floor(1000 + Math.random() * 9000);
+  return `LT${timestamp}${random}`;
+};
+
 // Validate barcode format (order barcode)
 const isValidBarcode = (barcode) => {
   // Barcode should be 12 characters: LP + 6 digits + 4 digits
@@ -33,6 +41,13 @@ const isValidItemTag = (tagCode) => {
   return tagRegex.test(tagCode);
 };
 
+// Validate bag/lot barcode format
+const isValidLotBarcode = (barcode) => {
+  // Barcode should be 12 characters: LT + 6 digits + 4 digits
+  const lotRegex = /^LT\d{10}$/;
+  return lotRegex.test(barcode);
+};
+
 // Generate barcode data URL for frontend display (Code128 format compatible)
 const getBarcodeData = (barcode, orderNumber) => {
   return {
@@ -85,12 +100,32 @@ const generatePrintLabels = (items, order, customer) => {
   }));
 };
 
+// Generate print-ready label data for the items of a bag/lot. Items come from
+// several orders, so each is labelled with its own order and customer.
+// ordersById maps order id -> order with customer populated
+const generateLotLabels = (items, lot, ordersById) => {
+  return items.map((item, index) => {
+    const order = ordersById.get(item.order.toString());
+    return {
+      ...getItemTagData(item, order, order?.customer),
+      lotBarcode: lot.barcode,
+      lotName: lot.name || '',
+      itemNumber: index + 1,
+      totalItems: items.length,
+      printDate: new Date().toISOString()
+    };
+  });
+};
+
 module.exports = {
   generateBarcode,
   generateItemTag,
+  generateLotBarcode,
   isValidBarcode,
   isValidItemTag,
+  isValidLotBarcode,
   getBarcodeData,
   getItemTagData,
-  generatePrintLabels
+  generatePrintLabels,
+  generateLotLabels
 };
@@ -1,5 +1,5 @@
 const jwt = require('jsonwebtoken');
-const { SERVICES, CLOTHING_CATEGORIES, ITEM_TYPES } = require('../config/constants');
+const { SERVICES, CLOTHING_CATEGORIES, ITEM_TYPES, LEGACY_ROLE_MAP, ORDER_ACTORS, PRICING_MODELS } = require('../config/constants');
 
 // Generate JWT token
 const generateToken = (userId) => {
@@ -30,6 +30,14 @@ const sendError = (res, error = 'SERVER_ERROR', message = 'Something went wrong'
   return sendResponse(res, statusCode, false, null, message, error);
 };
 
+// File download helper ({ buffer, contentType, fileName })
+const sendFile = (res, file) => {
+  res.setHeader('Content-Type', file.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${file.fileName}"`);
+  res.setHeader('Content-Length', file.buffer.length);
+  return res.send(file.buffer);
+};
+
 // Pagination helper
 const getPagination = (page = 1, limit = 10) => {
   const pageNum = parseInt(page);
@@ -136,6 +144,12 @@ const calculateOrderTotal = (items, deliveryCharge = 0, discount = 0, taxRate =
   let expressCharge = 0;
 
   items.forEach(item => {
+    // Per-kg items come priced by weightPricingService, express included in the rate
+    if (item.pricingModel === PRICING_MODELS.PER_KG) {
+      subtotal += item.totalPrice;
+      return;
+    }
+
     const pricing = calculateItemPrice(item.itemType, item.service, item.category, item.isExpress);
     const itemTotal = pricing.unitPrice * item.quantity;
     subtotal += itemTotal;
@@ -276,11 +290,21 @@ const getUserBranchInfo = async (user) => {
   return null;
 };
 
+// Role used by the order state machine for the authenticated caller
+const getOrderActorRole = (req) => {
+  if (req.isSuperAdmin || req.admin) {
+    return ORDER_ACTORS.SUPERADMIN;
+  }
+  const role = req.user?.role;
+  return LEGACY_ROLE_MAP[role] || role;
+};
+
 module.exports = {
   generateToken,
   sendResponse,
   sendSuccess,
   sendError,
+  sendFile,
   getPagination,
   formatPaginationResponse,
   calculateItemPrice,
@@ -298,5 +322,6 @@ module.exports = {
   asyncHandler,
   getBranchFilter,
   addBranchFilter,
-  getUserBranchInfo
+  getUserBranchInfo,
+  getOrderActorRole
 };
\ No newline at end of file
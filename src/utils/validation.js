@@ -194,6 +194,16 @@ const addressValidation = Joi.object({
       'string.pattern.base': 'Please enter a valid 6-digit pincode'
     }),
   
+  coordinates: Joi.object({
+    lat: Joi.number().min(-90).max(90).required(),
+    lng: Joi.number().min(-180).max(180).required()
+  })
+    .optional()
+    .messages({
+      'number.min': 'Coordinates are out of range',
+      'number.max': 'Coordinates are out of range'
+    }),
+  
   addressType: Joi.string()
     .valid('home', 'office', 'other')
     .default('home')
@@ -1,5 +1,5 @@
 const Joi = require('joi');
-const { USER_ROLES, SERVICES, CLOTHING_CATEGORIES, ITEM_TYPES, TICKET_CATEGORIES, TICKET_PRIORITY, TICKET_STATUS } = require('../config/constants');
+const { USER_ROLES, SERVICES, CLOTHING_CATEGORIES, ITEM_TYPES, TICKET_CATEGORIES, TICKET_PRIORITY, TICKET_STATUS, PAYMENT_METHODS, WEIGHT_PRICING_DEFAULTS } = require('../config/constants');
 
 // Common validation schemas
 const commonSchemas = {
@@ -66,6 +66,8 @@ const orderValidation = {
         service: Joi.string().valid(...Object.values(SERVICES)).required(),
         category: Joi.string().valid(...Object.values(CLOTHING_CATEGORIES)).required(),
         quantity: Joi.number().integer().min(1).required(),
+        // kg, required for services priced per kg
+        estimatedWeight: Joi.number().positive().max(WEIGHT_PRICING_DEFAULTS.MAX_WEIGHT),
         specialInstructions: Joi.string().trim().allow('')
       })
     ).min(1).required(),
@@ -73,7 +75,7 @@ const orderValidation = {
     deliveryAddressId: commonSchemas.objectId.required(),
     pickupDate: Joi.date().min('now').required(),
     pickupTimeSlot: Joi.string().required(),
-    paymentMethod: Joi.string().valid('online', 'cod').required(),
+    paymentMethod: Joi.string().valid(...Object.values(PAYMENT_METHODS)).required(),
     isExpress: Joi.boolean().default(false),
     specialInstructions: Joi.string().trim().allow('')
   }),
@@ -0,0 +1,152 @@
+const mongoose = require('mongoose');
+const Order = require('../src/models/Order');
+const Complaint = require('../src/models/Complaint');
+const Task = require('../src/models/Task');
+const automationEngine = require('../src/services/automationEngine');
+const { ORDER_STATUS } = require('../src/config/constants');
+
+// UPDATE_STATUS and CREATE_TASK actions run by a tenant rule against the test
+// database. Order moves go through the order state machine as the system actor.
+describe('automationEngine actions', () => {
+  const tenancy = new mongoose.Types.ObjectId();
+  const customerId = new mongoose.Types.ObjectId();
+  const rule = {
+    ruleId: `RULE-TEST-${Date.now()}`,
+    name: 'Pickup follow-up',
+    scope: 'TENANT',
+    tenantId: tenancy,
+    createdBy: new mongoose.Types.ObjectId()
+  };
+  let orderCounter = 0;
+
+  const run = (type, config, eventData, context = {}, actionRule = rule) =>
+    automationEngine.executeAction({ type, config }, eventData, context, actionRule, 'EXEC-TEST-1');
+  const createOrder = (orderTenancy = tenancy) => Order.create({
+    tenancy: orderTenancy,
+    orderNumber: `ORD-AUTO-${Date.now()}-${++orderCounter}`,
+    customer: customerId,
+    pickupDate: new Date(),
+    pickupTimeSlot: '09:00-11:00',
+    pricing: { subtotal: 200, total: 200 },
+    paymentMethod: 'cod'
+  });
+
+  beforeAll(async () => {
+    await Task.init();
+  });
+
+  afterAll(async () => {
+    await Order.deleteMany({ customer: customerId });
+    await Complaint.deleteMany({ customerId });
+    await Task.deleteMany({ tenancy });
+  });
+
+  test('UPDATE_STATUS moves an order through the state machine', async () => {
+    const order = await createOrder();
+
+    await run('update_status', { status: 'picked', notes: 'Auto-picked {{orderNumber}}' }, {
+      orderId: order._id,
+      orderNumber: order.orderNumber
+    });
+
+    const saved = await Order.findById(order._id).lean();
+    expect(saved.status).toBe(ORDER_STATUS.PICKED);
+    expect(saved.statusHistory[saved.statusHistory.length - 1]).toMatchObject({
+      status: ORDER_STATUS.PICKED,
+      updatedBy: rule.createdBy,
+      notes: `Auto-picked ${order.orderNumber}`
+    });
+  });
+
+  test('UPDATE_STATUS refuses illegal moves, a missing status and other tenancies', async () => {
+    const order = await createOrder();
+    const eventData = { orderId: order._id };
+
+    await expect(run('UPDATE_STATUS', { status: ORDER_STATUS.DELIVERED }, eventData))
+      .rejects.toMatchObject({ error: 'INVALID_TRANSITION', statusCode: 409 });
+    await expect(run('UPDATE_STATUS', {}, eventData)).rejects.toThrow('UPDATE_STATUS action requires a status');
+    await expect(run('UPDATE_STATUS', { entity: 'invoice', status: 'paid' }, eventData))
+      .rejects.toThrow('Unsupported UPDATE_STATUS entity: invoice');
+
+    const foreign = await createOrder(new mongoose.Types.ObjectId());
+    await expect(run('UPDATE_STATUS', { status: ORDER_STATUS.PICKED }, { orderId: foreign._id }))
+      .rejects.toThrow('Automation rule cannot modify documents outside its tenancy');
+
+    expect((await Order.findById(order._id).lean()).status).toBe(ORDER_STATUS.PLACED);
+    expect((await Order.findById(foreign._id).lean()).status).toBe(ORDER_STATUS.PLACED);
+  });
+
+  test('UPDATE_STATUS records complaint moves as actions', async () => {
+    const platformRule = { ...rule, scope: 'PLATFORM', tenantId: undefined };
+    const complaint = await Complaint.create({
+      complaintId: `CMPAUTO${Date.now()}`,
+      title: 'Shirt came back torn',
+      description: 'Collar torn after wash',
+      category: 'damaged_items',
+      customerId,
+      customerName: 'Asha Rao',
+      customerEmail: 'asha@example.com'
+    });
+
+    await run('UPDATE_STATUS', { entity: 'complaint', status: 'in_progress' }, { complaintId: complaint._id }, {}, platformRule);
+
+    const saved = await Complaint.findById(complaint._id).lean();
+    expect(saved.status).toBe('in_progress');
+    expect(saved.actions[saved.actions.length - 1]).toMatchObject({
+      actionType: 'status_change',
+      performedBy: rule.createdBy,
+      previousValue: 'open',
+      newValue: 'in_progress',
+      description: 'Status updated by automation rule: Pickup follow-up'
+    });
+
+    await expect(run('UPDATE_STATUS', { entity: 'complaint', status: 'closed' }, { complaintId: complaint._id }, {}, platformRule))
+      .rejects.toThrow('Cannot change complaint status from in_progress to closed');
+  });
+
+  test('CREATE_TASK creates a task for a person or a team, linked to the event entity', async () => {
+    const order = await createOrder();
+    const assignee = new mongoose.Types.ObjectId();
+
+    await run('CREATE_TASK', {
+      title: 'Call customer about {{orderNumber}}',
+      description: 'Pickup missed',
+      priority: 'high',
+      assignee: assignee.toString(),
+      entity: 'order',
+      dueInHours: 4
+    }, { orderId: order._id, orderNumber: order.orderNumber });
+    await run('CREATE_TASK', {
+      title: 'Review ticket',
+      priority: 'urgent',
+      assignee: 'customer_service',
+      entity: 'ticket'
+    }, { ticketId: new mongoose.Types.ObjectId() });
+
+    const personal = await Task.findOne({ tenancy, assignedTo: assignee }).lean();
+    const team = await Task.findOne({ tenancy, assignedTeam: 'customer_service' }).lean();
+    expect(personal).toMatchObject({
+      title: `Call customer about ${order.orderNumber}`,
+      priority: 'high',
+      status: 'open',
+      assignedTo: assignee,
+      assignedToModel: 'User',
+      relatedEntity: { entityType: 'order', entityId: order._id },
+      source: { type: 'automation', ruleId: rule.ruleId, executionId: 'EXEC-TEST-1' },
+      createdBy: rule.createdBy
+    });
+    expect(personal.taskNumber).toMatch(/^TSK-\d{8}-[A-Z0-9]+$/);
+    expect(personal.dueAt.getTime() - personal.createdAt.getTime()).toBeCloseTo(4 * 60 * 60 * 1000, -4);
+    expect(personal.history).toEqual([expect.objectContaining({ action: 'created', to: 'open' })]);
+
+    // Unknown priorities fall back to medium; a queue name is not a user id
+    expect(team).toMatchObject({ priority: 'medium', assignedTeam: 'customer_service' });
+    expect(team.assignedTo).toBeUndefined();
+    expect(team.relatedEntity.entityType).toBe('tenant_ticket');
+  });
+
+  test('CREATE_TASK requires a title', async () => {
+    await expect(run('CREATE_TASK', { assignee: 'staff' }, {})).rejects.toThrow('CREATE_TASK action requires a title');
+    expect(await Task.countDocuments({ tenancy, assignedTeam: 'staff' })).toBe(0);
+  });
+});
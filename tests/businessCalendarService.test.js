@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+const Branch = require('../src/models/Branch');
+const Order = require('../src/models/Order');
+const businessCalendar = require('../src/services/businessCalendarService');
+const { ORDER_STATUS } = require('../src/config/constants');
+
+const MON_TO_SAT = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+describe('businessCalendarService dates', () => {
+  // Holi (Wednesday 2026-03-04) and Republic Day, which recurs every year
+  const branch = {
+    _id: new mongoose.Types.ObjectId(),
+    operatingHours: { workingDays: MON_TO_SAT, closeTime: '19:00' },
+    holidays: [
+      { date: new Date('2026-03-04T00:00:00Z'), reason: 'Holi' },
+      { date: new Date('2020-01-26T00:00:00Z'), reason: 'Republic Day', isRecurring: true }
+    ]
+  };
+  const calendar = (timezone = 'Asia/Kolkata', businessHours = null) => ({ branch, timezone, businessHours });
+
+  test('local dates follow the timezone', () => {
+    const instant = new Date('2026-03-09T20:00:00Z');
+
+    expect(businessCalendar.toDateKey(instant, 'Asia/Kolkata')).toBe('2026-03-10');
+    expect(businessCalendar.toDateKey(instant, 'America/New_York')).toBe('2026-03-09');
+    expect(businessCalendar.toDateKey('2026-03-09', 'America/New_York')).toBe('2026-03-09');
+    expect(businessCalendar.toDateKey('not a date')).toBeNull();
+  });
+
+  test('local times convert to instants on either side of a DST change', () => {
+    expect(businessCalendar.toZonedDate('2026-03-10', '18:00', 'Asia/Kolkata')).toEqual(new Date('2026-03-10T12:30:00Z'));
+    // New York moves from UTC-5 to UTC-4 on 2026-03-08
+    expect(businessCalendar.toZonedDate('2026-03-07', '18:00', 'America/New_York')).toEqual(new Date('2026-03-07T23:00:00Z'));
+    expect(businessCalendar.toZonedDate('2026-03-09', '18:00', 'America/New_York')).toEqual(new Date('2026-03-09T22:00:00Z'));
+  });
+
+  test('holidays, recurring holidays and closed weekdays are non-working', () => {
+    expect(businessCalendar.getNonWorkingReason(branch, '2026-03-04')).toBe('Holiday: Holi');
+    expect(businessCalendar.getNonWorkingReason(branch, '2027-03-04')).toBeNull();
+    expect(businessCalendar.getNonWorkingReason(branch, '2027-01-26')).toBe('Holiday: Republic Day');
+    expect(businessCalendar.getNonWorkingReason(branch, '2026-03-08')).toBe('Branch is closed on this day');
+    expect(businessCalendar.getNonWorkingReason(branch, '2026-03-05')).toBeNull();
+  });
+
+  test("without working days of its own a branch follows the tenancy's business hours", () => {
+    const noDays = { operatingHours: {}, holidays: [] };
+    const businessHours = { saturday: { isOpen: false }, sunday: { isOpen: true } };
+
+    expect(businessCalendar.getNonWorkingReason(noDays, '2026-03-07', businessHours)).toBe('Branch is closed on this day');
+    expect(businessCalendar.getNonWorkingReason(noDays, '2026-03-08', businessHours)).toBeNull();
+    // Neither set: closed on Sundays only
+    expect(businessCalendar.getNonWorkingReason(noDays, '2026-03-07')).toBeNull();
+    expect(businessCalendar.getNonWorkingReason(noDays, '2026-03-08')).toBe('Branch is closed on this day');
+  });
+
+  test('working days are counted over Sundays and holidays', () => {
+    // Tuesday 03-03 + 1: Holi on Wednesday, so Thursday
+    expect(businessCalendar.addWorkingDays(calendar(), '2026-03-03', 1)).toBe('2026-03-05');
+    // Saturday 03-07 + 1: Sunday is closed, so Monday
+    expect(businessCalendar.addWorkingDays(calendar(), '2026-03-07', 1)).toBe('2026-03-09');
+    // Zero days from a closed day is the next working day
+    expect(businessCalendar.addWorkingDays(calendar(), '2026-03-04', 0)).toBe('2026-03-05');
+    expect(businessCalendar.addWorkingDays(calendar(), '2026-03-05', 0)).toBe('2026-03-05');
+  });
+
+  test('the delivery date depends on the local pickup date and closing time', async () => {
+    // Tuesday 21:00 in New York is already Wednesday (Holi) in Kolkata
+    const pickupDate = new Date('2026-03-04T02:00:00Z');
+
+    // Kolkata: Wednesday is a holiday, so two working days from it are Thursday and Friday
+    expect(await businessCalendar.estimateDeliveryDate({ pickupDate, calendar: calendar() }))
+      .toEqual(new Date('2026-03-06T13:30:00Z'));
+    // New York: Tuesday, so Wednesday is skipped for Holi and Friday is the second day
+    expect(await businessCalendar.estimateDeliveryDate({ pickupDate, calendar: calendar('America/New_York') }))
+      .toEqual(new Date('2026-03-07T00:00:00Z'));
+    // Express is a single working day
+    expect(await businessCalendar.estimateDeliveryDate({ pickupDate, isExpress: true, calendar: calendar() }))
+      .toEqual(new Date('2026-03-05T13:30:00Z'));
+  });
+});
+
+// Stored estimates against the test database
+describe('businessCalendarService.recomputeOpenOrders', () => {
+  const tenancy = new mongoose.Types.ObjectId();
+  let branch;
+
+  const createOrder = (suffix, status = ORDER_STATUS.PLACED) => Order.create({
+    tenancy,
+    branch: branch._id,
+    orderNumber: `ORD-CAL-${Date.now()}-${suffix}`,
+    customer: new mongoose.Types.ObjectId(),
+    // Saturday 2026-03-07 09:30 in Kolkata
+    pickupDate: new Date('2026-03-07T04:00:00Z'),
+    pickupTimeSlot: '09:00-11:00',
+    pricing: { subtotal: 100, total: 100 },
+    paymentMethod: 'cod',
+    status,
+    // Saturday + 2 working days is Tuesday, closing at 18:00 IST
+    estimatedDeliveryDate: new Date('2026-03-10T12:30:00Z')
+  });
+
+  beforeAll(async () => {
+    branch = await Branch.create({
+      tenancy,
+      name: 'Calendar Test Branch',
+      code: `CAL${Date.now()}`,
+      address: { addressLine1: '1 Test Street', city: 'Bengaluru', state: 'Karnataka', pincode: '560001' },
+      contact: { phone: '9876543210' },
+      coordinates: { latitude: 12.9716, longitude: 77.5946 },
+      operatingHours: { workingDays: MON_TO_SAT },
+      createdBy: new mongoose.Types.ObjectId()
+    });
+  });
+
+  afterAll(async () => {
+    await Order.deleteMany({ tenancy });
+    await Branch.deleteOne({ _id: branch._id });
+  });
+
+  test('a new holiday moves the estimates of open orders only', async () => {
+    const open = await createOrder('open');
+    const delivered = await createOrder('delivered', ORDER_STATUS.DELIVERED);
+
+    expect((await businessCalendar.recomputeOpenOrders(branch._id)).updated).toEqual([]);
+
+    await Branch.updateOne({ _id: branch._id }, { $push: { holidays: { date: new Date('2026-03-09T00:00:00Z'), reason: 'Local festival' } } });
+    const result = await businessCalendar.recomputeOpenOrders(branch._id);
+
+    expect(result.checked).toBe(1);
+    expect(result.updated).toEqual([expect.objectContaining({
+      orderNumber: open.orderNumber,
+      previous: new Date('2026-03-10T12:30:00Z'),
+      estimatedDeliveryDate: new Date('2026-03-11T12:30:00Z')
+    })]);
+    expect((await Order.findById(open._id)).estimatedDeliveryDate).toEqual(new Date('2026-03-11T12:30:00Z'));
+    expect((await Order.findById(delivered._id)).estimatedDeliveryDate).toEqual(new Date('2026-03-10T12:30:00Z'));
+  });
+});
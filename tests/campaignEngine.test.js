@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const CampaignUsage = require('../src/models/CampaignUsage');
+const CampaignUsageCounter = require('../src/models/CampaignUsageCounter');
+const CampaignEngine = require('../src/services/campaignEngine');
+
+// Campaign limits against the test database. reserveUsage only reads the
+// campaign's id and limits, so the campaigns here are plain objects.
+describe('CampaignEngine usage limits', () => {
+  const campaigns = [];
+
+  const newCampaign = (limits) => {
+    const campaign = { _id: new mongoose.Types.ObjectId(), limits: { perUserLimit: 0, dailyLimit: 0, ...limits } };
+    campaigns.push(campaign._id);
+    return campaign;
+  };
+
+  afterAll(async () => {
+    await CampaignUsage.deleteMany({ campaign: { $in: campaigns } });
+    await CampaignUsageCounter.deleteMany({ campaign: { $in: campaigns } });
+  });
+
+  test('concurrent checkouts cannot take more than the per-user limit', async () => {
+    const campaign = newCampaign({ perUserLimit: 2 });
+    const userId = new mongoose.Types.ObjectId();
+
+    const reservations = await Promise.all([1, 2, 3, 4, 5].map(() => CampaignEngine.reserveUsage(campaign, userId)));
+
+    expect(reservations.filter(Boolean)).toHaveLength(2);
+    const counter = await CampaignUsageCounter.findOne({ campaign: campaign._id, scope: 'user' });
+    expect(counter.count).toBe(2);
+  });
+
+  test('the daily limit is shared by all users', async () => {
+    const campaign = newCampaign({ dailyLimit: 1 });
+
+    expect(await CampaignEngine.reserveUsage(campaign, new mongoose.Types.ObjectId())).not.toBeNull();
+    expect(await CampaignEngine.reserveUsage(campaign, new mongoose.Types.ObjectId())).toBeNull();
+  });
+
+  test('a refused reservation gives back the counters it already took', async () => {
+    const campaign = newCampaign({ perUserLimit: 5, dailyLimit: 1 });
+    const userId = new mongoose.Types.ObjectId();
+
+    await CampaignEngine.reserveUsage(campaign, new mongoose.Types.ObjectId());
+    expect(await CampaignEngine.reserveUsage(campaign, userId)).toBeNull();
+
+    const userCounter = await CampaignUsageCounter.findOne({ campaign: campaign._id, scope: 'user', key: userId.toString() });
+    expect(userCounter.count).toBe(0);
+  });
+
+  test('releaseUsage frees a reservation for the next checkout', async () => {
+    const campaign = newCampaign({ perUserLimit: 1 });
+    const userId = new mongoose.Types.ObjectId();
+
+    const reservation = await CampaignEngine.reserveUsage(campaign, userId);
+    expect(await CampaignEngine.reserveUsage(campaign, userId)).toBeNull();
+
+    await CampaignEngine.releaseUsage(reservation);
+    expect(await CampaignEngine.reserveUsage(campaign, userId)).not.toBeNull();
+  });
+
+  test('reserve, log and reverse: cancelling the order gives the redemption back once', async () => {
+    const campaign = newCampaign({ perUserLimit: 1, dailyLimit: 10 });
+    const userId = new mongoose.Types.ObjectId();
+    const orderId = new mongoose.Types.ObjectId();
+
+    expect(await CampaignEngine.reserveUsage(campaign, userId)).not.toBeNull();
+    await CampaignEngine.logCampaignUsage(campaign._id, userId, 50, { orderId, orderTotal: 500 });
+    expect(await CampaignEngine.reserveUsage(campaign, userId)).toBeNull();
+
+    expect(await CampaignEngine.reverseOrderUsage(orderId)).toBe(1);
+    expect(await CampaignEngine.reverseOrderUsage(orderId)).toBe(0);
+
+    const usage = await CampaignUsage.findOne({ order: orderId });
+    expect(usage.status).toBe('reversed');
+    expect(await CampaignEngine.getUserCampaignUsage(campaign._id, userId)).toBe(0);
+
+    const counters = await CampaignUsageCounter.find({ campaign: campaign._id }).lean();
+    expect(counters.map(counter => counter.count)).toEqual([0, 0]);
+    expect(await CampaignEngine.reserveUsage(campaign, userId)).not.toBeNull();
+  });
+
+  test('counters created after earlier redemptions start from the usage ledger', async () => {
+    const campaign = newCampaign({ perUserLimit: 2 });
+    const userId = new mongoose.Types.ObjectId();
+    await CampaignEngine.logCampaignUsage(campaign._id, userId, 20, { orderId: new mongoose.Types.ObjectId() });
+
+    expect(await CampaignEngine.reserveUsage(campaign, userId)).not.toBeNull();
+    expect(await CampaignEngine.reserveUsage(campaign, userId)).toBeNull();
+  });
+});
@@ -0,0 +1,168 @@
+const axios = require('axios');
+const DistanceCache = require('../src/models/DistanceCache');
+const distanceService = require('../src/services/distanceService');
+
+// MG Road to Whitefield is 15.72 km in a straight line
+const mgRoad = { lat: 12.9756, lng: 77.6050 };
+const whitefield = { lat: 12.9698, lng: 77.7500 };
+const koramangala = { lat: 12.9352, lng: 77.6245 };
+const hsrLayout = { lat: 12.9116, lng: 77.6474 };
+
+const routeResponse = (meters, seconds) => ({ data: { routes: [{ summary: { distance: meters, duration: seconds } }] } });
+const httpError = (status) => Object.assign(new Error(`Request failed with status code ${status}`), { response: { status } });
+
+const withSettings = (settings) => {
+  let saved;
+  beforeEach(() => {
+    saved = { apiKey: distanceService.apiKey, mode: distanceService.mode };
+    Object.assign(distanceService, settings);
+  });
+  afterEach(() => {
+    Object.assign(distanceService, saved);
+    jest.restoreAllMocks();
+  });
+};
+
+describe('distanceService offline estimates', () => {
+  withSettings({ apiKey: undefined, mode: 'auto' });
+
+  test('without an API key distances are estimated from the straight line', async () => {
+    const post = jest.spyOn(axios, 'post');
+
+    // 15.72 km x 1.35 road factor, at 20 km/h
+    expect(await distanceService.calculateDistance(mgRoad, whitefield)).toEqual({
+      distance: 21.22,
+      duration: 64,
+      status: 'OK',
+      source: 'estimate',
+      isEstimate: true
+    });
+    expect(await distanceService.calculateDistanceMatrix(mgRoad, [whitefield, { lat: 95, lng: 77 }])).toEqual([
+      expect.objectContaining({ distance: 21.22, source: 'estimate' }),
+      expect.objectContaining({ status: 'INVALID_COORDINATES' })
+    ]);
+    expect(post).not.toHaveBeenCalled();
+  });
+
+  test('API-only mode falls back to flat-rate pricing instead', async () => {
+    distanceService.mode = 'api';
+
+    expect(await distanceService.calculateDistance(mgRoad, whitefield)).toMatchObject({
+      distance: 0,
+      status: 'FALLBACK',
+      fallbackReason: 'API key not configured',
+      useFallbackPricing: true
+    });
+  });
+
+  test('estimate mode never calls the API, even with a key', async () => {
+    distanceService.apiKey = 'test-key';
+    distanceService.mode = 'estimate';
+    const post = jest.spyOn(axios, 'post');
+
+    expect((await distanceService.calculateDistance(mgRoad, koramangala)).distance).toBe(6.7);
+    expect(post).not.toHaveBeenCalled();
+  });
+
+  test('either direction and nearby points share a cache key', () => {
+    expect(distanceService.getCacheKey(mgRoad, whitefield)).toBe('12.970,77.750|12.976,77.605');
+    expect(distanceService.getCacheKey(whitefield, { lat: 12.97561, lng: 77.60504 })).toBe('12.970,77.750|12.976,77.605');
+  });
+});
+
+// API calls are stubbed at the HTTP client; routes are cached in the test
+// database. Every cache entry here has MG Road as one end.
+describe('distanceService routing API and cache', () => {
+  withSettings({ apiKey: 'test-key', mode: 'auto' });
+
+  const cached = () => DistanceCache.find({ key: { $regex: '12\\.976,77\\.605' } }).lean();
+
+  beforeEach(async () => {
+    await DistanceCache.deleteMany({ key: { $regex: '12\\.976,77\\.605' } });
+    jest.spyOn(distanceService, 'sleep').mockResolvedValue();
+  });
+
+  afterAll(async () => {
+    await DistanceCache.deleteMany({ key: { $regex: '12\\.976,77\\.605' } });
+  });
+
+  test('API routes are cached and reused in both directions', async () => {
+    const post = jest.spyOn(axios, 'post').mockResolvedValueOnce(routeResponse(24350, 3000));
+
+    expect(await distanceService.calculateDistance(mgRoad, whitefield))
+      .toEqual({ distance: 24.35, duration: 50, status: 'OK', source: 'api' });
+    expect(await distanceService.calculateDistance(whitefield, mgRoad))
+      .toEqual({ distance: 24.35, duration: 50, status: 'OK', source: 'api', cached: true });
+
+    expect(post).toHaveBeenCalledTimes(1);
+    const [entry] = await cached();
+    expect(entry).toMatchObject({ distance: 24.35, duration: 50, hits: 1 });
+    expect(entry.expiresAt.getTime()).toBeGreaterThan(Date.now() + 29 * 24 * 60 * 60 * 1000);
+  });
+
+  test('a failing API falls back to the estimate and caches nothing', async () => {
+    const post = jest.spyOn(axios, 'post').mockRejectedValue(new Error('socket hang up'));
+
+    expect(await distanceService.calculateDistance(mgRoad, whitefield)).toEqual({
+      distance: 21.22,
+      duration: 64,
+      status: 'OK',
+      source: 'estimate',
+      isEstimate: true,
+      fallbackReason: 'API unavailable after retries'
+    });
+    expect(post).toHaveBeenCalledTimes(3);
+
+    // A spent quota is not retried
+    post.mockReset().mockRejectedValue(httpError(403));
+    expect(await distanceService.calculateDistance(mgRoad, whitefield))
+      .toMatchObject({ source: 'estimate', fallbackReason: 'API quota exceeded' });
+    expect(post).toHaveBeenCalledTimes(1);
+
+    expect(await cached()).toEqual([]);
+  });
+
+  test('API-only mode returns the API failure', async () => {
+    distanceService.mode = 'api';
+    jest.spyOn(axios, 'post').mockRejectedValue(httpError(401));
+
+    expect(await distanceService.calculateDistance(mgRoad, whitefield))
+      .toMatchObject({ status: 'FALLBACK', fallbackReason: 'Invalid API key', useFallbackPricing: true });
+  });
+
+  test('the matrix fetches only uncached pairs, in one request', async () => {
+    const post = jest.spyOn(axios, 'post')
+      .mockResolvedValueOnce(routeResponse(24350, 3000))
+      .mockResolvedValueOnce({ data: { distances: [[8100, null]], durations: [[1320, null]] } });
+    await distanceService.calculateDistance(mgRoad, whitefield);
+
+    const results = await distanceService.calculateDistanceMatrix(mgRoad, [whitefield, koramangala, { lat: 'x' }, hsrLayout]);
+
+    expect(results).toEqual([
+      { distance: 24.35, duration: 50, status: 'OK', source: 'api', cached: true },
+      { distance: 8.1, duration: 22, status: 'OK', source: 'api' },
+      expect.objectContaining({ status: 'INVALID_COORDINATES' }),
+      // No route to HSR Layout, so it is estimated
+      expect.objectContaining({ distance: 11.43, source: 'estimate', fallbackReason: 'No route found' })
+    ]);
+    expect(post).toHaveBeenCalledTimes(2);
+    expect(post.mock.calls[1][1]).toMatchObject({
+      locations: [[77.6050, 12.9756], [77.6245, 12.9352], [77.6474, 12.9116]],
+      sources: [0],
+      destinations: [1, 2]
+    });
+    expect((await cached()).map(e => e.distance).sort((a, b) => a - b)).toEqual([8.1, 24.35]);
+  });
+
+  test('large matrices are split at the API location limit', async () => {
+    const destinations = Array.from({ length: 50 }, (_, i) => ({ lat: 12.9 + i / 1000, lng: 77.7 }));
+    const post = jest.spyOn(axios, 'post').mockImplementation(async (url, body) => ({
+      data: { distances: [body.destinations.map(() => 5000)], durations: [body.destinations.map(() => 600)] }
+    }));
+
+    const results = await distanceService.calculateDistanceMatrix(mgRoad, destinations);
+
+    expect(post.mock.calls.map(([, body]) => body.destinations.length)).toEqual([49, 1]);
+    expect(results.every(r => r.distance === 5 && r.source === 'api')).toBe(true);
+  });
+});
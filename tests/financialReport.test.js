@@ -0,0 +1,258 @@
+const mongoose = require('mongoose');
+const Branch = require('../src/models/Branch');
+const Order = require('../src/models/Order');
+const Refund = require('../src/models/Refund');
+const Settlement = require('../src/models/Settlement');
+const Transaction = require('../src/models/Transaction');
+const FinancialReport = require('../src/models/FinancialReport');
+const { ORDER_STATUS } = require('../src/config/constants');
+
+const metric = (report, name) => report.data.find(d => d.metric === name)?.value;
+
+describe('FinancialReport.generateReport', () => {
+  test('unknown types are refused', async () => {
+    expect(FinancialReport.GENERATED_TYPES).toEqual(expect.arrayContaining([
+      'tax_report', 'commission_report', 'settlement_report', 'cash_flow', 'reconciliation_report', 'branch_performance'
+    ]));
+    await expect(FinancialReport.generateReport('audit_report', new Date(), new Date(), {}, null))
+      .rejects.toThrow('Unsupported report type: audit_report');
+  });
+});
+
+// Report generators against the test database. Each report is narrowed to two
+// new branches so records from other suites stay out of the totals; the
+// reconciliation checks that cannot be narrowed by branch are looked up by
+// their own labels.
+//
+// North (15% commission): a delivered order of 1180 (180 GST, no breakdown),
+// a paid interstate order of 590 (90 IGST), a paid order that was cancelled
+// and an unpaid one. South (default 10%): a delivered order of 1000.
+describe('FinancialReport generators', () => {
+  const tenancy = new mongoose.Types.ObjectId();
+  const createdBy = new mongoose.Types.ObjectId();
+  const customers = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+  const branches = {};
+  const orders = {};
+  const settlements = {};
+  let startDate;
+  let endDate;
+  let filters;
+  let orderCounter = 0;
+
+  const generate = (type) => FinancialReport.generateReport(type, startDate, endDate, filters, createdBy);
+
+  const createBranch = (name, financials = {}) => Branch.create({
+    tenancy,
+    name,
+    code: `FIN${name.toUpperCase()}${Date.now()}`,
+    address: { addressLine1: '1 Test Street', city: 'Bengaluru', state: 'Karnataka', pincode: '560001' },
+    contact: { phone: '9876543210' },
+    coordinates: { latitude: 12.9716, longitude: 77.5946 },
+    financials,
+    createdBy: new mongoose.Types.ObjectId()
+  });
+  const createOrder = (branch, customer, pricing, fields = {}) => Order.create({
+    tenancy,
+    branch: branch._id,
+    orderNumber: `ORD-FIN-${Date.now()}-${++orderCounter}`,
+    customer,
+    pickupDate: new Date(),
+    pickupTimeSlot: '09:00-11:00',
+    pricing: { subtotal: pricing.total, ...pricing },
+    paymentMethod: 'online',
+    ...fields
+  });
+  const createTransaction = (type, amount, fields) => Transaction.create({
+    type,
+    amount,
+    status: 'completed',
+    paymentMethod: 'upi',
+    createdBy,
+    ...fields
+  });
+  const createSettlement = (status, grossAmount, fields = {}) => Settlement.create({
+    type: 'branch',
+    recipientId: branches.north._id,
+    recipientModel: 'Branch',
+    recipientName: 'North',
+    grossAmount,
+    periodStart: startDate,
+    periodEnd: new Date(),
+    status,
+    paymentMethod: 'bank_transfer',
+    createdBy,
+    ...fields
+  });
+
+  beforeAll(async () => {
+    startDate = new Date(Date.now() - 60 * 1000);
+    endDate = new Date(Date.now() + 60 * 60 * 1000);
+
+    branches.north = await createBranch('North', { commissionRate: 15 });
+    branches.south = await createBranch('South');
+    filters = { branchIds: [branches.north._id, branches.south._id] };
+
+    orders.delivered = await createOrder(branches.north, customers[0], { total: 1180, tax: 180 }, {
+      status: ORDER_STATUS.DELIVERED, paymentStatus: 'paid'
+    });
+    orders.interstate = await createOrder(branches.north, customers[1], {
+      total: 590,
+      tax: 90,
+      taxBreakdown: {
+        isInterstate: true, taxableAmount: 500, cgst: 0, sgst: 0, igst: 90,
+        lines: [{ service: 'wash_fold', rate: 18, taxableValue: 500, cgst: 0, sgst: 0, igst: 90, tax: 90 }]
+      }
+    }, { paymentStatus: 'paid' });
+    orders.cancelled = await createOrder(branches.north, customers[0], { total: 300, tax: 45 }, {
+      status: ORDER_STATUS.CANCELLED, paymentStatus: 'paid'
+    });
+    orders.unpaid = await createOrder(branches.north, customers[0], { total: 400, tax: 60 });
+    orders.south = await createOrder(branches.south, customers[1], { total: 1000 }, {
+      status: ORDER_STATUS.DELIVERED, paymentStatus: 'paid'
+    });
+
+    // Half of the delivered order refunded, of which only 290 reached the gateway
+    orders.refund = await Refund.create({
+      tenancy,
+      order: orders.delivered._id,
+      customer: customers[0],
+      amount: 590,
+      reason: 'Shirt damaged',
+      category: 'damaged',
+      status: 'processed',
+      processedAt: new Date(),
+      requestedBy: customers[0]
+    });
+
+    // The interstate order was underpaid and the cancelled one has no payment
+    await createTransaction('payment', 1180, { orderId: orders.delivered._id, branchId: branches.north._id });
+    await createTransaction('payment', 500, { orderId: orders.interstate._id, branchId: branches.north._id });
+    await createTransaction('payment', 1000, { orderId: orders.south._id, branchId: branches.south._id });
+    await createTransaction('refund', 290, { orderId: orders.delivered._id, branchId: branches.north._id });
+    await createTransaction('commission', 200, { branchId: branches.north._id });
+    await createTransaction('settlement', 850, { branchId: branches.north._id });
+
+    settlements.reconciled = await createSettlement('completed', 1000, { totalCommission: 150, isReconciled: true });
+    settlements.unreconciled = await createSettlement('completed', 400);
+    settlements.failed = await createSettlement('failed', 300);
+    settlements.pending = await createSettlement('pending_approval', 200);
+  });
+
+  afterAll(async () => {
+    await FinancialReport.deleteMany({ createdBy });
+    await Transaction.deleteMany({ createdBy });
+    await Settlement.deleteMany({ createdBy });
+    await Refund.deleteMany({ tenancy });
+    await Order.deleteMany({ tenancy });
+    await Branch.deleteMany({ tenancy });
+  });
+
+  test('tax report splits GST and reverses the refunded share', async () => {
+    const report = await generate('tax_report');
+
+    expect(report).toMatchObject({ type: 'tax_report', status: 'completed' });
+    // Cancelled and unpaid orders are not revenue
+    expect(report.summary).toMatchObject({ totalRevenue: 2770, totalOrders: 3, totalRefunds: 590 });
+    expect(metric(report, 'taxableValue')).toBe(2500);
+    expect(metric(report, 'taxCollected')).toBe(270);
+    expect(metric(report, 'cgst')).toBe(90);
+    expect(metric(report, 'sgst')).toBe(90);
+    expect(metric(report, 'igst')).toBe(90);
+    // 590 of 1180 refunded takes back half of its 180 tax
+    expect(metric(report, 'taxReversedOnRefunds')).toBe(90);
+    expect(metric(report, 'netTaxLiability')).toBe(180);
+    expect(metric(report, 'effectiveTaxRate')).toBe(10.8);
+
+    const north = report.chartData.find(c => c.category === 'branch_tax' && c.label === 'North');
+    expect(north).toMatchObject({ value: 270, metadata: { orders: 2, taxableValue: 1500 } });
+  });
+
+  test('commission report compares each branch rate with the recorded commission', async () => {
+    const report = await generate('commission_report');
+
+    expect(report.summary).toMatchObject({ totalRevenue: 2770, totalOrders: 3 });
+    expect(metric(report, 'expectedCommission')).toBe(365.5);
+    expect(metric(report, 'recordedCommission')).toBe(200);
+    expect(metric(report, 'commissionVariance')).toBe(165.5);
+
+    const byBranch = Object.fromEntries(report.chartData.map(c => [c.label, c]));
+    expect(byBranch.North).toMatchObject({ value: 265.5, metadata: { rate: 15, revenue: 1770, recorded: 200, variance: 65.5 } });
+    expect(byBranch.South).toMatchObject({ value: 100, metadata: { rate: 10, revenue: 1000, recorded: 0, variance: 100 } });
+  });
+
+  test('settlement report totals settlements by status', async () => {
+    const report = await generate('settlement_report');
+
+    expect(report.summary).toMatchObject({ totalSettlements: 4, totalExpenses: 1250 });
+    expect(report.kpis.settlementAccuracy).toBe(50);
+    expect(metric(report, 'grossAmount')).toBe(1900);
+    expect(metric(report, 'commissionDeducted')).toBe(150);
+    expect(metric(report, 'settledAmount')).toBe(1250);
+    expect(metric(report, 'pendingAmount')).toBe(200);
+    expect(metric(report, 'failedAmount')).toBe(300);
+    expect(metric(report, 'failedSettlements')).toBe(1);
+  });
+
+  test('cash flow report nets inflows against outflows', async () => {
+    const report = await generate('cash_flow');
+
+    // Payments and commission in; the refund and settlement out
+    expect(report.summary).toMatchObject({
+      totalRevenue: 2880,
+      totalExpenses: 1140,
+      netProfit: 1740,
+      totalTransactions: 6,
+      totalRefunds: 290,
+      totalSettlements: 850
+    });
+    expect(metric(report, 'netCashFlow')).toBe(1740);
+    const cumulative = report.chartData.filter(c => c.category === 'cumulative');
+    expect(cumulative[cumulative.length - 1].value).toBe(1740);
+  });
+
+  test('reconciliation report lists what does not match', async () => {
+    const report = await generate('reconciliation_report');
+
+    // Paid orders of the two branches, including the cancelled one
+    expect(report.summary.totalOrders).toBe(4);
+    expect(metric(report, 'matchedOrders')).toBe(2);
+    expect(metric(report, 'missingPaymentTransactions')).toBe(1);
+    expect(metric(report, 'amountMismatches')).toBe(1);
+    expect(report.kpis.settlementAccuracy).toBe(50);
+
+    const exception = (label) => report.chartData.find(c => c.category === 'exception' && c.label === label);
+    expect(exception(orders.cancelled.orderNumber)).toMatchObject({ value: 300, metadata: { issue: 'missing_payment_transaction' } });
+    expect(exception(orders.interstate.orderNumber)).toMatchObject({ value: 90, metadata: { issue: 'amount_mismatch', recorded: 500 } });
+    expect(exception(orders.refund.refundNumber)).toMatchObject({ value: 300, metadata: { issue: 'missing_refund_transaction' } });
+    expect(exception(settlements.unreconciled.settlementId)).toMatchObject({ value: 400, metadata: { issue: 'unreconciled_settlement' } });
+    expect(exception(settlements.reconciled.settlementId)).toBeUndefined();
+    expect(exception(orders.delivered.orderNumber)).toBeUndefined();
+  });
+
+  test('branch performance report ranks branches by revenue', async () => {
+    const report = await generate('branch_performance');
+
+    expect(report.summary).toMatchObject({
+      totalRevenue: 2770,
+      totalOrders: 5,
+      averageOrderValue: 692.5,
+      totalCustomers: 2,
+      totalRefunds: 590
+    });
+    expect(report.kpis).toMatchObject({ orderFulfillmentRate: 40, refundRate: 21.3, revenueGrowth: 0 });
+
+    expect(report.chartData.map(c => c.label)).toEqual(['North', 'South']);
+    expect(report.chartData[0].metadata).toMatchObject({
+      orders: 4,
+      delivered: 1,
+      cancelled: 1,
+      revenue: 1770,
+      averageOrderValue: 590,
+      fulfillmentRate: 25,
+      refunds: 590,
+      refundRate: 33.33,
+      customers: 2
+    });
+    expect(report.chartData[1].metadata).toMatchObject({ orders: 1, revenue: 1000, fulfillmentRate: 100, refunds: 0 });
+  });
+});
@@ -0,0 +1,150 @@
+const mongoose = require('mongoose');
+const Branch = require('../src/models/Branch');
+const Order = require('../src/models/Order');
+const OrderItem = require('../src/models/OrderItem');
+const Inventory = require('../src/models/Inventory');
+const InventoryRequest = require('../src/models/InventoryRequest');
+const ConsumptionRecipe = require('../src/models/ConsumptionRecipe');
+const inventoryConsumptionService = require('../src/services/inventoryConsumptionService');
+
+// Stock debits against the test database. The branch's wash & fold recipe
+// uses 200 ml of detergent per item (overriding the tenancy's 100 ml), and
+// detergent is stocked in liters: 1 l with a 0.5 l minimum.
+describe('inventoryConsumptionService.consumeItems', () => {
+  const tenancy = new mongoose.Types.ObjectId();
+  const manager = new mongoose.Types.ObjectId();
+  let branch;
+  let detergent;
+  let softener;
+  let orderCounter = 0;
+
+  const createOrder = async (quantities) => {
+    const order = await Order.create({
+      tenancy,
+      branch: branch._id,
+      orderNumber: `ORD-STOCK-${Date.now()}-${++orderCounter}`,
+      customer: new mongoose.Types.ObjectId(),
+      pickupDate: new Date(),
+      pickupTimeSlot: '09:00-11:00',
+      pricing: { subtotal: 100, total: 100 },
+      paymentMethod: 'cod'
+    });
+    const items = await OrderItem.insertMany(quantities.map(quantity => ({
+      order: order._id,
+      itemType: 'shirt',
+      service: 'wash_fold',
+      category: 'normal',
+      quantity,
+      basePrice: 30,
+      unitPrice: 30,
+      totalPrice: 30 * quantity
+    })));
+    return { order, items };
+  };
+  const stock = async (inventory) => (await Inventory.findById(inventory._id).lean()).currentStock;
+
+  beforeAll(async () => {
+    branch = await Branch.create({
+      tenancy,
+      name: 'Stock Test Branch',
+      code: `STOCK${Date.now()}`,
+      address: { addressLine1: '1 Test Street', city: 'Bengaluru', state: 'Karnataka', pincode: '560001' },
+      contact: { phone: '9876543210' },
+      coordinates: { latitude: 12.9716, longitude: 77.5946 },
+      manager,
+      createdBy: new mongoose.Types.ObjectId()
+    });
+    detergent = await Inventory.create({
+      tenancy, branch: branch._id, itemName: 'detergent', unit: 'liters',
+      currentStock: 1, minThreshold: 0.5, maxCapacity: 10, costPerUnit: 120
+    });
+    softener = await Inventory.create({
+      tenancy, branch: branch._id, itemName: 'softener', unit: 'ml',
+      currentStock: 500, minThreshold: 100, maxCapacity: 2000, costPerUnit: 1
+    });
+    await ConsumptionRecipe.create([
+      { tenancy, service: 'wash_fold', itemName: 'detergent', quantityPerItem: 100, unit: 'ml' },
+      { tenancy, branch: branch._id, service: 'wash_fold', itemName: 'detergent', quantityPerItem: 200, unit: 'ml' }
+    ]);
+  });
+
+  afterAll(async () => {
+    const orders = await Order.find({ tenancy }).select('_id').lean();
+    await OrderItem.deleteMany({ order: { $in: orders.map(o => o._id) } });
+    await Order.deleteMany({ tenancy });
+    await InventoryRequest.deleteMany({ tenancyId: tenancy });
+    await ConsumptionRecipe.deleteMany({ tenancy });
+    await Inventory.deleteMany({ branch: branch._id });
+    await Branch.deleteOne({ _id: branch._id });
+  });
+
+  test('concurrent triggers debit each item once', async () => {
+    const { order, items } = await createOrder([2, 1]);
+
+    // Order status effect, a tag scan and a lot scan racing each other
+    const results = await Promise.all([
+      inventoryConsumptionService.consumeForOrder(order),
+      inventoryConsumptionService.consumeForOrder(order),
+      inventoryConsumptionService.consumeItems(items.map(i => i.toObject()))
+    ]);
+
+    // 3 items x 200 ml in the stock's liters, however the items were split between the callers
+    const consumed = results.flatMap(r => r.consumed);
+    expect(consumed.every(c => c.itemName === 'detergent' && c.unit === 'liters')).toBe(true);
+    expect(consumed.reduce((sum, c) => sum + c.quantity, 0)).toBeCloseTo(0.6);
+    expect(await stock(detergent)).toBeCloseTo(0.4);
+    const history = (await Inventory.findById(detergent._id).lean()).consumptionHistory;
+    expect(history.reduce((sum, e) => sum + e.quantity, 0)).toBeCloseTo(-0.6);
+    expect(history.every(e => e.orderId.equals(order._id) && e.reason === 'order_processing')).toBe(true);
+
+    // The branch recipe replaces the default rates, so no softener is used
+    expect(await stock(softener)).toBe(500);
+    expect(await OrderItem.countDocuments({ order: order._id, inventoryConsumedAt: { $exists: false } })).toBe(0);
+    expect((await inventoryConsumptionService.consumeForOrder(order)).consumed).toEqual([]);
+  });
+
+  test('falling to the minimum raises one reorder request for the branch', async () => {
+    const requests = await InventoryRequest.find({ tenancyId: tenancy }).lean();
+
+    expect(requests).toHaveLength(1);
+    expect(requests[0]).toMatchObject({
+      branch: branch._id,
+      inventoryItem: detergent._id,
+      requestedBy: manager,
+      autoGenerated: true,
+      itemName: 'detergent',
+      category: 'Cleaning Chemicals',
+      status: 'pending',
+      urgency: 'normal',
+      unit: 'liters',
+      // 0.6 l/day for 14 days on top of the 0.5 l minimum, less the 0.4 l left
+      suggestedQuantity: 8.5
+    });
+    expect((await Inventory.findById(detergent._id).lean()).isLowStock).toBe(true);
+  });
+
+  test('a shortfall takes what is left without a second pending request', async () => {
+    const { order } = await createOrder([3]);
+
+    const result = await inventoryConsumptionService.consumeForOrder(order);
+
+    expect(result.consumed).toHaveLength(1);
+    expect(result.consumed[0].quantity).toBeCloseTo(0.4);
+    expect(result.lowStock).toHaveLength(1);
+    expect(result.requests).toEqual([]);
+    expect(await stock(detergent)).toBe(0);
+    expect(await InventoryRequest.countDocuments({ tenancyId: tenancy })).toBe(1);
+  });
+
+  test('a new request is raised once the previous one is completed', async () => {
+    await InventoryRequest.updateMany({ tenancyId: tenancy }, { $set: { status: 'completed' } });
+    const { order } = await createOrder([1]);
+
+    const result = await inventoryConsumptionService.consumeForOrder(order);
+
+    // Nothing left to take, but the item is still low
+    expect(result.consumed).toEqual([]);
+    expect(result.requests).toHaveLength(1);
+    expect(result.requests[0]).toMatchObject({ itemName: 'detergent', urgency: 'high' });
+  });
+});
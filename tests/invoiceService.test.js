@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const Invoice = require('../src/models/Invoice');
+const InvoiceCounter = require('../src/models/InvoiceCounter');
+const invoiceService = require('../src/services/invoiceService');
+
+describe('invoiceService.financialYearOf', () => {
+  test('financial years run from April to March', () => {
+    expect(invoiceService.financialYearOf(new Date('2024-04-15T06:00:00Z'))).toBe('2024-25');
+    expect(invoiceService.financialYearOf(new Date('2025-03-15T06:00:00Z'))).toBe('2024-25');
+    expect(invoiceService.financialYearOf(new Date('2024-01-01T06:00:00Z'))).toBe('2023-24');
+  });
+
+  test('the year changes at midnight in India by default', () => {
+    // 23:59:59 on 31 March and 00:00 on 1 April IST
+    expect(invoiceService.financialYearOf(new Date('2024-03-31T18:29:59Z'))).toBe('2023-24');
+    expect(invoiceService.financialYearOf(new Date('2024-03-31T18:30:00Z'))).toBe('2024-25');
+  });
+
+  test("uses the tenancy's time zone when given", () => {
+    const date = new Date('2024-03-31T18:30:00Z');
+
+    expect(invoiceService.financialYearOf(date, 'UTC')).toBe('2023-24');
+    expect(invoiceService.financialYearOf(date, 'Asia/Kolkata')).toBe('2024-25');
+  });
+
+  test('handles the turn of the century', () => {
+    expect(invoiceService.financialYearOf(new Date('2099-06-01T06:00:00Z'))).toBe('2099-00');
+  });
+});
+
+describe('invoiceService.formatNumber', () => {
+  test('prefixes the series and pads the sequence to five digits', () => {
+    expect(invoiceService.formatNumber('invoice', '2024-25', 42)).toBe('INV/24-25/00042');
+    expect(invoiceService.formatNumber('credit_note', '2024-25', 7)).toBe('CN/24-25/00007');
+  });
+
+  test('longer sequences are not cut off', () => {
+    expect(invoiceService.formatNumber('invoice', '2024-25', 123456)).toBe('INV/24-25/123456');
+  });
+
+  test('uses the short form of the financial year', () => {
+    expect(invoiceService.formatNumber('invoice', '2099-00', 1)).toBe('INV/99-00/00001');
+  });
+});
+
+describe('invoiceService.issue', () => {
+  const tenancy = new mongoose.Types.ObjectId();
+
+  const issueInvoice = () => invoiceService.issue('invoice', {
+    tenancy,
+    order: new mongoose.Types.ObjectId(),
+    amounts: { total: 118 }
+  });
+
+  afterAll(async () => {
+    await Invoice.deleteMany({ tenancy });
+    await InvoiceCounter.deleteMany({ tenancy });
+  });
+
+  test('concurrent invoices get consecutive numbers without gaps or repeats', async () => {
+    const invoices = await Promise.all([1, 2, 3, 4, 5].map(issueInvoice));
+
+    const sequences = invoices.map(invoice => invoice.sequence).sort((a, b) => a - b);
+    expect(sequences).toEqual([1, 2, 3, 4, 5]);
+    expect(new Set(invoices.map(invoice => invoice.number)).size).toBe(5);
+
+    const counter = await InvoiceCounter.findOne({ tenancy, kind: 'invoice' });
+    expect(counter.seq).toBe(5);
+  });
+
+  test('credit notes are numbered in their own series', async () => {
+    const creditNote = await invoiceService.issue('credit_note', {
+      tenancy,
+      order: new mongoose.Types.ObjectId(),
+      refund: new mongoose.Types.ObjectId(),
+      amounts: { total: 50 }
+    });
+
+    expect(creditNote.sequence).toBe(1);
+    expect(creditNote.number).toBe(invoiceService.formatNumber('credit_note', creditNote.financialYear, 1));
+  });
+
+  test('a failed insert does not use up a number', async () => {
+    const invoice = await issueInvoice();
+
+    await expect(invoiceService.issue('invoice', { tenancy, order: invoice.order, amounts: { total: 118 } }))
+      .rejects.toThrow();
+
+    const next = await issueInvoice();
+    expect(next.sequence).toBe(invoice.sequence + 1);
+  });
+});
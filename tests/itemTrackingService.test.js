@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+const Branch = require('../src/models/Branch');
+const Order = require('../src/models/Order');
+const OrderItem = require('../src/models/OrderItem');
+require('../src/models/Lot');
+const ItemScanEvent = require('../src/models/ItemScanEvent');
+const Notification = require('../src/models/Notification');
+const OrderService = require('../src/services/orderService');
+const itemTrackingService = require('../src/services/itemTrackingService');
+const { ORDER_STATUS, ORDER_ACTORS } = require('../src/config/constants');
+
+const MINUTE_MS = 60 * 1000;
+
+// Item scan history against the test database. An order out for delivery has
+// a shirt that reached ready, trousers last scanned at ironing and a saree
+// that was never scanned.
+describe('itemTrackingService', () => {
+  const tenancy = new mongoose.Types.ObjectId();
+  const manager = new mongoose.Types.ObjectId();
+  const staff = new mongoose.Types.ObjectId();
+  const items = {};
+  let branch;
+  let order;
+
+  const createItem = (itemType, processingStatus) => OrderItem.create({
+    order: order._id,
+    tagCode: `IT${itemType.toUpperCase()}${Date.now()}`,
+    itemType,
+    service: 'wash_iron',
+    category: 'normal',
+    quantity: 1,
+    basePrice: 40,
+    unitPrice: 40,
+    totalPrice: 40,
+    processingStatus
+  });
+
+  beforeAll(async () => {
+    branch = await Branch.create({
+      tenancy,
+      name: 'Tracking Test Branch',
+      code: `TRACK${Date.now()}`,
+      address: { addressLine1: '1 Test Street', city: 'Bengaluru', state: 'Karnataka', pincode: '560001' },
+      contact: { phone: '9876543210' },
+      coordinates: { latitude: 12.9716, longitude: 77.5946 },
+      manager,
+      createdBy: new mongoose.Types.ObjectId()
+    });
+    order = await Order.create({
+      tenancy,
+      branch: branch._id,
+      orderNumber: `ORD-TRACK-${Date.now()}`,
+      customer: new mongoose.Types.ObjectId(),
+      pickupDate: new Date(),
+      pickupTimeSlot: '09:00-11:00',
+      pricing: { subtotal: 120, total: 120 },
+      paymentMethod: 'cod',
+      status: ORDER_STATUS.OUT_FOR_DELIVERY
+    });
+    items.shirt = await createItem('shirt', 'ready');
+    items.trousers = await createItem('trousers', 'in_progress');
+    items.saree = await createItem('saree', 'pending');
+
+    // Logged out of order, as from scanners with pending uploads
+    const scannedAt = new Date(Date.now() - 2 * 60 * MINUTE_MS);
+    const scan = (item, station, minutes, fields = {}) => ItemScanEvent.create({
+      tenancy, branch: branch._id, order: order._id, item: item._id, tagCode: item.tagCode,
+      action: 'scan', station, staff, scannedAt: new Date(scannedAt.getTime() + minutes * MINUTE_MS), ...fields
+    });
+    await scan(items.trousers, 'ironing', 70, { action: 'status_change', fromStatus: 'pending', toStatus: 'in_progress' });
+    await scan(items.trousers, 'sorting', 0);
+    await scan(items.trousers, 'washing', 25);
+    await scan(items.shirt, 'packing', 90, { action: 'status_change', fromStatus: 'quality_check', toStatus: 'ready' });
+  });
+
+  afterAll(async () => {
+    await Notification.deleteMany({ recipient: { $in: [manager, order.customer] } });
+    await ItemScanEvent.deleteMany({ order: order._id });
+    await OrderItem.deleteMany({ order: order._id });
+    await Order.deleteOne({ _id: order._id });
+    await Branch.deleteOne({ _id: branch._id });
+  });
+
+  test('a timeline replays the scans in order with the time between them', async () => {
+    const timeline = await itemTrackingService.getItemTimeline(items.trousers._id);
+
+    expect(timeline.map(e => [e.station, e.minutesSincePrevious])).toEqual([
+      ['sorting', null],
+      ['washing', 25],
+      ['ironing', 45]
+    ]);
+    expect(timeline[2]).toMatchObject({ action: 'status_change', fromStatus: 'pending', toStatus: 'in_progress' });
+    expect(timeline[0].branch).toMatchObject({ name: 'Tracking Test Branch' });
+  });
+
+  test('scan history cannot be rewritten', async () => {
+    await expect(ItemScanEvent.updateOne({ item: items.trousers._id }, { $set: { station: 'packing' } }))
+      .rejects.toThrow('Item scan events are append-only and cannot be modified');
+  });
+
+  test('delivering the order flags the items that never reached ready', async () => {
+    await OrderService.transitionOrder(await Order.findById(order._id), ORDER_STATUS.DELIVERED, {
+      role: ORDER_ACTORS.STAFF,
+      updatedBy: staff
+    });
+
+    const flagged = await ItemScanEvent.find({ order: order._id, action: 'flagged_not_ready' }).lean();
+    expect(flagged.map(e => e.tagCode).sort()).toEqual([items.saree.tagCode, items.trousers.tagCode].sort());
+    expect(flagged.find(e => e.item.equals(items.trousers._id)))
+      .toMatchObject({ tenancy, branch: branch._id, staff, fromStatus: 'in_progress', notes: 'Last seen at ironing' });
+    expect(flagged.find(e => e.item.equals(items.saree._id)))
+      .toMatchObject({ fromStatus: 'pending', notes: 'Never scanned' });
+
+    const alert = await Notification.findOne({ recipient: manager, title: 'Items not ready at delivery' }).lean();
+    expect(alert).toMatchObject({
+      recipientType: 'branch_admin',
+      severity: 'warning',
+      message: `Order ${order.orderNumber} was delivered with 2 item(s) that never reached ready.`,
+      data: { orderId: order._id, branchId: branch._id }
+    });
+    expect(alert.data.additionalData.tagCodes.sort()).toEqual([items.saree.tagCode, items.trousers.tagCode].sort());
+  });
+
+  test('an order is flagged only once', async () => {
+    const delivered = await Order.findById(order._id).populate('branch', 'manager');
+    const alerts = () => Notification.countDocuments({ recipient: manager, title: 'Items not ready at delivery' });
+    const alertsBefore = await alerts();
+
+    expect(await itemTrackingService.flagUnreadyItems(delivered, staff)).toEqual([]);
+    expect(await ItemScanEvent.countDocuments({ order: order._id, action: 'flagged_not_ready' })).toBe(2);
+    expect(await alerts()).toBe(alertsBefore);
+
+    const listed = await itemTrackingService.getFlaggedItems({ tenancy, branch: branch._id });
+    expect(listed).toHaveLength(2);
+    expect(listed[0].order).toMatchObject({ orderNumber: order.orderNumber, status: ORDER_STATUS.DELIVERED });
+  });
+});
@@ -0,0 +1,52 @@
+const JobLock = require('../src/models/JobLock');
+
+// Named leases against the test database
+describe('JobLock', () => {
+  const prefix = `test_lock_${Date.now()}`;
+  let counter = 0;
+  let name;
+
+  const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+  beforeAll(async () => {
+    await JobLock.init();
+  });
+
+  beforeEach(() => {
+    name = `${prefix}_${++counter}`;
+  });
+
+  afterAll(async () => {
+    await JobLock.deleteMany({ name: { $regex: `^${prefix}` } });
+  });
+
+  test('a held lock is refused until its holder releases it', async () => {
+    const owner = await JobLock.acquire(name, 60 * 1000);
+
+    expect(owner).toEqual(expect.any(String));
+    expect(await JobLock.acquire(name, 60 * 1000)).toBeNull();
+
+    await JobLock.release(name, owner);
+    expect(await JobLock.acquire(name, 60 * 1000)).toEqual(expect.any(String));
+  });
+
+  test('only one of several concurrent callers gets the lock', async () => {
+    const owners = await Promise.all(Array.from({ length: 5 }, () => JobLock.acquire(name, 60 * 1000)));
+
+    expect(owners.filter(Boolean)).toHaveLength(1);
+  });
+
+  test('an expired lease can be taken over, and its old holder cannot release the new one', async () => {
+    const stale = await JobLock.acquire(name, 20);
+    await wait(50);
+
+    const owner = await JobLock.acquire(name, 60 * 1000);
+    expect(owner).toEqual(expect.any(String));
+    expect(owner).not.toBe(stale);
+
+    // The first holder finishing late must not free the lock it lost
+    await JobLock.release(name, stale);
+    expect(await JobLock.acquire(name, 60 * 1000)).toBeNull();
+    expect((await JobLock.findOne({ name }).lean()).owner).toBe(owner);
+  });
+});
@@ -0,0 +1,227 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const app = require('../src/app');
+const { LoyaltyProgram, LoyaltyMember } = require('../src/models/LoyaltyProgram');
+const Notification = require('../src/models/Notification');
+const stripeService = require('../src/services/stripeService');
+const laundryPlanService = require('../src/services/laundryPlanService');
+const { LAUNDRY_PLAN_STATUS } = require('../src/config/constants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const seconds = (date) => Math.floor(new Date(date).getTime() / 1000);
+
+describe('laundryPlanService proration', () => {
+  const now = new Date('2026-03-11T00:00:00Z').getTime();
+  const periodStart = new Date('2026-03-01T00:00:00Z');
+  const nextBillingDate = new Date('2026-03-31T00:00:00Z');
+
+  // A ₹499 plan 10 of 30 days in, so two thirds of the period are unused
+  const member = (subscription = {}, benefits = { unlimitedWashes: true }) => ({
+    program: { subscriptionConfig: { monthlyFee: 499, benefits } },
+    subscription: {
+      status: LAUNDRY_PLAN_STATUS.ACTIVE,
+      monthlyFee: 499,
+      currentPeriodStart: periodStart,
+      nextBillingDate,
+      washesUsedThisMonth: 0,
+      ...subscription
+    }
+  });
+
+  beforeEach(() => {
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('the unused share of the period is refunded, rounded to paise', () => {
+    expect(laundryPlanService.proratedRefund(member())).toBe(332.67);
+  });
+
+  test('a quota plan refunds the smaller of unused time and unused washes', () => {
+    const benefits = { maxWashesPerMonth: 3 };
+
+    expect(laundryPlanService.proratedRefund(member({ washesUsedThisMonth: 2 }, benefits))).toBe(166.33);
+    expect(laundryPlanService.proratedRefund(member({ washesUsedThisMonth: 0 }, benefits))).toBe(332.67);
+    expect(laundryPlanService.proratedRefund(member({ washesUsedThisMonth: 3 }, benefits))).toBe(0);
+  });
+
+  test('a paused plan refunds the paid time it kept at pause', () => {
+    const paused = member({ status: LAUNDRY_PLAN_STATUS.PAUSED, pausedSecondsRemaining: 7 * DAY_MS / 1000 });
+
+    expect(laundryPlanService.proratedRefund(paused)).toBe(116.43);
+  });
+
+  test('past-due plans, ended periods and broken periods refund nothing', () => {
+    expect(laundryPlanService.proratedRefund(member({ status: LAUNDRY_PLAN_STATUS.PAST_DUE }))).toBe(0);
+    expect(laundryPlanService.proratedRefund(member({ nextBillingDate: new Date(now - DAY_MS) }))).toBe(0);
+    expect(laundryPlanService.proratedRefund(member({ currentPeriodStart: nextBillingDate }))).toBe(0);
+  });
+
+  test('the refund is sent in paise and never exceeds what the invoice took', async () => {
+    const list = jest.spyOn(laundryPlanService.stripe.invoices, 'list')
+      .mockResolvedValue({ data: [{ payment_intent: 'pi_plan', amount_paid: 49900 }] });
+    const refund = jest.spyOn(laundryPlanService.stripe.refunds, 'create').mockResolvedValue({ id: 're_1' });
+
+    expect(await laundryPlanService.refundLatestPayment('sub_1', 166.333)).toBe(166.33);
+    expect(refund).toHaveBeenLastCalledWith(expect.objectContaining({ payment_intent: 'pi_plan', amount: 16633 }));
+
+    expect(await laundryPlanService.refundLatestPayment('sub_1', 600)).toBe(499);
+    expect(refund).toHaveBeenLastCalledWith(expect.objectContaining({ amount: 49900 }));
+
+    list.mockResolvedValueOnce({ data: [] });
+    expect(await laundryPlanService.refundLatestPayment('sub_1', 100)).toBe(0);
+    expect(refund).toHaveBeenCalledTimes(2);
+  });
+});
+
+// Stripe webhooks through the public route, against the test database.
+// Events are signed with the webhook secret; fetching a subscription from
+// Stripe is replaced.
+describe('Laundry plan Stripe webhooks', () => {
+  const webhookSecret = 'whsec_laundry_plan_test';
+  const tenancy = new mongoose.Types.ObjectId();
+  const users = [];
+  const january = { start: new Date('2026-01-01T00:00:00Z'), end: new Date('2026-02-01T00:00:00Z') };
+  const february = { start: january.end, end: new Date('2026-03-01T00:00:00Z') };
+  let program;
+  let member;
+  let subscriptionId;
+  let eventCounter = 0;
+
+  const send = (type, object, { secret = webhookSecret } = {}) => {
+    const payload = JSON.stringify({ id: `evt_plan_${++eventCounter}`, object: 'event', type, data: { object } });
+    return request(app)
+      .post('/api/customer/laundry-plans/stripe-webhook')
+      .set('Content-Type', 'application/json')
+      .set('Stripe-Signature', stripeService.stripe.webhooks.generateTestHeaderString({ payload, secret }))
+      .send(payload);
+  };
+  const stripeSubscription = (overrides = {}) => ({
+    id: subscriptionId,
+    object: 'subscription',
+    customer: 'cus_plan',
+    status: 'active',
+    cancel_at_period_end: false,
+    pause_collection: null,
+    current_period_start: seconds(january.start),
+    current_period_end: seconds(january.end),
+    ...overrides
+  });
+  const reload = () => LoyaltyMember.findById(member._id);
+
+  beforeAll(async () => {
+    process.env.STRIPE_LAUNDRY_PLAN_WEBHOOK_SECRET = webhookSecret;
+    program = await LoyaltyProgram.create({
+      tenancy,
+      name: 'Wash Club',
+      type: 'subscription',
+      startDate: new Date('2025-01-01T00:00:00Z'),
+      subscriptionConfig: { monthlyFee: 499, benefits: { maxWashesPerMonth: 4 } }
+    });
+  });
+
+  beforeEach(async () => {
+    subscriptionId = `sub_plan_${Date.now()}_${eventCounter}`;
+    const user = new mongoose.Types.ObjectId();
+    users.push(user);
+    member = await LoyaltyMember.create({
+      tenancy,
+      program: program._id,
+      user,
+      subscription: {
+        isActive: true,
+        status: LAUNDRY_PLAN_STATUS.ACTIVE,
+        monthlyFee: 499,
+        washesUsedThisMonth: 3,
+        currentPeriodStart: january.start,
+        nextBillingDate: january.end,
+        stripeCustomerId: 'cus_plan',
+        stripeSubscriptionId: subscriptionId
+      }
+    });
+    await LoyaltyProgram.updateOne({ _id: program._id }, { $set: { activeMembers: 1 } });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    delete process.env.STRIPE_LAUNDRY_PLAN_WEBHOOK_SECRET;
+    await LoyaltyMember.deleteMany({ program: program._id });
+    await LoyaltyProgram.deleteOne({ _id: program._id });
+    await Notification.deleteMany({ recipient: { $in: users } });
+  });
+
+  test('a renewal starts a new period with a fresh quota, once', async () => {
+    jest.spyOn(laundryPlanService.stripe.subscriptions, 'retrieve').mockResolvedValue(stripeSubscription({
+      current_period_start: seconds(february.start),
+      current_period_end: seconds(february.end)
+    }));
+    const invoice = { object: 'invoice', subscription: subscriptionId, billing_reason: 'subscription_cycle' };
+
+    expect((await send('invoice.paid', invoice)).body).toEqual({ received: true });
+
+    let s = (await reload()).subscription;
+    expect(s.washesUsedThisMonth).toBe(0);
+    expect(s.currentPeriodStart).toEqual(february.start);
+    expect(s.nextBillingDate).toEqual(february.end);
+
+    // A wash taken after the renewal survives Stripe retrying the event
+    await LoyaltyMember.updateOne({ _id: member._id }, { $set: { 'subscription.washesUsedThisMonth': 1 } });
+    await send('invoice.paid', invoice);
+    s = (await reload()).subscription;
+    expect(s.washesUsedThisMonth).toBe(1);
+  });
+
+  test('a failed renewal puts the plan on hold', async () => {
+    jest.spyOn(laundryPlanService.stripe.subscriptions, 'retrieve').mockResolvedValue(stripeSubscription({ status: 'past_due' }));
+
+    await send('invoice.payment_failed', { object: 'invoice', subscription: subscriptionId });
+
+    const s = (await reload()).subscription;
+    expect(s.status).toBe(LAUNDRY_PLAN_STATUS.PAST_DUE);
+    expect(s.isActive).toBe(false);
+    expect(s.washesUsedThisMonth).toBe(3);
+  });
+
+  test('subscription updates follow pausing and cancel-at-period-end from Stripe', async () => {
+    await send('customer.subscription.updated', stripeSubscription({ pause_collection: { behavior: 'void' } }));
+    expect((await reload()).subscription.status).toBe(LAUNDRY_PLAN_STATUS.PAUSED);
+
+    await send('customer.subscription.updated', stripeSubscription({ cancel_at_period_end: true }));
+    const s = (await reload()).subscription;
+    expect(s.status).toBe(LAUNDRY_PLAN_STATUS.ACTIVE);
+    expect(s.cancelAtPeriodEnd).toBe(true);
+    expect(s.autoRenew).toBe(false);
+  });
+
+  test('a deleted subscription cancels the plan and counts it once', async () => {
+    const deleted = stripeSubscription({ status: 'canceled', canceled_at: seconds('2026-01-20T00:00:00Z') });
+
+    await send('customer.subscription.deleted', deleted);
+    await send('customer.subscription.deleted', deleted);
+
+    const s = (await reload()).subscription;
+    expect(s.status).toBe(LAUNDRY_PLAN_STATUS.CANCELLED);
+    expect(s.cancelledAt).toEqual(new Date('2026-01-20T00:00:00Z'));
+    expect((await LoyaltyProgram.findById(program._id)).activeMembers).toBe(0);
+  });
+
+  test('events for other subscriptions are acknowledged and ignored', async () => {
+    const res = await send('customer.subscription.deleted', stripeSubscription({ id: 'sub_someone_else', status: 'canceled' }));
+
+    expect(res.body).toEqual({ received: true });
+    expect((await reload()).subscription.status).toBe(LAUNDRY_PLAN_STATUS.ACTIVE);
+  });
+
+  test('an event signed with another secret is rejected', async () => {
+    const res = await send('customer.subscription.deleted', stripeSubscription({ status: 'canceled' }), { secret: 'whsec_other' });
+
+    expect(res.status).toBe(400);
+    expect((await reload()).subscription.status).toBe(LAUNDRY_PLAN_STATUS.ACTIVE);
+  });
+});
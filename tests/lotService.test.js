@@ -0,0 +1,197 @@
+const mongoose = require('mongoose');
+const Branch = require('../src/models/Branch');
+const Order = require('../src/models/Order');
+const OrderItem = require('../src/models/OrderItem');
+const Lot = require('../src/models/Lot');
+const ItemScanEvent = require('../src/models/ItemScanEvent');
+const lotService = require('../src/services/lotService');
+const { LotError } = require('../src/services/lotService');
+const { ORDER_STATUS } = require('../src/config/constants');
+
+const lotError = async (promise) => {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected the lot operation to be refused');
+};
+
+// Bags and wash lots against the test database. The branch has two orders in
+// process (a shirt and trousers, and a saree) and a delivered one (a towel);
+// another branch of the tenancy has a curtain.
+describe('lotService', () => {
+  const tenancy = new mongoose.Types.ObjectId();
+  const staff = new mongoose.Types.ObjectId();
+  const branches = {};
+  const orders = {};
+  const items = {};
+  let tagCounter = 0;
+
+  const createBranch = (name) => Branch.create({
+    tenancy,
+    name,
+    code: `LOT${name.toUpperCase()}${Date.now()}`,
+    address: { addressLine1: '1 Test Street', city: 'Bengaluru', state: 'Karnataka', pincode: '560001' },
+    contact: { phone: '9876543210' },
+    coordinates: { latitude: 12.9716, longitude: 77.5946 },
+    createdBy: new mongoose.Types.ObjectId()
+  });
+  const createOrder = (branch, status) => Order.create({
+    tenancy,
+    branch: branch._id,
+    orderNumber: `ORD-LOT-${Date.now()}-${++tagCounter}`,
+    customer: new mongoose.Types.ObjectId(),
+    pickupDate: new Date(),
+    pickupTimeSlot: '09:00-11:00',
+    pricing: { subtotal: 100, total: 100 },
+    paymentMethod: 'cod',
+    status
+  });
+  const createItem = (order, itemType) => OrderItem.create({
+    order: order._id,
+    tagCode: `IT${Date.now()}${++tagCounter}`,
+    itemType,
+    service: 'wash_fold',
+    category: 'normal',
+    quantity: 1,
+    basePrice: 30,
+    unitPrice: 30,
+    totalPrice: 30
+  });
+  const createLot = (branch = branches.main, fields = {}) =>
+    lotService.createLot({ tenancy, branch: branch._id, createdBy: staff, ...fields });
+  const tags = (...names) => names.map(name => items[name].tagCode);
+  const processingStatus = async (name) => (await OrderItem.findById(items[name]._id).lean()).processingStatus;
+
+  beforeAll(async () => {
+    branches.main = await createBranch('Main');
+    branches.other = await createBranch('Other');
+    orders.first = await createOrder(branches.main, ORDER_STATUS.IN_PROCESS);
+    orders.second = await createOrder(branches.main, ORDER_STATUS.IN_PROCESS);
+    orders.delivered = await createOrder(branches.main, ORDER_STATUS.DELIVERED);
+    orders.elsewhere = await createOrder(branches.other, ORDER_STATUS.IN_PROCESS);
+    items.shirt = await createItem(orders.first, 'shirt');
+    items.trousers = await createItem(orders.first, 'trousers');
+    items.saree = await createItem(orders.second, 'saree');
+    items.towel = await createItem(orders.delivered, 'towel');
+    items.curtain = await createItem(orders.elsewhere, 'curtain');
+  });
+
+  afterAll(async () => {
+    const orderIds = Object.values(orders).map(o => o._id);
+    await Lot.deleteMany({ tenancy });
+    await ItemScanEvent.deleteMany({ order: { $in: orderIds } });
+    await OrderItem.deleteMany({ order: { $in: orderIds } });
+    await Order.deleteMany({ tenancy });
+    await Branch.deleteMany({ tenancy });
+  });
+
+  test('lots are found by barcode or id within their tenancy only', async () => {
+    const lot = await createLot(branches.main, { kind: 'wash_lot', name: 'Whites - Machine 2' });
+
+    expect(lot.barcode).toMatch(/^LT\d{10}$/);
+    expect((await lotService.findLot(lot.barcode.toLowerCase(), tenancy))._id).toEqual(lot._id);
+    expect((await lotService.findLot(lot._id.toString(), tenancy)).name).toBe('Whites - Machine 2');
+
+    const error = await lotError(lotService.findLot(lot.barcode, new mongoose.Types.ObjectId()));
+    expect(error).toBeInstanceOf(LotError);
+    expect(error).toMatchObject({ error: 'LOT_NOT_FOUND', statusCode: 404 });
+  });
+
+  test('items of several orders go into a bag once, each scan logged', async () => {
+    const lot = await createLot();
+    const codes = [...tags('shirt', 'trousers', 'saree'), items.shirt.tagCode.toLowerCase()];
+
+    const { lot: updated, added } = await lotService.addItems(lot, codes, { staff, station: 'sorting' });
+
+    expect(added.sort()).toEqual(tags('shirt', 'trousers', 'saree').sort());
+    expect(updated.items).toHaveLength(3);
+    const events = await ItemScanEvent.find({ lot: lot._id }).lean();
+    expect(events).toHaveLength(3);
+    expect(events[0]).toMatchObject({ action: 'scan', station: 'sorting', staff, notes: `Added to ${lot.barcode}` });
+
+    // Scanning the same tags again changes nothing
+    expect((await lotService.addItems(updated, tags('shirt'), { staff })).added).toEqual([]);
+    expect(await ItemScanEvent.countDocuments({ lot: lot._id })).toBe(3);
+  });
+
+  test('items that cannot go into the bag are refused with their tags', async () => {
+    const taken = await Lot.findOne({ tenancy, items: items.shirt._id });
+    const lot = await createLot();
+
+    expect(await lotError(lotService.addItems(lot, ['IT0000000000'])))
+      .toMatchObject({ error: 'ITEM_NOT_FOUND', statusCode: 404, details: { tagCodes: ['IT0000000000'] } });
+    expect(await lotError(lotService.addItems(lot, tags('curtain'))))
+      .toMatchObject({ error: 'ITEM_WRONG_BRANCH', details: { tagCodes: tags('curtain') } });
+    expect(await lotError(lotService.addItems(lot, tags('towel'))))
+      .toMatchObject({ error: 'ORDER_CLOSED', details: { tagCodes: tags('towel') } });
+    expect(await lotError(lotService.addItems(lot, tags('shirt'))))
+      .toMatchObject({ error: 'ITEM_IN_OTHER_LOT', details: [{ tagCode: items.shirt.tagCode, lotBarcode: taken.barcode }] });
+
+    expect((await Lot.findById(lot._id).lean()).items).toEqual([]);
+  });
+
+  test('a batch scan moves every item of the lot', async () => {
+    const lot = await Lot.findOne({ tenancy, items: items.shirt._id });
+    await OrderItem.updateOne({ _id: items.saree._id }, { $set: { processingStatus: 'in_progress' } });
+
+    const result = await lotService.advanceLot(lot, { processingStatus: 'in_progress', station: 'washing', staff });
+
+    expect(result.updated.map(u => u.tagCode).sort()).toEqual(tags('shirt', 'trousers').sort());
+    expect(result.updated[0]).toMatchObject({ fromStatus: 'pending', toStatus: 'in_progress' });
+    expect(result.unchanged).toEqual(tags('saree'));
+    expect(await processingStatus('trousers')).toBe('in_progress');
+    expect(await ItemScanEvent.countDocuments({ lot: lot._id, action: 'status_change', station: 'washing' })).toBe(2);
+    expect((await Lot.findById(lot._id).lean()).lastScan).toMatchObject({ processingStatus: 'in_progress', station: 'washing', scannedBy: staff });
+
+    await lotService.advanceLot(lot, { processingStatus: 'ready', staff, notes: 'Folded' });
+    const shirt = await OrderItem.findById(items.shirt._id).lean();
+    expect(shirt).toMatchObject({ processingStatus: 'ready', qualityCheck: { passed: true, notes: 'Folded', checkedBy: staff } });
+
+    expect(await lotError(lotService.advanceLot(lot, { processingStatus: 'teleported' })))
+      .toMatchObject({ error: 'INVALID_STATUS', statusCode: 400 });
+  });
+
+  test('orders awaiting a revised quote hold back the whole lot', async () => {
+    const lot = await Lot.findOne({ tenancy, items: items.shirt._id });
+    await Order.updateOne({ _id: orders.second._id }, { $set: { pendingRequote: new mongoose.Types.ObjectId() } });
+
+    try {
+      expect(await lotError(lotService.advanceLot(lot, { processingStatus: 'completed', staff })))
+        .toMatchObject({ error: 'QUOTE_PENDING_APPROVAL', details: { tagCodes: tags('saree') } });
+      expect(await processingStatus('shirt')).toBe('ready');
+    } finally {
+      await Order.updateOne({ _id: orders.second._id }, { $unset: { pendingRequote: 1 } });
+    }
+  });
+
+  test('labels carry the lot and each item\'s own order', async () => {
+    const lot = await Lot.findOne({ tenancy, items: items.shirt._id });
+
+    const labels = await lotService.getLotLabels(lot);
+
+    expect(labels).toHaveLength(3);
+    expect(labels.every(l => l.lotBarcode === lot.barcode && l.totalItems === 3)).toBe(true);
+    const saree = labels.find(l => l.tagCode === items.saree.tagCode);
+    expect(saree.orderNumber).toBe(orders.second.orderNumber);
+  });
+
+  test('emptied and closed lots take no more scans', async () => {
+    const lot = await Lot.findOne({ tenancy, items: items.shirt._id });
+
+    const { lot: emptied, removed } = await lotService.removeItems(lot, tags('shirt', 'trousers', 'saree'), { staff });
+    expect(removed).toHaveLength(3);
+    expect(await ItemScanEvent.countDocuments({ lot: lot._id, notes: `Removed from ${lot.barcode}` })).toBe(3);
+    expect(await lotError(lotService.advanceLot(emptied, { processingStatus: 'ready' })))
+      .toMatchObject({ error: 'LOT_EMPTY' });
+
+    const closed = await lotService.closeLot(emptied);
+    expect(closed).toMatchObject({ status: 'closed', closedAt: expect.any(Date) });
+    expect(await lotError(lotService.addItems(closed, tags('shirt'))))
+      .toMatchObject({ error: 'LOT_CLOSED', statusCode: 409 });
+
+    // Items of a closed lot can go into a new one
+    expect((await lotService.addItems(await createLot(), tags('shirt'))).added).toEqual(tags('shirt'));
+  });
+});
@@ -0,0 +1,251 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const app = require('../src/app');
+const Notification = require('../src/models/Notification');
+const { MessagingProviderRegistry, MockMessagingProvider } = require('../src/services/notifications/MessagingProviders');
+const { SocketIONotificationEngine } = require('../src/services/notifications/SocketIONotificationEngine');
+const { RECIPIENT_TYPES } = require('../src/config/constants');
+
+const PROVIDER_ENV = [
+  'NODE_ENV',
+  'API_URL',
+  'SMS_PROVIDER',
+  'WHATSAPP_PROVIDER',
+  'TWILIO_ACCOUNT_SID',
+  'TWILIO_AUTH_TOKEN',
+  'TWILIO_SMS_FROM',
+  'FAST2SMS_API_KEY'
+];
+
+// Each test sets only the provider variables it needs
+const saved = {};
+beforeEach(() => {
+  for (const key of PROVIDER_ENV) {
+    saved[key] = process.env[key];
+    if (key !== 'NODE_ENV') delete process.env[key];
+  }
+});
+afterEach(() => {
+  for (const key of PROVIDER_ENV) {
+    if (saved[key] === undefined) delete process.env[key];
+    else process.env[key] = saved[key];
+  }
+});
+
+describe('MessagingProviderRegistry.getProvider', () => {
+  const registry = new MessagingProviderRegistry();
+
+  test('SMS_PROVIDER / WHATSAPP_PROVIDER pick the provider', () => {
+    process.env.SMS_PROVIDER = 'mock';
+    process.env.WHATSAPP_PROVIDER = 'Mock';
+
+    expect(registry.getProvider('sms')).toBeInstanceOf(MockMessagingProvider);
+    expect(registry.getProvider('whatsapp')).toBeInstanceOf(MockMessagingProvider);
+  });
+
+  test('Twilio is preferred once it has credentials and an SMS sender', () => {
+    process.env.TWILIO_ACCOUNT_SID = 'AC123';
+    process.env.TWILIO_AUTH_TOKEN = 'secret';
+    process.env.FAST2SMS_API_KEY = 'f2s-key';
+
+    // Without TWILIO_SMS_FROM Twilio can only do WhatsApp
+    expect(registry.getProvider('sms').name).toBe('fast2sms');
+    expect(registry.getProvider('whatsapp').name).toBe('twilio');
+
+    process.env.TWILIO_SMS_FROM = '+15550001111';
+    expect(registry.getProvider('sms').name).toBe('twilio');
+  });
+
+  test('without credentials the console provider is used outside production', () => {
+    process.env.NODE_ENV = 'test';
+    expect(registry.getProvider('sms').name).toBe('console');
+
+    process.env.NODE_ENV = 'production';
+    expect(registry.getProvider('sms')).toBeNull();
+  });
+
+  test('a provider that does not carry the channel or is not configured is not used', () => {
+    process.env.WHATSAPP_PROVIDER = 'fast2sms';
+    process.env.FAST2SMS_API_KEY = 'f2s-key';
+    expect(registry.getProvider('whatsapp')).toBeNull();
+
+    process.env.SMS_PROVIDER = 'twilio';
+    expect(registry.getProvider('sms')).toBeNull();
+
+    process.env.SMS_PROVIDER = 'carrier-pigeon';
+    expect(registry.getProvider('sms')).toBeNull();
+  });
+
+  test('the engine sends through the selected provider', async () => {
+    process.env.SMS_PROVIDER = 'mock';
+    const engine = new SocketIONotificationEngine();
+    const mock = engine.messagingProviders.providers.get('mock');
+
+    const result = await engine.deliverMessage('sms', {
+      _id: new mongoose.Types.ObjectId(),
+      title: 'Order Ready',
+      message: 'Your order <b>ORD-1</b> is ready',
+      metadata: { phone: '9876543210' }
+    }, {});
+
+    expect(result).toMatchObject({ provider: 'mock', deliveryStatus: 'sent' });
+    expect(mock.sent).toHaveLength(1);
+    expect(mock.sent[0]).toMatchObject({
+      channel: 'sms',
+      to: '9876543210',
+      text: 'Order Ready\nYour order ORD-1 is ready',
+      messageId: result.providerMessageId
+    });
+
+    mock.failNext('Gateway down');
+    await expect(engine.deliverMessage('sms', { _id: 'n2', title: 'Hi', metadata: { phone: '9876543210' } }, {}))
+      .rejects.toThrow('Gateway down');
+  });
+});
+
+describe('TwilioMessagingProvider.parseReceipts', () => {
+  const twilio = new MessagingProviderRegistry().providers.get('twilio');
+  const callbackUrl = 'https://api.example.com/api/notifications/receipts/twilio';
+
+  const sign = (body, token = 'twilio-token') => crypto
+    .createHmac('sha1', token)
+    .update(Object.keys(body).sort().reduce((acc, key) => acc + key + body[key], callbackUrl))
+    .digest('base64');
+  const receipt = (body, signature) => ({
+    body,
+    get: (header) => (header === 'X-Twilio-Signature' ? signature : undefined)
+  });
+
+  beforeEach(() => {
+    process.env.API_URL = 'https://api.example.com/';
+    process.env.TWILIO_AUTH_TOKEN = 'twilio-token';
+  });
+
+  test('a signed status callback is normalised', () => {
+    const body = { MessageSid: 'SM1', MessageStatus: 'undelivered', ErrorCode: '30003' };
+
+    expect(twilio.parseReceipts(receipt(body, sign(body)))).toEqual([
+      { messageId: 'SM1', status: 'failed', errorCode: '30003', error: 'Twilio error 30003' }
+    ]);
+  });
+
+  test('a wrong, missing or differently keyed signature is rejected', () => {
+    const body = { MessageSid: 'SM1', MessageStatus: 'delivered' };
+
+    expect(() => twilio.parseReceipts(receipt(body, sign(body, 'other-token')))).toThrow('Invalid Twilio signature');
+    expect(() => twilio.parseReceipts(receipt(body, undefined))).toThrow('Invalid Twilio signature');
+    expect(() => twilio.parseReceipts(receipt({ ...body, MessageStatus: 'read' }, sign(body)))).toThrow('Invalid Twilio signature');
+  });
+
+  test('callbacks are refused when no callback URL is configured', () => {
+    const body = { MessageSid: 'SM1', MessageStatus: 'delivered' };
+    const signature = sign(body);
+    delete process.env.API_URL;
+
+    expect(() => twilio.parseReceipts(receipt(body, signature))).toThrow('Invalid Twilio signature');
+  });
+});
+
+// Receipts posted to the public callback route, against the test database
+describe('POST /api/notifications/receipts/:provider', () => {
+  const recipient = new mongoose.Types.ObjectId();
+  const mock = new MockMessagingProvider();
+
+  const sentSms = async (provider = 'mock') => {
+    const providerMessageId = provider === 'mock'
+      ? (await mock.send({ channel: 'sms', to: '9876543210', text: 'Order Ready' })).messageId
+      : `SM${crypto.randomBytes(8).toString('hex')}`;
+    return Notification.create({
+      recipient,
+      recipientType: RECIPIENT_TYPES.CUSTOMER,
+      type: 'order_ready',
+      title: 'Order Ready',
+      message: 'Your order is ready',
+      channels: {
+        inApp: { selected: true },
+        sms: { selected: true, sent: true, provider, providerMessageId, deliveryStatus: 'sent' }
+      }
+    });
+  };
+  const smsChannel = async (notification) => (await Notification.findById(notification._id)).channels.sms;
+
+  afterAll(async () => {
+    await Notification.deleteMany({ recipient });
+  });
+
+  test('a delivered receipt marks the channel delivered and a late "sent" does not undo it', async () => {
+    const notification = await sentSms();
+    const messageId = notification.channels.sms.providerMessageId;
+
+    const res = await request(app)
+      .post('/api/notifications/receipts/mock')
+      .send({ messageId, status: 'delivered' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual({ received: 1, applied: 1 });
+    let sms = await smsChannel(notification);
+    expect(sms.deliveryStatus).toBe('delivered');
+    expect(sms.delivered).toBe(true);
+    expect(sms.deliveredAt).toBeInstanceOf(Date);
+
+    await request(app).post('/api/notifications/receipts/mock').send({ messageId, status: 'sent' });
+    sms = await smsChannel(notification);
+    expect(sms.deliveryStatus).toBe('delivered');
+  });
+
+  test('a failed receipt records the error; unknown messages are ignored', async () => {
+    const notification = await sentSms();
+
+    const res = await request(app)
+      .post('/api/notifications/receipts/mock')
+      .send({
+        receipts: [
+          { messageId: notification.channels.sms.providerMessageId, status: 'failed', error: 'Handset unreachable' },
+          { messageId: 'mock_unknown', status: 'delivered' }
+        ]
+      });
+
+    expect(res.body.data).toEqual({ received: 2, applied: 1 });
+    const sms = await smsChannel(notification);
+    expect(sms).toMatchObject({ deliveryStatus: 'failed', delivered: false, error: 'Handset unreachable' });
+  });
+
+  test('Twilio callbacks are applied only with a valid signature', async () => {
+    process.env.API_URL = 'https://api.example.com';
+    process.env.TWILIO_AUTH_TOKEN = 'twilio-token';
+    const notification = await sentSms('twilio');
+    const body = { MessageSid: notification.channels.sms.providerMessageId, MessageStatus: 'delivered' };
+    const signature = crypto
+      .createHmac('sha1', 'twilio-token')
+      .update(`${process.env.API_URL}/api/notifications/receipts/twilio` +
+        Object.keys(body).sort().map(key => key + body[key]).join(''))
+      .digest('base64');
+
+    const forged = await request(app)
+      .post('/api/notifications/receipts/twilio')
+      .type('form')
+      .set('X-Twilio-Signature', 'bm90IGEgc2lnbmF0dXJl')
+      .send(body);
+    expect(forged.status).toBe(403);
+    expect((await smsChannel(notification)).deliveryStatus).toBe('sent');
+
+    const signed = await request(app)
+      .post('/api/notifications/receipts/twilio')
+      .type('form')
+      .set('X-Twilio-Signature', signature)
+      .send(body);
+    expect(signed.status).toBe(200);
+    expect((await smsChannel(notification)).deliveryStatus).toBe('delivered');
+  });
+
+  test('mock receipts are refused in production and unknown providers are 404', async () => {
+    process.env.NODE_ENV = 'production';
+    const refused = await request(app).post('/api/notifications/receipts/mock').send({ messageId: 'mock_1', status: 'delivered' });
+    expect(refused.status).toBe(403);
+    process.env.NODE_ENV = saved.NODE_ENV;
+
+    const unknown = await request(app).post('/api/notifications/receipts/carrier-pigeon').send({});
+    expect(unknown.status).toBe(404);
+  });
+});
@@ -0,0 +1,164 @@
+const mongoose = require('mongoose');
+const Notification = require('../src/models/Notification');
+const NotificationPreference = require('../src/models/NotificationPreference');
+const NotificationService = require('../src/services/notificationService');
+const notificationServiceIntegration = require('../src/services/notificationServiceIntegration');
+const { NotificationPreferenceService } = require('../src/services/notifications/NotificationPreferenceService');
+const { NOTIFICATION_TYPES, RECIPIENT_TYPES } = require('../src/config/constants');
+
+describe('NotificationPreferenceService', () => {
+  const service = new NotificationPreferenceService();
+  const quietNights = (timezone) => ({
+    channels: {},
+    quietHours: { enabled: true, start: '22:00', end: '07:00' },
+    timezone
+  });
+
+  describe('isQuietHours', () => {
+    test('a 22:00-07:00 window covers both sides of midnight', () => {
+      const preferences = quietNights('UTC');
+
+      expect(service.isQuietHours(preferences, new Date('2026-03-10T21:59:00Z'))).toBe(false);
+      expect(service.isQuietHours(preferences, new Date('2026-03-10T22:00:00Z'))).toBe(true);
+      expect(service.isQuietHours(preferences, new Date('2026-03-10T23:30:00Z'))).toBe(true);
+      expect(service.isQuietHours(preferences, new Date('2026-03-11T03:00:00Z'))).toBe(true);
+      expect(service.isQuietHours(preferences, new Date('2026-03-11T06:59:00Z'))).toBe(true);
+      expect(service.isQuietHours(preferences, new Date('2026-03-11T07:00:00Z'))).toBe(false);
+    });
+
+    test('a window within one day ends at its end time', () => {
+      const preferences = { quietHours: { enabled: true, start: '13:00', end: '15:00' }, timezone: 'UTC' };
+
+      expect(service.isQuietHours(preferences, new Date('2026-03-10T12:59:00Z'))).toBe(false);
+      expect(service.isQuietHours(preferences, new Date('2026-03-10T14:00:00Z'))).toBe(true);
+      expect(service.isQuietHours(preferences, new Date('2026-03-10T15:00:00Z'))).toBe(false);
+    });
+
+    test("the window is read in the user's timezone", () => {
+      // 17:00 UTC is 22:30 in Kolkata and 13:00 in New York
+      const at = new Date('2026-03-10T17:00:00Z');
+
+      expect(service.isQuietHours(quietNights('Asia/Kolkata'), at)).toBe(true);
+      expect(service.isQuietHours(quietNights('America/New_York'), at)).toBe(false);
+      expect(service.isQuietHours(quietNights('UTC'), at)).toBe(false);
+    });
+
+    test('an unknown timezone falls back to Asia/Kolkata', () => {
+      expect(service.isQuietHours(quietNights('Mars/Olympus'), new Date('2026-03-10T17:00:00Z'))).toBe(true);
+    });
+
+    test('disabled or zero-length windows are never quiet', () => {
+      const at = new Date('2026-03-10T23:00:00Z');
+
+      expect(service.isQuietHours({ quietHours: { enabled: false, start: '22:00', end: '07:00' }, timezone: 'UTC' }, at)).toBe(false);
+      expect(service.isQuietHours({ quietHours: { enabled: true, start: '22:00', end: '22:00' }, timezone: 'UTC' }, at)).toBe(false);
+      expect(service.isQuietHours(null, at)).toBe(false);
+    });
+  });
+
+  describe('filterChannels', () => {
+    const night = new Date('2026-03-10T23:00:00Z');
+    const day = new Date('2026-03-10T12:00:00Z');
+    const channels = ['in_app', 'email', 'sms', 'push'];
+
+    test('quiet hours hold back sms, whatsapp and push but not in-app or email', () => {
+      const result = service.filterChannels(channels, { priority: 'P2', category: 'orders' }, quietNights('UTC'), night);
+
+      expect(result.channels).toEqual(['in_app', 'email']);
+      expect(result.suppressed).toEqual([
+        { channel: 'sms', reason: 'quiet_hours' },
+        { channel: 'push', reason: 'quiet_hours' }
+      ]);
+      expect(service.filterChannels(channels, { priority: 'P2', category: 'orders' }, quietNights('UTC'), day).channels)
+        .toEqual(channels);
+    });
+
+    test('a category override wins over the global switch', () => {
+      const preferences = {
+        channels: { email: false },
+        categories: { orders: { email: true, in_app: false } }
+      };
+
+      expect(service.filterChannels(channels, { category: 'orders' }, preferences, day)).toEqual({
+        channels: ['email', 'sms', 'push'],
+        suppressed: [{ channel: 'in_app', reason: 'opted_out' }]
+      });
+      expect(service.filterChannels(channels, { category: 'payments' }, preferences, day).channels)
+        .toEqual(['in_app', 'sms', 'push']);
+    });
+
+    test('P0 and security notifications bypass opt-outs and quiet hours', () => {
+      const preferences = { ...quietNights('UTC'), channels: { sms: false, push: false } };
+
+      expect(service.filterChannels(channels, { priority: 'P0', category: 'orders' }, preferences, night))
+        .toEqual({ channels, suppressed: [] });
+      expect(service.filterChannels(channels, { priority: 'P3', category: 'security' }, preferences, night))
+        .toEqual({ channels, suppressed: [] });
+      expect(service.filterChannels(channels, { priority: 'P1', category: 'orders' }, preferences, night).channels)
+        .toEqual(['in_app', 'email']);
+    });
+
+    test('legacy flat preferences are read as global switches', () => {
+      expect(service.filterChannels(channels, { category: 'orders' }, { sms: false }, day).channels)
+        .toEqual(['in_app', 'email', 'push']);
+    });
+
+    test('without preferences every channel goes out', () => {
+      expect(service.filterChannels(channels, { category: 'orders' }, null, night).channels).toEqual(channels);
+    });
+  });
+});
+
+// Stored notifications against the test database
+describe('NotificationService.createNotification with muted channels', () => {
+  const users = [];
+  let userId;
+
+  const notifyOrderPlaced = () => NotificationService.createNotification({
+    recipientId: userId,
+    recipientType: RECIPIENT_TYPES.CUSTOMER,
+    tenancy: new mongoose.Types.ObjectId(),
+    type: NOTIFICATION_TYPES.ORDER_PLACED,
+    title: 'Order Placed Successfully',
+    message: 'Your order has been placed successfully.',
+    channels: { inApp: true, email: true }
+  });
+
+  beforeEach(() => {
+    userId = new mongoose.Types.ObjectId();
+    users.push(userId);
+    jest.spyOn(notificationServiceIntegration, 'createNotification').mockResolvedValue({ success: true });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await Notification.deleteMany({ recipient: { $in: users } });
+    await NotificationPreference.deleteMany({ user: { $in: users } });
+  });
+
+  test('muting in-app for a category keeps the record and its email', async () => {
+    await NotificationPreference.create({ user: userId, categories: { orders: { in_app: false } } });
+
+    const notification = await notifyOrderPlaced();
+
+    expect(notification).not.toBeNull();
+    const stored = await Notification.findById(notification._id);
+    expect(stored.channels.inApp.selected).toBe(false);
+    expect(stored.channels.email.selected).toBe(true);
+    expect(notificationServiceIntegration.createNotification).not.toHaveBeenCalled();
+
+    expect((await Notification.getForUser(userId)).notifications).toEqual([]);
+    expect(await Notification.getUnreadCount(userId)).toBe(0);
+  });
+
+  test('with default preferences the notification is listed and sent in real time', async () => {
+    const notification = await notifyOrderPlaced();
+
+    expect(notification.channels.inApp.selected).toBe(true);
+    expect(notificationServiceIntegration.createNotification).toHaveBeenCalledTimes(1);
+    expect(await Notification.getUnreadCount(userId)).toBe(1);
+  });
+});
@@ -0,0 +1,227 @@
+const mongoose = require('mongoose');
+const Order = require('../src/models/Order');
+const OrderService = require('../src/services/orderService');
+const { OrderTransitionError } = require('../src/services/orderService');
+const { ORDER_STATUS, ORDER_ACTORS } = require('../src/config/constants');
+
+const order = (status, fields = {}) => ({ status, ...fields });
+
+const transitionError = (fn) => {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected the transition to be refused');
+};
+
+describe('OrderService.checkTransition', () => {
+  test('returns the rule for an allowed move', () => {
+    const rule = OrderService.checkTransition(order(ORDER_STATUS.PLACED), ORDER_STATUS.PICKED, {
+      role: ORDER_ACTORS.STAFF
+    });
+
+    expect(rule.roles).toContain(ORDER_ACTORS.STAFF);
+  });
+
+  test('rejects an unknown status with 400 INVALID_STATUS', () => {
+    const error = transitionError(() => OrderService.checkTransition(order(ORDER_STATUS.PLACED), 'teleported', {
+      role: ORDER_ACTORS.ADMIN
+    }));
+
+    expect(error).toBeInstanceOf(OrderTransitionError);
+    expect(error).toMatchObject({ error: 'INVALID_STATUS', statusCode: 400 });
+  });
+
+  test('rejects a move the state machine has no rule for with 409 INVALID_TRANSITION', () => {
+    const error = transitionError(() => OrderService.checkTransition(order(ORDER_STATUS.PLACED), ORDER_STATUS.DELIVERED, {
+      role: ORDER_ACTORS.ADMIN
+    }));
+
+    expect(error).toMatchObject({ error: 'INVALID_TRANSITION', statusCode: 409 });
+    expect(error.details).toMatchObject({ from: ORDER_STATUS.PLACED, to: ORDER_STATUS.DELIVERED });
+    expect(error.details.allowed).toContain(ORDER_STATUS.PICKED);
+  });
+
+  test('final statuses allow no moves', () => {
+    for (const status of [ORDER_STATUS.DELIVERED, ORDER_STATUS.CANCELLED]) {
+      const error = transitionError(() => OrderService.checkTransition(order(status), ORDER_STATUS.PLACED, {
+        role: ORDER_ACTORS.SUPERADMIN
+      }));
+      expect(error.error).toBe('INVALID_TRANSITION');
+      expect(error.details.allowed).toEqual([]);
+    }
+  });
+
+  describe('roles', () => {
+    test('customers can cancel an order before pickup, with a reason', () => {
+      expect(() => OrderService.checkTransition(order(ORDER_STATUS.PLACED), ORDER_STATUS.CANCELLED, {
+        role: ORDER_ACTORS.CUSTOMER,
+        reason: 'Changed my mind'
+      })).not.toThrow();
+    });
+
+    test('customers cannot move an order forward', () => {
+      const error = transitionError(() => OrderService.checkTransition(order(ORDER_STATUS.PLACED), ORDER_STATUS.PICKED, {
+        role: ORDER_ACTORS.CUSTOMER
+      }));
+
+      expect(error).toMatchObject({ error: 'TRANSITION_NOT_ALLOWED', statusCode: 403 });
+      expect(error.details).toMatchObject({ role: ORDER_ACTORS.CUSTOMER });
+    });
+
+    test('staff handle orders but cannot assign or cancel them', () => {
+      const assign = transitionError(() => OrderService.checkTransition(
+        order(ORDER_STATUS.PLACED, { branch: new mongoose.Types.ObjectId() }),
+        ORDER_STATUS.ASSIGNED_TO_BRANCH,
+        { role: ORDER_ACTORS.STAFF }
+      ));
+      const cancel = transitionError(() => OrderService.checkTransition(order(ORDER_STATUS.PLACED), ORDER_STATUS.CANCELLED, {
+        role: ORDER_ACTORS.STAFF,
+        reason: 'Duplicate'
+      }));
+
+      expect(assign.error).toBe('TRANSITION_NOT_ALLOWED');
+      expect(cancel.error).toBe('TRANSITION_NOT_ALLOWED');
+      expect(() => OrderService.checkTransition(order(ORDER_STATUS.IN_PROCESS), ORDER_STATUS.READY, {
+        role: ORDER_ACTORS.STAFF
+      })).not.toThrow();
+    });
+
+    test('a missing role is refused', () => {
+      const error = transitionError(() => OrderService.checkTransition(order(ORDER_STATUS.PLACED), ORDER_STATUS.PICKED));
+
+      expect(error.error).toBe('TRANSITION_NOT_ALLOWED');
+    });
+
+    test('orders cannot be cancelled once picked up', () => {
+      const error = transitionError(() => OrderService.checkTransition(order(ORDER_STATUS.PICKED), ORDER_STATUS.CANCELLED, {
+        role: ORDER_ACTORS.ADMIN,
+        reason: 'Too late'
+      }));
+
+      expect(error.error).toBe('INVALID_TRANSITION');
+    });
+  });
+
+  describe('guards and required fields', () => {
+    test('an order with a pending revised quote cannot go into or through processing', () => {
+      const pendingRequote = new mongoose.Types.ObjectId();
+
+      for (const [from, to] of [
+        [ORDER_STATUS.PICKED, ORDER_STATUS.IN_PROCESS],
+        [ORDER_STATUS.IN_PROCESS, ORDER_STATUS.READY]
+      ]) {
+        const error = transitionError(() => OrderService.checkTransition(order(from, { pendingRequote }), to, {
+          role: ORDER_ACTORS.ADMIN
+        }));
+        expect(error).toMatchObject({ error: 'QUOTE_PENDING_APPROVAL', statusCode: 409 });
+        expect(error.details.requote).toBe(pendingRequote);
+      }
+    });
+
+    test('the quote guard only applies to moves that have it', () => {
+      expect(() => OrderService.checkTransition(
+        order(ORDER_STATUS.PLACED, { pendingRequote: new mongoose.Types.ObjectId() }),
+        ORDER_STATUS.PICKED,
+        { role: ORDER_ACTORS.STAFF }
+      )).not.toThrow();
+    });
+
+    test('required fields can come from the context or the order', () => {
+      const error = transitionError(() => OrderService.checkTransition(order(ORDER_STATUS.PLACED), ORDER_STATUS.CANCELLED, {
+        role: ORDER_ACTORS.ADMIN
+      }));
+      expect(error).toMatchObject({ error: 'MISSING_TRANSITION_FIELDS', statusCode: 400 });
+      expect(error.details.missing).toEqual(['reason']);
+
+      const logisticsPartner = new mongoose.Types.ObjectId();
+      expect(() => OrderService.checkTransition(order(ORDER_STATUS.READY), ORDER_STATUS.ASSIGNED_TO_LOGISTICS_DELIVERY, {
+        role: ORDER_ACTORS.BRANCH_ADMIN,
+        logisticsPartner
+      })).not.toThrow();
+      expect(() => OrderService.checkTransition(
+        order(ORDER_STATUS.READY, { logisticsPartner }),
+        ORDER_STATUS.ASSIGNED_TO_LOGISTICS_DELIVERY,
+        { role: ORDER_ACTORS.BRANCH_ADMIN }
+      )).not.toThrow();
+    });
+
+    test('the role is checked before the required fields', () => {
+      const error = transitionError(() => OrderService.checkTransition(order(ORDER_STATUS.PLACED), ORDER_STATUS.ASSIGNED_TO_BRANCH, {
+        role: ORDER_ACTORS.CUSTOMER
+      }));
+
+      expect(error.error).toBe('TRANSITION_NOT_ALLOWED');
+    });
+  });
+});
+
+describe('OrderService.transitionOrder', () => {
+  const tenancy = new mongoose.Types.ObjectId();
+  let orderId;
+
+  beforeEach(async () => {
+    const order = await Order.create({
+      tenancy,
+      orderNumber: `ORD-TRANSITION-${Date.now()}`,
+      customer: new mongoose.Types.ObjectId(),
+      pickupDate: new Date(),
+      pickupTimeSlot: '09:00-11:00',
+      pricing: { subtotal: 200, total: 200 },
+      paymentMethod: 'cod'
+    });
+    orderId = order._id;
+  });
+
+  afterAll(async () => {
+    await Order.deleteMany({ tenancy });
+  });
+
+  test('saves the new status with a history entry', async () => {
+    const updatedBy = new mongoose.Types.ObjectId();
+    await OrderService.transitionOrder(await Order.findById(orderId), ORDER_STATUS.PICKED, {
+      role: ORDER_ACTORS.STAFF,
+      updatedBy,
+      notes: 'Collected'
+    });
+
+    const saved = await Order.findById(orderId);
+    expect(saved.status).toBe(ORDER_STATUS.PICKED);
+    expect(saved.statusHistory[saved.statusHistory.length - 1]).toMatchObject({
+      status: ORDER_STATUS.PICKED,
+      updatedBy,
+      notes: 'Collected'
+    });
+  });
+
+  test('a copy loaded before another move is refused with 409 STATUS_CONFLICT', async () => {
+    const stale = await Order.findById(orderId);
+    await Order.updateOne({ _id: orderId }, { $set: { status: ORDER_STATUS.PICKED } });
+
+    await expect(OrderService.transitionOrder(stale, ORDER_STATUS.CANCELLED, {
+      role: ORDER_ACTORS.ADMIN,
+      reason: 'Customer unreachable'
+    })).rejects.toMatchObject({ error: 'STATUS_CONFLICT', statusCode: 409 });
+
+    const saved = await Order.findById(orderId);
+    expect(saved.status).toBe(ORDER_STATUS.PICKED);
+    expect(saved.isCancelled).toBe(false);
+  });
+
+  test('only one of two concurrent moves from the same status wins', async () => {
+    const [first, second] = await Promise.all([Order.findById(orderId), Order.findById(orderId)]);
+
+    const results = await Promise.allSettled([
+      OrderService.transitionOrder(first, ORDER_STATUS.PICKED, { role: ORDER_ACTORS.STAFF }),
+      OrderService.transitionOrder(second, ORDER_STATUS.PICKED, { role: ORDER_ACTORS.STAFF })
+    ]);
+
+    const refused = results.filter(result => result.status === 'rejected');
+    expect(refused).toHaveLength(1);
+    expect(refused[0].reason.error).toBe('STATUS_CONFLICT');
+
+    const saved = await Order.findById(orderId);
+    expect(saved.statusHistory.filter(entry => entry.status === ORDER_STATUS.PICKED)).toHaveLength(1);
+  });
+});
@@ -0,0 +1,143 @@
+const { Expo } = require('expo-server-sdk');
+const User = require('../src/models/User');
+const Notification = require('../src/models/Notification');
+const expoPushService = require('../src/services/expoPushService');
+const pushReceiptsJob = require('../src/jobs/pushReceiptsJob');
+const { RECIPIENT_TYPES } = require('../src/config/constants');
+
+const { PUSH_DEVICE_STATUS } = expoPushService;
+
+// Push tokens against the test database. Only the calls to Expo's push
+// service are replaced.
+describe('Push token pruning', () => {
+  const suffix = Date.now();
+  const users = [];
+  const phone = 'ExponentPushToken[phone]';
+  const tablet = 'ExponentPushToken[tablet]';
+  const watch = 'ExponentPushToken[watch]';
+  let user;
+
+  const tokensOf = async () => (await User.findById(user._id).lean()).pushTokens.map(t => t.token);
+  const sentPush = (devices, lastAttempt = new Date(Date.now() - 30 * 60 * 1000)) => Notification.create({
+    recipient: user._id,
+    recipientType: RECIPIENT_TYPES.CUSTOMER,
+    type: 'order_ready',
+    title: 'Order Ready',
+    message: 'Your order is ready',
+    channels: {
+      inApp: { selected: true },
+      push: {
+        selected: true,
+        sent: true,
+        lastAttempt,
+        devices: devices.map(([token, ticketId]) => ({
+          token,
+          provider: 'expo',
+          status: PUSH_DEVICE_STATUS.SENT,
+          ticketId,
+          sentAt: lastAttempt
+        }))
+      }
+    }
+  });
+  const pushChannel = async (notification) => (await Notification.findById(notification._id)).channels.push;
+
+  beforeEach(async () => {
+    user = await User.create({
+      name: 'Push Customer',
+      email: `push.${suffix}.${users.length}@test.com`,
+      phone: '9876543210',
+      password: 'Test@123456',
+      role: 'customer',
+      pushTokens: [phone, tablet, watch].map(token => ({ token, platform: 'android' }))
+    });
+    users.push(user._id);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await Notification.deleteMany({ recipient: { $in: users } });
+    await User.deleteMany({ _id: { $in: users } });
+  });
+
+  describe('receipts', () => {
+    test('a DeviceNotRegistered receipt prunes only that token', async () => {
+      const notification = await sentPush([[phone, 'tkt_phone'], [tablet, 'tkt_tablet'], [watch, 'tkt_watch']]);
+      const receipts = jest.spyOn(Expo.prototype, 'getPushNotificationReceiptsAsync').mockResolvedValue({
+        tkt_phone: { status: 'ok' },
+        tkt_tablet: { status: 'error', message: 'not registered', details: { error: 'DeviceNotRegistered' } }
+        // tkt_watch has no receipt yet
+      });
+
+      const result = await pushReceiptsJob.runPushReceiptCheck();
+
+      expect(receipts).toHaveBeenCalledWith(expect.arrayContaining(['tkt_phone', 'tkt_tablet', 'tkt_watch']));
+      expect(result).toMatchObject({ success: true, removed: 1 });
+      expect(await tokensOf()).toEqual([phone, watch]);
+
+      const push = await pushChannel(notification);
+      expect(push.devices.map(d => d.status)).toEqual([
+        PUSH_DEVICE_STATUS.DELIVERED,
+        PUSH_DEVICE_STATUS.INVALID,
+        PUSH_DEVICE_STATUS.SENT
+      ]);
+      expect(push.devices[1].error).toBe('DeviceNotRegistered');
+      expect(push.delivered).toBe(true);
+    });
+
+    test('other receipt errors fail the device but keep its token', async () => {
+      const notification = await sentPush([[phone, 'tkt_rate'], [tablet, 'tkt_gone']]);
+      jest.spyOn(Expo.prototype, 'getPushNotificationReceiptsAsync').mockResolvedValue({
+        tkt_rate: { status: 'error', message: 'Too many messages', details: { error: 'MessageRateExceeded' } },
+        tkt_gone: { status: 'error', message: 'not registered', details: { error: 'DeviceNotRegistered' } }
+      });
+
+      await pushReceiptsJob.runPushReceiptCheck();
+
+      expect(await tokensOf()).toEqual([phone, watch]);
+      const push = await pushChannel(notification);
+      expect(push.devices.map(d => d.status)).toEqual([PUSH_DEVICE_STATUS.FAILED, PUSH_DEVICE_STATUS.INVALID]);
+      expect(push.delivered).toBe(false);
+      expect(push.error).toBe('Push delivery failed on all devices');
+    });
+
+    test('pushes that are too recent or past the receipt window are not checked', async () => {
+      await sentPush([[tablet, 'tkt_recent']], new Date());
+      await sentPush([[tablet, 'tkt_expired']], new Date(Date.now() - 25 * 60 * 60 * 1000));
+      const receipts = jest.spyOn(Expo.prototype, 'getPushNotificationReceiptsAsync').mockResolvedValue({});
+
+      const result = await pushReceiptsJob.runPushReceiptCheck();
+
+      expect(receipts).not.toHaveBeenCalledWith(expect.arrayContaining(['tkt_recent']));
+      expect(receipts).not.toHaveBeenCalledWith(expect.arrayContaining(['tkt_expired']));
+      expect(result.success).toBe(true);
+      expect(await tokensOf()).toEqual([phone, tablet, watch]);
+    });
+  });
+
+  describe('tickets', () => {
+    test('malformed tokens and DeviceNotRegistered tickets are pruned when sending', async () => {
+      await User.updateOne({ _id: user._id }, { $push: { pushTokens: { token: 'not-a-push-token', platform: 'ios' } } });
+      const send = jest.spyOn(Expo.prototype, 'sendPushNotificationsAsync').mockImplementation(async (messages) =>
+        messages.map(message => (message.to === tablet
+          ? { status: 'error', message: 'not registered', details: { error: 'DeviceNotRegistered' } }
+          : { status: 'ok', id: `tkt_${message.to}` }))
+      );
+
+      const { devices, removed } = await expoPushService.sendPushToDevices(user._id, { title: 'Order Ready', body: 'Ready' });
+
+      expect(send.mock.calls.flat(2).map(message => message.to)).toEqual([phone, tablet, watch]);
+      expect(removed).toBe(2);
+      expect(await tokensOf()).toEqual([phone, watch]);
+      expect(devices.find(d => d.token === 'not-a-push-token')).toMatchObject({
+        status: PUSH_DEVICE_STATUS.INVALID,
+        error: 'MalformedToken'
+      });
+      expect(devices.find(d => d.token === tablet).status).toBe(PUSH_DEVICE_STATUS.INVALID);
+      expect(devices.find(d => d.token === phone)).toMatchObject({ status: PUSH_DEVICE_STATUS.SENT, ticketId: `tkt_${phone}` });
+    });
+  });
+});
@@ -0,0 +1,78 @@
+const ExcelJS = require('exceljs');
+const reportExportService = require('../src/services/reportExportService');
+
+// Reports without a tenancy or branch filter use the platform branding, so
+// these exports never touch the database
+describe('reportExportService', () => {
+  const report = {
+    reportId: 'RPTREV12345678',
+    title: 'Revenue Report',
+    type: 'revenue_report',
+    startDate: new Date('2026-03-01T00:00:00Z'),
+    endDate: new Date('2026-03-31T23:59:59Z'),
+    generatedAt: new Date('2026-04-01T06:00:00Z'),
+    summary: { totalRevenue: 1500, totalOrders: 3 },
+    chartData: [
+      {
+        label: '=HYPERLINK("http://evil.example","Refund")',
+        value: -500,
+        date: new Date('2026-03-05T10:00:00Z'),
+        category: 'refund',
+        metadata: { customer: '@SUM(A1:A9)', note: '-2+3' }
+      },
+      {
+        label: 'ORD-1001',
+        value: 2000,
+        date: new Date('2026-03-06T10:00:00Z'),
+        category: 'payment',
+        metadata: { customer: '+91 98765 43210', note: '\tcmd' }
+      },
+      {
+        label: 'ORD-1002',
+        value: 0,
+        date: new Date('2026-03-07T10:00:00Z'),
+        category: 'payment',
+        metadata: { customer: 'Asha "Ash" Rao', note: 'Paid in full' }
+      }
+    ]
+  };
+
+  const csvLines = async () => (await reportExportService.export(report, 'csv')).buffer.toString('utf8').split('\r\n');
+
+  test('CSV cells that would run as formulas are quoted as text', async () => {
+    const lines = await csvLines();
+
+    expect(lines).toContain(
+      '"\'=HYPERLINK(""http://evil.example"",""Refund"")","-500","2026-03-05","refund","\'@SUM(A1:A9)","\'-2+3"'
+    );
+    expect(lines).toContain('"ORD-1001","2000","2026-03-06","payment","\'+91 98765 43210","\'\tcmd"');
+  });
+
+  test('numbers and ordinary text are left as they are', async () => {
+    const lines = await csvLines();
+
+    expect(lines[0]).toBe('\uFEFF"LaundryLobby"');
+    expect(lines).toContain('"Total Revenue","1500"');
+    expect(lines).toContain('"ORD-1002","0","2026-03-07","payment","Asha ""Ash"" Rao","Paid in full"');
+    expect(lines).toContain('"Label","Value","Date","Category","Customer","Note"');
+  });
+
+  test('Excel and PDF exports carry the same sections', async () => {
+    const excel = await reportExportService.export(report, 'excel');
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(excel.buffer);
+
+    expect(workbook.worksheets.map(sheet => sheet.name)).toEqual(['1. Summary', '2. Line Items']);
+    const summary = workbook.getWorksheet('1. Summary');
+    expect(summary.getRow(6).values.slice(1)).toEqual(['Total Revenue', 1500]);
+    expect(excel.fileName).toBe('RPTREV12345678-revenue_report.xlsx');
+
+    const pdf = await reportExportService.export(report, 'pdf');
+    expect(pdf.buffer.subarray(0, 5).toString()).toBe('%PDF-');
+    expect(pdf.contentType).toBe('application/pdf');
+  });
+
+  test('unknown formats are refused', async () => {
+    await expect(reportExportService.export(report, 'docx')).rejects.toThrow('Unsupported export format: docx');
+  });
+});
@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const app = require('../src/app');
+const Order = require('../src/models/Order');
+const CustomerWallet = require('../src/models/CustomerWallet');
+const WalletTransaction = require('../src/models/WalletTransaction');
+const walletService = require('../src/services/walletService');
+const requoteService = require('../src/services/requoteService');
+const { ORDER_STATUS } = require('../src/config/constants');
+
+// Revised quote approval through the public link, for a wallet-paid order
+// whose revision raises the total from ₹200 to ₹300
+describe('Revised quote approval links', () => {
+  const tenancy = new mongoose.Types.ObjectId();
+  const customers = [];
+  let customer;
+  let orderId;
+  let token;
+
+  const createQuotedOrder = async ({ expiresAt = new Date(Date.now() + 60 * 60 * 1000) } = {}) => {
+    token = crypto.randomBytes(32).toString('hex');
+    const requoteId = new mongoose.Types.ObjectId();
+    const order = await Order.create({
+      tenancy,
+      orderNumber: `ORD-QUOTE-${Date.now()}`,
+      customer,
+      pickupDate: new Date(),
+      pickupTimeSlot: '09:00-11:00',
+      status: ORDER_STATUS.PICKED,
+      paymentMethod: 'wallet',
+      paymentStatus: 'paid',
+      pricing: { subtotal: 200, total: 200, walletApplied: 200 },
+      requotes: [{
+        _id: requoteId,
+        reason: 'item_change',
+        status: 'pending',
+        previousTotal: 200,
+        newTotal: 300,
+        difference: 100,
+        changes: [],
+        proposedPricing: { subtotal: 300, tax: 0, discount: 0, deliveryCharge: 0, walletApplied: 200, total: 300 },
+        tokenHash: crypto.createHash('sha256').update(token).digest('hex'),
+        tokenExpiresAt: expiresAt
+      }],
+      pendingRequote: requoteId
+    });
+    orderId = order._id;
+  };
+
+  const approve = () => request(app).post(`/api/public/quotes/${token}/approve`);
+
+  beforeEach(() => {
+    customer = new mongoose.Types.ObjectId();
+    customers.push(customer);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await Order.deleteMany({ tenancy });
+    await CustomerWallet.deleteMany({ user: { $in: customers } });
+    await WalletTransaction.deleteMany({ user: { $in: customers } });
+  });
+
+  test('approving charges the wallet the difference and applies the new pricing', async () => {
+    await walletService.credit(customer, 500, 'wallet_topup');
+    await createQuotedOrder();
+
+    const res = await approve();
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.quote.status).toBe('approved');
+
+    const order = await Order.findById(orderId);
+    expect(order.pendingRequote).toBeUndefined();
+    expect(order.pricing.total).toBe(300);
+    expect(order.pricing.walletApplied).toBe(300);
+    expect(order.requotes[0].decisionChannel).toBe('link');
+    expect(await walletService.getBalance(customer)).toBe(400);
+  });
+
+  test('an expired link is refused with 410 and the quote stays pending', async () => {
+    await walletService.credit(customer, 500, 'wallet_topup');
+    await createQuotedOrder({ expiresAt: new Date(Date.now() - 1000) });
+
+    const res = await approve();
+
+    expect(res.status).toBe(410);
+    expect(res.body.error).toBe('QUOTE_LINK_EXPIRED');
+
+    const order = await Order.findById(orderId);
+    expect(String(order.pendingRequote)).toBe(String(order.requotes[0]._id));
+    expect(order.requotes[0].status).toBe('pending');
+    expect(await walletService.getBalance(customer)).toBe(500);
+  });
+
+  test('approving twice at once charges the wallet once', async () => {
+    await walletService.credit(customer, 500, 'wallet_topup');
+    await createQuotedOrder();
+
+    const responses = await Promise.all([approve(), approve()]);
+
+    expect(responses.map(res => res.status).sort()).toEqual([200, 409]);
+    expect(responses.find(res => res.status === 409).body.error).toBe('QUOTE_ALREADY_DECIDED');
+    expect(await walletService.getBalance(customer)).toBe(400);
+
+    const again = await approve();
+    expect(again.status).toBe(409);
+    expect(again.body.error).toBe('QUOTE_ALREADY_DECIDED');
+  });
+
+  test('a wallet that cannot pay the increase gets 402 and can approve after topping up', async () => {
+    await walletService.credit(customer, 50, 'wallet_topup');
+    await createQuotedOrder();
+
+    const refused = await approve();
+
+    expect(refused.status).toBe(402);
+    expect(refused.body.error).toBe('INSUFFICIENT_WALLET_BALANCE');
+    let order = await Order.findById(orderId);
+    expect(String(order.pendingRequote)).toBe(String(order.requotes[0]._id));
+    expect(order.pricing.total).toBe(200);
+    expect(await walletService.getBalance(customer)).toBe(50);
+
+    await walletService.credit(customer, 100, 'wallet_topup');
+    const approved = await approve();
+
+    expect(approved.status).toBe(200);
+    order = await Order.findById(orderId);
+    expect(order.pricing.total).toBe(300);
+    expect(await walletService.getBalance(customer)).toBe(50);
+  });
+
+  test('any other failure hands the quote back for a later decision', async () => {
+    await walletService.credit(customer, 500, 'wallet_topup');
+    await createQuotedOrder();
+    jest.spyOn(requoteService, 'applyChanges').mockRejectedValueOnce(new Error('Tax lookup failed'));
+
+    const failed = await approve();
+
+    expect(failed.status).toBe(500);
+    const order = await Order.findById(orderId);
+    expect(String(order.pendingRequote)).toBe(String(order.requotes[0]._id));
+    expect(order.requotes[0].status).toBe('pending');
+
+    expect((await approve()).status).toBe(200);
+  });
+});
@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+require('../src/models/CenterAdmin');
+require('../src/models/Transaction');
+const FinancialReport = require('../src/models/FinancialReport');
+const scheduledReportService = require('../src/services/scheduledReportService');
+
+const MINUTE_MS = 60 * 1000;
+
+describe('scheduledReportService run times', () => {
+  test('the next run is at the schedule time in its timezone', () => {
+    const daily = { frequency: 'daily', time: '06:00', timezone: 'Asia/Kolkata' };
+    // 06:01 IST, just after today's run
+    expect(scheduledReportService.computeNextRun(daily, new Date('2026-03-10T00:31:00Z')))
+      .toEqual(new Date('2026-03-11T00:30:00Z'));
+
+    // Friday in New York, before clocks go forward on Sunday 2026-03-08
+    const weekly = { frequency: 'weekly', dayOfWeek: 1, time: '09:00', timezone: 'America/New_York' };
+    expect(scheduledReportService.computeNextRun(weekly, new Date('2026-03-06T12:00:00Z')))
+      .toEqual(new Date('2026-03-09T13:00:00Z'));
+
+    // Day 31 falls back to the last day of a short month
+    const monthly = { frequency: 'monthly', dayOfMonth: 31, time: '06:00', timezone: 'Asia/Kolkata' };
+    expect(scheduledReportService.computeNextRun(monthly, new Date('2026-02-10T00:00:00Z')))
+      .toEqual(new Date('2026-02-28T00:30:00Z'));
+  });
+
+  test('a run reports on the local period that just ended', () => {
+    expect(scheduledReportService.getReportPeriod('daily', new Date('2026-03-10T00:30:00Z'), 'Asia/Kolkata')).toEqual({
+      startDate: new Date('2026-03-08T18:30:00Z'),
+      endDate: new Date('2026-03-09T18:29:59.999Z')
+    });
+    expect(scheduledReportService.getReportPeriod('monthly', new Date('2026-03-01T00:30:00Z'), 'Asia/Kolkata')).toEqual({
+      startDate: new Date('2026-01-31T18:30:00Z'),
+      endDate: new Date('2026-02-28T18:29:59.999Z')
+    });
+  });
+});
+
+// Runs of a daily revenue report schedule against the test database. The
+// schedule has no recipients and its creator has no account, so nothing is
+// emailed.
+describe('scheduledReportService.runSchedule', () => {
+  const createdBy = new mongoose.Types.ObjectId();
+  // 06:01 IST on 2026-03-10, a minute after the run was due
+  const dueAt = new Date('2026-03-10T00:30:00Z');
+  const now = new Date(dueAt.getTime() + MINUTE_MS);
+  let schedule;
+
+  const run = (at = now) => scheduledReportService.runSchedule(FinancialReport, schedule._id, at);
+  const config = async () => (await FinancialReport.findById(schedule._id).lean()).scheduleConfig;
+
+  beforeEach(async () => {
+    schedule = await FinancialReport.create({
+      title: 'Daily revenue',
+      type: 'revenue_report',
+      periodType: 'daily',
+      startDate: new Date('2026-03-01T00:00:00Z'),
+      endDate: new Date('2026-03-02T00:00:00Z'),
+      status: 'scheduled',
+      createdBy,
+      isScheduled: true,
+      scheduleConfig: { frequency: 'daily', time: '06:00', timezone: 'Asia/Kolkata', recipients: [], nextRunAt: dueAt }
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await FinancialReport.deleteMany({ createdBy });
+  });
+
+  test('overlapping runs generate the report once', async () => {
+    const results = await Promise.all([run(), run()]);
+
+    expect(results.map(r => r.status).sort()).toEqual(['skipped', 'success']);
+    const { generatedId } = results.find(r => r.status === 'success');
+
+    expect(await config()).toMatchObject({
+      lastRunStatus: 'success',
+      lastGeneratedId: generatedId,
+      nextRunAt: new Date('2026-03-11T00:30:00Z'),
+      lockedUntil: null
+    });
+    const generated = await FinancialReport.findById(generatedId).lean();
+    expect(generated).toMatchObject({ type: 'revenue_report', periodType: 'daily', startDate: new Date('2026-03-08T18:30:00Z') });
+  });
+
+  test('the lease of a run that died is taken over once it expires', async () => {
+    // A run that crashed 5 minutes ago left its 15 minute lease behind
+    await FinancialReport.updateOne(
+      { _id: schedule._id },
+      { $set: { 'scheduleConfig.lockedUntil': new Date(now.getTime() + 10 * MINUTE_MS) } }
+    );
+
+    expect(await run()).toMatchObject({ status: 'skipped' });
+    expect((await config()).lastRunAt).toBeUndefined();
+
+    const later = new Date(now.getTime() + 10 * MINUTE_MS);
+    expect(await run(later)).toMatchObject({ status: 'success' });
+    expect(await config()).toMatchObject({ lastRunAt: later, lockedUntil: null });
+  });
+
+  test('a failed run releases the lease and retries within the hour', async () => {
+    jest.spyOn(FinancialReport, 'generateReport').mockRejectedValueOnce(new Error('Aggregation timed out'));
+
+    const result = await run();
+
+    expect(result).toMatchObject({ status: 'failed', error: 'Aggregation timed out' });
+    expect(await config()).toMatchObject({
+      lastRunStatus: 'failed',
+      lastError: 'Aggregation timed out',
+      failureCount: 1,
+      nextRunAt: new Date(now.getTime() + 60 * MINUTE_MS),
+      lockedUntil: null
+    });
+
+    // The retry goes ahead and clears the failure
+    const retryAt = new Date(now.getTime() + 60 * MINUTE_MS);
+    expect(await run(retryAt)).toMatchObject({ status: 'success' });
+    expect(await config()).toMatchObject({ failureCount: 0, nextRunAt: new Date('2026-03-11T00:30:00Z') });
+  });
+});
@@ -0,0 +1,165 @@
+const mongoose = require('mongoose');
+const Branch = require('../src/models/Branch');
+const ServiceZone = require('../src/models/ServiceZone');
+const serviceZoneService = require('../src/services/serviceZoneService');
+
+// Closed [lng, lat] ring of a rectangle
+const rectangle = (west, south, east, north) => ({
+  type: 'Polygon',
+  coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]]
+});
+
+describe('serviceZoneService zone rules', () => {
+  const tenancy = new mongoose.Types.ObjectId();
+  const point = { lat: 13.0, lng: 77.6 };
+  const zone = (name, branchCoordinates, extra = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    tenancy,
+    name,
+    branch: { _id: new mongoose.Types.ObjectId(), name, location: { coordinates: branchCoordinates } },
+    priority: 0,
+    deliveryCharge: 0,
+    ...extra
+  });
+
+  test('zones must be closed polygons with sane terms', () => {
+    expect(serviceZoneService.validateZone({ name: 'Centre', geometry: rectangle(77.5, 12.9, 77.7, 13.1) })).toEqual([]);
+    expect(serviceZoneService.validateZone({
+      name: 'Two parts',
+      geometry: { type: 'MultiPolygon', coordinates: [rectangle(77.5, 12.9, 77.6, 13).coordinates, rectangle(77.7, 12.9, 77.8, 13).coordinates] }
+    })).toEqual([]);
+
+    const open = rectangle(77.5, 12.9, 77.7, 13.1);
+    open.coordinates[0].pop();
+    expect(serviceZoneService.validateZone({ name: 'Open', geometry: open }))
+      .toEqual(['geometry.coordinates must be closed rings of at least 4 [lng, lat] positions']);
+    expect(serviceZoneService.validateZone({ name: 'Off the map', geometry: rectangle(77.5, 89, 77.7, 91) })).toHaveLength(1);
+    expect(serviceZoneService.validateZone({ geometry: { type: 'Point', coordinates: [77.6, 13] }, deliveryCharge: -10 })).toEqual([
+      'name is required',
+      'geometry must be a GeoJSON Polygon or MultiPolygon',
+      'deliveryCharge must be a non-negative number'
+    ]);
+    expect(serviceZoneService.validateZone({ priority: 'high' }, { partial: true })).toEqual(['priority must be a number']);
+  });
+
+  test('overlapping zones resolve by priority, then the nearest branch, then the cheapest delivery', () => {
+    const far = zone('Far', [77.9, 13.0], { deliveryCharge: 20 });
+    const near = zone('Near', [77.61, 13.0], { deliveryCharge: 40 });
+
+    let [match] = serviceZoneService.resolveOverlaps([far, near], point);
+    expect(match.branch.name).toBe('Near');
+    expect(match.alternatives).toEqual([far.branch._id.toString()]);
+
+    far.priority = 5;
+    [match] = serviceZoneService.resolveOverlaps([far, near], point);
+    expect(match.branch.name).toBe('Far');
+    expect(match.zone).toMatchObject({ name: 'Far', priority: 5, branch: far.branch._id });
+
+    const twin = zone('Twin', [77.61, 13.0], { deliveryCharge: 10 });
+    [match] = serviceZoneService.resolveOverlaps([near, twin], point);
+    expect(match.branch.name).toBe('Twin');
+  });
+
+  test('each tenancy gets its own match', () => {
+    const other = { ...zone('Other', [77.6, 13.0]), tenancy: new mongoose.Types.ObjectId() };
+
+    const matches = serviceZoneService.resolveOverlaps([zone('Ours', [77.62, 13.0]), other], point);
+
+    expect(matches.map(m => m.branch.name).sort()).toEqual(['Other', 'Ours']);
+    expect(matches.every(m => m.alternatives.length === 0)).toBe(true);
+  });
+});
+
+// Point-in-zone lookups against the test database's 2dsphere index. One
+// tenancy has a wide zone from a branch in the south-west corner and a small
+// zone in the middle from a branch at its centre.
+describe('serviceZoneService lookups', () => {
+  const tenancy = new mongoose.Types.ObjectId();
+  const centre = { lat: 13.0, lng: 77.6 };
+  const southWest = { lat: 12.92, lng: 77.52 };
+  const outside = { lat: 12.5, lng: 77.0 };
+  const branches = {};
+  const zones = {};
+
+  const createBranch = (name, { lat, lng }, extra = {}) => Branch.create({
+    tenancy,
+    name,
+    code: `ZONE${name.toUpperCase()}${Date.now()}`,
+    address: { addressLine1: '1 Test Street', city: 'Bengaluru', state: 'Karnataka', pincode: '560001' },
+    contact: { phone: '9876543210' },
+    coordinates: { latitude: lat, longitude: lng },
+    createdBy: new mongoose.Types.ObjectId(),
+    ...extra
+  });
+
+  beforeAll(async () => {
+    await ServiceZone.init();
+    branches.wide = await createBranch('Wide', { lat: 12.91, lng: 77.51 });
+    branches.central = await createBranch('Central', centre);
+    branches.unzoned = await createBranch('Unzoned', centre);
+    zones.wide = await ServiceZone.create({
+      tenancy, branch: branches.wide._id, name: 'Wide', geometry: rectangle(77.5, 12.9, 77.7, 13.1), deliveryCharge: 30
+    });
+    zones.central = await ServiceZone.create({
+      tenancy, branch: branches.central._id, name: 'Central', geometry: rectangle(77.58, 12.98, 77.62, 13.02), deliveryCharge: 50
+    });
+  });
+
+  afterAll(async () => {
+    await ServiceZone.deleteMany({ tenancy });
+    await Branch.deleteMany({ tenancy });
+  });
+
+  test('the nearest branch serves a point inside overlapping zones', async () => {
+    const { serviceable, matches } = await serviceZoneService.lookup(centre, { tenancy });
+
+    expect(serviceable).toBe(true);
+    expect(matches).toHaveLength(1);
+    expect(matches[0].branch._id).toEqual(branches.central._id);
+    expect(matches[0].zone).toMatchObject({ name: 'Central', deliveryCharge: 50 });
+    expect(matches[0].alternatives).toEqual([branches.wide._id.toString()]);
+  });
+
+  test('priority overrides distance, and points outside every zone are not served', async () => {
+    await ServiceZone.updateOne({ _id: zones.wide._id }, { $set: { priority: 10 } });
+    try {
+      const { matches } = await serviceZoneService.lookup(centre, { tenancy });
+      expect(matches[0].branch._id).toEqual(branches.wide._id);
+
+      expect((await serviceZoneService.lookup(southWest, { tenancy })).matches.map(m => m.zone.name)).toEqual(['Wide']);
+      expect(await serviceZoneService.lookup(outside, { tenancy })).toEqual({ serviceable: false, matches: [] });
+    } finally {
+      await ServiceZone.updateOne({ _id: zones.wide._id }, { $set: { priority: 0 } });
+    }
+  });
+
+  test('zones of inactive branches and inactive zones are skipped', async () => {
+    await Branch.updateOne({ _id: branches.central._id }, { $set: { status: 'maintenance' } });
+    try {
+      const { matches } = await serviceZoneService.lookup(centre, { tenancy });
+      expect(matches.map(m => m.zone.name)).toEqual(['Wide']);
+    } finally {
+      await Branch.updateOne({ _id: branches.central._id }, { $set: { status: 'active' } });
+    }
+
+    await ServiceZone.updateOne({ _id: zones.wide._id }, { $set: { isActive: false } });
+    try {
+      expect(await serviceZoneService.lookup(southWest, { tenancy })).toEqual({ serviceable: false, matches: [] });
+    } finally {
+      await ServiceZone.updateOne({ _id: zones.wide._id }, { $set: { isActive: true } });
+    }
+  });
+
+  test("a branch's coverage comes from its own zones only", async () => {
+    expect(await serviceZoneService.checkBranchCoverage(branches.unzoned._id, centre)).toEqual({ zoned: false, zone: null });
+    expect(await serviceZoneService.checkBranchCoverage(branches.central._id, southWest)).toEqual({ zoned: true, zone: null });
+    expect((await serviceZoneService.checkBranchCoverage(branches.central._id, { coordinates: centre })).zone)
+      .toMatchObject({ name: 'Central', branch: branches.central._id });
+  });
+
+  test('overlaps with other branches are reported', async () => {
+    const overlaps = await serviceZoneService.findOverlaps(await ServiceZone.findById(zones.central._id).lean());
+
+    expect(overlaps).toEqual([expect.objectContaining({ zoneId: zones.wide._id, name: 'Wide' })]);
+  });
+});
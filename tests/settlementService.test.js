@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const Branch = require('../src/models/Branch');
+const Order = require('../src/models/Order');
+const Settlement = require('../src/models/Settlement');
+const settlementService = require('../src/services/settlementService');
+const { ORDER_STATUS } = require('../src/config/constants');
+
+// Branch settlements against the test database. The periods are in 2001 so
+// orders from other suites never fall inside them.
+describe('settlementService branch settlements', () => {
+  const tenancy = new mongoose.Types.ObjectId();
+  const week1 = { periodStart: new Date('2001-01-01T00:00:00Z'), periodEnd: new Date('2001-01-07T23:59:59Z') };
+  const week2 = { periodStart: new Date('2001-01-08T00:00:00Z'), periodEnd: new Date('2001-01-14T23:59:59Z') };
+  let branch;
+
+  const deliveredOrder = (total, paymentMethod, actualDeliveryDate) => Order.create({
+    tenancy,
+    branch: branch._id,
+    orderNumber: `ORD-SETTLE-${total}-${paymentMethod}`,
+    customer: new mongoose.Types.ObjectId(),
+    pickupDate: actualDeliveryDate,
+    pickupTimeSlot: '09:00-11:00',
+    pricing: { subtotal: total, total },
+    paymentMethod,
+    status: ORDER_STATUS.DELIVERED,
+    actualDeliveryDate
+  });
+
+  const generate = (period) => settlementService.generateSettlements({ ...period, types: ['branch'] });
+
+  beforeAll(async () => {
+    branch = await Branch.create({
+      tenancy,
+      name: 'Settlement Test Branch',
+      code: `SETTLE${Date.now()}`,
+      address: { addressLine1: '1 Test Street', city: 'Bengaluru', state: 'Karnataka', pincode: '560001' },
+      contact: { phone: '9876543210' },
+      coordinates: { latitude: 12.9716, longitude: 77.5946 },
+      financials: {
+        commissionRate: 10,
+        bankDetails: { accountNumber: '1234567890', ifscCode: 'HDFC0001234', accountHolderName: 'Test Branch' }
+      },
+      createdBy: new mongoose.Types.ObjectId()
+    });
+  });
+
+  afterAll(async () => {
+    await Settlement.deleteMany({ recipientId: branch._id });
+    await Order.deleteMany({ tenancy });
+    await Branch.deleteOne({ _id: branch._id });
+  });
+
+  test('COD commission above the online takings is recorded as a receivable', async () => {
+    await deliveredOrder(2000, 'cod', new Date('2001-01-03T10:00:00Z'));
+    await deliveredOrder(100, 'online', new Date('2001-01-04T10:00:00Z'));
+
+    const result = await generate(week1);
+
+    expect(result.skipped).toEqual([]);
+    expect(result.created).toHaveLength(1);
+    expect(result.created[0]).toMatchObject({ netAmount: -110, receivable: true, orders: 2 });
+
+    const settlement = await Settlement.findOne({ settlementId: result.created[0].settlementId });
+    expect(settlement).toMatchObject({ grossAmount: 100, totalCommission: 210, netAmount: -110, status: 'pending_approval' });
+
+    // The orders are covered, so running the period again finds nothing
+    expect((await generate(week1)).created).toEqual([]);
+  });
+
+  test('receivables are never paid out', async () => {
+    const receivable = await Settlement.findOne({ recipientId: branch._id, netAmount: { $lt: 0 } });
+    await Settlement.updateOne({ _id: receivable._id }, { $set: { status: 'approved' } });
+
+    const { batch } = await settlementService.createPayoutBatch({ settlementIds: [receivable._id] });
+
+    expect(batch).toBeNull();
+    expect((await Settlement.findById(receivable._id)).status).toBe('approved');
+  });
+
+  test("the branch's next settlement deducts what it owes", async () => {
+    const receivable = await Settlement.findOne({ recipientId: branch._id, netAmount: { $lt: 0 } });
+    await deliveredOrder(1000, 'online', new Date('2001-01-10T10:00:00Z'));
+
+    const result = await generate(week2);
+
+    expect(result.created).toHaveLength(1);
+    expect(result.created[0]).toMatchObject({ netAmount: 790, receivable: false, orders: 1 });
+
+    const settlement = await Settlement.findOne({ settlementId: result.created[0].settlementId });
+    expect(settlement.items).toHaveLength(2);
+    expect(settlement.items[1]).toMatchObject({
+      amount: -110,
+      netAmount: -110,
+      description: `Balance owed from settlement ${receivable.settlementId}`
+    });
+
+    const offset = await Settlement.findById(receivable._id);
+    expect(offset.status).toBe('completed');
+    expect(offset.notes).toBe(`Carried into settlement ${settlement.settlementId}`);
+  });
+});
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const Branch = require('../src/models/Branch');
+const SlotBooking = require('../src/models/SlotBooking');
+const slotService = require('../src/services/slotService');
+
+// Pickup slots against the test database. The branch has no tenancy record,
+// so it books in Asia/Kolkata; "now" is Monday 2026-03-09 08:30 there.
+describe('slotService booking', () => {
+  const now = new Date('2026-03-09T03:00:00Z');
+  const tomorrow = '2026-03-10';
+  let branch;
+
+  const reserve = (pickupTimeSlot, { orderId = new mongoose.Types.ObjectId(), pickupDate = tomorrow } = {}) =>
+    slotService.reserveSlot({ branch: branch._id, pickupDate, pickupTimeSlot, orderId, now });
+  const booked = async (date, slot) => (
+    await SlotBooking.findOne({ branch: branch._id, date, slot }).lean()
+  )?.booked || 0;
+
+  beforeAll(async () => {
+    // Counters rely on the unique branch/date/slot index
+    await SlotBooking.init();
+    // 09:00-18:00 with lunch 13:00-14:00: 09-11, 11-13, 14-16 and 16-18
+    branch = await Branch.create({
+      tenancy: new mongoose.Types.ObjectId(),
+      name: 'Slot Test Branch',
+      code: `SLOT${Date.now()}`,
+      address: { addressLine1: '1 Test Street', city: 'Bengaluru', state: 'Karnataka', pincode: '560001' },
+      contact: { phone: '9876543210' },
+      coordinates: { latitude: 12.9716, longitude: 77.5946 },
+      capacity: { maxOrdersPerDay: 3 },
+      slotSettings: { maxOrdersPerSlot: 2 },
+      holidays: [{ date: new Date('2026-03-11T00:00:00Z'), reason: 'Holi' }],
+      createdBy: new mongoose.Types.ObjectId()
+    });
+  });
+
+  afterAll(async () => {
+    await SlotBooking.deleteMany({ branch: branch._id });
+    await Branch.deleteOne({ _id: branch._id });
+  });
+
+  test('concurrent bookings never take a slot past its capacity', async () => {
+    const results = await Promise.allSettled(Array.from({ length: 5 }, () => reserve('9:00 - 11:00')));
+
+    const fulfilled = results.filter(r => r.status === 'fulfilled');
+    const rejected = results.filter(r => r.status === 'rejected');
+    expect(fulfilled).toHaveLength(2);
+    expect(fulfilled[0].value).toEqual({ date: tomorrow, slot: '09:00-11:00', timezone: 'Asia/Kolkata' });
+    expect(rejected.map(r => r.reason.error)).toEqual(Array(3).fill('SLOT_UNAVAILABLE'));
+
+    // Bookings that lost the slot gave their day place back
+    expect(await booked(tomorrow, '09:00-11:00')).toBe(2);
+    expect(await booked(tomorrow, null)).toBe(2);
+  });
+
+  test('the day limit applies across slots', async () => {
+    await reserve('14:00-16:00');
+
+    await expect(reserve('16:00-18:00')).rejects.toMatchObject({ error: 'SLOT_UNAVAILABLE', statusCode: 409 });
+
+    const availability = await slotService.getAvailability(branch._id, tomorrow, { now });
+    expect(availability.dayRemaining).toBe(0);
+    expect(availability.slots.every(s => !s.available)).toBe(true);
+  });
+
+  test('releasing an order gives its places back once', async () => {
+    const orderId = new mongoose.Types.ObjectId();
+    await expect(reserve('11:00-13:00', { orderId, pickupDate: '2026-03-12' })).resolves.toMatchObject({ slot: '11:00-13:00' });
+    expect(await booked('2026-03-12', '11:00-13:00')).toBe(1);
+
+    expect(await slotService.releaseSlot(orderId)).toBe(2);
+    expect(await slotService.releaseSlot(orderId)).toBe(0);
+
+    expect(await booked('2026-03-12', '11:00-13:00')).toBe(0);
+    expect(await booked('2026-03-12', null)).toBe(0);
+  });
+
+  test('slots past the cutoff, holidays and unknown slots are refused', async () => {
+    // 09:00 today is within the 60 minute cutoff, 11:00 is not
+    await expect(reserve('09:00-11:00', { pickupDate: '2026-03-09' })).rejects.toMatchObject({ error: 'SLOT_UNAVAILABLE' });
+    await expect(reserve('11:00-13:00', { pickupDate: '2026-03-09' })).resolves.toMatchObject({ date: '2026-03-09' });
+
+    await expect(reserve('09:00-11:00', { pickupDate: '2026-03-11' })).rejects.toMatchObject({
+      error: 'BRANCH_CLOSED',
+      message: 'Holiday: Holi'
+    });
+    await expect(reserve('13:00-14:00', { pickupDate: '2026-03-12' })).rejects.toMatchObject({
+      error: 'INVALID_SLOT',
+      statusCode: 400
+    });
+    await expect(reserve('09:00-11:00', { pickupDate: '2026-03-20' })).rejects.toMatchObject({
+      error: 'BRANCH_CLOSED',
+      message: 'Date is too far ahead to book'
+    });
+  });
+});
@@ -0,0 +1,144 @@
+const taxService = require('../src/services/taxService');
+
+const buildConfig = (taxConfig = {}) => taxService.buildConfig({
+  settings: {
+    taxConfig: {
+      registeredState: 'Karnataka',
+      defaultRate: 18,
+      serviceRates: [{ service: 'dry_clean', rate: 12, hsnSac: '999712' }],
+      ...taxConfig
+    }
+  }
+});
+
+describe('taxService.calculate', () => {
+  const order = {
+    lines: [
+      { service: 'wash_fold', amount: 300 },
+      { service: 'dry_clean', amount: 200 }
+    ],
+    deliveryCharge: 50,
+    discount: 55
+  };
+
+  describe('tax on top of prices', () => {
+    test('splits intrastate tax into CGST and SGST per line', () => {
+      const result = taxService.calculate({ ...order, config: buildConfig(), placeOfSupply: 'Karnataka' });
+
+      expect(result).toMatchObject({
+        pricesIncludeTax: false,
+        isInterstate: false,
+        supplierState: 'Karnataka',
+        placeOfSupply: 'Karnataka',
+        taxableAmount: 495,
+        cgst: 39.15,
+        sgst: 39.15,
+        igst: 0,
+        tax: 78.3,
+        total: 573.3
+      });
+      expect(result.lines).toEqual([
+        { service: 'wash_fold', hsnSac: '9997', rate: 18, taxableValue: 270, cgst: 24.3, sgst: 24.3, igst: 0, tax: 48.6 },
+        { service: 'dry_clean', hsnSac: '999712', rate: 12, taxableValue: 180, cgst: 10.8, sgst: 10.8, igst: 0, tax: 21.6 },
+        { service: 'delivery', hsnSac: '9965', rate: 18, taxableValue: 45, cgst: 4.05, sgst: 4.05, igst: 0, tax: 8.1 }
+      ]);
+    });
+
+    test('charges IGST when the customer is in another state', () => {
+      const result = taxService.calculate({ ...order, config: buildConfig(), placeOfSupply: 'Maharashtra' });
+
+      expect(result).toMatchObject({
+        isInterstate: true,
+        placeOfSupply: 'Maharashtra',
+        cgst: 0,
+        sgst: 0,
+        igst: 78.3,
+        tax: 78.3,
+        total: 573.3
+      });
+      expect(result.lines.every(line => line.cgst === 0 && line.sgst === 0 && line.igst === line.tax)).toBe(true);
+    });
+
+    test('accepts GST state codes and taxes orders without a state as intrastate', () => {
+      expect(taxService.calculate({ ...order, config: buildConfig(), placeOfSupply: '27' })).toMatchObject({
+        isInterstate: true,
+        placeOfSupply: 'Maharashtra'
+      });
+      expect(taxService.calculate({ ...order, config: buildConfig() })).toMatchObject({
+        isInterstate: false,
+        placeOfSupply: 'Karnataka',
+        igst: 0
+      });
+    });
+  });
+
+  describe('prices including tax', () => {
+    test('backs the tax out of the prices', () => {
+      const result = taxService.calculate({
+        lines: [{ service: 'wash_fold', amount: 118 }],
+        config: buildConfig({ pricesIncludeTax: true }),
+        placeOfSupply: 'Karnataka'
+      });
+
+      expect(result).toMatchObject({
+        pricesIncludeTax: true,
+        taxableAmount: 100,
+        cgst: 9,
+        sgst: 9,
+        tax: 18,
+        total: 118
+      });
+    });
+
+    test('keeps the total equal to the price across the split', () => {
+      const result = taxService.calculate({
+        ...order,
+        config: buildConfig({ pricesIncludeTax: true }),
+        placeOfSupply: 'Maharashtra'
+      });
+
+      expect(result.total).toBe(495);
+      expect(result.igst).toBe(result.tax);
+      expect(Math.round((result.taxableAmount + result.tax) * 100)).toBe(49500);
+    });
+  });
+
+  describe('rounding', () => {
+    test('an odd paisa of tax goes to CGST', () => {
+      // ₹100 including 18%: taxable ₹84.75, tax ₹15.25
+      const result = taxService.calculate({
+        lines: [{ service: 'wash_fold', amount: 100 }],
+        config: buildConfig({ pricesIncludeTax: true }),
+        placeOfSupply: 'Karnataka'
+      });
+
+      expect(result).toMatchObject({ taxableAmount: 84.75, tax: 15.25, cgst: 7.63, sgst: 7.62, total: 100 });
+    });
+
+    test('the last line takes the remainder of the discount', () => {
+      const result = taxService.calculate({
+        lines: [
+          { service: 'wash_fold', amount: 10 },
+          { service: 'ironing', amount: 10 },
+          { service: 'starching', amount: 10 }
+        ],
+        discount: 1,
+        config: buildConfig({ enabled: false })
+      });
+
+      expect(result.lines.map(line => line.taxableValue)).toEqual([9.67, 9.67, 9.66]);
+      expect(result).toMatchObject({ taxableAmount: 29, tax: 0, total: 29 });
+    });
+
+    test('a discount larger than the charges leaves nothing to tax', () => {
+      const result = taxService.calculate({
+        lines: [{ service: 'wash_fold', amount: 100 }],
+        deliveryCharge: 20,
+        discount: 500,
+        config: buildConfig()
+      });
+
+      expect(result).toMatchObject({ taxableAmount: 0, tax: 0, total: 0 });
+    });
+  });
+});
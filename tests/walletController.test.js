@@ -0,0 +1,212 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const app = require('../src/app');
+const Tenancy = require('../src/models/Tenancy');
+const User = require('../src/models/User');
+const CustomerWallet = require('../src/models/CustomerWallet');
+const WalletTransaction = require('../src/models/WalletTransaction');
+const stripeService = require('../src/services/stripeService');
+const walletService = require('../src/services/walletService');
+const { generateAccessToken } = require('../src/utils/jwt');
+
+// Wallet top-ups through the customer API, against the test database. Stripe
+// calls that leave the server (creating and fetching payment intents) are
+// replaced; webhook signatures are real, made with the webhook secret.
+describe('Wallet top-up API', () => {
+  const suffix = Date.now();
+  const webhookSecret = 'whsec_wallet_test';
+  const users = [];
+  const tenancies = [];
+  let tenancy;
+  let intentCounter = 0;
+
+  const createTenancy = async (walletTopUp) => {
+    const doc = await Tenancy.create({
+      name: 'Wallet Test Laundry',
+      slug: `wallet-test-${suffix}-${tenancies.length}`,
+      owner: new mongoose.Types.ObjectId(),
+      status: 'active',
+      settings: { walletTopUp }
+    });
+    tenancies.push(doc._id);
+    return doc;
+  };
+
+  const createCustomer = async (tenancyDoc = tenancy) => {
+    const user = await User.create({
+      name: 'Wallet Customer',
+      email: `wallet.${suffix}.${users.length}@test.com`,
+      phone: '9876543210',
+      password: 'Test@123456',
+      role: 'customer',
+      tenancy: tenancyDoc._id
+    });
+    users.push(user._id);
+    return { user, token: generateAccessToken(user._id, user.email, 'customer') };
+  };
+
+  const succeededIntent = (user, amount) => ({
+    id: `pi_wallet_${suffix}_${++intentCounter}`,
+    object: 'payment_intent',
+    status: 'succeeded',
+    amount: amount * 100,
+    amount_received: amount * 100,
+    metadata: { type: 'wallet_topup', userId: user._id.toString(), tenancyId: '' }
+  });
+
+  const topUp = (token, amount) => request(app)
+    .post('/api/customer/wallet/add')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ amount });
+  const confirm = (token, paymentIntentId) => request(app)
+    .post('/api/customer/wallet/add/confirm')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ paymentIntentId });
+  const webhook = (paymentIntent, { secret = webhookSecret, signature } = {}) => {
+    const payload = JSON.stringify({
+      id: `evt_${paymentIntent.id}`,
+      object: 'event',
+      type: 'payment_intent.succeeded',
+      data: { object: paymentIntent }
+    });
+    const header = signature !== undefined
+      ? signature
+      : stripeService.stripe.webhooks.generateTestHeaderString({ payload, secret });
+    const req = request(app)
+      .post('/api/customer/wallet/stripe-webhook')
+      .set('Content-Type', 'application/json');
+    if (header) req.set('Stripe-Signature', header);
+    return req.send(payload);
+  };
+
+  beforeAll(async () => {
+    process.env.STRIPE_WALLET_WEBHOOK_SECRET = webhookSecret;
+    tenancy = await createTenancy({ enabled: true, minAmount: 200, maxAmount: 1000, dailyLimit: 1500, maxBalance: 2000 });
+  });
+
+  beforeEach(() => {
+    jest.spyOn(stripeService, 'createWalletTopUpIntent').mockImplementation(async ({ amount }) => ({
+      success: true,
+      paymentIntent: { id: `pi_created_${++intentCounter}`, amount: amount * 100 },
+      clientSecret: 'pi_secret'
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    delete process.env.STRIPE_WALLET_WEBHOOK_SECRET;
+    await CustomerWallet.deleteMany({ user: { $in: users } });
+    await WalletTransaction.deleteMany({ user: { $in: users } });
+    await User.deleteMany({ _id: { $in: users } });
+    await Tenancy.deleteMany({ _id: { $in: tenancies } });
+  });
+
+  describe('POST /wallet/add limits', () => {
+    test("amounts outside the tenancy's range are refused before Stripe is called", async () => {
+      const { token } = await createCustomer();
+
+      expect((await topUp(token, 150)).status).toBe(400);
+      expect((await topUp(token, 1200)).status).toBe(400);
+      expect(stripeService.createWalletTopUpIntent).not.toHaveBeenCalled();
+
+      const res = await topUp(token, 500);
+      expect(res.status).toBe(200);
+      expect(res.body.data).toMatchObject({ amount: 500, currency: 'INR', clientSecret: 'pi_secret' });
+      expect(stripeService.createWalletTopUpIntent).toHaveBeenCalledWith(expect.objectContaining({
+        amount: 500,
+        tenancyId: tenancy._id
+      }));
+    });
+
+    test('a top-up may not take the balance over the cap', async () => {
+      const { user, token } = await createCustomer();
+      await walletService.credit(user._id, 1900, 'refund');
+
+      const res = await topUp(token, 200);
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('Wallet balance cannot exceed ₹2000');
+    });
+
+    test("today's credited top-ups count towards the daily limit", async () => {
+      const { user, token } = await createCustomer();
+      await walletService.credit(user._id, 1000, 'wallet_topup');
+      await walletService.credit(user._id, 400, 'wallet_topup');
+
+      const res = await topUp(token, 200);
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('Daily top-up limit of ₹1500 reached');
+    });
+
+    test('a tenancy can switch top-ups off', async () => {
+      const { token } = await createCustomer(await createTenancy({ enabled: false }));
+
+      const res = await topUp(token, 500);
+
+      expect(res.status).toBe(403);
+      expect(stripeService.createWalletTopUpIntent).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /wallet/add/confirm', () => {
+    test('confirming the same payment twice credits the wallet once', async () => {
+      const { user, token } = await createCustomer();
+      const intent = succeededIntent(user, 500);
+      jest.spyOn(stripeService, 'retrievePaymentIntent').mockResolvedValue({ success: true, paymentIntent: intent });
+
+      const first = await confirm(token, intent.id);
+      const second = await confirm(token, intent.id);
+
+      expect(first.body).toMatchObject({ success: true, message: 'Money added to wallet successfully', data: { newBalance: 500 } });
+      expect(second.body).toMatchObject({ success: true, message: 'Top-up already credited', data: { newBalance: 500 } });
+      expect(await WalletTransaction.countDocuments({ user: user._id })).toBe(1);
+    });
+
+    test("another customer's or an unfinished payment is not credited", async () => {
+      const { user } = await createCustomer();
+      const { user: other, token: otherToken } = await createCustomer();
+      const intent = succeededIntent(user, 500);
+      const retrieve = jest.spyOn(stripeService, 'retrievePaymentIntent')
+        .mockResolvedValueOnce({ success: true, paymentIntent: intent })
+        .mockResolvedValueOnce({ success: true, paymentIntent: { ...succeededIntent(other, 300), status: 'processing' } });
+
+      expect((await confirm(otherToken, intent.id)).status).toBe(404);
+      expect((await confirm(otherToken, 'pi_processing')).status).toBe(400);
+      expect(retrieve).toHaveBeenCalledTimes(2);
+      expect(await WalletTransaction.countDocuments({ user: { $in: [user._id, other._id] } })).toBe(0);
+    });
+  });
+
+  describe('POST /wallet/stripe-webhook', () => {
+    test('a replayed event and a later confirm credit the payment once', async () => {
+      const { user, token } = await createCustomer();
+      const intent = succeededIntent(user, 700);
+
+      expect((await webhook(intent)).body).toEqual({ received: true });
+      expect((await webhook(intent)).body).toEqual({ received: true });
+
+      jest.spyOn(stripeService, 'retrievePaymentIntent').mockResolvedValue({ success: true, paymentIntent: intent });
+      const confirmed = await confirm(token, intent.id);
+
+      expect(confirmed.body.message).toBe('Top-up already credited');
+      expect(await walletService.getBalance(user._id)).toBe(700);
+      expect(await WalletTransaction.countDocuments({ user: user._id, idempotencyKey: `stripe:${intent.id}` })).toBe(1);
+    });
+
+    test('a missing or invalid signature is rejected and nothing is credited', async () => {
+      const { user } = await createCustomer();
+      const intent = succeededIntent(user, 700);
+
+      const unsigned = await webhook(intent, { signature: '' });
+      const forged = await webhook(intent, { secret: 'whsec_someone_else' });
+      const garbage = await webhook(intent, { signature: 't=1,v1=deadbeef' });
+
+      expect([unsigned.status, forged.status, garbage.status]).toEqual([400, 400, 400]);
+      expect(await walletService.getBalance(user._id)).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,159 @@
+const mongoose = require('mongoose');
+const CustomerWallet = require('../src/models/CustomerWallet');
+const WalletTransaction = require('../src/models/WalletTransaction');
+const walletService = require('../src/services/walletService');
+const { WalletError } = require('../src/services/walletService');
+
+// Wallet ledger against the test database. Each test uses a fresh user id,
+// so wallets never carry over between tests.
+describe('walletService', () => {
+  const users = [];
+  let userId;
+
+  beforeEach(() => {
+    userId = new mongoose.Types.ObjectId();
+    users.push(userId);
+  });
+
+  afterAll(async () => {
+    await CustomerWallet.deleteMany({ user: { $in: users } });
+    await WalletTransaction.deleteMany({ user: { $in: users } });
+  });
+
+  describe('credit / debit', () => {
+    test('credit moves the balance and writes one ledger entry', async () => {
+      const result = await walletService.credit(userId, 150, 'wallet_topup', { description: 'Top-up' });
+
+      expect(result.duplicate).toBe(false);
+      expect(result.balance).toBe(150);
+
+      const wallet = await CustomerWallet.findOne({ user: userId });
+      const entries = await WalletTransaction.find({ user: userId });
+      expect(wallet.balance).toBe(150);
+      expect(entries).toHaveLength(1);
+      expect(entries[0]).toMatchObject({
+        type: 'credit',
+        amount: 150,
+        reason: 'wallet_topup',
+        counterAccount: 'payment_gateway',
+        balanceAfter: 150
+      });
+    });
+
+    test('amounts are rounded to paise and must be positive', async () => {
+      const result = await walletService.credit(userId, 10.006, 'refund');
+      expect(result.transaction.amount).toBe(10.01);
+
+      await expect(walletService.credit(userId, 0, 'refund')).rejects.toThrow('Wallet amount must be greater than zero');
+      await expect(walletService.debit(userId, -5, 'order_payment')).rejects.toThrow('Wallet amount must be greater than zero');
+    });
+
+    test('a repeated credit with the same idempotency key is applied once', async () => {
+      const key = `topup:${userId}`;
+      const first = await walletService.credit(userId, 100, 'wallet_topup', { idempotencyKey: key });
+      const second = await walletService.credit(userId, 100, 'wallet_topup', { idempotencyKey: key });
+
+      expect(second.duplicate).toBe(true);
+      expect(String(second.transaction._id)).toBe(String(first.transaction._id));
+      expect(await walletService.getBalance(userId)).toBe(100);
+      expect(await WalletTransaction.countDocuments({ user: userId })).toBe(1);
+    });
+
+    test('concurrent debits with the same idempotency key are applied once', async () => {
+      const key = `order_payment:${userId}`;
+      await walletService.credit(userId, 500, 'wallet_topup');
+
+      const results = await Promise.all([1, 2, 3].map(() => (
+        walletService.debit(userId, 200, 'order_payment', { idempotencyKey: key })
+      )));
+
+      expect(results.filter(result => !result.duplicate)).toHaveLength(1);
+      expect(await walletService.getBalance(userId)).toBe(300);
+      expect(await WalletTransaction.countDocuments({ user: userId, type: 'debit' })).toBe(1);
+    });
+
+    test('concurrent debits never take the balance below zero', async () => {
+      await walletService.credit(userId, 100, 'wallet_topup');
+
+      const results = await Promise.allSettled([1, 2, 3].map(() => (
+        walletService.debit(userId, 40, 'order_payment')
+      )));
+
+      const refused = results.filter(result => result.status === 'rejected');
+      expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(2);
+      expect(refused).toHaveLength(1);
+      expect(refused[0].reason).toBeInstanceOf(WalletError);
+      expect(await walletService.getBalance(userId)).toBe(20);
+      expect(await walletService.getLedgerBalance(userId)).toBe(20);
+    });
+
+    test('a debit larger than the balance throws INSUFFICIENT_WALLET_BALANCE and changes nothing', async () => {
+      await walletService.credit(userId, 50, 'wallet_topup');
+
+      await expect(walletService.debit(userId, 80, 'order_payment')).rejects.toMatchObject({
+        error: 'INSUFFICIENT_WALLET_BALANCE',
+        statusCode: 400
+      });
+
+      expect(await walletService.getBalance(userId)).toBe(50);
+      expect(await WalletTransaction.countDocuments({ user: userId, type: 'debit' })).toBe(0);
+    });
+
+    test('allowPartial debits up to the available balance', async () => {
+      await walletService.credit(userId, 50, 'wallet_topup');
+
+      const partial = await walletService.debit(userId, 80, 'order_redeem', { allowPartial: true });
+      expect(partial.transaction.amount).toBe(50);
+      expect(partial.balance).toBe(0);
+
+      const empty = await walletService.debit(userId, 80, 'order_redeem', { allowPartial: true });
+      expect(empty).toEqual({ transaction: null, balance: 0, duplicate: false });
+    });
+  });
+
+  describe('refundOrderPayment', () => {
+    test('returns what the order took from the wallet, once', async () => {
+      const order = { _id: new mongoose.Types.ObjectId(), customer: userId, orderNumber: 'ORD-WALLET-1' };
+      await walletService.credit(userId, 300, 'wallet_topup');
+      await walletService.debit(userId, 120, 'order_payment', { orderId: order._id });
+      await walletService.credit(userId, 20, 'order_refund', { orderId: order._id });
+
+      const refund = await walletService.refundOrderPayment(order);
+      expect(refund.transaction.amount).toBe(100);
+      expect(refund.balance).toBe(300);
+
+      expect(await walletService.refundOrderPayment(order)).toBeNull();
+      expect(await walletService.getBalance(userId)).toBe(300);
+    });
+  });
+
+  describe('reconcile', () => {
+    test('reports and fixes a wallet whose balance differs from its ledger', async () => {
+      await walletService.credit(userId, 100, 'wallet_topup');
+      await walletService.debit(userId, 30, 'order_payment');
+      await CustomerWallet.updateOne({ user: userId }, { $set: { balance: 90 } });
+
+      const report = await walletService.reconcile({ userId });
+      expect(report.summary).toMatchObject({ wallets: 1, totalWalletBalance: 90, totalLedgerBalance: 70, difference: 20 });
+      expect(report.mismatches).toEqual([
+        { user: userId, walletBalance: 90, ledgerBalance: 70, difference: 20 }
+      ]);
+      expect(report.counterAccounts).toContainEqual({ account: 'order_payments', credits: 0, debits: 30, net: -30, entries: 1 });
+
+      const fixed = await walletService.reconcile({ userId, fix: true });
+      expect(fixed.summary.fixed).toBe(1);
+      expect(await walletService.getBalance(userId)).toBe(70);
+      expect((await walletService.reconcile({ userId })).mismatches).toEqual([]);
+    });
+
+    test('reports ledger entries whose wallet is missing', async () => {
+      await walletService.credit(userId, 25, 'refund');
+      await CustomerWallet.deleteOne({ user: userId });
+
+      const report = await walletService.reconcile({ userId });
+      expect(report.mismatches).toEqual([
+        { user: userId, walletBalance: null, ledgerBalance: 25, difference: -25 }
+      ]);
+    });
+  });
+});
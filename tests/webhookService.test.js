@@ -0,0 +1,212 @@
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const http = require('http');
+const mongoose = require('mongoose');
+const AutomationRule = require('../src/models/AutomationRule');
+const WebhookDelivery = require('../src/models/WebhookDelivery');
+const webhookService = require('../src/services/webhookService');
+
+describe('webhookService destination checks', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test.each([
+    '127.0.0.1',
+    '10.1.2.3',
+    '172.16.5.4',
+    '192.168.1.1',
+    '169.254.169.254',
+    '100.64.0.1',
+    '0.0.0.0',
+    '224.0.0.1',
+    '::',
+    '::1',
+    'fe80::1',
+    'fd00::1',
+    '::ffff:127.0.0.1',
+    '::ffff:7f00:1',
+    '::ffff:a9fe:a9fe',
+    '0:0:0:0:0:ffff:10.0.0.1',
+    'localhost'
+  ])('%s is blocked', (address) => {
+    expect(webhookService.isBlockedAddress(address)).toBe(true);
+  });
+
+  test.each([
+    '93.184.216.34',
+    '8.8.8.8',
+    '2606:4700:4700::1111',
+    '::ffff:8.8.8.8'
+  ])('%s is allowed', (address) => {
+    expect(webhookService.isBlockedAddress(address)).toBe(false);
+  });
+
+  test.each([
+    'not a url',
+    'ftp://hooks.example.com/events',
+    'http://127.0.0.1:3000/admin',
+    'http://169.254.169.254/latest/meta-data',
+    'http://[::1]/events',
+    'http://[::ffff:127.0.0.1]:8080/events'
+  ])('%s is refused without a DNS lookup', async (url) => {
+    const lookup = jest.spyOn(dns, 'lookup');
+
+    await expect(webhookService.resolveDestination(url)).rejects.toMatchObject({ code: 'WEBHOOK_DESTINATION_BLOCKED' });
+    expect(lookup).not.toHaveBeenCalled();
+  });
+
+  test('a host with any internal address among its DNS answers is refused', async () => {
+    jest.spyOn(dns, 'lookup').mockResolvedValue([
+      { address: '93.184.216.34', family: 4 },
+      { address: '10.0.0.5', family: 4 }
+    ]);
+
+    await expect(webhookService.resolveDestination('https://hooks.example.com/events'))
+      .rejects.toMatchObject({ code: 'WEBHOOK_DESTINATION_BLOCKED' });
+  });
+
+  test('a public host resolves to the address that was checked', async () => {
+    const lookup = jest.spyOn(dns, 'lookup').mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+
+    await expect(webhookService.resolveDestination('https://hooks.example.com/events'))
+      .resolves.toEqual({ address: '93.184.216.34', family: 4 });
+    expect(lookup).toHaveBeenCalledWith('hooks.example.com', { all: true });
+  });
+});
+
+// Deliveries against the test database and a receiver on this machine. The
+// webhook URLs use a .test host, which never resolves: requests only reach
+// the receiver through the address resolveDestination checked.
+describe('webhookService deliveries', () => {
+  const ruleId = `rule_webhook_${Date.now()}`;
+  const received = [];
+  const responses = [];
+  let server;
+  let rule;
+  let secret;
+  let url;
+
+  const pinToReceiver = () => jest.spyOn(webhookService, 'resolveDestination')
+    .mockResolvedValue({ address: '127.0.0.1', family: 4 });
+  const deliver = (config = {}) => webhookService.deliver({
+    rule,
+    config: { url, ...config },
+    data: { orderNumber: 'ORD-1001' },
+    executionId: 'exec_test'
+  });
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body, path: req.url });
+        const { status = 200, headers = {} } = responses.shift() || {};
+        res.writeHead(status, headers);
+        res.end(JSON.stringify({ ok: status < 300 }));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://hooks.example.test:${server.address().port}/events`;
+
+    rule = await AutomationRule.create({
+      ruleId,
+      name: 'Webhook test',
+      scope: 'PLATFORM',
+      trigger: { eventType: 'order_placed' },
+      actions: [{ type: 'TRIGGER_WEBHOOK', config: {} }],
+      createdBy: new mongoose.Types.ObjectId()
+    });
+    secret = (await AutomationRule.findOne({ ruleId }).select('+webhookSecret').lean()).webhookSecret;
+  });
+
+  beforeEach(() => {
+    received.length = 0;
+    responses.length = 0;
+    jest.spyOn(webhookService, 'sleep').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await WebhookDelivery.deleteMany({ ruleId });
+    await AutomationRule.deleteOne({ ruleId });
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('connects to the checked address and signs the body with the rule secret', async () => {
+    const resolve = pinToReceiver();
+
+    const { delivery, settled } = await deliver();
+
+    expect(delivery.status).toBe('success');
+    await expect(settled).resolves.toBe(delivery);
+    expect(resolve).toHaveBeenCalledWith(url);
+    expect(received).toHaveLength(1);
+
+    const [{ headers, body }] = received;
+    const expected = crypto.createHmac('sha256', secret).update(`${headers['x-webhook-timestamp']}.${body}`).digest('hex');
+    expect(headers['x-webhook-signature']).toBe(`sha256=${expected}`);
+    expect(headers['x-webhook-id']).toBe(delivery.deliveryId);
+    expect(headers['x-webhook-event']).toBe('order_placed');
+    expect(JSON.parse(body)).toMatchObject({ id: delivery.deliveryId, ruleId, data: { orderNumber: 'ORD-1001' } });
+    expect(webhookService.sign('other-secret', headers['x-webhook-timestamp'], body)).not.toBe(headers['x-webhook-signature']);
+  });
+
+  test('5xx responses are retried in the background with backoff', async () => {
+    pinToReceiver();
+    responses.push({ status: 503 }, { status: 429 });
+
+    const { delivery, settled } = await deliver();
+
+    expect(delivery.status).toBe('pending');
+    expect((await settled).status).toBe('success');
+    expect(webhookService.sleep.mock.calls).toEqual([[1000], [5000]]);
+
+    const stored = await WebhookDelivery.findOne({ deliveryId: delivery.deliveryId });
+    expect(stored.attempts.map(attempt => attempt.statusCode)).toEqual([503, 429, 200]);
+    // Every attempt is signed afresh over the same body
+    expect(new Set(received.map(request => request.body)).size).toBe(1);
+  });
+
+  test('each retry checks the destination again and stops once it is blocked', async () => {
+    jest.spyOn(webhookService, 'resolveDestination')
+      .mockResolvedValueOnce({ address: '127.0.0.1', family: 4 })
+      .mockRejectedValueOnce(Object.assign(new Error('Webhook destination not allowed: hooks.example.test'), {
+        code: 'WEBHOOK_DESTINATION_BLOCKED'
+      }));
+    responses.push({ status: 500 });
+
+    const { settled } = await deliver({ maxRetries: 3 });
+    const delivery = await settled;
+
+    expect(delivery.status).toBe('failed');
+    expect(delivery.attemptCount).toBe(2);
+    expect(delivery.lastError).toBe('Webhook destination not allowed: hooks.example.test');
+    expect(received).toHaveLength(1);
+  });
+
+  test('redirects are not followed or retried', async () => {
+    pinToReceiver();
+    responses.push({ status: 302, headers: { Location: 'http://169.254.169.254/latest/meta-data' } });
+
+    const { delivery } = await deliver();
+
+    expect(delivery.status).toBe('failed');
+    expect(delivery.attemptCount).toBe(1);
+    expect(delivery.lastError).toBe('HTTP 302');
+    expect(received).toHaveLength(1);
+  });
+
+  test('an internal URL fails at once without a request', async () => {
+    const { delivery } = await deliver({ url: url.replace('hooks.example.test', '127.0.0.1') });
+
+    expect(delivery.status).toBe('failed');
+    expect(delivery.attemptCount).toBe(1);
+    expect(webhookService.sleep).not.toHaveBeenCalled();
+    expect(received).toEqual([]);
+  });
+});
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const Order = require('../src/models/Order');
+const OrderItem = require('../src/models/OrderItem');
+const CustomerWallet = require('../src/models/CustomerWallet');
+const WalletTransaction = require('../src/models/WalletTransaction');
+const walletService = require('../src/services/walletService');
+const requoteService = require('../src/services/requoteService');
+const weightPricingService = require('../src/services/weightPricingService');
+const { ORDER_STATUS, PRICING_MODELS } = require('../src/config/constants');
+
+// Weigh-ins against the test database: a wallet-paid order booked at an
+// estimated 3 kg of wash & fold at ₹100/kg, weighed at 5 kg
+describe('weightPricingService.recordWeights', () => {
+  const tenancy = new mongoose.Types.ObjectId();
+  const customers = [];
+  let customer;
+  let order;
+  let item;
+
+  const weighIn = () => weightPricingService.recordWeights(order, [{ itemId: item._id.toString(), weight: 5 }]);
+
+  beforeEach(async () => {
+    customer = new mongoose.Types.ObjectId();
+    customers.push(customer);
+    await walletService.credit(customer, 1000, 'wallet_topup');
+
+    order = await Order.create({
+      tenancy,
+      orderNumber: `ORD-WEIGH-${Date.now()}`,
+      customer,
+      pickupDate: new Date(),
+      pickupTimeSlot: '09:00-11:00',
+      status: ORDER_STATUS.PICKED,
+      paymentMethod: 'wallet',
+      paymentStatus: 'paid',
+      pricing: { subtotal: 300, total: 300, walletApplied: 300 }
+    });
+    item = await OrderItem.create({
+      order: order._id,
+      itemType: 'mixed_load',
+      service: 'wash_fold',
+      category: 'normal',
+      quantity: 1,
+      basePrice: 100,
+      unitPrice: 100,
+      totalPrice: 300,
+      pricingModel: PRICING_MODELS.PER_KG,
+      estimatedWeight: 3,
+      chargeableWeight: 3
+    });
+    order.items = [item._id];
+    await order.save();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    const orders = await Order.find({ tenancy }).select('_id').lean();
+    await OrderItem.deleteMany({ order: { $in: orders.map(o => o._id) } });
+    await Order.deleteMany({ tenancy });
+    await CustomerWallet.deleteMany({ user: { $in: customers } });
+    await WalletTransaction.deleteMany({ user: { $in: customers } });
+  });
+
+  const expectUnweighed = async () => {
+    const storedItem = await OrderItem.findById(item._id);
+    expect(storedItem.actualWeight).toBeUndefined();
+    expect(storedItem.chargeableWeight).toBe(3);
+    expect(storedItem.totalPrice).toBe(300);
+
+    const storedOrder = await Order.findById(order._id);
+    expect(storedOrder.requotes).toHaveLength(0);
+    expect(storedOrder.pricing.total).toBe(300);
+    expect(await walletService.getBalance(customer)).toBe(1000);
+  };
+
+  test('saves the weighed items and the re-quoted order together', async () => {
+    const result = await weighIn();
+
+    expect(result.items[0]).toMatchObject({ actualWeight: 5, chargeableWeight: 5, previousPrice: 300, newPrice: 500 });
+    expect(result.requote).not.toBeNull();
+
+    const storedItem = await OrderItem.findById(item._id);
+    expect(storedItem).toMatchObject({ actualWeight: 5, chargeableWeight: 5, totalPrice: 500 });
+
+    const storedOrder = await Order.findById(order._id);
+    expect(storedOrder.requotes).toHaveLength(1);
+    expect(storedOrder.pricing.subtotal).toBe(500);
+    expect(storedOrder.pricing.walletApplied).toBe(storedOrder.pricing.total);
+    expect(await walletService.getBalance(customer)).toBe(1000 - (storedOrder.pricing.total - 300));
+  });
+
+  test('a failed wallet settlement leaves the items unweighed', async () => {
+    jest.spyOn(requoteService, 'settleWalletPayment').mockRejectedValueOnce(new Error('Wallet unavailable'));
+
+    await expect(weighIn()).rejects.toThrow('Wallet unavailable');
+
+    await expectUnweighed();
+  });
+
+  test('a failed order save restores the item weights and reverses the wallet charge', async () => {
+    jest.spyOn(order, 'save').mockRejectedValueOnce(new Error('Write conflict'));
+
+    await expect(weighIn()).rejects.toThrow('Write conflict');
+
+    await expectUnweighed();
+    expect(await WalletTransaction.countDocuments({ user: customer, reason: 'order_refund' })).toBe(1);
+  });
+});